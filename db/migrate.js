@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Command-line front end for db/migrator.js.
+//
+//   node db/migrate.js up [--to N]          Apply pending migrations
+//   node db/migrate.js down [--steps N]     Roll back the last N (default 1)
+//   node db/migrate.js down --to N          Roll back everything above version N
+//   node db/migrate.js status               List migrations and their state
+//   node db/migrate.js resolve <version>    Clear an interrupted migration after fixing it by hand
+//
+// Uses the same database as the server: $DATA_DIR/courses.db (default ./data).
+const path = require('path');
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+const { createMigrator } = require('./migrator');
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const DB_PATH = path.join(DATA_DIR, 'courses.db');
+
+function readFlag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return undefined;
+  const value = parseInt(args[i + 1], 10);
+  if (Number.isNaN(value) || value < 0) {
+    throw new Error(`--${name} needs a non-negative number`);
+  }
+  return value;
+}
+
+function printStatus(s) {
+  console.log(`Database: ${DB_PATH}`);
+  console.log(`Current version: ${s.current} (latest: ${s.latest})`);
+  console.log('');
+  s.migrations.forEach(m => {
+    const when = m.appliedAt ? `  ${m.appliedAt}` : '';
+    const note = m.reversible ? '' : '  (irreversible)';
+    console.log(`  ${String(m.version).padStart(3, '0')}  ${m.state.padEnd(12)} ${m.name}${when}${note}`);
+  });
+  s.unknown.forEach(m => {
+    console.log(`  ${String(m.version).padStart(3, '0')}  ${'unknown'.padEnd(12)} ${m.name}  (no migration file)`);
+  });
+  if (s.dirty.length) {
+    console.log('');
+    console.log(`[WARN] Interrupted migration(s): ${s.dirty.map(d => d.version).join(', ')}`);
+  }
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  const db = new sqlite3.Database(DB_PATH);
+  db.run('PRAGMA busy_timeout = 5000');
+  const migrator = createMigrator(db, { log: msg => console.log(`  ${msg}`) });
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.migrate({ to: readFlag(args, 'to') });
+        console.log(applied.length ? `[OK] Applied ${applied.length} migration(s)` : '[OK] Already up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrator.rollback({ steps: readFlag(args, 'steps'), to: readFlag(args, 'to') });
+        console.log(reverted.length ? `[OK] Rolled back ${reverted.length} migration(s)` : '[OK] Nothing to roll back');
+        break;
+      }
+      case 'status':
+        printStatus(await migrator.status());
+        break;
+      case 'resolve': {
+        const version = parseInt(args[0], 10);
+        if (Number.isNaN(version)) throw new Error('Usage: migrate resolve <version>');
+        const previous = await migrator.resolve(version);
+        console.log(`[OK] Migration ${version} resolved (was ${previous})`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}". Use up, down, status or resolve.`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(err => {
+  console.error(`[ERROR] ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,500 @@
+// Baseline: the schema server-sqlite.js created inline before migrations
+// existed. Columns that used to be added by ALTER TABLE are part of the
+// CREATE statements here; databases created by older releases pick them up
+// in 003_legacy_columns. IF NOT EXISTS keeps this safe to apply over an
+// existing pre-migration database.
+
+async function up(db) {
+  // Main courses table
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS courses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uniqueId TEXT UNIQUE NOT NULL,
+      campus TEXT NOT NULL,
+      term TEXT NOT NULL,
+      year INTEGER NOT NULL,
+      prefix TEXT NOT NULL,
+      subject TEXT,
+      courseNumber TEXT NOT NULL,
+      sectionNumber TEXT NOT NULL,
+      isLab BOOLEAN NOT NULL,
+      title TEXT,
+      sectionTitle TEXT,
+      credits TEXT,
+      instructor TEXT,
+      sln INTEGER,
+
+      -- Course details
+      courseDescription TEXT,
+      coursePrerequisite TEXT,
+      sectionComment TEXT,
+      sectionUrl TEXT,
+      dayTime TEXT,
+      location TEXT,
+      site TEXT,
+      startDate TEXT,
+      endDate TEXT,
+
+      -- Enrollment data (updated hourly)
+      seatsAvailable INTEGER,
+      maxEnrollment INTEGER,
+      currentEnrollment INTEGER,
+      waitlistAvailable INTEGER,
+      waitlistCapacity INTEGER,
+      waitlistCount INTEGER,
+      status TEXT,
+
+      -- Important dates
+      dateLastAuditToCredit TEXT,
+      dateLastCreditToAudit TEXT,
+      dateLastFinalGradeSubmit TEXT,
+      dateLastInstruction TEXT,
+      dateLastLtrGradeToPf TEXT,
+      dateLastPftoLtrGrade TEXT,
+      dateLastRegWithoutFee TEXT,
+      dateLastStdAdd TEXT,
+      dateLastStdDrop TEXT,
+      dateLastWdrwl TEXT,
+      dateRegBegin TEXT,
+      dateRegEnd TEXT,
+
+      -- Course attributes
+      slnrestrict BOOLEAN,
+      ger TEXT,
+      diversity BOOLEAN,
+      writing BOOLEAN,
+      courseFee REAL,
+      isMultipleFees BOOLEAN,
+      titleAllowed BOOLEAN,
+      showInstructors BOOLEAN,
+      ucore TEXT,
+      coop TEXT,
+      schedulePrint TEXT,
+      instructionMode TEXT,
+      session TEXT,
+      consent TEXT,
+      minUnits TEXT,
+      maxUnits TEXT,
+      gradCaps TEXT,
+      footnotes TEXT,
+
+      -- Complex data as JSON
+      instructors TEXT,
+      meetings TEXT,
+
+      -- Metadata
+      scrapedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      -- Additional fields (stored as JSON for flexibility)
+      additionalData TEXT
+    )
+  `);
+
+  // Enrollment history (time-series data)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS enrollment_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      courseId INTEGER NOT NULL,
+      uniqueId TEXT NOT NULL,
+      seatsAvailable INTEGER,
+      currentEnrollment INTEGER,
+      waitlistCount INTEGER,
+      scrapedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (courseId) REFERENCES courses(id)
+    )
+  `);
+
+  // ============================================
+  // HISTORICAL CATALOG DATA TABLES
+  // These store degree requirements by catalog year
+  // so students can see their exact requirements from when they started
+  // ============================================
+
+  // Departments table (historical - by catalog year)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS departments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uniqueId TEXT UNIQUE NOT NULL,
+      catalogYear TEXT NOT NULL,
+      academicUnitId INTEGER,
+      name TEXT NOT NULL,
+      title TEXT,
+      fullName TEXT,
+      url TEXT,
+      location TEXT,
+      phone TEXT,
+      facultyList TEXT,
+      description TEXT,
+      sourceType TEXT DEFAULT 'api',
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Degree Programs table (historical - by catalog year)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS degree_programs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uniqueId TEXT UNIQUE NOT NULL,
+      catalogYear TEXT NOT NULL,
+      departmentId INTEGER,
+      externalId INTEGER,
+      title TEXT NOT NULL,
+      hours INTEGER,
+      narrative TEXT,
+      bottomText TEXT,
+      isHonors BOOLEAN DEFAULT 0,
+      isFYDA BOOLEAN DEFAULT 0,
+      yearFormat TEXT,
+      yearEnd TEXT,
+      termEnd TEXT,
+      sequenceItems TEXT,
+      sourceType TEXT DEFAULT 'api',
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (departmentId) REFERENCES departments(id)
+    )
+  `);
+
+  // Minors table (historical - by catalog year)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS minors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uniqueId TEXT UNIQUE NOT NULL,
+      catalogYear TEXT NOT NULL,
+      departmentId INTEGER,
+      externalId INTEGER,
+      title TEXT NOT NULL,
+      narrative TEXT,
+      yearEnd TEXT,
+      termEnd TEXT,
+      sourceType TEXT DEFAULT 'api',
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (departmentId) REFERENCES departments(id)
+    )
+  `);
+
+  // Certificates table (historical - by catalog year)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS certificates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uniqueId TEXT UNIQUE NOT NULL,
+      catalogYear TEXT NOT NULL,
+      departmentId INTEGER,
+      externalId INTEGER,
+      title TEXT NOT NULL,
+      description TEXT,
+      sourceType TEXT DEFAULT 'api',
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (departmentId) REFERENCES departments(id)
+    )
+  `);
+
+  // Legacy degrees table (keeping for backwards compatibility)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS degrees (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      degreeType TEXT,
+      type TEXT NOT NULL,
+      year INTEGER NOT NULL,
+      catalogType TEXT,
+      college TEXT,
+      totalCredits INTEGER,
+      sourceUrl TEXT,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Archived Catalog PDFs table (metadata + optional blob)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS catalog_pdfs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename TEXT UNIQUE NOT NULL,
+      catalogYear TEXT NOT NULL,
+      description TEXT,
+      fileSize INTEGER,
+      filePath TEXT,
+      pdfData BLOB,
+      mimeType TEXT DEFAULT 'application/pdf',
+      parsedAt TIMESTAMP,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create indexes for fast queries - HISTORICAL DATA
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_departments_year ON departments(catalogYear)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_departments_name ON departments(name)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_degree_programs_year ON degree_programs(catalogYear)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_degree_programs_dept ON degree_programs(departmentId)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_degree_programs_title ON degree_programs(title)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_minors_year ON minors(catalogYear)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_minors_dept ON minors(departmentId)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_certificates_year ON certificates(catalogYear)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_certificates_dept ON certificates(departmentId)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_catalog_pdfs_year ON catalog_pdfs(catalogYear)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_courses_uniqueId ON courses(uniqueId)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_courses_semester ON courses(campus, term, year)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_courses_prefix ON courses(prefix, courseNumber)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_courses_seats ON courses(seatsAvailable)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_enrollment_history_course ON enrollment_history(courseId)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_enrollment_history_scraped ON enrollment_history(scrapedAt)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_enrollment_history_unique ON enrollment_history(uniqueId, scrapedAt)');
+
+  // Create table for degree course requirements (sequenceItems from WSU API)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS degree_requirements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      degree_id INTEGER NOT NULL,
+      catalog_year TEXT NOT NULL,
+      year INTEGER NOT NULL,
+      term INTEGER NOT NULL,
+      label TEXT,
+      hours TEXT,
+      sort_order INTEGER,
+      footnotes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (degree_id) REFERENCES catalog_degrees(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_degree_requirements_degree ON degree_requirements(degree_id)');
+
+  // Catalog courses table (courses referenced in degree/program catalogs, separate from live `courses` table)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS catalog_courses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      unique_id TEXT NOT NULL,
+      catalog_year TEXT NOT NULL,
+      code TEXT,
+      prefix TEXT,
+      number TEXT,
+      title TEXT,
+      description TEXT,
+      credits REAL,
+      credits_phrase TEXT,
+      ucore TEXT,
+      prerequisite_raw TEXT,
+      prerequisite_codes TEXT,
+      prerequisite_tree TEXT,
+      offered_raw TEXT,
+      offered_terms TEXT,
+      attributes TEXT,
+      footnotes TEXT,
+      alternatives TEXT,
+      is_non_credit BOOLEAN DEFAULT 0,
+      source_type TEXT DEFAULT 'api',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_catalog_courses_unique ON catalog_courses(unique_id, catalog_year)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_catalog_courses_code ON catalog_courses(code)');
+
+  // Catalog minors table (historical data with narratives)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS catalog_minors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      catalog_year TEXT NOT NULL,
+      url TEXT,
+      source_type TEXT DEFAULT 'api',
+      narrative TEXT,
+      courses TEXT,
+      required_courses TEXT,
+      elective_courses TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(name, catalog_year)
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_catalog_minors_year ON catalog_minors(catalog_year)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_catalog_minors_name ON catalog_minors(name)');
+
+  // Catalog certificates table (historical data with descriptions)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS catalog_certificates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      catalog_year TEXT NOT NULL,
+      url TEXT,
+      source_type TEXT DEFAULT 'api',
+      description TEXT,
+      courses TEXT,
+      required_courses TEXT,
+      elective_courses TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(name, catalog_year)
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_catalog_certificates_year ON catalog_certificates(catalog_year)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_catalog_certificates_name ON catalog_certificates(name)');
+
+  // Student accounts (degree plans synced across devices)
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      display_name TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_login_at TIMESTAMP
+    )
+  `);
+
+  // Session tokens are stored hashed so a leaked DB can't be replayed
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)');
+
+  // Current state of each saved plan. `data` is the same JSON blob the
+  // frontend keeps in localStorage ({ plan, years, programs, refinements }).
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL DEFAULT 'My Degree Plan',
+      data TEXT NOT NULL,
+      version INTEGER NOT NULL DEFAULT 1,
+      client_updated_at INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_plans_user ON plans(user_id)');
+
+  // Every saved revision of a plan, so an overwritten sync can be recovered
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS plan_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      client_updated_at INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(plan_id, version),
+      FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Read-only plan snapshots shared with advisors via an unguessable link token.
+  // owner_key_hash lets the student who created the link revoke it / resolve comments.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS shared_plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token TEXT NOT NULL UNIQUE,
+      owner_key_hash TEXT NOT NULL,
+      user_id INTEGER,
+      title TEXT,
+      student_name TEXT,
+      data TEXT NOT NULL,
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Advisor comments on a shared plan; course_id NULL means the comment is on the whole term
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS shared_plan_comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shared_plan_id INTEGER NOT NULL,
+      year_id TEXT NOT NULL,
+      term TEXT NOT NULL,
+      course_id TEXT,
+      course_name TEXT,
+      author_name TEXT,
+      body TEXT NOT NULL,
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (shared_plan_id) REFERENCES shared_plans(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_shared_plan_comments_plan ON shared_plan_comments(shared_plan_id)');
+
+  // Seat watches: notify a student when a section's seatsAvailable or
+  // waitlistAvailable crosses their threshold. last_value is what the previous
+  // scrape saw, so a notification fires once per crossing rather than every scrape.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS watches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      unique_id TEXT NOT NULL,
+      field TEXT NOT NULL DEFAULT 'seatsAvailable',
+      direction TEXT NOT NULL DEFAULT 'above',
+      threshold INTEGER NOT NULL DEFAULT 1,
+      last_value INTEGER,
+      last_notified_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, unique_id, field, direction),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_watches_unique_id ON watches(unique_id)');
+
+  // Notifications produced by watches, waiting for the student's client to pick them up
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS watch_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      watch_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      unique_id TEXT NOT NULL,
+      field TEXT NOT NULL,
+      previous_value INTEGER,
+      value INTEGER,
+      message TEXT NOT NULL,
+      delivered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (watch_id) REFERENCES watches(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_watch_notifications_pending ON watch_notifications(user_id, delivered_at)');
+}
+
+module.exports = {
+  up,
+  // Dropping every table isn't a rollback anyone wants
+  down: null,
+};
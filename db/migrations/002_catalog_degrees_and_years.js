@@ -0,0 +1,43 @@
+// catalog_degrees and catalog_years were read and written by the catalog
+// endpoints but never created by the server, so a fresh database only worked
+// if someone had created them by hand.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS catalog_degrees (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      credits INTEGER,
+      catalog_year TEXT NOT NULL,
+      degree_type TEXT,
+      college TEXT,
+      url TEXT,
+      source_type TEXT DEFAULT 'api',
+      external_id TEXT,
+      narrative TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(name, catalog_year)
+    )
+  `);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_catalog_degrees_year ON catalog_degrees(catalog_year)');
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_catalog_degrees_name ON catalog_degrees(name)');
+
+  // One row per catalog year that has been loaded, and where it came from
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS catalog_years (
+      year TEXT PRIMARY KEY,
+      loaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      source TEXT
+    )
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS catalog_years');
+  await db.exec('DROP TABLE IF EXISTS catalog_degrees');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Databases created before migrations existed got these columns from
+// ALTER TABLE statements at startup, or are still missing them. New
+// databases already have them from 001/002, so each add is skipped when the
+// column is present.
+
+const LEGACY_COLUMNS = [
+  ['catalog_degrees', 'external_id', 'TEXT'],
+  ['catalog_courses', 'prerequisite_tree', 'TEXT'],
+  ['catalog_minors', 'courses', 'TEXT'],
+  ['catalog_minors', 'required_courses', 'TEXT'],
+  ['catalog_minors', 'elective_courses', 'TEXT'],
+  ['catalog_certificates', 'courses', 'TEXT'],
+  ['catalog_certificates', 'required_courses', 'TEXT'],
+  ['catalog_certificates', 'elective_courses', 'TEXT'],
+];
+
+async function addColumnIfMissing(db, table, column, type) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+async function up(db) {
+  for (const [table, column, type] of LEGACY_COLUMNS) {
+    await addColumnIfMissing(db, table, column, type);
+  }
+}
+
+// The columns belong to the baseline schema, so there is nothing to undo
+async function down() {}
+
+module.exports = { up, down };
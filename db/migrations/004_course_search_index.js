@@ -0,0 +1,90 @@
+// Full-text indexes for course search, replacing the chains of leading-
+// wildcard LIKEs. After this migration, index rows are written by the
+// repositories (see server/repositories/searchIndex.js); the fts5vocab
+// tables list indexed words for typo correction.
+//
+// The backfill below is a copy of the index documents as they were built
+// when this migration was written, so later changes to the app's indexing
+// don't change what this migration does.
+
+const FTS_OPTIONS = "tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'";
+
+function stripTags(text) {
+  if (!text) return '';
+  return String(text).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// "CPT S 121" plus the compact "CPTS121" / "CPTS 121" forms people type
+function codeText(prefix, number, code) {
+  const base = code || [prefix, number].filter(Boolean).join(' ');
+  if (!prefix || !number) return base;
+  const compactPrefix = prefix.replace(/\s+/g, '');
+  const forms = [base, `${compactPrefix}${number}`];
+  if (compactPrefix !== prefix) forms.push(`${compactPrefix} ${number}`);
+  return forms.join(' ');
+}
+
+function instructorNames(row) {
+  if (row.instructor) return row.instructor;
+  try {
+    const list = JSON.parse(row.instructors || '[]');
+    return list
+      .map(i => (typeof i === 'string' ? i : [i.firstName || i.first, i.lastName || i.last].filter(Boolean).join(' ')))
+      .filter(Boolean)
+      .join(', ');
+  } catch (e) {
+    return '';
+  }
+}
+
+const BACKFILL = [
+  {
+    table: 'courses_fts',
+    select: 'SELECT id, prefix, courseNumber, title, courseDescription, instructor, instructors FROM courses',
+    document: row => [
+      codeText(row.prefix, row.courseNumber),
+      row.title || '',
+      stripTags(row.courseDescription),
+      stripTags(instructorNames(row)),
+    ],
+  },
+  {
+    table: 'catalog_courses_fts',
+    select: 'SELECT id, code, prefix, number, title, description FROM catalog_courses',
+    document: row => [codeText(row.prefix, row.number, row.code), row.title || '', stripTags(row.description), ''],
+  },
+];
+
+async function up(db) {
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS courses_fts
+    USING fts5(code, title, description, instructor, ${FTS_OPTIONS})
+  `);
+  await db.exec('CREATE VIRTUAL TABLE IF NOT EXISTS courses_fts_vocab USING fts5vocab(courses_fts, row)');
+
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS catalog_courses_fts
+    USING fts5(code, title, description, instructor, ${FTS_OPTIONS})
+  `);
+  await db.exec('CREATE VIRTUAL TABLE IF NOT EXISTS catalog_courses_fts_vocab USING fts5vocab(catalog_courses_fts, row)');
+
+  for (const { table, select, document } of BACKFILL) {
+    await db.run(`DELETE FROM ${table}`);
+    const rows = await db.all(select);
+    for (const row of rows) {
+      await db.run(
+        `INSERT INTO ${table} (rowid, code, title, description, instructor) VALUES (?, ?, ?, ?, ?)`,
+        [row.id, ...document(row)]
+      );
+    }
+  }
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS catalog_courses_fts_vocab');
+  await db.exec('DROP TABLE IF EXISTS catalog_courses_fts');
+  await db.exec('DROP TABLE IF EXISTS courses_fts_vocab');
+  await db.exec('DROP TABLE IF EXISTS courses_fts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,85 @@
+// Meeting days and times parsed out of each section's `dayTime` so
+// /api/courses can filter on them. meetingDayMask has one bit per day
+// (M=1, T=2, W=4, R=8, F=16, S=32, U=64); meetingStart/meetingEnd are
+// minutes after midnight. All three are NULL for arranged and async sections.
+// 006 moves these into course_meetings and drops the columns.
+//
+// The parsing below is a copy of server/services/meetingTimes.js as it was
+// when this migration was written, so later changes to the live parser
+// don't change what this migration does.
+
+const DAY_ORDER = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+const DAY_BITS = Object.fromEntries(DAY_ORDER.map((day, i) => [day, 1 << i]));
+
+function normalizeDay(token) {
+  const u = token.toUpperCase();
+  if (u === 'R' || u.startsWith('TH')) return 'R';
+  if (u.startsWith('SU') || u === 'U') return 'U';
+  if (u.startsWith('SA') || u === 'S') return 'S';
+  if (u.startsWith('T')) return 'T';
+  if (u.startsWith('M')) return 'M';
+  if (u.startsWith('W')) return 'W';
+  if (u.startsWith('F')) return 'F';
+  return null;
+}
+
+function parseDays(text) {
+  const tokens = /[,\s]/.test(text) || text.length > 5
+    ? String(text).split(/[^A-Za-z]+/).filter(Boolean)
+    : String(text).split('');
+  const days = new Set(tokens.map(normalizeDay).filter(Boolean));
+  return DAY_ORDER.filter(day => days.has(day));
+}
+
+function clockMinutes(text) {
+  const m = String(text).match(/^(\d{1,2})(?:[:.](\d{1,2}))?$/);
+  if (!m) return null;
+  const hours = parseInt(m[1], 10);
+  const minutes = m[2] ? parseInt(m[2], 10) : 0;
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function meetingColumns(dayTime) {
+  const none = { meetingDayMask: null, meetingStart: null, meetingEnd: null };
+  if (!dayTime || dayTime.includes('ARR') || dayTime === 'AARGT') return none;
+  const m = dayTime.match(/^\s*([A-Za-z,\s]+?)\s*(\d{1,2}(?:[:.]\d{1,2})?)-(\d{1,2}(?:[:.]\d{1,2})?)\s*$/);
+  if (!m) return none;
+  const days = parseDays(m[1]);
+  const start = clockMinutes(m[2]);
+  const end = clockMinutes(m[3]);
+  if (!days.length || start === null || end === null) return none;
+  return {
+    meetingDayMask: days.reduce((mask, day) => mask | DAY_BITS[day], 0),
+    meetingStart: start,
+    meetingEnd: end,
+  };
+}
+
+const COLUMNS = ['meetingDayMask', 'meetingStart', 'meetingEnd'];
+
+async function up(db) {
+  for (const column of COLUMNS) {
+    await db.exec(`ALTER TABLE courses ADD COLUMN ${column} INTEGER`);
+  }
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_courses_meeting_time ON courses(meetingStart, meetingEnd)');
+
+  const rows = await db.all("SELECT id, dayTime FROM courses WHERE dayTime IS NOT NULL AND dayTime != ''");
+  for (const row of rows) {
+    const values = meetingColumns(row.dayTime);
+    if (values.meetingDayMask === null) continue;
+    await db.run(
+      'UPDATE courses SET meetingDayMask = ?, meetingStart = ?, meetingEnd = ? WHERE id = ?',
+      [values.meetingDayMask, values.meetingStart, values.meetingEnd, row.id]
+    );
+  }
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_courses_meeting_time');
+  for (const column of COLUMNS) {
+    await db.exec(`ALTER TABLE courses DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { up, down };
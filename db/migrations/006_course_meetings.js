@@ -0,0 +1,168 @@
+// One row per day each section meets, parsed from its `meetings` list (or
+// `dayTime`), replacing the single meeting pattern 005 kept on `courses`.
+// Rows are written by the courses repository whenever a section is saved.
+// Also indexes the columns /api/courses filters on.
+//
+// The parsing below is a copy of server/services/meetingTimes.js as it was
+// when this migration was written, so later changes to the live parser
+// don't change what this migration does.
+
+const DAY_ORDER = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+
+// Bit per day in 005's meetingDayMask, for restoring it on rollback
+const DAY_BITS = Object.fromEntries(DAY_ORDER.map((day, i) => [day, 1 << i]));
+
+function normalizeDay(token) {
+  const u = token.toUpperCase();
+  if (u === 'R' || u.startsWith('TH')) return 'R';
+  if (u.startsWith('SU') || u === 'U') return 'U';
+  if (u.startsWith('SA') || u === 'S') return 'S';
+  if (u.startsWith('T')) return 'T';
+  if (u.startsWith('M')) return 'M';
+  if (u.startsWith('W')) return 'W';
+  if (u.startsWith('F')) return 'F';
+  return null;
+}
+
+function parseDays(text) {
+  text = String(text);
+  const tokens = /[,\s]/.test(text) || text.length > 5
+    ? text.split(/[^A-Za-z]+/).filter(Boolean)
+    : text.match(/T[UuHh]|S[AaUu]|[A-Za-z]/g) || [];
+  const days = new Set(tokens.map(normalizeDay).filter(Boolean));
+  return DAY_ORDER.filter(day => days.has(day));
+}
+
+function clockMinutes(text) {
+  const m = String(text).trim().match(/^(\d{1,2})(?:[:.](\d{1,2}))?(?:\s*([ap])\.?m\.?)?$/i);
+  if (!m) return null;
+  let hours = parseInt(m[1], 10);
+  const minutes = m[2] ? parseInt(m[2], 10) : 0;
+  const meridiem = m[3] && m[3].toLowerCase();
+  if (meridiem && (hours < 1 || hours > 12)) return null;
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function parseDayTime(dayTime) {
+  if (!dayTime || dayTime.includes('ARR') || dayTime === 'AARGT') return null;
+  const m = dayTime.match(/^\s*([A-Za-z,\s]+?)\s*(\d{1,2}(?:[:.]\d{1,2})?)-(\d{1,2}(?:[:.]\d{1,2})?)\s*$/);
+  if (!m) return null;
+  const days = parseDays(m[1]);
+  const startMinute = clockMinutes(m[2]);
+  const endMinute = clockMinutes(m[3]);
+  if (!days.length || startMinute === null || endMinute === null) return null;
+  return { days, startMinute, endMinute };
+}
+
+function meetingList(meetings) {
+  if (Array.isArray(meetings)) return meetings;
+  if (typeof meetings !== 'string' || !meetings.trim()) return [];
+  try {
+    const parsed = JSON.parse(meetings);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return [];
+  }
+}
+
+function parseMeeting(meeting) {
+  if (!meeting) return null;
+  if (typeof meeting === 'string') return parseDayTime(meeting);
+  if (typeof meeting !== 'object') return null;
+
+  const combined = meeting.dayTime || meeting.daysTimes;
+  if (typeof combined === 'string') return parseDayTime(combined);
+
+  const rawDays = meeting.days ?? meeting.day ?? meeting.meetingDays ?? meeting.daysOfWeek;
+  const days = Array.isArray(rawDays) ? parseDays(rawDays.join(',')) : rawDays ? parseDays(String(rawDays)) : [];
+  const start = meeting.startTime ?? meeting.beginTime ?? meeting.timeStart;
+  const end = meeting.endTime ?? meeting.timeEnd;
+  const startMinute = start != null ? clockMinutes(start) : null;
+  const endMinute = end != null ? clockMinutes(end) : null;
+  if (!days.length || startMinute === null || endMinute === null) return null;
+  return { days, startMinute, endMinute };
+}
+
+function meetingRows({ meetings, dayTime }) {
+  let parsed = meetingList(meetings).map(parseMeeting).filter(Boolean);
+  if (!parsed.length) parsed = [parseDayTime(dayTime)].filter(Boolean);
+
+  const seen = new Set();
+  const rows = [];
+  for (const { days, startMinute, endMinute } of parsed) {
+    for (const day of days) {
+      const key = `${day}-${startMinute}-${endMinute}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      rows.push({ day, startMinute, endMinute });
+    }
+  }
+  return rows;
+}
+
+const MEETING_COLUMNS = ['meetingDayMask', 'meetingStart', 'meetingEnd'];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_course_meetings_course ON course_meetings(courseId)',
+  'CREATE INDEX IF NOT EXISTS idx_course_meetings_time ON course_meetings(day, startMinute, endMinute)',
+  'CREATE INDEX IF NOT EXISTS idx_courses_level ON courses(CAST(courseNumber AS INTEGER))',
+  'CREATE INDEX IF NOT EXISTS idx_courses_instruction_mode ON courses(instructionMode COLLATE NOCASE)',
+  'CREATE INDEX IF NOT EXISTS idx_courses_session ON courses(session COLLATE NOCASE)',
+  'CREATE INDEX IF NOT EXISTS idx_courses_waitlist ON courses(waitlistAvailable)',
+];
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS course_meetings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      courseId INTEGER NOT NULL,
+      day TEXT NOT NULL,
+      startMinute INTEGER NOT NULL,
+      endMinute INTEGER NOT NULL,
+      FOREIGN KEY (courseId) REFERENCES courses(id) ON DELETE CASCADE
+    )
+  `);
+  for (const sql of INDEXES) await db.exec(sql);
+
+  const sections = await db.all('SELECT id, dayTime, meetings FROM courses');
+  for (const section of sections) {
+    for (const row of meetingRows(section)) {
+      await db.run(
+        'INSERT INTO course_meetings (courseId, day, startMinute, endMinute) VALUES (?, ?, ?, ?)',
+        [section.id, row.day, row.startMinute, row.endMinute]
+      );
+    }
+  }
+
+  await db.exec('DROP INDEX IF EXISTS idx_courses_meeting_time');
+  for (const column of MEETING_COLUMNS) {
+    await db.exec(`ALTER TABLE courses DROP COLUMN ${column}`);
+  }
+}
+
+async function down(db) {
+  for (const column of MEETING_COLUMNS) {
+    await db.exec(`ALTER TABLE courses ADD COLUMN ${column} INTEGER`);
+  }
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_courses_meeting_time ON courses(meetingStart, meetingEnd)');
+  const rows = await db.all("SELECT id, dayTime FROM courses WHERE dayTime IS NOT NULL AND dayTime != ''");
+  for (const row of rows) {
+    const parsed = parseDayTime(row.dayTime);
+    if (!parsed) continue;
+    const mask = parsed.days.reduce((bits, day) => bits | DAY_BITS[day], 0);
+    await db.run(
+      'UPDATE courses SET meetingDayMask = ?, meetingStart = ?, meetingEnd = ? WHERE id = ?',
+      [mask, parsed.startMinute, parsed.endMinute, row.id]
+    );
+  }
+
+  for (const sql of INDEXES) {
+    await db.exec(`DROP INDEX IF EXISTS ${sql.match(/EXISTS (\w+)/)[1]}`);
+  }
+  await db.exec('DROP TABLE IF EXISTS course_meetings');
+}
+
+module.exports = { up, down };
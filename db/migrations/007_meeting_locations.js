@@ -0,0 +1,179 @@
+// Where and between which dates each course_meetings row meets: building
+// and room from the meeting (or the section's `location`), and ISO start/end
+// dates. Existing rows are rebuilt from the stored sections.
+//
+// Like 006, this keeps its own copy of the meeting parser (by now reading
+// locations and dates too) rather than requiring server/services/meetingTimes.
+
+const DAY_ORDER = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+
+function normalizeDay(token) {
+  const u = token.toUpperCase();
+  if (u === 'R' || u.startsWith('TH')) return 'R';
+  if (u.startsWith('SU') || u === 'U') return 'U';
+  if (u.startsWith('SA') || u === 'S') return 'S';
+  if (u.startsWith('T')) return 'T';
+  if (u.startsWith('M')) return 'M';
+  if (u.startsWith('W')) return 'W';
+  if (u.startsWith('F')) return 'F';
+  return null;
+}
+
+const DAY_NAME = /^(mon|tues?|wed|thu|thurs?|fri|sat|sun)(day)?$/i;
+
+function parseDays(text) {
+  text = String(text);
+  const tokens = /[,\s]/.test(text) || text.length > 5 || DAY_NAME.test(text)
+    ? text.split(/[^A-Za-z]+/).filter(Boolean)
+    : text.match(/T[UuHh]|S[AaUu]|[A-Za-z]/g) || [];
+  const days = new Set(tokens.map(normalizeDay).filter(Boolean));
+  return DAY_ORDER.filter(day => days.has(day));
+}
+
+function clockMinutes(text) {
+  const m = String(text).trim().match(/^(\d{1,2})(?:[:.](\d{1,2}))?(?:\s*([ap])\.?m\.?)?$/i);
+  if (!m) return null;
+  let hours = parseInt(m[1], 10);
+  const minutes = m[2] ? parseInt(m[2], 10) : 0;
+  const meridiem = m[3] && m[3].toLowerCase();
+  if (meridiem && (hours < 1 || hours > 12)) return null;
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function parseDayTime(dayTime) {
+  if (!dayTime || dayTime.includes('ARR') || dayTime === 'AARGT') return null;
+  const m = dayTime.match(/^\s*([A-Za-z,\s]+?)\s*(\d{1,2}(?:[:.]\d{1,2})?)-(\d{1,2}(?:[:.]\d{1,2})?)\s*$/);
+  if (!m) return null;
+  const days = parseDays(m[1]);
+  const startMinute = clockMinutes(m[2]);
+  const endMinute = clockMinutes(m[3]);
+  if (!days.length || startMinute === null || endMinute === null) return null;
+  return { days, startMinute, endMinute };
+}
+
+function meetingList(meetings) {
+  if (Array.isArray(meetings)) return meetings;
+  if (typeof meetings !== 'string' || !meetings.trim()) return [];
+  try {
+    const parsed = JSON.parse(meetings);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return [];
+  }
+}
+
+function parseLocation(text) {
+  if (typeof text !== 'string') return null;
+  const m = text.trim().match(/^(.*\S)\s+(\S+)$/);
+  if (!m || !/\d/.test(m[2])) return null;
+  const building = m[1].toUpperCase().replace(/\s+/g, ' ');
+  if (/^(ARR|TBA|TBD|ONLINE)/.test(building)) return null;
+  return { building, room: m[2].toUpperCase() };
+}
+
+function isoDate(value) {
+  if (typeof value !== 'string') return null;
+  const iso = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const us = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  return null;
+}
+
+function parseMeeting(meeting) {
+  if (!meeting) return null;
+  if (typeof meeting === 'string') return parseDayTime(meeting);
+  if (typeof meeting !== 'object') return null;
+
+  const building = meeting.building || meeting.bldg;
+  const room = meeting.room ?? meeting.roomNumber;
+  const place = building
+    ? { building: String(building).trim().toUpperCase(), room: room != null ? String(room).trim().toUpperCase() : null }
+    : parseLocation(meeting.location || meeting.where);
+  const extras = {
+    ...place,
+    startDate: isoDate(meeting.startDate ?? meeting.start_date ?? meeting.beginDate),
+    endDate: isoDate(meeting.endDate ?? meeting.end_date),
+  };
+
+  const combined = meeting.dayTime || meeting.daysTimes;
+  if (typeof combined === 'string') {
+    const parsed = parseDayTime(combined);
+    return parsed && { ...parsed, ...extras };
+  }
+
+  const rawDays = meeting.days ?? meeting.day ?? meeting.meetingDays ?? meeting.daysOfWeek;
+  const days = Array.isArray(rawDays) ? parseDays(rawDays.join(',')) : rawDays ? parseDays(String(rawDays)) : [];
+  const start = meeting.startTime ?? meeting.beginTime ?? meeting.timeStart;
+  const end = meeting.endTime ?? meeting.timeEnd;
+  const startMinute = start != null ? clockMinutes(start) : null;
+  const endMinute = end != null ? clockMinutes(end) : null;
+  if (!days.length || startMinute === null || endMinute === null) return null;
+  return { days, startMinute, endMinute, ...extras };
+}
+
+function sectionLocations(location, n) {
+  const parts = typeof location === 'string' ? location.split(/[,;]/).map(parseLocation) : [];
+  if (parts.length === n) return parts;
+  if (parts.length === 1) return Array(n).fill(parts[0]);
+  return Array(n).fill(null);
+}
+
+function meetingRows({ meetings, dayTime, location, startDate, endDate }) {
+  let parsed = meetingList(meetings).map(parseMeeting).filter(Boolean);
+  if (!parsed.length) parsed = [parseDayTime(dayTime)].filter(Boolean);
+  const places = sectionLocations(location, parsed.length);
+
+  const seen = new Set();
+  const rows = [];
+  parsed.forEach((meeting, i) => {
+    const place = meeting.building ? meeting : places[i] || {};
+    const row = {
+      startMinute: meeting.startMinute,
+      endMinute: meeting.endMinute,
+      building: place.building || null,
+      room: place.room || null,
+      startDate: meeting.startDate || isoDate(startDate),
+      endDate: meeting.endDate || isoDate(endDate),
+    };
+    for (const day of meeting.days) {
+      const key = [day, row.startMinute, row.endMinute, row.building, row.room].join('-');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      rows.push({ day, ...row });
+    }
+  });
+  return rows;
+}
+
+const COLUMNS = ['building', 'room', 'startDate', 'endDate'];
+
+async function up(db) {
+  for (const column of COLUMNS) {
+    await db.exec(`ALTER TABLE course_meetings ADD COLUMN ${column} TEXT`);
+  }
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_course_meetings_room ON course_meetings(building, room, day, startMinute)');
+
+  await db.exec('DELETE FROM course_meetings');
+  const sections = await db.all('SELECT id, dayTime, meetings, location, startDate, endDate FROM courses');
+  for (const section of sections) {
+    for (const row of meetingRows(section)) {
+      await db.run(`
+        INSERT INTO course_meetings (courseId, day, startMinute, endMinute, building, room, startDate, endDate)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [section.id, row.day, row.startMinute, row.endMinute, row.building, row.room, row.startDate, row.endDate]);
+    }
+  }
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_course_meetings_room');
+  for (const column of COLUMNS) {
+    await db.exec(`ALTER TABLE course_meetings DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { up, down };
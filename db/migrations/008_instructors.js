@@ -0,0 +1,118 @@
+// Instructors as rows of their own, one per person across every term, linked
+// to the sections they teach. Parsed from each section's `instructors` JSON
+// or `instructor` text; the courses repository keeps the links current.
+//
+// The name parsing is copied from server/services/instructors.js rather than
+// required, so the backfill stays as it was when this migration shipped.
+
+const PLACEHOLDERS = new Set(['staff', 'tba', 'tbd', 'to be announced', 'arr']);
+
+function clean(text) {
+  return String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// "Jane Q. Doe" and "jane doe" share a key: first and last word, letters only
+function instructorKey(name) {
+  const words = clean(name).toLowerCase().replace(/[^a-z\s'-]/g, '').split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  return words.length === 1 ? words[0] : `${words[0]} ${words[words.length - 1]}`;
+}
+
+function person(name, firstName, lastName) {
+  name = clean(name);
+  if (!name || PLACEHOLDERS.has(name.toLowerCase())) return null;
+  const key = instructorKey(name);
+  if (!key) return null;
+  const words = name.split(' ');
+  return {
+    key,
+    name,
+    firstName: clean(firstName) || (words.length > 1 ? words[0] : null),
+    lastName: clean(lastName) || words[words.length - 1],
+  };
+}
+
+function fromJson(instructors) {
+  let list = instructors;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list.map(entry => {
+    if (typeof entry === 'string') return person(entry);
+    if (!entry || typeof entry !== 'object') return null;
+    const first = entry.firstName || entry.first;
+    const last = entry.lastName || entry.last;
+    return person(entry.name || [first, last].filter(Boolean).join(' '), first, last);
+  });
+}
+
+// "Doe, Jane" is one name; "Jane Doe, Sam Lee" and "Jane Doe; Sam Lee" are two
+function fromText(text) {
+  text = clean(text);
+  if (!text) return [];
+  const parts = text.split(/;|\band\b|&/i).flatMap(part => {
+    const pieces = part.split(',').map(p => p.trim()).filter(Boolean);
+    if (pieces.length === 2 && !pieces.some(p => p.includes(' '))) {
+      return [`${pieces[1]} ${pieces[0]}`];
+    }
+    return pieces;
+  });
+  return parts.map(name => person(name));
+}
+
+function sectionInstructors({ instructors, instructor }) {
+  let people = fromJson(instructors).filter(Boolean);
+  if (!people.length) people = fromText(instructor).filter(Boolean);
+  const seen = new Set();
+  return people.filter(p => !seen.has(p.key) && seen.add(p.key));
+}
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS instructors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nameKey TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      firstName TEXT,
+      lastName TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS course_instructors (
+      courseId INTEGER NOT NULL,
+      instructorId INTEGER NOT NULL,
+      PRIMARY KEY (courseId, instructorId),
+      FOREIGN KEY (courseId) REFERENCES courses(id) ON DELETE CASCADE,
+      FOREIGN KEY (instructorId) REFERENCES instructors(id) ON DELETE CASCADE
+    )
+  `);
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_course_instructors_instructor ON course_instructors(instructorId)');
+
+  const sections = await db.all('SELECT id, instructor, instructors FROM courses ORDER BY id');
+  for (const section of sections) {
+    for (const { key, name, firstName, lastName } of sectionInstructors(section)) {
+      await db.run(
+        'INSERT OR IGNORE INTO instructors (nameKey, name, firstName, lastName) VALUES (?, ?, ?, ?)',
+        [key, name, firstName, lastName]
+      );
+      await db.run(`
+        INSERT OR IGNORE INTO course_instructors (courseId, instructorId)
+        SELECT ?, id FROM instructors WHERE nameKey = ?
+      `, [section.id, key]);
+    }
+  }
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_course_instructors_instructor');
+  await db.exec('DROP TABLE IF EXISTS course_instructors');
+  await db.exec('DROP TABLE IF EXISTS instructors');
+}
+
+module.exports = { up, down };
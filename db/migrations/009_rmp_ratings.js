@@ -0,0 +1,35 @@
+// RateMyProfessors data in SQLite instead of the proxy's in-memory map:
+// `rmp_cache` holds proxy responses by lookup key, `instructor_ratings` the
+// rating matched to each instructor, refreshed in the background.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS rmp_cache (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      fetchedAt TEXT NOT NULL
+    )
+  `);
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS instructor_ratings (
+      instructorId INTEGER PRIMARY KEY,
+      legacyId TEXT,
+      matchedName TEXT,
+      avgRating REAL,
+      avgDifficulty REAL,
+      wouldTakeAgainPercent REAL,
+      numRatings INTEGER,
+      fetchedAt TEXT NOT NULL,
+      FOREIGN KEY (instructorId) REFERENCES instructors(id) ON DELETE CASCADE
+    )
+  `);
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_instructor_ratings_fetched ON instructor_ratings(fetchedAt)');
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_instructor_ratings_fetched');
+  await db.exec('DROP TABLE IF EXISTS instructor_ratings');
+  await db.exec('DROP TABLE IF EXISTS rmp_cache');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// Admin API access: role-scoped API tokens (`admin_tokens`, stored hashed
+// like user sessions) and the `audit_log` of every destructive or ingest
+// action, written by the admin routes and the n8n webhooks.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('admin', 'data-ingest', 'read-only')),
+      token_hash TEXT NOT NULL UNIQUE,
+      created_by TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP
+    )
+  `);
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      role TEXT,
+      action TEXT NOT NULL,
+      target TEXT,
+      status INTEGER,
+      ip TEXT,
+      details TEXT
+    )
+  `);
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at)');
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_audit_log_action');
+  await db.exec('DROP INDEX IF EXISTS idx_audit_log_created');
+  await db.exec('DROP TABLE IF EXISTS audit_log');
+  await db.exec('DROP TABLE IF EXISTS admin_tokens');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Webhook records that failed validation, kept with their errors so they can
+// be inspected and replayed (possibly corrected) through /api/admin.
+// `payload` is always something the same endpoint accepts on its own.
+// A letter is 'replaying' while its replay waits in the ingest queue.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      endpoint TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      errors TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'replaying', 'replayed', 'discarded')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_status ON webhook_dead_letters(status, endpoint)');
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_webhook_dead_letters_status');
+  await db.exec('DROP TABLE IF EXISTS webhook_dead_letters');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Stored webhook responses keyed by Idempotency-Key (or, without one, by the
+// request signature), so a retried batch gets the original answer instead of
+// being ingested twice. Rows expire; see middleware/idempotency.js.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_idempotency_keys (
+      endpoint TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'processing' CHECK (state IN ('processing', 'completed')),
+      status_code INTEGER,
+      response TEXT,
+      created_at TEXT NOT NULL,
+      completed_at TEXT,
+      PRIMARY KEY (endpoint, idempotency_key)
+    )
+  `);
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_idempotency_created ON webhook_idempotency_keys(created_at)');
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_webhook_idempotency_created');
+  await db.exec('DROP TABLE IF EXISTS webhook_idempotency_keys');
+}
+
+module.exports = { up, down };
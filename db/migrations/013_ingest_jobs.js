@@ -0,0 +1,42 @@
+// Queue of webhook ingests (`ingest_jobs`). Webhooks store the request body
+// here and answer 202; the worker in services/ingestQueue.js processes jobs
+// and records progress, counts and the final result. The payload is dropped
+// once a job completes and kept for failed ones. resume_offset is how many
+// valid records a chunked ingest has committed, for resuming after a crash.
+// status_token_hash is the hash of the token in the job's statusUrl, which
+// lets whoever queued the job poll it without an admin token.
+// dead_letter_id is set on jobs that replay a dead letter.
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS ingest_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      endpoint TEXT NOT NULL,
+      payload TEXT,
+      status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+      total INTEGER NOT NULL DEFAULT 0,
+      processed INTEGER NOT NULL DEFAULT 0,
+      added INTEGER NOT NULL DEFAULT 0,
+      updated INTEGER NOT NULL DEFAULT 0,
+      failed INTEGER NOT NULL DEFAULT 0,
+      result TEXT,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      resume_offset INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT,
+      status_token_hash TEXT,
+      dead_letter_id INTEGER,
+      created_at TEXT NOT NULL,
+      started_at TEXT,
+      finished_at TEXT
+    )
+  `);
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_ingest_jobs_status ON ingest_jobs(status, id)');
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_ingest_jobs_status');
+  await db.exec('DROP TABLE IF EXISTS ingest_jobs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,275 @@
+// Versioned schema migrations for the SQLite database.
+//
+// Migrations live in db/migrations as NNN_description.js and export
+//   { up(db), down(db) }
+// where `db` exposes promise-based run/get/all/exec. `down` may be null for
+// migrations that can't be reversed (e.g. the baseline). Each migration runs
+// in its own transaction unless it exports `transaction: false`.
+//
+// Applied versions are recorded in schema_migrations. A row is written with
+// state 'running' before a migration starts and flipped to 'applied' in the
+// same transaction as the schema change, so a crash mid-migration leaves a
+// 'running' row behind and check() reports the database as dirty.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    Object.assign(this, details);
+  }
+}
+
+function promisify(sqliteDb) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      sqliteDb.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      sqliteDb.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      sqliteDb.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    exec: (sql) => new Promise((resolve, reject) => {
+      sqliteDb.exec(sql, (err) => (err ? reject(err) : resolve()));
+    }),
+  };
+}
+
+function loadMigrations(dir) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const mod = require(path.join(dir, file));
+      if (typeof mod.up !== 'function') {
+        throw new MigrationError(`Migration ${file} does not export an up() function`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: mod.up,
+        down: typeof mod.down === 'function' ? mod.down : null,
+        transaction: mod.transaction !== false,
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new MigrationError(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * @param {sqlite3.Database} sqliteDb - Open database handle
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Migrations directory (default db/migrations)
+ * @param {Function} [options.log] - Progress logger, called with one string per step
+ */
+function createMigrator(sqliteDb, options = {}) {
+  const db = promisify(sqliteDb);
+  const dir = options.dir || MIGRATIONS_DIR;
+  const log = options.log || (() => {});
+  const migrations = loadMigrations(dir);
+
+  async function ensureTable() {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'applied',
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async function inTransaction(migration, fn) {
+    if (!migration.transaction) return fn();
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      const result = await fn();
+      await db.run('COMMIT');
+      return result;
+    } catch (err) {
+      await db.run('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * Every known migration with its state, plus rows in schema_migrations
+   * that no longer have a file (e.g. after checking out an older release).
+   */
+  async function status() {
+    await ensureTable();
+    const rows = await db.all('SELECT version, name, state, applied_at FROM schema_migrations ORDER BY version');
+    const byVersion = new Map(rows.map(r => [r.version, r]));
+    const known = new Set(migrations.map(m => m.version));
+
+    const list = migrations.map(m => {
+      const row = byVersion.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        state: row ? row.state : 'pending',
+        appliedAt: row && row.state === 'applied' ? row.applied_at : null,
+        reversible: Boolean(m.down),
+      };
+    });
+    const unknown = rows.filter(r => !known.has(r.version))
+      .map(r => ({ version: r.version, name: r.name, state: r.state, appliedAt: r.applied_at }));
+    const dirty = rows.filter(r => r.state !== 'applied')
+      .map(r => ({ version: r.version, name: r.name, state: r.state }));
+
+    return {
+      migrations: list,
+      current: rows.filter(r => r.state === 'applied').reduce((max, r) => Math.max(max, r.version), 0),
+      latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+      pending: list.filter(m => m.state === 'pending'),
+      unknown,
+      dirty,
+    };
+  }
+
+  async function assertClean() {
+    const s = await status();
+    if (s.dirty.length) {
+      const v = s.dirty[0];
+      throw new MigrationError(
+        `Migration ${v.version} (${v.name}) was interrupted while ${v.state}. ` +
+        `Repair the schema by hand, then run "node db/migrate.js resolve ${v.version}".`,
+        { code: 'DIRTY', dirty: s.dirty }
+      );
+    }
+    if (s.unknown.length) {
+      throw new MigrationError(
+        `Database has migrations this release does not know about: ${s.unknown.map(u => u.version).join(', ')}. ` +
+        'It was migrated by a newer version of the server.',
+        { code: 'UNKNOWN_VERSION', unknown: s.unknown }
+      );
+    }
+    return s;
+  }
+
+  /**
+   * Apply pending migrations in order.
+   * @param {Object} [opts]
+   * @param {number} [opts.to] - Stop after this version
+   * @returns {Array} Migrations that were applied
+   */
+  async function migrate(opts = {}) {
+    const s = await assertClean();
+    const target = opts.to != null ? opts.to : s.latest;
+    const applied = [];
+
+    for (const m of migrations) {
+      if (m.version > target) break;
+      if (!s.pending.some(p => p.version === m.version)) continue;
+
+      log(`Applying ${m.file}`);
+      await db.run('INSERT INTO schema_migrations (version, name, state) VALUES (?, ?, ?)', [m.version, m.name, 'running']);
+      try {
+        await inTransaction(m, async () => {
+          await m.up(db);
+          await db.run("UPDATE schema_migrations SET state = 'applied', applied_at = CURRENT_TIMESTAMP WHERE version = ?", [m.version]);
+        });
+      } catch (err) {
+        // Transactional migrations rolled back cleanly, so forget the attempt.
+        // Non-transactional ones may have half-applied and stay marked dirty.
+        if (m.transaction) {
+          await db.run('DELETE FROM schema_migrations WHERE version = ?', [m.version]);
+        }
+        throw new MigrationError(`Migration ${m.file} failed: ${err.message}`, { code: 'FAILED', version: m.version, cause: err });
+      }
+      applied.push({ version: m.version, name: m.name });
+    }
+    return applied;
+  }
+
+  /**
+   * Revert applied migrations, newest first.
+   * @param {Object} [opts]
+   * @param {number} [opts.steps=1] - How many migrations to revert
+   * @param {number} [opts.to] - Revert everything above this version (overrides steps)
+   * @returns {Array} Migrations that were reverted
+   */
+  async function rollback(opts = {}) {
+    const s = await assertClean();
+    const appliedDesc = s.migrations.filter(m => m.state === 'applied').reverse();
+    const toRevert = opts.to != null
+      ? appliedDesc.filter(m => m.version > opts.to)
+      : appliedDesc.slice(0, opts.steps != null ? opts.steps : 1);
+
+    const irreversible = toRevert.find(m => !m.reversible);
+    if (irreversible) {
+      throw new MigrationError(`Migration ${irreversible.version} (${irreversible.name}) cannot be rolled back`, { code: 'IRREVERSIBLE' });
+    }
+
+    const reverted = [];
+    for (const entry of toRevert) {
+      const m = migrations.find(x => x.version === entry.version);
+      log(`Reverting ${m.file}`);
+      await db.run("UPDATE schema_migrations SET state = 'rolling-back' WHERE version = ?", [m.version]);
+      try {
+        await inTransaction(m, async () => {
+          await m.down(db);
+          await db.run('DELETE FROM schema_migrations WHERE version = ?', [m.version]);
+        });
+      } catch (err) {
+        if (m.transaction) {
+          await db.run("UPDATE schema_migrations SET state = 'applied' WHERE version = ?", [m.version]);
+        }
+        throw new MigrationError(`Rollback of ${m.file} failed: ${err.message}`, { code: 'FAILED', version: m.version, cause: err });
+      }
+      reverted.push({ version: m.version, name: m.name });
+    }
+    return reverted;
+  }
+
+  /**
+   * Startup guard: throws unless the database is clean and fully migrated.
+   * @returns {Object} status()
+   */
+  async function check() {
+    const s = await assertClean();
+    if (s.pending.length) {
+      throw new MigrationError(
+        `Database is at version ${s.current} but this release expects ${s.latest}. Run "npm run migrate".`,
+        { code: 'PENDING', pending: s.pending }
+      );
+    }
+    return s;
+  }
+
+  /**
+   * Mark an interrupted migration as done after repairing it by hand. An
+   * interrupted up() becomes 'applied'; an interrupted down() is removed.
+   */
+  async function resolve(version) {
+    await ensureTable();
+    const row = await db.get('SELECT version, state FROM schema_migrations WHERE version = ?', [version]);
+    if (!row) throw new MigrationError(`Migration ${version} has no record in schema_migrations`, { code: 'NOT_FOUND' });
+    if (row.state === 'running') {
+      await db.run("UPDATE schema_migrations SET state = 'applied', applied_at = CURRENT_TIMESTAMP WHERE version = ?", [version]);
+    } else if (row.state === 'rolling-back') {
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    }
+    return row.state;
+  }
+
+  return { status, migrate, rollback, check, resolve, migrations };
+}
+
+module.exports = { createMigrator, MigrationError, MIGRATIONS_DIR };
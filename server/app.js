@@ -0,0 +1,186 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const { httpLogger } = require('../logger');
+const { createRepositories } = require('./repositories');
+const { createWebhookAuth } = require('./middleware/webhookAuth');
+const { createUserAuth } = require('./middleware/userAuth');
+const { createAdminAuth } = require('./middleware/adminAuth');
+const { createAuditTrail } = require('./middleware/audit');
+const { createIdempotency } = require('./middleware/idempotency');
+const { createIngestQueue } = require('./services/ingestQueue');
+const { createCoursesRouter } = require('./routes/courses');
+const { createDegreesRouter } = require('./routes/degrees');
+const { createCatalogRouter } = require('./routes/catalog');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createAccountsRouter } = require('./routes/accounts');
+const { createSharedPlansRouter } = require('./routes/sharedPlans');
+const { createWatchesRouter } = require('./routes/watches');
+const { createRmpRouter } = require('./routes/rmp');
+const { createLlmRouter } = require('./routes/llm');
+const { createTranscriptRouter } = require('./routes/transcript');
+const { createRoomsRouter } = require('./routes/rooms');
+const { createInstructorsRouter } = require('./routes/instructors');
+const { createAdminRouter } = require('./routes/admin');
+const { createJobsRouter } = require('./routes/jobs');
+
+/**
+ * Build the Express app without listening, so tests can serve it on an
+ * ephemeral port against an in-memory database (see test/helpers).
+ * @param {Object} options
+ * @param {Object} options.db - Data-access handle from createDataAccess()
+ * @param {string[]} options.webhookSecrets - Active HMAC secrets for /webhook routes, newest first
+ * @param {boolean} [options.webhookAllowBearer] - Also accept `Authorization: Bearer <secret>` on /webhook routes
+ * @param {string} [options.adminToken] - Bootstrap admin-role token for /api/admin
+ * @param {number} [options.ingestConcurrency] - Webhook ingest jobs processed at once
+ * @returns {{ app: express.Application, repos: Object, ingestQueue: Object }} call ingestQueue.start() to process webhooks
+ */
+function createApp({ db, webhookSecrets, webhookAllowBearer = false, adminToken, ingestConcurrency = 1 }) {
+  if (!webhookSecrets?.length) throw new Error('createApp requires webhookSecrets');
+
+  const app = express();
+  const repos = createRepositories(db);
+  const webhookAuth = createWebhookAuth(webhookSecrets, { allowBearer: webhookAllowBearer });
+  const userAuth = createUserAuth(repos.users);
+  const adminAuth = createAdminAuth(repos.admin, adminToken);
+  const audited = createAuditTrail(repos.admin);
+  const idempotent = createIdempotency(repos.idempotency);
+  const ingestQueue = createIngestQueue(repos, { concurrency: ingestConcurrency });
+
+  // Configure `trust proxy` from env to avoid permissive defaults.
+  // By default we do NOT trust proxies (safer for rate-limiting).
+  // Set `TRUST_PROXY` env to 'true', 'false', a number, or an address list when behind a reverse proxy.
+  let trustProxyValue = false;
+  if (process.env.TRUST_PROXY !== undefined) {
+    const v = process.env.TRUST_PROXY;
+    if (v === 'true') trustProxyValue = true;
+    else if (v === 'false') trustProxyValue = false;
+    else if (!Number.isNaN(Number(v))) trustProxyValue = Number(v);
+    else trustProxyValue = v; // allow string like 'loopback' or a comma-separated list
+  }
+  app.set('trust proxy', trustProxyValue);
+  // Middleware
+  // Security: Lock down CORS to specific origins
+  const allowedOrigins = process.env.NODE_ENV === 'production'
+    ? ['https://virtual-counselor.org', 'https://n8n.virtual-counselor.org']
+    : ['http://localhost:3007', 'http://localhost:3009'];
+
+  app.use(cors({
+    origin: (origin, callback) => {
+      // Allow requests with no origin (like mobile apps or Postman)
+      if (!origin) return callback(null, true);
+
+      if (allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        callback(new Error(`Origin ${origin} not allowed by CORS`));
+      }
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization']
+  }));
+
+  // Security: Add helmet for secure HTTP headers
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        imgSrc: ["'self'", "data:", "https:"],
+      },
+    },
+    crossOriginEmbedderPolicy: false, // Allow embedding for API responses
+  }));
+
+  // Security: Rate limiting for API endpoints
+  const apiLimiter = rateLimit({
+    windowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS, 100) || 5 * 60 * 1000, // 5 minutes
+    max: parseInt(process.env.API_RATE_LIMIT_MAX, 100) || 100,
+    message: { error: 'Too many requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  // Security: Stricter rate limiting for webhooks (tunable via env vars)
+  const webhookLimiter = rateLimit({
+    windowMs: parseInt(process.env.WEBHOOK_RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000, // 1 minute
+    // Default bumped for internal scrapes; reduce in production if exposed publicly
+    max: parseInt(process.env.WEBHOOK_RATE_LIMIT_MAX, 10) || 200,
+    message: { error: 'Too many webhook calls, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  // Apply rate limiting
+  app.use('/api/', apiLimiter);
+
+  // Webhook rate limiting can be disabled by setting WEBHOOK_RATE_LIMIT_MAX=0
+  if (parseInt(process.env.WEBHOOK_RATE_LIMIT_MAX, 10) === 0) {
+    console.log('[WARN] Webhook rate limiting DISABLED via WEBHOOK_RATE_LIMIT_MAX=0');
+  } else {
+    app.use('/webhook/', webhookLimiter);
+  }
+
+  // Payload size: increased to allow large batch posts from n8n (tunable via env)
+  // Webhook signatures are over the exact bytes sent, so keep those too
+  app.use(express.json({
+    limit: process.env.EXPRESS_JSON_LIMIT || '50mb',
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/webhook/')) req.rawBody = buf;
+    },
+  }));
+  app.use(express.urlencoded({ extended: true, limit: process.env.EXPRESS_JSON_LIMIT || '50mb' }));
+
+  // Structured HTTP logging middleware
+  app.use(httpLogger);
+
+  // Health check
+  app.get('/health', async (req, res) => {
+    try {
+      const totalCourses = await repos.courses.count();
+      res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        database: 'connected',
+        totalCourses
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: 'unhealthy',
+        error: error.message
+      });
+    }
+  });
+
+  const deps = { repos, userAuth, webhookAuth, adminAuth, audited, idempotent, ingestQueue };
+  app.use('/api', createCoursesRouter(deps));
+  app.use('/api', createDegreesRouter(deps));
+  app.use('/api', createRmpRouter(deps));
+  app.use('/api', createAccountsRouter(deps));
+  app.use('/api', createSharedPlansRouter(deps));
+  app.use('/api', createWatchesRouter(deps));
+  app.use('/api', createCatalogRouter(deps));
+  app.use('/api', createLlmRouter(deps));
+  app.use('/api', createTranscriptRouter(deps));
+  app.use('/api', createRoomsRouter(deps));
+  app.use('/api', createInstructorsRouter(deps));
+  app.use('/api', createAdminRouter(deps));
+  app.use('/api', createJobsRouter(deps));
+  app.use('/webhook', createWebhooksRouter(deps));
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error('Error:', err);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: err.message
+    });
+  });
+
+  return { app, repos, ingestQueue };
+}
+
+module.exports = { createApp };
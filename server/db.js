@@ -0,0 +1,96 @@
+const sqlite3 = require('sqlite3').verbose();
+const { logger } = require('../logger');
+
+/**
+ * Open the SQLite database. Pass ':memory:' for a throwaway database (tests).
+ * Resolves once the file is open and the connection PRAGMAs are set.
+ */
+function openDatabase(file) {
+  return new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(file, (err) => {
+      if (err) return reject(err);
+      // Enable WAL mode for better concurrent access
+      handle.run('PRAGMA journal_mode = WAL');
+      handle.run('PRAGMA busy_timeout = 5000', () => resolve(handle)); // Wait up to 5 seconds for locks
+    });
+  });
+}
+
+/**
+ * Promise-based data access over a sqlite3 handle. This is the only object
+ * repositories see, so tests can hand them an in-memory database.
+ * @param {sqlite3.Database} handle
+ * @returns {{ run, get, all, withTransaction, handle }}
+ */
+function createDataAccess(handle) {
+  function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      handle.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      handle.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      handle.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // Transaction lock to prevent concurrent transactions (SQLite limitation)
+  let transactionLock = Promise.resolve();
+  let isInTransaction = false;
+
+  // Execute a function within a database transaction
+  // Automatically commits on success or rolls back on error
+  // Uses a lock to serialize concurrent transaction requests
+  async function withTransaction(callback) {
+    // Wait for any pending transaction to complete
+    const previousLock = transactionLock;
+    let releaseLock;
+    transactionLock = new Promise(resolve => { releaseLock = resolve; });
+
+    await previousLock;
+
+    if (isInTransaction) {
+      // Already in a transaction, just run the callback without wrapping
+      releaseLock();
+      return callback();
+    }
+
+    isInTransaction = true;
+    try {
+      await run('BEGIN IMMEDIATE');
+      const result = await callback();
+      await run('COMMIT');
+      return result;
+    } catch (error) {
+      try {
+        await run('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error('Rollback failed', { meta: { error: rollbackErr.message } });
+      }
+      throw error;
+    } finally {
+      isInTransaction = false;
+      releaseLock();
+    }
+  }
+
+  return { run, get, all, withTransaction, handle };
+}
+
+module.exports = { openDatabase, createDataAccess };
@@ -0,0 +1,34 @@
+// Standardized error response helpers
+function sendError(res, statusCode, message, details = null) {
+  const response = {
+    status: 'error',
+    message: message
+  };
+  if (details) {
+    response.details = details;
+  }
+  return res.status(statusCode).json(response);
+}
+
+function sendBadRequest(res, message, details = null) {
+  return sendError(res, 400, message, details);
+}
+
+function sendUnauthorized(res, message = 'Unauthorized') {
+  return sendError(res, 401, message);
+}
+
+function sendForbidden(res, message = 'Forbidden') {
+  return sendError(res, 403, message);
+}
+
+function sendNotFound(res, message = 'Resource not found') {
+  return sendError(res, 404, message);
+}
+
+function sendServerError(res, error) {
+  console.error('Server error:', error);
+  return sendError(res, 500, 'Internal server error', error.message);
+}
+
+module.exports = { sendError, sendBadRequest, sendUnauthorized, sendForbidden, sendNotFound, sendServerError };
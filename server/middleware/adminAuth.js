@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { logger } = require('../../logger');
+const { hashSessionToken, roleAllows } = require('../services/auth');
+const { sendUnauthorized, sendForbidden, sendServerError } = require('../http');
+
+function sameHash(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Admin API authentication: `Authorization: Bearer <token>` where the token
+ * is one issued through /api/admin/tokens or the bootstrap token from
+ * ADMIN_API_TOKEN (role admin). `requireRole(role)` builds the middleware
+ * for a route; it sets req.actor to { name, role, tokenId }.
+ * @param {Object} admin - Admin repository
+ * @param {string} [bootstrapToken]
+ */
+function createAdminAuth(admin, bootstrapToken) {
+  const bootstrapHash = bootstrapToken ? hashSessionToken(bootstrapToken) : null;
+
+  async function resolve(token) {
+    const tokenHash = hashSessionToken(token);
+    if (bootstrapHash && sameHash(tokenHash, bootstrapHash)) {
+      return { name: 'bootstrap', role: 'admin', tokenId: null };
+    }
+    const row = await admin.findActiveToken(tokenHash);
+    if (!row) return null;
+    await admin.touchToken(row.id);
+    return { name: row.name, role: row.role, tokenId: row.id };
+  }
+
+  function requireRole(role) {
+    return async (req, res, next) => {
+      const match = (req.headers['authorization'] || '').match(/^Bearer\s+(\S+)$/i);
+      if (!match) return sendUnauthorized(res, 'Admin token required');
+
+      try {
+        const actor = await resolve(match[1]);
+        if (!actor) {
+          logger.warn('Admin request rejected: invalid token', { meta: { ip: req.ip, path: req.path } });
+          return sendUnauthorized(res, 'Invalid or revoked admin token');
+        }
+        if (!roleAllows(actor.role, role)) {
+          logger.warn('Admin request rejected: insufficient role', { meta: { ip: req.ip, path: req.path, actor: actor.name, role: actor.role } });
+          return sendForbidden(res, `Requires the ${role} role`);
+        }
+        req.actor = actor;
+        next();
+      } catch (error) {
+        sendServerError(res, error);
+      }
+    };
+  }
+
+  return { requireRole };
+}
+
+module.exports = { createAdminAuth };
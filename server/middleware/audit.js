@@ -0,0 +1,46 @@
+const { logger } = require('../../logger');
+
+/**
+ * Audit trail middleware: `audited(action, options)` records one audit_log
+ * entry per request, written before the JSON response goes out so the
+ * entry is there once the caller has its answer. The actor comes from
+ * req.actor (set by adminAuth / webhookAuth).
+ * @param {Object} admin - Admin repository
+ */
+function createAuditTrail(admin) {
+  /**
+   * @param {string} action - e.g. "courses.clear", "ingest.courses"
+   * @param {Object} [options]
+   * @param {(req) => string|null} [options.target] - what the action touched
+   * @param {(body, req) => any} [options.details] - what to keep of the response body (default all of it)
+   */
+  return function audited(action, { target = () => null, details = body => body } = {}) {
+    return (req, res, next) => {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const actor = req.actor || { name: 'anonymous', role: null };
+        let entry;
+        try {
+          entry = {
+            actor: actor.name,
+            role: actor.role,
+            action,
+            target: target(req),
+            status: res.statusCode,
+            ip: req.ip,
+            details: details(body, req),
+          };
+        } catch (err) {
+          entry = { actor: actor.name, role: actor.role, action, status: res.statusCode, ip: req.ip };
+        }
+        admin.record(entry)
+          .catch(err => logger.error('Failed to write audit entry', { meta: { action, error: err.message } }))
+          .finally(() => json(body));
+        return res;
+      };
+      next();
+    };
+  };
+}
+
+module.exports = { createAuditTrail };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { logger } = require('../../logger');
+const { sendError, sendBadRequest, sendServerError } = require('../http');
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.WEBHOOK_IDEMPOTENCY_TTL_HOURS, 10) || 24;
+// A claim still processing after this long belongs to a request that died
+const ABANDONED_AFTER_MINUTES = 15;
+const VALID_KEY = /^[\x21-\x7e]{1,255}$/;
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+/**
+ * Idempotent webhooks: `idempotent(endpoint)` stores the response to a
+ * request under its Idempotency-Key header, or under its signature when it
+ * has no key, and answers retries with that stored response (marked with
+ * `Idempotent-Replayed: true`) instead of running the handler again.
+ * A key reused with a different body gets 422; one whose first request is
+ * still running gets 409. Server errors are not stored, so those retry.
+ * @param {Object} idempotency - Idempotency repository
+ */
+function createIdempotency(idempotency) {
+  return function idempotent(endpoint) {
+    return async (req, res, next) => {
+      const header = req.headers['idempotency-key'];
+      if (header !== undefined && !VALID_KEY.test(header)) {
+        return sendBadRequest(res, 'Idempotency-Key must be 1-255 printable ASCII characters');
+      }
+      const key = header ?? (req.webhookSignature && `signature:${req.webhookSignature}`);
+      if (!key) return next();
+
+      const requestHash = crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body ?? null)).digest('hex');
+      try {
+        const existing = await idempotency.claim({
+          endpoint, key, requestHash,
+          expiredBefore: hoursAgo(IDEMPOTENCY_TTL_HOURS),
+          abandonedBefore: hoursAgo(ABANDONED_AFTER_MINUTES / 60),
+        });
+        if (existing) {
+          if (existing.requestHash !== requestHash) {
+            return sendError(res, 422, 'Idempotency-Key was already used with a different payload');
+          }
+          if (existing.state === 'processing') {
+            return sendError(res, 409, 'A request with this Idempotency-Key is still being processed');
+          }
+          logger.info(`Webhook ${endpoint}: replaying stored response`, { meta: { key } });
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.statusCode).json(existing.response);
+        }
+      } catch (error) {
+        return sendServerError(res, error);
+      }
+
+      // Store the response before it goes out, so a retry sent as soon as
+      // the caller has it already finds it
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const settled = res.statusCode >= 500
+          ? idempotency.release({ endpoint, key })
+          : idempotency.complete({ endpoint, key, statusCode: res.statusCode, response: body });
+        settled
+          .catch(err => logger.error('Failed to store idempotent response', { meta: { endpoint, error: err.message } }))
+          .finally(() => json(body));
+        return res;
+      };
+      next();
+    };
+  };
+}
+
+module.exports = { createIdempotency };
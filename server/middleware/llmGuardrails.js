@@ -0,0 +1,60 @@
+// Guardrails in front of the LLM endpoints
+const rateLimit = require('express-rate-limit');
+const { executeNotebook } = require('../../prompt-search/scripts/execute_notebook');
+const { sendBadRequest } = require('../http');
+
+// Guardrail 1: Rate Limiter (Max 20 requests per hour)
+const createLlmRateLimiter = () => rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,
+  message: { error: 'rate_limit_exceeded', message: 'Maximum 20 LLM requests per hour allowed.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Guardrail 2: Input Sanitization
+const sanitizeLlmInput = (req, res, next) => {
+  const sanitizeStr = (str) => {
+    if (typeof str !== 'string') return str;
+    return str
+      .replace(/[\x00-\x1F\x7F-\x9F]/g, "") // Strip null bytes & control chars
+      .replace(/<[^>]*>?/gm, '');           // Strip HTML/script tags
+  };
+
+  if (req.body) {
+    if (req.body.question) {
+      req.body.question = sanitizeStr(req.body.question);
+      if (req.body.question.length > 500) {
+        return sendBadRequest(res, "payload_too_large", "Question exceeds 500 characters limit.");
+      }
+    }
+    if (req.body.query) {
+      req.body.query = sanitizeStr(req.body.query);
+      if (req.body.query.length > 500) {
+        return sendBadRequest(res, "payload_too_large", "Query exceeds 500 characters limit.");
+      }
+    }
+  }
+  next();
+};
+
+// Guardrail 3: Topic Classification Prompt
+async function isLlmTopicAllowed(question) {
+    const courseRegex = /[A-Z]{2,4}\s*S?\s*\d{3}/i;
+    if (courseRegex.test(question)) return true;
+
+    try {
+        const result = await executeNotebook('notebooks/production/api_advice.ipynb', {
+            question: `Is this question about WSU academic advising, courses, or degree planning? Answer ONLY with YES or NO. Question: "${question}"`,
+            use_rag: false 
+        });
+        
+        // If NO, return 400 with {error: "off_topic"}
+        const answer = result.answer.trim().toUpperCase();
+        return answer.includes("YES");
+    } catch (e) {
+        return true; // Failsafe to avoid blocking users on server errors
+    }
+}
+
+module.exports = { createLlmRateLimiter, sanitizeLlmInput, isLlmTopicAllowed };
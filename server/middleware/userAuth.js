@@ -0,0 +1,30 @@
+const { hashSessionToken, toPublicUser } = require('../services/auth');
+const { sendUnauthorized, sendServerError } = require('../http');
+
+// Student authentication middleware: resolves `Authorization: Bearer <session token>` to req.user
+function createUserAuth(users) {
+  return async (req, res, next) => {
+    const authHeader = req.headers['authorization'] || '';
+    const match = authHeader.match(/^Bearer\s+([a-f0-9]{64})$/i);
+    if (!match) {
+      return sendUnauthorized(res, 'Sign in required');
+    }
+
+    try {
+      const session = await users.findSession(hashSessionToken(match[1]));
+
+      if (!session || new Date(session.expires_at) <= new Date()) {
+        if (session) await users.deleteSession(session.token_hash);
+        return sendUnauthorized(res, 'Session expired, please sign in again');
+      }
+
+      req.user = toPublicUser(session);
+      req.sessionTokenHash = session.token_hash;
+      next();
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  };
+}
+
+module.exports = { createUserAuth };
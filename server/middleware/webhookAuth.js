@@ -0,0 +1,50 @@
+const { logger } = require('../../logger');
+const { safeEqual, verifySignature } = require('../services/webhookSignature');
+
+function reject(req, res, reason) {
+  logger.warn(`Webhook request rejected: ${reason}`, { meta: { ip: req.ip, path: req.path } });
+  return res.status(401).json({
+    success: false,
+    error: `Unauthorized: ${reason}`
+  });
+}
+
+/**
+ * Webhook authentication: requests must be HMAC-signed under one of the
+ * active secrets (see services/webhookSignature.js). The old
+ * `Authorization: Bearer <secret>` scheme is only accepted with
+ * `allowBearer`, while senders are being moved over.
+ * Sets req.actor and req.webhookSignature.
+ * @param {string[]} secrets - Active secrets, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.allowBearer=false]
+ * @param {number} [options.toleranceSeconds]
+ */
+function createWebhookAuth(secrets, { allowBearer = false, toleranceSeconds } = {}) {
+  return (req, res, next) => {
+    const signature = req.headers['x-webhook-signature'];
+
+    if (signature) {
+      const result = verifySignature(secrets, {
+        timestamp: req.headers['x-webhook-timestamp'],
+        signature,
+        rawBody: req.rawBody,
+      }, { toleranceSeconds });
+      if (result.error) return reject(req, res, result.error);
+      if (result.keyIndex > 0) {
+        logger.info('Webhook request signed with an older secret', { meta: { path: req.path, keyIndex: result.keyIndex } });
+      }
+      req.webhookSignature = signature;
+    } else {
+      const authHeader = req.headers['authorization'];
+      if (!allowBearer || !authHeader) return reject(req, res, 'Missing X-Webhook-Signature header');
+      if (!secrets.some(secret => safeEqual(authHeader, `Bearer ${secret}`))) return reject(req, res, 'Invalid credentials');
+    }
+
+    // Authentication successful; the shared secret acts as an ingest client
+    req.actor = { name: 'webhook', role: 'data-ingest' };
+    next();
+  };
+}
+
+module.exports = { createWebhookAuth };
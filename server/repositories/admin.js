@@ -0,0 +1,100 @@
+// Admin API tokens (`admin_tokens`) and the audit trail (`audit_log`).
+// Tokens are looked up by hash; the raw token is only ever shown once.
+
+// Longest `details` JSON kept per audit entry
+const MAX_DETAILS_LENGTH = 8000;
+
+function auditFilters({ action, actor, since, until }) {
+  const whereClauses = [];
+  const params = [];
+  if (action) {
+    // "courses.*" matches every courses action
+    if (action.endsWith('.*')) {
+      whereClauses.push('action LIKE ?');
+      params.push(`${action.slice(0, -1)}%`);
+    } else {
+      whereClauses.push('action = ?');
+      params.push(action);
+    }
+  }
+  if (actor) {
+    whereClauses.push('actor = ?');
+    params.push(actor);
+  }
+  if (since) {
+    whereClauses.push('created_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    whereClauses.push('created_at < ?');
+    params.push(until);
+  }
+  return { where: whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '', params };
+}
+
+function createAdminRepository(db) {
+  return {
+    async createToken({ name, role, tokenHash, createdBy }) {
+      const result = await db.run(
+        'INSERT INTO admin_tokens (name, role, token_hash, created_by) VALUES (?, ?, ?, ?)',
+        [name, role, tokenHash, createdBy]
+      );
+      return result.lastID;
+    },
+
+    // Unrevoked token by hash, or undefined
+    findActiveToken(tokenHash) {
+      return db.get('SELECT id, name, role FROM admin_tokens WHERE token_hash = ? AND revoked_at IS NULL', [tokenHash]);
+    },
+
+    touchToken(id) {
+      return db.run('UPDATE admin_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    },
+
+    listTokens() {
+      return db.all(`
+        SELECT id, name, role, created_by AS createdBy, created_at AS createdAt,
+          last_used_at AS lastUsedAt, revoked_at AS revokedAt
+        FROM admin_tokens ORDER BY id
+      `);
+    },
+
+    // true when an active token was revoked
+    async revokeToken(id) {
+      const result = await db.run('UPDATE admin_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [id]);
+      return result.changes > 0;
+    },
+
+    record({ actor, role = null, action, target = null, status = null, ip = null, details = null }) {
+      let json = details === null || details === undefined ? null : JSON.stringify(details);
+      if (json && json.length > MAX_DETAILS_LENGTH) {
+        json = JSON.stringify({ truncated: true, preview: json.slice(0, MAX_DETAILS_LENGTH) });
+      }
+      return db.run(
+        'INSERT INTO audit_log (created_at, actor, role, action, target, status, ip, details) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [new Date().toISOString(), actor, role, action, target, status, ip, json]
+      );
+    },
+
+    /**
+     * Audit entries, newest first, filtered by action (exact, or "prefix.*"),
+     * actor and an ISO [since, until) window. Returns { entries, total }.
+     */
+    async listAudit({ page = 1, limit = 50, ...filters } = {}) {
+      const { where, params } = auditFilters(filters);
+      const [rows, total] = await Promise.all([
+        db.all(`
+          SELECT id, created_at AS createdAt, actor, role, action, target, status, ip, details
+          FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?
+        `, [...params, limit, (page - 1) * limit]),
+        db.get(`SELECT COUNT(*) AS count FROM audit_log ${where}`, params),
+      ]);
+      return {
+        entries: rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null })),
+        total: total.count,
+      };
+    },
+  };
+}
+
+module.exports = { createAdminRepository };
@@ -0,0 +1,483 @@
+// Unified catalog data: programs (`catalog_degrees`, `catalog_minors`,
+// `catalog_certificates`), their `degree_requirements`, parsed
+// `catalog_courses`, loaded `catalog_years` and archived `catalog_pdfs`.
+const { createSearchIndex, hitsCte, withHighlights } = require('./searchIndex');
+
+// Program type -> table, and the column holding total credits (only degrees have one)
+const CATALOG_PROGRAM_TABLES = {
+  degree: { table: 'catalog_degrees', credits: 'credits' },
+  minor: { table: 'catalog_minors', credits: 'NULL' },
+  certificate: { table: 'catalog_certificates', credits: 'NULL' },
+};
+
+function programTable(type) {
+  const source = CATALOG_PROGRAM_TABLES[type];
+  if (!source) throw new Error(`Unknown catalog program type: ${type}`);
+  return source;
+}
+
+function createCatalogRepository(db) {
+  const searchIndex = createSearchIndex(db);
+
+  return {
+    // ---- Catalog years ----
+
+    listYears() {
+      return db.all('SELECT DISTINCT year FROM catalog_years ORDER BY year');
+    },
+
+    async hasYear(year) {
+      return Boolean(await db.get('SELECT year FROM catalog_years WHERE year = ?', [year]));
+    },
+
+    addYear(year, source) {
+      return db.run(
+        'INSERT INTO catalog_years (year, loaded_at, source) VALUES (?, datetime("now"), ?)',
+        [year, source]
+      );
+    },
+
+    async latestYear() {
+      const y = await db.get('SELECT year FROM catalog_years ORDER BY year DESC LIMIT 1');
+      return y ? y.year : null;
+    },
+
+    summary() {
+      return db.all(`
+        SELECT
+          cy.year,
+          cy.loaded_at,
+          cy.source,
+          (SELECT COUNT(*) FROM catalog_degrees WHERE catalog_year = cy.year) as degrees,
+          (SELECT COUNT(*) FROM catalog_minors WHERE catalog_year = cy.year) as minors,
+          (SELECT COUNT(*) FROM catalog_certificates WHERE catalog_year = cy.year) as certificates
+        FROM catalog_years cy
+        ORDER BY cy.year DESC
+      `);
+    },
+
+    // ---- Programs ----
+
+    // Degrees, minors and certificates for one catalog year in a single list
+    listAllPrograms(catalogYear, search) {
+      let whereClauses = ['catalog_year = ?'];
+      let params = [catalogYear];
+
+      if (search) {
+        whereClauses.push('name LIKE ?');
+        params.push(`%${search}%`);
+      }
+
+      const whereClause = 'WHERE ' + whereClauses.join(' AND ');
+
+      // Union catalog_degrees with catalog_minors and catalog_certificates so all programs appear
+      return db.all(`
+        SELECT id, catalog_year, name, credits, degree_type, college, url, source_type, external_id, narrative
+        FROM catalog_degrees
+        ${whereClause}
+        UNION
+        SELECT id, catalog_year, name, NULL as credits, 'minor' as degree_type, NULL as college, url, source_type, NULL as external_id, narrative
+        FROM catalog_minors
+        ${whereClause}
+        UNION
+        SELECT id, catalog_year, name, NULL as credits, 'certificate' as degree_type, NULL as college, url, source_type, NULL as external_id, description as narrative
+        FROM catalog_certificates
+        ${whereClause}
+        ORDER BY name, source_type DESC
+      `, [...params, ...params, ...params]);
+    },
+
+    // id, catalog_year, name and url of minors or certificates for one catalog year
+    listPrograms(type, catalogYear, search) {
+      const { table } = programTable(type);
+      let whereClauses = ['catalog_year = ?'];
+      let params = [catalogYear];
+
+      if (search) {
+        whereClauses.push('name LIKE ?');
+        params.push(`%${search}%`);
+      }
+
+      return db.all(`
+        SELECT id, catalog_year, name, url
+        FROM ${table}
+        WHERE ${whereClauses.join(' AND ')}
+        ORDER BY name
+      `, params);
+    },
+
+    // Every catalog year with at least one program of this type, newest first
+    async listProgramYears(type) {
+      const { table } = programTable(type);
+      const rows = await db.all(`
+        SELECT DISTINCT catalog_year
+        FROM ${table}
+        ORDER BY catalog_year DESC
+      `);
+      return rows.map(y => y.catalog_year);
+    },
+
+    // Catalog years a named program appears in, oldest first
+    async listYearsForProgram(type, name) {
+      const { table } = programTable(type);
+      const rows = await db.all(
+        `SELECT DISTINCT catalog_year FROM ${table} WHERE name = ? ORDER BY catalog_year`,
+        [name]
+      );
+      return rows.map(r => String(r.catalog_year));
+    },
+
+    // Most recent catalog entry for a program, with the columns the requirements view needs
+    findLatestProgram(type, name) {
+      if (type === 'minor') {
+        return db.get(
+          'SELECT id, name, url, catalog_year, narrative, courses, required_courses, elective_courses FROM catalog_minors WHERE name = ? ORDER BY catalog_year DESC LIMIT 1',
+          [name]
+        );
+      }
+      if (type === 'certificate') {
+        return db.get(
+          'SELECT id, name, url, catalog_year, description, courses, required_courses, elective_courses FROM catalog_certificates WHERE name = ? ORDER BY catalog_year DESC LIMIT 1',
+          [name]
+        );
+      }
+      return db.get(
+        'SELECT id, name, credits, college, url, catalog_year, narrative, external_id FROM catalog_degrees WHERE name = ? ORDER BY catalog_year DESC LIMIT 1',
+        [name]
+      );
+    },
+
+    // One program in one catalog year. Prefers API-sourced rows over PDF/JSON
+    // imports when a year has both; `program_credits` is null for minors/certificates.
+    findProgramForYear(type, name, year) {
+      const source = programTable(type);
+      return db.get(
+        `SELECT *, ${source.credits} AS program_credits FROM ${source.table}
+         WHERE name = ? AND catalog_year = ?
+         ORDER BY CASE WHEN source_type = 'api' THEN 0 ELSE 1 END, id DESC LIMIT 1`,
+        [name, year]
+      );
+    },
+
+    searchPrograms(type, q, year) {
+      const { table } = programTable(type);
+      let query = `SELECT * FROM ${table} WHERE name LIKE ?`;
+      const params = [`%${q}%`];
+      if (year) {
+        query += ' AND catalog_year = ?';
+        params.push(year);
+      }
+      query += ' ORDER BY catalog_year DESC, name';
+      return db.all(query, params);
+    },
+
+    listDegreeRequirements(degreeId) {
+      return db.all(
+        'SELECT year, term, label, hours, sort_order, footnotes FROM degree_requirements WHERE degree_id = ? ORDER BY year, term, sort_order',
+        [degreeId]
+      );
+    },
+
+    /**
+     * Insert or replace a degree from the catalog scraper.
+     * @returns {number} The degree's row id
+     */
+    async upsertDegree(catalogYear, degree, sourceType) {
+      const result = await db.run(
+        `INSERT OR REPLACE INTO catalog_degrees
+         (name, credits, catalog_year, degree_type, college, url, source_type, external_id, narrative)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          degree.name,
+          degree.totalCredits || degree.credits || null,
+          catalogYear,
+          degree.degreeType || null,
+          degree.college || null,
+          degree.url || null,
+          sourceType,
+          degree.externalId || null,
+          degree.narrative || null
+        ]
+      );
+      return result.lastID;
+    },
+
+    // Replace a degree's course sequence
+    async replaceDegreeRequirements(degreeId, catalogYear, sequenceItems) {
+      await db.run('DELETE FROM degree_requirements WHERE degree_id = ?', [degreeId]);
+      for (const item of sequenceItems) {
+        await db.run(
+          `INSERT INTO degree_requirements
+           (degree_id, catalog_year, year, term, label, hours, sort_order, footnotes)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            degreeId,
+            catalogYear,
+            item.year || null,
+            item.term || null,
+            item.label || null,
+            item.hours || null,
+            item.sortOrder || null,
+            item.footnotes ? JSON.stringify(item.footnotes) : null
+          ]
+        );
+      }
+    },
+
+    upsertMinor(catalogYear, minor, sourceType) {
+      return db.run(
+        `INSERT OR REPLACE INTO catalog_minors
+         (name, catalog_year, url, source_type, narrative)
+         VALUES (?, ?, ?, ?, ?)`,
+        [minor.name, catalogYear, minor.url || null, sourceType, minor.narrative || null]
+      );
+    },
+
+    upsertCertificate(catalogYear, cert, sourceType) {
+      return db.run(
+        `INSERT OR REPLACE INTO catalog_certificates
+         (name, catalog_year, url, source_type, description)
+         VALUES (?, ?, ?, ?, ?)`,
+        [cert.name, catalogYear, cert.url || null, sourceType, cert.description || cert.narrative || null]
+      );
+    },
+
+    // ---- Historical (PDF archive) minors and certificates ----
+
+    async historicalImportCounts() {
+      const minorCheck = await db.get(
+        'SELECT COUNT(*) as count FROM catalog_minors WHERE narrative IS NOT NULL AND narrative != ""'
+      );
+      const certCheck = await db.get(
+        'SELECT COUNT(*) as count FROM catalog_certificates WHERE description IS NOT NULL AND description != ""'
+      );
+      const minorCoursesCheck = await db.get(
+        'SELECT COUNT(*) as count FROM catalog_minors WHERE courses IS NOT NULL AND courses != "[]" AND courses != ""'
+      );
+      return {
+        minorsWithNarrative: minorCheck?.count || 0,
+        certificatesWithDescription: certCheck?.count || 0,
+        minorsWithCourses: minorCoursesCheck?.count || 0,
+      };
+    },
+
+    // `program` is a parsed PDF entry; its prose goes in narrative (minors) or description (certificates)
+    importArchivedProgram(type, catalogYear, program) {
+      const textColumn = type === 'minor' ? 'narrative' : 'description';
+      const { table } = programTable(type);
+      return db.run(`
+        INSERT OR REPLACE INTO ${table}
+        (name, catalog_year, url, source_type, ${textColumn}, courses, required_courses, elective_courses)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        program.name,
+        catalogYear,
+        null,
+        'pdf',
+        program[textColumn] || null,
+        JSON.stringify(program.courses || []),
+        JSON.stringify(program.requiredCourses || []),
+        JSON.stringify(program.electiveCourses || [])
+      ]);
+    },
+
+    // ---- Catalog courses ----
+
+    async upsertCourse(catalogYear, c, sourceType, { prereqCodesJson, prereqTree }) {
+      const uniqueId = c.uniqueId || c.unique_id || c.code || null;
+      // REPLACE gives the course a new id, so drop the old row's index entry
+      const existing = await db.get(
+        'SELECT id FROM catalog_courses WHERE unique_id = ? AND catalog_year = ?',
+        [uniqueId, catalogYear]
+      );
+      if (existing) await searchIndex.remove('catalog', existing.id);
+
+      const result = await db.run(
+        `INSERT OR REPLACE INTO catalog_courses
+         (unique_id, catalog_year, code, prefix, number, title, description, credits, credits_phrase,
+          ucore, prerequisite_raw, prerequisite_codes, prerequisite_tree, offered_raw, offered_terms, attributes,
+          footnotes, alternatives, is_non_credit, source_type)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uniqueId,
+          catalogYear,
+          c.code || null,
+          c.prefix || null,
+          c.number || null,
+          c.title || null,
+          c.description || null,
+          (c.credits !== undefined && c.credits !== null) ? c.credits : null,
+          c.creditsPhrase || c.credits_phrase || null,
+          c.ucore || null,
+          c.prerequisiteRaw || c.prerequisite_raw || null,
+          prereqCodesJson,
+          prereqTree ? JSON.stringify(prereqTree) : null,
+          c.offeredRaw || c.offered_raw || null,
+          c.offeredTerms ? JSON.stringify(c.offeredTerms) : null,
+          c.attributes ? JSON.stringify(c.attributes) : null,
+          c.footnotes ? JSON.stringify(c.footnotes) : null,
+          c.alternatives ? JSON.stringify(c.alternatives) : null,
+          c.isNonCredit || c.is_non_credit || 0,
+          sourceType
+        ]
+      );
+      await searchIndex.index('catalog', result.lastID);
+      return result;
+    },
+
+    // Rows whose prerequisite_codes are missing, empty or contain obvious bad
+    // tokens, or whose prerequisite tree hasn't been built yet
+    listCoursesNeedingPrereqRepair(year) {
+      return db.all(
+        `SELECT id, code, prerequisite_raw, prerequisite_codes, prerequisite_tree FROM catalog_courses
+         WHERE catalog_year = ? AND (prerequisite_codes IS NULL OR prerequisite_codes = '[]' OR prerequisite_codes LIKE '%"OR %' OR prerequisite_codes LIKE '%"AND %' OR prerequisite_codes LIKE '%"ONE %' OR prerequisite_tree IS NULL)
+         AND prerequisite_raw IS NOT NULL AND prerequisite_raw <> ''`,
+        [year]
+      );
+    },
+
+    updateCoursePrereqs(id, codesJson, treeJson) {
+      return db.run('UPDATE catalog_courses SET prerequisite_codes = ?, prerequisite_tree = ? WHERE id = ?', [codesJson, treeJson, id]);
+    },
+
+    async latestCourseYear() {
+      const y = await db.get('SELECT MAX(catalog_year) AS year FROM catalog_courses');
+      return y ? y.year : null;
+    },
+
+    /**
+     * Catalog courses for a year. With `search`, courses are ranked by
+     * relevance and carry `highlights`; `corrections` lists typo fixes.
+     * @returns {Promise<{ courses: Object[], corrections: Object<string,string> }>}
+     */
+    async listCourses(year, { code, prefix, ucore, minCredits, maxCredits, term, search, limit } = {}) {
+      const where = ['catalog_year = ?'];
+      const params = [year];
+
+      if (code) {
+        where.push('code = ?');
+        params.push(code);
+      }
+      if (prefix) {
+        where.push('LOWER(prefix) = LOWER(?)');
+        params.push(prefix);
+      }
+      if (ucore) {
+        // match token in ucore column (stored as comma-separated or single token)
+        where.push("LOWER(ucore) LIKE LOWER(?)");
+        params.push(`%${ucore}%`);
+      }
+      if (minCredits) {
+        where.push('credits >= ?');
+        params.push(parseFloat(minCredits));
+      }
+      if (maxCredits) {
+        where.push('credits <= ?');
+        params.push(parseFloat(maxCredits));
+      }
+      if (term) {
+        // offered_terms stored as JSON/text; do a LIKE match for the term token
+        where.push('LOWER(offered_terms) LIKE LOWER(?)');
+        params.push(`%${term}%`);
+      }
+
+      const limitNum = parseInt(limit, 10) || 100;
+      const columns = 'id, unique_id, code, prefix, number, title, description, credits, credits_phrase, ucore, prerequisite_raw, prerequisite_codes, prerequisite_tree, offered_terms, footnotes, attributes';
+
+      const { match, corrections } = search
+        ? await searchIndex.prepareQuery('catalog', search)
+        : { match: null, corrections: {} };
+      if (match) {
+        const rows = await db.all(`${hitsCte('catalog')}
+          SELECT ${columns}, hits.* FROM hits JOIN catalog_courses ON catalog_courses.id = hits.hit_id
+          WHERE ${where.join(' AND ')} ORDER BY hits.score, prefix, number LIMIT ${limitNum}`, [match, ...params]);
+        return { courses: rows.map(withHighlights), corrections };
+      }
+
+      const courses = await db.all(`SELECT ${columns}
+        FROM catalog_courses WHERE ${where.join(' AND ')} ORDER BY prefix, number LIMIT ${limitNum}`, params);
+      return { courses, corrections };
+    },
+
+    // Prerequisite columns for every course in a catalog year
+    listCoursePrereqs(year) {
+      return db.all(
+        `SELECT code, prefix, number, title, credits, prerequisite_raw, prerequisite_codes, prerequisite_tree
+         FROM catalog_courses WHERE catalog_year = ?`,
+        [year]
+      );
+    },
+
+    // Credits and UCORE for every course in a catalog year
+    listCourseCredits(year) {
+      return db.all(
+        `SELECT code, prefix, number, credits, ucore FROM catalog_courses WHERE catalog_year = ?`,
+        [year]
+      );
+    },
+
+    // Whether any catalog course title or code contains one of the words
+    async hasCourseMatchingWords(words) {
+      const clauses = words.map(() => `LOWER(title) LIKE ? OR LOWER(code) LIKE ?`).join(' OR ');
+      const params = words.flatMap(w => [`%${w}%`, `%${w}%`]);
+      const row = await db.get(`SELECT 1 FROM catalog_courses WHERE ${clauses} LIMIT 1`, params);
+      return !!row;
+    },
+
+    // Credit range, title and UCORE of a course in the most recent catalog that lists it
+    findLatestCourseUnits(normalizedPrefix, number) {
+      return db.get(
+        `SELECT minUnits, maxUnits, title, ucore FROM catalog_courses
+         WHERE UPPER(REPLACE(prefix,' ','')) = ? AND courseNumber = ?
+         ORDER BY catalog_year DESC LIMIT 1`,
+        [normalizedPrefix, number]
+      );
+    },
+
+    // ---- Archived catalog PDFs ----
+
+    /**
+     * Insert or update an archived catalog PDF by filename.
+     * @returns {boolean} true when the PDF was added
+     */
+    async upsertPdf(pdf) {
+      const existing = await db.get('SELECT id FROM catalog_pdfs WHERE filename = ?', [pdf.filename]);
+      const description = pdf.description || `WSU Catalog ${pdf.catalogYear}`;
+      const pdfData = pdf.pdfData ? Buffer.from(pdf.pdfData, 'base64') : null;
+
+      if (existing) {
+        await db.run(`
+          UPDATE catalog_pdfs SET
+            catalogYear = ?,
+            description = ?,
+            fileSize = ?,
+            filePath = ?,
+            pdfData = ?,
+            updatedAt = CURRENT_TIMESTAMP
+          WHERE filename = ?
+        `, [pdf.catalogYear, description, pdf.fileSize || 0, pdf.filePath || null, pdfData, pdf.filename]);
+        return false;
+      }
+      await db.run(`
+        INSERT INTO catalog_pdfs (filename, catalogYear, description, fileSize, filePath, pdfData)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [pdf.filename, pdf.catalogYear, description, pdf.fileSize || 0, pdf.filePath || null, pdfData]);
+      return true;
+    },
+
+    // Metadata only; the PDF bytes stay in the database until downloaded
+    listPdfs() {
+      return db.all(`
+        SELECT id, filename, catalogYear, description, fileSize, filePath, mimeType, createdAt, updatedAt
+        FROM catalog_pdfs
+        ORDER BY catalogYear DESC
+      `);
+    },
+
+    findPdf(id) {
+      return db.get('SELECT * FROM catalog_pdfs WHERE id = ?', [id]);
+    },
+  };
+}
+
+module.exports = { createCatalogRepository, CATALOG_PROGRAM_TABLES };
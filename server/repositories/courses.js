@@ -0,0 +1,521 @@
+// Live section data scraped from the WSU schedule (`courses`) and its
+// enrollment snapshots (`enrollment_history`).
+const { createSearchIndex, hitsCte, withHighlights } = require('./searchIndex');
+const { createInstructorsRepository } = require('./instructors');
+const { parseDays, clockMinutes, meetingRows } = require('../services/meetingTimes');
+
+// Column order shared by the scraper insert and update statements
+const SCRAPED_FIELDS = [
+  'title', 'sectionTitle', 'credits', 'instructor', 'sln',
+  'courseDescription', 'coursePrerequisite', 'sectionComment', 'sectionUrl',
+  'dayTime', 'location', 'site', 'startDate', 'endDate',
+  'seatsAvailable', 'maxEnrollment', 'currentEnrollment',
+  'waitlistAvailable', 'waitlistCapacity', 'waitlistCount', 'status',
+  'dateLastAuditToCredit', 'dateLastCreditToAudit', 'dateLastFinalGradeSubmit',
+  'dateLastInstruction', 'dateLastLtrGradeToPf', 'dateLastPftoLtrGrade',
+  'dateLastRegWithoutFee', 'dateLastStdAdd', 'dateLastStdDrop', 'dateLastWdrwl',
+  'dateRegBegin', 'dateRegEnd',
+  'slnrestrict', 'ger', 'diversity', 'writing', 'courseFee', 'isMultipleFees',
+  'titleAllowed', 'showInstructors', 'ucore', 'coop', 'schedulePrint',
+  'instructionMode', 'session', 'consent', 'minUnits', 'maxUnits', 'gradCaps', 'footnotes',
+];
+
+function scrapedValues(course) {
+  return [
+    ...SCRAPED_FIELDS.map(field => course[field]),
+    JSON.stringify(course.instructors || []), JSON.stringify(course.meetings || []),
+  ];
+}
+
+// Comma-separated query value -> trimmed, non-empty items
+function listParam(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function flagParam(value) {
+  if (value === undefined || value === '') return null;
+  return !['false', '0', 'no'].includes(String(value).toLowerCase());
+}
+
+// Sections with meetings, none of which match `condition`
+function everyMeeting(condition) {
+  return `EXISTS (SELECT 1 FROM course_meetings m WHERE m.courseId = courses.id)
+    AND NOT EXISTS (SELECT 1 FROM course_meetings m WHERE m.courseId = courses.id AND ${condition})`;
+}
+
+// Mean RMP rating of a section's rated instructors, null when none are rated
+const INSTRUCTOR_RATING = `(
+  SELECT AVG(r.avgRating) FROM course_instructors ci
+  JOIN instructor_ratings r ON r.instructorId = ci.instructorId
+  WHERE ci.courseId = courses.id
+) AS instructorRating`;
+
+// Dollar amount of a courseFee like "$50.00"; 0 when there is none
+const FEE_AMOUNT = "CAST(REPLACE(REPLACE(COALESCE(courseFee, ''), '$', ''), ',', '') AS REAL)";
+
+/**
+ * WHERE clauses for the section filters on /api/courses beyond campus,
+ * term, year, prefix and seats:
+ * - minLevel/maxLevel: hundreds (maxLevel=400 includes 499)
+ * - days: the only days a section may meet ("TR", "MWF")
+ * - startAfter/endBefore: "HH:MM" bounds every meeting must fall within
+ * - ucore, instructionMode, session: comma-separated, any of
+ * - minCredits/maxCredits: variable-credit sections match when any of
+ *   their range fits
+ * - courseFee, openWaitlist: true/false
+ * Sections without meeting times never match days or time filters.
+ */
+function sectionFilters({
+  minLevel, maxLevel, days, startAfter, endBefore, ucore, minCredits, maxCredits,
+  instructionMode, session, courseFee, openWaitlist,
+}) {
+  const whereClauses = [];
+  const params = [];
+
+  if (minLevel) {
+    whereClauses.push('CAST(courseNumber AS INTEGER) >= ?');
+    params.push(parseInt(minLevel, 10));
+  }
+  if (maxLevel) {
+    whereClauses.push('CAST(courseNumber AS INTEGER) < ?');
+    params.push(Math.floor(parseInt(maxLevel, 10) / 100) * 100 + 100);
+  }
+  const allowedDays = days ? parseDays(days) : [];
+  if (allowedDays.length) {
+    whereClauses.push(everyMeeting(`m.day NOT IN (${allowedDays.map(() => '?').join(', ')})`));
+    params.push(...allowedDays);
+  }
+  const after = startAfter ? clockMinutes(startAfter) : null;
+  if (after !== null) {
+    whereClauses.push(everyMeeting('m.startMinute < ?'));
+    params.push(after);
+  }
+  const before = endBefore ? clockMinutes(endBefore) : null;
+  if (before !== null) {
+    whereClauses.push(everyMeeting('m.endMinute > ?'));
+    params.push(before);
+  }
+  if (ucore) {
+    const categories = listParam(ucore).map(c => c.toUpperCase());
+    if (categories.length) {
+      whereClauses.push(`(${categories.map(() => "(',' || REPLACE(UPPER(ucore), ' ', '') || ',') LIKE ?").join(' OR ')})`);
+      params.push(...categories.map(c => `%,${c},%`));
+    }
+  }
+  if (minCredits) {
+    whereClauses.push("CAST(COALESCE(NULLIF(maxUnits, ''), credits) AS REAL) >= ?");
+    params.push(parseFloat(minCredits));
+  }
+  if (maxCredits) {
+    whereClauses.push("CAST(COALESCE(NULLIF(minUnits, ''), credits) AS REAL) <= ?");
+    params.push(parseFloat(maxCredits));
+  }
+  for (const [column, value] of [['instructionMode', instructionMode], ['session', session]]) {
+    const values = value ? listParam(value) : [];
+    if (values.length) {
+      whereClauses.push(`${column} COLLATE NOCASE IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+  }
+  const hasFee = flagParam(courseFee);
+  if (hasFee !== null) whereClauses.push(hasFee ? `${FEE_AMOUNT} > 0` : `${FEE_AMOUNT} <= 0`);
+  const waitlist = flagParam(openWaitlist);
+  if (waitlist !== null) whereClauses.push(waitlist ? 'waitlistAvailable > 0' : 'COALESCE(waitlistAvailable, 0) <= 0');
+
+  return { whereClauses, params };
+}
+
+function sectionUniqueId(course) {
+  return `${course.campus}-${course.term}-${course.year}-${course.prefix}-${course.courseNumber}-${course.sectionNumber}-${course.isLab}`;
+}
+
+function createCoursesRepository(db) {
+  const searchIndex = createSearchIndex(db);
+  const instructors = createInstructorsRepository(db);
+
+  // Replace a section's course_meetings rows
+  async function writeMeetings(courseId, course) {
+    await db.run('DELETE FROM course_meetings WHERE courseId = ?', [courseId]);
+    for (const row of meetingRows(course)) {
+      await db.run(`
+        INSERT INTO course_meetings (courseId, day, startMinute, endMinute, building, room, startDate, endDate)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [courseId, row.day, row.startMinute, row.endMinute, row.building, row.room, row.startDate, row.endDate]);
+    }
+  }
+
+  // Attach each section's course_meetings rows as `meetingTimes` and its
+  // instructors' profile ids as `instructorProfiles`
+  async function withSectionDetails(sections) {
+    if (!sections.length) return sections;
+    const ids = sections.map(s => s.id);
+    const [meetings, teachers] = await Promise.all([
+      db.all(`
+        SELECT courseId, day, startMinute, endMinute, building, room, startDate, endDate
+        FROM course_meetings WHERE courseId IN (${ids.map(() => '?').join(',')})
+        ORDER BY id
+      `, ids),
+      instructors.listForSections(ids),
+    ]);
+    const group = (rows) => {
+      const byCourse = new Map(ids.map(id => [id, []]));
+      for (const { courseId, ...row } of rows) byCourse.get(courseId).push(row);
+      return byCourse;
+    };
+    const meetingsByCourse = group(meetings);
+    const teachersByCourse = group(teachers);
+    return sections.map(s => ({ ...s, meetingTimes: meetingsByCourse.get(s.id), instructorProfiles: teachersByCourse.get(s.id) }));
+  }
+
+  // Drop rows left behind by deleted sections
+  async function pruneSectionRows() {
+    await db.run('DELETE FROM course_meetings WHERE courseId NOT IN (SELECT id FROM courses)');
+    await instructors.pruneLinks();
+    await searchIndex.prune('sections');
+  }
+
+  return {
+    async count() {
+      const row = await db.get('SELECT COUNT(*) as count FROM courses');
+      return row.count;
+    },
+
+    async stats() {
+      const [total, byCampus, byTerm, topPrefixes] = await Promise.all([
+        db.get('SELECT COUNT(*) as count FROM courses'),
+        db.all(`
+          SELECT campus, COUNT(*) as count
+          FROM courses
+          GROUP BY campus
+          ORDER BY count DESC
+        `),
+        db.all(`
+          SELECT term, COUNT(*) as count
+          FROM courses
+          GROUP BY term
+          ORDER BY count DESC
+        `),
+        db.all(`
+          SELECT prefix, COUNT(*) as count
+          FROM courses
+          GROUP BY prefix
+          ORDER BY count DESC
+          LIMIT 20
+        `)
+      ]);
+      return { total: total.count, byCampus, byTerm, topPrefixes };
+    },
+
+    listTerms() {
+      return db.all(`
+        SELECT DISTINCT term, year, campus, COUNT(*) as courseCount
+        FROM courses
+        GROUP BY term, year, campus
+        ORDER BY year DESC,
+          CASE term
+            WHEN 'Fall' THEN 1
+            WHEN 'Spring' THEN 2
+            WHEN 'Summer' THEN 3
+            ELSE 4
+          END
+      `);
+    },
+
+    listPrefixes({ term, year, campus } = {}) {
+      let whereClauses = [];
+      let params = [];
+
+      if (term) {
+        whereClauses.push('LOWER(term) = LOWER(?)');
+        params.push(term);
+      }
+      if (year) {
+        whereClauses.push('year = ?');
+        params.push(parseInt(year, 10));
+      }
+      if (campus) {
+        whereClauses.push('LOWER(campus) = LOWER(?)');
+        params.push(campus);
+      }
+
+      const whereClause = whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+
+      return db.all(`
+        SELECT DISTINCT prefix, subject, COUNT(*) as courseCount
+        FROM courses
+        ${whereClause}
+        GROUP BY prefix
+        ORDER BY prefix
+      `, params);
+    },
+
+    // Distinct instruction modes and sessions, for the filter dropdowns
+    async listFacets({ term, year, campus } = {}) {
+      const whereClauses = [];
+      const params = [];
+      if (term) {
+        whereClauses.push('LOWER(term) = LOWER(?)');
+        params.push(term);
+      }
+      if (year) {
+        whereClauses.push('year = ?');
+        params.push(parseInt(year, 10));
+      }
+      if (campus) {
+        whereClauses.push('LOWER(campus) = LOWER(?)');
+        params.push(campus);
+      }
+      const distinct = async (column) => {
+        const where = [...whereClauses, `${column} IS NOT NULL`, `${column} != ''`].join(' AND ');
+        const rows = await db.all(`SELECT DISTINCT ${column} AS value FROM courses WHERE ${where} ORDER BY value`, params);
+        return rows.map(r => r.value);
+      };
+      const [instructionModes, sessions] = await Promise.all([distinct('instructionMode'), distinct('session')]);
+      return { instructionModes, sessions };
+    },
+
+    // Filtered, paginated section list. Returns { courses, total, corrections }.
+    // Each section carries its `meetingTimes`, `instructorProfiles` and
+    // `instructorRating` (mean RMP rating of its instructors, or null). With
+    // `search`, sections are ranked by relevance and carry `highlights`;
+    // `sort: 'rating'` puts the best-rated first, unrated last.
+    // See sectionFilters() for everything past the seat minimum.
+    async list({ campus, term, year, prefix, seatsAvailable, search, sort, page = 1, limit = 50, ...filters } = {}) {
+      let whereClauses = [];
+      let params = [];
+
+      if (campus) {
+        whereClauses.push('LOWER(campus) = LOWER(?)');
+        params.push(campus);
+      }
+      if (term) {
+        whereClauses.push('LOWER(term) = LOWER(?)');
+        params.push(term);
+      }
+      if (year) {
+        whereClauses.push('year = ?');
+        params.push(parseInt(year, 10));
+      }
+      if (prefix) {
+        // Normalize prefix - match both with and without spaces (e.g., "CPTS" matches "CPT S")
+        const normalizedPrefix = prefix.toUpperCase().replace(/\s+/g, '');
+        whereClauses.push('(LOWER(prefix) = LOWER(?) OR UPPER(REPLACE(prefix, \' \', \'\')) = ?)');
+        params.push(prefix, normalizedPrefix);
+      }
+      if (seatsAvailable) {
+        whereClauses.push('seatsAvailable >= ?');
+        params.push(parseInt(seatsAvailable, 10));
+      }
+      const extra = sectionFilters(filters);
+      whereClauses.push(...extra.whereClauses);
+      params.push(...extra.params);
+
+      const whereClause = whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
+      const offset = (page - 1) * limit;
+      const ratingOrder = sort === 'rating' ? 'instructorRating IS NULL, instructorRating DESC, ' : '';
+
+      const { match, corrections } = search
+        ? await searchIndex.prepareQuery('sections', search)
+        : { match: null, corrections: {} };
+      if (match) {
+        // Filters apply to the ranked hits; ties fall back to code order
+        const fromHits = `FROM hits JOIN courses ON courses.id = hits.hit_id ${whereClause}`;
+        const [rows, total] = await Promise.all([
+          db.all(`${hitsCte('sections')} SELECT courses.*, hits.*, ${INSTRUCTOR_RATING} ${fromHits}
+            ORDER BY ${ratingOrder}hits.score, prefix, courseNumber LIMIT ? OFFSET ?`,
+            [match, ...params, parseInt(limit, 10), offset]),
+          db.get(`${hitsCte('sections')} SELECT COUNT(*) as count ${fromHits}`, [match, ...params])
+        ]);
+        return { courses: await withSectionDetails(rows.map(withHighlights)), total: total.count, corrections };
+      }
+
+      const [courses, total] = await Promise.all([
+        db.all(`SELECT *, ${INSTRUCTOR_RATING} FROM courses ${whereClause} ORDER BY ${ratingOrder}prefix, courseNumber LIMIT ? OFFSET ?`,
+          [...params, parseInt(limit, 10), offset]),
+        db.get(`SELECT COUNT(*) as count FROM courses ${whereClause}`, params)
+      ]);
+      return { courses: await withSectionDetails(courses), total: total.count, corrections };
+    },
+
+    /**
+     * Sections ranked by relevance to a free-text query (BM25 over code,
+     * title, description and instructor), with `highlights` on each row.
+     * @returns {Promise<{ courses: Object[], corrections: Object<string,string> }>}
+     */
+    async search(q, limit = 20) {
+      const { match, corrections } = await searchIndex.prepareQuery('sections', q);
+      if (!match) return { courses: [], corrections };
+      const rows = await db.all(`
+        ${hitsCte('sections')}
+        SELECT courses.*, hits.* FROM hits JOIN courses ON courses.id = hits.hit_id
+        ORDER BY hits.score, prefix, courseNumber
+        LIMIT ?
+      `, [match, parseInt(limit, 10) || 20]);
+      return { courses: await withSectionDetails(rows.map(withHighlights)), corrections };
+    },
+
+    listAvailable({ campus, term, year, minSeats = 1 } = {}) {
+      let whereClauses = ['seatsAvailable >= ?'];
+      let params = [parseInt(minSeats, 10)];
+
+      if (campus) {
+        whereClauses.push('campus = ?');
+        params.push(campus);
+      }
+      if (term) {
+        whereClauses.push('term = ?');
+        params.push(term);
+      }
+      if (year) {
+        whereClauses.push('year = ?');
+        params.push(parseInt(year, 10));
+      }
+
+      return db.all(`
+        SELECT * FROM courses
+        WHERE ${whereClauses.join(' AND ')}
+        ORDER BY seatsAvailable DESC
+      `, params);
+    },
+
+    findByUniqueId(uniqueId) {
+      return db.get('SELECT * FROM courses WHERE uniqueId = ?', [uniqueId]);
+    },
+
+    findByUniqueIds(uniqueIds) {
+      if (!uniqueIds.length) return Promise.resolve([]);
+      return db.all(`SELECT * FROM courses WHERE uniqueId IN (${uniqueIds.map(() => '?').join(',')})`, uniqueIds);
+    },
+
+    // Distinct campus/term/year offerings of a course in the live schedule
+    listOfferings(prefix, courseNumber, limit = 10) {
+      return db.all(`
+        SELECT DISTINCT campus, term, year
+        FROM courses
+        WHERE LOWER(prefix) = LOWER(?) AND courseNumber = ?
+        ORDER BY year DESC, term
+        LIMIT ${parseInt(limit, 10) || 10}
+      `, [prefix || '', String(courseNumber || '')]);
+    },
+
+    // Enrollment snapshots for one section since an ISO timestamp, newest first
+    enrollmentHistory(uniqueId, since) {
+      return db.all(`
+        SELECT * FROM enrollment_history
+        WHERE uniqueId = ? AND scrapedAt >= ?
+        ORDER BY scrapedAt DESC
+      `, [uniqueId, since]);
+    },
+
+    // Full enrollment history for several sections, oldest first
+    enrollmentHistoryFor(uniqueIds) {
+      if (!uniqueIds.length) return Promise.resolve([]);
+      return db.all(`
+        SELECT uniqueId, seatsAvailable, currentEnrollment, waitlistCount, scrapedAt
+        FROM enrollment_history WHERE uniqueId IN (${uniqueIds.map(() => '?').join(',')})
+        ORDER BY scrapedAt ASC
+      `, uniqueIds);
+    },
+
+    // When each section of the same course/campus/term first ran out of seats
+    sectionFillTimes({ prefix, courseNumber, campus, term }) {
+      return db.all(`
+        SELECT c.uniqueId, c.dateRegBegin, MIN(h.scrapedAt) AS filledAt
+        FROM courses c
+        JOIN enrollment_history h ON h.uniqueId = c.uniqueId AND h.seatsAvailable <= 0
+        WHERE c.prefix = ? AND c.courseNumber = ? AND c.campus = ? AND c.term = ?
+        GROUP BY c.uniqueId
+      `, [prefix, courseNumber, campus, term]);
+    },
+
+    /**
+     * Insert or update one scraped section and record an enrollment snapshot.
+     * Call inside a transaction.
+     * @returns {{ uniqueId: string, added: boolean }}
+     */
+    async upsertScraped(course) {
+      const uniqueId = sectionUniqueId(course);
+
+      // Check if course exists
+      const existing = await db.get('SELECT id FROM courses WHERE uniqueId = ?', [uniqueId]);
+      let courseId;
+
+      if (existing) {
+        // Update existing course
+        await db.run(`
+          UPDATE courses SET
+            subject = ?,
+            ${SCRAPED_FIELDS.map(field => `${field} = ?`).join(',\n            ')},
+            instructors = ?,
+            meetings = ?,
+            scrapedAt = CURRENT_TIMESTAMP,
+            updatedAt = CURRENT_TIMESTAMP
+          WHERE uniqueId = ?
+        `, [course.subject, ...scrapedValues(course), uniqueId]);
+        courseId = existing.id;
+      } else {
+        // Insert new course
+        const columns = [
+          'uniqueId', 'campus', 'term', 'year', 'prefix', 'subject', 'courseNumber', 'sectionNumber', 'isLab',
+          ...SCRAPED_FIELDS, 'instructors', 'meetings',
+        ];
+        const insertResult = await db.run(
+          `INSERT INTO courses (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+          [
+            uniqueId, course.campus, course.term, course.year,
+            course.prefix, course.subject, course.courseNumber, course.sectionNumber, course.isLab,
+            ...scrapedValues(course)
+          ]
+        );
+        courseId = insertResult.lastID;
+      }
+      await writeMeetings(courseId, course);
+      await instructors.linkSection(courseId, course);
+      await searchIndex.index('sections', courseId);
+
+      // Record enrollment history
+      await db.run(`
+        INSERT INTO enrollment_history
+        (courseId, uniqueId, seatsAvailable, currentEnrollment, waitlistCount)
+        VALUES (?, ?, ?, ?, ?)
+      `, [
+        courseId, uniqueId,
+        course.seatsAvailable, course.currentEnrollment, course.waitlistCount
+      ]);
+
+      return { uniqueId, added: !existing };
+    },
+
+    // Delete one semester's sections and history, optionally for a single campus.
+    // Returns the number of sections deleted.
+    async clearSemester({ campus, term, year }) {
+      if (campus) {
+        await db.run('DELETE FROM enrollment_history WHERE uniqueId LIKE ?', [`${campus}-${term}-${year}-%`]);
+        const result = await db.run('DELETE FROM courses WHERE campus = ? AND term = ? AND year = ?', [campus, term, year]);
+        await pruneSectionRows();
+        return result.changes || 0;
+      }
+      await db.run('DELETE FROM enrollment_history WHERE uniqueId LIKE ?', [`%-${term}-${year}-%`]);
+      const result = await db.run('DELETE FROM courses WHERE term = ? AND year = ?', [term, year]);
+      await pruneSectionRows();
+      return result.changes || 0;
+    },
+
+    async clearCampus(campus) {
+      await db.run('DELETE FROM enrollment_history WHERE uniqueId LIKE ?', [`${campus}-%`]);
+      const result = await db.run('DELETE FROM courses WHERE campus = ?', [campus]);
+      await pruneSectionRows();
+      return result.changes || 0;
+    },
+
+    async clearAll() {
+      await db.run('DELETE FROM courses');
+      await db.run('DELETE FROM enrollment_history');
+      await db.run('DELETE FROM course_meetings');
+      await db.run('DELETE FROM course_instructors');
+      await searchIndex.clear('sections');
+    },
+  };
+}
+
+module.exports = { createCoursesRepository, sectionUniqueId };
@@ -0,0 +1,106 @@
+// Webhook records rejected by validation (`webhook_dead_letters`), waiting
+// to be fixed upstream and replayed. Payloads and errors are stored as JSON.
+
+function fromRow(row) {
+  return row && { ...row, payload: JSON.parse(row.payload), errors: JSON.parse(row.errors) };
+}
+
+function createDeadLettersRepository(db) {
+  return {
+    async add({ endpoint, payload, errors }) {
+      const now = new Date().toISOString();
+      const result = await db.run(
+        'INSERT INTO webhook_dead_letters (endpoint, payload, errors, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+        [endpoint, JSON.stringify(payload), JSON.stringify(errors), now, now]
+      );
+      return result.lastID;
+    },
+
+    /**
+     * Dead letters newest first, optionally by endpoint and status, without
+     * their payloads. Returns { entries, total }.
+     */
+    async list({ endpoint, status, page = 1, limit = 50 } = {}) {
+      const whereClauses = [];
+      const params = [];
+      if (endpoint) {
+        whereClauses.push('endpoint = ?');
+        params.push(endpoint);
+      }
+      if (status) {
+        whereClauses.push('status = ?');
+        params.push(status);
+      }
+      const where = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+      const [rows, total] = await Promise.all([
+        db.all(`
+          SELECT id, endpoint, errors, status, attempts, created_at AS createdAt, updated_at AS updatedAt
+          FROM webhook_dead_letters ${where} ORDER BY id DESC LIMIT ? OFFSET ?
+        `, [...params, limit, (page - 1) * limit]),
+        db.get(`SELECT COUNT(*) AS count FROM webhook_dead_letters ${where}`, params),
+      ]);
+      return { entries: rows.map(row => ({ ...row, errors: JSON.parse(row.errors) })), total: total.count };
+    },
+
+    async find(id) {
+      return fromRow(await db.get(`
+        SELECT id, endpoint, payload, errors, status, attempts, created_at AS createdAt, updated_at AS updatedAt
+        FROM webhook_dead_letters WHERE id = ?
+      `, [id]));
+    },
+
+    /**
+     * Mark a pending letter as being replayed with `payload`. Only one caller
+     * can claim a letter.
+     * @returns {Promise<{ endpoint: string }|undefined>} undefined when it isn't pending
+     */
+    claimReplay(id, payload) {
+      return db.get(`
+        UPDATE webhook_dead_letters
+        SET payload = ?, status = 'replaying', attempts = attempts + 1, updated_at = ?
+        WHERE id = ? AND status = 'pending'
+        RETURNING endpoint
+      `, [JSON.stringify(payload), new Date().toISOString(), id]);
+    },
+
+    // Undo claimReplay when the replay's job couldn't be queued, restoring
+    // the payload the letter had before
+    releaseReplay(id, payload) {
+      return db.run(`
+        UPDATE webhook_dead_letters SET payload = ?, status = 'pending', attempts = attempts - 1, updated_at = ?
+        WHERE id = ? AND status = 'replaying'
+      `, [JSON.stringify(payload), new Date().toISOString(), id]);
+    },
+
+    // After the replay's job: `errors` null means it went through; otherwise
+    // the letter is pending again with the new errors
+    finishReplay(id, errors) {
+      return db.run(`
+        UPDATE webhook_dead_letters SET errors = COALESCE(?, errors), status = ?, updated_at = ?
+        WHERE id = ? AND status = 'replaying'
+      `, [errors ? JSON.stringify(errors) : null, errors ? 'pending' : 'replayed', new Date().toISOString(), id]);
+    },
+
+    // Letters left 'replaying' without a queued or running job (the job
+    // failed, or the process stopped before queueing it) go back to pending
+    releaseStaleReplays() {
+      return db.run(`
+        UPDATE webhook_dead_letters SET status = 'pending', updated_at = ?
+        WHERE status = 'replaying' AND id NOT IN (
+          SELECT dead_letter_id FROM ingest_jobs
+          WHERE dead_letter_id IS NOT NULL AND status IN ('queued', 'running')
+        )
+      `, [new Date().toISOString()]);
+    },
+
+    async discard(id) {
+      const result = await db.run(
+        "UPDATE webhook_dead_letters SET status = 'discarded', updated_at = ? WHERE id = ? AND status = 'pending'",
+        [new Date().toISOString(), id]
+      );
+      return result.changes > 0;
+    },
+  };
+}
+
+module.exports = { createDeadLettersRepository };
@@ -0,0 +1,180 @@
+// Per-year department snapshots from the catalog scraper and PDF parser:
+// `departments` with their `degree_programs`, `minors` and `certificates`,
+// plus the flat `degrees` list.
+
+function createDepartmentsRepository(db) {
+  // Shared upsert for the department child tables. `values` maps column -> value
+  // for the columns written on both insert and update.
+  async function upsertChild(table, uniqueId, insertOnly, values) {
+    const existing = await db.get(`SELECT id FROM ${table} WHERE uniqueId = ?`, [uniqueId]);
+    const columns = Object.keys(values);
+    if (existing) {
+      await db.run(`
+        UPDATE ${table} SET
+          ${columns.map(c => `${c} = ?`).join(',\n          ')},
+          updatedAt = CURRENT_TIMESTAMP
+        WHERE uniqueId = ?
+      `, [...columns.map(c => values[c]), uniqueId]);
+      return { id: existing.id, added: false };
+    }
+    const allColumns = ['uniqueId', ...Object.keys(insertOnly), ...columns];
+    const result = await db.run(
+      `INSERT INTO ${table} (${allColumns.join(', ')}) VALUES (${allColumns.map(() => '?').join(', ')})`,
+      [uniqueId, ...Object.values(insertOnly), ...columns.map(c => values[c])]
+    );
+    return { id: result.lastID, added: true };
+  }
+
+  return {
+    /**
+     * Insert or update a department for one catalog year.
+     * @returns {{ id: number, added: boolean }}
+     */
+    upsertDepartment(uniqueId, catalogYear, dept, sourceType) {
+      return upsertChild('departments', uniqueId, { catalogYear, name: dept.name }, {
+        academicUnitId: dept.academicUnitId,
+        title: dept.title,
+        fullName: dept.fullName,
+        url: dept.url,
+        location: dept.location,
+        phone: dept.phone,
+        facultyList: dept.facultyList,
+        description: dept.description,
+        sourceType,
+      });
+    },
+
+    upsertDegreeProgram(uniqueId, catalogYear, departmentId, dp, sourceType) {
+      return upsertChild('degree_programs', uniqueId, { catalogYear, departmentId }, {
+        externalId: dp.id,
+        title: dp.title,
+        hours: dp.hours,
+        narrative: dp.narrative,
+        bottomText: dp.bottomText,
+        isHonors: dp.isHonors ? 1 : 0,
+        isFYDA: dp.isFYDA ? 1 : 0,
+        yearFormat: dp.yearFormat,
+        yearEnd: dp.yearEnd,
+        termEnd: dp.termEnd,
+        sequenceItems: JSON.stringify(dp.sequenceItems || []),
+        sourceType,
+      });
+    },
+
+    upsertMinor(uniqueId, catalogYear, departmentId, m, sourceType) {
+      return upsertChild('minors', uniqueId, { catalogYear, departmentId }, {
+        externalId: m.id,
+        title: m.title,
+        narrative: m.narrative,
+        yearEnd: m.yearEnd,
+        termEnd: m.termEnd,
+        sourceType,
+      });
+    },
+
+    upsertCertificate(uniqueId, catalogYear, departmentId, c, sourceType) {
+      return upsertChild('certificates', uniqueId, { catalogYear, departmentId }, {
+        externalId: c.id,
+        title: c.title,
+        description: c.description,
+        sourceType,
+      });
+    },
+
+    addDegree(degree) {
+      return db.run(`
+        INSERT INTO degrees (name, degreeType, type, year, catalogType, college, totalCredits, sourceUrl)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        degree.name, degree.degreeType, degree.type, degree.year,
+        degree.catalogType, degree.college, degree.totalCredits, degree.sourceUrl
+      ]);
+    },
+
+    listYears() {
+      return db.all(`
+        SELECT DISTINCT catalogYear, COUNT(*) as departmentCount
+        FROM departments
+        GROUP BY catalogYear
+        ORDER BY catalogYear DESC
+      `);
+    },
+
+    list({ catalogYear } = {}) {
+      let sql = 'SELECT * FROM departments';
+      let params = [];
+
+      if (catalogYear) {
+        sql += ' WHERE catalogYear = ?';
+        params.push(catalogYear);
+      }
+      sql += ' ORDER BY name';
+
+      return db.all(sql, params);
+    },
+
+    listDegreePrograms({ catalogYear, departmentId } = {}) {
+      let whereClauses = [];
+      let params = [];
+
+      if (catalogYear) {
+        whereClauses.push('catalogYear = ?');
+        params.push(catalogYear);
+      }
+      if (departmentId) {
+        whereClauses.push('departmentId = ?');
+        params.push(departmentId);
+      }
+
+      let sql = 'SELECT * FROM degree_programs';
+      if (whereClauses.length > 0) {
+        sql += ' WHERE ' + whereClauses.join(' AND ');
+      }
+      sql += ' ORDER BY title';
+
+      return db.all(sql, params);
+    },
+
+    searchDegreePrograms(q, catalogYear) {
+      let sql = `
+        SELECT dp.*, d.name as departmentName
+        FROM degree_programs dp
+        LEFT JOIN departments d ON dp.departmentId = d.id AND dp.catalogYear = d.catalogYear
+        WHERE dp.title LIKE ?
+      `;
+      let params = [`%${q}%`];
+
+      if (catalogYear) {
+        sql += ' AND dp.catalogYear = ?';
+        params.push(catalogYear);
+      }
+
+      sql += ' ORDER BY dp.catalogYear DESC, dp.title';
+
+      return db.all(sql, params);
+    },
+
+    // Delete one catalog year (or everything when omitted). Returns per-table counts.
+    async clear(catalogYear) {
+      if (catalogYear) {
+        const deptResult = await db.run('DELETE FROM departments WHERE catalogYear = ?', [catalogYear]);
+        const degreeResult = await db.run('DELETE FROM degree_programs WHERE catalogYear = ?', [catalogYear]);
+        const minorResult = await db.run('DELETE FROM minors WHERE catalogYear = ?', [catalogYear]);
+        const certResult = await db.run('DELETE FROM certificates WHERE catalogYear = ?', [catalogYear]);
+        return {
+          departments: deptResult.changes || 0,
+          degreePrograms: degreeResult.changes || 0,
+          minors: minorResult.changes || 0,
+          certificates: certResult.changes || 0
+        };
+      }
+      await db.run('DELETE FROM departments');
+      await db.run('DELETE FROM degree_programs');
+      await db.run('DELETE FROM minors');
+      await db.run('DELETE FROM certificates');
+      return null;
+    },
+  };
+}
+
+module.exports = { createDepartmentsRepository };
@@ -0,0 +1,58 @@
+// Webhook idempotency keys (`webhook_idempotency_keys`): a key is claimed
+// while its request is processed, then holds the response to send back to
+// retries. Responses are stored as JSON.
+
+function fromRow(row) {
+  return row && {
+    endpoint: row.endpoint,
+    key: row.idempotency_key,
+    requestHash: row.request_hash,
+    state: row.state,
+    statusCode: row.status_code,
+    response: row.response === null ? null : JSON.parse(row.response),
+    createdAt: row.created_at,
+  };
+}
+
+function createIdempotencyRepository(db) {
+  return {
+    /**
+     * Claim a key for a new request. Keys created before `expiredBefore`, and
+     * claims still processing since before `abandonedBefore`, are dropped
+     * first. Returns null when the claim succeeded, or the existing entry.
+     */
+    async claim({ endpoint, key, requestHash, expiredBefore, abandonedBefore }) {
+      await db.run(
+        "DELETE FROM webhook_idempotency_keys WHERE created_at < ? OR (state = 'processing' AND created_at < ?)",
+        [expiredBefore, abandonedBefore]
+      );
+      const result = await db.run(
+        'INSERT OR IGNORE INTO webhook_idempotency_keys (endpoint, idempotency_key, request_hash, created_at) VALUES (?, ?, ?, ?)',
+        [endpoint, key, requestHash, new Date().toISOString()]
+      );
+      if (result.changes > 0) return null;
+      return fromRow(await db.get(
+        'SELECT * FROM webhook_idempotency_keys WHERE endpoint = ? AND idempotency_key = ?',
+        [endpoint, key]
+      ));
+    },
+
+    complete({ endpoint, key, statusCode, response }) {
+      return db.run(`
+        UPDATE webhook_idempotency_keys
+        SET state = 'completed', status_code = ?, response = ?, completed_at = ?
+        WHERE endpoint = ? AND idempotency_key = ?
+      `, [statusCode, JSON.stringify(response), new Date().toISOString(), endpoint, key]);
+    },
+
+    // Give up a claim so the request can be retried (e.g. after a server error)
+    release({ endpoint, key }) {
+      return db.run(
+        "DELETE FROM webhook_idempotency_keys WHERE endpoint = ? AND idempotency_key = ? AND state = 'processing'",
+        [endpoint, key]
+      );
+    },
+  };
+}
+
+module.exports = { createIdempotencyRepository };
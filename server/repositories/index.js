@@ -0,0 +1,40 @@
+const { createCoursesRepository } = require('./courses');
+const { createCatalogRepository } = require('./catalog');
+const { createDepartmentsRepository } = require('./departments');
+const { createUsersRepository } = require('./users');
+const { createPlansRepository } = require('./plans');
+const { createSharedPlansRepository } = require('./sharedPlans');
+const { createWatchesRepository } = require('./watches');
+const { createRoomsRepository } = require('./rooms');
+const { createInstructorsRepository } = require('./instructors');
+const { createRatingsRepository } = require('./ratings');
+const { createAdminRepository } = require('./admin');
+const { createDeadLettersRepository } = require('./deadLetters');
+const { createIdempotencyRepository } = require('./idempotency');
+const { createJobsRepository } = require('./jobs');
+
+/**
+ * Every repository over one data-access handle (see server/db.js), plus the
+ * handle's transaction wrapper so routes can group repository calls.
+ */
+function createRepositories(db) {
+  return {
+    courses: createCoursesRepository(db),
+    catalog: createCatalogRepository(db),
+    departments: createDepartmentsRepository(db),
+    users: createUsersRepository(db),
+    plans: createPlansRepository(db),
+    sharedPlans: createSharedPlansRepository(db),
+    watches: createWatchesRepository(db),
+    rooms: createRoomsRepository(db),
+    instructors: createInstructorsRepository(db),
+    ratings: createRatingsRepository(db),
+    admin: createAdminRepository(db),
+    deadLetters: createDeadLettersRepository(db),
+    idempotency: createIdempotencyRepository(db),
+    jobs: createJobsRepository(db),
+    withTransaction: db.withTransaction,
+  };
+}
+
+module.exports = { createRepositories };
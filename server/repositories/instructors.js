@@ -0,0 +1,71 @@
+// Instructors deduplicated across terms (`instructors`) and the sections
+// each teaches (`course_instructors`). Rows are keyed by a normalized name;
+// see server/services/instructors.js.
+const { sectionInstructors } = require('../services/instructors');
+
+const TERM_SORT = "CASE c.term WHEN 'Fall' THEN 1 WHEN 'Summer' THEN 2 WHEN 'Spring' THEN 3 ELSE 4 END";
+
+function createInstructorsRepository(db) {
+  // The instructor's id, creating the row the first time the name is seen
+  async function upsert({ key, name, firstName, lastName }) {
+    await db.run(
+      'INSERT OR IGNORE INTO instructors (nameKey, name, firstName, lastName) VALUES (?, ?, ?, ?)',
+      [key, name, firstName, lastName]
+    );
+    const row = await db.get('SELECT id FROM instructors WHERE nameKey = ?', [key]);
+    return row.id;
+  }
+
+  return {
+    // Replace a section's instructor links from its scraped instructor fields
+    async linkSection(courseId, section) {
+      await db.run('DELETE FROM course_instructors WHERE courseId = ?', [courseId]);
+      for (const person of sectionInstructors(section)) {
+        const instructorId = await upsert(person);
+        await db.run('INSERT OR IGNORE INTO course_instructors (courseId, instructorId) VALUES (?, ?)', [courseId, instructorId]);
+      }
+    },
+
+    // Drop links left behind by deleted sections. Instructors themselves are
+    // kept so their ids stay stable when a term is re-imported.
+    pruneLinks() {
+      return db.run('DELETE FROM course_instructors WHERE courseId NOT IN (SELECT id FROM courses)');
+    },
+
+    findByKey(nameKey) {
+      if (!nameKey) return Promise.resolve(undefined);
+      return db.get('SELECT id, name, firstName, lastName FROM instructors WHERE nameKey = ?', [nameKey]);
+    },
+
+    findById(id) {
+      return db.get('SELECT id, name, firstName, lastName FROM instructors WHERE id = ?', [id]);
+    },
+
+    // Every section an instructor has taught, newest term first
+    listSections(instructorId) {
+      return db.all(`
+        SELECT c.uniqueId, c.campus, c.term, c.year, c.prefix, c.courseNumber, c.sectionNumber, c.isLab,
+          c.title, c.credits, c.dayTime, c.location,
+          c.currentEnrollment, c.maxEnrollment, c.seatsAvailable, c.waitlistCount
+        FROM course_instructors ci JOIN courses c ON c.id = ci.courseId
+        WHERE ci.instructorId = ?
+        ORDER BY c.year DESC, ${TERM_SORT}, c.prefix, c.courseNumber, c.sectionNumber
+      `, [instructorId]);
+    },
+
+    // { courseId, id, name, avgRating, numRatings } for each instructor of
+    // the given sections
+    listForSections(courseIds) {
+      if (!courseIds.length) return Promise.resolve([]);
+      return db.all(`
+        SELECT ci.courseId, i.id, i.name, r.avgRating, r.numRatings
+        FROM course_instructors ci JOIN instructors i ON i.id = ci.instructorId
+        LEFT JOIN instructor_ratings r ON r.instructorId = i.id
+        WHERE ci.courseId IN (${courseIds.map(() => '?').join(',')})
+        ORDER BY ci.rowid
+      `, courseIds);
+    },
+  };
+}
+
+module.exports = { createInstructorsRepository };
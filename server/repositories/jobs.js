@@ -0,0 +1,103 @@
+// Webhook ingest jobs (`ingest_jobs`). Payloads and results are stored as
+// JSON. Claiming and finishing are single statements, so they are safe to
+// run from several workers.
+
+const JOB_COLUMNS = `
+  id, endpoint, status, total, processed, added, updated, failed, result, error, attempts,
+  created_by AS createdBy, created_at AS createdAt, started_at AS startedAt, finished_at AS finishedAt
+`;
+
+function fromRow(row) {
+  return row && { ...row, result: row.result === null ? null : JSON.parse(row.result) };
+}
+
+function createJobsRepository(db) {
+  return {
+    async create({ endpoint, payload, total, createdBy, statusTokenHash, deadLetterId }) {
+      const result = await db.run(`
+        INSERT INTO ingest_jobs (endpoint, payload, total, created_by, status_token_hash, dead_letter_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        endpoint, JSON.stringify(payload), total, createdBy || null, statusTokenHash || null, deadLetterId || null,
+        new Date().toISOString(),
+      ]);
+      return result.lastID;
+    },
+
+    // Without the payload
+    async find(id) {
+      return fromRow(await db.get(`SELECT ${JOB_COLUMNS} FROM ingest_jobs WHERE id = ?`, [id]));
+    },
+
+    // The job, if tokenHash is the hash of its status token
+    async findWithStatusToken(id, tokenHash) {
+      return fromRow(await db.get(
+        `SELECT ${JOB_COLUMNS} FROM ingest_jobs WHERE id = ? AND status_token_hash = ?`,
+        [id, tokenHash]
+      ));
+    },
+
+    /**
+     * Mark the oldest queued job running and return it with its payload, or
+     * null. Jobs for an endpoint that already has one running wait, so
+     * batches for the same data apply in the order they arrived.
+     */
+    async claimNext() {
+      const row = await db.get(`
+        UPDATE ingest_jobs SET status = 'running', attempts = attempts + 1, started_at = ?
+        WHERE id = (
+          SELECT id FROM ingest_jobs
+          WHERE status = 'queued' AND endpoint NOT IN (SELECT endpoint FROM ingest_jobs WHERE status = 'running')
+          ORDER BY id LIMIT 1
+        )
+        RETURNING id, endpoint, payload, attempts, dead_letter_id AS deadLetterId,
+          resume_offset AS resumeOffset, added, updated, failed
+      `, [new Date().toISOString()]);
+      return row ? { ...row, payload: JSON.parse(row.payload) } : null;
+    },
+
+    progress(id, { total, processed, added, updated, failed }) {
+      return db.run(`
+        UPDATE ingest_jobs
+        SET total = COALESCE(?, total), processed = COALESCE(?, processed),
+            added = COALESCE(?, added), updated = COALESCE(?, updated), failed = COALESCE(?, failed)
+        WHERE id = ?
+      `, [total ?? null, processed ?? null, added ?? null, updated ?? null, failed ?? null, id]);
+    },
+
+    // How far a chunked ingest has committed, written in the same transaction
+    // as the chunk so a restarted job resumes exactly after it
+    checkpoint(id, { offset, added, updated, failed }) {
+      return db.run(
+        'UPDATE ingest_jobs SET resume_offset = ?, added = ?, updated = ?, failed = ? WHERE id = ?',
+        [offset, added, updated, failed, id]
+      );
+    },
+
+    // Completed jobs drop their payload; failed ones keep it
+    finish(id, { status, result = null, error = null }) {
+      return db.run(`
+        UPDATE ingest_jobs
+        SET status = ?, result = ?, error = ?, finished_at = ?,
+            payload = CASE WHEN ? = 'completed' THEN NULL ELSE payload END
+        WHERE id = ?
+      `, [status, result === null ? null : JSON.stringify(result), error, new Date().toISOString(), status, id]);
+    },
+
+    /**
+     * Jobs left running by a worker that stopped go back in the queue, or
+     * fail once they have been attempted `maxAttempts` times.
+     * @returns {Promise<{ requeued: number, failed: number }>}
+     */
+    async requeueInterrupted(maxAttempts) {
+      const failed = await db.run(`
+        UPDATE ingest_jobs SET status = 'failed', error = 'Interrupted too many times', finished_at = ?
+        WHERE status = 'running' AND attempts >= ?
+      `, [new Date().toISOString(), maxAttempts]);
+      const requeued = await db.run("UPDATE ingest_jobs SET status = 'queued' WHERE status = 'running'");
+      return { requeued: requeued.changes, failed: failed.changes };
+    },
+  };
+}
+
+module.exports = { createJobsRepository };
@@ -0,0 +1,66 @@
+// Synced degree plans (`plans`) and their saved revisions (`plan_versions`)
+function createPlansRepository(db) {
+  return {
+    listForUser(userId) {
+      return db.all(
+        'SELECT * FROM plans WHERE user_id = ? ORDER BY updated_at DESC, id DESC',
+        [userId]
+      );
+    },
+
+    findById(planId) {
+      return db.get('SELECT * FROM plans WHERE id = ?', [planId]);
+    },
+
+    findOwned(planId, userId) {
+      return db.get('SELECT * FROM plans WHERE id = ? AND user_id = ?', [planId, userId]);
+    },
+
+    // Insert a plan and its first revision. Call inside a transaction.
+    async create({ userId, name, json, clientUpdatedAt }) {
+      const result = await db.run(
+        'INSERT INTO plans (user_id, name, data, version, client_updated_at) VALUES (?, ?, ?, 1, ?)',
+        [userId, name, json, clientUpdatedAt]
+      );
+      await db.run(
+        'INSERT INTO plan_versions (plan_id, version, data, client_updated_at) VALUES (?, 1, ?, ?)',
+        [result.lastID, json, clientUpdatedAt]
+      );
+      return result.lastID;
+    },
+
+    // Store the next revision of a plan. Call inside a transaction.
+    async saveVersion({ planId, name, json, version, clientUpdatedAt }) {
+      await db.run(`
+        UPDATE plans
+        SET name = ?, data = ?, version = ?, client_updated_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [name, json, version, clientUpdatedAt, planId]);
+      await db.run(
+        'INSERT INTO plan_versions (plan_id, version, data, client_updated_at) VALUES (?, ?, ?, ?)',
+        [planId, version, json, clientUpdatedAt]
+      );
+    },
+
+    async delete(planId) {
+      await db.run('DELETE FROM plan_versions WHERE plan_id = ?', [planId]);
+      await db.run('DELETE FROM plans WHERE id = ?', [planId]);
+    },
+
+    listVersions(planId, limit) {
+      return db.all(`
+        SELECT version, client_updated_at, created_at FROM plan_versions
+        WHERE plan_id = ? ORDER BY version DESC LIMIT ?
+      `, [planId, limit]);
+    },
+
+    findVersion(planId, version) {
+      return db.get(
+        'SELECT * FROM plan_versions WHERE plan_id = ? AND version = ?',
+        [planId, version]
+      );
+    },
+  };
+}
+
+module.exports = { createPlansRepository };
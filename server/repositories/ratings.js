@@ -0,0 +1,75 @@
+// RateMyProfessors data kept across restarts: raw proxy responses
+// (`rmp_cache`) and each instructor's matched rating (`instructor_ratings`).
+// Timestamps are ISO strings so they compare as text.
+
+// Newest term first within a year, for picking the current term
+const TERM_RANK = "CASE term WHEN 'Fall' THEN 3 WHEN 'Summer' THEN 2 WHEN 'Spring' THEN 1 ELSE 0 END";
+
+function createRatingsRepository(db) {
+  return {
+    // The cached value for `key` if fetched within maxAgeMs, else undefined
+    async getCached(key, maxAgeMs) {
+      const row = await db.get('SELECT value, fetchedAt FROM rmp_cache WHERE key = ?', [key]);
+      if (!row || Date.parse(row.fetchedAt) < Date.now() - maxAgeMs) return undefined;
+      return JSON.parse(row.value);
+    },
+
+    setCached(key, value) {
+      return db.run(`
+        INSERT INTO rmp_cache (key, value, fetchedAt) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, fetchedAt = excluded.fetchedAt
+      `, [key, JSON.stringify(value ?? null), new Date().toISOString()]);
+    },
+
+    /**
+     * Record an instructor's rating as of `fetchedAt`. A null rating records
+     * that RMP had no match, so the refresh can skip them until it is stale.
+     */
+    saveInstructorRating(instructorId, rating, fetchedAt = new Date().toISOString()) {
+      const r = rating || {};
+      return db.run(`
+        INSERT INTO instructor_ratings
+          (instructorId, legacyId, matchedName, avgRating, avgDifficulty, wouldTakeAgainPercent, numRatings, fetchedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(instructorId) DO UPDATE SET
+          legacyId = excluded.legacyId, matchedName = excluded.matchedName,
+          avgRating = excluded.avgRating, avgDifficulty = excluded.avgDifficulty,
+          wouldTakeAgainPercent = excluded.wouldTakeAgainPercent, numRatings = excluded.numRatings,
+          fetchedAt = excluded.fetchedAt
+      `, [
+        instructorId, r.legacyId ?? null, r.matchedName ?? null, r.avgRating ?? null, r.avgDifficulty ?? null,
+        r.wouldTakeAgainPercent ?? null, r.numRatings ?? null, fetchedAt,
+      ]);
+    },
+
+    findInstructorRating(instructorId) {
+      return db.get(`
+        SELECT legacyId, matchedName, avgRating, avgDifficulty, wouldTakeAgainPercent, numRatings, fetchedAt
+        FROM instructor_ratings WHERE instructorId = ?
+      `, [instructorId]);
+    },
+
+    /**
+     * Instructors teaching in the newest term on file whose rating is
+     * missing or was fetched before `staleBefore`, never-fetched first.
+     */
+    listDueForRefresh({ staleBefore, limit }) {
+      return db.all(`
+        WITH current AS (
+          SELECT year, term FROM courses ORDER BY year DESC, ${TERM_RANK} DESC LIMIT 1
+        )
+        SELECT DISTINCT i.id, i.name, i.firstName, i.lastName, r.fetchedAt
+        FROM instructors i
+        JOIN course_instructors ci ON ci.instructorId = i.id
+        JOIN courses c ON c.id = ci.courseId
+        JOIN current ON c.year = current.year AND c.term = current.term
+        LEFT JOIN instructor_ratings r ON r.instructorId = i.id
+        WHERE r.fetchedAt IS NULL OR r.fetchedAt < ?
+        ORDER BY r.fetchedAt IS NOT NULL, r.fetchedAt, i.id
+        LIMIT ?
+      `, [staleBefore, parseInt(limit, 10)]);
+    },
+  };
+}
+
+module.exports = { createRatingsRepository };
@@ -0,0 +1,88 @@
+// Buildings and rooms sections meet in, read from the location columns of
+// `course_meetings`. Building and room names are stored upper-case.
+
+const DAY_SORT = "CASE m.day WHEN 'M' THEN 1 WHEN 'T' THEN 2 WHEN 'W' THEN 3 WHEN 'R' THEN 4 WHEN 'F' THEN 5 WHEN 'S' THEN 6 ELSE 7 END";
+// Latest term of a year first
+const TERM_SORT = "CASE c.term WHEN 'Fall' THEN 1 WHEN 'Summer' THEN 2 WHEN 'Spring' THEN 3 ELSE 4 END";
+
+// WHERE clauses shared by every room query: the semester and campus of the
+// section, and meetings whose date range covers `date` (YYYY-MM-DD)
+function meetingFilters({ campus, term, year, date } = {}) {
+  const whereClauses = ['m.building IS NOT NULL', 'm.room IS NOT NULL'];
+  const params = [];
+  if (campus) {
+    whereClauses.push('LOWER(c.campus) = LOWER(?)');
+    params.push(campus);
+  }
+  if (term) {
+    whereClauses.push('LOWER(c.term) = LOWER(?)');
+    params.push(term);
+  }
+  if (year) {
+    whereClauses.push('c.year = ?');
+    params.push(parseInt(year, 10));
+  }
+  if (date) {
+    whereClauses.push('(m.startDate IS NULL OR m.startDate <= ?)', '(m.endDate IS NULL OR m.endDate >= ?)');
+    params.push(date, date);
+  }
+  return { whereClauses, params };
+}
+
+function createRoomsRepository(db) {
+  return {
+    // { term, year } of the newest semester with sections in rooms, or undefined
+    latestTerm(campus) {
+      const { whereClauses, params } = meetingFilters({ campus });
+      return db.get(`
+        SELECT c.term, c.year
+        FROM course_meetings m JOIN courses c ON c.id = m.courseId
+        WHERE ${whereClauses.join(' AND ')}
+        ORDER BY c.year DESC, ${TERM_SORT}
+        LIMIT 1
+      `, params);
+    },
+
+    // Every room in use, with how many sections meet there
+    listRooms(filters) {
+      const { whereClauses, params } = meetingFilters(filters);
+      return db.all(`
+        SELECT m.building, m.room, COUNT(DISTINCT m.courseId) AS sectionCount
+        FROM course_meetings m JOIN courses c ON c.id = m.courseId
+        WHERE ${whereClauses.join(' AND ')}
+        GROUP BY m.building, m.room
+        ORDER BY m.building, m.room
+      `, params);
+    },
+
+    // Rooms with a meeting on `day` overlapping [startMinute, endMinute)
+    listBusyRooms({ day, startMinute, endMinute, ...filters }) {
+      const { whereClauses, params } = meetingFilters(filters);
+      return db.all(`
+        SELECT DISTINCT m.building, m.room
+        FROM course_meetings m JOIN courses c ON c.id = m.courseId
+        WHERE ${whereClauses.join(' AND ')} AND m.day = ? AND m.startMinute < ? AND m.endMinute > ?
+      `, [...params, day, endMinute, startMinute]);
+    },
+
+    async roomExists(building, room) {
+      const row = await db.get('SELECT 1 AS found FROM course_meetings WHERE building = ? AND room = ? LIMIT 1', [building, room]);
+      return !!row;
+    },
+
+    // One room's meetings in week order, with the section each belongs to
+    roomSchedule(building, room, filters) {
+      const { whereClauses, params } = meetingFilters(filters);
+      return db.all(`
+        SELECT m.day, m.startMinute, m.endMinute, m.startDate, m.endDate,
+          c.uniqueId, c.campus, c.term, c.year, c.prefix, c.courseNumber, c.sectionNumber,
+          c.title, c.instructor, c.dayTime
+        FROM course_meetings m JOIN courses c ON c.id = m.courseId
+        WHERE ${whereClauses.join(' AND ')} AND m.building = ? AND m.room = ?
+        ORDER BY ${DAY_SORT}, m.startMinute, c.prefix, c.courseNumber, c.sectionNumber
+      `, [...params, building, room]);
+    },
+  };
+}
+
+module.exports = { createRoomsRepository };
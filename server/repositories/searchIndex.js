@@ -0,0 +1,156 @@
+// FTS5 indexes over live sections (`courses_fts`) and catalog courses
+// (`catalog_courses_fts`), created by db/migrations/004. Each index row's
+// rowid is the source row's id.
+//
+// The repositories that own the source tables keep the indexes in sync
+// rather than triggers: catalog courses are saved with INSERT OR REPLACE,
+// which removes the old row without firing delete triggers.
+const {
+  MARK_START,
+  MARK_END,
+  searchTokens,
+  buildMatchQuery,
+  isCorrectable,
+  maxEdits,
+  closestTerm,
+  sectionDocument,
+  catalogCourseDocument,
+} = require('../services/courseSearch');
+
+// Column weights for bm25(): code, title, description, instructor
+const WEIGHTS = '10.0, 5.0, 1.0, 2.0';
+// Words of description context around the best match
+const SNIPPET_TOKENS = 24;
+
+const INDEXES = {
+  sections: {
+    table: 'courses_fts',
+    vocab: 'courses_fts_vocab',
+    source: 'courses',
+    sourceColumns: 'id, prefix, courseNumber, title, courseDescription, instructor, instructors',
+    document: sectionDocument,
+  },
+  catalog: {
+    table: 'catalog_courses_fts',
+    vocab: 'catalog_courses_fts_vocab',
+    source: 'catalog_courses',
+    sourceColumns: 'id, code, prefix, number, title, description',
+    document: catalogCourseDocument,
+  },
+};
+
+/**
+ * `WITH hits AS (...)` over one index, exposing hit_id, score (bm25, lower
+ * is better) and hl_title / hl_description / hl_instructor. Bind the MATCH
+ * expression as its first parameter, then join hits to the source table.
+ */
+function hitsCte(kind) {
+  const { table } = INDEXES[kind];
+  const mark = `'${MARK_START}', '${MARK_END}'`;
+  return `WITH hits AS (
+    SELECT rowid AS hit_id,
+      bm25(${table}, ${WEIGHTS}) AS score,
+      highlight(${table}, 1, ${mark}) AS hl_title,
+      snippet(${table}, 2, ${mark}, '…', ${SNIPPET_TOKENS}) AS hl_description,
+      highlight(${table}, 3, ${mark}) AS hl_instructor
+    FROM ${table} WHERE ${table} MATCH ?
+  )`;
+}
+
+/**
+ * Move the hl_* columns selected from hitsCte() into `highlights`, keeping
+ * only fields that contain a match.
+ */
+function withHighlights(row) {
+  const { hit_id, score, hl_title, hl_description, hl_instructor, ...rest } = row;
+  const highlights = {};
+  if (hl_title && hl_title.includes(MARK_START)) highlights.title = hl_title;
+  if (hl_description && hl_description.includes(MARK_START)) highlights.description = hl_description;
+  if (hl_instructor && hl_instructor.includes(MARK_START)) highlights.instructor = hl_instructor;
+  return { ...rest, highlights };
+}
+
+function createSearchIndex(db) {
+  async function write(kind, row) {
+    const { table, document } = INDEXES[kind];
+    const doc = document(row);
+    await db.run(`DELETE FROM ${table} WHERE rowid = ?`, [row.id]);
+    await db.run(
+      `INSERT INTO ${table} (rowid, code, title, description, instructor) VALUES (?, ?, ?, ?, ?)`,
+      [row.id, doc.code, doc.title, doc.description, doc.instructor]
+    );
+  }
+
+  // Vocabulary terms sharing the token's first letter and within edit range
+  function correctionCandidates(kind, token) {
+    const { vocab } = INDEXES[kind];
+    const first = token[0];
+    const next = String.fromCharCode(first.charCodeAt(0) + 1);
+    const slack = maxEdits(token);
+    return db.all(
+      `SELECT term, doc FROM ${vocab}
+       WHERE term >= ? AND term < ? AND length(term) BETWEEN ? AND ?`,
+      [first, next, token.length - slack, token.length + slack]
+    );
+  }
+
+  async function knownPrefix(kind, token) {
+    const { vocab } = INDEXES[kind];
+    const row = await db.get(
+      `SELECT 1 FROM ${vocab} WHERE term >= ? AND term < ? LIMIT 1`,
+      [token, `${token}\u{10FFFF}`]
+    );
+    return !!row;
+  }
+
+  return {
+    /** Re-index one source row by id, or drop it from the index if it is gone. */
+    async index(kind, id) {
+      const { table, source, sourceColumns } = INDEXES[kind];
+      const row = await db.get(`SELECT ${sourceColumns} FROM ${source} WHERE id = ?`, [id]);
+      if (row) await write(kind, row);
+      else await db.run(`DELETE FROM ${table} WHERE rowid = ?`, [id]);
+    },
+
+    remove(kind, id) {
+      return db.run(`DELETE FROM ${INDEXES[kind].table} WHERE rowid = ?`, [id]);
+    },
+
+    /** Drop index rows whose source row has been deleted. */
+    prune(kind) {
+      const { table, source } = INDEXES[kind];
+      return db.run(`DELETE FROM ${table} WHERE rowid NOT IN (SELECT id FROM ${source})`);
+    },
+
+    clear(kind) {
+      return db.run(`DELETE FROM ${INDEXES[kind].table}`);
+    },
+
+    /** Re-index every source row. Returns the number of rows indexed. */
+    async rebuild(kind) {
+      const { table, source, sourceColumns } = INDEXES[kind];
+      await db.run(`DELETE FROM ${table}`);
+      const rows = await db.all(`SELECT ${sourceColumns} FROM ${source}`);
+      for (const row of rows) await write(kind, row);
+      return rows.length;
+    },
+
+    /**
+     * Turn a user query into a MATCH expression. Tokens that don't prefix
+     * any indexed word are matched against the closest one as well.
+     * @returns {Promise<{ match: string|null, corrections: Object<string,string> }>}
+     */
+    async prepareQuery(kind, q) {
+      const tokens = searchTokens(q);
+      const corrections = {};
+      for (const token of tokens) {
+        if (!isCorrectable(token) || await knownPrefix(kind, token)) continue;
+        const fixed = closestTerm(token, await correctionCandidates(kind, token));
+        if (fixed) corrections[token] = fixed;
+      }
+      return { match: buildMatchQuery(tokens, corrections), corrections };
+    },
+  };
+}
+
+module.exports = { createSearchIndex, hitsCte, withHighlights };
@@ -0,0 +1,58 @@
+// Read-only plan share links (`shared_plans`) and advisor comments on them
+function createSharedPlansRepository(db) {
+  return {
+    findByToken(token) {
+      return db.get('SELECT * FROM shared_plans WHERE token = ?', [token]);
+    },
+
+    create({ token, ownerKeyHash, userId, title, studentName, json, expiresAt }) {
+      return db.run(`
+        INSERT INTO shared_plans (token, owner_key_hash, user_id, title, student_name, data, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [token, ownerKeyHash, userId, title, studentName, json, expiresAt]);
+    },
+
+    revoke(sharedPlanId) {
+      return db.run('UPDATE shared_plans SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [sharedPlanId]);
+    },
+
+    // user_id of an unexpired session, or null
+    async findSessionUserId(tokenHash) {
+      const session = await db.get(
+        'SELECT user_id FROM user_sessions WHERE token_hash = ? AND expires_at > ?',
+        [tokenHash, new Date().toISOString()]
+      );
+      return session ? session.user_id : null;
+    },
+
+    listComments(sharedPlanId) {
+      return db.all(
+        'SELECT * FROM shared_plan_comments WHERE shared_plan_id = ? ORDER BY created_at ASC, id ASC',
+        [sharedPlanId]
+      );
+    },
+
+    findComment(commentId) {
+      return db.get('SELECT * FROM shared_plan_comments WHERE id = ?', [commentId]);
+    },
+
+    async addComment({ sharedPlanId, yearId, term, courseId, courseName, authorName, body }) {
+      const result = await db.run(`
+        INSERT INTO shared_plan_comments (shared_plan_id, year_id, term, course_id, course_name, author_name, body)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [sharedPlanId, yearId, term, courseId, courseName, authorName, body]);
+      return result.lastID;
+    },
+
+    // Returns the number of comments updated (0 when it isn't on this plan)
+    async setCommentResolved(sharedPlanId, commentId, resolvedAt) {
+      const result = await db.run(
+        'UPDATE shared_plan_comments SET resolved_at = ? WHERE id = ? AND shared_plan_id = ?',
+        [resolvedAt, commentId, sharedPlanId]
+      );
+      return result.changes;
+    },
+  };
+}
+
+module.exports = { createSharedPlansRepository };
@@ -0,0 +1,47 @@
+// Student accounts (`users`) and their login sessions (`user_sessions`)
+function createUsersRepository(db) {
+  return {
+    findByEmail(email) {
+      return db.get('SELECT * FROM users WHERE email = ?', [email]);
+    },
+
+    async create({ email, passwordHash, displayName }) {
+      const result = await db.run(
+        'INSERT INTO users (email, password_hash, display_name, last_login_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+        [email, passwordHash, displayName]
+      );
+      return result.lastID;
+    },
+
+    touchLogin(userId) {
+      return db.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [userId]);
+    },
+
+    createSession({ tokenHash, userId, expiresAt }) {
+      return db.run(
+        'INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+        [tokenHash, userId, expiresAt]
+      );
+    },
+
+    // Session joined with its user, or undefined
+    findSession(tokenHash) {
+      return db.get(`
+        SELECT u.id, u.email, u.display_name, s.token_hash, s.expires_at
+        FROM user_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ?
+      `, [tokenHash]);
+    },
+
+    deleteSession(tokenHash) {
+      return db.run('DELETE FROM user_sessions WHERE token_hash = ?', [tokenHash]);
+    },
+
+    deleteExpiredSessions(userId, now = new Date().toISOString()) {
+      return db.run('DELETE FROM user_sessions WHERE user_id = ? AND expires_at <= ?', [userId, now]);
+    },
+  };
+}
+
+module.exports = { createUsersRepository };
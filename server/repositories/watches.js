@@ -0,0 +1,97 @@
+// Seat watches (`watches`) and the notifications they raise (`watch_notifications`)
+
+const WATCH_WITH_COURSE = `
+  SELECT w.*, c.prefix, c.courseNumber, c.sectionNumber, c.title, c.term, c.year,
+         c.seatsAvailable, c.waitlistAvailable
+  FROM watches w
+  LEFT JOIN courses c ON c.uniqueId = w.unique_id
+`;
+
+function createWatchesRepository(db) {
+  return {
+    // Watches on the given sections joined with the sections' current numbers
+    listForSections(uniqueIds) {
+      if (!uniqueIds.length) return Promise.resolve([]);
+      return db.all(`
+        SELECT w.*, c.prefix, c.courseNumber, c.sectionNumber, c.seatsAvailable, c.waitlistAvailable
+        FROM watches w
+        JOIN courses c ON c.uniqueId = w.unique_id
+        WHERE w.unique_id IN (${uniqueIds.map(() => '?').join(',')})
+      `, uniqueIds);
+    },
+
+    listForUser(userId) {
+      return db.all(`${WATCH_WITH_COURSE}
+        WHERE w.user_id = ?
+        ORDER BY w.created_at DESC, w.id DESC
+      `, [userId]);
+    },
+
+    findWithCourse({ userId, uniqueId, field, direction }) {
+      return db.get(`${WATCH_WITH_COURSE}
+        WHERE w.user_id = ? AND w.unique_id = ? AND w.field = ? AND w.direction = ?
+      `, [userId, uniqueId, field, direction]);
+    },
+
+    findExisting({ userId, uniqueId, field, direction }) {
+      return db.get(
+        'SELECT id FROM watches WHERE user_id = ? AND unique_id = ? AND field = ? AND direction = ?',
+        [userId, uniqueId, field, direction]
+      );
+    },
+
+    async countForUser(userId) {
+      const { count } = await db.get('SELECT COUNT(*) as count FROM watches WHERE user_id = ?', [userId]);
+      return count;
+    },
+
+    create({ userId, uniqueId, field, direction, threshold, lastValue }) {
+      return db.run(`
+        INSERT INTO watches (user_id, unique_id, field, direction, threshold, last_value)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [userId, uniqueId, field, direction, threshold, lastValue]);
+    },
+
+    updateThreshold(watchId, threshold, lastValue) {
+      return db.run('UPDATE watches SET threshold = ?, last_value = ? WHERE id = ?', [threshold, lastValue, watchId]);
+    },
+
+    // Returns the number of watches deleted (0 when it isn't the user's)
+    async delete(watchId, userId) {
+      const result = await db.run('DELETE FROM watches WHERE id = ? AND user_id = ?', [watchId, userId]);
+      return result.changes;
+    },
+
+    recordValue(watchId, value) {
+      return db.run('UPDATE watches SET last_value = ? WHERE id = ?', [value, watchId]);
+    },
+
+    async notify(watch, value, message) {
+      await db.run(`
+        INSERT INTO watch_notifications (watch_id, user_id, unique_id, field, previous_value, value, message)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [watch.id, watch.user_id, watch.unique_id, watch.field, watch.last_value, value, message]);
+      await db.run('UPDATE watches SET last_value = ?, last_notified_at = CURRENT_TIMESTAMP WHERE id = ?', [value, watch.id]);
+    },
+
+    listUndelivered(userId, limit) {
+      return db.all(`
+        SELECT * FROM watch_notifications
+        WHERE user_id = ? AND delivered_at IS NULL
+        ORDER BY id ASC
+        LIMIT ?
+      `, [userId, limit]);
+    },
+
+    // Returns the number of notifications marked delivered
+    async acknowledge(userId, ids) {
+      const result = await db.run(`
+        UPDATE watch_notifications SET delivered_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND delivered_at IS NULL AND id IN (${ids.map(() => '?').join(',')})
+      `, [userId, ...ids]);
+      return result.changes;
+    },
+  };
+}
+
+module.exports = { createWatchesRepository };
@@ -0,0 +1,225 @@
+// Student accounts and synced degree plans
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { logger } = require('../../logger');
+const { hashPassword, verifyPassword, newSessionToken, toPublicUser, validateCredentials } = require('../services/auth');
+const { readPlanPayload, formatPlanRow } = require('../services/plans');
+const { sendError, sendBadRequest, sendUnauthorized, sendNotFound, sendServerError } = require('../http');
+
+function createAccountsRouter({ repos, userAuth }) {
+  const router = express.Router();
+  const { users, plans } = repos;
+
+  // Stricter limit on credential endpoints to slow down password guessing
+  const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 20,
+    message: { error: 'Too many login attempts, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  async function createUserSession(userId) {
+    const { token, tokenHash, expiresAt } = newSessionToken();
+    await users.createSession({ tokenHash, userId, expiresAt });
+    return { token, expiresAt };
+  }
+
+  // Register a new student account
+  router.post('/auth/register', authLimiter, async (req, res) => {
+    try {
+      const creds = validateCredentials(req.body);
+      if (creds.error) return sendBadRequest(res, creds.error);
+
+      const existing = await users.findByEmail(creds.email);
+      if (existing) return sendError(res, 409, 'An account with that email already exists');
+
+      const displayName = typeof req.body.displayName === 'string'
+        ? req.body.displayName.trim().slice(0, 100) || null
+        : null;
+      const passwordHash = await hashPassword(creds.password);
+      const userId = await users.create({ email: creds.email, passwordHash, displayName });
+
+      const session = await createUserSession(userId);
+      res.status(201).json({
+        user: { id: userId, email: creds.email, displayName },
+        ...session
+      });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Exchange email/password for a session token
+  router.post('/auth/login', authLimiter, async (req, res) => {
+    try {
+      const creds = validateCredentials(req.body);
+      if (creds.error) return sendUnauthorized(res, 'Invalid email or password');
+
+      const user = await users.findByEmail(creds.email);
+      if (!user || !(await verifyPassword(creds.password, user.password_hash))) {
+        logger.warn('Student login failed', { meta: { ip: req.ip } });
+        return sendUnauthorized(res, 'Invalid email or password');
+      }
+
+      await users.touchLogin(user.id);
+      await users.deleteExpiredSessions(user.id);
+
+      const session = await createUserSession(user.id);
+      res.json({ user: toPublicUser(user), ...session });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.post('/auth/logout', userAuth, async (req, res) => {
+    try {
+      await users.deleteSession(req.sessionTokenHash);
+      res.json({ success: true });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.get('/auth/me', userAuth, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  // List the signed-in student's plans (metadata only)
+  router.get('/plans', userAuth, async (req, res) => {
+    try {
+      const rows = await plans.listForUser(req.user.id);
+      res.json({ plans: rows.map(row => formatPlanRow(row, false)) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.get('/plans/:id', userAuth, async (req, res) => {
+    try {
+      const row = await plans.findOwned(req.params.id, req.user.id);
+      if (!row) return sendNotFound(res, 'Plan not found');
+      res.json({ plan: formatPlanRow(row) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.post('/plans', userAuth, async (req, res) => {
+    try {
+      const payload = readPlanPayload(req.body);
+      if (payload.error) return sendBadRequest(res, payload.error);
+      const name = typeof req.body.name === 'string' && req.body.name.trim()
+        ? req.body.name.trim().slice(0, 120)
+        : 'My Degree Plan';
+
+      const row = await repos.withTransaction(async () => {
+        const planId = await plans.create({
+          userId: req.user.id, name, json: payload.json, clientUpdatedAt: payload.clientUpdatedAt
+        });
+        return plans.findById(planId);
+      });
+
+      res.status(201).json({ plan: formatPlanRow(row) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Save a new revision. When `baseVersion` is sent and the server has moved past it,
+  // respond 409 with the current server copy so the client can reconcile; pass
+  // `force: true` to overwrite anyway (the replaced revision stays in plan_versions).
+  router.put('/plans/:id', userAuth, async (req, res) => {
+    try {
+      const payload = readPlanPayload(req.body);
+      if (payload.error) return sendBadRequest(res, payload.error);
+      const baseVersion = req.body.baseVersion != null ? parseInt(req.body.baseVersion, 10) : null;
+
+      const outcome = await repos.withTransaction(async () => {
+        const current = await plans.findOwned(req.params.id, req.user.id);
+        if (!current) return { notFound: true };
+        if (baseVersion !== null && baseVersion !== current.version && !req.body.force) {
+          return { conflict: current };
+        }
+
+        const name = typeof req.body.name === 'string' && req.body.name.trim()
+          ? req.body.name.trim().slice(0, 120)
+          : current.name;
+        await plans.saveVersion({
+          planId: current.id,
+          name,
+          json: payload.json,
+          version: current.version + 1,
+          clientUpdatedAt: payload.clientUpdatedAt
+        });
+        return { row: await plans.findById(current.id) };
+      });
+
+      if (outcome.notFound) return sendNotFound(res, 'Plan not found');
+      if (outcome.conflict) {
+        return res.status(409).json({
+          error: 'Plan was changed on another device',
+          plan: formatPlanRow(outcome.conflict)
+        });
+      }
+      res.json({ plan: formatPlanRow(outcome.row) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.delete('/plans/:id', userAuth, async (req, res) => {
+    try {
+      const deleted = await repos.withTransaction(async () => {
+        const current = await plans.findOwned(req.params.id, req.user.id);
+        if (!current) return false;
+        await plans.delete(current.id);
+        return true;
+      });
+      if (!deleted) return sendNotFound(res, 'Plan not found');
+      res.json({ success: true });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Revision history for a plan (newest first)
+  router.get('/plans/:id/versions', userAuth, async (req, res) => {
+    try {
+      const plan = await plans.findOwned(req.params.id, req.user.id);
+      if (!plan) return sendNotFound(res, 'Plan not found');
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const versions = await plans.listVersions(plan.id, limit);
+      res.json({
+        versions: versions.map(v => ({
+          version: v.version,
+          clientUpdatedAt: v.client_updated_at,
+          createdAt: v.created_at
+        }))
+      });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.get('/plans/:id/versions/:version', userAuth, async (req, res) => {
+    try {
+      const plan = await plans.findOwned(req.params.id, req.user.id);
+      if (!plan) return sendNotFound(res, 'Plan not found');
+      const row = await plans.findVersion(plan.id, req.params.version);
+      if (!row) return sendNotFound(res, 'Version not found');
+      res.json({
+        version: row.version,
+        clientUpdatedAt: row.client_updated_at,
+        createdAt: row.created_at,
+        data: JSON.parse(row.data)
+      });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountsRouter };
@@ -0,0 +1,281 @@
+// Admin API: destructive and ingest operations, API tokens, the audit log
+// and webhook dead letters. Every route needs an admin token (see
+// middleware/adminAuth.js) with at least the listed role, and every change
+// is recorded in audit_log.
+const express = require('express');
+const { ADMIN_ROLES, newApiToken } = require('../services/auth');
+const { WEBHOOK_ENDPOINTS } = require('../services/webhookIngest');
+const { availableYears, extractCatalogYear } = require('../services/catalogExtractor');
+const { sendError, sendBadRequest, sendNotFound, sendServerError } = require('../http');
+
+const MAX_PAGE_SIZE = 200;
+const DEAD_LETTER_STATUSES = ['pending', 'replaying', 'replayed', 'discarded'];
+
+// Positive integer route id, or null
+function readId(param) {
+  const id = Number(param);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function readPage(query) {
+  return {
+    page: parseInt(query.page, 10) || 1,
+    limit: Math.min(parseInt(query.limit, 10) || 50, MAX_PAGE_SIZE),
+  };
+}
+
+// "Pullman Fall 2025", "all campuses", ... for the audit target
+function clearTarget({ campus, term, year } = {}) {
+  if (term && year) return [campus, term, year].filter(Boolean).join(' ');
+  if (campus) return campus;
+  return 'all';
+}
+
+function readAuditQuery(query) {
+  const { page, limit } = readPage(query);
+  if (page < 1 || limit < 1) return { error: 'page and limit must be positive' };
+  for (const key of ['since', 'until']) {
+    if (query[key] && Number.isNaN(Date.parse(query[key]))) return { error: `${key} must be an ISO date or timestamp` };
+  }
+  const iso = value => (value ? new Date(value).toISOString() : undefined);
+  return {
+    page, limit,
+    action: query.action || undefined,
+    actor: query.actor || undefined,
+    since: iso(query.since),
+    until: iso(query.until),
+  };
+}
+
+function createAdminRouter({ repos, adminAuth, audited, ingestQueue }) {
+  const router = express.Router();
+  const { admin, catalog, courses, deadLetters, departments } = repos;
+  const { requireRole } = adminAuth;
+
+  router.get('/admin/me', requireRole('read-only'), (req, res) => {
+    res.json({ name: req.actor.name, role: req.actor.role });
+  });
+
+  router.get('/admin/audit-log', requireRole('read-only'), async (req, res) => {
+    try {
+      const options = readAuditQuery(req.query);
+      if (options.error) return sendBadRequest(res, options.error);
+      const { entries, total } = await admin.listAudit(options);
+      res.json({ entries, total, page: options.page, limit: options.limit, totalPages: Math.ceil(total / options.limit) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Clear section data: one semester, one campus, or everything
+  router.post('/admin/clear', requireRole('admin'), audited('courses.clear', { target: req => clearTarget(req.body) }), async (req, res) => {
+    try {
+      const { campus, term, year } = req.body || {};
+
+      if (term && year) {
+        // Delete specific semester (all campuses or specific campus)
+        const coursesDeleted = await courses.clearSemester({ campus, term, year });
+        res.json({
+          success: true,
+          message: campus ? `Cleared ${campus} ${term} ${year}` : `Cleared ${term} ${year} for all campuses`,
+          coursesDeleted
+        });
+      } else if (campus && !term && !year) {
+        // Delete all data for a specific campus
+        const coursesDeleted = await courses.clearCampus(campus);
+        res.json({
+          success: true,
+          message: `Cleared all data for ${campus}`,
+          coursesDeleted
+        });
+      } else {
+        // Clear ALL data
+        await courses.clearAll();
+        res.json({ success: true, message: 'All data cleared' });
+      }
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Clear catalog data (departments, degrees, minors, certificates)
+  router.post('/admin/clear-catalog', requireRole('admin'), audited('catalog.clear', { target: req => String(req.body?.catalogYear || 'all') }), async (req, res) => {
+    try {
+      const { catalogYear } = req.body || {};
+
+      if (catalogYear) {
+        // Delete specific catalog year
+        const deleted = await departments.clear(catalogYear);
+        res.json({
+          success: true,
+          message: `Cleared catalog data for ${catalogYear}`,
+          deleted
+        });
+      } else {
+        // Clear ALL catalog data
+        await departments.clear();
+        res.json({ success: true, message: 'All catalog data cleared' });
+      }
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Load historical catalog years from the archived catalog texts. Each
+  // year is extracted here and queued as a catalog-programs ingest job, so
+  // it is written exactly as /webhook/catalog-programs would write it; the
+  // response reports what was extracted and what could not be parsed.
+  router.post('/admin/catalog/init', requireRole('data-ingest'), audited('catalog.init', { target: req => (Array.isArray(req.body?.years) ? req.body.years.join(',') : 'available') }), async (req, res) => {
+    const { years, force = false } = req.body || {};
+    if (years !== undefined && !(Array.isArray(years) && years.every(Number.isInteger))) {
+      return sendBadRequest(res, 'years must be an array of catalog years');
+    }
+
+    try {
+      const available = availableYears();
+      const report = [];
+      for (const year of years || available) {
+        if (!available.includes(year)) {
+          report.push({ year, status: 'failed', error: `No archived catalog text for ${year}` });
+          continue;
+        }
+        if (!force && await catalog.hasYear(year)) {
+          report.push({ year, status: 'skipped' });
+          continue;
+        }
+
+        const { degrees, minors, certificates, courses, unparsed } = extractCatalogYear(year);
+        const { jobId, statusUrl } = await ingestQueue.enqueue('catalog-programs', {
+          catalogYear: year, sourceType: 'pdf', degrees, minors, certificates, courses
+        }, { createdBy: req.actor.name });
+        report.push({
+          year,
+          status: 'queued',
+          jobId,
+          statusUrl,
+          extracted: { degrees: degrees.length, minors: minors.length, certificates: certificates.length, courses: courses.length },
+          unparsed
+        });
+      }
+
+      const queued = report.some(entry => entry.status === 'queued');
+      res.status(queued ? 202 : 200).json({ status: queued ? 'accepted' : 'completed', years: report });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.get('/admin/tokens', requireRole('admin'), async (req, res) => {
+    try {
+      res.json({ tokens: await admin.listTokens() });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // The raw token is returned here once and never stored or logged
+  router.post('/admin/tokens', requireRole('admin'), audited('tokens.create', {
+    target: req => req.body?.name || null,
+    details: ({ token, ...rest }) => rest,
+  }), async (req, res) => {
+    try {
+      const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+      const { role } = req.body || {};
+      if (!name || name.length > 100) return sendBadRequest(res, 'name is required (at most 100 characters)');
+      if (!ADMIN_ROLES.includes(role)) return sendBadRequest(res, `role must be one of: ${ADMIN_ROLES.join(', ')}`);
+
+      const { token, tokenHash } = newApiToken();
+      const id = await admin.createToken({ name, role, tokenHash, createdBy: req.actor.name });
+      res.status(201).json({ id, name, role, token });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.delete('/admin/tokens/:id', requireRole('admin'), audited('tokens.revoke', { target: req => req.params.id }), async (req, res) => {
+    try {
+      const id = readId(req.params.id);
+      if (!id) return sendBadRequest(res, 'Token id must be a positive integer');
+      if (!(await admin.revokeToken(id))) return sendNotFound(res, 'Token not found or already revoked');
+      res.json({ success: true });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Webhook records rejected by validation, newest first, without payloads
+  router.get('/admin/dead-letters', requireRole('read-only'), async (req, res) => {
+    try {
+      const { endpoint, status } = req.query;
+      const { page, limit } = readPage(req.query);
+      if (page < 1 || limit < 1) return sendBadRequest(res, 'page and limit must be positive');
+      if (endpoint && !WEBHOOK_ENDPOINTS.includes(endpoint)) return sendBadRequest(res, `endpoint must be one of: ${WEBHOOK_ENDPOINTS.join(', ')}`);
+      if (status && !DEAD_LETTER_STATUSES.includes(status)) return sendBadRequest(res, `status must be one of: ${DEAD_LETTER_STATUSES.join(', ')}`);
+      const { entries, total } = await deadLetters.list({ endpoint, status, page, limit });
+      res.json({ entries, total, page, limit, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.get('/admin/dead-letters/:id', requireRole('read-only'), async (req, res) => {
+    try {
+      const id = readId(req.params.id);
+      if (!id) return sendBadRequest(res, 'Dead letter id must be a positive integer');
+      const letter = await deadLetters.find(id);
+      if (!letter) return sendNotFound(res, 'Dead letter not found');
+      res.json(letter);
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  /**
+   * Queue a pending dead letter to run through its webhook again, optionally
+   * with a corrected `payload` that replaces the stored one. Answers 202
+   * with the ingest job; the letter is 'replaying' until the job finishes,
+   * then 'replayed', or pending again with the new errors if it is rejected.
+   */
+  router.post('/admin/dead-letters/:id/replay', requireRole('data-ingest'), audited('dead-letters.replay', { target: req => req.params.id }), async (req, res) => {
+    try {
+      const id = readId(req.params.id);
+      if (!id) return sendBadRequest(res, 'Dead letter id must be a positive integer');
+      const letter = await deadLetters.find(id);
+      if (!letter) return sendNotFound(res, 'Dead letter not found');
+
+      // Claimed with a conditional update, so concurrent replays can't both run
+      const payload = req.body?.payload !== undefined ? req.body.payload : letter.payload;
+      const claimed = await repos.withTransaction(() => deadLetters.claimReplay(id, payload));
+      if (!claimed) return sendError(res, 409, `Dead letter is already ${(await deadLetters.find(id)).status}`);
+
+      // The job is created in a transaction of its own; give the letter back
+      // if that fails rather than leave it 'replaying' with nothing to run it
+      let job;
+      try {
+        job = await ingestQueue.enqueue(claimed.endpoint, payload, { createdBy: req.actor.name, deadLetterId: id });
+      } catch (error) {
+        await repos.withTransaction(() => deadLetters.releaseReplay(id, letter.payload));
+        throw error;
+      }
+      const { jobId, statusUrl } = job;
+      res.status(202).json({ id, status: 'replaying', jobId, statusUrl });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.delete('/admin/dead-letters/:id', requireRole('data-ingest'), audited('dead-letters.discard', { target: req => req.params.id }), async (req, res) => {
+    try {
+      const id = readId(req.params.id);
+      if (!id) return sendBadRequest(res, 'Dead letter id must be a positive integer');
+      if (!(await deadLetters.discard(id))) return sendNotFound(res, 'No pending dead letter with that id');
+      res.json({ success: true });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
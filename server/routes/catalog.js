@@ -0,0 +1,295 @@
+// Unified catalog: loaded years, programs, parsed courses, prerequisite graph,
+// year-over-year diffs, archived PDFs and the per-department history tables
+const express = require('express');
+const { parsePrerequisites, normalizeCourseCode } = require('../../virtual-counselor/src/shared/prereqParser.mjs');
+const { CATALOG_PROGRAM_TABLES } = require('../repositories/catalog');
+const { buildPrereqGraph } = require('../services/prereqGraph');
+const { loadProgramRequirements, diffLists, diffRequirements, sumCredits } = require('../services/catalogDiff');
+
+function createCatalogRouter({ repos }) {
+  const router = express.Router();
+  const { catalog, courses, departments } = repos;
+
+  // Get loaded catalog years
+  router.get('/catalog/years', async (req, res) => {
+    try {
+      const years = await catalog.listYears();
+      res.json({
+        years: years.map(r => r.year),
+        count: years.length
+      });
+    } catch (error) {
+      console.error('Error getting catalog years:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get catalog summary by year
+  router.get('/catalog/summary', async (req, res) => {
+    try {
+      const summary = await catalog.summary();
+
+      res.json({
+        years: summary,
+        totals: {
+          degrees: summary.reduce((sum, y) => sum + y.degrees, 0),
+          minors: summary.reduce((sum, y) => sum + y.minors, 0),
+          certificates: summary.reduce((sum, y) => sum + y.certificates, 0)
+        }
+      });
+    } catch (error) {
+      console.error('Error getting catalog summary:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get catalog courses (parsed fields) for a given year
+  router.get('/catalog/courses', async (req, res) => {
+    try {
+      // Supported filters: year, code, prefix, ucore, minCredits, maxCredits, term, campus, search, limit
+      let { year, code, prefix, ucore, minCredits, maxCredits, term, search, limit } = req.query;
+      if (!year) {
+        // pick latest year if none provided
+        year = await catalog.latestYear();
+      }
+      if (!year) return res.status(400).json({ error: 'year query parameter is required or no catalog years available' });
+
+      const { courses: rows, corrections } = await catalog.listCourses(year, { code, prefix, ucore, minCredits, maxCredits, term, search, limit });
+
+      // For campus/availability info: query live courses table for matching prefix+courseNumber
+      const out = [];
+      for (const r of rows) {
+        const codeKey = r.code || `${r.prefix} ${r.number}`;
+        // find distinct campuses/terms where this course appears in live `courses` table
+        const availability = await courses.listOfferings(r.prefix, r.number);
+
+        out.push({
+          id: r.id,
+          unique_id: r.unique_id,
+          code: r.code || codeKey,
+          prefix: r.prefix,
+          number: r.number,
+          title: r.title,
+          description: r.description,
+          credits: r.credits,
+          credits_phrase: r.credits_phrase,
+          ucore: r.ucore,
+          prerequisite_raw: r.prerequisite_raw,
+          prerequisite_codes: r.prerequisite_codes ? JSON.parse(r.prerequisite_codes) : [],
+          prerequisite_tree: r.prerequisite_tree ? JSON.parse(r.prerequisite_tree) : parsePrerequisites(r.prerequisite_raw),
+          offered_terms: r.offered_terms ? JSON.parse(r.offered_terms) : [],
+          footnotes: r.footnotes,
+          attributes: r.attributes,
+          availability, // array of { campus, term, year }
+          ...(r.highlights && { highlights: r.highlights })
+        });
+      }
+
+      res.json({ year, total: out.length, courses: out, corrections });
+    } catch (err) {
+      console.error('Error fetching catalog courses:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/catalog/prereq-graph', async (req, res) => {
+    try {
+      let { year } = req.query;
+      const root = normalizeCourseCode(typeof req.query.root === 'string' ? req.query.root : '');
+      const depth = Math.min(Math.max(parseInt(req.query.depth, 10) || 6, 1), 10);
+
+      if (!root) return res.status(400).json({ error: 'root must be a course code like "CPT S 322"' });
+      if (!year) {
+        year = await catalog.latestCourseYear();
+      }
+      if (!year) return res.status(400).json({ error: 'year query parameter is required or no catalog courses are loaded' });
+
+      const rows = await catalog.listCoursePrereqs(year);
+      const graph = buildPrereqGraph(rows, root, depth);
+
+      res.json({ year, root, ...graph });
+    } catch (error) {
+      console.error('Error building prerequisite graph:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/catalog/diff', async (req, res) => {
+    try {
+      const rawType = typeof req.query.type === 'string' ? req.query.type : 'degree';
+      const type = rawType === 'major' ? 'degree' : rawType;
+      const { name } = req.query;
+
+      if (!CATALOG_PROGRAM_TABLES[type]) return res.status(400).json({ error: 'type must be degree, minor or certificate' });
+      if (!name || typeof name !== 'string') return res.status(400).json({ error: 'name is required' });
+
+      const availableYears = await catalog.listYearsForProgram(type, name);
+      if (availableYears.length === 0) return res.status(404).json({ error: `No ${type} named "${name}" in the catalog` });
+
+      // Default to the two most recent catalog years of this program
+      const to = req.query.to ? String(req.query.to) : availableYears[availableYears.length - 1];
+      const from = req.query.from ? String(req.query.from) : availableYears[Math.max(availableYears.length - 2, 0)];
+      const missing = [from, to].filter(y => !availableYears.includes(y));
+      if (missing.length) {
+        return res.status(404).json({ error: `"${name}" is not in the ${missing.join(' or ')} catalog`, availableYears });
+      }
+
+      const [fromProgram, toProgram] = await Promise.all([
+        catalog.findProgramForYear(type, name, from),
+        catalog.findProgramForYear(type, name, to),
+      ]);
+      const [fromItems, toItems] = await Promise.all([
+        loadProgramRequirements(catalog, type, fromProgram),
+        loadProgramRequirements(catalog, type, toProgram),
+      ]);
+
+      const diff = diffRequirements(fromItems, toItems);
+      const allFootnotes = items => [...new Set(items.flatMap(i => i.footnotes))];
+      const side = (program, items) => ({
+        catalogYear: String(program.catalog_year),
+        totalCredits: program.program_credits || null,
+        requirementCredits: sumCredits(items),
+        requirements: items,
+      });
+
+      res.json({
+        name,
+        type,
+        availableYears,
+        from: side(fromProgram, fromItems),
+        to: side(toProgram, toItems),
+        added: diff.added,
+        removed: diff.removed,
+        creditChanges: diff.changes.filter(c => c.credits),
+        ucoreChanges: diff.changes.filter(c => c.ucore),
+        footnoteChanges: diff.changes.filter(c => c.footnotes),
+        moved: diff.changes.filter(c => c.moved),
+        footnotes: diffLists(allFootnotes(fromItems), allFootnotes(toItems)),
+        summary: {
+          added: diff.added.length,
+          removed: diff.removed.length,
+          changed: diff.changes.length,
+          creditDelta: sumCredits(toItems) - sumCredits(fromItems),
+        },
+      });
+    } catch (error) {
+      console.error('Error diffing catalog years:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Search across all catalog years
+  router.get('/catalog/search', async (req, res) => {
+    try {
+      const q = typeof req.query.q === 'string' ? req.query.q : '';
+      const { type, year } = req.query;
+
+      if (q.length < 2) {
+        return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+      }
+
+      const results = { degrees: [], minors: [], certificates: [] };
+
+      if (!type || type === 'degree' || type === 'all') {
+        results.degrees = await catalog.searchPrograms('degree', q, year);
+      }
+      if (!type || type === 'minor' || type === 'all') {
+        results.minors = await catalog.searchPrograms('minor', q, year);
+      }
+      if (!type || type === 'certificate' || type === 'all') {
+        results.certificates = await catalog.searchPrograms('certificate', q, year);
+      }
+
+      res.json(results);
+    } catch (error) {
+      console.error('Error searching catalog:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get all catalog PDFs (metadata only)
+  router.get('/catalog-pdfs', async (req, res) => {
+    try {
+      const pdfs = await catalog.listPdfs();
+      res.json({ pdfs, total: pdfs.length });
+    } catch (error) {
+      console.error('Error fetching catalog PDFs:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Download a specific catalog PDF
+  router.get('/catalog-pdfs/:id/download', async (req, res) => {
+    try {
+      const pdf = await catalog.findPdf(req.params.id);
+
+      if (!pdf) {
+        return res.status(404).json({ error: 'PDF not found' });
+      }
+
+      if (pdf.pdfData) {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${pdf.filename}"`);
+        res.send(pdf.pdfData);
+      } else if (pdf.filePath) {
+        res.download(pdf.filePath, pdf.filename);
+      } else {
+        res.status(404).json({ error: 'PDF file not available' });
+      }
+    } catch (error) {
+      console.error('Error downloading PDF:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get all catalog years available
+  router.get('/catalog-years', async (req, res) => {
+    try {
+      const years = await departments.listYears();
+      res.json({ years, total: years.length });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get departments by catalog year
+  router.get('/departments', async (req, res) => {
+    try {
+      const list = await departments.list({ catalogYear: req.query.catalogYear });
+      res.json({ departments: list, total: list.length });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get degree programs by catalog year
+  router.get('/degree-programs', async (req, res) => {
+    try {
+      const { catalogYear, departmentId } = req.query;
+      const programs = await departments.listDegreePrograms({ catalogYear, departmentId });
+      res.json({ programs, total: programs.length });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Search degree programs across all years
+  router.get('/degree-programs/search', async (req, res) => {
+    try {
+      const { q, catalogYear } = req.query;
+
+      if (!q) {
+        return res.status(400).json({ error: 'Search query (q) is required' });
+      }
+
+      const programs = await departments.searchDegreePrograms(q, catalogYear);
+      res.json({ programs, total: programs.length });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCatalogRouter };
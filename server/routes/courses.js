@@ -0,0 +1,172 @@
+// Live section data: stats, search, seat availability and enrollment analytics
+const express = require('express');
+const {
+  MAX_ANALYTICS_IDS,
+  loadEnrollmentAnalytics,
+  readAnalyticsOptions,
+} = require('../services/enrollmentAnalytics');
+const { sendBadRequest, sendNotFound, sendServerError } = require('../http');
+
+function createCoursesRouter({ repos }) {
+  const router = express.Router();
+  const { courses } = repos;
+
+  // Get statistics
+  router.get('/stats', async (req, res) => {
+    try {
+      const { total, byCampus, byTerm, topPrefixes } = await courses.stats();
+
+      res.json({
+        totalCourses: total,
+        byCampus: byCampus.reduce((acc, r) => ({ ...acc, [r.campus]: r.count }), {}),
+        byTerm: byTerm.reduce((acc, r) => ({ ...acc, [r.term]: r.count }), {}),
+        topPrefixes: topPrefixes.map(r => ({ prefix: r.prefix, count: r.count }))
+      });
+    } catch (error) {
+      console.error('Error generating stats:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get available terms (semesters)
+  router.get('/terms', async (req, res) => {
+    try {
+      const terms = await courses.listTerms();
+      res.json(terms);
+    } catch (error) {
+      console.error('Error fetching terms:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get available prefixes (subjects)
+  router.get('/prefixes', async (req, res) => {
+    try {
+      const { term, year, campus } = req.query;
+      const prefixes = await courses.listPrefixes({ term, year, campus });
+      res.json(prefixes);
+    } catch (error) {
+      console.error('Error fetching prefixes:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/courses', async (req, res) => {
+    try {
+      const {
+        campus, term, year, prefix, search, sort, page = 1, limit = 50,
+        minLevel, maxLevel, days, startAfter, endBefore, ucore, minCredits, maxCredits,
+        instructionMode, session, courseFee, openWaitlist
+      } = req.query;
+      // minSeats is what the Course Search page sends
+      const seatsAvailable = req.query.seatsAvailable || req.query.minSeats;
+      if (sort && sort !== 'rating') return sendBadRequest(res, "sort must be 'rating'");
+
+      const result = await courses.list({
+        campus, term, year, prefix, seatsAvailable, search, sort, page, limit,
+        minLevel, maxLevel, days, startAfter, endBefore, ucore, minCredits, maxCredits,
+        instructionMode, session, courseFee, openWaitlist
+      });
+
+      res.json({
+        courses: result.courses,
+        total: result.total,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        totalPages: Math.ceil(result.total / limit),
+        corrections: result.corrections
+      });
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Instruction modes and sessions offered, for filter dropdowns
+  router.get('/courses/facets', async (req, res) => {
+    try {
+      const { term, year, campus } = req.query;
+      res.json(await courses.listFacets({ term, year, campus }));
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Search courses
+  router.get('/courses/search', async (req, res) => {
+    try {
+      const { q, limit = 20 } = req.query;
+
+      if (!q) {
+        return res.status(400).json({ error: 'Search query (q) is required' });
+      }
+
+      const { courses: results, corrections } = await courses.search(q, limit);
+      res.json({ courses: results, total: results.length, corrections });
+    } catch (error) {
+      console.error('Error searching courses:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get courses with seats available
+  router.get('/courses/available', async (req, res) => {
+    try {
+      const { campus, term, year, minSeats = 1 } = req.query;
+      const results = await courses.listAvailable({ campus, term, year, minSeats });
+      res.json({ courses: results, total: results.length });
+    } catch (error) {
+      console.error('Error fetching available courses:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get enrollment history for a course
+  router.get('/enrollment/history/:uniqueId', async (req, res) => {
+    try {
+      const { uniqueId } = req.params;
+      const { hours = 24 } = req.query;
+
+      const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+      const history = await courses.enrollmentHistory(uniqueId, cutoffTime);
+
+      res.json({ history, total: history.length });
+    } catch (error) {
+      console.error('Error fetching enrollment history:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Analytics for several sections at once: ?ids=<uniqueId>,<uniqueId>&registrationDate=YYYY-MM-DD
+  router.get('/enrollment/analytics', async (req, res) => {
+    try {
+      const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+      if (ids.length === 0) return sendBadRequest(res, 'ids is required');
+      if (ids.length > MAX_ANALYTICS_IDS) return sendBadRequest(res, `At most ${MAX_ANALYTICS_IDS} ids per request`);
+      const options = readAnalyticsOptions(req.query);
+      if (options.error) return sendBadRequest(res, options.error);
+
+      const analytics = await loadEnrollmentAnalytics(courses, [...new Set(ids)], options);
+      res.json({ analytics });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.get('/enrollment/analytics/:uniqueId', async (req, res) => {
+    try {
+      const options = readAnalyticsOptions(req.query);
+      if (options.error) return sendBadRequest(res, options.error);
+
+      const [analytics] = await loadEnrollmentAnalytics(courses, [req.params.uniqueId], options);
+      if (!analytics) return sendNotFound(res, 'Section not found');
+      res.json(analytics);
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCoursesRouter };
@@ -0,0 +1,363 @@
+// Degree, minor and certificate listings and degree requirement schedules
+const express = require('express');
+const { normalizeLabel, parseHours, parseCourseLabel } = require('../services/courseLabels');
+
+function createDegreesRouter({ repos }) {
+  const router = express.Router();
+  const { catalog } = repos;
+
+  // Get all degrees (for degree planner)
+  router.get('/degrees', async (req, res) => {
+    try {
+      const { year, search } = req.query;
+
+      // Default to most recent year if not specified
+      const catalogYear = year || new Date().getFullYear().toString();
+      const allDegrees = await catalog.listAllPrograms(catalogYear, search);
+
+      // Deduplicate by name+type (case-insensitive), preferring 'api' over 'catalog_json'
+      const deduped = new Map();
+      for (const degree of allDegrees) {
+        const key = `${degree.name.toLowerCase()}||${degree.degree_type}`;
+        const existing = deduped.get(key);
+
+        // Keep this entry if: no existing entry, or this is from API and existing is from catalog_json
+        if (!existing || (degree.source_type === 'api' && existing.source_type === 'catalog_json')) {
+          deduped.set(key, degree);
+        }
+      }
+
+      const degrees = Array.from(deduped.values()).map(d => ({
+        id: d.id,
+        catalog_year: d.catalog_year,
+        name: d.name,
+        credits: d.credits,
+        degree_type: d.degree_type,
+        college: d.college,
+        url: d.url,
+        external_id: d.external_id,
+        narrative: d.narrative
+      }));
+
+      // Get available years for dropdown
+      const years = await catalog.listProgramYears('degree');
+
+      res.json({
+        degrees,
+        years,
+        total: degrees.length
+      });
+    } catch (error) {
+      console.error('Error fetching degrees:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get degree requirements from database or WSU Catalog API
+  // First tries database (for saved requirements), then falls back to WSU API
+  router.get('/degree-requirements', async (req, res) => {
+    try {
+      const rawType = req.query.type;
+      // Normalize "major" -> "degree" for backwards compat
+      const typeRaw = typeof rawType === 'string' ? rawType : 'degree';
+      const type = typeRaw === 'major' ? 'degree' : typeRaw;
+      const { name, acadUnitId: providedAcadUnitId } = req.query;
+
+      if (!['degree', 'minor', 'certificate'].includes(type)) {
+        return res.status(400).json({ error: 'Invalid type parameter' });
+      }
+
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'Degree name is required' });
+      }
+
+      // STEP 1: Try to fetch from database first based on type
+      const dbDegree = await catalog.findLatestProgram(type, name);
+
+      if (dbDegree) {
+        // Check if we have course requirements saved
+        const requirements = await catalog.listDegreeRequirements(dbDegree.id);
+
+        if (requirements.length > 0) {
+          // We have saved requirements - use them!
+          console.log(`[OK] Loaded ${requirements.length} course requirements from database for "${name}"`);
+
+          // Group by year and term (deduplicate identical rows from DB)
+          const coursesByYearTerm = {};
+          let totalCredits = 0;
+          const seen = new Set();
+
+          for (const item of requirements) {
+            const label = normalizeLabel(item.label);
+            if (!label) continue; // skip empty rows
+            const dedupeKey = `${item.year}|${item.term}|${label}|${item.hours}`;
+            if (seen.has(dedupeKey)) continue;
+            seen.add(dedupeKey);
+
+            const key = `${item.year}-${item.term}`;
+            if (!coursesByYearTerm[key]) {
+              coursesByYearTerm[key] = {
+                year: item.year,
+                term: item.term,
+                termName: item.term === 1 ? 'Fall' : item.term === 2 ? 'Spring' : 'Summer',
+                courses: []
+              };
+            }
+
+            const creditHours = parseHours(item.hours);
+            const courseInfo = parseCourseLabel(label, creditHours);
+
+            // Parse footnotes from JSON
+            if (item.footnotes) {
+              try {
+                courseInfo.footnotes = JSON.parse(item.footnotes);
+              } catch (e) {
+                courseInfo.footnotes = [];
+              }
+            } else {
+              courseInfo.footnotes = [];
+            }
+
+            // Milestones/advisories go in but skipped during credit tally
+            if (courseInfo.requirementType === 'filter') continue;
+            if (courseInfo.isNonCredit || courseInfo.requirementType === 'milestone' || courseInfo.requirementType === 'advisory') {
+              coursesByYearTerm[key].courses.push(courseInfo);
+            } else {
+              coursesByYearTerm[key].courses.push(courseInfo);
+              totalCredits += creditHours.min || 0;
+            }
+          }
+
+          const schedule = Object.values(coursesByYearTerm).sort((a, b) => {
+            if (a.year !== b.year) return a.year - b.year;
+            return a.term - b.term;
+          });
+
+          return res.json({
+            degree: {
+              title: dbDegree.name,
+              totalHours: dbDegree.credits,
+              narrative: dbDegree.narrative,
+              acadUnit: dbDegree.college
+            },
+            schedule,
+            totalCoursesInSequence: requirements.length,
+            estimatedCredits: totalCredits,
+            source: 'database'
+          });
+        }
+      }
+
+      // STEP 2: For minors/certificates found in DB but without requirements, return basic info
+      if (dbDegree && (type === 'minor' || type === 'certificate')) {
+        console.log(`[INFO] Found ${type} "${name}" in database (no detailed requirements available)`);
+        // Certificates use 'description' field, minors use 'narrative'
+        const narrativeText = dbDegree.narrative || dbDegree.description || `This ${type} requires specific courses. Please consult with your advisor.`;
+
+        // Parse stored extracted courses if present
+        let parsedCourses = [];
+        let parsedRequired = [];
+        let parsedElective = [];
+        try {
+          if (dbDegree.courses) parsedCourses = JSON.parse(dbDegree.courses);
+        } catch (e) { parsedCourses = []; }
+        try {
+          if (dbDegree.required_courses) parsedRequired = JSON.parse(dbDegree.required_courses);
+        } catch (e) { parsedRequired = []; }
+        try {
+          if (dbDegree.elective_courses) parsedElective = JSON.parse(dbDegree.elective_courses);
+        } catch (e) { parsedElective = []; }
+
+        return res.json({
+          degree: {
+            title: dbDegree.name,
+            totalHours: dbDegree.credits || null,
+            narrative: narrativeText,
+            acadUnit: dbDegree.college || null,
+            url: dbDegree.url
+          },
+          schedule: [],
+          totalCoursesInSequence: parsedCourses.length,
+          estimatedCredits: 0,
+          source: 'database',
+          type: type,
+          courses: parsedCourses,
+          requiredCourses: parsedRequired,
+          electiveCourses: parsedElective,
+          note: parsedCourses.length === 0 ? `Detailed course requirements for ${type}s are not yet available. Please check the WSU catalog for full requirements.` : undefined
+        });
+      }
+
+      // STEP 3: Fall back to WSU API if not in database (degrees only)
+      console.log(`[WARN] No saved requirements for "${name}", fetching from WSU API...`);
+
+      // For minors/certificates not in our DB, return a helpful error
+      if (type === 'minor' || type === 'certificate') {
+        return res.status(404).json({
+          error: `${type.charAt(0).toUpperCase() + type.slice(1)} not found`,
+          searchedFor: name,
+          suggestion: 'Please check the WSU catalog for available programs'
+        });
+      }
+
+      let acadUnitId = providedAcadUnitId;
+      let degreeInfo = null;
+
+      if (!acadUnitId && dbDegree?.external_id) {
+        acadUnitId = dbDegree.external_id;
+      }
+
+      if (!acadUnitId) {
+        const degreesResponse = await fetch('https://catalog.wsu.edu/api/Data/GetDegreesDropdown/General');
+        const degrees = await degreesResponse.json();
+
+        // Find matching degree (case-insensitive partial match)
+        degreeInfo = degrees.find(d =>
+          d.title.toLowerCase() === name.toLowerCase() ||
+          d.label.toLowerCase().includes(name.toLowerCase())
+        );
+
+        if (!degreeInfo) {
+          return res.status(404).json({
+            error: 'Degree not found in WSU catalog',
+            searchedFor: name
+          });
+        }
+
+        acadUnitId = degreeInfo.acadUnitId;
+      }
+
+      // Parse to integer — rejects any non-numeric value including strings with path chars.
+      // Using the parsed integer (not the original string) in the URL prevents SSRF.
+      const safeUnitId = parseInt(String(acadUnitId), 10);
+      if (!Number.isFinite(safeUnitId) || safeUnitId <= 0) {
+        return res.status(400).json({ error: 'Invalid academic unit ID' });
+      }
+
+      // Fetch the academic unit data which includes course requirements
+      const unitResponse = await fetch(`https://catalog.wsu.edu/api/Data/GetAcademicUnit/${safeUnitId}/General`);
+      const unitData = await unitResponse.json();
+
+      // Find the specific degree program
+      const program = unitData.degreePrograms?.find(p =>
+        p.title.toLowerCase() === name.toLowerCase()
+      );
+
+      if (!program) {
+        // Return all programs in this unit if exact match not found
+        const programs = unitData.degreePrograms?.map(p => ({
+          title: p.title,
+          hours: p.hours,
+          coursesCount: p.sequenceItems?.length || 0
+        }));
+
+        return res.status(404).json({
+          error: 'Specific program not found, but found related programs',
+          searchedFor: name,
+          availablePrograms: programs,
+          acadUnit: unitData.academicUnit?.name
+        });
+      }
+
+      // Parse the sequence items into a more usable format (WSU API fallback path)
+      const coursesByYearTerm = {};
+      let totalCredits = 0;
+      const seenApi = new Set();
+
+      for (const item of (program.sequenceItems || [])) {
+        const label = normalizeLabel(item.label);
+        if (!label) continue;
+        const dedupeKey = `${item.year}|${item.term}|${label}|${item.hours}`;
+        if (seenApi.has(dedupeKey)) continue;
+        seenApi.add(dedupeKey);
+
+        const key = `${item.year}-${item.term}`;
+        if (!coursesByYearTerm[key]) {
+          coursesByYearTerm[key] = {
+            year: item.year,
+            term: item.term,
+            termName: item.term === 1 ? 'Fall' : item.term === 2 ? 'Spring' : 'Summer',
+            courses: []
+          };
+        }
+
+        const creditHours = parseHours(item.hours);
+        const courseInfo = parseCourseLabel(label, creditHours);
+        courseInfo.footnotes = item.footnotes || [];
+
+        if (courseInfo.requirementType === 'filter') continue;
+        coursesByYearTerm[key].courses.push(courseInfo);
+        if (!courseInfo.isNonCredit && courseInfo.requirementType !== 'milestone' && courseInfo.requirementType !== 'advisory') {
+          totalCredits += creditHours.min || 0;
+        }
+      }
+
+      // Convert to sorted array
+      const schedule = Object.values(coursesByYearTerm).sort((a, b) => {
+        if (a.year !== b.year) return a.year - b.year;
+        return a.term - b.term;
+      });
+
+      res.json({
+        degree: {
+          title: program.title,
+          totalHours: program.hours,
+          narrative: program.narrative,
+          acadUnit: unitData.academicUnit?.name
+        },
+        schedule,
+        totalCoursesInSequence: program.sequenceItems?.length || 0,
+        estimatedCredits: totalCredits,
+        source: 'api'
+      });
+
+    } catch (error) {
+      console.error('Error fetching degree requirements:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get all minors
+  router.get('/minors', async (req, res) => {
+    try {
+      const { year, search } = req.query;
+      const catalogYear = year || new Date().getFullYear().toString();
+
+      const minors = await catalog.listPrograms('minor', catalogYear, search);
+      const years = await catalog.listProgramYears('minor');
+
+      res.json({
+        minors,
+        years,
+        total: minors.length
+      });
+    } catch (error) {
+      console.error('Error fetching minors:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get all certificates
+  router.get('/certificates', async (req, res) => {
+    try {
+      const { year, search } = req.query;
+      const catalogYear = year || new Date().getFullYear().toString();
+
+      const certificates = await catalog.listPrograms('certificate', catalogYear, search);
+      const years = await catalog.listProgramYears('certificate');
+
+      res.json({
+        certificates,
+        years,
+        total: certificates.length
+      });
+    } catch (error) {
+      console.error('Error fetching certificates:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDegreesRouter };
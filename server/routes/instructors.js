@@ -0,0 +1,65 @@
+// Instructor profiles: everything an instructor has taught, by term
+const express = require('express');
+const { sendBadRequest, sendNotFound, sendServerError } = require('../http');
+
+// Sections (newest term first) -> one entry per term, in the same order
+function groupByTerm(sections) {
+  const terms = [];
+  for (const section of sections) {
+    let entry = terms[terms.length - 1];
+    if (!entry || entry.term !== section.term || entry.year !== section.year) {
+      entry = { term: section.term, year: section.year, enrolled: 0, sections: [] };
+      terms.push(entry);
+    }
+    entry.enrolled += section.currentEnrollment || 0;
+    entry.sections.push(section);
+  }
+  return terms;
+}
+
+// Distinct courses taught, most often taught first
+function summarizeCourses(sections) {
+  const courses = new Map();
+  for (const s of sections) {
+    const key = `${s.prefix} ${s.courseNumber}`;
+    if (!courses.has(key)) {
+      courses.set(key, { prefix: s.prefix, courseNumber: s.courseNumber, title: s.title, sectionCount: 0, terms: [] });
+    }
+    const course = courses.get(key);
+    course.sectionCount += 1;
+    const term = `${s.term} ${s.year}`;
+    if (!course.terms.includes(term)) course.terms.push(term);
+  }
+  return [...courses.values()].sort((a, b) => b.sectionCount - a.sectionCount || a.prefix.localeCompare(b.prefix) || a.courseNumber.localeCompare(b.courseNumber));
+}
+
+function createInstructorsRouter({ repos }) {
+  const router = express.Router();
+  const { instructors, ratings } = repos;
+
+  router.get('/instructors/:id', async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id < 1) return sendBadRequest(res, 'Instructor id must be a positive integer');
+      const instructor = await instructors.findById(id);
+      if (!instructor) return sendNotFound(res, 'Instructor not found');
+
+      const [sections, rating] = await Promise.all([instructors.listSections(id), ratings.findInstructorRating(id)]);
+      res.json({
+        ...instructor,
+        // A stored row without a legacyId records that RMP had no match
+        rating: rating?.legacyId ? { ...rating, profileUrl: `https://www.ratemyprofessors.com/professor/${rating.legacyId}` } : null,
+        sectionCount: sections.length,
+        totalEnrolled: sections.reduce((sum, s) => sum + (s.currentEnrollment || 0), 0),
+        courses: summarizeCourses(sections),
+        terms: groupByTerm(sections),
+      });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createInstructorsRouter };
@@ -0,0 +1,40 @@
+// Progress of queued webhook ingests (see services/ingestQueue.js). The
+// webhooks answer 202 with a job id and a statusUrl; callers poll it for the
+// outcome. The statusUrl's `token` opens that one job, so n8n, which only
+// holds the webhook secret, can poll it; anyone else needs an admin token.
+const express = require('express');
+const { hashSessionToken } = require('../services/auth');
+const { sendBadRequest, sendNotFound, sendServerError } = require('../http');
+
+function createJobsRouter({ repos, adminAuth }) {
+  const router = express.Router();
+  const { jobs } = repos;
+  const requireReader = adminAuth.requireRole('read-only');
+
+  const statusToken = req => (typeof req.query.token === 'string' ? req.query.token : null);
+  const jobReader = (req, res, next) => (statusToken(req) ? next() : requireReader(req, res, next));
+
+  /**
+   * One job: status (queued, running, completed, failed), progress as
+   * processed of total records, running added/updated/failed counts (failed
+   * includes records rejected by validation), and once finished the
+   * webhook's full `result` or an `error`.
+   */
+  router.get('/jobs/:id', jobReader, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id < 1) return sendBadRequest(res, 'Job id must be a positive integer');
+      // A wrong token looks the same as a missing job
+      const token = statusToken(req);
+      const job = token ? await jobs.findWithStatusToken(id, hashSessionToken(token)) : await jobs.find(id);
+      if (!job) return sendNotFound(res, 'Job not found');
+      res.json(job);
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
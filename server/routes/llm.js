@@ -0,0 +1,121 @@
+// LLM advising and semantic course search, backed by the prompt-search notebooks
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('../../logger');
+const { executeNotebook } = require('../../prompt-search/scripts/execute_notebook');
+const { createLlmRateLimiter, sanitizeLlmInput } = require('../middleware/llmGuardrails');
+const { sendServerError } = require('../http');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+
+function createLlmRouter({ repos }) {
+  const router = express.Router();
+  const { catalog } = repos;
+  const llmRateLimiter = createLlmRateLimiter();
+
+  // 1. LLM Health Check
+  router.get('/llm-health', (req, res) => {
+    const modelPath = path.resolve(ROOT_DIR, 'data/models/llama-3.1-8b-q4.gguf');
+
+    if (fs.existsSync(modelPath)) {
+      res.json({ status: "healthy", model_path: modelPath });
+    } else {
+      // We return a standard JSON instead of a 404/500 so the frontend can read the status gracefully
+      res.json({ status: "model_not_found", model_path: modelPath });
+    }
+  });
+
+  // 2. Main Advising Endpoint
+  router.post('/llm-advice', llmRateLimiter, sanitizeLlmInput, async (req, res) => {
+    const { question, studentContext, student_context, use_rag = true } = req.body;
+    const resolvedContext = studentContext || student_context || {};
+
+    if (!question) {
+      return res.status(400).json({ error: "bad_request", message: "Question is missing." });
+    }
+
+    try {
+      const notebookPath = path.join(ROOT_DIR, 'notebooks', 'production', 'api_advice.ipynb');
+
+      // Guardrail: check advising keywords OR match words against catalog_courses in DB
+      const ADVISING_RE = /wsu|course|class|degree|credit|major|schedule|ucore|advising|prerequisite|take|register|enroll|graduat|semester|gpa|grade|catalog|requirement|curriculum|transfer|minor|certificate|waitlist|offered|instructor/i;
+      console.log(`\n[guardrail] Running check...`);
+      let guardrailPassed = ADVISING_RE.test(question);
+      if (!guardrailPassed) {
+        // Extract meaningful words (3+ chars, skip stop words)
+        const STOP_WORDS = new Set(['what','how','when','where','which','who','does','have','need','want','will','can','the','for','and','are','was','this','that','with','from','its','not','but','about','into','than','then','them','they','also','been','were','would','could','should','your','their','there','here','some','more','much','many','like','just','get','got','let','did','do','is','in','it','of','to','a','i','me','my','us','we','or','at','an','as','be','by','on','if','so','up','no','go']);
+        const words = question.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+          .filter(w => w.length >= 3 && !STOP_WORDS.has(w))
+          .slice(0, 10);
+        if (words.length > 0) {
+          guardrailPassed = await catalog.hasCourseMatchingWords(words).catch(err => {
+            console.warn('[guardrail] DB error, failing open:', err.message);
+            return true;
+          });
+        }
+      }
+      if (!guardrailPassed) {
+        console.log(`[guardrail] Blocked off-topic question: "${question}"`);
+        return res.status(400).json({
+          error: "off_topic",
+          message: "I can only answer questions related to WSU academic advising, courses, or degree planning."
+        });
+      }
+      console.log(`[guardrail] Passed. Processing advising request...`);
+
+      // Route to local LLM container when enabled (falls back to notebook if unavailable)
+      if (process.env.LOCAL_MODEL_ENABLED === 'true') {
+        const localUrl = process.env.LOCAL_LLM_URL || 'http://localhost:8080';
+        try {
+          const fetch = (await import('node-fetch')).default;
+          const llmRes = await fetch(`${localUrl}/advise`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ question, student_context: resolvedContext }),
+            signal: AbortSignal.timeout(60000),
+          });
+          if (llmRes.ok) {
+            const data = await llmRes.json();
+            return res.status(200).json({ answer: data.answer, sources: data.sources, metadata: { model: data.model, local: true } });
+          }
+          console.warn('[local-llm] Non-OK response, falling back to notebook');
+        } catch (localErr) {
+          console.warn('[local-llm] Unreachable, falling back to notebook:', localErr.message);
+        }
+      }
+
+      const result = await executeNotebook(notebookPath, { question, student_context: resolvedContext, use_rag });
+
+      return res.status(200).json(result);
+
+    } catch (error) {
+      console.error("Error executing notebook:", error);
+      return res.status(200).json({
+        answer: "I'm having trouble accessing course information right now. Please try again in a moment or contact your academic advisor directly.",
+        sources: [],
+        metadata: { error: true }
+      });
+    }
+  });
+
+  router.post('/llm-search-courses', sanitizeLlmInput, async (req, res) => {
+      const { query, top_k = 5 } = req.body;
+      if (!query) return res.status(400).json({ error: "Query is missing." });
+
+      try {
+          const result = await executeNotebook('notebooks/production/api_search_courses.ipynb', {
+              question: query,
+              top_k
+          });
+          res.json(result);
+      } catch (error) {
+          logger.error('LLM Course Search Error', { meta: { error: error.message } });
+          sendServerError(res, error);
+        }
+  });
+
+  return router;
+}
+
+module.exports = { createLlmRouter };
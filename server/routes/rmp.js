@@ -0,0 +1,223 @@
+// RateMyProfessors proxy: searches and looks up instructors server-side so the
+// browser never talks to RMP directly
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { searchTeachers, getTeacherByNodeId } = require('../services/rmpClient');
+const { RMP_CACHE_TTL_MS, searchKey, idKey, recordLookup } = require('../services/ratings');
+
+function createRmpRouter({ repos }) {
+  const router = express.Router();
+  const { ratings } = repos;
+
+  const rmpLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: parseInt(process.env.RMP_PROXY_RATE_LIMIT_MAX, 10) || 60,
+    message: { error: 'Too many RMP requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  router.post('/rmp-proxy', rmpLimiter, async (req, res) => {
+    try {
+      if (process.env.ENABLE_RMP_PROXY === 'false') {
+        return res.status(403).json({ success: false, error: 'rmp-proxy-disabled' });
+      }
+
+      const { action, name, id, schoolId } = req.body || {};
+      if (!action || (action !== 'searchTeacher' && action !== 'getTeacherById')) {
+        return res.status(400).json({ success: false, error: 'invalid-action' });
+      }
+
+      if (action === 'searchTeacher') {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+          return res.status(400).json({ success: false, error: 'missing-name' });
+        }
+        const key = searchKey(name);
+        const cached = await ratings.getCached(key, RMP_CACHE_TTL_MS);
+        if (cached) return res.json({ success: true, source: 'cache', data: cached });
+
+        // Prefer using the maintained wrapper library on the server if available
+        let mapped = [];
+        try {
+          let mod = null;
+          try {
+            mod = require('@domattheshack/rate-my-professors');
+            mod = mod && mod.default ? mod.default : mod;
+          } catch (e) {
+            mod = null;
+          }
+
+          if (mod && (mod.searchTeacher || mod.searchTeachers || mod.search)) {
+            // If we can search by school, try to locate WSU first
+            let libSchoolId = null;
+            const searchSchool = mod.searchSchool || mod.searchSchools || mod.search;
+            if (typeof searchSchool === 'function') {
+              try {
+                const schools = await searchSchool('Washington State University');
+                if (Array.isArray(schools) && schools.length) {
+                  const found = schools.find(s => (s.name && s.name.toLowerCase().includes('washington state')) || (s.state && String(s.state).toUpperCase() === 'WA')) || schools[0];
+                  libSchoolId = found && (found.id || found.schoolId || found.legacyId) ? (found.id || found.schoolId || found.legacyId) : null;
+                }
+              } catch (e) {
+                libSchoolId = null;
+              }
+            }
+
+            const searchTeacher = mod.searchTeacher || mod.search || mod.searchForTeacher || mod.searchTeachers;
+            try {
+              if (libSchoolId) mapped = await searchTeacher(name, libSchoolId);
+              else mapped = await searchTeacher(name);
+            } catch (e) {
+              // try fallback without school
+              try {
+                mapped = await searchTeacher(name);
+              } catch (e2) {
+                mapped = [];
+              }
+            }
+
+            // Normalize mapped if it contains nodes
+            if (Array.isArray(mapped) && mapped.length && mapped[0] && mapped[0].node) {
+              mapped = mapped.map(e => e.node || e);
+            }
+          } else {
+            // library not available; fallback to GraphQL
+            mapped = await searchTeachers(name, schoolId);
+          }
+        } catch (err) {
+          mapped = [];
+        }
+        // If no results, attempt a fallback search by last name only (improves hit rate)
+        if ((!mapped || mapped.length === 0) && name && name.trim().includes(' ')) {
+          const parts = name.trim().split(/\s+/);
+          const lastName = parts[parts.length - 1];
+          if (lastName && lastName.length > 1) {
+            // try using library fallback if available
+            try {
+              let mod = null;
+              try { mod = require('@domattheshack/rate-my-professors'); mod = mod && mod.default ? mod.default : mod; } catch (e) { mod = null; }
+              if (mod && (mod.searchTeacher || mod.search)) {
+                let lastResults = [];
+                try {
+                  lastResults = await (mod.searchTeacher || mod.search)(lastName);
+                  if (Array.isArray(lastResults) && lastResults[0] && lastResults[0].node) lastResults = lastResults.map(r => r.node || r);
+                } catch (e) {
+                  lastResults = [];
+                }
+                if (lastResults && lastResults.length) mapped = lastResults;
+              } else {
+                try {
+                  const lastResults = await searchTeachers(lastName, schoolId);
+                  if (lastResults.length) mapped = lastResults;
+                } catch (e) {
+                  // ignore
+                }
+              }
+            } catch (e) {
+              // ignore fallback errors
+            }
+          }
+        }
+
+        // Normalize mapped items: ensure `legacyId` (string) and `profileUrl` are present when possible
+        try {
+          mapped = (Array.isArray(mapped) ? mapped : []).map(item => {
+            const out = Object.assign({}, item || {});
+            if (!out.legacyId && out.legacy_id) out.legacyId = out.legacy_id;
+            // some results use 'id' as base64 node id; try to decode numeric id
+            if (!out.legacyId && out.id && /^[A-Za-z0-9=+/]+$/.test(out.id)) {
+              try {
+                const decoded = Buffer.from(String(out.id), 'base64').toString('utf8');
+                const m = decoded.match(/(\d+)/);
+                if (m) out.legacyId = m[1];
+              } catch (e) {}
+            }
+            if (out.legacyId) out.legacyId = String(out.legacyId);
+            if (!out.profileUrl && out.legacyId) out.profileUrl = `https://www.ratemyprofessors.com/professor/${out.legacyId}`;
+            return out;
+          });
+        } catch (e) {
+          // If normalization fails for any reason, fall back to original mapped
+        }
+
+        await ratings.setCached(key, mapped);
+        try {
+          await recordLookup(repos, name, mapped);
+        } catch (err) {
+          console.error('RMP rating save error:', err.message);
+        }
+        return res.json({ success: true, source: 'rmp', data: mapped });
+      }
+
+      if (action === 'getTeacherById') {
+        if (!id) return res.status(400).json({ success: false, error: 'missing-id' });
+        // Accept numeric legacy id or node id; if numeric, convert to node id
+        let nodeId = id;
+        if (/^\d+$/.test(String(id))) {
+          try {
+            nodeId = Buffer.from(`Teacher-${String(id)}`).toString('base64');
+          } catch (e) {
+            nodeId = id;
+          }
+        }
+
+        const key = idKey(id);
+        const cached = await ratings.getCached(key, RMP_CACHE_TTL_MS);
+        if (cached) return res.json({ success: true, source: 'cache', data: cached });
+
+        // Try using library if available
+        try {
+          let mod = null;
+          try { mod = require('@domattheshack/rate-my-professors'); mod = mod && mod.default ? mod.default : mod; } catch (e) { mod = null; }
+          let details = null;
+          if (mod && (mod.getTeacher || mod.getTeacherById || mod.get)) {
+            const getter = mod.getTeacher || mod.getTeacherById || mod.get;
+            try {
+              // library may expect numeric or node id; try both
+              details = await getter(id).catch(() => getter(nodeId));
+            } catch (e) {
+              details = null;
+            }
+          }
+
+          if (!details) {
+            details = await getTeacherByNodeId(nodeId);
+          }
+
+          if (!details) {
+            await ratings.setCached(key, null);
+            return res.json({ success: true, source: 'rmp', data: null });
+          }
+
+          const mapped = {
+            legacyId: details.legacyId || details.legacy_id || null,
+            firstName: details.firstName || details.first_name || null,
+            lastName: details.lastName || details.last_name || null,
+            avgRating: details.avgRating !== undefined ? Number(details.avgRating) : (details.average ? Number(details.average) : null),
+            avgDifficulty: details.avgDifficulty !== undefined ? Number(details.avgDifficulty) : (details.difficulty ? Number(details.difficulty) : null),
+            wouldTakeAgainPercent: details.wouldTakeAgainPercent !== undefined ? Number(details.wouldTakeAgainPercent) : (details.wouldTakeAgain ? Number(details.wouldTakeAgain) : null),
+            school: details.school || null,
+            profileUrl: details.legacyId ? `https://www.ratemyprofessors.com/professor/${details.legacyId}` : (details.id ? (() => {
+              try { const dec = Buffer.from(details.id, 'base64').toString('utf8'); const m = dec.match(/(\d+)/); if (m) return `https://www.ratemyprofessors.com/professor/${m[1]}`; } catch (e) {} return null;
+            })() : null)
+          };
+
+          if (mapped.legacyId) mapped.legacyId = String(mapped.legacyId);
+          await ratings.setCached(key, mapped);
+          return res.json({ success: true, source: 'rmp', data: mapped });
+        } catch (err) {
+          console.error('RMP getById error:', err && err.message ? err.message : err);
+          return res.status(502).json({ success: false, error: 'upstream-unavailable' });
+        }
+      }
+
+    } catch (err) {
+      console.error('RMP proxy error:', err && err.message ? err.message : err);
+      return res.status(502).json({ success: false, error: 'upstream-unavailable' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRmpRouter };
@@ -0,0 +1,98 @@
+// Where sections meet: buildings with their rooms, which rooms are free at a
+// given time, and each room's weekly schedule
+const express = require('express');
+const { parseDays, clockMinutes, isoDate, freeIntervals } = require('../services/meetingTimes');
+const { sendBadRequest, sendNotFound, sendServerError } = require('../http');
+
+// Stored building and room names are upper-case with single spaces
+function roomName(value) {
+  return String(value).trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+// campus/term/year plus an optional date the meetings must run on. Term and
+// year come together; without them the route uses the latest semester.
+function readRoomFilters(query) {
+  const { campus, term, year } = query;
+  if (!term !== !year) return { error: 'term and year must be given together' };
+  if (query.date === undefined) return { filters: { campus, term, year } };
+  const date = isoDate(query.date);
+  if (!date) return { error: 'date must be YYYY-MM-DD' };
+  return { filters: { campus, term, year, date } };
+}
+
+// ?day=M&at=13:00[&until=14:00] -> the window rooms must be free for
+function readFreeWindow({ day, at, until }) {
+  if (day === undefined && at === undefined) return {};
+  const days = day ? parseDays(day) : [];
+  if (days.length !== 1) return { error: 'day must be a single day, e.g. M or Thu' };
+  const startMinute = at ? clockMinutes(at) : null;
+  if (startMinute === null) return { error: 'at must be a time, e.g. 13:00' };
+  const endMinute = until ? clockMinutes(until) : startMinute + 1;
+  if (endMinute === null || endMinute <= startMinute) return { error: 'until must be a time after at' };
+  return { window: { day: days[0], startMinute, endMinute } };
+}
+
+function createRoomsRouter({ repos }) {
+  const router = express.Router();
+  const { rooms } = repos;
+
+  // Rooms are reused every semester, so never mix them: without a term and
+  // year, use the newest semester that has sections in rooms
+  async function withSemester(filters) {
+    if (filters.term) return filters;
+    const latest = await rooms.latestTerm(filters.campus);
+    return latest ? { ...filters, term: latest.term, year: String(latest.year) } : filters;
+  }
+
+  // Buildings and their rooms. With day and at (and optionally until), each
+  // room says whether it is free for that whole window; `date` limits that
+  // check to meetings running on the date.
+  router.get('/buildings', async (req, res) => {
+    try {
+      const read = readRoomFilters(req.query);
+      if (read.error) return sendBadRequest(res, read.error);
+      const free = readFreeWindow(req.query);
+      if (free.error) return sendBadRequest(res, free.error);
+
+      const filters = await withSemester(read.filters);
+      const { date, ...semester } = filters;
+      const [rows, busyRows] = await Promise.all([
+        rooms.listRooms(semester),
+        free.window ? rooms.listBusyRooms({ ...filters, ...free.window }) : [],
+      ]);
+      const busy = new Set(busyRows.map(r => `${r.building}\n${r.room}`));
+
+      const buildings = new Map();
+      for (const { building, room, sectionCount } of rows) {
+        if (!buildings.has(building)) buildings.set(building, { building, rooms: [] });
+        const entry = { room, sectionCount };
+        if (free.window) entry.free = !busy.has(`${building}\n${room}`);
+        buildings.get(building).rooms.push(entry);
+      }
+      res.json({ term: filters.term ?? null, year: filters.year ?? null, buildings: [...buildings.values()] });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Everything meeting in one room, plus the free gaps (7am-10pm) each day
+  router.get('/rooms/:building/:room/schedule', async (req, res) => {
+    try {
+      const read = readRoomFilters(req.query);
+      if (read.error) return sendBadRequest(res, read.error);
+      const building = roomName(req.params.building);
+      const room = roomName(req.params.room);
+      if (!(await rooms.roomExists(building, room))) return sendNotFound(res, 'Room not found');
+
+      const filters = await withSemester(read.filters);
+      const meetings = await rooms.roomSchedule(building, room, filters);
+      res.json({ building, room, term: filters.term ?? null, year: filters.year ?? null, meetings, free: freeIntervals(meetings) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRoomsRouter };
@@ -0,0 +1,168 @@
+// Shared (read-only) plan links and advisor comments
+const express = require('express');
+const crypto = require('crypto');
+const { hashSessionToken } = require('../services/auth');
+const { readPlanPayload } = require('../services/plans');
+const { sendBadRequest, sendUnauthorized, sendNotFound } = require('../http');
+
+const SHARE_TTL_DAYS = parseInt(process.env.SHARED_PLAN_TTL_DAYS, 10) || 180;
+const VALID_PLAN_TERMS = new Set(['fall', 'spring', 'summer']);
+
+function formatSharedComment(row) {
+  return {
+    id: row.id,
+    yearId: row.year_id,
+    term: row.term,
+    courseId: row.course_id,
+    courseName: row.course_name,
+    authorName: row.author_name,
+    body: row.body,
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at
+  };
+}
+
+function ownerKeyMatches(row, ownerKey) {
+  if (typeof ownerKey !== 'string' || !ownerKey) return false;
+  const expected = Buffer.from(row.owner_key_hash, 'hex');
+  const actual = Buffer.from(hashSessionToken(ownerKey), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function createSharedPlansRouter({ repos }) {
+  const router = express.Router();
+  const { sharedPlans } = repos;
+
+  // Look up an active (not revoked/expired) share by its link token
+  async function getActiveSharedPlan(token) {
+    if (typeof token !== 'string' || !/^[A-Za-z0-9_-]{20,64}$/.test(token)) return null;
+    const row = await sharedPlans.findByToken(token);
+    if (!row || row.revoked_at) return null;
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+    return row;
+  }
+
+  // Create a share link for a plan snapshot. Signing in is optional.
+  router.post('/shared-plans', async (req, res) => {
+    try {
+      const payload = readPlanPayload(req.body);
+      if (payload.error) return sendBadRequest(res, payload.error);
+
+      // Attach the share to the account when a valid session token is sent, but don't require one
+      let userId = null;
+      const authMatch = (req.headers['authorization'] || '').match(/^Bearer\s+([a-f0-9]{64})$/i);
+      if (authMatch) {
+        userId = await sharedPlans.findSessionUserId(hashSessionToken(authMatch[1]));
+      }
+
+      const token = crypto.randomBytes(24).toString('base64url');
+      const ownerKey = crypto.randomBytes(32).toString('hex');
+      const ttlDays = Math.min(parseInt(req.body.expiresInDays, 10) || SHARE_TTL_DAYS, 365);
+      const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString();
+      const title = typeof req.body.title === 'string' ? req.body.title.trim().slice(0, 120) || null : null;
+      const studentName = typeof req.body.studentName === 'string' ? req.body.studentName.trim().slice(0, 100) || null : null;
+
+      await sharedPlans.create({
+        token, ownerKeyHash: hashSessionToken(ownerKey), userId, title, studentName, json: payload.json, expiresAt
+      });
+
+      res.status(201).json({ token, ownerKey, expiresAt, title, studentName });
+    } catch (error) {
+      console.error('Error creating shared plan:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Public read-only view of a shared plan, including advisor comments
+  router.get('/shared-plans/:token', async (req, res) => {
+    try {
+      const shared = await getActiveSharedPlan(req.params.token);
+      if (!shared) return sendNotFound(res, 'This shared plan link is invalid or has expired');
+
+      const comments = await sharedPlans.listComments(shared.id);
+      res.json({
+        title: shared.title,
+        studentName: shared.student_name,
+        createdAt: shared.created_at,
+        expiresAt: shared.expires_at,
+        data: JSON.parse(shared.data),
+        comments: comments.map(formatSharedComment)
+      });
+    } catch (error) {
+      console.error('Error fetching shared plan:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Anyone holding the link (i.e. the advisor) can comment on a term or a course in it
+  router.post('/shared-plans/:token/comments', async (req, res) => {
+    try {
+      const shared = await getActiveSharedPlan(req.params.token);
+      if (!shared) return sendNotFound(res, 'This shared plan link is invalid or has expired');
+
+      const { yearId, term, courseId, courseName, authorName } = req.body || {};
+      const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+      if (!body) return sendBadRequest(res, 'Comment text is required');
+      if (body.length > 2000) return sendBadRequest(res, 'Comment must be 2000 characters or fewer');
+      if (yearId === undefined || yearId === null || !VALID_PLAN_TERMS.has(term)) {
+        return sendBadRequest(res, 'yearId and term (fall, spring, summer) are required');
+      }
+
+      const commentId = await sharedPlans.addComment({
+        sharedPlanId: shared.id,
+        yearId: String(yearId),
+        term,
+        courseId: courseId !== undefined && courseId !== null ? String(courseId) : null,
+        courseName: typeof courseName === 'string' ? courseName.slice(0, 200) : null,
+        authorName: typeof authorName === 'string' && authorName.trim() ? authorName.trim().slice(0, 100) : 'Advisor',
+        body
+      });
+
+      const row = await sharedPlans.findComment(commentId);
+      res.status(201).json({ comment: formatSharedComment(row) });
+    } catch (error) {
+      console.error('Error adding shared plan comment:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Student marks a comment as handled (requires the owner key returned at share time)
+  router.post('/shared-plans/:token/comments/:commentId/resolve', async (req, res) => {
+    try {
+      const shared = await getActiveSharedPlan(req.params.token);
+      if (!shared) return sendNotFound(res, 'This shared plan link is invalid or has expired');
+      if (!ownerKeyMatches(shared, req.body?.ownerKey)) return sendUnauthorized(res, 'Invalid owner key');
+
+      const resolved = req.body?.resolved !== false;
+      const changes = await sharedPlans.setCommentResolved(
+        shared.id, req.params.commentId, resolved ? new Date().toISOString() : null
+      );
+      if (changes === 0) return sendNotFound(res, 'Comment not found');
+
+      const row = await sharedPlans.findComment(req.params.commentId);
+      res.json({ comment: formatSharedComment(row) });
+    } catch (error) {
+      console.error('Error resolving shared plan comment:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Student revokes a share link
+  router.post('/shared-plans/:token/revoke', async (req, res) => {
+    try {
+      const shared = await getActiveSharedPlan(req.params.token);
+      if (!shared) return sendNotFound(res, 'This shared plan link is invalid or has expired');
+      if (!ownerKeyMatches(shared, req.body?.ownerKey)) return sendUnauthorized(res, 'Invalid owner key');
+
+      await sharedPlans.revoke(shared.id);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error revoking shared plan:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSharedPlansRouter };
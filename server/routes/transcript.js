@@ -0,0 +1,111 @@
+// Transcript upload: extracts courses from an unofficial WSU transcript PDF
+const express = require('express');
+const multer = require('multer');
+const pdfParse = require('pdf-parse');
+const Anthropic = require('@anthropic-ai/sdk');
+
+const transcriptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf') cb(null, true);
+    else cb(new Error('Only PDF files are accepted'));
+  },
+});
+
+function createTranscriptRouter({ repos }) {
+  const router = express.Router();
+  const { catalog } = repos;
+
+  router.post('/parse-transcript', transcriptUpload.single('transcript'), async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'No PDF file uploaded' });
+
+      const pdfData = await pdfParse(req.file.buffer);
+      const rawText = pdfData.text;
+
+      if (!rawText || rawText.trim().length < 50) {
+        return res.status(422).json({ error: 'Could not extract text from PDF' });
+      }
+
+      const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+      const message = await anthropic.messages.create({
+        model: 'claude-haiku-4-5-20251001',
+        max_tokens: 4096,
+        system: [
+          {
+            type: 'text',
+            text: `You are parsing a WSU (Washington State University) unofficial academic transcript PDF.
+Extract ALL courses the student has taken or is currently enrolled in.
+
+Rules:
+- Include courses with grades (completed) and courses with no grade yet (in-progress/current semester).
+- If a course appears multiple times (repeated), include only the instance where credits were EARNED (earned credits > 0). If all attempts show 0 earned credits, include the most recent.
+- Course codes use underscore in the PDF (e.g. CPT_S 121) — convert to standard space format (e.g. CPT S 121).
+- Grade for in-progress courses: use empty string "".
+- Credits: use the numeric credit value (e.g. 3, 4). Use 0 only if the course is truly 0-credit.
+- Term format: use "Fall YYYY", "Spring YYYY", "Summer YYYY".
+
+Return ONLY valid JSON, no explanation. Format:
+{
+  "student": { "name": "...", "id": "...", "major": "..." },
+  "courses": [
+    {
+      "prefix": "CPT S",
+      "number": "121",
+      "name": "Intro to Program Design & Dev",
+      "credits": 4,
+      "grade": "A",
+      "term": "Fall 2022"
+    }
+  ]
+}`,
+            cache_control: { type: 'ephemeral' }
+          }
+        ],
+        messages: [{
+          role: 'user',
+          content: `TRANSCRIPT TEXT:\n${rawText.slice(0, 12000)}`
+        }]
+      });
+
+      const responseText = message.content[0]?.text || '';
+      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) return res.status(502).json({ error: 'Failed to parse transcript structure' });
+
+      const parsed = JSON.parse(jsonMatch[0]);
+
+      // Enrich courses with credit amounts from our DB where available
+      const enriched = await Promise.all((parsed.courses || []).map(async (c) => {
+        try {
+          const normalizedPrefix = c.prefix.toUpperCase().replace(/\s+/g, '');
+          const row = await catalog.findLatestCourseUnits(normalizedPrefix, c.number);
+          if (row) {
+            const ucoreArr = row.ucore
+              ? row.ucore.split(',').map(s => s.trim()).filter(Boolean)
+              : [];
+            return {
+              ...c,
+              credits: c.credits || row.minUnits || 0,
+              creditMin: row.minUnits,
+              creditMax: row.maxUnits,
+              dbTitle: row.title,
+              ucore: ucoreArr,
+            };
+          }
+        } catch (_) {}
+        return c;
+      }));
+
+      res.json({ student: parsed.student, courses: enriched });
+    } catch (err) {
+      console.error('[parse-transcript] error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTranscriptRouter };
@@ -0,0 +1,129 @@
+// Seat watches and the notifications they raise
+const express = require('express');
+const { WATCH_FIELDS } = require('../services/watches');
+const { sendBadRequest, sendNotFound, sendServerError } = require('../http');
+
+const MAX_WATCHES_PER_USER = 50;
+
+function formatWatchRow(row) {
+  return {
+    id: row.id,
+    uniqueId: row.unique_id,
+    field: row.field,
+    direction: row.direction,
+    threshold: row.threshold,
+    lastValue: row.last_value,
+    lastNotifiedAt: row.last_notified_at,
+    createdAt: row.created_at,
+    course: row.prefix ? {
+      prefix: row.prefix,
+      courseNumber: row.courseNumber,
+      sectionNumber: row.sectionNumber,
+      title: row.title,
+      term: row.term,
+      year: row.year,
+      seatsAvailable: row.seatsAvailable,
+      waitlistAvailable: row.waitlistAvailable
+    } : null
+  };
+}
+
+function createWatchesRouter({ repos, userAuth }) {
+  const router = express.Router();
+  const { watches, courses } = repos;
+
+  // List the signed-in student's watches with the section's current numbers
+  router.get('/watches', userAuth, async (req, res) => {
+    try {
+      const rows = await watches.listForUser(req.user.id);
+      res.json({ watches: rows.map(formatWatchRow) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Watch a section. Posting the same uniqueId/field/direction again updates the threshold.
+  router.post('/watches', userAuth, async (req, res) => {
+    try {
+      const { uniqueId, field = 'seatsAvailable', direction = 'above' } = req.body || {};
+      const threshold = req.body?.threshold === undefined ? 1 : Number(req.body.threshold);
+      if (!uniqueId || typeof uniqueId !== 'string') return sendBadRequest(res, 'uniqueId is required');
+      if (!WATCH_FIELDS.includes(field)) return sendBadRequest(res, `field must be one of: ${WATCH_FIELDS.join(', ')}`);
+      if (direction !== 'above' && direction !== 'below') return sendBadRequest(res, "direction must be 'above' or 'below'");
+      if (!Number.isInteger(threshold) || threshold < 0 || threshold > 10000) {
+        return sendBadRequest(res, 'threshold must be a whole number between 0 and 10000');
+      }
+
+      const course = await courses.findByUniqueId(uniqueId);
+      if (!course) return sendNotFound(res, 'Section not found');
+
+      const key = { userId: req.user.id, uniqueId, field, direction };
+      const existing = await watches.findExisting(key);
+      if (existing) {
+        await watches.updateThreshold(existing.id, threshold, course[field]);
+      } else {
+        const count = await watches.countForUser(req.user.id);
+        if (count >= MAX_WATCHES_PER_USER) {
+          return sendBadRequest(res, `You can watch at most ${MAX_WATCHES_PER_USER} sections`);
+        }
+        // Start from the current value so only future crossings notify
+        await watches.create({ ...key, threshold, lastValue: course[field] });
+      }
+
+      const row = await watches.findWithCourse(key);
+      res.status(existing ? 200 : 201).json({ watch: formatWatchRow(row) });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.delete('/watches/:id', userAuth, async (req, res) => {
+    try {
+      const deleted = await watches.delete(req.params.id, req.user.id);
+      if (deleted === 0) return sendNotFound(res, 'Watch not found');
+      res.json({ success: true });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  // Undelivered notifications, oldest first. Clients poll this and acknowledge
+  // what they've shown via POST /api/notifications/ack.
+  router.get('/notifications', userAuth, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const rows = await watches.listUndelivered(req.user.id, limit);
+      res.json({
+        notifications: rows.map(row => ({
+          id: row.id,
+          watchId: row.watch_id,
+          uniqueId: row.unique_id,
+          field: row.field,
+          previousValue: row.previous_value,
+          value: row.value,
+          message: row.message,
+          createdAt: row.created_at
+        }))
+      });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  router.post('/notifications/ack', userAuth, async (req, res) => {
+    try {
+      const ids = Array.isArray(req.body?.ids)
+        ? req.body.ids.map(Number).filter(Number.isInteger).slice(0, 100)
+        : [];
+      if (ids.length === 0) return sendBadRequest(res, 'ids must be a non-empty array of notification ids');
+      const acknowledged = await watches.acknowledge(req.user.id, ids);
+      res.json({ acknowledged });
+    } catch (error) {
+      sendServerError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWatchesRouter };
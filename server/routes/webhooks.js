@@ -0,0 +1,51 @@
+// n8n ingestion webhooks: scraped sections, catalog PDFs, degrees, department
+// snapshots and unified catalog programs. Mounted at /webhook behind
+// webhookAuth (HMAC-signed requests) and idempotent, so a retried batch gets
+// its original response; each call is recorded in the audit log as an
+// ingest.* action.
+// Bodies are queued as ingest jobs (services/ingestQueue.js) and answered
+// with 202, the job id and a statusUrl; progress, counts and the result
+// (including `validationErrors` for records dead-lettered by validation)
+// are at /api/jobs/:id.
+const express = require('express');
+const { sendServerError } = require('../http');
+
+// Number of records in a single-or-array webhook body
+const recordCount = req => `${Array.isArray(req.body) ? req.body.length : 1} records`;
+
+function createWebhooksRouter({ webhookAuth, audited, idempotent, ingestQueue }) {
+  const router = express.Router();
+
+  function ingestRoute(endpoint) {
+    return async (req, res) => {
+      try {
+        const { jobId, statusUrl } = await ingestQueue.enqueue(endpoint, req.body, { createdBy: req.actor.name });
+        res.status(202).json({ status: 'accepted', jobId, statusUrl });
+      } catch (error) {
+        sendServerError(res, error);
+      }
+    };
+  }
+
+  router.post('/courses', webhookAuth, idempotent('courses'), audited('ingest.courses', { target: recordCount }), ingestRoute('courses'));
+
+  // Archived catalog PDFs
+  router.post('/catalog-pdf', webhookAuth, idempotent('catalog-pdf'), audited('ingest.catalog-pdf', { target: recordCount }), ingestRoute('catalog-pdf'));
+
+  router.post('/degrees', webhookAuth, idempotent('degrees'), audited('ingest.degrees', { target: recordCount }), ingestRoute('degrees'));
+
+  // Historical department data from the API scraper and PDF parser;
+  // catalogYear is required to prevent overwrites
+  router.post('/department', webhookAuth, idempotent('department'), audited('ingest.department', {
+    target: req => [req.body?.department?.name, req.body?.catalogYear].filter(Boolean).join(' ') || null,
+  }), ingestRoute('department'));
+
+  // Catalog programs in the unified format (from HTML or PDF)
+  router.post('/catalog-programs', webhookAuth, idempotent('catalog-programs'), audited('ingest.catalog-programs', {
+    target: req => String(req.body?.catalogYear || '') || null,
+  }), ingestRoute('catalog-programs'));
+
+  return router;
+}
+
+module.exports = { createWebhooksRouter };
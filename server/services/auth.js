@@ -0,0 +1,80 @@
+// Student account credentials and session tokens
+const crypto = require('crypto');
+
+const SESSION_TTL_DAYS = parseInt(process.env.USER_SESSION_TTL_DAYS, 10) || 30;
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+      if (err) reject(err);
+      else resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+    });
+  });
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A fresh session token and its expiry; only the token's hash is stored
+function newSessionToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  return { token, tokenHash: hashSessionToken(token), expiresAt };
+}
+
+// Admin API roles, weakest first; each role can do everything the ones
+// before it can
+const ADMIN_ROLES = ['read-only', 'data-ingest', 'admin'];
+
+function roleAllows(role, required) {
+  const have = ADMIN_ROLES.indexOf(role);
+  return have !== -1 && have >= ADMIN_ROLES.indexOf(required);
+}
+
+// A fresh admin API token and its hash; only the hash is stored
+function newApiToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashSessionToken(token) };
+}
+
+function toPublicUser(row) {
+  return { id: row.id, email: row.email, displayName: row.display_name || null };
+}
+
+function validateCredentials(body = {}) {
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+    return { error: 'A valid email address is required' };
+  }
+  if (password.length < 8 || password.length > 256) {
+    return { error: 'Password must be between 8 and 256 characters' };
+  }
+  return { email, password };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  hashSessionToken,
+  newSessionToken,
+  ADMIN_ROLES,
+  roleAllows,
+  newApiToken,
+  toPublicUser,
+  validateCredentials,
+};
@@ -0,0 +1,140 @@
+// Catalog year diff for one degree, minor or certificate. Requirements are
+// matched across years by course code (or by label for electives and
+// choices), then compared on credits, UCORE designations and footnotes.
+const { normalizeCourseCode } = require('../../virtual-counselor/src/shared/prereqParser.mjs');
+const { normalizeLabel, parseHours, parseCourseLabel } = require('./courseLabels');
+
+function requirementKey(info) {
+  if (info.requirementType === 'fixed' && info.prefix && info.number) {
+    const code = normalizeCourseCode(`${info.prefix} ${info.number}`);
+    if (code) return code;
+  }
+  return info.raw.replace(/\[[A-Z]+\]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function parseJsonArray(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return [String(value)];
+  }
+}
+
+// Repeated rows (e.g. three "Elective" slots) get "#2", "#3" suffixes so
+// they pair up by position instead of collapsing into one
+function keyRequirements(items) {
+  const seen = new Map();
+  return items.map(item => {
+    const n = (seen.get(item.key) || 0) + 1;
+    seen.set(item.key, n);
+    return n === 1 ? item : { ...item, key: `${item.key}#${n}` };
+  });
+}
+
+async function loadProgramRequirements(catalogRepo, type, program) {
+  if (type === 'degree') {
+    const rows = await catalogRepo.listDegreeRequirements(program.id);
+    const items = [];
+    for (const row of rows) {
+      const label = normalizeLabel(row.label);
+      if (!label) continue;
+      const credits = parseHours(row.hours);
+      const info = parseCourseLabel(label, credits);
+      if (info.requirementType === 'filter') continue;
+      items.push({
+        key: requirementKey(info),
+        label,
+        group: `Year ${row.year} ${row.term === 1 ? 'Fall' : row.term === 2 ? 'Spring' : 'Summer'}`,
+        credits: credits.display,
+        creditMin: credits.min,
+        ucore: [...new Set(info.ucoreCategories)].sort(),
+        footnotes: parseJsonArray(row.footnotes).map(f => normalizeLabel(typeof f === 'string' ? f : (f.text || JSON.stringify(f)))).filter(Boolean),
+      });
+    }
+    return keyRequirements(items);
+  }
+
+  // Minors and certificates only store extracted course codes; credits and
+  // UCORE come from that catalog year's course listing
+  const required = parseJsonArray(program.required_courses).map(String);
+  const electives = parseJsonArray(program.elective_courses).map(String);
+  const listed = new Set([...required, ...electives]);
+  const other = parseJsonArray(program.courses).map(String).filter(c => !listed.has(c));
+  const entries = [
+    ...required.map(code => ({ code, group: 'Required' })),
+    ...electives.map(code => ({ code, group: 'Electives' })),
+    ...other.map(code => ({ code, group: 'Courses' })),
+  ];
+  const codes = [...new Set(entries.map(e => normalizeCourseCode(e.code)).filter(Boolean))];
+  const catalog = new Map();
+  if (codes.length) {
+    const rows = await catalogRepo.listCourseCredits(program.catalog_year);
+    rows.forEach(r => {
+      const code = normalizeCourseCode(r.code || `${r.prefix || ''} ${r.number || ''}`);
+      if (code && codes.includes(code)) catalog.set(code, r);
+    });
+  }
+  return keyRequirements(entries.map(e => {
+    const code = normalizeCourseCode(e.code);
+    const course = code ? catalog.get(code) : null;
+    return {
+      key: code || e.code.trim().toLowerCase(),
+      label: code || e.code,
+      group: e.group,
+      credits: course && course.credits !== null ? String(course.credits) : null,
+      creditMin: course ? course.credits : null,
+      ucore: course && course.ucore ? course.ucore.split(/[\s,]+/).filter(Boolean).sort() : [],
+      footnotes: [],
+    };
+  }));
+}
+
+function diffLists(before, after) {
+  const a = new Set(before);
+  const b = new Set(after);
+  return { added: after.filter(x => !a.has(x)), removed: before.filter(x => !b.has(x)) };
+}
+
+function diffRequirements(fromItems, toItems) {
+  const toByKey = new Map(toItems.map(i => [i.key, i]));
+  const fromKeys = new Set(fromItems.map(i => i.key));
+  const changes = [];
+  const removed = [];
+
+  for (const before of fromItems) {
+    const after = toByKey.get(before.key);
+    if (!after) {
+      removed.push(before);
+      continue;
+    }
+    const change = { key: before.key, label: after.label };
+    if (before.credits !== after.credits) change.credits = { from: before.credits, to: after.credits };
+    const ucore = diffLists(before.ucore, after.ucore);
+    if (ucore.added.length || ucore.removed.length) change.ucore = ucore;
+    const footnotes = diffLists(before.footnotes, after.footnotes);
+    if (footnotes.added.length || footnotes.removed.length) change.footnotes = footnotes;
+    if (before.group !== after.group) change.moved = { from: before.group, to: after.group };
+    if (Object.keys(change).length > 2) changes.push(change);
+  }
+
+  return {
+    added: toItems.filter(i => !fromKeys.has(i.key)),
+    removed,
+    changes,
+  };
+}
+
+function sumCredits(items) {
+  return items.reduce((total, i) => total + (Number(i.creditMin) || 0), 0);
+}
+
+module.exports = {
+  requirementKey,
+  parseJsonArray,
+  loadProgramRequirements,
+  diffLists,
+  diffRequirements,
+  sumCredits,
+};
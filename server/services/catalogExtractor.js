@@ -0,0 +1,406 @@
+// Extracts programs and courses from the archived WSU catalog texts in
+// pdf-archieved-catalog (<year>.txt, either plain text or the PDF
+// extractor's JSON pages) into the shape /webhook/catalog-programs takes.
+//
+// The texts are PDF dumps, so this works off the printed layout: page headers
+// are dropped, each department starts at its contact block (name, web site,
+// office, phone) and its "Schedules of Studies", "Minors", "Certificates" and
+// "Description of Courses" sections each get their own parser. Whatever a
+// section parser can't place is reported back as an unparsed fragment rather
+// than guessed at.
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_DIR = path.resolve(__dirname, '../../pdf-archieved-catalog');
+
+const SECTION_HEADINGS = {
+  'Schedules of Studies': 'degrees',
+  'Schedule of Studies': 'degrees',
+  Minors: 'minors',
+  Certificates: 'certificates',
+  'Description of Courses': 'courses',
+};
+
+const RUNNING_FOOTER = /^Washington State University, \d{4}$/;
+const PHONE_RE = /^\d{3}-\d{3}-\d{4}\b/;
+
+// "(120 CREDITS)", or "(120 HOURS)" before 2021; may end the heading's last line
+const DEGREE_CREDITS_RE = /^([^a-z]*?)\s*\((\d+) (?:CREDITS|HOURS)\)$/;
+const YEAR_HEADINGS = { First: 1, Second: 2, Third: 3, Fourth: 4, Fifth: 5 };
+const TERM_HEADINGS = { First: 1, Second: 2, Summer: 3 };
+// Trailing credit column: "3", "3 or 4", "2-3". Capped at two digits so a
+// course number ("MATH 201") is never mistaken for hours.
+const HOURS_RE = /^(.*?\S)\s+(\d{1,2}(?:\s*-\s*\d{1,2}|\s+or\s+\d{1,2})?)$/i;
+const BARE_HOURS_RE = /^\d{1,2}(?:\s*-\s*\d{1,2}|\s+or\s+\d{1,2})?$/;
+// Footnote markers are printed on their own line with a trailing space: "1 "
+const FOOTNOTE_RE = /^(\d{1,2}) $/;
+
+// Course subject heading: "AERO", "CPT S", "ANIM SCI"
+const PREFIX_RE = /^[A-Z][A-Z &/]{0,9}$/;
+const COURSE_START_RE = /^(\d{3})\s+\S/;
+// "[DIVR] Native Peoples of North America 3 A holistic ...",
+// "Special Problems V 1-4 May be ...", "Horse Handling 1 (0-3) Course ..."
+const COURSE_RE = /^((?:\[[A-Z]+\]\s*)*)(.+?)\s+(V\s+)?(\d{1,2}(?:\.\d)?(?:-\d{1,2})?)(\s+\(\d+(?:\.\d+)?-\d+(?:\.\d+)?\))?(?:\s+(.*))?$/;
+const PREREQUISITE_RE = /Course Prerequisite:\s*(.+?)(?:\.(?=\s+[A-Z(])|\.?$)/;
+
+const TITLE_SMALL_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with', '&']);
+// First words of a narrative's opening line, which can otherwise pass for a title
+const SENTENCE_STARTS = new Set(['A', 'An', 'The', 'This', 'These', 'Students', 'Requirements', 'Required', 'Completion', 'Note', 'To', 'In', 'For', 'Courses', 'Choose', 'Check']);
+// Subheadings inside a program's narrative ("Transfer Students", "Learning Goals")
+const SUBHEADING_RE = /\b(?:Requirements?|Goals|Outcomes|Students|Programs)$/;
+
+/** Years with an archived catalog text, oldest first */
+function availableYears(dir = CATALOG_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(file => file.match(/^(\d{4})\.txt$/)?.[1])
+    .filter(Boolean)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+/** A year's catalog text as lines, without page headers or blank lines */
+function readCatalogLines(catalogYear, dir = CATALOG_DIR) {
+  let text = fs.readFileSync(path.join(dir, `${catalogYear}.txt`), 'utf8');
+  // 2020-2023 were saved as the PDF extractor's output: [{ "text": "..." }]
+  if (text.trimStart().startsWith('[')) text = JSON.parse(text).map(page => page.text).join('\n');
+  return stripPageHeaders(text.replace(/\r/g, '').split('\n'));
+}
+
+// Every page break carries the page number, the department running head and
+// "Washington State University, YYYY", in one of a few orders:
+// number/head/footer, number/footer/head or head/footer/number
+function stripPageHeaders(lines) {
+  const text = lines.filter(line => line.trim());
+  const drop = new Set();
+  const isPageNumber = k => /^\d{2,4} ?$/.test(text[k] || '');
+  text.forEach((line, k) => {
+    if (!RUNNING_FOOTER.test(line)) return;
+    drop.add(k);
+    if (isPageNumber(k - 2)) [k - 2, k - 1].forEach(n => drop.add(n));
+    else if (isPageNumber(k - 1) || isPageNumber(k + 1)) [k - 1, k + 1].forEach(n => drop.add(n));
+  });
+  return text.filter((line, k) => !drop.has(k));
+}
+
+const endsSentence = line => /[.:;!?)\]]$/.test(line.trim());
+const isUrlLine = line => (/^\S+$/.test(line) && /[./]/.test(line)) || /^(\S ){6,}/.test(line);
+
+// Join wrapped lines; a line ending in a hyphen ("upper-") runs straight on
+function joinLines(lines) {
+  return lines.reduce((text, line) => {
+    const part = line.trim();
+    if (!part) return text;
+    if (!text) return part;
+    return text.endsWith('-') ? text + part : `${text} ${part}`;
+  }, '');
+}
+
+// "BACHELOR OF FINE ARTS (BFA) IN ART" -> "Bachelor of Fine Arts (BFA) in Art"
+function toTitleCase(s) {
+  return s.toLowerCase()
+    .replace(/(^|[\s(/-])([a-z])/g, (m, before, c) => before + c.toUpperCase())
+    .replace(/(?<=\s)(\S+)/g, w => (w.length > 1 && TITLE_SMALL_WORDS.has(w.toLowerCase()) ? w.toLowerCase() : w))
+    .replace(/\b(Ba|Bs)\b/g, abbr => abbr.toUpperCase())
+    .replace(/\((\w{2,6})\)/g, (m, abbr) => `(${abbr.toUpperCase()})`);
+}
+
+/**
+ * Split the catalog into departments at their contact blocks, which end in
+ * a phone number preceded by the office, an optional web site and the
+ * department's name.
+ * @returns {Array<{ name: string, lines: string[] }>}
+ */
+function splitDepartments(lines) {
+  const starts = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!PHONE_RE.test(lines[i]) || PHONE_RE.test(lines[i - 1])) continue;
+    // The office may wrap, so find the web site first; without one the
+    // name is right above a one-line office
+    let start = i - 1;
+    for (let j = i - 1; j >= Math.max(1, i - 4); j--) {
+      if (isUrlLine(lines[j])) {
+        start = j;
+        break;
+      }
+    }
+    while (start > 0 && isUrlLine(lines[start - 1])) start--;
+    const nameEnd = start;
+    while (start > 0 && nameEnd - start < 2 && !endsSentence(lines[start - 1]) && !SECTION_HEADINGS[lines[start - 1]]) start--;
+    starts.push({ start, name: joinLines(lines.slice(start, nameEnd)) });
+  }
+
+  return starts.map(({ start, name }, n) => ({
+    name,
+    lines: lines.slice(start, n + 1 < starts.length ? starts[n + 1].start : lines.length),
+  }));
+}
+
+// [{ type, lines }] per section heading, in order; the department's
+// introduction before its first section heading is left out
+function splitSections(lines) {
+  const sections = [];
+  let current = null;
+  for (const line of lines) {
+    const type = SECTION_HEADINGS[line.trim()];
+    if (type) {
+      current = { type, lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  return sections;
+}
+
+/**
+ * One program's schedule rows, from "First Year" to the footnote rule.
+ * @param {string[]} lines - Catalog lines starting at the schedule
+ * @returns {Array<{ year, term, label, hours, footnotes, sortOrder }>}
+ */
+function parseSchedule(lines) {
+  const sequenceItems = [];
+  let year = null;
+  let term = null;
+  let pending = [];
+  let footnotes = [];
+
+  const push = (label, hours) => {
+    sequenceItems.push({ year, term, label, hours, footnotes, sortOrder: sequenceItems.length + 1 });
+    pending = [];
+    footnotes = [];
+  };
+  // A label with no credit column (e.g. "Complete Writing Portfolio")
+  const flush = () => { if (pending.length) push(pending.join(' '), null); };
+
+  for (const line of lines) {
+    if (line.startsWith('_____')) break;
+    const yearHeading = line.match(/^(\w+) Year$/);
+    const termHeading = line.match(/^(\w+) Term (?:Credits|Hours)$/);
+    const footnote = line.match(FOOTNOTE_RE);
+
+    if (yearHeading && YEAR_HEADINGS[yearHeading[1]]) {
+      flush();
+      year = YEAR_HEADINGS[yearHeading[1]];
+    } else if (termHeading && TERM_HEADINGS[termHeading[1]]) {
+      flush();
+      term = TERM_HEADINGS[termHeading[1]];
+    } else if (footnote) {
+      footnotes.push(Number(footnote[1]));
+    } else if (BARE_HOURS_RE.test(line) && pending.length) {
+      // Credits pushed onto their own line by a footnote marker
+      push(pending.join(' '), line);
+    } else {
+      const m = line.match(HOURS_RE);
+      if (m) push([...pending, m[1]].join(' '), m[2]);
+      else {
+        if (!continuesLabel(pending)) flush();
+        pending.push(line.trim());
+      }
+    }
+  }
+  flush();
+  return sequenceItems;
+}
+
+// A label wrapped mid-phrase ("... [COMM] or" / "(COM 102 ...") carries on to the next line
+function continuesLabel(pending) {
+  if (!pending.length) return false;
+  const text = pending.join(' ');
+  return /\bor$|,$/.test(text) || (text.split('(').length > text.split(')').length);
+}
+
+// Upper case, and no digits or full stop, unlike the footnotes above it
+const isHeadingLine = line => /^[^a-z\d]*[A-Z][^a-z\d]*$/.test(line) && !/[.;]$/.test(line.trim());
+
+// Printed at the top of most departments' schedules
+const HONORS_NOTE = 'Honors students complete the Honors College requirements which replace the UCORE requirements.';
+
+/**
+ * Degrees in a "Schedules of Studies" section: an upper-case heading, the
+ * credit total, a narrative and the schedule of studies.
+ */
+function parseDegrees(lines, unparsed) {
+  const headings = [];
+  lines.forEach((line, i) => {
+    const m = line.trim().match(DEGREE_CREDITS_RE);
+    if (!m) return;
+    // The heading may wrap over a few lines above the credit total
+    let start = i;
+    while (start > 0 && i - start < 4 && isHeadingLine(lines[start - 1])) start--;
+    const title = joinLines([...lines.slice(start, i), m[1]]);
+    if (!title) {
+      unparsed.push(joinLines(lines.slice(Math.max(0, i - 2), i + 1)));
+      return;
+    }
+    headings.push({ start, creditsLine: i, name: toTitleCase(title), totalCredits: Number(m[2]) });
+  });
+
+  const preamble = joinLines(lines.slice(0, headings.length ? headings[0].start : lines.length)).replace(HONORS_NOTE, '').trim();
+  if (preamble) unparsed.push(preamble);
+
+  return headings.map(({ creditsLine, name, totalCredits }, n) => {
+    const body = lines.slice(creditsLine + 1, n + 1 < headings.length ? headings[n + 1].start : lines.length);
+    const scheduleStart = body.indexOf('First Year');
+    const narrative = joinLines(scheduleStart === -1 ? body : body.slice(0, scheduleStart));
+    return {
+      name,
+      totalCredits,
+      narrative: narrative || null,
+      sequenceItems: scheduleStart === -1 ? [] : parseSchedule(body.slice(scheduleStart)),
+    };
+  });
+}
+
+function looksLikeTitle(line) {
+  const text = line.trim();
+  if (!text || text.length > 60 || /[.,;:]$/.test(text) || /^[•(]/.test(text) || /\d|\.\s/.test(text)) return false;
+  if (text === text.toUpperCase() || SUBHEADING_RE.test(text)) return false;
+  const words = text.split(/\s+/);
+  return !SENTENCE_STARTS.has(words[0]) && words.every(w => TITLE_SMALL_WORDS.has(w) || /^[(“"]?[A-Z]/.test(w));
+}
+
+// A wrapped title carries on after a trailing "and"/"of"/..., an open
+// parenthesis, or onto a short title-like line ("Biology", "Certificate (Pullman and")
+function titleContinues(title, next) {
+  if (next === undefined) return false;
+  const lastWord = title.split(/\s+/).pop();
+  if (TITLE_SMALL_WORDS.has(lastWord) || title.split('(').length > title.split(')').length) return true;
+  return looksLikeTitle(next) && next.trim().split(/\s+/).length <= 3;
+}
+
+/**
+ * Minors or certificates: a Title Case name (possibly wrapped) after the
+ * end of the previous program's narrative, then the narrative.
+ */
+function parsePrograms(lines, unparsed) {
+  const programs = [];
+  let current = null;
+  const preamble = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const startsTitle = (i === 0 || /[.!?)][”"]?$/.test(lines[i - 1].trim())) && looksLikeTitle(lines[i]);
+    if (startsTitle) {
+      let title = lines[i].trim();
+      while (titleContinues(title, lines[i + 1]) && i + 2 < lines.length) title = `${title} ${lines[++i].trim()}`;
+      current = { name: title, lines: [] };
+      programs.push(current);
+    } else if (current) {
+      current.lines.push(lines[i]);
+    } else {
+      preamble.push(lines[i]);
+    }
+  }
+  if (preamble.length) unparsed.push(joinLines(preamble));
+
+  return programs.map(({ name, lines: body }) => ({ name, narrative: joinLines(body) || null }));
+}
+
+// One course entry, joined: "101 Heritage and Values I 1 Introduces ..."
+function parseCourse(prefix, entry) {
+  const number = entry.slice(0, 3);
+  const m = entry.slice(3).trim().match(COURSE_RE);
+  if (!m) return null;
+  const [, tags, title, variable, credits, lab, description = ''] = m;
+  const ucore = (tags.match(/[A-Z]+/g) || []).filter(tag => tag !== 'M');
+  const prerequisite = description.match(PREREQUISITE_RE);
+  const fixed = /^\d+(\.\d)?$/.test(credits) && !variable;
+  return {
+    code: `${prefix} ${number}`,
+    prefix,
+    number,
+    title: title.trim(),
+    credits: fixed ? Number(credits) : null,
+    creditsPhrase: `${variable ? 'V ' : ''}${credits}${lab || ''}`,
+    ucore: ucore[0] || null,
+    description: description.trim() || null,
+    prerequisiteRaw: prerequisite ? prerequisite[1].trim() : null,
+  };
+}
+
+/**
+ * Course entries in a "Description of Courses" section: the department's
+ * name, then each subject prefix followed by its courses in number order.
+ */
+function parseCourses(lines, unparsed) {
+  const courses = [];
+  let prefix = null;
+  let entry = null;
+  let stray = [];
+
+  const finishEntry = () => {
+    if (!entry) return;
+    const course = parseCourse(prefix, joinLines(entry.lines));
+    if (course) courses.push(course);
+    else unparsed.push(`${prefix}: ${joinLines(entry.lines)}`);
+    entry = null;
+  };
+  const finishStray = () => {
+    if (stray.length) unparsed.push(joinLines(stray));
+    stray = [];
+  };
+
+  // The department name heads the section
+  let i = 0;
+  while (i < lines.length && i < 2 && !PREFIX_RE.test(lines[i].trim()) && (looksLikeTitle(lines[i]) || isHeadingLine(lines[i]))) i++;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const text = line.trim();
+    const previous = entry ? entry.lines[entry.lines.length - 1] : null;
+    if (PREFIX_RE.test(text)) {
+      // A subheading naming the next subject is not part of the last course
+      if (previous && !endsSentence(previous) && entry.lines.length > 1) entry.lines.pop();
+      finishEntry();
+      finishStray();
+      prefix = text;
+      continue;
+    }
+    const start = text.match(COURSE_START_RE);
+    const isNewCourse = prefix && start
+      && (!entry || (endsSentence(previous) && Number(start[1]) > Number(entry.lines[0].slice(0, 3))));
+    if (isNewCourse) {
+      finishEntry();
+      finishStray();
+      entry = { lines: [text] };
+    } else if (entry) {
+      entry.lines.push(text);
+    } else {
+      stray.push(text);
+    }
+  }
+  finishEntry();
+  finishStray();
+  return courses;
+}
+
+const SECTION_PARSERS = {
+  degrees: parseDegrees,
+  minors: parsePrograms,
+  certificates: parsePrograms,
+  courses: parseCourses,
+};
+
+/**
+ * Extract one catalog year.
+ * @param {number} catalogYear
+ * @param {string} [dir] - Directory holding <year>.txt
+ * @returns {{ catalogYear, degrees, minors, certificates, courses,
+ *   unparsed: Array<{ department: string, section: string, text: string }> }}
+ */
+function extractCatalogYear(catalogYear, dir = CATALOG_DIR) {
+  const result = { catalogYear, degrees: [], minors: [], certificates: [], courses: [], unparsed: [] };
+
+  for (const department of splitDepartments(readCatalogLines(catalogYear, dir))) {
+    for (const section of splitSections(department.lines)) {
+      const fragments = [];
+      result[section.type].push(...SECTION_PARSERS[section.type](section.lines, fragments));
+      for (const text of fragments) {
+        result.unparsed.push({ department: department.name, section: section.type, text });
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { CATALOG_DIR, availableYears, readCatalogLines, parseSchedule, toTitleCase, extractCatalogYear };
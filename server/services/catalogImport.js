@@ -0,0 +1,79 @@
+// Import historical catalog minors/certificates from parsed PDF JSON files
+// in pdf-archieved-catalog. Only runs once if the data isn't already populated.
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_CATALOG_DIR = path.resolve(__dirname, '../../pdf-archieved-catalog');
+
+async function importHistoricalCatalogData(catalog, catalogDir = DEFAULT_CATALOG_DIR) {
+  // Check if catalog directory exists
+  if (!fs.existsSync(catalogDir)) {
+    console.log('[INFO] No pdf-archieved-catalog directory found, skipping historical import');
+    return;
+  }
+
+  try {
+    // Check if historical data already exists with narratives/descriptions AND courses
+    const counts = await catalog.historicalImportCounts();
+
+    // If we already have substantial data WITH courses, skip import
+    if (counts.minorsWithNarrative > 100 && counts.certificatesWithDescription > 50 && counts.minorsWithCourses > 50) {
+      console.log(`[INFO] Historical catalog data already populated (${counts.minorsWithNarrative} minors, ${counts.certificatesWithDescription} certificates with narratives, ${counts.minorsWithCourses} with courses)`);
+      return;
+    }
+
+    // If data exists but courses are missing, we'll re-import to add courses
+    if (counts.minorsWithNarrative > 100 && counts.minorsWithCourses < 50) {
+      console.log('[INFO] Re-importing historical catalog data to add extracted courses...');
+    }
+
+    console.log('[INFO] Importing historical catalog data from PDF archives...');
+
+    // Find all parsed JSON files
+    const jsonFiles = fs.readdirSync(catalogDir)
+      .filter(f => f.endsWith('-parsed.json'))
+      .sort();
+
+    if (jsonFiles.length === 0) {
+      console.log('  No -parsed.json files found in pdf-archieved-catalog');
+      return;
+    }
+
+    let totalMinors = 0;
+    let totalCerts = 0;
+
+    for (const jsonFile of jsonFiles) {
+      const year = jsonFile.match(/(\d{4})/)?.[1];
+      if (!year) continue;
+
+      const filePath = path.join(catalogDir, jsonFile);
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      // Import minors (with extracted courses)
+      for (const minor of (data.minors || [])) {
+        try {
+          await catalog.importArchivedProgram('minor', year, minor);
+          totalMinors++;
+        } catch (err) {
+          // Ignore duplicate errors
+        }
+      }
+
+      // Import certificates (with extracted courses)
+      for (const cert of (data.certificates || [])) {
+        try {
+          await catalog.importArchivedProgram('certificate', year, cert);
+          totalCerts++;
+        } catch (err) {
+          // Ignore duplicate errors
+        }
+      }
+    }
+
+    console.log(`  [OK] Imported ${totalMinors} minors and ${totalCerts} certificates from ${jsonFiles.length} catalog years`);
+  } catch (err) {
+    console.error('  [WARN] Error importing historical catalog data:', err.message);
+  }
+}
+
+module.exports = { importHistoricalCatalogData };
@@ -0,0 +1,259 @@
+// Degree requirement label and credit-hour parsing, shared by the degree,
+// catalog diff and requirement endpoints.
+
+// Helper function to parse course labels like "CPT S 121 [QUAN]" or "CPT S 121 or 131"
+// credits parameter is the hours value from the API
+/**
+ * Parse the raw hours string from degree_requirements into a structured credit range.
+ * Handles all DB formats found across WSU degree data:
+ *   "3", " 3 " (whitespace), "3 or 4", "4 or 3" (reversed), "2-3", "2 - 3",
+ *   "2- 3" (malformed), "3 - 0" (inverted), "0 or 1" (conditional), "10-12", etc.
+ * Returns { min, max, display, isVariable, isConditional }
+ */
+function parseHours(raw) {
+  if (!raw && raw !== 0) return { min: null, max: null, display: null, isVariable: false, isConditional: false };
+  const s = String(raw).replace(/[\t\n\r]/g, ' ').trim();
+  if (!s) return { min: null, max: null, display: null, isVariable: false, isConditional: false };
+
+  // "X or Y" or "X Or Y" — space-or-space
+  const orMatch = s.match(/^(\d+)\s+or\s+(\d+)\s*$/i);
+  if (orMatch) {
+    const a = parseInt(orMatch[1], 10), b = parseInt(orMatch[2], 10);
+    const lo = Math.min(a, b), hi = Math.max(a, b);
+    return { min: lo, max: hi, display: `${lo}–${hi}`, isVariable: lo !== hi, isConditional: lo === 0 };
+  }
+
+  // "X-Y" or "X - Y" or "X- Y" — dash range
+  const dashMatch = s.match(/^(\d+)\s*-\s*(\d+)\s*$/);
+  if (dashMatch) {
+    const a = parseInt(dashMatch[1], 10), b = parseInt(dashMatch[2], 10);
+    const lo = Math.min(a, b), hi = Math.max(a, b);
+    return { min: lo, max: hi, display: `${lo}–${hi}`, isVariable: lo !== hi, isConditional: lo === 0 };
+  }
+
+  // Plain integer
+  const numMatch = s.match(/^(\d+)$/);
+  if (numMatch) {
+    const n = parseInt(numMatch[1], 10);
+    return { min: n, max: n, display: String(n), isVariable: false, isConditional: false };
+  }
+
+  // Fallback: try parsing leading digits
+  const leadMatch = s.match(/^(\d+)/);
+  const n = leadMatch ? parseInt(leadMatch[1], 10) : 0;
+  return { min: n, max: n, display: s, isVariable: false, isConditional: false };
+}
+
+// UCORE category codes recognized in WSU degree data
+const UCORE_CODES = new Set(['WRTG','QUAN','BSCI','PSCI','HUM','ARTS','DIVR','CAPS','ROOT','EQJS','COMM','SSCI','IQSK','M']);
+
+// Milestones: labels that look like administrative actions (no credit content)
+const MILESTONE_PATTERNS = [
+  /^complete\b/i, /^apply\b/i, /^consider\b/i, /^earn\b/i, /^pass\b/i,
+  /^submit\b/i, /^attend\b/i, /^meet\b/i, /^schedule\b/i, /^register\b/i,
+  /^exit interview/i, /^writing portfolio/i,
+];
+
+/**
+ * Normalize a raw label string: collapse whitespace, newlines, tabs from PDF extraction artifacts.
+ */
+function normalizeLabel(raw) {
+  if (!raw) return '';
+  return raw.replace(/[\t\n\r]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Parse a degree requirement label into a structured course info object.
+ * Classifies requirement type and extracts all relevant metadata.
+ */
+function parseCourseLabel(label, creditHours = null) {
+  const normalized = normalizeLabel(label);
+
+  const result = {
+    raw: normalized,
+    prefix: '',
+    number: '',
+    credits: typeof creditHours === 'number' ? creditHours : (creditHours?.min ?? null),
+    creditMin: creditHours?.min ?? (typeof creditHours === 'number' ? creditHours : null),
+    creditMax: creditHours?.max ?? (typeof creditHours === 'number' ? creditHours : null),
+    creditDisplay: creditHours?.display ?? (creditHours !== null ? String(creditHours) : null),
+    isVariable: creditHours?.isVariable ?? false,
+    isConditional: creditHours?.isConditional ?? false,
+    attributes: [],
+    ucoreCategories: [],
+    requirementType: 'fixed', // fixed | or-choice | compound-and-or | ucore-slot | elective-bucket | named-elective | milestone | advisory | conditional
+    isChoice: false,
+    alternatives: [],
+    orOptions: [],        // parsed option objects for or-choice
+    isNonCredit: false,
+    isMajorReq: false,   // [M] marker
+    isCaps: false,       // [CAPS] marker
+  };
+
+  if (!normalized) {
+    result.requirementType = 'filter';
+    return result;
+  }
+
+  // Check for milestone pattern (empty/null credits + milestone-like text)
+  if (creditHours === null || (creditHours?.min === null)) {
+    if (MILESTONE_PATTERNS.some(p => p.test(normalized))) {
+      result.requirementType = 'milestone';
+      result.isNonCredit = true;
+      return result;
+    }
+  }
+
+  // Extract bracket markers: [WRTG], [M], [CAPS], [DIVR], etc.
+  const bracketMatches = normalized.match(/\[([A-Z]+)\]/g) || [];
+  for (const bm of bracketMatches) {
+    const code = bm.slice(1, -1);
+    if (code === 'M') { result.isMajorReq = true; continue; }
+    if (code === 'CAPS') { result.isCaps = true; result.ucoreCategories.push('CAPS'); continue; }
+    if (UCORE_CODES.has(code)) result.ucoreCategories.push(code);
+    result.attributes.push(code);
+  }
+
+  // Strip brackets for label parsing
+  let clean = normalized.replace(/\s*\[[A-Z]+\]/g, '').trim();
+
+  // Detect "and … , or …" compound pattern (e.g. "PHYSICS 201 and 211, or 205")
+  const andOrMatch = clean.match(/\band\b.+,\s*or\b|\bor\b.+\band\b/i);
+  if (andOrMatch) {
+    result.requirementType = 'compound-and-or';
+    result.isChoice = true;
+    result.alternatives = [clean];
+    result.orOptions = [{ label: clean, type: 'compound' }];
+    // Extract first course prefix for prefix field
+    const firstCourse = clean.match(/^([A-Z][A-Z\s]*[A-Z]|[A-Z]+)\s+(\d+)/i);
+    if (firstCourse) { result.prefix = firstCourse[1].trim().toUpperCase(); result.number = firstCourse[2]; }
+    return result;
+  }
+
+  // Detect or-choice: split on " or " boundary
+  const hasOr = /\bor\b/i.test(clean);
+  const hasCommaOr = /,\s*or\b/i.test(clean);
+
+  if (hasOr || hasCommaOr) {
+    // Split: first split on ", or " then on " or "
+    let rawParts;
+    if (hasCommaOr) {
+      rawParts = clean.split(/,\s*or\s*/i);
+    } else {
+      rawParts = clean.split(/\s+or\s+/i);
+    }
+    // Further split on plain " or " within parts (handles "A or B or C" without commas)
+    const parts = [];
+    for (const rp of rawParts) {
+      const sub = rp.split(/\s+or\s+/i);
+      parts.push(...sub.map(s => s.trim()).filter(Boolean));
+    }
+
+    if (parts.length >= 2) {
+      result.isChoice = true;
+      result.alternatives = parts;
+
+      // Try to identify if any part is a UCORE category (no course number)
+      const courseNumRe = /\d{3}/;
+      const isUcore = (str) => !courseNumRe.test(str) && /[A-Z]/.test(str);
+      const allUcore = parts.every(p => isUcore(p));
+      const someUcore = parts.some(p => isUcore(p));
+      const allCourses = parts.every(p => courseNumRe.test(p));
+
+      // Build orOptions with prefix inference
+      result.orOptions = parts.map(p => {
+        const courseM = p.match(/^([A-Z][A-Z\s]*[A-Z]|[A-Z]+)\s+(\d+\w*)/i);
+        if (courseM) return { prefix: courseM[1].trim().toUpperCase(), number: courseM[2], label: p, type: 'course' };
+        return { prefix: '', number: '', label: p, type: isUcore(p) ? 'ucore-category' : 'elective' };
+      });
+
+      if (allUcore) {
+        result.requirementType = 'ucore-or-ucore';
+      } else if (someUcore && !allCourses) {
+        result.requirementType = 'ucore-or-elective';
+      } else {
+        result.requirementType = 'or-choice';
+      }
+
+      // Set prefix/number from first course option
+      const firstCourse = result.orOptions.find(o => o.type === 'course');
+      if (firstCourse) { result.prefix = firstCourse.prefix; result.number = firstCourse.number; }
+      return result;
+    }
+  }
+
+  // No "or" — check for UCORE/category-only slot
+  const courseNumRe = /\d{3}/;
+  if (!courseNumRe.test(clean)) {
+    // No course number — classify as ucore-slot, named-elective, milestone, or advisory
+    const lc = clean.toLowerCase();
+
+    // Advisory: advisory language
+    if (/^consider\b|^note:|^see |^visit |^check /.test(lc)) {
+      result.requirementType = 'advisory';
+      result.isNonCredit = true;
+      return result;
+    }
+    // Milestone: milestone language (no credits)
+    if (MILESTONE_PATTERNS.some(p => p.test(lc)) || (result.creditMin === null || result.creditMin === 0 && result.creditMax === 0)) {
+      if (result.creditMin === null || (result.creditMin === 0 && result.creditMax === 0 && !result.isConditional)) {
+        result.requirementType = 'milestone';
+        result.isNonCredit = true;
+        result.prefix = clean;
+        return result;
+      }
+    }
+    // UCORE by bracket tag already extracted
+    if (result.ucoreCategories.length > 0) {
+      result.requirementType = 'ucore-slot';
+      result.prefix = clean;
+      return result;
+    }
+    // UCORE by full name
+    const ucoreByName = {
+      'quantitative reasoning': 'QUAN', 'written communication': 'WRTG',
+      'communication': 'COMM', 'arts': 'ARTS', 'humanities': 'HUM',
+      'diversity': 'DIVR', 'biological sciences': 'BSCI',
+      'physical sciences': 'PSCI', 'roots': 'ROOT', 'equity and justice': 'EQJS',
+      'ucore inquiry': 'IQSK', 'social sciences': 'SSCI',
+    };
+    for (const [name, code] of Object.entries(ucoreByName)) {
+      if (lc.includes(name)) {
+        result.requirementType = 'ucore-slot';
+        result.ucoreCategories.push(code);
+        result.attributes.push(code);
+        result.prefix = clean;
+        return result;
+      }
+    }
+    // Named elective / program category / elective bucket
+    const isElective = /elective|electives|option|options|biocore|program\s+option/i.test(clean);
+    if (isElective) {
+      result.requirementType = 'elective-bucket';
+    } else {
+      result.requirementType = 'named-elective';
+    }
+    result.prefix = clean;
+    return result;
+  }
+
+  // Has a course number — extract prefix + number
+  // Handles: "CPT S 121", "MATH 171", "NURS FPC 306", "H D 101", "E E 214", "B A 100"
+  const courseMatch = clean.match(/^([A-Z][A-Z\s]*?)\s+(\d{3}\w*)\b/i);
+  if (courseMatch) {
+    result.prefix = courseMatch[1].trim().toUpperCase();
+    result.number = courseMatch[2];
+    // Check for trailing description after number (e.g. "DATA 498 Internship")
+    const afterNumber = clean.slice(courseMatch[0].length).trim();
+    if (afterNumber && !/^\d/.test(afterNumber)) {
+      result.description = afterNumber;
+    }
+  } else {
+    result.prefix = clean;
+  }
+
+  result.requirementType = 'fixed';
+  return result;
+}
+
+module.exports = { parseHours, normalizeLabel, parseCourseLabel, UCORE_CODES };
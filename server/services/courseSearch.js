@@ -0,0 +1,159 @@
+// Query and document building for the FTS5 course search indexes
+// (see server/repositories/searchIndex.js).
+
+// Highlight markers returned in `highlights`; everything else in the
+// highlighted text is plain text, so clients can split on the markers
+const MARK_START = '<mark>';
+const MARK_END = '</mark>';
+
+// Tokens shorter than this are never typo-corrected
+const MIN_CORRECTABLE_LENGTH = 4;
+
+/**
+ * Lowercase search tokens. Runs of letters and digits stay together so
+ * "cpts121" can match the compact code indexed for each course.
+ */
+function searchTokens(q) {
+  return String(q || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, 12);
+}
+
+/**
+ * FTS5 MATCH expression: every token must match, as a prefix. Corrected
+ * tokens match either spelling.
+ * @param {string[]} tokens
+ * @param {Object<string,string>} [corrections] - token -> vocabulary term
+ * @returns {string|null} null when there is nothing to search for
+ */
+function buildMatchQuery(tokens, corrections = {}) {
+  if (!tokens.length) return null;
+  return tokens
+    .map(token => {
+      const fixed = corrections[token];
+      return fixed ? `("${token}"* OR "${fixed}"*)` : `"${token}"*`;
+    })
+    .join(' AND ');
+}
+
+function isCorrectable(token) {
+  return token.length >= MIN_CORRECTABLE_LENGTH && /^[a-z]+$/.test(token);
+}
+
+// Edits allowed before a vocabulary term no longer counts as the same word
+function maxEdits(token) {
+  return token.length >= 7 ? 2 : 1;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps),
+ * giving up once it exceeds `limit`.
+ */
+function editDistance(a, b, limit = Infinity) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > limit) return limit + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Closest vocabulary term to a misspelled token: fewest edits, then the
+ * term found in the most documents.
+ * @param {string} token
+ * @param {Array<{term: string, doc: number}>} candidates
+ * @returns {string|null}
+ */
+function closestTerm(token, candidates) {
+  const limit = maxEdits(token);
+  let best = null;
+  for (const { term, doc } of candidates) {
+    const distance = editDistance(token, term, limit);
+    if (distance > limit) continue;
+    if (!best || distance < best.distance || (distance === best.distance && doc > best.doc)) {
+      best = { term, doc, distance };
+    }
+  }
+  return best ? best.term : null;
+}
+
+function stripTags(text) {
+  if (!text) return '';
+  return String(text).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// "CPT S 121" plus the compact "CPTS121" / "CPTS 121" forms people type
+function codeText(prefix, number, code) {
+  const base = code || [prefix, number].filter(Boolean).join(' ');
+  if (!prefix || !number) return base;
+  const compactPrefix = prefix.replace(/\s+/g, '');
+  const forms = [base, `${compactPrefix}${number}`];
+  if (compactPrefix !== prefix) forms.push(`${compactPrefix} ${number}`);
+  return forms.join(' ');
+}
+
+function instructorNames(row) {
+  if (row.instructor) return row.instructor;
+  try {
+    const list = JSON.parse(row.instructors || '[]');
+    return list
+      .map(i => (typeof i === 'string' ? i : [i.firstName || i.first, i.lastName || i.last].filter(Boolean).join(' ')))
+      .filter(Boolean)
+      .join(', ');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Indexed text for a live section row (`courses`)
+function sectionDocument(row) {
+  return {
+    code: codeText(row.prefix, row.courseNumber),
+    title: row.title || '',
+    description: stripTags(row.courseDescription),
+    instructor: stripTags(instructorNames(row)),
+  };
+}
+
+// Indexed text for a catalog course row (`catalog_courses`)
+function catalogCourseDocument(row) {
+  return {
+    code: codeText(row.prefix, row.number, row.code),
+    title: row.title || '',
+    description: stripTags(row.description),
+    instructor: '',
+  };
+}
+
+module.exports = {
+  MARK_START,
+  MARK_END,
+  searchTokens,
+  buildMatchQuery,
+  isCorrectable,
+  maxEdits,
+  editDistance,
+  closestTerm,
+  stripTags,
+  sectionDocument,
+  catalogCourseDocument,
+};
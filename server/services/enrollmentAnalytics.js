@@ -0,0 +1,200 @@
+// Fill rate, fill timing, waitlist velocity and fill forecasts computed from
+// enrollment_history snapshots.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANALYTICS_VELOCITY_WINDOW_DAYS = 7;
+const ANALYTICS_SPARKLINE_POINTS = 24;
+const MAX_ANALYTICS_IDS = 50;
+// A forecast fill this close after the registration date is still a risk
+const FORECAST_MARGIN_DAYS = 3;
+
+// enrollment_history.scrapedAt is SQLite's CURRENT_TIMESTAMP (UTC, no zone)
+function parseSqliteTimestamp(value) {
+  if (!value) return null;
+  const d = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+  return isNaN(d) ? null : d;
+}
+
+// dateRegBegin and registration dates arrive as ISO dates or MM/DD/YYYY
+function parseLooseDate(value) {
+  if (!value) return null;
+  const us = String(value).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  const d = us ? new Date(Date.UTC(+us[3], +us[1] - 1, +us[2])) : new Date(value);
+  return isNaN(d) ? null : d;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Least-squares slope of `key` over time, in units per day
+function slopePerDay(points, key) {
+  const usable = points.filter(p => Number.isFinite(p[key]));
+  if (usable.length < 2) return null;
+  const xs = usable.map(p => p.time / DAY_MS);
+  const ys = usable.map(p => p[key]);
+  const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let num = 0;
+  let den = 0;
+  xs.forEach((x, i) => {
+    num += (x - mx) * (ys[i] - my);
+    den += (x - mx) * (x - mx);
+  });
+  return den === 0 ? null : num / den;
+}
+
+// Keep at most n evenly spaced values (always including the last)
+function downsample(values, n) {
+  if (values.length <= n) return values;
+  const step = (values.length - 1) / (n - 1);
+  return Array.from({ length: n }, (_, i) => values[Math.round(i * step)]);
+}
+
+function roundTo(value, places = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const f = Math.pow(10, places);
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Fill rate, fill timing, waitlist velocity and a fill forecast for one section.
+ * @param {Object} course - courses row
+ * @param {Object[]} history - enrollment_history rows for the section, any order
+ * @param {number[]} peerFillDays - Days after registration opened that comparable
+ *   sections (same course, campus and term in other years or sections) filled
+ * @param {Object} [options]
+ * @param {Date} [options.registrationDate] - When the student can register
+ * @param {Date} [options.now]
+ */
+function computeEnrollmentAnalytics(course, history, peerFillDays, { registrationDate = null, now = new Date() } = {}) {
+  const points = history
+    .map(row => ({
+      time: parseSqliteTimestamp(row.scrapedAt)?.getTime(),
+      enrolled: row.currentEnrollment,
+      seats: row.seatsAvailable,
+      waitlist: row.waitlistCount
+    }))
+    .filter(p => Number.isFinite(p.time))
+    .sort((a, b) => a.time - b.time);
+
+  const capacity = Number(course.maxEnrollment) || null;
+  const enrolled = Number.isFinite(course.currentEnrollment) ? course.currentEnrollment : (points.length ? points[points.length - 1].enrolled : null);
+  const seatsAvailable = Number.isFinite(course.seatsAvailable) ? course.seatsAvailable : null;
+  const regBegin = parseLooseDate(course.dateRegBegin);
+
+  const filledPoint = points.find(p => Number.isFinite(p.seats) && p.seats <= 0);
+  const daysToFill = filledPoint && regBegin ? (filledPoint.time - regBegin.getTime()) / DAY_MS : null;
+  const typicalDaysToFill = median(peerFillDays);
+
+  const recent = points.filter(p => p.time >= now.getTime() - ANALYTICS_VELOCITY_WINDOW_DAYS * DAY_MS);
+  const enrollmentVelocity = slopePerDay(recent, 'enrolled');
+  const waitlistVelocity = slopePerDay(recent, 'waitlist');
+
+  // Project when the section runs out of seats: current pace first, then how
+  // long comparable sections took after registration opened
+  let projectedFill = null;
+  let basis = null;
+  if (seatsAvailable !== null && seatsAvailable <= 0) {
+    projectedFill = filledPoint ? new Date(filledPoint.time) : now;
+    basis = 'full';
+  } else if (enrollmentVelocity && enrollmentVelocity > 0 && seatsAvailable !== null) {
+    projectedFill = new Date(now.getTime() + (seatsAvailable / enrollmentVelocity) * DAY_MS);
+    basis = 'pace';
+  } else if (typicalDaysToFill !== null && regBegin) {
+    projectedFill = new Date(regBegin.getTime() + typicalDaysToFill * DAY_MS);
+    basis = 'history';
+  }
+
+  const target = registrationDate || now;
+  let status = 'unknown';
+  if (basis === 'full') status = 'full';
+  else if (projectedFill) {
+    const marginDays = (projectedFill.getTime() - target.getTime()) / DAY_MS;
+    status = marginDays <= 0 ? 'likely-full' : marginDays <= FORECAST_MARGIN_DAYS ? 'at-risk' : 'likely-open';
+  }
+
+  return {
+    uniqueId: course.uniqueId,
+    capacity,
+    enrolled,
+    seatsAvailable,
+    waitlistCount: Number.isFinite(course.waitlistCount) ? course.waitlistCount : null,
+    fillRate: capacity && enrolled !== null ? roundTo(enrolled / capacity) : null,
+    registrationOpens: regBegin ? regBegin.toISOString() : null,
+    filledAt: filledPoint ? new Date(filledPoint.time).toISOString() : null,
+    daysToFill: roundTo(daysToFill, 1),
+    typicalDaysToFill: roundTo(typicalDaysToFill, 1),
+    comparableSections: peerFillDays.length,
+    enrollmentVelocity: roundTo(enrollmentVelocity),
+    waitlistVelocity: roundTo(waitlistVelocity),
+    sparkline: downsample(points.map(p => p.enrolled).filter(Number.isFinite), ANALYTICS_SPARKLINE_POINTS),
+    samples: points.length,
+    forecast: {
+      status,
+      basis,
+      projectedFillDate: projectedFill ? projectedFill.toISOString() : null,
+      registrationDate: registrationDate ? registrationDate.toISOString() : null,
+      confidence: basis === 'full' ? 'high' : basis === 'pace' && recent.length >= 5 ? 'medium' : basis ? 'low' : null
+    }
+  };
+}
+
+// Days-to-fill for sections of the same course/campus/term, keyed by course group
+async function loadPeerFillDays(courses, coursesRepo) {
+  const groups = new Map();
+  courses.forEach(c => {
+    const key = [c.prefix, c.courseNumber, c.campus, c.term].join('|');
+    if (!groups.has(key)) groups.set(key, c);
+  });
+
+  const result = new Map();
+  for (const [key, c] of groups) {
+    const peers = await coursesRepo.sectionFillTimes(c);
+    result.set(key, peers.map(p => ({
+      uniqueId: p.uniqueId,
+      days: (() => {
+        const reg = parseLooseDate(p.dateRegBegin);
+        const filled = parseSqliteTimestamp(p.filledAt);
+        return reg && filled ? (filled.getTime() - reg.getTime()) / DAY_MS : null;
+      })()
+    })).filter(p => p.days !== null));
+  }
+  return result;
+}
+
+async function loadEnrollmentAnalytics(coursesRepo, uniqueIds, options = {}) {
+  if (!uniqueIds.length) return [];
+  const [courses, history] = await Promise.all([
+    coursesRepo.findByUniqueIds(uniqueIds),
+    coursesRepo.enrollmentHistoryFor(uniqueIds)
+  ]);
+  const peerFills = await loadPeerFillDays(courses, coursesRepo);
+  return courses.map(course => {
+    const peers = peerFills.get([course.prefix, course.courseNumber, course.campus, course.term].join('|')) || [];
+    return computeEnrollmentAnalytics(
+      course,
+      history.filter(h => h.uniqueId === course.uniqueId),
+      peers.filter(p => p.uniqueId !== course.uniqueId).map(p => p.days),
+      options
+    );
+  });
+}
+
+function readAnalyticsOptions(query) {
+  if (!query.registrationDate) return {};
+  const registrationDate = parseLooseDate(query.registrationDate);
+  return registrationDate ? { registrationDate } : { error: 'registrationDate must be a date (YYYY-MM-DD)' };
+}
+
+module.exports = {
+  MAX_ANALYTICS_IDS,
+  parseSqliteTimestamp,
+  parseLooseDate,
+  computeEnrollmentAnalytics,
+  loadEnrollmentAnalytics,
+  readAnalyticsOptions,
+};
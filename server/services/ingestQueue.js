@@ -0,0 +1,148 @@
+// SQLite-backed queue for webhook ingests. A webhook stores its body as a
+// job (repositories/jobs.js) and answers 202 straight away; the worker here
+// runs up to `concurrency` jobs at a time through services/webhookIngest.js,
+// dead-letters rejected records and records progress for /api/jobs/:id.
+// A job replaying a dead letter settles that letter instead: replayed, or
+// pending again with the new errors.
+//
+// All job bookkeeping goes through withTransaction, so it queues behind the
+// chunk transactions of jobs already running instead of being written (and
+// possibly rolled back) inside one of them. Ingesters never hold the lock
+// across a whole batch, so other jobs and API writes get in between chunks.
+const { logger } = require('../../logger');
+const { newApiToken } = require('./auth');
+const { ingestWebhook, deadLetterRejections } = require('./webhookIngest');
+
+// A job still running after this many interrupted attempts is failed
+const MAX_ATTEMPTS = 3;
+
+const recordCount = body => (Array.isArray(body) ? body.length : 1);
+
+/**
+ * @param {Object} repos - From createRepositories()
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - Jobs processed at once
+ * @param {number} [options.pollMs=5000] - How often to look for jobs besides on enqueue
+ * @returns {{ enqueue, start, stop, idle }}
+ */
+function createIngestQueue(repos, { concurrency = 1, pollMs = 5000 } = {}) {
+  const { jobs, deadLetters, withTransaction } = repos;
+  const active = new Set();
+  let stopped = true;
+  let timer = null;
+  let pumping = null;
+  let pumpAgain = false;
+
+  // Rejections of a replay are recorded on the letter being replayed
+  async function settleRejections(endpoint, rejected, deadLetterId) {
+    if (!deadLetterId) return deadLetterRejections(repos, endpoint, rejected);
+    await deadLetters.finishReplay(deadLetterId, rejected.length ? rejected.flatMap(r => r.errors) : null);
+    return rejected.map(({ index, type, errors }) => ({ index, type, errors, deadLetterId }));
+  }
+
+  async function runJob({ id, endpoint, payload, deadLetterId, resumeOffset, added, updated, failed }) {
+    try {
+      const { status, response, rejected } = await ingestWebhook(repos, endpoint, payload, {
+        onProgress: counts => withTransaction(() => jobs.progress(id, counts)),
+        // Already inside the chunk's transaction
+        checkpoint: state => jobs.checkpoint(id, state),
+        resume: resumeOffset ? { offset: resumeOffset, added, updated, failed } : undefined,
+      });
+      // Dead letters and the job's result are written together, so a restart
+      // can't dead-letter the same rejections twice
+      await withTransaction(async () => {
+        const validationErrors = await settleRejections(endpoint, rejected, deadLetterId);
+        if (status >= 400) {
+          const result = { ...response, deadLetterId: validationErrors[0]?.deadLetterId };
+          await jobs.finish(id, { status: 'failed', result, error: response.message });
+        } else {
+          const result = validationErrors.length ? { ...response, validationErrors } : response;
+          await jobs.finish(id, { status: 'completed', result });
+        }
+      });
+    } catch (error) {
+      logger.error(`Ingest job ${id} (${endpoint}) failed`, { meta: { error: error.message } });
+      await withTransaction(async () => {
+        await jobs.finish(id, { status: 'failed', error: error.message });
+        if (deadLetterId) await deadLetters.releaseStaleReplays();
+      }).catch(err => logger.error('Failed to record ingest job failure', { meta: { id, error: err.message } }));
+    }
+  }
+
+  // Claim jobs until `concurrency` are running or none are waiting. Calls
+  // made while a pump is in progress make it go round once more.
+  function pump() {
+    if (stopped) return Promise.resolve();
+    if (pumping) {
+      pumpAgain = true;
+      return pumping;
+    }
+    pumping = (async () => {
+      do {
+        pumpAgain = false;
+        while (!stopped && active.size < concurrency) {
+          const job = await withTransaction(() => jobs.claimNext());
+          if (!job) break;
+          const work = runJob(job).finally(() => {
+            active.delete(work);
+            pump();
+          });
+          active.add(work);
+        }
+      } while (pumpAgain && !stopped);
+    })()
+      .catch(err => logger.error('Failed to claim ingest jobs', { meta: { error: err.message } }))
+      .finally(() => {
+        pumping = null;
+        if (pumpAgain) pump();
+      });
+    return pumping;
+  }
+
+  return {
+    /**
+     * Queue a webhook body for ingestion. The statusUrl carries a token for
+     * this one job, so the caller can poll it without an admin token.
+     * @returns {Promise<{ jobId: number, statusUrl: string }>}
+     */
+    async enqueue(endpoint, payload, { createdBy, deadLetterId } = {}) {
+      const { token, tokenHash } = newApiToken();
+      const jobId = await withTransaction(() => jobs.create({
+        endpoint, payload, total: recordCount(payload), createdBy, statusTokenHash: tokenHash, deadLetterId,
+      }));
+      pump();
+      return { jobId, statusUrl: `/api/jobs/${jobId}?token=${token}` };
+    },
+
+    // Requeue jobs a previous process left running, then start working
+    async start() {
+      if (!stopped) return;
+      const { requeued, failed } = await withTransaction(async () => {
+        const counts = await jobs.requeueInterrupted(MAX_ATTEMPTS);
+        await deadLetters.releaseStaleReplays();
+        return counts;
+      });
+      if (requeued || failed) logger.warn(`Ingest queue: ${requeued} interrupted job(s) requeued, ${failed} failed`);
+      stopped = false;
+      timer = setInterval(pump, pollMs);
+      timer.unref();
+      pump();
+    },
+
+    // Stop claiming jobs and wait for the running ones to finish
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      await this.idle();
+    },
+
+    // Resolves once nothing is being claimed or run
+    async idle() {
+      while (pumping || active.size) {
+        await Promise.allSettled([pumping, ...active]);
+      }
+    },
+  };
+}
+
+module.exports = { createIngestQueue };
@@ -0,0 +1,79 @@
+// Instructor names from scraped sections, normalized so the same person is
+// one `instructors` row across terms. Sections list them in the
+// `instructors` JSON (objects with firstName/lastName, or plain names) and
+// as `instructor` text ("Jane Doe", "Doe, Jane", "Jane Doe, Sam Lee").
+
+const PLACEHOLDERS = new Set(['staff', 'tba', 'tbd', 'to be announced', 'arr']);
+
+function clean(text) {
+  return String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// "Jane Q. Doe" and "jane doe" share a key: first and last word, letters only
+function instructorKey(name) {
+  const words = clean(name).toLowerCase().replace(/[^a-z\s'-]/g, '').split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  return words.length === 1 ? words[0] : `${words[0]} ${words[words.length - 1]}`;
+}
+
+function person(name, firstName, lastName) {
+  name = clean(name);
+  if (!name || PLACEHOLDERS.has(name.toLowerCase())) return null;
+  const key = instructorKey(name);
+  if (!key) return null;
+  const words = name.split(' ');
+  return {
+    key,
+    name,
+    firstName: clean(firstName) || (words.length > 1 ? words[0] : null),
+    lastName: clean(lastName) || words[words.length - 1],
+  };
+}
+
+function fromJson(instructors) {
+  let list = instructors;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list.map(entry => {
+    if (typeof entry === 'string') return person(entry);
+    if (!entry || typeof entry !== 'object') return null;
+    const first = entry.firstName || entry.first;
+    const last = entry.lastName || entry.last;
+    return person(entry.name || [first, last].filter(Boolean).join(' '), first, last);
+  });
+}
+
+// "Doe, Jane" is one name; "Jane Doe, Sam Lee" and "Jane Doe; Sam Lee" are two
+function fromText(text) {
+  text = clean(text);
+  if (!text) return [];
+  const parts = text.split(/;|\band\b|&/i).flatMap(part => {
+    const pieces = part.split(',').map(p => p.trim()).filter(Boolean);
+    if (pieces.length === 2 && !pieces.some(p => p.includes(' '))) {
+      return [`${pieces[1]} ${pieces[0]}`];
+    }
+    return pieces;
+  });
+  return parts.map(name => person(name));
+}
+
+/**
+ * Everyone teaching a section, from its `instructors` list or, failing that,
+ * its `instructor` text. "Staff" and other placeholders are dropped.
+ * @param {{ instructors?: Array|string, instructor?: string }} section
+ * @returns {Array<{ key: string, name: string, firstName: string|null, lastName: string }>}
+ */
+function sectionInstructors({ instructors, instructor }) {
+  let people = fromJson(instructors).filter(Boolean);
+  if (!people.length) people = fromText(instructor).filter(Boolean);
+  const seen = new Set();
+  return people.filter(p => !seen.has(p.key) && seen.add(p.key));
+}
+
+module.exports = { instructorKey, sectionInstructors };
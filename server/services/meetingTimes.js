@@ -0,0 +1,212 @@
+// Section meeting patterns from the schedule's `meetings` lists and
+// `dayTime` strings, e.g. "MWF 10:10-11:00", "TU,TH 12.05-14.45". dayTime
+// is 24-hour, as published; the dayTime parsing mirrors parseTimeRange in
+// virtual-counselor/src/components/course-planner/utils.js. Locations read
+// like "SLOAN 175", and "ARR ARR" when arranged.
+
+const DAY_ORDER = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+
+function normalizeDay(token) {
+  const u = token.toUpperCase();
+  if (u === 'R' || u.startsWith('TH')) return 'R';
+  if (u.startsWith('SU') || u === 'U') return 'U';
+  if (u.startsWith('SA') || u === 'S') return 'S';
+  if (u.startsWith('T')) return 'T';
+  if (u.startsWith('M')) return 'M';
+  if (u.startsWith('W')) return 'W';
+  if (u.startsWith('F')) return 'F';
+  return null;
+}
+
+// A lone day name, which would otherwise read as compact letters ("Thu")
+const DAY_NAME = /^(mon|tues?|wed|thu|thurs?|fri|sat|sun)(day)?$/i;
+
+/**
+ * Day letters in a days string: compact ("MWF", "TR", "TTh") or separated
+ * ("TU,TH", "Mon Wed"), or a single day name. Unknown tokens are dropped.
+ * @returns {string[]} Distinct letters in week order
+ */
+function parseDays(text) {
+  text = String(text);
+  const tokens = /[,\s]/.test(text) || text.length > 5 || DAY_NAME.test(text)
+    ? text.split(/[^A-Za-z]+/).filter(Boolean)
+    : text.match(/T[UuHh]|S[AaUu]|[A-Za-z]/g) || [];
+  const days = new Set(tokens.map(normalizeDay).filter(Boolean));
+  return DAY_ORDER.filter(day => days.has(day));
+}
+
+// "13:30", "13.30", "13" or "1:30 PM" -> minutes after midnight
+function clockMinutes(text) {
+  const m = String(text).trim().match(/^(\d{1,2})(?:[:.](\d{1,2}))?(?:\s*([ap])\.?m\.?)?$/i);
+  if (!m) return null;
+  let hours = parseInt(m[1], 10);
+  const minutes = m[2] ? parseInt(m[2], 10) : 0;
+  const meridiem = m[3] && m[3].toLowerCase();
+  if (meridiem && (hours < 1 || hours > 12)) return null;
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * @param {string} dayTime
+ * @returns {{ days: string[], startMinute: number, endMinute: number }|null}
+ *   null for arranged/async sections and anything unparseable
+ */
+function parseDayTime(dayTime) {
+  if (!dayTime || dayTime.includes('ARR') || dayTime === 'AARGT') return null;
+  const m = dayTime.match(/^\s*([A-Za-z,\s]+?)\s*(\d{1,2}(?:[:.]\d{1,2})?)-(\d{1,2}(?:[:.]\d{1,2})?)\s*$/);
+  if (!m) return null;
+  const days = parseDays(m[1]);
+  const startMinute = clockMinutes(m[2]);
+  const endMinute = clockMinutes(m[3]);
+  if (!days.length || startMinute === null || endMinute === null) return null;
+  return { days, startMinute, endMinute };
+}
+
+function meetingList(meetings) {
+  if (Array.isArray(meetings)) return meetings;
+  if (typeof meetings !== 'string' || !meetings.trim()) return [];
+  try {
+    const parsed = JSON.parse(meetings);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Building and room from a location like "SLOAN 175" or "CUE 203A": the
+ * room is the last word, everything before it the building.
+ * @returns {{ building: string, room: string }|null} null for arranged,
+ *   online or unreadable locations
+ */
+function parseLocation(text) {
+  if (typeof text !== 'string') return null;
+  const m = text.trim().match(/^(.*\S)\s+(\S+)$/);
+  if (!m || !/\d/.test(m[2])) return null;
+  const building = m[1].toUpperCase().replace(/\s+/g, ' ');
+  if (/^(ARR|TBA|TBD|ONLINE)/.test(building)) return null;
+  return { building, room: m[2].toUpperCase() };
+}
+
+// "2026-01-12", "2026-01-12T08:00:00Z" or "1/12/2026" -> "2026-01-12"
+function isoDate(value) {
+  if (typeof value !== 'string') return null;
+  const iso = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const us = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  return null;
+}
+
+// One entry of the scraped `meetings` list. Feeds differ, so accept a
+// dayTime-style string, or an object with days plus start/end times and
+// optionally where and between which dates it meets.
+function parseMeeting(meeting) {
+  if (!meeting) return null;
+  if (typeof meeting === 'string') return parseDayTime(meeting);
+  if (typeof meeting !== 'object') return null;
+
+  const building = meeting.building || meeting.bldg;
+  const room = meeting.room ?? meeting.roomNumber;
+  const place = building
+    ? { building: String(building).trim().toUpperCase(), room: room != null ? String(room).trim().toUpperCase() : null }
+    : parseLocation(meeting.location || meeting.where);
+  const extras = {
+    ...place,
+    startDate: isoDate(meeting.startDate ?? meeting.start_date ?? meeting.beginDate),
+    endDate: isoDate(meeting.endDate ?? meeting.end_date),
+  };
+
+  const combined = meeting.dayTime || meeting.daysTimes;
+  if (typeof combined === 'string') {
+    const parsed = parseDayTime(combined);
+    return parsed && { ...parsed, ...extras };
+  }
+
+  const rawDays = meeting.days ?? meeting.day ?? meeting.meetingDays ?? meeting.daysOfWeek;
+  const days = Array.isArray(rawDays) ? parseDays(rawDays.join(',')) : rawDays ? parseDays(String(rawDays)) : [];
+  const start = meeting.startTime ?? meeting.beginTime ?? meeting.timeStart;
+  const end = meeting.endTime ?? meeting.timeEnd;
+  const startMinute = start != null ? clockMinutes(start) : null;
+  const endMinute = end != null ? clockMinutes(end) : null;
+  if (!days.length || startMinute === null || endMinute === null) return null;
+  return { days, startMinute, endMinute, ...extras };
+}
+
+// The section's `location` for each of its n meetings: one location for
+// all of them, or a comma/semicolon-separated list with one per meeting
+function sectionLocations(location, n) {
+  const parts = typeof location === 'string' ? location.split(/[,;]/).map(parseLocation) : [];
+  if (parts.length === n) return parts;
+  if (parts.length === 1) return Array(n).fill(parts[0]);
+  return Array(n).fill(null);
+}
+
+/**
+ * course_meetings rows for a section: one per day it meets. Read from the
+ * scraped `meetings` list, falling back to `dayTime` when the list has no
+ * usable times. Where a meeting doesn't say where or when it runs, the
+ * section's `location`, `startDate` and `endDate` fill in. Arranged
+ * sections have no rows.
+ * @param {{ meetings?: Array|string, dayTime?: string, location?: string,
+ *   startDate?: string, endDate?: string }} section
+ * @returns {Array<{ day: string, startMinute: number, endMinute: number,
+ *   building: string|null, room: string|null, startDate: string|null, endDate: string|null }>}
+ */
+function meetingRows({ meetings, dayTime, location, startDate, endDate }) {
+  let parsed = meetingList(meetings).map(parseMeeting).filter(Boolean);
+  if (!parsed.length) parsed = [parseDayTime(dayTime)].filter(Boolean);
+  const places = sectionLocations(location, parsed.length);
+
+  const seen = new Set();
+  const rows = [];
+  parsed.forEach((meeting, i) => {
+    const place = meeting.building ? meeting : places[i] || {};
+    const row = {
+      startMinute: meeting.startMinute,
+      endMinute: meeting.endMinute,
+      building: place.building || null,
+      room: place.room || null,
+      startDate: meeting.startDate || isoDate(startDate),
+      endDate: meeting.endDate || isoDate(endDate),
+    };
+    for (const day of meeting.days) {
+      const key = [day, row.startMinute, row.endMinute, row.building, row.room].join('-');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      rows.push({ day, ...row });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Gaps between busy meetings on each weekday, within the teaching day.
+ * Saturdays and Sundays are included only when something meets on them.
+ * @param {Array<{ day: string, startMinute: number, endMinute: number }>} meetings
+ * @returns {Object<string, Array<{ startMinute: number, endMinute: number }>>}
+ */
+function freeIntervals(meetings, { dayStart = 7 * 60, dayEnd = 22 * 60 } = {}) {
+  const days = DAY_ORDER.filter(day => !'SU'.includes(day) || meetings.some(m => m.day === day));
+  const free = {};
+  for (const day of days) {
+    const busy = meetings.filter(m => m.day === day).sort((a, b) => a.startMinute - b.startMinute);
+    const gaps = [];
+    let cursor = dayStart;
+    for (const { startMinute, endMinute } of busy) {
+      if (startMinute > cursor) gaps.push({ startMinute: cursor, endMinute: Math.min(startMinute, dayEnd) });
+      cursor = Math.max(cursor, endMinute);
+      if (cursor >= dayEnd) break;
+    }
+    if (cursor < dayEnd) gaps.push({ startMinute: cursor, endMinute: dayEnd });
+    free[day] = gaps.filter(g => g.endMinute > g.startMinute);
+  }
+  return free;
+}
+
+module.exports = {
+  parseDays, clockMinutes, parseDayTime, parseLocation, isoDate, meetingRows, freeIntervals,
+};
@@ -0,0 +1,44 @@
+// Validation and formatting for synced degree plans, shared by the plan and
+// share-link routes
+
+const MAX_PLAN_BYTES = 2 * 1024 * 1024; // a full 4-year plan is well under 100 KB
+
+// Parse/validate a plan payload from the client. Returns { data, clientUpdatedAt } or { error }.
+function readPlanPayload(body = {}) {
+  const data = body.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'data must be an object ({ plan, years, programs, refinements })' };
+  }
+  if (data.plan !== undefined && (typeof data.plan !== 'object' || Array.isArray(data.plan))) {
+    return { error: 'data.plan must be an object keyed by year id' };
+  }
+  const json = JSON.stringify(data);
+  if (Buffer.byteLength(json) > MAX_PLAN_BYTES) {
+    return { error: 'Plan is too large to sync' };
+  }
+  const clientUpdatedAt = Number.isFinite(Number(body.clientUpdatedAt))
+    ? Math.trunc(Number(body.clientUpdatedAt))
+    : Date.now();
+  return { json, clientUpdatedAt };
+}
+
+function formatPlanRow(row, includeData = true) {
+  const plan = {
+    id: row.id,
+    name: row.name,
+    version: row.version,
+    clientUpdatedAt: row.client_updated_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (includeData) {
+    try {
+      plan.data = JSON.parse(row.data);
+    } catch (e) {
+      plan.data = null;
+    }
+  }
+  return plan;
+}
+
+module.exports = { readPlanPayload, formatPlanRow };
@@ -0,0 +1,109 @@
+// Transitive prerequisite / "unlocks" graph for one course, built from
+// catalog_courses.prerequisite_codes. Edges point from a prerequisite to the
+// course that requires it. Walks at most `depth` levels each way and stops
+// adding nodes after PREREQ_GRAPH_MAX_NODES (the result is then `truncated`).
+const { parsePrerequisites, normalizeCourseCode } = require('../../virtual-counselor/src/shared/prereqParser.mjs');
+
+const PREREQ_GRAPH_MAX_NODES = 150;
+
+// The stored tree, or one parsed from the raw text when it is missing or
+// isn't valid JSON
+function prerequisiteTree(row) {
+  if (row.prerequisite_tree) {
+    try {
+      return JSON.parse(row.prerequisite_tree);
+    } catch (e) {
+      // fall through to the raw text
+    }
+  }
+  return parsePrerequisites(row.prerequisite_raw);
+}
+
+/**
+ * @param {Object[]} rows - catalog_courses rows for one catalog year
+ * @param {string} root - Normalized course code to start from
+ * @param {number} depth - Levels to walk in each direction
+ * @returns {{ found: boolean, truncated: boolean, nodes: Object[], edges: Object[] }}
+ */
+function buildPrereqGraph(rows, root, depth) {
+  // Index the catalog by canonical code, and invert prereqs into "unlocks"
+  const courses = new Map();
+  const unlocksOf = new Map();
+  for (const r of rows) {
+    const code = normalizeCourseCode(r.code || `${r.prefix || ''} ${r.number || ''}`);
+    if (!code) continue;
+    let prereqs = [];
+    try {
+      prereqs = JSON.parse(r.prerequisite_codes || '[]');
+    } catch (e) {
+      prereqs = [];
+    }
+    prereqs = [...new Set(prereqs.map(normalizeCourseCode).filter(c => c && c !== code))];
+    courses.set(code, { row: r, prereqs });
+    for (const p of prereqs) {
+      if (!unlocksOf.has(p)) unlocksOf.set(p, new Set());
+      unlocksOf.get(p).add(code);
+    }
+  }
+
+  const nodes = new Map();
+  const edges = new Map();
+  let truncated = false;
+  const addNode = (code, relation, level) => {
+    if (nodes.has(code)) return true;
+    if (nodes.size >= PREREQ_GRAPH_MAX_NODES) {
+      truncated = true;
+      return false;
+    }
+    const entry = courses.get(code);
+    const r = entry && entry.row;
+    nodes.set(code, {
+      code,
+      relation,
+      depth: level,
+      inCatalog: !!entry,
+      title: r ? r.title : null,
+      credits: r ? r.credits : null,
+      prerequisites: entry ? entry.prereqs : [],
+      prerequisiteTree: r ? prerequisiteTree(r) : null,
+    });
+    return true;
+  };
+  const addEdge = (from, to) => edges.set(`${from}>${to}`, { from, to });
+
+  // Breadth-first so the closest courses survive truncation. Each direction
+  // keeps its own visited set, so a course both walks reach (through a
+  // prerequisite cycle) is still followed the second way.
+  const walk = (relation, nextOf) => {
+    const visited = new Set([root]);
+    let frontier = [root];
+    for (let level = 1; level <= depth && frontier.length; level++) {
+      const next = [];
+      for (const code of frontier) {
+        for (const other of nextOf(code)) {
+          if (!addNode(other, relation, level)) continue;
+          if (relation === 'prerequisite') addEdge(other, code);
+          else addEdge(code, other);
+          if (!visited.has(other)) {
+            visited.add(other);
+            next.push(other);
+          }
+        }
+      }
+      frontier = next;
+    }
+  };
+
+  addNode(root, 'root', 0);
+  walk('prerequisite', code => (courses.get(code) ? courses.get(code).prereqs : []));
+  walk('unlocks', code => [...(unlocksOf.get(code) || [])]);
+
+  return {
+    found: courses.has(root),
+    truncated,
+    nodes: [...nodes.values()],
+    edges: [...edges.values()],
+  };
+}
+
+module.exports = { buildPrereqGraph, PREREQ_GRAPH_MAX_NODES };
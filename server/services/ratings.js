@@ -0,0 +1,176 @@
+// Instructor ratings from RateMyProfessors: cache keys for the proxy, fuzzy
+// matching of RMP teachers to the names sections list (the same names
+// parseInstructors shows), and the scheduled refresh that keeps the current
+// term's instructors rated.
+const { instructorKey } = require('./instructors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const RMP_CACHE_TTL_MS = (parseFloat(process.env.RMP_CACHE_TTL_HOURS) || 24) * HOUR_MS;
+// RMP's GraphQL id for Washington State University (base64 of "School-1143")
+const WSU_SCHOOL_ID = 'U2Nob29sLTExNDM=';
+
+function sanitizeNameForKey(name = '') {
+  return (name || '').toString().trim().toLowerCase().replace(/[^a-z0-9\s\-]/g, '').slice(0, 120);
+}
+
+const searchKey = name => `rmp:teacher:${sanitizeNameForKey(name)}`;
+const idKey = id => `rmp:id:${String(id)}`;
+
+// Lower-case letters only, accents dropped: "José O'Neil" -> "joseoneil"
+function letters(text) {
+  return String(text || '').normalize('NFD').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function nameParts({ name, firstName, lastName }) {
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  const rawLast = lastName || words[words.length - 1] || '';
+  return {
+    first: letters(firstName || (words.length > 1 ? words[0] : '')),
+    last: letters(rawLast),
+    // Each half of a hyphenated last name
+    halves: rawLast.includes('-') ? rawLast.split('-').map(letters).filter(Boolean) : [],
+  };
+}
+
+// 3 exact, 2 one typo, 0 no match
+function lastNameScore(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 3;
+  if (Math.min(a.length, b.length) >= 4 && editDistance(a, b) <= 1) return 2;
+  return 0;
+}
+
+// 2 exact, 1 initial, prefix ("Sam"/"Samuel") or one typo, 0.5 unknown, 0 different
+function firstNameScore(a, b) {
+  if (!a || !b) return 0.5;
+  if (a === b) return 2;
+  if (a.length === 1 || b.length === 1) return a[0] === b[0] ? 1 : 0;
+  if (Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a))) return 1;
+  if (Math.min(a.length, b.length) >= 4 && editDistance(a, b) <= 1) return 1;
+  return 0;
+}
+
+/**
+ * The RMP teacher that best matches an instructor, or null. Last names
+ * must match (allowing one typo or a hyphenated half), first names must not
+ * contradict, and teachers listed at another school are ignored. Ties go to
+ * the teacher with more ratings.
+ * @param {{ name: string, firstName?: string, lastName?: string }} instructor
+ * @param {Object[]} candidates - RMP teacher nodes
+ */
+function matchTeacher(instructor, candidates) {
+  const want = nameParts(instructor);
+  let best = null;
+  let bestScore = 0;
+  for (const teacher of candidates || []) {
+    const school = teacher?.school?.name;
+    if (school && !/washington state/i.test(school)) continue;
+    const got = nameParts({ firstName: teacher.firstName, lastName: teacher.lastName });
+    const hyphenated = got.halves.includes(want.last) || want.halves.includes(got.last);
+    const last = Math.max(lastNameScore(want.last, got.last), hyphenated ? 2 : 0);
+    const first = firstNameScore(want.first, got.first);
+    if (!last || !first) continue;
+    const score = last + first + (school ? 1 : 0);
+    const more = (teacher.numRatings || 0) > (best?.numRatings || 0);
+    if (score > bestScore || (score === bestScore && more)) {
+      best = teacher;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Stored rating fields from an RMP teacher node. RMP reports 0 for unrated
+// teachers and -1 for an unknown would-take-again share.
+function ratingFromTeacher(teacher) {
+  const rated = teacher.numRatings === undefined || teacher.numRatings > 0;
+  const number = value => (value === undefined || value === null || value < 0 ? null : Number(value));
+  return {
+    legacyId: teacher.legacyId ? String(teacher.legacyId) : null,
+    matchedName: [teacher.firstName, teacher.lastName].filter(Boolean).join(' ') || null,
+    avgRating: rated ? number(teacher.avgRating) : null,
+    avgDifficulty: rated ? number(teacher.avgDifficulty) : null,
+    wouldTakeAgainPercent: rated ? number(teacher.wouldTakeAgainPercent) : null,
+    numRatings: teacher.numRatings ?? null,
+  };
+}
+
+/**
+ * Keep the rating from a proxy search when the searched name is one of our
+ * instructors, so lookups students make feed sorting too.
+ */
+async function recordLookup({ instructors, ratings }, name, candidates) {
+  const instructor = await instructors.findByKey(instructorKey(name));
+  if (!instructor) return;
+  const match = matchTeacher(instructor, candidates);
+  if (match) await ratings.saveInstructorRating(instructor.id, ratingFromTeacher(match));
+}
+
+/**
+ * One refresh pass: look up to `limit` due instructors on RMP, searching
+ * within `schoolId`, and store what matched. Stops at the first failed
+ * request, leaving the rest due.
+ * @returns {Promise<{ checked: number, matched: number, failed: boolean }>}
+ */
+async function refreshRatings({
+  ratings, searchTeachers, schoolId = WSU_SCHOOL_ID, limit = 100, maxAgeMs = 7 * 24 * HOUR_MS, delayMs = 0,
+}) {
+  const due = await ratings.listDueForRefresh({ staleBefore: new Date(Date.now() - maxAgeMs).toISOString(), limit });
+  const result = { checked: 0, matched: 0, failed: false };
+  for (const instructor of due) {
+    let candidates;
+    try {
+      candidates = await searchTeachers(instructor.name, schoolId);
+    } catch (err) {
+      result.failed = true;
+      break;
+    }
+    const match = matchTeacher(instructor, candidates);
+    await ratings.saveInstructorRating(instructor.id, match ? ratingFromTeacher(match) : null);
+    result.checked += 1;
+    if (match) result.matched += 1;
+    if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+  return result;
+}
+
+/**
+ * Run refreshRatings now and then every `intervalMs`, never overlapping.
+ * The timer doesn't keep the process alive.
+ * @returns {() => void} stops the schedule
+ */
+function startRatingsRefresh({ intervalMs, log = () => {}, ...options }) {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { checked, matched, failed } = await refreshRatings(options);
+      if (checked || failed) log(`Refreshed ${checked} instructor ratings (${matched} matched)${failed ? '; RMP request failed' : ''}`);
+    } catch (err) {
+      log(`Rating refresh failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  RMP_CACHE_TTL_MS, WSU_SCHOOL_ID, searchKey, idKey, matchTeacher, ratingFromTeacher, recordLookup, refreshRatings, startRatingsRefresh,
+};
@@ -0,0 +1,48 @@
+// RateMyProfessors GraphQL calls, shared by /api/rmp-proxy and the
+// background rating refresh
+const axios = require('axios');
+
+const RMP_GRAPHQL_URL = 'https://www.ratemyprofessors.com/graphql';
+const TEACHER_FIELDS = 'legacyId firstName lastName avgRating avgDifficulty wouldTakeAgainPercent numRatings school { name id }';
+
+function buildRmpSearchPayload(name, schoolId) {
+  return {
+    operationName: 'SearchTeachers',
+    variables: { query: name, schoolID: schoolId || null },
+    query: `query SearchTeachers($query: String!, $schoolID: ID) { newSearch { teachers(query: $query, schoolID: $schoolID) { edges { node { ${TEACHER_FIELDS} } } } } }`
+  };
+}
+
+function buildRmpGetByIdPayload(id) {
+  return {
+    operationName: 'GetTeacherRatings',
+    variables: { id },
+    query: `query GetTeacherRatings($id: ID!) { node(id: $id) { ... on Teacher { ${TEACHER_FIELDS} } } }`
+  };
+}
+
+async function postGraphql(payload) {
+  const resp = await axios.post(RMP_GRAPHQL_URL, payload, {
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': process.env.RMP_USER_AGENT || 'virtual-counselor/2.0 (+https://virtual-counselor.org)'
+    },
+    timeout: 10000
+  });
+  return resp?.data?.data;
+}
+
+// Teacher nodes matching a name, optionally within one school
+async function searchTeachers(name, schoolId) {
+  const data = await postGraphql(buildRmpSearchPayload(name, schoolId));
+  const edges = data?.newSearch?.teachers?.edges || [];
+  return edges.map(e => e.node || {});
+}
+
+// One teacher by GraphQL node id, or null
+async function getTeacherByNodeId(nodeId) {
+  const data = await postGraphql(buildRmpGetByIdPayload(nodeId));
+  return data?.node || null;
+}
+
+module.exports = { searchTeachers, getTeacherByNodeId };
@@ -0,0 +1,47 @@
+// Seat watch threshold checks, run after each scraped chunk is written
+
+const WATCH_FIELDS = ['seatsAvailable', 'waitlistAvailable'];
+const WATCH_FIELD_LABELS = { seatsAvailable: 'seats', waitlistAvailable: 'waitlist spots' };
+
+function watchCrossed(watch, previous, value) {
+  if (value === null || value === undefined) return false;
+  if (watch.direction === 'below') {
+    return value < watch.threshold && (previous === null || previous === undefined || previous >= watch.threshold);
+  }
+  return value >= watch.threshold && (previous === null || previous === undefined || previous < watch.threshold);
+}
+
+// `watch` is a watches row joined with its section's prefix/number columns
+function describeWatchCrossing(watch, value) {
+  const label = `${watch.prefix} ${watch.courseNumber} section ${watch.sectionNumber}`;
+  const what = WATCH_FIELD_LABELS[watch.field] || watch.field;
+  return watch.direction === 'below'
+    ? `${label} is down to ${value} ${what}`
+    : `${label} now has ${value} ${what} open`;
+}
+
+// Check the watches on sections just written by /webhook/courses. Runs after
+// each chunk commits, in its own transaction, so a failure here never rolls
+// back scraped data.
+async function evaluateWatches(repos, uniqueIds) {
+  if (!uniqueIds.length) return 0;
+  const rows = await repos.watches.listForSections(uniqueIds);
+  if (!rows.length) return 0;
+
+  let notified = 0;
+  await repos.withTransaction(async () => {
+    for (const watch of rows) {
+      const value = watch[watch.field];
+      if (value === watch.last_value) continue;
+      if (watchCrossed(watch, watch.last_value, value)) {
+        await repos.watches.notify(watch, value, describeWatchCrossing(watch, value));
+        notified++;
+      } else {
+        await repos.watches.recordValue(watch.id, value);
+      }
+    }
+  });
+  return notified;
+}
+
+module.exports = { WATCH_FIELDS, watchCrossed, describeWatchCrossing, evaluateWatches };
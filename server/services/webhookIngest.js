@@ -0,0 +1,443 @@
+// Processing behind each /webhook endpoint, run by the ingest job queue for
+// webhooks and dead-letter replays alike. Every ingester takes the request body and an
+// onProgress callback and returns { status, response, rejected }: `rejected`
+// lists the records that failed validation, each as a payload the same
+// endpoint would accept on its own ({ payload, errors, index, type }), for
+// the caller to dead-letter. onProgress gets running { total, processed,
+// added, updated, failed } counts, where failed includes rejected records;
+// it is never called inside a transaction.
+//
+// Every ingester writes in chunks of WEBHOOK_BATCH_COMMIT_SIZE records, each
+// in its own withTransaction, so jobs running side by side take turns on the
+// shared connection. A courses job can also pass `checkpoint`, which is
+// called inside each chunk's transaction with the number of valid records
+// committed so far, and `resume` to pick up after the last checkpoint
+// instead of inserting the earlier chunks' enrollment history again.
+const { logger } = require('../../logger');
+const { parsePrerequisites, collectCourseCodes } = require('../../virtual-counselor/src/shared/prereqParser.mjs');
+const { evaluateWatches } = require('./watches');
+const { webhookSchemas, check } = require('./webhookSchemas');
+
+const asList = body => (Array.isArray(body) ? body : [body]);
+
+const commitSize = () => parseInt(process.env.WEBHOOK_BATCH_COMMIT_SIZE, 10) || 50;
+
+// Run `write` over `items`, one transaction per chunk
+async function writeInChunks(repos, items, write) {
+  const size = commitSize();
+  for (let i = 0; i < items.length; i += size) {
+    const chunk = items.slice(i, i + size);
+    await repos.withTransaction(async () => {
+      for (const item of chunk) await write(item);
+    });
+  }
+}
+
+// Split a batch into records that pass `schema` and rejections
+function validateBatch(schema, records) {
+  const valid = [];
+  const rejected = [];
+  records.forEach((record, index) => {
+    const { data, errors } = check(schema, record);
+    if (errors) rejected.push({ index, payload: record, errors });
+    else valid.push(data);
+  });
+  return { valid, rejected };
+}
+
+// A payload that fails its envelope schema is rejected whole
+function rejectPayload(endpoint, body, errors) {
+  return {
+    status: 400,
+    response: { status: 'error', message: `Invalid ${endpoint} payload`, errors },
+    rejected: [{ payload: body, errors }],
+  };
+}
+
+async function ingestCourses(repos, body, onProgress, { checkpoint, resume } = {}) {
+  const startTime = Date.now();
+  const courseData = asList(body);
+
+  if (courseData.length === 0) {
+    return { response: { status: 'success', processed: 0, message: 'No data to process' }, rejected: [] };
+  }
+
+  console.log(`[INFO] Processing ${courseData.length} courses (chunked commit)`);
+  const { valid, rejected } = validateBatch(webhookSchemas.courseSection, courseData);
+  if (rejected.length) console.log(`[WARN] Rejected ${rejected.length} invalid course records`);
+
+  // Counts from before an interruption carry over; `failed` in them includes the rejections
+  const start = resume?.offset || 0;
+  let added = start ? resume.added : 0;
+  let updated = start ? resume.updated : 0;
+  let historyRecorded = added + updated;
+  let failed = start ? Math.max(0, resume.failed - rejected.length) : 0;
+  let notificationsQueued = 0;
+  const failures = [];
+  if (start) console.log(`[INFO] Resuming after ${start} committed courses`);
+
+  // Commit in smaller transactions to avoid full-batch rollback on a single bad record
+  const batchSize = commitSize();
+  const report = processed => onProgress({ total: courseData.length, processed, added, updated, failed: failed + rejected.length });
+  await report(rejected.length + start);
+
+  for (let i = start; i < valid.length; i += batchSize) {
+    const chunk = valid.slice(i, i + batchSize);
+    const chunkIds = [];
+
+    await repos.withTransaction(async () => {
+      for (const course of chunk) {
+        try {
+          const result = await repos.courses.upsertScraped(course);
+          if (result.added) added++;
+          else updated++;
+          historyRecorded++;
+          chunkIds.push(result.uniqueId);
+        } catch (itemErr) {
+          failed++;
+          failures.push({ error: itemErr.message, course: { prefix: course.prefix, courseNumber: course.courseNumber, sectionNumber: course.sectionNumber } });
+          logger.error('Error processing a course in webhook chunk', { meta: { error: itemErr.message, course } });
+          // continue processing remaining courses in this chunk
+          continue;
+        }
+      }
+      if (checkpoint) {
+        await checkpoint({ offset: i + chunk.length, added, updated, failed: failed + rejected.length });
+      }
+    }); // end chunk transaction
+
+    try {
+      notificationsQueued += await evaluateWatches(repos, chunkIds);
+    } catch (watchErr) {
+      logger.error('Error evaluating seat watches', { meta: { error: watchErr.message } });
+    }
+    await report(rejected.length + i + chunk.length);
+  }
+
+  const duration = Date.now() - startTime;
+
+  console.log(`[OK] Processed in ${duration}ms (${added} added, ${updated} updated, ${historyRecorded} history records, ${failed} failed, ${rejected.length} rejected)`);
+
+  return {
+    response: {
+      status: 'success',
+      added,
+      updated,
+      historyRecorded,
+      notificationsQueued,
+      failed,
+      rejected: rejected.length,
+      sampleFailures: failures.slice(0, 5),
+      duration: `${duration}ms`
+    },
+    rejected,
+  };
+}
+
+async function ingestCatalogPdfs(repos, body, onProgress) {
+  const records = asList(body);
+  const { valid, rejected } = validateBatch(webhookSchemas.catalogPdf, records);
+  let added = 0;
+  let updated = 0;
+  let failed = 0;
+
+  await writeInChunks(repos, valid, async pdf => {
+    try {
+      if (await repos.catalog.upsertPdf(pdf)) {
+        added++;
+        console.log(`[INFO] Added PDF: ${pdf.filename}`);
+      } else {
+        updated++;
+        console.log(`[INFO] Updated PDF: ${pdf.filename}`);
+      }
+    } catch (pdfError) {
+      failed++;
+      console.error('Error processing PDF:', pdf.filename, pdfError.message);
+    }
+  });
+
+  await onProgress({ total: records.length, processed: records.length, added, updated, failed: failed + rejected.length });
+  return { response: { status: 'success', added, updated, total: added + updated, rejected: rejected.length }, rejected };
+}
+
+async function ingestDegrees(repos, body, onProgress) {
+  const records = asList(body);
+  const { valid, rejected } = validateBatch(webhookSchemas.degree, records);
+  let added = 0;
+  let failed = 0;
+
+  await writeInChunks(repos, valid, async degree => {
+    try {
+      await repos.departments.addDegree(degree);
+      added++;
+    } catch (degreeError) {
+      failed++;
+      console.error('Error processing degree:', degree.name, degreeError.message);
+    }
+  });
+
+  await onProgress({ total: records.length, processed: records.length, added, updated: 0, failed: failed + rejected.length });
+
+  return { response: { status: 'success', added, rejected: rejected.length }, rejected };
+}
+
+// Historical department snapshot, used by both the API scraper and the PDF
+// parser. catalogYear is required so years never overwrite each other.
+async function ingestDepartment(repos, body, onProgress) {
+  const startTime = Date.now();
+  const { data, errors } = check(webhookSchemas.department, body);
+  if (errors) return rejectPayload('department', body, errors);
+
+  const { departments } = repos;
+  const catalogYear = data.catalogYear;
+  const sourceType = data.sourceType || 'api'; // 'api' or 'pdf'
+  const dept = data.department;
+
+  let deptId = null;
+  let deptAdded = 0;
+  let deptUpdated = 0;
+  let degreesAdded = 0;
+  let degreesUpdated = 0;
+  let minorsAdded = 0;
+  let minorsUpdated = 0;
+  let certsAdded = 0;
+  let certsUpdated = 0;
+
+  // Create unique ID for department (name + catalogYear)
+  const deptUniqueId = `${dept.name.toLowerCase().replace(/[^a-z0-9]/g, '-')}-${catalogYear}`;
+  const childId = (kind, item) => `${deptUniqueId}-${kind}-${(item.title || item.id).toLowerCase().replace(/[^a-z0-9]/g, '-')}`;
+
+  // Use transaction to ensure all department data is saved atomically
+  await repos.withTransaction(async () => {
+    // 1. UPSERT DEPARTMENT
+    const deptResult = await departments.upsertDepartment(deptUniqueId, catalogYear, dept, sourceType);
+    deptId = deptResult.id;
+    if (deptResult.added) {
+      deptAdded = 1;
+      console.log(`[OK] Added department: ${dept.name} (${catalogYear})`);
+    } else {
+      deptUpdated = 1;
+      console.log(`[INFO] Updated department: ${dept.name} (${catalogYear})`);
+    }
+
+    // 2. UPSERT DEGREE PROGRAMS
+    for (const dp of (data.degreePrograms || [])) {
+      const result = await departments.upsertDegreeProgram(childId('degree', dp), catalogYear, deptId, dp, sourceType);
+      if (result.added) degreesAdded++;
+      else degreesUpdated++;
+    }
+
+    // 3. UPSERT MINORS
+    for (const m of (data.minors || [])) {
+      const result = await departments.upsertMinor(childId('minor', m), catalogYear, deptId, m, sourceType);
+      if (result.added) minorsAdded++;
+      else minorsUpdated++;
+    }
+
+    // 4. UPSERT CERTIFICATES
+    for (const c of (data.certificates || [])) {
+      const result = await departments.upsertCertificate(childId('cert', c), catalogYear, deptId, c, sourceType);
+      if (result.added) certsAdded++;
+      else certsUpdated++;
+    }
+  }); // End transaction
+
+  const duration = Date.now() - startTime;
+  const added = deptAdded + degreesAdded + minorsAdded + certsAdded;
+  const updated = deptUpdated + degreesUpdated + minorsUpdated + certsUpdated;
+  await onProgress({ total: added + updated, processed: added + updated, added, updated, failed: 0 });
+
+  console.log(`[INFO] ${dept.name} (${catalogYear}): ${degreesAdded + degreesUpdated} degrees, ${minorsAdded + minorsUpdated} minors, ${certsAdded + certsUpdated} certs [${duration}ms]`);
+
+  return {
+    response: {
+      status: 'success',
+      catalogYear,
+      sourceType,
+      department: {
+        name: dept.name,
+        id: deptId,
+        added: deptAdded,
+        updated: deptUpdated
+      },
+      degreePrograms: { added: degreesAdded, updated: degreesUpdated },
+      minors: { added: minorsAdded, updated: minorsUpdated },
+      certificates: { added: certsAdded, updated: certsUpdated },
+      duration: `${duration}ms`
+    },
+    rejected: [],
+  };
+}
+
+// Repair existing catalog rows for a year: parse prerequisite_raw for rows
+// where prerequisite_codes is missing, empty, or contains obvious bad tokens,
+// or where the prerequisite tree hasn't been built yet.
+async function repairCatalogPrereqs(repos, year) {
+  const { catalog } = repos;
+  try {
+    const rows = await catalog.listCoursesNeedingPrereqRepair(year);
+
+    if (!rows || rows.length === 0) return { updated: 0 };
+    let updated = 0;
+    await writeInChunks(repos, rows, async r => {
+      const tree = parsePrerequisites(r.prerequisite_raw);
+      if (!tree) return;
+      const parsed = collectCourseCodes(tree);
+      const badCodes = !r.prerequisite_codes || r.prerequisite_codes === '[]' || /"(?:OR|AND|ONE) /.test(r.prerequisite_codes);
+      const codesJson = badCodes && parsed.length ? JSON.stringify(parsed) : r.prerequisite_codes;
+      await catalog.updateCoursePrereqs(r.id, codesJson, JSON.stringify(tree));
+      updated++;
+    });
+    return { updated };
+  } catch (err) {
+    console.error('Error repairing catalog prereqs:', err);
+    return { updated: 0, error: err.message };
+  }
+}
+
+// Catalog programs in the unified format (from HTML or PDF). Invalid
+// degrees, minors, certificates and courses are rejected one by one.
+async function ingestCatalogPrograms(repos, body, onProgress) {
+  const { data, errors } = check(webhookSchemas.catalogPrograms, body);
+  if (errors) return rejectPayload('catalog-programs', body, errors);
+
+  const { catalog } = repos;
+  const { catalogYear, sourceType = 'html' } = data;
+  const rejected = [];
+  const items = {};
+  for (const type of ['degrees', 'minors', 'certificates', 'courses']) {
+    const batch = validateBatch(webhookSchemas.catalogProgramItems[type], data[type] || []);
+    items[type] = batch.valid;
+    // Each rejected item replays as a one-item payload for the same year
+    for (const r of batch.rejected) {
+      rejected.push({ ...r, type, payload: { catalogYear, sourceType, [type]: [r.payload] } });
+    }
+  }
+
+  const results = { added: { degrees: 0, minors: 0, certificates: 0 }, errors: [] };
+
+  // Check if year exists, create if not; in one transaction so two jobs for
+  // the same year can't both add it
+  await repos.withTransaction(async () => {
+    if (!(await catalog.hasYear(catalogYear))) {
+      await catalog.addYear(catalogYear, sourceType);
+    }
+  });
+
+  // Insert degrees
+  await writeInChunks(repos, items.degrees, async degree => {
+    try {
+      const degreeId = await catalog.upsertDegree(catalogYear, degree, sourceType);
+
+      // Save course requirements (sequenceItems) if provided
+      if (Array.isArray(degree.sequenceItems)) {
+        await catalog.replaceDegreeRequirements(degreeId, catalogYear, degree.sequenceItems);
+      }
+
+      results.added.degrees++;
+    } catch (err) {
+      results.errors.push({ type: 'degree', name: degree.name, error: err.message });
+    }
+  });
+
+  // Insert minors (with narrative support)
+  await writeInChunks(repos, items.minors, async minor => {
+    try {
+      await catalog.upsertMinor(catalogYear, minor, sourceType);
+      results.added.minors++;
+    } catch (err) {
+      results.errors.push({ type: 'minor', name: minor.name, error: err.message });
+    }
+  });
+
+  // Insert certificates (with description support)
+  await writeInChunks(repos, items.certificates, async cert => {
+    try {
+      await catalog.upsertCertificate(catalogYear, cert, sourceType);
+      results.added.certificates++;
+    } catch (err) {
+      results.errors.push({ type: 'certificate', name: cert.name, error: err.message });
+    }
+  });
+
+  // Insert catalog courses (normalized course descriptions/prereqs offered by n8n)
+  if (data.courses) {
+    results.added.courses = 0;
+    await writeInChunks(repos, items.courses, async c => {
+      try {
+        // Parse the raw text into a prereq tree; codes fall back to the tree's courses
+        const prereqTree = parsePrerequisites(c.prerequisiteRaw || c.prerequisite_raw);
+        let prereqCodesJson = null;
+        if (c.prerequisiteCodes && Array.isArray(c.prerequisiteCodes) && c.prerequisiteCodes.length) {
+          prereqCodesJson = JSON.stringify(c.prerequisiteCodes);
+        } else if (prereqTree) {
+          const parsed = collectCourseCodes(prereqTree);
+          prereqCodesJson = parsed.length ? JSON.stringify(parsed) : null;
+          // also set on object for any downstream use
+          if (parsed.length) c.prerequisiteCodes = parsed;
+        }
+
+        await catalog.upsertCourse(catalogYear, c, sourceType, { prereqCodesJson, prereqTree });
+        results.added.courses++;
+      } catch (err) {
+        results.errors.push({ type: 'catalog_course', code: c.code || c.uniqueId, error: err.message });
+      }
+    });
+  }
+
+  // Run repair for this catalog year so newly posted or pre-existing rows get normalized.
+  const repairResult = await repairCatalogPrereqs(repos, catalogYear);
+  if (repairResult.updated) {
+    console.log(`[INFO] Repaired ${repairResult.updated} prerequisite rows for catalog year ${catalogYear}`);
+    results.repaired = repairResult.updated;
+  }
+
+  const added = Object.values(results.added).reduce((sum, n) => sum + n, 0);
+  const failed = results.errors.length + rejected.length;
+  await onProgress({ total: added + failed, processed: added + failed, added, updated: 0, failed });
+
+  console.log(`[INFO] Catalog programs saved for ${catalogYear}: ${results.added.degrees} degrees, ${results.added.minors} minors, ${results.added.certificates} certificates`);
+
+  return { response: { status: 'success', catalogYear, ...results, rejected: rejected.length }, rejected };
+}
+
+const INGESTERS = {
+  courses: ingestCourses,
+  'catalog-pdf': ingestCatalogPdfs,
+  degrees: ingestDegrees,
+  department: ingestDepartment,
+  'catalog-programs': ingestCatalogPrograms,
+};
+
+const WEBHOOK_ENDPOINTS = Object.keys(INGESTERS);
+
+/**
+ * Run one webhook endpoint's ingestion over a request body.
+ * @param {Object} [options]
+ * @param {(counts: Object) => Promise} [options.onProgress]
+ * @param {(state: Object) => Promise} [options.checkpoint] - Courses only: runs in each chunk's transaction
+ * @param {{ offset: number, added: number, updated: number, failed: number }} [options.resume] - Courses only:
+ *   the last checkpoint of an interrupted run
+ * @returns {Promise<{ status: number, response: Object, rejected: Object[] }>}
+ */
+async function ingestWebhook(repos, endpoint, body, { onProgress = async () => {}, checkpoint, resume } = {}) {
+  const ingester = INGESTERS[endpoint];
+  if (!ingester) throw new Error(`Unknown webhook endpoint: ${endpoint}`);
+  const { status = 200, response, rejected } = await ingester(repos, body, onProgress, { checkpoint, resume });
+  return { status, response, rejected };
+}
+
+/**
+ * Dead-letter an ingest's rejected records. Run inside withTransaction.
+ * @returns {Promise<Object[]>} { index, type, errors, deadLetterId } per record, for the response
+ */
+async function deadLetterRejections(repos, endpoint, rejected) {
+  const validationErrors = [];
+  for (const { payload, errors, index, type } of rejected) {
+    const deadLetterId = await repos.deadLetters.add({ endpoint, payload, errors });
+    validationErrors.push({ index, type, errors, deadLetterId });
+  }
+  return validationErrors;
+}
+
+module.exports = { WEBHOOK_ENDPOINTS, ingestWebhook, deadLetterRejections };
@@ -0,0 +1,86 @@
+// Shapes the n8n webhooks accept. Schemas only check what ingestion relies
+// on and pass every other field through untouched; nothing is coerced, so a
+// section's uniqueId is built from exactly what the scraper sent.
+const { z } = require('zod');
+
+const text = z.string().regex(/\S/, 'must not be blank');
+const code = z.union([text, z.number()]);
+const year = z.union([z.number().int().min(1900).max(2100), z.string().regex(/^\d{4}$/, 'must be a 4-digit year')]);
+const count = z.union([z.number(), z.string().regex(/^\s*-?\d+(\.\d+)?\s*$/, 'must be numeric')]).nullish();
+const optionalText = z.string().nullish();
+const catalogYear = z.union([z.number().int(), text]);
+
+const courseSection = z.object({
+  campus: text,
+  term: text,
+  year,
+  prefix: text,
+  courseNumber: code,
+  sectionNumber: code,
+  isLab: z.union([z.literal(0), z.literal(1), z.boolean()]),
+  title: optionalText,
+  credits: z.union([z.string(), z.number()]).nullish(),
+  seatsAvailable: count,
+  maxEnrollment: count,
+  currentEnrollment: count,
+  waitlistAvailable: count,
+  waitlistCapacity: count,
+  waitlistCount: count,
+  instructors: z.array(z.union([z.string(), z.object({}).passthrough()])).nullish(),
+  meetings: z.array(z.object({}).passthrough()).nullish(),
+}).passthrough();
+
+const catalogPdf = z.object({
+  filename: text,
+  catalogYear,
+  pdfData: optionalText,
+  description: optionalText,
+}).passthrough();
+
+const degree = z.object({ name: text, type: text }).passthrough();
+
+// Degree programs, minors and certificates inside a department snapshot
+const departmentProgram = z.object({ title: text.optional(), id: text.optional() }).passthrough()
+  .refine(p => p.title || p.id, { message: 'needs a title or id' });
+
+const department = z.object({
+  catalogYear,
+  sourceType: z.string().optional(),
+  department: z.object({ name: text }).passthrough(),
+  degreePrograms: z.array(departmentProgram).optional(),
+  minors: z.array(departmentProgram).optional(),
+  certificates: z.array(departmentProgram).optional(),
+}).passthrough();
+
+// catalog-programs: the envelope is checked as a whole, its items one by one
+const catalogPrograms = z.object({
+  catalogYear,
+  sourceType: z.string().optional(),
+  degrees: z.array(z.unknown()).optional(),
+  minors: z.array(z.unknown()).optional(),
+  certificates: z.array(z.unknown()).optional(),
+  courses: z.array(z.unknown()).optional(),
+}).passthrough();
+
+const catalogProgramItems = {
+  degrees: z.object({ name: text, sequenceItems: z.array(z.unknown()).nullish() }).passthrough(),
+  minors: z.object({ name: text }).passthrough(),
+  certificates: z.object({ name: text }).passthrough(),
+  courses: z.object({ uniqueId: text.optional(), unique_id: text.optional(), code: text.optional() }).passthrough()
+    .refine(c => c.uniqueId || c.unique_id || c.code, { message: 'needs a uniqueId or code' }),
+};
+
+const webhookSchemas = { courseSection, catalogPdf, degree, department, catalogPrograms, catalogProgramItems };
+
+// Zod issues -> [{ path: 'meetings.0.days', message }]
+function formatIssues(error) {
+  return error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+}
+
+// { data } or { errors } for one record
+function check(schema, record) {
+  const result = schema.safeParse(record);
+  return result.success ? { data: result.data } : { errors: formatIssues(result.error) };
+}
+
+module.exports = { webhookSchemas, formatIssues, check };
@@ -0,0 +1,44 @@
+// HMAC signatures for the n8n webhooks. A sender signs
+// `${timestamp}.${rawBody}` with HMAC-SHA256 under one of the active secrets
+// and sends
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex digest>
+// More than one secret can be active so they can be rotated: add the new one
+// in front, move the senders over, then drop the old one.
+const crypto = require('crypto');
+
+// How far a request's timestamp may be from the server clock
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function signPayload(secret, timestamp, rawBody = '') {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Constant-time string comparison; hashing first hides the length too
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Check a signed request against every active secret.
+ * @param {string[]} secrets - Active secrets, newest first
+ * @param {Object} request
+ * @param {string} request.timestamp - X-Webhook-Timestamp
+ * @param {string} request.signature - X-Webhook-Signature
+ * @param {Buffer|string} [request.rawBody]
+ * @param {Object} [options]
+ * @param {number} [options.now] - Epoch ms (for tests)
+ * @param {number} [options.toleranceSeconds]
+ * @returns {{ keyIndex: number } | { error: string }} index of the matching secret, or why it failed
+ */
+function verifySignature(secrets, { timestamp, signature, rawBody = '' }, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+  if (!/^\d{1,12}$/.test(timestamp || '')) return { error: 'Missing or malformed X-Webhook-Timestamp header' };
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return { error: 'Request timestamp outside the allowed window' };
+
+  const keyIndex = secrets.findIndex(secret => safeEqual(signPayload(secret, timestamp, rawBody), signature));
+  return keyIndex === -1 ? { error: 'Invalid signature' } : { keyIndex };
+}
+
+module.exports = { SIGNATURE_TOLERANCE_SECONDS, signPayload, safeEqual, verifySignature };
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { roleAllows } = require('../server/services/auth');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2025,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    courseNumber: '121',
+    sectionNumber: '01',
+    isLab: 0,
+    title: 'Program Design',
+    ...overrides
+  };
+}
+
+test('admin roles', () => {
+  assert.ok(roleAllows('admin', 'data-ingest'));
+  assert.ok(roleAllows('data-ingest', 'read-only'));
+  assert.ok(!roleAllows('data-ingest', 'admin'));
+  assert.ok(!roleAllows('read-only', 'data-ingest'));
+  assert.ok(!roleAllows('superuser', 'read-only'));
+});
+
+test('admin API', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const as = token => (method, path, body) => server.request(method, `/api/admin${path}`, {
+    body,
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  await server.ingest('/courses', [
+    section(),
+    section({ campus: 'Spokane', sectionNumber: '02' }),
+    section({ term: 'Spring', year: 2026, sectionNumber: '03' }),
+  ]);
+
+  await t.test('the old unauthenticated routes are gone', async () => {
+    for (const path of ['/api/clear', '/api/clear-catalog', '/api/catalog/init']) {
+      assert.equal((await server.request('POST', path, { body: {} })).status, 404, path);
+    }
+    assert.equal((await server.request('GET', '/api/stats')).body.totalCourses, 3);
+  });
+
+  await t.test('requires a valid token', async () => {
+    assert.equal((await server.request('POST', '/api/admin/clear', { body: {} })).status, 401);
+    const res = await as('not-a-token')('POST', '/clear', {});
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Invalid or revoked admin token');
+    assert.equal((await server.request('GET', '/api/stats')).body.totalCourses, 3);
+  });
+
+  let readOnly;
+  let ingest;
+  await t.test('admins issue scoped tokens', async () => {
+    const res = await server.admin('POST', '/tokens', { name: 'dashboard', role: 'read-only' });
+    assert.equal(res.status, 201);
+    assert.match(res.body.token, /^[a-f0-9]{64}$/);
+    readOnly = as(res.body.token);
+    ingest = as((await server.admin('POST', '/tokens', { name: 'n8n', role: 'data-ingest' })).body.token);
+
+    assert.deepEqual((await readOnly('GET', '/me')).body, { name: 'dashboard', role: 'read-only' });
+    const stored = await server.db.get('SELECT token_hash FROM admin_tokens WHERE name = ?', ['dashboard']);
+    assert.notEqual(stored.token_hash, res.body.token);
+
+    assert.equal((await server.admin('POST', '/tokens', { name: 'x', role: 'root' })).status, 400);
+    assert.equal((await server.admin('POST', '/tokens', { role: 'admin' })).status, 400);
+  });
+
+  await t.test('roles limit what a token can do', async () => {
+    assert.equal((await readOnly('POST', '/clear', {})).status, 403);
+    assert.equal((await readOnly('POST', '/tokens', { name: 'sneaky', role: 'admin' })).status, 403);
+    assert.equal((await ingest('POST', '/clear-catalog', {})).status, 403);
+    assert.equal((await ingest('GET', '/tokens')).status, 403);
+    assert.equal((await readOnly('GET', '/audit-log')).status, 200);
+    assert.equal((await server.request('GET', '/api/stats')).body.totalCourses, 3);
+  });
+
+  await t.test('admins clear data by semester and campus', async () => {
+    const res = await server.admin('POST', '/clear', { campus: 'Spokane' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.coursesDeleted, 1);
+    assert.equal((await server.admin('POST', '/clear', { term: 'Spring', year: 2026 })).body.coursesDeleted, 1);
+    assert.equal((await server.request('GET', '/api/stats')).body.totalCourses, 1);
+  });
+
+  await t.test('destructive and ingest actions are audited', async () => {
+    const res = await readOnly('GET', '/audit-log');
+    assert.deepEqual(res.body.entries.map(e => `${e.action} ${e.actor} ${e.target} ${e.status}`), [
+      'courses.clear bootstrap Spring 2026 200',
+      'courses.clear bootstrap Spokane 200',
+      'tokens.create bootstrap null 400',
+      'tokens.create bootstrap x 400',
+      'tokens.create bootstrap n8n 201',
+      'tokens.create bootstrap dashboard 201',
+      'ingest.courses webhook 3 records 202',
+    ]);
+    const [clear] = res.body.entries;
+    assert.equal(clear.role, 'admin');
+    assert.equal(clear.details.coursesDeleted, 1);
+    // Issued tokens never reach the log
+    const created = res.body.entries.find(e => e.target === 'dashboard');
+    assert.deepEqual(Object.keys(created.details).sort(), ['id', 'name', 'role']);
+  });
+
+  await t.test('the audit log filters by action, actor and time', async () => {
+    const ingests = await readOnly('GET', '/audit-log?action=ingest.*');
+    assert.deepEqual(ingests.body.entries.map(e => e.action), ['ingest.courses']);
+    assert.equal((await readOnly('GET', '/audit-log?action=courses.clear&limit=1')).body.totalPages, 2);
+    assert.equal((await readOnly('GET', '/audit-log?actor=webhook')).body.total, 1);
+    assert.equal((await readOnly('GET', '/audit-log?since=2099-01-01')).body.total, 0);
+    assert.equal((await readOnly('GET', '/audit-log?until=yesterday')).status, 400);
+  });
+
+  await t.test('revoked tokens stop working', async () => {
+    const { tokens } = (await server.admin('GET', '/tokens')).body;
+    const dashboard = tokens.find(tok => tok.name === 'dashboard');
+    assert.ok(dashboard.lastUsedAt);
+    assert.equal((await server.admin('DELETE', `/tokens/${dashboard.id}`)).status, 200);
+    assert.equal((await server.admin('DELETE', `/tokens/${dashboard.id}`)).status, 404);
+    assert.equal((await readOnly('GET', '/me')).status, 401);
+  });
+});
+
+test('migration 010 adds admin tokens and the audit log', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 10 });
+  const tables = async () => (await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('admin_tokens', 'audit_log') ORDER BY name")).map(r => r.name);
+  assert.deepEqual(await tables(), ['admin_tokens', 'audit_log']);
+  await assert.rejects(db.run("INSERT INTO admin_tokens (name, role, token_hash) VALUES ('x', 'root', 'h')"));
+  await migrator.rollback({ to: 9 });
+  assert.deepEqual(await tables(), []);
+  await new Promise(resolve => handle.close(resolve));
+});
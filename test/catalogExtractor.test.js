@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, ADMIN_TOKEN } = require('./helpers/testServer');
+const { loadScheduleFixture } = require('./fixtures/catalogSchedules');
+const { availableYears, readCatalogLines, parseSchedule, extractCatalogYear } = require('../server/services/catalogExtractor');
+
+test('catalog extractor', async (t) => {
+  const catalog2024 = extractCatalogYear(2024);
+
+  await t.test('finds every archived year', () => {
+    assert.deepEqual(availableYears(), [2020, 2021, 2022, 2023, 2024]);
+  });
+
+  await t.test('drops page headers', () => {
+    const lines = readCatalogLines(2024);
+    assert.equal(lines.filter(line => /^Washington State University, \d{4}$/.test(line)).length, 0);
+    assert.ok(!lines.includes(''));
+  });
+
+  await t.test('schedules are read row by row up to the footnote rule', () => {
+    const rows = parseSchedule([
+      'First Year',
+      'First Term Hours',
+      'ENGLISH 101 [WRTG] 3',
+      'MATH 171 [QUAN] or',
+      'MATH 201 [QUAN] 4',
+      '1 ',
+      'UCORE Inquiry',
+      '3',
+      'Second Term Credits',
+      'CHEM 105 [PSCI] 4',
+      'Complete Writing Portfolio',
+      '_______',
+      'ANYTHING AFTER THE RULE 3',
+    ]);
+    assert.deepEqual(rows.map(({ year, term, label, hours, footnotes }) => [year, term, label, hours, footnotes]), [
+      [1, 1, 'ENGLISH 101 [WRTG]', '3', []],
+      [1, 1, 'MATH 171 [QUAN] or MATH 201 [QUAN]', '4', []],
+      [1, 1, 'UCORE Inquiry', '3', [1]],
+      [1, 2, 'CHEM 105 [PSCI]', '4', []],
+      [1, 2, 'Complete Writing Portfolio', null, []],
+    ]);
+    assert.deepEqual(rows.map(r => r.sortOrder), [1, 2, 3, 4, 5]);
+  });
+
+  await t.test('degrees come with their credit total, narrative and schedule', () => {
+    const degree = catalog2024.degrees.find(d => d.name === 'Agricultural and Food Business Economics');
+    assert.equal(degree.totalCredits, 120);
+    assert.match(degree.narrative, /^The Agricultural and Food Business Economics major/);
+    const { sequenceItems } = loadScheduleFixture(2024, 'AGRICULTURAL AND FOOD BUSINESS');
+    assert.deepEqual(degree.sequenceItems, sequenceItems);
+    assert.ok(catalog2024.degrees.some(d => d.name === 'Bachelor of Fine Arts (BFA) in Art'));
+  });
+
+  await t.test('minors and certificates come with their narrative', () => {
+    const minor = catalog2024.minors.find(m => m.name === 'Aerospace Studies');
+    assert.match(minor.narrative, /^A minor in aerospace studies requires at least 16 credits/);
+    assert.match(minor.narrative, /411, 412\.$/);
+    assert.ok(catalog2024.minors.some(m => m.name === 'Agricultural Technology and Production Management'));
+    assert.ok(catalog2024.certificates.some(c => c.name === 'Game Studies and Design Certificate (Pullman and Vancouver only)'));
+    // Subheadings inside a narrative are not programs
+    assert.ok(!catalog2024.minors.some(m => m.name === 'Transfer Students'));
+  });
+
+  await t.test('courses are split into title, credits, description and prerequisites', () => {
+    const aero101 = catalog2024.courses.find(c => c.code === 'AERO 101');
+    assert.deepEqual(aero101, {
+      code: 'AERO 101',
+      prefix: 'AERO',
+      number: '101',
+      title: 'Heritage and Values I',
+      credits: 1,
+      creditsPhrase: '1',
+      ucore: null,
+      description: 'Introduces students to the Air Force and AFROTC.',
+      prerequisiteRaw: null,
+    });
+
+    const aero411 = catalog2024.courses.find(c => c.code === 'AERO 411');
+    assert.equal(aero411.title, 'National Security, Leadership, and Commissioning Preparation I');
+    assert.equal(aero411.prerequisiteRaw, 'Concurrent enrollment in AERO 413 required');
+    // "413 required." wraps onto its own line without starting a course
+    assert.ok(!catalog2024.courses.some(c => c.code === 'AERO 413' && c.title.startsWith('required')));
+
+    const variable = catalog2024.courses.find(c => c.code === 'AERO 499');
+    assert.equal(variable.credits, null);
+    assert.equal(variable.creditsPhrase, 'V 1-4');
+    const lab = catalog2024.courses.find(c => c.code === 'AERO 103');
+    assert.equal(lab.creditsPhrase, '2 (0-4)');
+    assert.equal(catalog2024.courses.find(c => c.code === 'AIS 320').ucore, 'DIVR');
+  });
+
+  await t.test('text outside any program is reported with where it was found', () => {
+    assert.ok(catalog2024.unparsed.length > 0);
+    const fragment = catalog2024.unparsed.find(u => u.text.startsWith('The School of the Environment offers minors in'));
+    assert.equal(fragment.section, 'minors');
+    assert.equal(fragment.department, 'School of the Environment');
+    // The Honors College note at the top of most schedules is not reported
+    assert.ok(!catalog2024.unparsed.some(u => u.text.startsWith('Honors students complete')));
+  });
+
+  await t.test('reads the JSON page dumps of older years', () => {
+    const catalog2020 = extractCatalogYear(2020);
+    const degree = catalog2020.degrees.find(d => d.name === 'Agricultural and Food Business Economics');
+    assert.equal(degree.totalCredits, 120);
+    assert.deepEqual(degree.sequenceItems[0], { year: 1, term: 1, label: 'ANIM SCI 101', hours: '3', footnotes: [], sortOrder: 1 });
+    assert.deepEqual(degree.sequenceItems[4], { year: 1, term: 1, label: 'MATH 201', hours: '3', footnotes: [1], sortOrder: 5 });
+    assert.ok(catalog2020.minors.some(m => m.name === 'Aerospace Studies'));
+    assert.ok(catalog2020.courses.some(c => c.code === 'UNIV 100' && c.credits === 1));
+  });
+});
+
+test('catalog init', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  await t.test('needs a data-ingest token', async () => {
+    const readOnly = (await server.admin('POST', '/tokens', { name: 'viewer', role: 'read-only' })).body.token;
+    const res = await server.request('POST', '/api/admin/catalog/init', { body: { years: [2024] }, headers: { Authorization: `Bearer ${readOnly}` } });
+    assert.equal(res.status, 403);
+  });
+
+  await t.test('rejects malformed years', async () => {
+    assert.equal((await server.admin('POST', '/catalog/init', { years: '2024' })).status, 400);
+    assert.equal((await server.admin('POST', '/catalog/init', { years: ['2024'] })).status, 400);
+  });
+
+  await t.test('queues each year as a catalog-programs job and reports the extraction', async () => {
+    const res = await server.admin('POST', '/catalog/init', { years: [2024, 1999] });
+    assert.equal(res.status, 202);
+    const [loaded, missing] = res.body.years;
+    assert.equal(loaded.status, 'queued');
+    assert.ok(loaded.statusUrl.startsWith(`/api/jobs/${loaded.jobId}?token=`));
+    assert.deepEqual(loaded.extracted, { degrees: 200, minors: 107, certificates: 44, courses: 5606 });
+    assert.ok(loaded.unparsed.every(u => u.department && u.section && u.text));
+    assert.deepEqual(missing, { year: 1999, status: 'failed', error: 'No archived catalog text for 1999' });
+
+    await server.ingestQueue.idle();
+    const job = (await server.request('GET', loaded.statusUrl, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } })).body;
+    assert.equal(job.status, 'completed');
+    assert.equal(job.endpoint, 'catalog-programs');
+    assert.equal(job.result.added.courses, 5606);
+
+    const course = await server.db.get("SELECT title, source_type FROM catalog_courses WHERE code = 'AERO 101' AND catalog_year = 2024");
+    assert.deepEqual(course, { title: 'Heritage and Values I', source_type: 'pdf' });
+    const { count } = await server.db.get(
+      `SELECT COUNT(*) AS count FROM degree_requirements r JOIN catalog_degrees d ON d.id = r.degree_id
+       WHERE d.name = 'Agricultural and Food Business Economics' AND d.catalog_year = 2024`
+    );
+    assert.equal(count, 38);
+  });
+
+  await t.test('loaded years are skipped unless forced', async () => {
+    const skipped = await server.admin('POST', '/catalog/init', { years: [2024] });
+    assert.equal(skipped.status, 200);
+    assert.deepEqual(skipped.body.years, [{ year: 2024, status: 'skipped' }]);
+
+    const forced = await server.admin('POST', '/catalog/init', { years: [2024], force: true });
+    assert.equal(forced.status, 202);
+    assert.equal(forced.body.years[0].status, 'queued');
+    await server.ingestQueue.idle();
+  });
+
+  await t.test('is audited', async () => {
+    const audit = (await server.admin('GET', '/audit-log?action=catalog.init')).body;
+    assert.equal(audit.entries[0].target, '2024');
+  });
+});
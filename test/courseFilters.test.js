@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { parseDayTime, clockMinutes, meetingRows } = require('../server/services/meetingTimes');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2024,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    sectionNumber: '01',
+    isLab: 0,
+    credits: '3',
+    seatsAvailable: 10,
+    ...overrides
+  };
+}
+
+const SECTIONS = [
+  section({
+    courseNumber: '121', title: 'Program Design', dayTime: 'MWF 9:10-10:00', ucore: 'QUAN',
+    instructionMode: 'In Person', courseFee: '$50.00'
+  }),
+  section({
+    courseNumber: '322', title: 'Software Engineering', dayTime: 'TU,TH 13.30-14.45', seatsAvailable: 0,
+    instructionMode: 'Hybrid', waitlistAvailable: 5
+  }),
+  section({ courseNumber: '360', title: 'Systems Programming', dayTime: 'TR 15:00-16:15', credits: '4', instructionMode: 'In Person' }),
+  section({ courseNumber: '421', title: 'Compilers', dayTime: 'MW 18:00-19:15', ucore: 'CAPS, WRTG', waitlistAvailable: 0 }),
+  section({
+    courseNumber: '499', title: 'Special Problems', dayTime: 'ARRGT', credits: 'V', minUnits: '1', maxUnits: '4',
+    instructionMode: 'Online', session: 'Second 8 Weeks'
+  }),
+  section({ courseNumber: '580', title: 'Graduate Seminar', dayTime: 'F 12:00-12:50', campus: 'Spokane', courseFee: '' }),
+];
+
+const numbers = body => body.courses.map(c => c.courseNumber);
+const times = rows => rows.map(({ day, startMinute, endMinute }) => ({ day, startMinute, endMinute }));
+
+test('meeting times', async (t) => {
+  await t.test('parses published dayTime strings', () => {
+    assert.deepEqual(parseDayTime('MWF 9:10-10:00'), { days: ['M', 'W', 'F'], startMinute: 550, endMinute: 600 });
+    assert.deepEqual(parseDayTime('TU,TH 13.30-14.45'), { days: ['T', 'R'], startMinute: 810, endMinute: 885 });
+    assert.deepEqual(parseDayTime('Mon Wed 8-9'), { days: ['M', 'W'], startMinute: 480, endMinute: 540 });
+  });
+
+  await t.test('arranged and unparseable sections have no meeting time', () => {
+    for (const dayTime of [null, '', 'ARRGT', 'AARGT', 'TBA', 'MWF']) {
+      assert.equal(parseDayTime(dayTime), null, dayTime);
+    }
+  });
+
+  await t.test('reads 12-hour clock times', () => {
+    assert.equal(clockMinutes('1:30 PM'), 810);
+    assert.equal(clockMinutes('12:10am'), 10);
+    assert.equal(clockMinutes('9 a.m.'), 540);
+    assert.equal(clockMinutes('13:00 PM'), null);
+  });
+
+  await t.test('meeting rows come from the meetings list, one per day', () => {
+    const meetings = [
+      { days: 'MWF', startTime: '9:10 AM', endTime: '10:00 AM' },
+      { days: ['Th'], startTime: '14:10', endTime: '17:00' },
+      'TU 8-9',
+    ];
+    assert.deepEqual(times(meetingRows({ meetings: JSON.stringify(meetings), dayTime: 'MWF 9:10-10:00' })), [
+      { day: 'M', startMinute: 550, endMinute: 600 },
+      { day: 'W', startMinute: 550, endMinute: 600 },
+      { day: 'F', startMinute: 550, endMinute: 600 },
+      { day: 'R', startMinute: 850, endMinute: 1020 },
+      { day: 'T', startMinute: 480, endMinute: 540 },
+    ]);
+  });
+
+  await t.test('meeting rows fall back to dayTime', () => {
+    const expected = [{ day: 'T', startMinute: 540, endMinute: 615 }, { day: 'R', startMinute: 540, endMinute: 615 }];
+    assert.deepEqual(times(meetingRows({ meetings: '[]', dayTime: 'TR 9:00-10:15' })), expected);
+    assert.deepEqual(times(meetingRows({ meetings: [{ building: 'SLOAN' }], dayTime: 'TR 9:00-10:15' })), expected);
+    assert.deepEqual(meetingRows({ meetings: 'not json', dayTime: 'ARRGT' }), []);
+  });
+});
+
+test('/api/courses schedule filters', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  assert.equal((await server.ingest('/courses', SECTIONS)).job.status, 'completed');
+
+  const list = async (params) => {
+    const res = await server.request('GET', `/api/courses?${new URLSearchParams(params)}`);
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  await t.test('level range counts whole hundreds', async () => {
+    assert.deepEqual(numbers(await list({ minLevel: 300, maxLevel: 400 })), ['322', '360', '421', '499']);
+    assert.deepEqual(numbers(await list({ maxLevel: 100 })), ['121']);
+    assert.deepEqual(numbers(await list({ minLevel: 500 })), ['580']);
+  });
+
+  await t.test('days keeps sections meeting only on those days', async () => {
+    assert.deepEqual(numbers(await list({ days: 'TR' })), ['322', '360']);
+    assert.deepEqual(numbers(await list({ days: 'MWF' })), ['121', '421', '580']);
+    assert.deepEqual(numbers(await list({ days: 'M' })), []);
+  });
+
+  await t.test('time window bounds the meeting start and end', async () => {
+    assert.deepEqual(numbers(await list({ startAfter: '12:00', endBefore: '17:00' })), ['322', '360', '580']);
+    assert.deepEqual(numbers(await list({ endBefore: '12:00' })), ['121']);
+    assert.deepEqual(numbers(await list({ startAfter: '17:00' })), ['421']);
+    // An unreadable time is ignored rather than matching nothing
+    assert.equal((await list({ startAfter: 'soon' })).total, SECTIONS.length);
+  });
+
+  await t.test('ucore matches any listed category', async () => {
+    assert.deepEqual(numbers(await list({ ucore: 'WRTG' })), ['421']);
+    assert.deepEqual(numbers(await list({ ucore: 'quan,caps' })), ['121', '421']);
+    assert.deepEqual(numbers(await list({ ucore: 'CAP' })), []);
+  });
+
+  await t.test('credit range includes variable-credit sections that overlap it', async () => {
+    assert.deepEqual(numbers(await list({ minCredits: 4 })), ['360', '499']);
+    assert.deepEqual(numbers(await list({ minCredits: 1, maxCredits: 2 })), ['499']);
+  });
+
+  await t.test('minSeats is accepted as an alias of seatsAvailable', async () => {
+    assert.ok(!numbers(await list({ minSeats: 1 })).includes('322'));
+    assert.ok(!numbers(await list({ seatsAvailable: 1 })).includes('322'));
+  });
+
+  await t.test('combines with the existing filters and search', async () => {
+    const body = await list({ campus: 'Pullman', minLevel: 300, maxLevel: 400, days: 'TR', startAfter: '12:00', seatsAvailable: 1 });
+    assert.deepEqual(numbers(body), ['360']);
+    assert.deepEqual(numbers(await list({ search: 'programming', days: 'TR' })), ['360']);
+  });
+
+  await t.test('instruction mode and session match any listed value, ignoring case', async () => {
+    assert.deepEqual(numbers(await list({ instructionMode: 'online' })), ['499']);
+    assert.deepEqual(numbers(await list({ instructionMode: 'Hybrid,ONLINE' })), ['322', '499']);
+    assert.deepEqual(numbers(await list({ session: 'second 8 weeks' })), ['499']);
+  });
+
+  await t.test('course fee and open waitlist flags', async () => {
+    assert.deepEqual(numbers(await list({ courseFee: 'true' })), ['121']);
+    assert.equal((await list({ courseFee: 'false' })).total, SECTIONS.length - 1);
+    assert.deepEqual(numbers(await list({ openWaitlist: 'true' })), ['322']);
+    assert.ok(!numbers(await list({ openWaitlist: 'false' })).includes('322'));
+  });
+
+  await t.test('every meeting of a multi-meeting section must fit', async () => {
+    await server.ingest('/courses', [section({
+      courseNumber: '260', title: 'Computer Architecture', dayTime: 'MWF 10:10-11:00',
+      meetings: [{ days: 'MWF', startTime: '10:10', endTime: '11:00' }, { days: 'R', startTime: '14:10', endTime: '17:00' }]
+    })]);
+    assert.ok(!numbers(await list({ days: 'MWF' })).includes('260'));
+    assert.ok(numbers(await list({ days: 'MWRF' })).includes('260'));
+    assert.ok(!numbers(await list({ endBefore: '12:00' })).includes('260'));
+    assert.ok(numbers(await list({ startAfter: '10:00', endBefore: '17:00' })).includes('260'));
+  });
+
+  await t.test('facets list the instruction modes and sessions offered', async () => {
+    const res = await server.request('GET', '/api/courses/facets?campus=Pullman');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { instructionModes: ['Hybrid', 'In Person', 'Online'], sessions: ['Second 8 Weeks'] });
+  });
+
+  await t.test('cleared sections lose their meetings', async () => {
+    assert.equal((await server.admin('POST', '/clear', { campus: 'Spokane' })).status, 200);
+    const orphans = await server.db.get('SELECT COUNT(*) AS count FROM course_meetings WHERE courseId NOT IN (SELECT id FROM courses)');
+    assert.equal(orphans.count, 0);
+    assert.deepEqual(numbers(await list({ days: 'F' })), []);
+  });
+
+  await t.test('updated sections get their new meeting time', async () => {
+    await server.ingest('/courses', [{ ...SECTIONS[0], dayTime: 'TR 9:10-10:25' }]);
+    assert.deepEqual(numbers(await list({ days: 'TR', endBefore: '12:00' })), ['121']);
+  });
+});
+
+test('migrations 005 and 006 fill meeting times for existing sections', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 4 });
+  await db.run(`
+    INSERT INTO courses (uniqueId, campus, term, year, prefix, courseNumber, sectionNumber, isLab, dayTime)
+    VALUES ('a', 'Pullman', 'Fall', 2024, 'MATH', '171', '01', 0, 'MWF 10:10-11:00'),
+           ('b', 'Pullman', 'Fall', 2024, 'MATH', '499', '01', 0, 'ARRGT')
+  `);
+  await migrator.migrate({ to: 5 });
+
+  const rows = await db.all('SELECT uniqueId, meetingDayMask, meetingStart, meetingEnd FROM courses ORDER BY uniqueId');
+  assert.deepEqual(rows.map(r => ({ ...r })), [
+    { uniqueId: 'a', meetingDayMask: 21, meetingStart: 610, meetingEnd: 660 },
+    { uniqueId: 'b', meetingDayMask: null, meetingStart: null, meetingEnd: null },
+  ]);
+
+  // 006 moves them into course_meetings
+  await migrator.migrate({ to: 6 });
+  const meetings = await db.all(`
+    SELECT c.uniqueId, m.day, m.startMinute, m.endMinute
+    FROM course_meetings m JOIN courses c ON c.id = m.courseId ORDER BY m.id
+  `);
+  assert.deepEqual(meetings.map(r => `${r.uniqueId} ${r.day} ${r.startMinute}-${r.endMinute}`), [
+    'a M 610-660', 'a W 610-660', 'a F 610-660',
+  ]);
+  assert.ok(!(await db.all('PRAGMA table_info(courses)')).some(c => c.name === 'meetingStart'));
+
+  await migrator.rollback({ to: 5 });
+  assert.equal((await db.get("SELECT meetingDayMask FROM courses WHERE uniqueId = 'a'")).meetingDayMask, 21);
+  assert.equal((await db.get("SELECT meetingStart FROM courses WHERE uniqueId = 'a'")).meetingStart, 610);
+
+  await migrator.rollback({ to: 4 });
+  assert.ok(!(await db.all('PRAGMA table_info(courses)')).some(c => c.name === 'meetingStart'));
+  assert.equal(await db.get("SELECT name FROM sqlite_master WHERE name = 'course_meetings'"), undefined);
+  await new Promise(resolve => handle.close(resolve));
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHours, parseCourseLabel, normalizeLabel } = require('../server/services/courseLabels');
+const { loadScheduleFixture } = require('./fixtures/catalogSchedules');
+
+test('parseHours', async (t) => {
+  await t.test('plain integers, with or without padding', () => {
+    assert.deepEqual(parseHours('3'), { min: 3, max: 3, display: '3', isVariable: false, isConditional: false });
+    assert.deepEqual(parseHours(' 3 '), parseHours('3'));
+    assert.deepEqual(parseHours(4), { min: 4, max: 4, display: '4', isVariable: false, isConditional: false });
+  });
+
+  await t.test('"X or Y" in either order and any case', () => {
+    const expected = { min: 3, max: 4, display: '3–4', isVariable: true, isConditional: false };
+    assert.deepEqual(parseHours('3 or 4'), expected);
+    assert.deepEqual(parseHours('4 or 3'), expected);
+    assert.deepEqual(parseHours('3 Or 4'), expected);
+  });
+
+  await t.test('dash ranges, including malformed spacing and two-digit bounds', () => {
+    const expected = { min: 2, max: 3, display: '2–3', isVariable: true, isConditional: false };
+    assert.deepEqual(parseHours('2-3'), expected);
+    assert.deepEqual(parseHours('2 - 3'), expected);
+    assert.deepEqual(parseHours('2- 3'), expected);
+    assert.deepEqual(parseHours('10-12'), { min: 10, max: 12, display: '10–12', isVariable: true, isConditional: false });
+  });
+
+  await t.test('zero lower bound marks the row conditional, even when inverted', () => {
+    assert.deepEqual(parseHours('0 or 1'), { min: 0, max: 1, display: '0–1', isVariable: true, isConditional: true });
+    assert.deepEqual(parseHours('3 - 0'), { min: 0, max: 3, display: '0–3', isVariable: true, isConditional: true });
+  });
+
+  await t.test('empty values have no credits', () => {
+    const none = { min: null, max: null, display: null, isVariable: false, isConditional: false };
+    assert.deepEqual(parseHours(null), none);
+    assert.deepEqual(parseHours(''), none);
+    assert.deepEqual(parseHours(' \t'), none);
+  });
+
+  await t.test('unrecognized text keeps its leading digits and raw display', () => {
+    assert.deepEqual(parseHours('6 (max)'), { min: 6, max: 6, display: '6 (max)', isVariable: false, isConditional: false });
+  });
+});
+
+test('parseCourseLabel', async (t) => {
+  await t.test('multi-word prefixes', () => {
+    for (const [label, prefix, number] of [
+      ['CPT S 121', 'CPT S', '121'],
+      ['MATH 171', 'MATH', '171'],
+      ['NURS FPC 306', 'NURS FPC', '306'],
+      ['H D 101', 'H D', '101'],
+      ['E E 214', 'E E', '214'],
+      ['B A 100', 'B A', '100']
+    ]) {
+      const result = parseCourseLabel(label, parseHours('3'));
+      assert.equal(result.requirementType, 'fixed', label);
+      assert.equal(result.prefix, prefix, label);
+      assert.equal(result.number, number, label);
+    }
+  });
+
+  await t.test('bracket markers become attributes and flags', () => {
+    const quan = parseCourseLabel('CPT S 121 [QUAN]', parseHours('4'));
+    assert.equal(quan.prefix, 'CPT S');
+    assert.deepEqual(quan.ucoreCategories, ['QUAN']);
+    assert.deepEqual(quan.attributes, ['QUAN']);
+    assert.equal(quan.creditMin, 4);
+
+    const capstone = parseCourseLabel('CS 420 [CAPS] [M]', parseHours('3'));
+    assert.equal(capstone.isCaps, true);
+    assert.equal(capstone.isMajorReq, true);
+    assert.deepEqual(capstone.ucoreCategories, ['CAPS']);
+  });
+
+  await t.test('trailing text after the number is kept as a description', () => {
+    const result = parseCourseLabel('DATA 498 Internship', parseHours('3'));
+    assert.equal(result.number, '498');
+    assert.equal(result.description, 'Internship');
+  });
+
+  await t.test('"or" splits into alternatives', () => {
+    const result = parseCourseLabel('CPT S 121 or 131', parseHours('4'));
+    assert.equal(result.requirementType, 'or-choice');
+    assert.equal(result.isChoice, true);
+    assert.deepEqual(result.alternatives, ['CPT S 121', '131']);
+    assert.equal(result.prefix, 'CPT S');
+    assert.equal(result.number, '121');
+  });
+
+  await t.test('"and … , or …" is a compound choice', () => {
+    const result = parseCourseLabel('PHYSICS 201 and 211, or 205', parseHours('4'));
+    assert.equal(result.requirementType, 'compound-and-or');
+    assert.equal(result.prefix, 'PHYSICS');
+    assert.equal(result.number, '201');
+    assert.deepEqual(result.alternatives, ['PHYSICS 201 and 211, or 205']);
+  });
+
+  await t.test('labels without a course number', () => {
+    assert.equal(parseCourseLabel('Complete Writing Portfolio', parseHours(null)).requirementType, 'milestone');
+    assert.equal(parseCourseLabel('Consider study abroad', parseHours('0')).requirementType, 'advisory');
+    assert.equal(parseCourseLabel('Electives', parseHours('3')).requirementType, 'elective-bucket');
+
+    const inquiry = parseCourseLabel('UCORE Inquiry', parseHours('3'));
+    assert.equal(inquiry.requirementType, 'ucore-slot');
+    assert.deepEqual(inquiry.ucoreCategories, ['IQSK']);
+
+    const bsci = parseCourseLabel('Biological Sciences [BSCI] or Elective', parseHours('4'));
+    assert.equal(bsci.isChoice, true);
+    assert.deepEqual(bsci.alternatives, ['Biological Sciences', 'Elective']);
+  });
+
+  await t.test('PDF extraction whitespace is collapsed', () => {
+    assert.equal(normalizeLabel('CPT S\n121\t [M]'), 'CPT S 121 [M]');
+    const result = parseCourseLabel('CPT S\n121', 3);
+    assert.equal(result.prefix, 'CPT S');
+    assert.equal(result.creditMin, 3);
+    assert.equal(parseCourseLabel('   ', 3).requirementType, 'filter');
+  });
+
+  await t.test('every row of an archived schedule parses', () => {
+    const { sequenceItems } = loadScheduleFixture(2024, 'AGRICULTURAL AND FOOD BUSINESS');
+    assert.ok(sequenceItems.length > 30);
+
+    const byLabel = new Map(sequenceItems.map(item => [item.label, parseCourseLabel(item.label, parseHours(item.hours))]));
+    for (const [label, result] of byLabel) {
+      assert.notEqual(result.requirementType, 'filter', label);
+      if (/^[A-Z][A-Z ]* \d{3}/.test(label)) assert.ok(result.prefix && result.number, label);
+    }
+
+    assert.equal(byLabel.get('ECONS 101 [SSCI] or 102 [SSCI]').requirementType, 'or-choice');
+    assert.deepEqual(byLabel.get('ECONS 101 [SSCI] or 102 [SSCI]').ucoreCategories, ['SSCI', 'SSCI']);
+    assert.equal(byLabel.get('STAT 212 or MGTOP 215').orOptions[1].prefix, 'MGTOP');
+    assert.equal(byLabel.get('AFS 401 [CAPS]').isCaps, true);
+    assert.equal(byLabel.get('Complete Writing Portfolio').requirementType, 'milestone');
+
+    const comm = sequenceItems.find(item => item.label.startsWith('[COMM] Course'));
+    assert.deepEqual(parseHours(comm.hours), { min: 3, max: 4, display: '3–4', isVariable: true, isConditional: false });
+  });
+});
@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { searchTokens, buildMatchQuery, editDistance, closestTerm } = require('../server/services/courseSearch');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2024,
+    subject: 'CPT_S',
+    sectionNumber: '01',
+    isLab: 0,
+    credits: '3',
+    seatsAvailable: 10,
+    ...overrides
+  };
+}
+
+const SECTIONS = [
+  section({
+    prefix: 'CPT S', courseNumber: '121', title: 'Program Design and Development C/C++',
+    courseDescription: '<p>Formulation of problems and top-down design of programs in a modern structured language.</p>',
+    instructor: 'Andrew O\'Fallon'
+  }),
+  section({
+    prefix: 'CPT S', courseNumber: '321', title: 'Object-Oriented Software Principles',
+    courseDescription: 'Object-oriented programming concepts and design patterns.',
+    instructor: 'Staff'
+  }),
+  section({
+    prefix: 'MATH', subject: 'MATH', courseNumber: '171', title: 'Calculus I',
+    courseDescription: 'Differential and integral calculus of one variable with applications to programming problems.',
+    instructor: 'Jane Doe', campus: 'Spokane'
+  }),
+  section({
+    prefix: 'HISTORY', subject: 'HISTORY', courseNumber: '105', title: 'Roots of Contemporary Issues',
+    courseDescription: 'Historical roots of contemporary global issues.',
+    instructor: 'Sam Lee'
+  }),
+];
+
+const CATALOG_COURSES = [
+  { code: 'CPT S 121', prefix: 'CPT S', number: '121', title: 'Program Design and Development C/C++', credits: 4,
+    description: 'Formulation of problems and top-down design of programs.' },
+  { code: 'CPT S 322', prefix: 'CPT S', number: '322', title: 'Software Engineering Principles I', credits: 3,
+    description: 'Introduction to software engineering; requirements, design and testing.' },
+  { code: 'ENGLISH 101', prefix: 'ENGLISH', number: '101', title: 'College Composition', credits: 3,
+    description: 'Academic writing with attention to design of arguments.' },
+];
+
+const codes = rows => rows.map(r => r.code || `${r.prefix} ${r.courseNumber}`);
+
+test('search query building', async (t) => {
+  await t.test('tokenizes on anything but letters and digits', () => {
+    assert.deepEqual(searchTokens('CptS-121, Café!'), ['cpts', '121', 'cafe']);
+    assert.deepEqual(searchTokens('   '), []);
+  });
+
+  await t.test('ANDs prefix terms and ORs in corrections', () => {
+    assert.equal(buildMatchQuery(['cpt', 's']), '"cpt"* AND "s"*');
+    assert.equal(buildMatchQuery(['progam'], { progam: 'program' }), '("progam"* OR "program"*)');
+    assert.equal(buildMatchQuery([]), null);
+  });
+
+  await t.test('edit distance counts adjacent swaps as one edit', () => {
+    assert.equal(editDistance('calculus', 'calculus'), 0);
+    assert.equal(editDistance('calcluus', 'calculus'), 1);
+    assert.equal(editDistance('histroy', 'history'), 1);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('abc', 'abcdefgh', 2), 3);
+  });
+
+  await t.test('closest term prefers fewer edits, then more documents', () => {
+    const candidates = [{ term: 'design', doc: 2 }, { term: 'resign', doc: 9 }, { term: 'desire', doc: 20 }];
+    assert.equal(closestTerm('desgn', candidates), 'design');
+    assert.equal(closestTerm('zzzz', candidates), null);
+  });
+});
+
+test('section search', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  const seeded = await server.ingest('/courses', SECTIONS);
+  assert.equal(seeded.job.status, 'completed');
+
+  const search = async (q, limit = 20) => {
+    const res = await server.request('GET', `/api/courses/search?${new URLSearchParams({ q, limit })}`);
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  await t.test('matches course codes typed with or without spaces', async () => {
+    for (const q of ['CPT S 121', 'cpts121', 'cpts 121', 'CptS12']) {
+      assert.deepEqual(codes((await search(q)).courses), ['CPT S 121'], q);
+    }
+  });
+
+  await t.test('ranks title matches above description-only matches', async () => {
+    const { courses } = await search('program');
+    assert.deepEqual(codes(courses), ['CPT S 121', 'CPT S 321', 'MATH 171']);
+  });
+
+  await t.test('highlights matched words in titles, description snippets and instructors', async () => {
+    const [course] = (await search('design')).courses;
+    assert.equal(course.highlights.title, 'Program <mark>Design</mark> and Development C/C++');
+    assert.match(course.highlights.description, /top-down <mark>design<\/mark> of programs/);
+    assert.doesNotMatch(course.highlights.description, /<p>/);
+    assert.equal(course.highlights.instructor, undefined);
+
+    const [byInstructor] = (await search('doe')).courses;
+    assert.equal(byInstructor.highlights.instructor, 'Jane <mark>Doe</mark>');
+  });
+
+  await t.test('corrects misspelled words against the indexed vocabulary', async () => {
+    const body = await search('calcluus');
+    assert.deepEqual(codes(body.courses), ['MATH 171']);
+    assert.deepEqual(body.corrections, { calcluus: 'calculus' });
+
+    assert.deepEqual(codes((await search('contemporay histroy')).courses), ['HISTORY 105']);
+    assert.deepEqual((await search('xylophone')).courses, []);
+  });
+
+  await t.test('a query with no searchable words returns nothing', async () => {
+    assert.deepEqual((await search('!!!')).courses, []);
+  });
+
+  await t.test('/api/courses ranks search results within the other filters', async () => {
+    const res = await server.request('GET', '/api/courses?search=program&campus=Pullman&limit=1');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(codes(res.body.courses), ['CPT S 121']);
+    assert.ok(res.body.courses[0].highlights.title);
+
+    const page2 = await server.request('GET', '/api/courses?search=program&campus=Pullman&limit=1&page=2');
+    assert.deepEqual(codes(page2.body.courses), ['CPT S 321']);
+  });
+
+  await t.test('updated sections are re-indexed', async () => {
+    await server.ingest('/courses', [{ ...SECTIONS[3], title: 'World Civilizations' }]);
+    assert.deepEqual(codes((await search('civilizations')).courses), ['HISTORY 105']);
+    // One entry per section: the old title is gone and nothing is duplicated
+    const { courses } = await search('roots');
+    assert.deepEqual(courses.map(c => c.title), ['World Civilizations']);
+    assert.equal(courses[0].highlights.title, undefined);
+  });
+
+  await t.test('cleared sections leave the index', async () => {
+    const res = await server.admin('POST', '/clear', { campus: 'Spokane' });
+    assert.equal(res.status, 200);
+    assert.deepEqual((await search('calculus')).courses, []);
+  });
+});
+
+test('catalog course search', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  const post = (courses) => server.ingest('/catalog-programs', { catalogYear: 2024, courses });
+  assert.equal((await post(CATALOG_COURSES)).job.status, 'completed');
+
+  const search = async (q) => {
+    const res = await server.request('GET', `/api/catalog/courses?${new URLSearchParams({ year: 2024, search: q })}`);
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  await t.test('ranks by relevance with highlights', async () => {
+    const { courses } = await search('design');
+    // The title match first, then the two description-only matches
+    assert.equal(courses[0].code, 'CPT S 121');
+    assert.deepEqual(codes(courses.slice(1)).sort(), ['CPT S 322', 'ENGLISH 101']);
+    assert.equal(courses[0].highlights.title, 'Program <mark>Design</mark> and Development C/C++');
+    const english = courses.find(c => c.code === 'ENGLISH 101');
+    assert.equal(english.highlights.title, undefined);
+    assert.match(english.highlights.description, /<mark>design<\/mark> of arguments/);
+  });
+
+  await t.test('combines search with the other filters', async () => {
+    const res = await server.request('GET', '/api/catalog/courses?year=2024&search=design&prefix=ENGLISH');
+    assert.deepEqual(codes(res.body.courses), ['ENGLISH 101']);
+  });
+
+  await t.test('prefix-matches and corrects typos', async () => {
+    assert.deepEqual(codes((await search('engin')).courses), ['CPT S 322']);
+    const body = await search('compostion');
+    assert.deepEqual(codes(body.courses), ['ENGLISH 101']);
+    assert.deepEqual(body.corrections, { compostion: 'composition' });
+  });
+
+  await t.test('re-posting a course replaces its index entry', async () => {
+    await post([{ ...CATALOG_COURSES[2], title: 'Rhetoric and Composition' }]);
+    const { courses } = await search('composition');
+    assert.deepEqual(courses.map(c => c.title), ['Rhetoric and Composition']);
+    assert.deepEqual((await search('college')).courses, []);
+  });
+
+  await t.test('without search, courses are listed in code order without highlights', async () => {
+    const res = await server.request('GET', '/api/catalog/courses?year=2024');
+    assert.deepEqual(codes(res.body.courses), ['CPT S 121', 'CPT S 322', 'ENGLISH 101']);
+    assert.equal(res.body.courses[0].highlights, undefined);
+  });
+});
+
+test('migration 004 indexes existing sections', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 3 });
+  await db.run(`
+    INSERT INTO courses (uniqueId, campus, term, year, prefix, courseNumber, sectionNumber, isLab, title, courseDescription, instructors)
+    VALUES ('a', 'Pullman', 'Fall', 2024, 'CPT S', '121', '01', 0, 'Program Design', '<p>Intro to <b>C</b></p>', '[{"firstName":"Ada","lastName":"Lovelace"}]')
+  `);
+  await migrator.migrate({ to: 4 });
+
+  const row = await db.get('SELECT code, title, description, instructor FROM courses_fts');
+  assert.deepEqual({ ...row }, {
+    code: 'CPT S 121 CPTS121 CPTS 121',
+    title: 'Program Design',
+    description: 'Intro to C',
+    instructor: 'Ada Lovelace',
+  });
+
+  await migrator.rollback({ to: 3 });
+  assert.equal(await db.get("SELECT name FROM sqlite_master WHERE name = 'courses_fts'"), undefined);
+  await new Promise(resolve => handle.close(resolve));
+});
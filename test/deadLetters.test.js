@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { webhookSchemas, check } = require('../server/services/webhookSchemas');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2025,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    courseNumber: '121',
+    sectionNumber: '01',
+    isLab: 0,
+    title: 'Program Design',
+    ...overrides
+  };
+}
+
+const paths = ({ errors }) => errors.map(e => e.path);
+
+test('webhook schemas', async (t) => {
+  await t.test('sections keep unknown fields and are not coerced', () => {
+    const { data } = check(webhookSchemas.courseSection, section({ year: '2025', seatsAvailable: '12', sln: 12345 }));
+    assert.equal(data.year, '2025');
+    assert.equal(data.seatsAvailable, '12');
+    assert.equal(data.sln, 12345);
+  });
+
+  await t.test('sections report every bad field by path', () => {
+    const result = check(webhookSchemas.courseSection, section({
+      prefix: ' ', year: 25, isLab: 'no', seatsAvailable: 'lots', meetings: [{}, 'MWF'],
+    }));
+    assert.deepEqual(paths(result).sort(), ['isLab', 'meetings.1', 'prefix', 'seatsAvailable', 'year']);
+  });
+
+  await t.test('catalog items need a name or code', () => {
+    assert.deepEqual(paths(check(webhookSchemas.catalogProgramItems.degrees, { credits: 120 })), ['name']);
+    assert.ok(check(webhookSchemas.catalogProgramItems.courses, { code: 'CPT S 121' }).data);
+    assert.equal(check(webhookSchemas.catalogProgramItems.courses, { title: 'Untitled' }).errors[0].message, 'needs a uniqueId or code');
+  });
+});
+
+test('dead letters', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  let courseLetter;
+  await t.test('rejected sections are dead-lettered alone', async () => {
+    const res = await server.ingest('/courses', [section(), section({ sectionNumber: '02', term: '' })]);
+    assert.equal(res.body.added, 1);
+    const [rejection] = res.body.validationErrors;
+    assert.equal(rejection.index, 1);
+    courseLetter = rejection.deadLetterId;
+
+    const letter = (await server.admin('GET', `/dead-letters/${courseLetter}`)).body;
+    assert.equal(letter.endpoint, 'courses');
+    assert.equal(letter.status, 'pending');
+    assert.equal(letter.payload.sectionNumber, '02');
+    assert.deepEqual(letter.errors, [{ path: 'term', message: 'must not be blank' }]);
+  });
+
+  await t.test('an invalid department snapshot is rejected whole', async () => {
+    const res = await server.ingest('/department', { department: { name: 'Computer Science' } });
+    assert.equal(res.job.status, 'failed');
+    assert.equal(res.job.error, 'Invalid department payload');
+    assert.deepEqual(res.body.errors.map(e => e.path), ['catalogYear']);
+    assert.ok(res.body.deadLetterId);
+  });
+
+  await t.test('catalog programs reject bad items and keep the rest', async () => {
+    const res = await server.ingest('/catalog-programs', {
+      catalogYear: 2024,
+      degrees: [{ name: 'Computer Science' }, { credits: 120 }],
+      courses: [{ code: 'CPT S 121', title: 'Program Design' }, { title: 'No code' }],
+    });
+    assert.equal(res.job.status, 'completed');
+    assert.equal(res.body.added.degrees, 1);
+    assert.equal(res.body.added.courses, 1);
+    assert.deepEqual(res.body.validationErrors.map(v => `${v.type}[${v.index}]`), ['degrees[1]', 'courses[1]']);
+
+    const letter = (await server.admin('GET', `/dead-letters/${res.body.validationErrors[0].deadLetterId}`)).body;
+    assert.deepEqual(letter.payload, { catalogYear: 2024, sourceType: 'html', degrees: [{ credits: 120 }] });
+  });
+
+  await t.test('lists filter by endpoint and status', async () => {
+    const all = await server.admin('GET', '/dead-letters');
+    assert.equal(all.body.total, 4);
+    assert.equal(all.body.entries[0].payload, undefined);
+    const courses = await server.admin('GET', '/dead-letters?endpoint=courses&status=pending');
+    assert.deepEqual(courses.body.entries.map(e => e.id), [courseLetter]);
+    assert.equal((await server.admin('GET', '/dead-letters?endpoint=nope')).status, 400);
+    assert.equal((await server.admin('GET', '/dead-letters?status=lost')).status, 400);
+  });
+
+  // Replays are queued; wait for the job and return it
+  async function replay(id, body = {}) {
+    const res = await server.admin('POST', `/dead-letters/${id}/replay`, body);
+    if (res.status !== 202) return { res, job: null };
+    await server.ingestQueue.idle();
+    return { res, job: (await server.request('GET', res.body.statusUrl)).body };
+  }
+
+  await t.test('replaying unchanged fails again and stays pending', async () => {
+    const { res, job } = await replay(courseLetter);
+    assert.equal(res.body.status, 'replaying');
+    assert.deepEqual(job.result.validationErrors, [
+      { index: 0, errors: [{ path: 'term', message: 'must not be blank' }], deadLetterId: courseLetter },
+    ]);
+    const letter = (await server.admin('GET', `/dead-letters/${courseLetter}`)).body;
+    assert.equal(letter.status, 'pending');
+    assert.equal(letter.attempts, 1);
+    // No new letter for the same record
+    assert.equal((await server.admin('GET', '/dead-letters')).body.total, 4);
+  });
+
+  await t.test('replaying a corrected payload ingests it', async () => {
+    const { payload } = (await server.admin('GET', `/dead-letters/${courseLetter}`)).body;
+    const { job } = await replay(courseLetter, { payload: { ...payload, term: 'Fall' } });
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.added, 1);
+    assert.equal(await server.repos.courses.count(), 2);
+
+    const letter = (await server.admin('GET', `/dead-letters/${courseLetter}`)).body;
+    assert.equal(letter.status, 'replayed');
+    assert.equal(letter.payload.term, 'Fall');
+    assert.equal((await server.admin('POST', `/dead-letters/${courseLetter}/replay`, {})).status, 409);
+  });
+
+  await t.test('a letter is claimed by only one replay', async () => {
+    const [letter] = (await server.admin('GET', '/dead-letters?endpoint=catalog-programs')).body.entries;
+    const fixed = { catalogYear: 2024, degrees: [{ name: 'Data Analytics' }] };
+    const results = await Promise.all([1, 2].map(() => server.admin('POST', `/dead-letters/${letter.id}/replay`, { payload: fixed })));
+    assert.deepEqual(results.map(r => r.status).sort(), [202, 409]);
+    await server.ingestQueue.idle();
+    const after = (await server.admin('GET', `/dead-letters/${letter.id}`)).body;
+    assert.equal(after.status, 'replayed');
+    assert.equal(after.attempts, 1);
+  });
+
+  await t.test('dead letters can be discarded', async () => {
+    const [pending] = (await server.admin('GET', '/dead-letters?endpoint=department')).body.entries;
+    assert.equal((await server.admin('DELETE', `/dead-letters/${pending.id}`)).status, 200);
+    assert.equal((await server.admin('DELETE', `/dead-letters/${pending.id}`)).status, 404);
+    assert.equal((await server.admin('GET', `/dead-letters/${pending.id}`)).body.status, 'discarded');
+    assert.equal((await server.admin('GET', '/dead-letters/999')).status, 404);
+  });
+
+  await t.test('replay needs the data-ingest role and is audited', async () => {
+    const { token } = (await server.admin('POST', '/tokens', { name: 'viewer', role: 'read-only' })).body;
+    const viewer = (method, path) => server.request(method, `/api/admin${path}`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal((await viewer('GET', '/dead-letters')).status, 200);
+    assert.equal((await viewer('POST', `/dead-letters/${courseLetter}/replay`)).status, 403);
+
+    const audit = (await server.admin('GET', '/audit-log?action=dead-letters.replay')).body;
+    // The two concurrent replays were recorded in either order
+    assert.deepEqual(audit.entries.map(e => e.status).sort(), [202, 202, 202, 409, 409]);
+  });
+
+  await t.test('a replay that cannot be queued leaves the letter pending', async () => {
+    const [letter] = (await server.admin('GET', '/dead-letters?endpoint=catalog-programs&status=pending')).body.entries;
+    const { payload } = (await server.admin('GET', `/dead-letters/${letter.id}`)).body;
+    const { enqueue } = server.ingestQueue;
+    server.ingestQueue.enqueue = async () => { throw new Error('disk full'); };
+    try {
+      const res = await server.admin('POST', `/dead-letters/${letter.id}/replay`, { payload: { catalogYear: 2024 } });
+      assert.equal(res.status, 500);
+    } finally {
+      server.ingestQueue.enqueue = enqueue;
+    }
+
+    const after = (await server.admin('GET', `/dead-letters/${letter.id}`)).body;
+    assert.equal(after.status, 'pending');
+    assert.equal(after.attempts, letter.attempts);
+    assert.deepEqual(after.payload, payload);
+  });
+});
+
+test('migration 011 adds webhook dead letters', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 11 });
+  const table = () => db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'webhook_dead_letters'");
+  assert.ok(await table());
+  await migrator.rollback({ to: 10 });
+  assert.equal(await table(), undefined);
+  await new Promise(resolve => handle.close(resolve));
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { stubWsuCatalog } = require('./helpers/wsuCatalogStub');
+const { loadScheduleFixture } = require('./fixtures/catalogSchedules');
+
+const fixture = loadScheduleFixture(2024, 'AGRICULTURAL AND FOOD BUSINESS');
+const ACAD_UNIT_ID = 401;
+
+// Credits the endpoint should tally: lower bound of every row that carries hours
+const expectedCredits = fixture.sequenceItems
+  .filter(item => item.hours !== null)
+  .reduce((sum, item) => sum + parseInt(item.hours, 10), 0);
+
+const requirementsPath = (params) => `/api/degree-requirements?${new URLSearchParams(params)}`;
+
+function wsuCatalogWithFixture() {
+  return stubWsuCatalog({
+    degrees: [
+      { title: 'Accounting', label: 'Accounting (Pullman)', acadUnitId: 100 },
+      { title: fixture.title, label: `${fixture.title} (Pullman)`, acadUnitId: ACAD_UNIT_ID }
+    ],
+    units: {
+      [ACAD_UNIT_ID]: {
+        academicUnit: { name: 'School of Economic Sciences' },
+        degreePrograms: [
+          { title: 'Economic Sciences', hours: 120, sequenceItems: [] },
+          { title: fixture.title, hours: fixture.totalHours, narrative: 'From the catalog API', sequenceItems: fixture.sequenceItems }
+        ]
+      }
+    }
+  });
+}
+
+test('degree-requirements served from the database', async (t) => {
+  const server = await startTestServer();
+  const wsu = wsuCatalogWithFixture();
+  t.after(async () => { wsu.restore(); await server.close(); });
+
+  const seeded = await server.ingest('/catalog-programs', {
+    catalogYear: 2024,
+    sourceType: 'pdf',
+    degrees: [{
+      name: fixture.title,
+      totalCredits: fixture.totalHours,
+      degreeType: 'BS',
+      college: 'CAHNRS',
+      narrative: 'Seeded from the 2024 catalog',
+      sequenceItems: fixture.sequenceItems
+    }]
+  });
+  assert.equal(seeded.job.status, 'completed');
+  assert.equal(seeded.body.added.degrees, 1);
+
+  await t.test('returns the saved schedule without calling the WSU API', async () => {
+    const res = await server.request('GET', requirementsPath({ name: fixture.title }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.source, 'database');
+    assert.deepEqual(res.body.degree, {
+      title: fixture.title,
+      totalHours: fixture.totalHours,
+      narrative: 'Seeded from the 2024 catalog',
+      acadUnit: 'CAHNRS'
+    });
+    assert.equal(res.body.totalCoursesInSequence, fixture.sequenceItems.length);
+    assert.equal(res.body.estimatedCredits, expectedCredits);
+    assert.deepEqual(wsu.calls, []);
+  });
+
+  await t.test('groups rows into ordered year/term blocks', async () => {
+    const { body } = await server.request('GET', requirementsPath({ name: fixture.title }));
+    assert.deepEqual(body.schedule.map(block => `${block.year}-${block.termName}`), [
+      '1-Fall', '1-Spring', '2-Fall', '2-Spring', '3-Fall', '3-Spring', '4-Fall', '4-Spring'
+    ]);
+    const courseCount = body.schedule.reduce((n, block) => n + block.courses.length, 0);
+    assert.equal(courseCount, fixture.sequenceItems.length);
+
+    const firstFall = body.schedule[0].courses;
+    const math = firstFall.find(c => c.raw === 'MATH 201');
+    assert.deepEqual(math.footnotes, [1]);
+    assert.equal(firstFall.find(c => c.prefix === 'ECONS').requirementType, 'or-choice');
+  });
+
+  await t.test('accepts type=major as an alias for degree', async () => {
+    const res = await server.request('GET', requirementsPath({ name: fixture.title, type: 'major' }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.source, 'database');
+  });
+
+  await t.test('validates the query', async () => {
+    const missing = await server.request('GET', '/api/degree-requirements');
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'Degree name is required');
+
+    const badType = await server.request('GET', requirementsPath({ name: fixture.title, type: 'course' }));
+    assert.equal(badType.status, 400);
+    assert.equal(badType.body.error, 'Invalid type parameter');
+  });
+
+  await t.test('a minor missing from the database is a 404, not an API call', async () => {
+    const res = await server.request('GET', requirementsPath({ name: 'Astrobiology', type: 'minor' }));
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Minor not found');
+    assert.deepEqual(wsu.calls, []);
+  });
+});
+
+test('degree-requirements falls back to the WSU catalog API', async (t) => {
+  const server = await startTestServer();
+  let wsu = wsuCatalogWithFixture();
+  t.after(async () => { wsu.restore(); await server.close(); });
+
+  const restub = (catalog) => {
+    wsu.restore();
+    wsu = catalog ? stubWsuCatalog(catalog) : wsuCatalogWithFixture();
+  };
+
+  await t.test('looks the degree up in the dropdown, then loads its academic unit', async () => {
+    restub();
+    const res = await server.request('GET', requirementsPath({ name: fixture.title }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.source, 'api');
+    assert.deepEqual(wsu.calls, ['GetDegreesDropdown/General', `GetAcademicUnit/${ACAD_UNIT_ID}/General`]);
+    assert.deepEqual(res.body.degree, {
+      title: fixture.title,
+      totalHours: fixture.totalHours,
+      narrative: 'From the catalog API',
+      acadUnit: 'School of Economic Sciences'
+    });
+    assert.equal(res.body.schedule.length, 8);
+    assert.equal(res.body.estimatedCredits, expectedCredits);
+  });
+
+  await t.test('an explicit acadUnitId skips the dropdown', async () => {
+    restub();
+    const res = await server.request('GET', requirementsPath({ name: fixture.title, acadUnitId: ACAD_UNIT_ID }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(wsu.calls, [`GetAcademicUnit/${ACAD_UNIT_ID}/General`]);
+  });
+
+  await t.test('a saved degree without requirements uses its external id', async () => {
+    await server.ingest('/catalog-programs', {
+      catalogYear: 2024,
+      degrees: [{ name: fixture.title, externalId: String(ACAD_UNIT_ID) }]
+    });
+    restub();
+    const res = await server.request('GET', requirementsPath({ name: fixture.title }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.source, 'api');
+    assert.deepEqual(wsu.calls, [`GetAcademicUnit/${ACAD_UNIT_ID}/General`]);
+  });
+
+  await t.test('unknown degrees are a 404', async () => {
+    restub();
+    const res = await server.request('GET', requirementsPath({ name: 'Underwater Basket Weaving' }));
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, { error: 'Degree not found in WSU catalog', searchedFor: 'Underwater Basket Weaving' });
+  });
+
+  await t.test('lists sibling programs when the unit lacks an exact match', async () => {
+    restub();
+    const res = await server.request('GET', requirementsPath({ name: 'Agricultural', acadUnitId: ACAD_UNIT_ID }));
+    assert.equal(res.status, 404);
+    assert.equal(res.body.acadUnit, 'School of Economic Sciences');
+    assert.deepEqual(res.body.availablePrograms.map(p => p.title), ['Economic Sciences', fixture.title]);
+    assert.equal(res.body.availablePrograms[1].coursesCount, fixture.sequenceItems.length);
+  });
+
+  await t.test('rejects a non-numeric acadUnitId before fetching', async () => {
+    restub();
+    const res = await server.request('GET', requirementsPath({ name: fixture.title, acadUnitId: '../Admin' }));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Invalid academic unit ID');
+    assert.deepEqual(wsu.calls, []);
+  });
+
+  await t.test('an unreachable catalog API is a 500', async () => {
+    restub({ degrees: [] });
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = (url, init) => String(url).startsWith('https://catalog.wsu.edu/')
+      ? Promise.reject(new Error('getaddrinfo ENOTFOUND catalog.wsu.edu'))
+      : realFetch(url, init);
+    const res = await server.request('GET', requirementsPath({ name: 'History' }));
+    globalThis.fetch = realFetch;
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /ENOTFOUND/);
+  });
+});
@@ -0,0 +1,30 @@
+// Builds degree fixtures from the archived catalog text in pdf-archieved-catalog,
+// so tests exercise real WSU requirement labels instead of hand-typed ones.
+// The schedule rows come from the catalog extractor's own parser.
+const { readCatalogLines, parseSchedule, toTitleCase } = require('../../server/services/catalogExtractor');
+
+/**
+ * Parse one program's schedule of studies out of an archived catalog.
+ * Reads from the program heading (e.g. "AGRICULTURAL AND FOOD BUSINESS") to
+ * the footnote rule ("_______") and returns the rows in the same shape the
+ * WSU catalog API and /webhook/catalog-programs use.
+ * @param {number|string} catalogYear - Which <year>.txt to read
+ * @param {string} heading - Program heading line as printed in the catalog
+ * @returns {{ title, totalHours, sequenceItems: Array<{ year, term, label, hours, footnotes, sortOrder }> }}
+ */
+function loadScheduleFixture(catalogYear, heading) {
+  const lines = readCatalogLines(catalogYear);
+  const start = lines.indexOf(heading);
+  if (start === -1) throw new Error(`"${heading}" not found in ${catalogYear}.txt`);
+
+  // Heading may wrap; the credit total follows it: "(120 CREDITS)"
+  let i = start + 1;
+  let title = heading;
+  while (i < lines.length && !/^\(\d+ (?:CREDITS|HOURS)\)$/.test(lines[i])) title += ` ${lines[i++]}`;
+  const totalHours = parseInt(lines[i].slice(1), 10);
+  while (i < lines.length && lines[i] !== 'First Year') i++;
+
+  return { title: toTitleCase(title), totalHours, sequenceItems: parseSchedule(lines.slice(i)) };
+}
+
+module.exports = { loadScheduleFixture };
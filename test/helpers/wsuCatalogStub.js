@@ -0,0 +1,38 @@
+// Replaces global fetch for catalog.wsu.edu so the degree-requirements fallback
+// can run offline. Requests to any other host (the test server) pass through.
+const WSU_CATALOG = 'https://catalog.wsu.edu/api/Data/';
+
+/**
+ * @param {Object} catalog
+ * @param {Array} [catalog.degrees] - GetDegreesDropdown/General response
+ * @param {Object} [catalog.units] - GetAcademicUnit responses keyed by acadUnitId
+ * @returns {{ calls: string[], restore: Function }}
+ */
+function stubWsuCatalog({ degrees = [], units = {} } = {}) {
+  const realFetch = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (url, init) => {
+    const href = String(url);
+    if (!href.startsWith(WSU_CATALOG)) return realFetch(url, init);
+
+    const endpoint = href.slice(WSU_CATALOG.length);
+    calls.push(endpoint);
+
+    if (endpoint === 'GetDegreesDropdown/General') return json(degrees);
+    const unit = endpoint.match(/^GetAcademicUnit\/(\d+)\/General$/);
+    if (unit && units[unit[1]]) return json(units[unit[1]]);
+    return json({}, 404);
+  };
+
+  return {
+    calls,
+    restore() { globalThis.fetch = realFetch; }
+  };
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+module.exports = { stubWsuCatalog };
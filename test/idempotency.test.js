@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, WEBHOOK_SECRET } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { signPayload, verifySignature } = require('../server/services/webhookSignature');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2025,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    courseNumber: '121',
+    sectionNumber: '01',
+    isLab: 0,
+    title: 'Program Design',
+    seatsAvailable: 20,
+    ...overrides
+  };
+}
+
+const bodyHash = body => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+test('webhook signatures', () => {
+  const now = 1760000000 * 1000;
+  const signature = signPayload('new', '1760000000', '{"a":1}');
+  assert.match(signature, /^sha256=[a-f0-9]{64}$/);
+
+  const request = { timestamp: '1760000000', signature, rawBody: Buffer.from('{"a":1}') };
+  assert.deepEqual(verifySignature(['new', 'old'], request, { now }), { keyIndex: 0 });
+  assert.deepEqual(verifySignature(['newer', 'new'], request, { now }), { keyIndex: 1 });
+  assert.deepEqual(verifySignature(['old'], request, { now }), { error: 'Invalid signature' });
+  assert.deepEqual(verifySignature(['new'], { ...request, signature: 'sha256=00' }, { now }), { error: 'Invalid signature' });
+  assert.ok(verifySignature(['new'], request, { now: now + 301 * 1000 }).error);
+  assert.ok(verifySignature(['new'], request, { now: now + 60 * 1000, toleranceSeconds: 30 }).error);
+});
+
+test('idempotent webhooks', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const historyRows = async () => (await server.db.get('SELECT COUNT(*) AS count FROM enrollment_history')).count;
+
+  await t.test('a retried batch gets the original response and writes nothing', async () => {
+    const batch = [section(), section({ sectionNumber: '02', term: '' })];
+    const first = await server.ingest('/courses', batch, { 'Idempotency-Key': 'batch-1' });
+    assert.equal(first.status, 202);
+    assert.equal(first.body.added, 1);
+    assert.equal(await historyRows(), 1);
+
+    const retry = await server.ingest('/courses', batch, { 'Idempotency-Key': 'batch-1' });
+    assert.equal(retry.status, 202);
+    assert.equal(retry.job.id, first.job.id);
+    assert.equal(await historyRows(), 1);
+    assert.equal((await server.db.get('SELECT COUNT(*) AS count FROM ingest_jobs')).count, 1);
+    assert.equal((await server.admin('GET', '/dead-letters')).body.total, 1);
+  });
+
+  await t.test('replays are not audited again', async () => {
+    const audit = (await server.admin('GET', '/audit-log?action=ingest.*')).body;
+    assert.equal(audit.total, 1);
+  });
+
+  await t.test('a key reused with a different body is refused', async () => {
+    const res = await server.webhook('/courses', [section({ seatsAvailable: 3 })], { 'Idempotency-Key': 'batch-1' });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.message, 'Idempotency-Key was already used with a different payload');
+    assert.equal(await historyRows(), 1);
+  });
+
+  await t.test('keys are scoped to an endpoint', async () => {
+    const res = await server.ingest('/degrees', [{ name: 'Computer Science', type: 'BS' }], { 'Idempotency-Key': 'batch-1' });
+    assert.equal(res.job.endpoint, 'degrees');
+    assert.equal(res.job.status, 'completed');
+  });
+
+  await t.test('new keys are processed', async () => {
+    const res = await server.ingest('/courses', [section({ seatsAvailable: 3 })], { 'Idempotency-Key': 'batch-2' });
+    assert.equal(res.body.updated, 1);
+    assert.equal(await historyRows(), 2);
+  });
+
+  await t.test('malformed keys are rejected', async () => {
+    const res = await server.webhook('/courses', [section()], { 'Idempotency-Key': 'has spaces' });
+    assert.equal(res.status, 400);
+    assert.equal(await historyRows(), 2);
+  });
+
+  await t.test('without a key, a resent signed request is not processed twice', async () => {
+    const body = [section({ seatsAvailable: 1 })];
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signPayload(WEBHOOK_SECRET, timestamp, JSON.stringify(body)) };
+    const original = await server.ingest('/courses', body, headers);
+    const replayed = await server.ingest('/courses', body, headers);
+    assert.equal(replayed.job.id, original.job.id);
+    assert.equal(await historyRows(), 3);
+  });
+
+  await t.test('a key still being processed is refused', async () => {
+    const body = [section()];
+    const claim = { endpoint: 'courses', key: 'busy', requestHash: bodyHash(body), expiredBefore: '2000-01-01', abandonedBefore: '2000-01-01' };
+    assert.equal(await server.repos.idempotency.claim(claim), null);
+    assert.equal((await server.repos.idempotency.claim(claim)).state, 'processing');
+    assert.equal((await server.webhook('/courses', body, { 'Idempotency-Key': 'busy' })).status, 409);
+  });
+
+  await t.test('expired and abandoned keys can be claimed again', async () => {
+    const later = new Date(Date.now() + 1000).toISOString();
+    const claim = { endpoint: 'courses', key: 'busy', requestHash: 'h', expiredBefore: '2000-01-01', abandonedBefore: later };
+    assert.equal(await server.repos.idempotency.claim(claim), null);
+    assert.equal(await server.repos.idempotency.claim({ ...claim, key: 'batch-1', abandonedBefore: '2000-01-01', expiredBefore: later }), null);
+  });
+});
+
+test('migration 012 adds webhook idempotency keys', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 12 });
+  const table = () => db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'webhook_idempotency_keys'");
+  assert.ok(await table());
+  await migrator.rollback({ to: 11 });
+  assert.equal(await table(), undefined);
+  await new Promise(resolve => handle.close(resolve));
+});
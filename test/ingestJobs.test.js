@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { startTestServer, ADMIN_TOKEN } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { createRepositories } = require('../server/repositories');
+const { createIngestQueue } = require('../server/services/ingestQueue');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2025,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    courseNumber: '121',
+    sectionNumber: '01',
+    isLab: 0,
+    title: 'Program Design',
+    ...overrides
+  };
+}
+
+async function migratedRepos() {
+  const handle = await openDatabase(':memory:');
+  await createMigrator(handle).migrate();
+  const db = createDataAccess(handle);
+  return { handle, db, repos: createRepositories(db) };
+}
+
+test('ingest jobs API', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  await t.test('webhooks answer 202 with a job to poll', async () => {
+    const res = await server.webhook('/courses', [section()]);
+    assert.equal(res.status, 202);
+    assert.equal(res.body.status, 'accepted');
+    assert.match(res.body.statusUrl, new RegExp(`^/api/jobs/${res.body.jobId}\\?token=[0-9a-f]{64}$`));
+
+    const { job } = await server.ingest('/courses', [section({ sectionNumber: '02' })]);
+    assert.equal(job.id, res.body.jobId + 1);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.endpoint, 'courses');
+    assert.equal(job.createdBy, 'webhook');
+    assert.ok(job.startedAt && job.finishedAt);
+    assert.equal(await server.repos.courses.count(), 2);
+  });
+
+  await t.test('progress is recorded after every chunk', async () => {
+    const reports = [];
+    const { progress } = server.repos.jobs;
+    server.repos.jobs.progress = (id, counts) => {
+      reports.push(counts.processed);
+      return progress(id, counts);
+    };
+    process.env.WEBHOOK_BATCH_COMMIT_SIZE = '2';
+    t.after(() => {
+      server.repos.jobs.progress = progress;
+      delete process.env.WEBHOOK_BATCH_COMMIT_SIZE;
+    });
+
+    const batch = [1, 2, 3, 4].map(n => section({ sectionNumber: `1${n}` }));
+    const { job } = await server.ingest('/courses', [...batch, section({ term: '' }), section()]);
+    assert.deepEqual(reports, [1, 3, 5, 6]);
+    const { total, processed, added, updated, failed } = job;
+    assert.deepEqual({ total, processed, added, updated, failed }, { total: 6, processed: 6, added: 4, updated: 1, failed: 1 });
+    assert.equal(job.result.validationErrors.length, 1);
+  });
+
+  await t.test('completed jobs drop their payload', async () => {
+    const { payloads } = await server.db.get("SELECT COUNT(payload) AS payloads FROM ingest_jobs WHERE status = 'completed'");
+    assert.equal(payloads, 0);
+  });
+
+  await t.test('a job that throws fails and keeps its payload', async () => {
+    const { hasYear } = server.repos.catalog;
+    server.repos.catalog.hasYear = async () => { throw new Error('database is locked'); };
+    t.after(() => { server.repos.catalog.hasYear = hasYear; });
+
+    const { job } = await server.ingest('/catalog-programs', { catalogYear: 2024, degrees: [{ name: 'Computer Science' }] });
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'database is locked');
+    assert.equal(job.result, null);
+    const row = await server.db.get('SELECT payload FROM ingest_jobs WHERE id = ?', [job.id]);
+    assert.equal(JSON.parse(row.payload).catalogYear, 2024);
+  });
+
+  await t.test('dead letters are rolled back with a job that fails to finish', async () => {
+    const { finish } = server.repos.jobs;
+    let calls = 0;
+    server.repos.jobs.finish = (id, outcome) => {
+      if (calls++ === 0) throw new Error('disk I/O error');
+      return finish(id, outcome);
+    };
+    t.after(() => { server.repos.jobs.finish = finish; });
+
+    const before = (await server.db.get('SELECT COUNT(*) AS count FROM webhook_dead_letters')).count;
+    const { job } = await server.ingest('/courses', [section({ term: '' })]);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'disk I/O error');
+    const after = (await server.db.get('SELECT COUNT(*) AS count FROM webhook_dead_letters')).count;
+    assert.equal(after, before);
+  });
+
+  await t.test('jobs need an admin token', async () => {
+    const job = id => server.request('GET', `/api/jobs/${id}`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal((await server.request('GET', '/api/jobs/1')).status, 401);
+    assert.equal((await job(1)).status, 200);
+    assert.equal((await job('abc')).status, 400);
+    assert.equal((await job(999)).status, 404);
+  });
+
+  await t.test('the statusUrl token opens only its own job', async () => {
+    const { statusUrl, jobId } = (await server.webhook('/courses', [section({ sectionNumber: '31' })])).body;
+    await server.ingestQueue.idle();
+    const token = new URL(statusUrl, server.baseUrl).searchParams.get('token');
+
+    assert.equal((await server.request('GET', statusUrl)).body.status, 'completed');
+    assert.equal((await server.request('GET', `/api/jobs/${jobId - 1}?token=${token}`)).status, 404);
+    assert.equal((await server.request('GET', `/api/jobs/${jobId}?token=wrong`)).status, 404);
+  });
+});
+
+test('ingest queue', async (t) => {
+  await t.test('one job per endpoint runs at a time', async () => {
+    const { handle, repos } = await migratedRepos();
+    t.after(() => new Promise(resolve => handle.close(resolve)));
+    for (const endpoint of ['courses', 'courses', 'degrees']) {
+      await repos.jobs.create({ endpoint, payload: [], total: 0 });
+    }
+
+    assert.equal((await repos.jobs.claimNext()).id, 1);
+    assert.equal((await repos.jobs.claimNext()).id, 3);
+    assert.equal(await repos.jobs.claimNext(), null);
+    await repos.jobs.finish(1, { status: 'completed', result: {} });
+    assert.equal((await repos.jobs.claimNext()).id, 2);
+  });
+
+  await t.test('jobs interrupted by a restart are run again, a few times at most', async () => {
+    const { handle, db, repos } = await migratedRepos();
+    t.after(() => new Promise(resolve => handle.close(resolve)));
+    const retried = await repos.jobs.create({ endpoint: 'courses', payload: [section()], total: 1 });
+    const stuck = await repos.jobs.create({ endpoint: 'degrees', payload: [], total: 0 });
+    await db.run("UPDATE ingest_jobs SET status = 'running', attempts = CASE id WHEN ? THEN 1 ELSE 3 END", [retried]);
+
+    const queue = createIngestQueue(repos, { concurrency: 2 });
+    await queue.start();
+    await queue.stop();
+    assert.equal((await repos.jobs.find(retried)).status, 'completed');
+    assert.equal(await repos.courses.count(), 1);
+    const failed = await repos.jobs.find(stuck);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Interrupted too many times');
+  });
+
+  await t.test('dead letters left replaying without a job are released on start', async () => {
+    const { handle, repos } = await migratedRepos();
+    t.after(() => new Promise(resolve => handle.close(resolve)));
+    const orphan = await repos.deadLetters.add({ endpoint: 'degrees', payload: [{}], errors: [] });
+    const queued = await repos.deadLetters.add({ endpoint: 'degrees', payload: [{}], errors: [] });
+    for (const id of [orphan, queued]) await repos.deadLetters.claimReplay(id, [{ name: 'Biology', type: 'BS' }]);
+    await repos.jobs.create({ endpoint: 'degrees', payload: [{ name: 'Biology', type: 'BS' }], total: 1, deadLetterId: queued });
+
+    const queue = createIngestQueue(repos);
+    await queue.start();
+    assert.equal((await repos.deadLetters.find(orphan)).status, 'pending');
+    await queue.stop();
+    assert.equal((await repos.deadLetters.find(queued)).status, 'replayed');
+  });
+
+  await t.test('catalog and courses jobs running side by side write only inside their own transactions', async () => {
+    const { handle, db, repos } = await migratedRepos();
+    t.after(() => new Promise(resolve => handle.close(resolve)));
+    process.env.WEBHOOK_BATCH_COMMIT_SIZE = '3';
+    t.after(() => { delete process.env.WEBHOOK_BATCH_COMMIT_SIZE; });
+
+    // Mark code running inside a transaction this job opened; every catalog
+    // write has to happen there, not between another job's BEGIN and COMMIT
+    const inTransaction = new AsyncLocalStorage();
+    const { withTransaction } = repos;
+    repos.withTransaction = callback => withTransaction(() => inTransaction.run(true, callback));
+    const outside = [];
+    for (const method of ['addYear', 'upsertDegree', 'upsertMinor', 'upsertCourse', 'updateCoursePrereqs']) {
+      const original = repos.catalog[method];
+      repos.catalog[method] = (...args) => {
+        if (!inTransaction.getStore()) outside.push(method);
+        return original(...args);
+      };
+    }
+
+    const courses = Array.from({ length: 10 }, (_, n) => section({ sectionNumber: String(n + 1).padStart(2, '0') }));
+    const catalog = {
+      catalogYear: 2024,
+      sourceType: 'pdf',
+      degrees: [{ name: 'Biology', sequenceItems: [] }, { name: 'Chemistry' }],
+      minors: [{ name: 'Music' }],
+      courses: Array.from({ length: 8 }, (_, n) => ({ code: `BIOLOGY ${101 + n}`, title: `Biology ${n}`, prerequisiteRaw: 'MATH 171' })),
+    };
+    await repos.jobs.create({ endpoint: 'courses', payload: courses, total: courses.length });
+    await repos.jobs.create({ endpoint: 'catalog-programs', payload: catalog, total: 11 });
+
+    const queue = createIngestQueue(repos, { concurrency: 2 });
+    await queue.start();
+    await queue.idle();
+    await queue.stop();
+
+    const jobs = await db.all('SELECT endpoint, status FROM ingest_jobs ORDER BY id');
+    assert.deepEqual(jobs.map(j => `${j.endpoint} ${j.status}`), ['courses completed', 'catalog-programs completed']);
+    assert.deepEqual(outside, []);
+    assert.equal(await repos.courses.count(), 10);
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM catalog_courses WHERE catalog_year = 2024');
+    assert.equal(count, 8);
+  });
+
+  await t.test('an interrupted courses job resumes after its last committed chunk', async () => {
+    const { handle, db, repos } = await migratedRepos();
+    t.after(() => new Promise(resolve => handle.close(resolve)));
+    process.env.WEBHOOK_BATCH_COMMIT_SIZE = '2';
+    t.after(() => { delete process.env.WEBHOOK_BATCH_COMMIT_SIZE; });
+
+    const batch = [1, 2, 3, 4, 5].map(n => section({ sectionNumber: `0${n}` }));
+    const id = await repos.jobs.create({ endpoint: 'courses', payload: [section({ term: '' }), ...batch], total: 6 });
+    // The first chunk committed with its checkpoint before the process died
+    await repos.jobs.claimNext();
+    for (const course of batch.slice(0, 2)) await repos.courses.upsertScraped(course);
+    await repos.jobs.checkpoint(id, { offset: 2, added: 2, updated: 0, failed: 1 });
+
+    const queue = createIngestQueue(repos);
+    await queue.start();
+    await queue.stop();
+    const job = await repos.jobs.find(id);
+    assert.equal(job.status, 'completed');
+    const { processed, added, updated, failed } = job;
+    assert.deepEqual({ processed, added, updated, failed }, { processed: 6, added: 5, updated: 0, failed: 1 });
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM enrollment_history');
+    assert.equal(count, 5);
+    assert.equal((await db.get('SELECT resume_offset FROM ingest_jobs WHERE id = ?', [id])).resume_offset, 5);
+  });
+});
+
+test('migration 013 adds ingest jobs', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 13 });
+  const table = () => db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'ingest_jobs'");
+  assert.ok(await table());
+  await migrator.rollback({ to: 12 });
+  assert.equal(await table(), undefined);
+  await new Promise(resolve => handle.close(resolve));
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { sectionInstructors } = require('../server/services/instructors');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2025,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    courseNumber: '121',
+    title: 'Program Design',
+    sectionNumber: '01',
+    isLab: 0,
+    instructor: 'Jane Doe',
+    currentEnrollment: 100,
+    maxEnrollment: 120,
+    ...overrides
+  };
+}
+
+const names = section => sectionInstructors(section).map(p => p.name);
+
+test('instructor names', async (t) => {
+  await t.test('reads the instructors list before the instructor text', () => {
+    assert.deepEqual(names({ instructors: [{ firstName: 'Jane', lastName: 'Doe' }, 'Sam Lee'], instructor: 'Someone Else' }), ['Jane Doe', 'Sam Lee']);
+    assert.deepEqual(names({ instructors: '[]', instructor: 'Jane Doe, Sam Lee' }), ['Jane Doe', 'Sam Lee']);
+  });
+
+  await t.test('understands "Last, First" and drops placeholders', () => {
+    assert.deepEqual(names({ instructor: 'Doe, Jane' }), ['Jane Doe']);
+    assert.deepEqual(names({ instructor: 'Jane Doe; Staff' }), ['Jane Doe']);
+    assert.deepEqual(names({ instructor: 'TBA' }), []);
+  });
+
+  await t.test('middle initials and case do not split a person', () => {
+    const [a] = sectionInstructors({ instructor: 'Jane Q. Doe' });
+    const [b] = sectionInstructors({ instructor: 'JANE DOE' });
+    assert.equal(a.key, b.key);
+  });
+});
+
+test('instructor profiles', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  assert.equal((await server.ingest('/courses', [
+    section(),
+    section({ sectionNumber: '02', instructor: 'Jane Q. Doe, Sam Lee', currentEnrollment: 80 }),
+    section({ courseNumber: '322', title: 'Software Engineering', instructor: 'Doe, Jane', currentEnrollment: 40 }),
+    section({ term: 'Spring', year: 2026, instructor: 'jane doe', currentEnrollment: 110 }),
+    section({ term: 'Spring', year: 2025, courseNumber: '499', title: 'Special Problems', instructor: 'Staff' }),
+  ])).job.status, 'completed');
+
+  const sections = (await server.request('GET', '/api/courses?prefix=CPT S&limit=10')).body.courses;
+  const janeId = sections.find(s => s.courseNumber === '322').instructorProfiles[0].id;
+
+  await t.test('sections link to one profile per instructor', async () => {
+    const bySection = Object.fromEntries(sections.map(s => [`${s.term} ${s.courseNumber}-${s.sectionNumber}`, s.instructorProfiles.map(p => p.id)]));
+    assert.deepEqual(bySection['Fall 121-01'], [janeId]);
+    assert.equal(bySection['Fall 121-02'][0], janeId);
+    assert.equal(bySection['Fall 121-02'].length, 2);
+    assert.deepEqual(bySection['Spring 121-01'], [janeId]);
+    assert.deepEqual(bySection['Spring 499-01'], []);
+  });
+
+  await t.test('profile lists sections by term with enrollment', async () => {
+    const res = await server.request('GET', `/api/instructors/${janeId}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, 'Jane Doe');
+    assert.equal(res.body.sectionCount, 4);
+    assert.equal(res.body.totalEnrolled, 330);
+    assert.deepEqual(res.body.terms.map(t => `${t.term} ${t.year}: ${t.enrolled}`), ['Spring 2026: 110', 'Fall 2025: 220']);
+    assert.deepEqual(res.body.terms[1].sections.map(s => `${s.courseNumber}-${s.sectionNumber} ${s.currentEnrollment}/${s.maxEnrollment}`), [
+      '121-01 100/120', '121-02 80/120', '322-01 40/120',
+    ]);
+    assert.deepEqual(res.body.courses.map(c => `${c.courseNumber} ${c.sectionCount} ${c.terms.join('|')}`), [
+      '121 3 Spring 2026|Fall 2025', '322 1 Fall 2025',
+    ]);
+    assert.equal(res.body.rating, null);
+  });
+
+  await t.test('includes the stored rating once RMP has matched them', async () => {
+    await server.repos.ratings.saveInstructorRating(janeId, null, '2025-09-01T00:00:00.000Z');
+    assert.equal((await server.request('GET', `/api/instructors/${janeId}`)).body.rating, null);
+
+    await server.repos.ratings.saveInstructorRating(janeId, {
+      legacyId: '7', matchedName: 'Jane Doe', avgRating: 4.3, avgDifficulty: 2.9, wouldTakeAgainPercent: 88, numRatings: 12,
+    }, '2025-09-02T00:00:00.000Z');
+    const res = await server.request('GET', `/api/instructors/${janeId}`);
+    assert.deepEqual(res.body.rating, {
+      legacyId: '7', matchedName: 'Jane Doe', avgRating: 4.3, avgDifficulty: 2.9, wouldTakeAgainPercent: 88, numRatings: 12,
+      fetchedAt: '2025-09-02T00:00:00.000Z', profileUrl: 'https://www.ratemyprofessors.com/professor/7',
+    });
+  });
+
+  await t.test('changing a section\'s instructor moves it between profiles', async () => {
+    await server.ingest('/courses', [section({ courseNumber: '322', title: 'Software Engineering', instructor: 'Sam Lee' })]);
+    const res = await server.request('GET', `/api/instructors/${janeId}`);
+    assert.equal(res.body.sectionCount, 3);
+  });
+
+  await t.test('profiles survive clearing a term and keep their id', async () => {
+    await server.admin('POST', '/clear', { term: 'Spring', year: 2026 });
+    const orphans = await server.db.get('SELECT COUNT(*) AS count FROM course_instructors WHERE courseId NOT IN (SELECT id FROM courses)');
+    assert.equal(orphans.count, 0);
+    await server.ingest('/courses', [section({ term: 'Spring', year: 2026, instructor: 'Jane Doe' })]);
+    assert.equal((await server.request('GET', `/api/instructors/${janeId}`)).body.sectionCount, 3);
+  });
+
+  await t.test('unknown and malformed ids', async () => {
+    assert.equal((await server.request('GET', '/api/instructors/9999')).status, 404);
+    assert.equal((await server.request('GET', '/api/instructors/jane')).status, 400);
+  });
+});
+
+test('migration 008 builds instructors from existing sections', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 7 });
+  await db.run(`
+    INSERT INTO courses (uniqueId, campus, term, year, prefix, courseNumber, sectionNumber, isLab, instructor, instructors)
+    VALUES ('a', 'Pullman', 'Fall', 2024, 'MATH', '171', '01', 0, 'Ann Smith', '[]'),
+           ('b', 'Pullman', 'Fall', 2025, 'MATH', '172', '01', 0, 'Smith, Ann', NULL),
+           ('c', 'Pullman', 'Fall', 2025, 'MATH', '499', '01', 0, 'Staff', NULL)
+  `);
+  await migrator.migrate({ to: 8 });
+
+  assert.deepEqual((await db.all('SELECT nameKey, name FROM instructors')).map(r => ({ ...r })), [{ nameKey: 'ann smith', name: 'Ann Smith' }]);
+  assert.equal((await db.get('SELECT COUNT(*) AS count FROM course_instructors')).count, 2);
+
+  await migrator.rollback({ to: 7 });
+  const tables = await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE '%instructors'");
+  assert.deepEqual(tables, []);
+  await new Promise(resolve => handle.close(resolve));
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+
+async function openMemory() {
+  const handle = await openDatabase(':memory:');
+  return { handle, db: createDataAccess(handle), close: () => new Promise(resolve => handle.close(resolve)) };
+}
+
+// Everything the migrations create, for comparing schemas
+async function schema(db) {
+  const rows = await db.all(`
+    SELECT type, name, sql FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+    ORDER BY type, name
+  `);
+  return rows.map(r => ({ ...r }));
+}
+
+// A migrations directory holding just `files` ({ '001_name.js': source })
+function migrationsDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), source);
+  return dir;
+}
+
+test('migrator against the real migrations', async (t) => {
+  const { handle, db, close } = await openMemory();
+  t.after(close);
+  const migrator = createMigrator(handle);
+  const latest = migrator.migrations[migrator.migrations.length - 1].version;
+
+  await t.test('up applies every migration in order', async () => {
+    const applied = await migrator.migrate();
+    assert.deepEqual(applied.map(m => m.version), migrator.migrations.map(m => m.version));
+    const status = await migrator.check();
+    assert.equal(status.current, latest);
+    assert.deepEqual(status.pending, []);
+  });
+
+  await t.test('down then up again ends with the same schema', async () => {
+    const migrated = await schema(db);
+    const reverted = await migrator.rollback({ to: 1 });
+    assert.deepEqual(reverted.map(m => m.version), migrator.migrations.slice(1).map(m => m.version).reverse());
+    assert.equal((await migrator.status()).current, 1);
+    await assert.rejects(migrator.check(), { code: 'PENDING' });
+
+    await migrator.migrate();
+    assert.deepEqual(await schema(db), migrated);
+    assert.equal((await migrator.check()).current, latest);
+  });
+
+  await t.test('the baseline cannot be rolled back', async () => {
+    await assert.rejects(migrator.rollback({ to: 0 }), { code: 'IRREVERSIBLE' });
+    assert.equal((await migrator.status()).current, latest);
+  });
+});
+
+test('migrator refuses a dirty database', async (t) => {
+  for (const state of ['running', 'rolling-back']) {
+    await t.test(`with a '${state}' row left behind`, async () => {
+      const { handle, db, close } = await openMemory();
+      t.after(close);
+      const migrator = createMigrator(handle);
+      await migrator.migrate();
+      await db.run('UPDATE schema_migrations SET state = ? WHERE version = ?', [state, 2]);
+
+      const status = await migrator.status();
+      assert.deepEqual(status.dirty.map(d => ({ ...d })), [{ version: 2, name: migrator.migrations[1].name, state }]);
+      for (const attempt of [migrator.check(), migrator.migrate(), migrator.rollback()]) {
+        await assert.rejects(attempt, err => err.name === 'MigrationError' && err.code === 'DIRTY' && err.message.includes(state));
+      }
+
+      // resolve() is the way out, once the schema has been repaired by hand
+      assert.equal(await migrator.resolve(2), state);
+      if (state === 'running') {
+        assert.equal((await migrator.check()).current, migrator.migrations[migrator.migrations.length - 1].version);
+      } else {
+        await assert.rejects(migrator.check(), { code: 'PENDING' });
+      }
+    });
+  }
+
+  await t.test('with versions from a newer release', async () => {
+    const { handle, db, close } = await openMemory();
+    t.after(close);
+    const migrator = createMigrator(handle);
+    await migrator.migrate();
+    await db.run("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')");
+    await assert.rejects(migrator.check(), { code: 'UNKNOWN_VERSION' });
+  });
+});
+
+test('failed migrations', async (t) => {
+  await t.test('a transactional migration rolls back and is forgotten', async () => {
+    const dir = migrationsDir(t, {
+      '001_widgets.js': "module.exports = { up: db => db.exec('CREATE TABLE widgets (id INTEGER)'), down: db => db.exec('DROP TABLE widgets') };",
+      '002_broken.js': "module.exports = { up: async db => { await db.exec('CREATE TABLE gadgets (id INTEGER)'); await db.exec('NOT SQL'); }, down: null };",
+    });
+    const { handle, db, close } = await openMemory();
+    t.after(close);
+    const migrator = createMigrator(handle, { dir });
+
+    await assert.rejects(migrator.migrate(), { code: 'FAILED', version: 2 });
+    assert.deepEqual((await schema(db)).map(r => r.name), ['widgets']);
+    const status = await migrator.status();
+    assert.equal(status.current, 1);
+    assert.deepEqual(status.dirty, []);
+    assert.deepEqual(status.pending.map(m => m.version), [2]);
+  });
+
+  await t.test('a non-transactional migration is left dirty', async () => {
+    const dir = migrationsDir(t, {
+      '001_broken.js': "module.exports = { transaction: false, up: async db => { await db.exec('CREATE TABLE gadgets (id INTEGER)'); await db.exec('NOT SQL'); } };",
+    });
+    const { handle, close } = await openMemory();
+    t.after(close);
+    const migrator = createMigrator(handle, { dir });
+
+    await assert.rejects(migrator.migrate(), { code: 'FAILED', version: 1 });
+    await assert.rejects(migrator.check(), { code: 'DIRTY' });
+  });
+
+  await t.test('duplicate versions are refused on load', (t) => {
+    const dir = migrationsDir(t, {
+      '001_a.js': 'module.exports = { up() {} };',
+      '001_b.js': 'module.exports = { up() {} };',
+    });
+    assert.throws(() => createMigrator({}, { dir }), /Duplicate migration version 1/);
+  });
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPrereqGraph, PREREQ_GRAPH_MAX_NODES } = require('../server/services/prereqGraph');
+
+function course(code, prereqs = [], overrides = {}) {
+  return {
+    code,
+    title: `Course ${code}`,
+    credits: 3,
+    prerequisite_codes: JSON.stringify(prereqs),
+    prerequisite_raw: prereqs.join(' and ') || null,
+    prerequisite_tree: null,
+    ...overrides,
+  };
+}
+
+const codes = graph => graph.nodes.map(n => n.code).sort();
+const edges = graph => graph.edges.map(e => `${e.from}>${e.to}`).sort();
+
+test('buildPrereqGraph', async (t) => {
+  // A chain MATH 100 -> MATH 171 -> MATH 172 -> MATH 273 -> MATH 315
+  const chain = [
+    course('MATH 100'),
+    course('MATH 171', ['MATH 100']),
+    course('MATH 172', ['MATH 171']),
+    course('MATH 273', ['MATH 172']),
+    course('MATH 315', ['MATH 273']),
+  ];
+
+  await t.test('walks prerequisites and unlocks from the root', () => {
+    const graph = buildPrereqGraph(chain, 'MATH 172', 5);
+    assert.equal(graph.found, true);
+    assert.equal(graph.truncated, false);
+    assert.deepEqual(codes(graph), ['MATH 100', 'MATH 171', 'MATH 172', 'MATH 273', 'MATH 315']);
+    assert.deepEqual(edges(graph), ['MATH 100>MATH 171', 'MATH 171>MATH 172', 'MATH 172>MATH 273', 'MATH 273>MATH 315']);
+    const byCode = Object.fromEntries(graph.nodes.map(n => [n.code, n]));
+    assert.equal(byCode['MATH 172'].relation, 'root');
+    assert.equal(byCode['MATH 100'].relation, 'prerequisite');
+    assert.equal(byCode['MATH 100'].depth, 2);
+    assert.equal(byCode['MATH 315'].relation, 'unlocks');
+  });
+
+  await t.test('stops at the depth limit in each direction', () => {
+    const graph = buildPrereqGraph(chain, 'MATH 172', 1);
+    assert.deepEqual(codes(graph), ['MATH 171', 'MATH 172', 'MATH 273']);
+    assert.equal(graph.truncated, false);
+    assert.deepEqual(codes(buildPrereqGraph(chain, 'MATH 172', 0)), ['MATH 172']);
+  });
+
+  await t.test('is truncated past the node limit, keeping the closest courses', () => {
+    const rows = [course('CPT S 121')];
+    for (let i = 0; i < PREREQ_GRAPH_MAX_NODES + 10; i++) {
+      rows.push(course(`ENGR ${String(100 + i).padStart(3, '0')}`, ['CPT S 121']));
+    }
+    rows.push(course('ENGR 999', ['ENGR 100']));
+    const graph = buildPrereqGraph(rows, 'CPTS 121', 3);
+    assert.equal(graph.truncated, true);
+    assert.equal(graph.nodes.length, PREREQ_GRAPH_MAX_NODES);
+    assert.ok(graph.nodes.every(n => n.depth <= 1));
+    // Every edge joins two nodes that made it in
+    const kept = new Set(graph.nodes.map(n => n.code));
+    assert.ok(graph.edges.every(e => kept.has(e.from) && kept.has(e.to)));
+  });
+
+  await t.test('cycles end without repeating nodes or edges', () => {
+    const rows = [
+      course('CHEM 105', ['CHEM 106']),
+      course('CHEM 106', ['CHEM 105']),
+      course('CHEM 220', ['CHEM 106']),
+    ];
+    const graph = buildPrereqGraph(rows, 'CHEM 105', 10);
+    assert.deepEqual(codes(graph), ['CHEM 105', 'CHEM 106', 'CHEM 220']);
+    assert.deepEqual(edges(graph), ['CHEM 105>CHEM 106', 'CHEM 106>CHEM 105', 'CHEM 106>CHEM 220']);
+    assert.equal(graph.truncated, false);
+  });
+
+  await t.test('a course listed as its own prerequisite has no self edge', () => {
+    const graph = buildPrereqGraph([course('BIOL 106', ['BIOL 106'])], 'BIOL 106', 3);
+    assert.deepEqual(graph.edges, []);
+    assert.deepEqual(graph.nodes[0].prerequisites, []);
+  });
+
+  await t.test('unknown roots and prerequisites outside the catalog', () => {
+    assert.equal(buildPrereqGraph(chain, 'HIST 105', 3).found, false);
+    const graph = buildPrereqGraph([course('PHYS 201', ['MATH 171'])], 'PHYS 201', 2);
+    const math = graph.nodes.find(n => n.code === 'MATH 171');
+    assert.equal(math.inCatalog, false);
+    assert.equal(math.prerequisiteTree, null);
+  });
+
+  await t.test('a malformed stored tree falls back to the raw text', () => {
+    const rows = [course('MATH 172', ['MATH 171'], { prerequisite_tree: '{"type":', prerequisite_raw: 'MATH 171' })];
+    const [root] = buildPrereqGraph(rows, 'MATH 172', 1).nodes;
+    assert.ok(root.prerequisiteTree);
+    assert.match(JSON.stringify(root.prerequisiteTree), /MATH 171/);
+  });
+});
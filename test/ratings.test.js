@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { matchTeacher, ratingFromTeacher, recordLookup, refreshRatings, searchKey, WSU_SCHOOL_ID } = require('../server/services/ratings');
+
+const WSU = { name: 'Washington State University' };
+
+function teacher(firstName, lastName, overrides = {}) {
+  return { legacyId: 1, firstName, lastName, avgRating: 4, avgDifficulty: 3, wouldTakeAgainPercent: 75, numRatings: 10, school: WSU, ...overrides };
+}
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Spring',
+    year: 2026,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    courseNumber: '121',
+    title: 'Program Design',
+    sectionNumber: '01',
+    isLab: 0,
+    ...overrides
+  };
+}
+
+test('matching RMP teachers to instructors', async (t) => {
+  await t.test('prefers the WSU teacher and ignores other schools', () => {
+    const idaho = teacher('Jane', 'Doe', { legacyId: 2, school: { name: 'University of Idaho' } });
+    const wsu = teacher('Jane', 'Doe', { legacyId: 3 });
+    assert.equal(matchTeacher({ name: 'Jane Doe' }, [idaho, wsu]), wsu);
+    assert.equal(matchTeacher({ name: 'Jane Doe' }, [idaho]), null);
+  });
+
+  await t.test('tolerates initials, short names, typos and hyphenated last names', () => {
+    assert.ok(matchTeacher({ name: 'J. Doe' }, [teacher('Jane', 'Doe')]));
+    assert.ok(matchTeacher({ name: 'Sam Lee' }, [teacher('Samuel', 'Lee')]));
+    assert.ok(matchTeacher({ name: 'Jane Johnsen' }, [teacher('Jane', 'Johnson')]));
+    assert.ok(matchTeacher({ name: 'Ana Garcia' }, [teacher('Ana', 'Garcia-Lopez')]));
+    assert.ok(matchTeacher({ name: "Pat O'Fallon" }, [teacher('Pat', 'OFallon')]));
+  });
+
+  await t.test('rejects a different first or last name', () => {
+    assert.equal(matchTeacher({ name: 'Mary Doe' }, [teacher('Jane', 'Doe')]), null);
+    assert.equal(matchTeacher({ name: 'Jane Dee' }, [teacher('Jane', 'Doe')]), null);
+  });
+
+  await t.test('breaks ties by number of ratings', () => {
+    const few = teacher('Jane', 'Doe', { legacyId: 4, numRatings: 2 });
+    const many = teacher('Jane', 'Doe', { legacyId: 5, numRatings: 40 });
+    assert.equal(matchTeacher({ name: 'Jane Doe' }, [few, many]), many);
+  });
+
+  await t.test('unrated teachers store no averages', () => {
+    const rating = ratingFromTeacher(teacher('Jane', 'Doe', { avgRating: 0, numRatings: 0 }));
+    assert.equal(rating.avgRating, null);
+    assert.equal(ratingFromTeacher(teacher('Jane', 'Doe', { wouldTakeAgainPercent: -1 })).wouldTakeAgainPercent, null);
+  });
+});
+
+test('stored ratings', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const { ratings, instructors } = server.repos;
+
+  await server.ingest('/courses', [
+    section({ term: 'Fall', year: 2025, instructor: 'Old Timer' }),
+    section({ sectionNumber: '01', instructor: 'Jane Doe' }),
+    section({ sectionNumber: '02', instructor: 'Sam Lee' }),
+    section({ sectionNumber: '03', instructor: 'Pat Kim' }),
+    section({ courseNumber: '122', title: 'Data Structures', instructor: 'Jane Doe; Sam Lee' }),
+  ]);
+  const id = async name => (await server.db.get('SELECT id FROM instructors WHERE name = ?', [name])).id;
+
+  await t.test('proxy cache entries expire', async () => {
+    await ratings.setCached('rmp:test', [{ legacyId: '1' }]);
+    assert.deepEqual(await ratings.getCached('rmp:test', 60 * 1000), [{ legacyId: '1' }]);
+    await server.db.run("UPDATE rmp_cache SET fetchedAt = '2020-01-01T00:00:00.000Z' WHERE key = 'rmp:test'");
+    assert.equal(await ratings.getCached('rmp:test', 60 * 1000), undefined);
+  });
+
+  await t.test('the proxy answers searches from the stored cache', async () => {
+    await ratings.setCached(searchKey('Jane Doe'), [{ legacyId: '9', firstName: 'Jane', lastName: 'Doe' }]);
+    const res = await server.request('POST', '/api/rmp-proxy', { body: { action: 'searchTeacher', name: 'Jane Doe' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.source, 'cache');
+    assert.equal(res.body.data[0].legacyId, '9');
+  });
+
+  await t.test('a proxy search rates the instructor it names', async () => {
+    await recordLookup(server.repos, 'Pat Kim', [teacher('Pat', 'Kim', { legacyId: 12, avgRating: 3.1 })]);
+    assert.equal((await ratings.findInstructorRating(await id('Pat Kim'))).avgRating, 3.1);
+    await recordLookup(server.repos, 'Nobody Here', [teacher('Nobody', 'Here')]);
+  });
+
+  await t.test('refresh looks up current-term instructors, unrated first', async () => {
+    const searched = [];
+    const searchTeachers = async (name, schoolId) => {
+      assert.equal(schoolId, WSU_SCHOOL_ID);
+      searched.push(name);
+      return name === 'Jane Doe' ? [teacher('Jane', 'Doe', { legacyId: 7, avgRating: 4.5 })] : [];
+    };
+    const result = await refreshRatings({ ratings, searchTeachers, limit: 10 });
+    assert.deepEqual(searched.sort(), ['Jane Doe', 'Sam Lee']);
+    assert.deepEqual(result, { checked: 2, matched: 1, failed: false });
+    assert.equal((await ratings.findInstructorRating(await id('Jane Doe'))).legacyId, '7');
+    assert.equal((await ratings.findInstructorRating(await id('Sam Lee'))).legacyId, null);
+
+    // Everyone is fresh now; when all are due again, a failed request stops the pass
+    assert.equal((await refreshRatings({ ratings, searchTeachers })).checked, 0);
+    const failing = async () => { throw new Error('rate limited'); };
+    assert.deepEqual(await refreshRatings({ ratings, searchTeachers: failing, maxAgeMs: 0 }), { checked: 0, matched: 0, failed: true });
+  });
+
+  await t.test('sections sort by instructor rating, unrated last', async () => {
+    await ratings.saveInstructorRating(await id('Sam Lee'), { legacyId: '8', avgRating: 3.5 });
+    const res = await server.request('GET', '/api/courses?term=Spring&year=2026&sort=rating');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.courses.map(c => `${c.courseNumber}-${c.sectionNumber} ${c.instructorRating}`), [
+      '121-01 4.5', '122-01 4', '121-02 3.5', '121-03 3.1',
+    ]);
+    const [first] = res.body.courses;
+    assert.deepEqual(first.instructorProfiles.map(p => [p.name, p.avgRating]), [['Jane Doe', 4.5]]);
+
+    await ratings.saveInstructorRating(await id('Pat Kim'), null);
+    const withUnrated = await server.request('GET', '/api/courses?term=Spring&year=2026&sort=rating');
+    assert.equal(withUnrated.body.courses.at(-1).instructorRating, null);
+  });
+
+  await t.test('rejects unknown sorts', async () => {
+    const res = await server.request('GET', '/api/courses?sort=seats');
+    assert.equal(res.status, 400);
+  });
+
+  await t.test('instructors are kept by key', async () => {
+    assert.equal((await instructors.findByKey('jane doe')).name, 'Jane Doe');
+    assert.equal(await instructors.findByKey(''), undefined);
+  });
+});
+
+test('migration 009 adds rating tables', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 9 });
+  const tables = async () => (await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('rmp_cache', 'instructor_ratings') ORDER BY name")).map(r => r.name);
+  assert.deepEqual(await tables(), ['instructor_ratings', 'rmp_cache']);
+  await migrator.rollback({ to: 8 });
+  assert.deepEqual(await tables(), []);
+  await new Promise(resolve => handle.close(resolve));
+});
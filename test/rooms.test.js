@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { openDatabase, createDataAccess } = require('../server/db');
+const { createMigrator } = require('../db/migrator');
+const { parseLocation, isoDate, meetingRows, freeIntervals } = require('../server/services/meetingTimes');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Spring',
+    year: 2026,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    sectionNumber: '01',
+    isLab: 0,
+    startDate: '2026-01-12',
+    endDate: '2026-05-01',
+    ...overrides
+  };
+}
+
+const SECTIONS = [
+  section({ courseNumber: '121', title: 'Program Design', dayTime: 'MWF 9:10-10:00', location: 'SLOAN 175' }),
+  section({ courseNumber: '122', title: 'Data Structures', dayTime: 'MWF 11:10-12:00', location: 'sloan  175' }),
+  section({
+    courseNumber: '260', title: 'Computer Architecture', dayTime: 'MWF 10:10-11:00',
+    meetings: [
+      { days: 'MWF', startTime: '10:10', endTime: '11:00', building: 'SLOAN', room: '175' },
+      { days: 'R', startTime: '14:10', endTime: '17:00', location: 'EME 128', startDate: '2026-02-02', endDate: '2026-03-13' },
+    ]
+  }),
+  section({ courseNumber: '317', title: 'Automata', dayTime: 'TR 9:10-10:25', location: 'TODD 130' }),
+  section({ courseNumber: '499', title: 'Special Problems', dayTime: 'ARRGT', location: 'ARR ARR' }),
+  section({ courseNumber: '121', sectionNumber: '02', campus: 'Everett', dayTime: 'MW 9:10-10:25', location: 'EVRT 201' }),
+];
+
+test('meeting locations and dates', async (t) => {
+  await t.test('splits building from room', () => {
+    assert.deepEqual(parseLocation('SLOAN 175'), { building: 'SLOAN', room: '175' });
+    assert.deepEqual(parseLocation('Todd  Hall 130B'), { building: 'TODD HALL', room: '130B' });
+    for (const location of [null, '', 'ARR ARR', 'TBA 1', 'ONLINE', 'SLOAN']) {
+      assert.equal(parseLocation(location), null, location);
+    }
+  });
+
+  await t.test('reads ISO and US dates', () => {
+    assert.equal(isoDate('2026-01-12'), '2026-01-12');
+    assert.equal(isoDate('2026-01-12T08:00:00Z'), '2026-01-12');
+    assert.equal(isoDate('1/2/2026'), '2026-01-02');
+    assert.equal(isoDate('soon'), null);
+  });
+
+  await t.test('meetings take their own location and dates before the section\'s', () => {
+    const rows = meetingRows(SECTIONS[2]);
+    assert.deepEqual(rows.map(r => `${r.day} ${r.building} ${r.room} ${r.startDate}..${r.endDate}`), [
+      'M SLOAN 175 2026-01-12..2026-05-01',
+      'W SLOAN 175 2026-01-12..2026-05-01',
+      'F SLOAN 175 2026-01-12..2026-05-01',
+      'R EME 128 2026-02-02..2026-03-13',
+    ]);
+  });
+
+  await t.test('a section location list is matched to its meetings in order', () => {
+    const rows = meetingRows({
+      meetings: [{ days: 'T', startTime: '9', endTime: '10' }, { days: 'R', startTime: '9', endTime: '10' }],
+      location: 'SLOAN 175, EME 128'
+    });
+    assert.deepEqual(rows.map(r => `${r.day} ${r.building} ${r.room}`), ['T SLOAN 175', 'R EME 128']);
+    const unmatched = meetingRows({ dayTime: 'TR 9-10', location: 'SLOAN 175, EME 128' });
+    assert.deepEqual(unmatched.map(r => r.building), [null, null]);
+  });
+
+  await t.test('free intervals are the gaps in the teaching day', () => {
+    const free = freeIntervals([
+      { day: 'M', startMinute: 550, endMinute: 600 },
+      { day: 'M', startMinute: 590, endMinute: 660 },
+      { day: 'M', startMinute: 1260, endMinute: 1380 },
+    ]);
+    assert.deepEqual(free.M, [{ startMinute: 420, endMinute: 550 }, { startMinute: 660, endMinute: 1260 }]);
+    assert.deepEqual(free.T, [{ startMinute: 420, endMinute: 1320 }]);
+    assert.deepEqual(Object.keys(free), ['M', 'T', 'W', 'R', 'F']);
+  });
+});
+
+test('rooms API', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  assert.equal((await server.ingest('/courses', SECTIONS)).job.status, 'completed');
+
+  await t.test('sections carry their normalized meeting times', async () => {
+    const res = await server.request('GET', '/api/courses?campus=Pullman&search=automata');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.courses[0].meetingTimes, [
+      { day: 'T', startMinute: 550, endMinute: 625, building: 'TODD', room: '130', startDate: '2026-01-12', endDate: '2026-05-01' },
+      { day: 'R', startMinute: 550, endMinute: 625, building: 'TODD', room: '130', startDate: '2026-01-12', endDate: '2026-05-01' },
+    ]);
+    const arranged = await server.request('GET', '/api/courses?campus=Pullman&prefix=CPT S');
+    assert.deepEqual(arranged.body.courses.find(c => c.courseNumber === '499').meetingTimes, []);
+  });
+
+  await t.test('buildings list their rooms', async () => {
+    const res = await server.request('GET', '/api/buildings?campus=Pullman&term=Spring&year=2026');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.buildings, [
+      { building: 'EME', rooms: [{ room: '128', sectionCount: 1 }] },
+      { building: 'SLOAN', rooms: [{ room: '175', sectionCount: 3 }] },
+      { building: 'TODD', rooms: [{ room: '130', sectionCount: 1 }] },
+    ]);
+  });
+
+  await t.test('free rooms for a time window', async () => {
+    const freeness = async (query) => {
+      const res = await server.request('GET', `/api/buildings?campus=Pullman&${query}`);
+      assert.equal(res.status, 200);
+      return Object.fromEntries(res.body.buildings.flatMap(b => b.rooms.map(r => [`${b.building} ${r.room}`, r.free])));
+    };
+    assert.deepEqual(await freeness('day=M&at=9:30'), { 'EME 128': true, 'SLOAN 175': false, 'TODD 130': true });
+    assert.deepEqual(await freeness('day=Thu&at=9:00&until=15:00'), { 'EME 128': false, 'SLOAN 175': true, 'TODD 130': false });
+    // EME 128 only hosts 260 from February to mid-March
+    assert.equal((await freeness('day=R&at=15:00&date=2026-04-02'))['EME 128'], true);
+    assert.equal((await freeness('day=M&at=12:00'))['SLOAN 175'], true);
+  });
+
+  await t.test('rejects malformed windows and dates', async () => {
+    for (const query of ['day=M', 'at=9:00', 'day=MW&at=9:00', 'day=M&at=noon', 'day=M&at=10:00&until=9:00', 'date=tomorrow']) {
+      const res = await server.request('GET', `/api/buildings?${query}`);
+      assert.equal(res.status, 400, query);
+    }
+  });
+
+  await t.test('room schedule lists meetings in week order with free gaps', async () => {
+    const res = await server.request('GET', '/api/rooms/sloan/175/schedule?term=Spring&year=2026');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.building, 'SLOAN');
+    assert.deepEqual(res.body.meetings.filter(m => m.day === 'M').map(m => `${m.courseNumber} ${m.startMinute}-${m.endMinute}`), [
+      '121 550-600', '260 610-660', '122 670-720',
+    ]);
+    assert.deepEqual(res.body.free.M, [
+      { startMinute: 420, endMinute: 550 },
+      { startMinute: 600, endMinute: 610 },
+      { startMinute: 660, endMinute: 670 },
+      { startMinute: 720, endMinute: 1320 },
+    ]);
+    assert.deepEqual(res.body.free.T, [{ startMinute: 420, endMinute: 1320 }]);
+  });
+
+  await t.test('room names with spaces and unknown rooms', async () => {
+    await server.ingest('/courses', [section({ courseNumber: '360', dayTime: 'F 8-9', location: 'Todd Hall 204' })]);
+    const res = await server.request('GET', `/api/rooms/${encodeURIComponent('todd hall')}/204/schedule`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.meetings.length, 1);
+    assert.equal((await server.request('GET', '/api/rooms/SLOAN/999/schedule')).status, 404);
+  });
+
+  await t.test('moving a section moves its meetings', async () => {
+    await server.ingest('/courses', [{ ...SECTIONS[3], location: 'SLOAN 175' }]);
+    assert.equal((await server.request('GET', '/api/rooms/TODD/130/schedule')).status, 404);
+    const res = await server.request('GET', '/api/rooms/SLOAN/175/schedule');
+    assert.ok(res.body.meetings.some(m => m.courseNumber === '317'));
+  });
+
+  await t.test('semesters are never mixed; the latest is the default', async () => {
+    await server.ingest('/courses', [section({ term: 'Fall', year: 2025, courseNumber: '480', dayTime: 'M 9-10', location: 'CUE 203' })]);
+
+    const latest = await server.request('GET', '/api/buildings?campus=Pullman');
+    assert.equal(latest.body.term, 'Spring');
+    assert.equal(latest.body.year, '2026');
+    assert.ok(!latest.body.buildings.some(b => b.building === 'CUE'));
+
+    const fall = await server.request('GET', '/api/buildings?campus=Pullman&term=Fall&year=2025');
+    assert.deepEqual(fall.body.buildings, [{ building: 'CUE', rooms: [{ room: '203', sectionCount: 1 }] }]);
+    const schedule = await server.request('GET', '/api/rooms/CUE/203/schedule');
+    assert.equal(schedule.body.meetings.length, 0);
+
+    assert.equal((await server.request('GET', '/api/buildings?term=Fall')).status, 400);
+    assert.equal((await server.request('GET', '/api/rooms/CUE/203/schedule?year=2025')).status, 400);
+  });
+});
+
+test('migration 007 adds locations to existing meetings', async () => {
+  const handle = await openDatabase(':memory:');
+  const db = createDataAccess(handle);
+  const migrator = createMigrator(handle);
+  await migrator.migrate({ to: 6 });
+  await db.run(`
+    INSERT INTO courses (uniqueId, campus, term, year, prefix, courseNumber, sectionNumber, isLab, dayTime, location, startDate, endDate)
+    VALUES ('a', 'Pullman', 'Fall', 2025, 'MATH', '171', '01', 0, 'TR 10:35-11:50', 'SPARK 335', '8/25/2025', '12/12/2025')
+  `);
+  await migrator.migrate({ to: 7 });
+
+  const rows = await db.all('SELECT day, building, room, startDate, endDate FROM course_meetings ORDER BY id');
+  assert.deepEqual(rows.map(r => ({ ...r })), [
+    { day: 'T', building: 'SPARK', room: '335', startDate: '2025-08-25', endDate: '2025-12-12' },
+    { day: 'R', building: 'SPARK', room: '335', startDate: '2025-08-25', endDate: '2025-12-12' },
+  ]);
+
+  await migrator.rollback({ to: 6 });
+  const columns = await db.all('PRAGMA table_info(course_meetings)');
+  assert.ok(!columns.some(c => c.name === 'building'));
+  assert.equal((await db.get('SELECT COUNT(*) AS count FROM course_meetings')).count, 2);
+  await new Promise(resolve => handle.close(resolve));
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { watchCrossed, describeWatchCrossing } = require('../server/services/watches');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2024,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    courseNumber: '121',
+    sectionNumber: '01',
+    isLab: 0,
+    title: 'Program Design and Development C/C++',
+    seatsAvailable: 0,
+    waitlistAvailable: 5,
+    ...overrides
+  };
+}
+
+const UNIQUE_ID = 'Pullman-Fall-2024-CPT S-121-01-0';
+const LAB_ID = 'Pullman-Fall-2024-CPT S-121-02-0';
+
+test('watchCrossed', async (t) => {
+  const above = { direction: 'above', threshold: 1 };
+  const below = { direction: 'below', threshold: 3 };
+
+  await t.test('"above" fires when the value reaches the threshold from under it', () => {
+    assert.equal(watchCrossed(above, 0, 1), true);
+    assert.equal(watchCrossed(above, 0, 4), true);
+    assert.equal(watchCrossed(above, 0, 0), false);
+    // Already open: no repeat until it drops back under
+    assert.equal(watchCrossed(above, 2, 5), false);
+  });
+
+  await t.test('"below" fires when the value drops under the threshold', () => {
+    assert.equal(watchCrossed(below, 3, 2), true);
+    assert.equal(watchCrossed(below, 5, 3), false);
+    assert.equal(watchCrossed(below, 2, 1), false);
+  });
+
+  await t.test('a missing value never fires; a missing previous value counts as crossing', () => {
+    assert.equal(watchCrossed(above, 0, null), false);
+    assert.equal(watchCrossed(above, null, 2), true);
+    assert.equal(watchCrossed(below, undefined, 0), true);
+  });
+
+  await t.test('messages name the section and what changed', () => {
+    const watch = { prefix: 'CPT S', courseNumber: '121', sectionNumber: '01', field: 'seatsAvailable', direction: 'above' };
+    assert.equal(describeWatchCrossing(watch, 4), 'CPT S 121 section 01 now has 4 seats open');
+    assert.equal(describeWatchCrossing({ ...watch, field: 'waitlistAvailable', direction: 'below' }, 1),
+      'CPT S 121 section 01 is down to 1 waitlist spots');
+  });
+});
+
+test('seat watches', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  async function signUp(email) {
+    const res = await server.request('POST', '/api/auth/register', { body: { email, password: 'correct horse battery' } });
+    assert.equal(res.status, 201, res.text);
+    return (method, path, body) => server.request(method, `/api${path}`, { body, headers: { Authorization: `Bearer ${res.body.token}` } });
+  }
+  const student = await signUp('student@wsu.edu');
+  const other = await signUp('other@wsu.edu');
+
+  const scrape = async (...sections) => {
+    const res = await server.ingest('/courses', sections);
+    assert.equal(res.job.status, 'completed');
+    return res.body;
+  };
+  const notifications = async (as = student) => (await as('GET', '/notifications')).body.notifications;
+
+  await scrape(section(), section({ sectionNumber: '02', seatsAvailable: 10 }));
+
+  await t.test('watching needs a session and a known section', async () => {
+    assert.equal((await server.request('GET', '/api/watches')).status, 401);
+    assert.equal((await student('POST', '/watches', { uniqueId: 'nope' })).status, 404);
+    assert.equal((await student('POST', '/watches', { uniqueId: UNIQUE_ID, field: 'credits' })).status, 400);
+    assert.equal((await student('POST', '/watches', { uniqueId: UNIQUE_ID, threshold: -1 })).status, 400);
+  });
+
+  await t.test('a watch starts from the current value', async () => {
+    const res = await student('POST', '/watches', { uniqueId: UNIQUE_ID, threshold: 2 });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.watch.lastValue, 0);
+    assert.equal(res.body.watch.course.seatsAvailable, 0);
+    assert.equal((await student('POST', '/watches', { uniqueId: LAB_ID, direction: 'below', threshold: 3 })).status, 201);
+    assert.deepEqual(await notifications(), []);
+  });
+
+  await t.test('changes that stay on one side of the threshold do not notify', async () => {
+    const result = await scrape(section({ seatsAvailable: 1 }), section({ sectionNumber: '02', seatsAvailable: 8 }));
+    assert.equal(result.notificationsQueued, 0);
+    assert.deepEqual(await notifications(), []);
+    const [watch] = (await student('GET', '/watches')).body.watches.filter(w => w.uniqueId === UNIQUE_ID);
+    assert.equal(watch.lastValue, 1);
+  });
+
+  await t.test('crossing the threshold notifies once per crossing', async () => {
+    const result = await scrape(section({ seatsAvailable: 4 }), section({ sectionNumber: '02', seatsAvailable: 2 }));
+    assert.equal(result.notificationsQueued, 2);
+    assert.equal((await scrape(section({ seatsAvailable: 6 }))).notificationsQueued, 0);
+
+    const list = await notifications();
+    assert.deepEqual(list.map(n => [n.uniqueId, n.previousValue, n.value]), [[UNIQUE_ID, 1, 4], [LAB_ID, 8, 2]]);
+    assert.equal(list[0].message, 'CPT S 121 section 01 now has 4 seats open');
+
+    // Closing and reopening is a new crossing
+    await scrape(section({ seatsAvailable: 0 }));
+    await scrape(section({ seatsAvailable: 3 }));
+    assert.deepEqual((await notifications()).map(n => n.value), [4, 2, 3]);
+  });
+
+  await t.test('notifications are the owner\'s until acknowledged', async () => {
+    const ids = (await notifications()).map(n => n.id);
+    assert.deepEqual(await notifications(other), []);
+    assert.deepEqual((await other('POST', '/notifications/ack', { ids })).body, { acknowledged: 0 });
+    assert.equal((await student('POST', '/notifications/ack', { ids: [] })).status, 400);
+
+    assert.deepEqual((await student('POST', '/notifications/ack', { ids: ids.slice(0, 2) })).body, { acknowledged: 2 });
+    assert.deepEqual((await notifications()).map(n => n.id), ids.slice(2));
+    assert.equal((await student('GET', '/notifications?limit=1')).body.notifications.length, 1);
+    assert.equal((await server.request('GET', '/api/notifications')).status, 401);
+  });
+
+  await t.test('each chunk is evaluated after it commits', async (t) => {
+    const previous = process.env.WEBHOOK_BATCH_COMMIT_SIZE;
+    process.env.WEBHOOK_BATCH_COMMIT_SIZE = '1';
+    t.after(() => {
+      if (previous === undefined) delete process.env.WEBHOOK_BATCH_COMMIT_SIZE;
+      else process.env.WEBHOOK_BATCH_COMMIT_SIZE = previous;
+    });
+
+    // Every watch check sees its chunk's sections already written
+    const { watches, courses } = server.repos;
+    const { listForSections } = watches;
+    const seen = [];
+    watches.listForSections = async (uniqueIds) => {
+      for (const id of uniqueIds) seen.push([id, (await courses.findByUniqueId(id)).seatsAvailable]);
+      return listForSections(uniqueIds);
+    };
+    t.after(() => { watches.listForSections = listForSections; });
+
+    await scrape(section({ seatsAvailable: 0 }), section({ sectionNumber: '02', seatsAvailable: 9 }));
+    assert.deepEqual(seen, [[UNIQUE_ID, 0], [LAB_ID, 9]]);
+
+    // A failing check leaves the scraped numbers in place
+    const { notify } = watches;
+    watches.notify = async () => { throw new Error('notify failed'); };
+    t.after(() => { watches.notify = notify; });
+    const result = await scrape(section({ seatsAvailable: 7 }), section({ sectionNumber: '02', seatsAvailable: 1 }));
+    assert.equal(result.added + result.updated, 2);
+    assert.equal(result.notificationsQueued, 0);
+    assert.equal((await courses.findByUniqueId(UNIQUE_ID)).seatsAvailable, 7);
+    assert.equal((await courses.findByUniqueId(LAB_ID)).seatsAvailable, 1);
+  });
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, WEBHOOK_SECRET, PREVIOUS_WEBHOOK_SECRET } = require('./helpers/testServer');
+const { signPayload } = require('../server/services/webhookSignature');
+
+function section(overrides = {}) {
+  return {
+    campus: 'Pullman',
+    term: 'Fall',
+    year: 2024,
+    prefix: 'CPT S',
+    subject: 'CPT_S',
+    courseNumber: '121',
+    sectionNumber: '01',
+    isLab: 0,
+    title: 'Program Design and Development C/C++',
+    credits: '4',
+    instructor: 'Staff',
+    seatsAvailable: 20,
+    maxEnrollment: 120,
+    currentEnrollment: 100,
+    waitlistCount: 0,
+    ...overrides
+  };
+}
+
+const UNIQUE_ID = 'Pullman-Fall-2024-CPT S-121-01-0';
+
+test('webhook authentication', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const now = () => String(Math.floor(Date.now() / 1000));
+  const signed = (secret, timestamp, body) => ({
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': signPayload(secret, timestamp, JSON.stringify(body))
+  });
+
+  for (const path of ['/courses', '/catalog-programs', '/degrees', '/department', '/catalog-pdf']) {
+    await t.test(`${path} rejects an unsigned request`, async () => {
+      const res = await server.request('POST', `/webhook${path}`, { body: [section()] });
+      assert.equal(res.status, 401);
+      assert.deepEqual(res.body, { success: false, error: 'Unauthorized: Missing X-Webhook-Signature header' });
+    });
+  }
+
+  await t.test('rejects a signature under the wrong secret', async () => {
+    const body = [section()];
+    const res = await server.webhook('/courses', body, signed('not-the-secret', now(), body));
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Unauthorized: Invalid signature');
+  });
+
+  await t.test('rejects a body changed after signing', async () => {
+    const res = await server.webhook('/courses', [section({ seatsAvailable: 0 })], signed(WEBHOOK_SECRET, now(), [section()]));
+    assert.equal(res.body.error, 'Unauthorized: Invalid signature');
+  });
+
+  await t.test('rejects stale or missing timestamps', async () => {
+    const body = [section()];
+    const stale = String(Math.floor(Date.now() / 1000) - 10 * 60);
+    const res = await server.webhook('/courses', body, signed(WEBHOOK_SECRET, stale, body));
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Unauthorized: Request timestamp outside the allowed window');
+    const untimed = await server.webhook('/courses', body, { 'X-Webhook-Timestamp': '' });
+    assert.equal(untimed.body.error, 'Unauthorized: Missing or malformed X-Webhook-Timestamp header');
+  });
+
+  await t.test('rejects the bare secret unless bearer auth is allowed', async () => {
+    const res = await server.request('POST', '/webhook/courses', {
+      body: [section()],
+      headers: { Authorization: `Bearer ${WEBHOOK_SECRET}` }
+    });
+    assert.equal(res.status, 401);
+  });
+
+  await t.test('nothing is written by rejected requests', async () => {
+    assert.equal(await server.repos.courses.count(), 0);
+  });
+
+  await t.test('accepts any active secret, for rotation', async () => {
+    const body = [section()];
+    const res = await server.ingest('/courses', body, signed(PREVIOUS_WEBHOOK_SECRET, now(), body));
+    assert.equal(res.job.status, 'completed');
+    assert.equal(res.body.added, 1);
+  });
+});
+
+test('legacy bearer webhook authentication', async (t) => {
+  const server = await startTestServer({ webhookAllowBearer: true });
+  t.after(() => server.close());
+  const bearer = token => server.request('POST', '/webhook/courses', {
+    body: [section()],
+    headers: { Authorization: token }
+  });
+
+  await t.test('rejects a wrong secret', async () => {
+    const res = await bearer('Bearer not-the-secret');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Unauthorized: Invalid credentials');
+  });
+
+  await t.test('rejects the right secret under another scheme', async () => {
+    assert.equal((await bearer(`Basic ${WEBHOOK_SECRET}`)).body.error, 'Unauthorized: Invalid credentials');
+  });
+
+  await t.test('accepts any active secret', async () => {
+    assert.equal((await bearer(`Bearer ${WEBHOOK_SECRET}`)).status, 202);
+    assert.equal((await bearer(`Bearer ${PREVIOUS_WEBHOOK_SECRET}`)).status, 202);
+  });
+});
+
+test('POST /webhook/courses', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  await t.test('inserts new sections', async () => {
+    const res = await server.ingest('/courses', [
+      section(),
+      section({ sectionNumber: '02', seatsAvailable: 0, currentEnrollment: 120 }),
+      section({ sectionNumber: '01', isLab: 1, title: 'Lab' })
+    ]);
+    assert.equal(res.job.status, 'completed');
+    assert.equal(res.body.status, 'success');
+    assert.equal(res.body.added, 3);
+    assert.equal(res.body.updated, 0);
+    assert.equal(res.body.historyRecorded, 3);
+    assert.equal(res.body.failed, 0);
+    const { total, processed, added, updated, failed } = res.job;
+    assert.deepEqual({ total, processed, added, updated, failed }, { total: 3, processed: 3, added: 3, updated: 0, failed: 0 });
+
+    const list = await server.request('GET', '/api/courses?prefix=CPT%20S&courseNumber=121');
+    assert.equal(list.body.total, 3);
+  });
+
+  await t.test('a single object body is accepted', async () => {
+    const res = await server.ingest('/courses', section({ courseNumber: '122' }));
+    assert.equal(res.body.added, 1);
+  });
+
+  await t.test('re-posting a section updates it in place', async () => {
+    const res = await server.ingest('/courses', [section({ seatsAvailable: 5, currentEnrollment: 115, instructor: 'Jane Doe' })]);
+    assert.equal(res.body.added, 0);
+    assert.equal(res.body.updated, 1);
+
+    const row = await server.repos.courses.findByUniqueId(UNIQUE_ID);
+    assert.equal(row.seatsAvailable, 5);
+    assert.equal(row.currentEnrollment, 115);
+    assert.equal(row.instructor, 'Jane Doe');
+    assert.equal(await server.repos.courses.count(), 4);
+  });
+
+  await t.test('every upsert appends an enrollment snapshot', async () => {
+    await server.ingest('/courses', [section({ seatsAvailable: 0, currentEnrollment: 120, waitlistCount: 4 })]);
+
+    const res = await server.request('GET', `/api/enrollment/history/${encodeURIComponent(UNIQUE_ID)}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(
+      res.body.history.map(h => [h.seatsAvailable, h.currentEnrollment]).sort(),
+      [[0, 120], [20, 100], [5, 115]].sort()
+    );
+    assert.ok(res.body.history.every(h => h.uniqueId === UNIQUE_ID));
+  });
+
+  await t.test('history is kept per section', async () => {
+    const res = await server.request('GET', `/api/enrollment/history/${encodeURIComponent('Pullman-Fall-2024-CPT S-121-02-0')}`);
+    assert.equal(res.body.total, 1);
+  });
+
+  await t.test('rows without campus, term or year are rejected and reported', async () => {
+    const before = await server.repos.courses.count();
+    const res = await server.ingest('/courses', [
+      section({ campus: undefined, sectionNumber: '90' }),
+      section({ year: null, sectionNumber: '91' }),
+      section({ sectionNumber: '03' })
+    ]);
+    assert.equal(res.body.added, 1);
+    assert.equal(res.body.failed, 0);
+    assert.equal(res.body.rejected, 2);
+    assert.deepEqual(res.body.validationErrors.map(v => [v.index, v.errors.map(e => e.path)]), [[0, ['campus']], [1, ['year']]]);
+    assert.equal(await server.repos.courses.count(), before + 1);
+  });
+
+  await t.test('an empty batch is a no-op', async () => {
+    const res = await server.ingest('/courses', []);
+    assert.deepEqual(res.body, { status: 'success', processed: 0, message: 'No data to process' });
+  });
+
+  await t.test('terms reflect the ingested sections', async () => {
+    const terms = await server.request('GET', '/api/terms');
+    assert.deepEqual(terms.body.map(({ campus, term, year }) => ({ campus, term, year })), [{ campus: 'Pullman', term: 'Fall', year: 2024 }]);
+  });
+});
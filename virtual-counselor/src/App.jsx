@@ -3,12 +3,14 @@ import { Toaster } from 'react-hot-toast';
 import Navbar from './components/Navbar';
 import ChatWidget from './components/ChatWidget'; // <-- Import the ChatWidget
 import { saveTheme, loadTheme } from './utils/storage';
+import useSeatNotifications from './hooks/useSeatNotifications';
 import './index.css';
 
 // Lazy load heavy components for better initial bundle size
 const DegreePlanner = lazy(() => import('./components/DegreePlanner'));
 const CoursePlanner = lazy(() => import('./components/CoursePlanner'));
 const ChatPage = lazy(() => import('./components/ChatPage'));
+const SharedPlanViewer = lazy(() => import('./components/SharedPlanViewer'));
 
 // Loading spinner component
 function LoadingSpinner() {
@@ -25,6 +27,20 @@ function LoadingSpinner() {
 function App() {
   const [activeTab, setActiveTab] = useState('planner');
   const [theme, setTheme] = useState('light');
+  // Advisors open shared plans via /?share=<token>
+  const [shareToken, setShareToken] = useState(() => new URLSearchParams(window.location.search).get('share'));
+
+  // Toasts for watched sections that opened up (signed-in students only)
+  useSeatNotifications();
+
+  // Leaving the shared view (via the navbar) drops the ?share= param
+  const handleTabChange = (tab) => {
+    if (shareToken) {
+      setShareToken(null);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    setActiveTab(tab);
+  };
 
   // Load theme on mount
   useEffect(() => {
@@ -60,13 +76,19 @@ function App() {
         }}
       />
       
-      <Navbar activeTab={activeTab} setActiveTab={setActiveTab} theme={theme} toggleTheme={toggleTheme} />
+      <Navbar activeTab={activeTab} setActiveTab={handleTabChange} theme={theme} toggleTheme={toggleTheme} />
 
       <main className="flex-1 w-full max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 md:py-8 safe-area-pb">
         <Suspense fallback={<LoadingSpinner />}>
-          {activeTab === 'planner' && <DegreePlanner />}
-          {activeTab === 'search' && <CoursePlanner />}
-          {activeTab === 'chat' && <ChatPage />}      {/* Chat Page addition */}
+          {shareToken ? (
+            <SharedPlanViewer token={shareToken} />
+          ) : (
+            <>
+              {activeTab === 'planner' && <DegreePlanner />}
+              {activeTab === 'search' && <CoursePlanner />}
+              {activeTab === 'chat' && <ChatPage />}      {/* Chat Page addition */}
+            </>
+          )}
         </Suspense>
       </main>
 
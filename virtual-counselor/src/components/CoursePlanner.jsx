@@ -1,10 +1,18 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import toast from 'react-hot-toast';
-import { fetchCourses, fetchTerms, fetchPrefixes } from '../utils/api';
-import { loadUserCourses } from '../utils/storage';
+import { fetchCourses, fetchTerms, fetchPrefixes, fetchCourseFacets, fetchWatches, createWatch, deleteWatch, fetchEnrollmentAnalytics } from '../utils/api';
+import { loadUserCourses, loadAuthSession, loadRegistrationDate, saveRegistrationDate } from '../utils/storage';
 import WeeklyCalendar from './course-planner/WeeklyCalendar';
 import CourseDetailsModal from './course-planner/CourseDetailsModal';
-import { stripHtml, parseInstructors, formatDayTime, parseTimeRange, getContrastingTextColor } from './course-planner/utils';
+import ScheduleGenerator from './course-planner/ScheduleGenerator';
+import EnrollmentTrend from './course-planner/EnrollmentTrend';
+import SectionFilters from './course-planner/SectionFilters';
+import InstructorNames from './course-planner/InstructorNames';
+import InstructorProfileModal from './course-planner/InstructorProfileModal';
+import HighlightedText from './HighlightedText';
+import { sectionCourseKey } from './course-planner/sectionCombinations';
+import { stripHtml, formatDayTime, parseTimeRange, getContrastingTextColor } from './course-planner/utils';
+import { parseCourseQuery, mergeChips, chipFilters } from '../utils/courseQueryParser';
 
 // Per-semester schedule storage
 const SCHEDULES_KEY = 'vcSchedulesByTerm';
@@ -61,16 +69,27 @@ function CoursePlanner() {
   });
   const [terms, setTerms] = useState([]);
   const [prefixes, setPrefixes] = useState([]);
+  const [facets, setFacets] = useState({ instructionModes: [], sessions: [] });
   const [expandedCourse, setExpandedCourse] = useState(null);
   const [selectedCourseDetails, setSelectedCourseDetails] = useState(null);
+  const [selectedInstructorId, setSelectedInstructorId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [colorPickerCourse, setColorPickerCourse] = useState(null);
   const [page, setPage] = useState(1);
   const [pageSize] = useState(10);
   const [totalResults, setTotalResults] = useState(0);
+  const [corrections, setCorrections] = useState({});
+  const [queryChips, setQueryChips] = useState([]); // filters parsed out of the search text
   const [showSubjectName, setShowSubjectName] = useState(false);
   const [hydrated, setHydrated] = useState(false);
   const [allScheduleKeys, setAllScheduleKeys] = useState([]);
+  // Schedule generator: courses to combine, and the generated option shown on the calendar
+  const [wishList, setWishList] = useState([]);
+  const [previewSchedule, setPreviewSchedule] = useState(null);
+  // Seat watches for the signed-in student (see useSeatNotifications)
+  const [watches, setWatches] = useState([]);
+  // Fill forecasts on section cards are measured against this date
+  const [registrationDate, setRegistrationDate] = useState(loadRegistrationDate);
   const activeTermKey = useRef(termKey(filters.year, filters.term));
 
   // Load saved schedule for the initial term on mount
@@ -105,6 +124,7 @@ function CoursePlanner() {
     const newKey = termKey(filters.year, filters.term);
     if (newKey === activeTermKey.current) return;
     activeTermKey.current = newKey;
+    setPreviewSchedule(null);
     const all = loadAllSchedules();
     const saved = all[newKey] || { courses: [], colors: {} };
     setSelectedCourses(saved.courses);
@@ -126,6 +146,11 @@ function CoursePlanner() {
   useEffect(() => {
     loadTerms();
     loadPrefixes();
+    if (loadAuthSession()) {
+      fetchWatches()
+        .then(data => setWatches(data.watches || []))
+        .catch(error => console.error('Error loading watches:', error));
+    }
   }, []);
 
   useEffect(() => {
@@ -134,7 +159,7 @@ function CoursePlanner() {
       setPage(1);
       searchCourses();
     }
-  }, [filters]);
+  }, [filters, queryChips]);
 
   const loadTerms = async () => {
     try {
@@ -155,6 +180,12 @@ function CoursePlanner() {
     }
   };
 
+  useEffect(() => {
+    fetchCourseFacets({ year: filters.year, term: filters.term, campus: filters.campus })
+      .then(data => setFacets({ instructionModes: data.instructionModes || [], sessions: data.sessions || [] }))
+      .catch(error => console.error('Error loading section facets:', error));
+  }, [filters.year, filters.term, filters.campus]);
+
   // Extract unique years from terms data
   const availableYears = useMemo(() => {
     if (!terms || terms.length === 0) {
@@ -208,8 +239,9 @@ function CoursePlanner() {
     setLoading(true);
     try {
       // Fetch a larger set so we can group client-side by course header
-      const data = await fetchCourses({ ...filters, limit: 1000 });
+      const data = await fetchCourses({ ...filters, ...chipFilters(queryChips), limit: 1000 });
       setCourses(data.courses || []);
+      setCorrections(data.corrections || {});
       // totalResults will be computed from grouped courses after setCourses causes recompute
     } catch (error) {
       console.error('Error searching courses:', error);
@@ -218,6 +250,19 @@ function CoursePlanner() {
     }
   };
 
+  // Pull phrases like "upper-division" or "TR afternoons" out of the search
+  // box into chips; the filters effect then searches with what is left
+  const parseSearchText = () => {
+    const parsed = parseCourseQuery(filters.search, { prefixes });
+    if (!parsed.chips.length) return;
+    setQueryChips(chips => mergeChips(chips, parsed.chips));
+    setFilters(prev => ({ ...prev, search: parsed.text }));
+  };
+
+  const removeChip = (id) => {
+    setQueryChips(chips => chips.filter(c => c.id !== id));
+  };
+
   // Group courses by prefix + number
   const groupedCourses = useMemo(() => {
     return courses.reduce((acc, course) => {
@@ -291,6 +336,53 @@ function CoursePlanner() {
     setSelectedCourses(prev => prev.filter(c => c.uniqueId !== courseId));
   }, []);
 
+  const watchedIds = useMemo(() => new Set(watches.map(w => w.uniqueId)), [watches]);
+
+  const toggleWatch = useCallback(async (section) => {
+    if (!loadAuthSession()) {
+      toast.error('Sign in on the Degree Planner tab to watch sections');
+      return;
+    }
+    const existing = watches.find(w => w.uniqueId === section.uniqueId);
+    const label = `${section.prefix || section.coursePrefix} ${section.courseNumber} section ${section.sectionNumber}`;
+    try {
+      if (existing) {
+        await deleteWatch(existing.id);
+        setWatches(prev => prev.filter(w => w.id !== existing.id));
+        toast.success(`Stopped watching ${label}`);
+      } else {
+        const { watch } = await createWatch({ uniqueId: section.uniqueId });
+        setWatches(prev => [watch, ...prev.filter(w => w.id !== watch.id)]);
+        toast.success(`You'll be notified when ${label} has open seats`);
+      }
+    } catch (error) {
+      toast.error(`Could not update watch: ${error.message}`);
+    }
+  }, [watches]);
+
+  const addToWishList = useCallback((course) => {
+    const key = sectionCourseKey(course);
+    setWishList(prev => (prev.some(w => w.key === key) ? prev : [...prev, { key }]));
+    toast.success(`${key} added to the schedule generator`);
+  }, []);
+
+  // Replace any sections of the wish-list courses with the generated ones
+  const applyGeneratedSchedule = useCallback((result, wishKeys) => {
+    const keys = new Set(wishKeys);
+    const used = new Set(Object.values(courseColors || {}).map(v => String(v)));
+    const newColors = {};
+    result.sections.forEach(section => {
+      if (courseColors[section.uniqueId]) return;
+      const available = COURSE_COLOR_PRESETS.find(p => !used.has(p.value)) || COURSE_COLOR_PRESETS[0];
+      used.add(available.value);
+      newColors[section.uniqueId] = available.value;
+    });
+    setCourseColors(prev => ({ ...prev, ...newColors }));
+    setSelectedCourses(prev => [...prev.filter(c => !keys.has(sectionCourseKey(c))), ...result.sections]);
+    setPreviewSchedule(null);
+    toast.success('Generated schedule applied');
+  }, [courseColors]);
+
   const changeCourseColor = useCallback((courseId, colorValue) => {
     setCourseColors(prev => ({ ...prev, [courseId]: colorValue }));
     setColorPickerCourse(null);
@@ -305,6 +397,23 @@ function CoursePlanner() {
     return selectedCourses.filter(c => c.dayTime && !c.dayTime.includes('ARR') && c.dayTime !== 'AARGT');
   }, [selectedCourses]);
 
+  // While previewing a generated option, the calendar shows it in place of the
+  // wish-list courses already on the schedule
+  const preview = useMemo(() => {
+    if (!previewSchedule) return null;
+    const keys = new Set(previewSchedule.sections.map(sectionCourseKey));
+    const kept = calendarCourses.filter(c => !keys.has(sectionCourseKey(c)));
+    const colors = { ...courseColors };
+    previewSchedule.sections.forEach((section, idx) => {
+      if (!colors[section.uniqueId]) colors[section.uniqueId] = COURSE_COLOR_PRESETS[idx % COURSE_COLOR_PRESETS.length].value;
+    });
+    return {
+      courses: [...kept, ...previewSchedule.sections.filter(c => c.dayTime && !c.dayTime.includes('ARR') && c.dayTime !== 'AARGT')],
+      colors,
+      ids: new Set(previewSchedule.sections.map(s => s.uniqueId)),
+    };
+  }, [previewSchedule, calendarCourses, courseColors]);
+
   const asyncCourses = useMemo(() => {
     return selectedCourses.filter(c => !c.dayTime || c.dayTime.includes('ARR') || c.dayTime === 'AARGT');
   }, [selectedCourses]);
@@ -395,9 +504,47 @@ function CoursePlanner() {
                   type="text"
                   value={filters.search}
                   onChange={(e) => setFilters({ ...filters, search: e.target.value })}
-                  placeholder="Course name, number, or instructor..."
+                  onKeyDown={(e) => e.key === 'Enter' && parseSearchText()}
+                  placeholder="e.g. upper-division CPT S on TR afternoons"
                   className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-wsu-crimson focus:border-transparent dark:bg-gray-700 dark:text-white dark:placeholder-gray-400"
                 />
+                {queryChips.length > 0 && (
+                  <div className="flex flex-wrap gap-1.5 mt-2">
+                    {queryChips.map(chip => (
+                      <span
+                        key={chip.id}
+                        className="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-full text-xs font-medium bg-wsu-crimson/10 text-wsu-crimson dark:bg-red-900/30 dark:text-red-300"
+                      >
+                        {chip.label}
+                        <button
+                          onClick={() => removeChip(chip.id)}
+                          aria-label={`Remove ${chip.label}`}
+                          className="rounded-full p-0.5 hover:bg-wsu-crimson/20 dark:hover:bg-red-800/50"
+                        >
+                          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <SectionFilters filters={filters} setFilters={setFilters} facets={facets} />
+
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">My registration date</label>
+                <input
+                  type="date"
+                  value={registrationDate}
+                  onChange={(e) => {
+                    setRegistrationDate(e.target.value);
+                    saveRegistrationDate(e.target.value);
+                  }}
+                  title="Used to forecast whether a section fills before you can register"
+                  className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-wsu-crimson focus:border-transparent dark:bg-gray-700 dark:text-white"
+                />
               </div>
             </div>
           </div>
@@ -409,6 +556,11 @@ function CoursePlanner() {
                 <h4 className="font-semibold text-gray-700 dark:text-gray-300">
                   {loading ? 'Searching...' : `${totalResults} Courses`}
                 </h4>
+                {!loading && Object.keys(corrections).length > 0 && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    Including results for <em>{Object.values(corrections).join(' ')}</em>
+                  </span>
+                )}
                 <div className="flex items-center gap-3">
                   {!loading && totalResults > 0 && (
                     <span className="text-xs text-gray-500 dark:text-gray-400">
@@ -473,8 +625,13 @@ function CoursePlanner() {
                       onToggle={() => setExpandedCourse(expandedCourse === courseKey ? null : courseKey)}
                       onAdd={addCourseToSchedule}
                       onShowDetails={setSelectedCourseDetails}
+                      onShowInstructor={setSelectedInstructorId}
                       selectedCourses={selectedCourses}
                       showSubjectName={showSubjectName}
+                      onWishList={addToWishList}
+                      watchedIds={watchedIds}
+                      onToggleWatch={toggleWatch}
+                      registrationDate={registrationDate}
                     />
                   ));
                 })()
@@ -586,13 +743,34 @@ function CoursePlanner() {
             )}
           </div>
 
+          <ScheduleGenerator
+            filters={filters}
+            wishList={wishList}
+            setWishList={setWishList}
+            selectedCourses={selectedCourses}
+            previewId={previewSchedule?.id}
+            onPreview={setPreviewSchedule}
+            onApply={applyGeneratedSchedule}
+          />
+
           {/* Weekly Calendar */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4 flex-1 overflow-hidden flex flex-col">
-            <h3 className="font-bold text-wsu-crimson text-lg mb-3">Weekly Schedule</h3>
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="font-bold text-wsu-crimson text-lg">Weekly Schedule</h3>
+              {preview && (
+                <div className="flex items-center gap-2 text-xs">
+                  <span className="text-gray-500">Previewing a generated schedule</span>
+                  <button onClick={() => setPreviewSchedule(null)} className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-100">
+                    Exit preview
+                  </button>
+                </div>
+              )}
+            </div>
             <div className="flex-1 overflow-auto">
               <WeeklyCalendar
-                courses={calendarCourses}
-                courseColors={courseColors}
+                courses={preview ? preview.courses : calendarCourses}
+                courseColors={preview ? preview.colors : courseColors}
+                previewIds={preview?.ids}
                 onCourseClick={setSelectedCourseDetails}
               />
             </div>
@@ -608,6 +786,14 @@ function CoursePlanner() {
         />
       )}
 
+      {/* Instructor Profile Modal */}
+      {selectedInstructorId && (
+        <InstructorProfileModal
+          instructorId={selectedInstructorId}
+          onClose={() => setSelectedInstructorId(null)}
+        />
+      )}
+
       {/* Color Picker Modal */}
       {colorPickerCourse && (
         <ColorPickerModal
@@ -622,11 +808,25 @@ function CoursePlanner() {
 }
 
 // Course Card Component
-function CourseCard({ courseKey, course, sections, isExpanded, onToggle, onAdd, onShowDetails, selectedCourses, showSubjectName }) {
+function CourseCard({ courseKey, course, sections, isExpanded, onToggle, onAdd, onShowDetails, onShowInstructor, selectedCourses, showSubjectName, onWishList, watchedIds, onToggleWatch, registrationDate }) {
   const courseLabel = showSubjectName
     ? `${course.subject || course.prefix || course.coursePrefix} ${course.courseNumber}`
     : `${course.prefix || course.coursePrefix} ${course.courseNumber}`;
   const isAdded = (section) => selectedCourses.some(c => c.uniqueId === section.uniqueId);
+  const [analytics, setAnalytics] = useState({});
+
+  // Load enrollment trends only once the card is opened
+  useEffect(() => {
+    if (!isExpanded || sections.length === 0) return undefined;
+    let cancelled = false;
+    fetchEnrollmentAnalytics(sections.slice(0, 50).map(s => s.uniqueId), registrationDate)
+      .then(data => {
+        if (cancelled) return;
+        setAnalytics(Object.fromEntries((data.analytics || []).map(a => [a.uniqueId, a])));
+      })
+      .catch(error => console.debug('[CoursePlanner] enrollment analytics failed', error));
+    return () => { cancelled = true; };
+  }, [isExpanded, sections, registrationDate]);
 
   return (
     <div className="bg-gray-50 dark:bg-gray-700 rounded-xl border border-gray-200 dark:border-gray-600 overflow-hidden">
@@ -641,7 +841,19 @@ function CourseCard({ courseKey, course, sections, isExpanded, onToggle, onAdd,
               {course.credits} credit{course.credits !== 1 ? 's' : ''}
             </span>
           </div>
-          <div className="text-sm text-gray-600 dark:text-gray-300 line-clamp-1">{stripHtml(course.title)}</div>
+          <div className="text-sm text-gray-600 dark:text-gray-300 line-clamp-1">
+            <HighlightedText highlighted={course.highlights?.title} text={stripHtml(course.title)} />
+          </div>
+          {course.highlights?.description && (
+            <div className="text-xs text-gray-500 dark:text-gray-400 line-clamp-2 mt-0.5">
+              <HighlightedText highlighted={course.highlights.description} />
+            </div>
+          )}
+          {course.highlights?.instructor && (
+            <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+              <HighlightedText highlighted={course.highlights.instructor} />
+            </div>
+          )}
         </div>
         <div className="flex items-center gap-2">
           <span className="text-xs text-gray-500 dark:text-gray-300 bg-gray-200 dark:bg-gray-600 px-2 py-1 rounded">
@@ -660,6 +872,16 @@ function CourseCard({ courseKey, course, sections, isExpanded, onToggle, onAdd,
 
       {isExpanded && (
         <div className="border-t border-gray-200 dark:border-gray-600 p-3 space-y-2 bg-white dark:bg-gray-800">
+          {onWishList && (
+            <div className="flex justify-end">
+              <button
+                onClick={() => onWishList(course)}
+                className="text-xs text-wsu-crimson dark:text-red-400 hover:underline"
+              >
+                Add to generator
+              </button>
+            </div>
+          )}
           {sections.map(section => (
             <div
               key={section.uniqueId}
@@ -692,15 +914,29 @@ function CourseCard({ courseKey, course, sections, isExpanded, onToggle, onAdd,
                       </span>
                     )}
                   </div>
-                  <div className="text-sm text-gray-600 dark:text-gray-300">{parseInstructors(section)}</div>
+                  <InstructorNames section={section} onShowInstructor={onShowInstructor} className="text-sm text-gray-600 dark:text-gray-300" />
                   <div className="text-sm text-gray-500 dark:text-gray-400">
                     {formatDayTime(section.dayTime)}
                   </div>
                   {section.location && section.location !== 'ARR ARR' && (
                     <div className="text-xs text-gray-400 dark:text-gray-500 mt-1">{section.location}</div>
                   )}
+                  <EnrollmentTrend analytics={analytics[section.uniqueId]} />
                 </div>
                 <div className="flex gap-2">
+                  {onToggleWatch && (
+                    <button
+                      onClick={() => onToggleWatch(section)}
+                      className={`p-2 rounded-lg transition ${watchedIds?.has(section.uniqueId)
+                        ? 'text-wsu-crimson dark:text-red-400 bg-red-50 dark:bg-red-900/20'
+                        : 'text-gray-500 dark:text-gray-400 hover:text-wsu-crimson dark:hover:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                      title={watchedIds?.has(section.uniqueId) ? 'Stop watching seats' : 'Notify me when seats open'}
+                    >
+                      <svg className="w-5 h-5" fill={watchedIds?.has(section.uniqueId) ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                      </svg>
+                    </button>
+                  )}
                   <button
                     onClick={() => onShowDetails(section)}
                     className="p-2 text-gray-500 dark:text-gray-400 hover:text-wsu-crimson dark:hover:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition"
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import WeeklyCalendar from './WeeklyCalendar';
+import HighlightedText from './HighlightedText';
 import { fetchCourses, fetchTerms, fetchPrefixes } from '../utils/api';
 import { extractUCORECategories, getUCOREBadgeColor } from '../utils/courseHelpers';
+import { parseCourseQuery, mergeChips, chipFilters } from '../utils/courseQueryParser';
 import { X, BookOpen, ChevronDown, ChevronUp } from 'lucide-react';
 
 // ── Schedule storage (separate from degree planner) ──────────────────────────
@@ -174,6 +176,8 @@ function CourseSearch() {
   const [prefixes, setPrefixes] = useState([]);
   const [page, setPage] = useState(1);
   const [totalCourses, setTotalCourses] = useState(0);
+  const [corrections, setCorrections] = useState({});
+  const [queryChips, setQueryChips] = useState([]); // filters parsed out of the search text
   const [viewMode, setViewMode] = useState('list');
   const [showSubject, setShowSubject] = useState(false);
   const [scheduleTick, setScheduleTick] = useState(0); // force panel re-render after add
@@ -203,17 +207,35 @@ function CourseSearch() {
     catch (e) { console.error(e); }
   };
 
-  const search = async () => {
+  const search = async ({ chips = queryChips, text = filters.search } = {}) => {
     setLoading(true);
     try {
-      const data = await fetchCourses({ ...filters, page, limit: coursesPerPage });
+      const data = await fetchCourses({ ...filters, search: text, ...chipFilters(chips), page, limit: coursesPerPage });
       setCourses(data.courses || []);
       setTotalCourses(data.total || 0);
+      setCorrections(data.corrections || {});
     } catch (e) {
       toast.error('Error searching courses: ' + e.message);
     } finally { setLoading(false); }
   };
 
+  // Pull phrases like "upper-division" or "TR afternoons" out of the search
+  // box into chips, then search with whatever text is left
+  const runSearch = () => {
+    const parsed = parseCourseQuery(filters.search, { prefixes });
+    if (!parsed.chips.length) return search();
+    const chips = mergeChips(queryChips, parsed.chips);
+    setQueryChips(chips);
+    setFilters(f => ({ ...f, search: parsed.text }));
+    return search({ chips, text: parsed.text });
+  };
+
+  const removeChip = (id) => {
+    const chips = queryChips.filter(c => c.id !== id);
+    setQueryChips(chips);
+    search({ chips });
+  };
+
   const handleAdd = (course) => {
     const { year, term } = filters;
     if (!year || !term) {
@@ -294,14 +316,29 @@ function CourseSearch() {
             onChange={e => updateFilter('minSeats', e.target.value)}
             className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded focus:outline-none focus:ring-2 focus:ring-crimson dark:bg-gray-700 dark:text-white dark:placeholder-gray-400 text-sm" />
 
-          <input type="text" placeholder="Search..." value={filters.search}
+          <input type="text" placeholder="e.g. upper-division CPT S on TR afternoons" value={filters.search}
             onChange={e => updateFilter('search', e.target.value)}
-            onKeyDown={e => e.key === 'Enter' && search()}
+            onKeyDown={e => e.key === 'Enter' && runSearch()}
             className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded focus:outline-none focus:ring-2 focus:ring-crimson dark:bg-gray-700 dark:text-white dark:placeholder-gray-400 text-sm" />
         </div>
 
+        {queryChips.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {queryChips.map(chip => (
+              <span key={chip.id}
+                className="inline-flex items-center gap-1 pl-2.5 pr-1 py-0.5 rounded-full text-xs font-medium bg-crimson/10 text-crimson dark:bg-red-900/30 dark:text-red-300">
+                {chip.label}
+                <button onClick={() => removeChip(chip.id)} aria-label={`Remove ${chip.label}`}
+                  className="rounded-full p-0.5 hover:bg-crimson/20 dark:hover:bg-red-800/50">
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
         <div className="flex flex-wrap items-center gap-4">
-          <button onClick={search} disabled={loading}
+          <button onClick={runSearch} disabled={loading}
             className="px-6 py-2.5 bg-crimson text-white rounded-lg hover:bg-crimson/90 transition font-semibold disabled:opacity-50 text-sm">
             {loading ? 'Searching...' : 'Search Courses'}
           </button>
@@ -323,7 +360,14 @@ function CourseSearch() {
         {/* Results */}
         <div className="flex-1 min-w-0 bg-white dark:bg-gray-800 rounded-lg shadow-md overflow-hidden">
           <div className="p-4 bg-gray-50 dark:bg-gray-700 border-b dark:border-gray-600 flex flex-wrap justify-between items-center gap-2">
-            <h3 className="font-semibold dark:text-white text-sm">{totalCourses} courses found</h3>
+            <div>
+              <h3 className="font-semibold dark:text-white text-sm">{totalCourses} courses found</h3>
+              {Object.keys(corrections).length > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Including results for <em>{Object.values(corrections).join(' ')}</em>
+                </p>
+              )}
+            </div>
 
             <div className="flex bg-gray-100 dark:bg-gray-600 rounded-lg p-1">
               <button onClick={() => setViewMode('list')}
@@ -359,7 +403,9 @@ function CourseSearch() {
                   {courses.map(c => (
                     <div key={c.id || c.uniqueId} className="pt-2 first:pt-0">
                       <div className="text-xs font-semibold text-gray-900 dark:text-white truncate">{displayCourseCode(c)}</div>
-                      <div className="text-xs text-gray-600 dark:text-gray-400 truncate">{c.title}</div>
+                      <div className="text-xs text-gray-600 dark:text-gray-400 truncate">
+                        <HighlightedText highlighted={c.highlights?.title} text={c.title} />
+                      </div>
                       <div className="text-xs text-gray-500">{c.dayTime || 'TBA'}</div>
                     </div>
                   ))}
@@ -393,7 +439,19 @@ function CourseSearch() {
                       <tr key={courseKey} className="hover:bg-gray-50 dark:hover:bg-gray-700">
                         <td className="px-4 py-3 font-mono text-sm font-medium dark:text-gray-200">{displayCourseCode(course)}</td>
                         <td className="px-4 py-3 text-sm text-center dark:text-gray-300">{course.sectionNumber || '-'}</td>
-                        <td className="px-4 py-3 text-sm dark:text-gray-300">{course.title}</td>
+                        <td className="px-4 py-3 text-sm dark:text-gray-300">
+                          <HighlightedText highlighted={course.highlights?.title} text={course.title} />
+                          {course.highlights?.description && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                              <HighlightedText highlighted={course.highlights.description} />
+                            </div>
+                          )}
+                          {course.highlights?.instructor && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                              <HighlightedText highlighted={course.highlights.instructor} />
+                            </div>
+                          )}
+                        </td>
                         <td className="px-4 py-3">
                           <div className="flex flex-wrap gap-1">
                             {ucoreCategories.map(cat => (
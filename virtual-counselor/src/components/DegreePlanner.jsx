@@ -1,7 +1,16 @@
 import React, { useState, useEffect, useRef, useCallback } from "react";
 import toast from "react-hot-toast";
 import ClassGradeCalculator from "./ClassGradeCalculator";
-import { fetchDegrees, fetchDegreeRequirements } from "../utils/api";
+import {
+  fetchDegrees,
+  fetchDegreeRequirements,
+  loginAccount,
+  registerAccount,
+  logoutAccount,
+  createSharedPlan,
+  fetchSharedPlan,
+  resolveSharedPlanComment,
+} from "../utils/api";
 import { exportToExcel, importFromExcel, exportToICS } from "./degree-planner/DegreePlannerExport";
 import { printDegreePlan } from "./degree-planner/DegreePlannerPrint";
 import DegreePlannerHeader from "./degree-planner/DegreePlannerHeader";
@@ -14,7 +23,17 @@ import {
   saveDegreePlan,
   loadDegreePlan,
   clearAllData,
+  saveAuthSession,
+  loadAuthSession,
+  clearAuthSession,
+  clearDegreePlan,
+  saveSharedPlanLink,
+  loadSharedPlanLinks,
+  removeSharedPlanLink,
+  saveSharingRules,
+  loadSharingRules,
 } from "../utils/storage";
+import { reconcileDegreePlan, pushDegreePlan } from "../utils/planSync";
 import {
   calculateGPA,
   calculateCreditsAchieved,
@@ -27,12 +46,15 @@ import {
   getMinGradeForDegree,
 } from "../utils/degreeCalculations";
 import { optimizeSchedule } from "../utils/degreeOptimizer";
+import { auditPrograms, DEFAULT_SHARING_RULES } from "../utils/programAudit";
 import YearSection from "./degree-planner/YearSection";
 import OptimizeModal from "./degree-planner/OptimizeModal";
 import GradeScaleModal from "./degree-planner/GradeScaleModal";
 import WhatIfModal from "./degree-planner/WhatIfModal";
+import AccountModal from "./degree-planner/AccountModal";
 import CatalogPicker from "./degree-planner/CatalogPicker";
 import DegreeSelector from "./degree-planner/DegreeSelector";
+import ProgramAudit from "./degree-planner/ProgramAudit";
 import KeyboardShortcutsModal from "./KeyboardShortcutsModal";
 import CourseDestinationPicker from "./degree-planner/CourseDestinationPicker";
 import useHistory from "../hooks/useHistory";
@@ -79,6 +101,8 @@ function DegreePlanner() {
   const [optimizeSpeed, setOptimizeSpeed] = useState("normal");
   const [includeSummer, setIncludeSummer] = useState(true);
   const [ensureFullTime, setEnsureFullTime] = useState(true);
+  const [creditRange, setCreditRange] = useState({ min: "", max: "" });
+  const [optimizeReport, setOptimizeReport] = useState(null);
   const degreeInputRef = useRef(null);
   const [showCatalogModal, setShowCatalogModal] = useState(false);
   const [showClassCalc, setShowClassCalc] = useState(false);
@@ -97,24 +121,13 @@ function DegreePlanner() {
     () => localStorage.getItem('vc_dismiss_grade_banner') === 'true'
   );
 
-  // Initialize degree plan structure
-  useEffect(() => {
-    const data = loadDegreePlan();
-    if (data) {
-      setDegreePlan(data.plan || {});
-      setYears(data.years || years);
-      const programs = data.programs || {};
-      setSelectedPrograms({
-        majors: programs.majors || [],
-        minors: programs.minors || [],
-        certificates: programs.certificates || [],
-      });
-      setHydrated(true);
-    } else {
-      initializeEmptyPlan();
-      setHydrated(true);
-    }
-  }, []);
+  // Account + server sync state (localStorage remains the offline cache)
+  const [account, setAccount] = useState(() => loadAuthSession()?.user || null);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [showAccountModal, setShowAccountModal] = useState(false);
+  const lastSavedSnapshotRef = useRef(null);
+  const syncReadyRef = useRef(false);
+  const pushTimerRef = useRef(null);
 
   const initializeEmptyPlan = () => {
     const plan = {};
@@ -133,42 +146,135 @@ function DegreePlanner() {
 
   // ... (previous useEffects) ...
 
+  const planSnapshot = (plan, planYears, programs, planRefinements) =>
+    JSON.stringify([plan, planYears, programs, planRefinements]);
+
+  // Apply a stored/synced plan ({ plan, years, programs, refinements }) to state
+  const applyPlanData = (data) => {
+    const programs = data.programs || {};
+    const normalizedPrograms = {
+      majors: programs.majors || [],
+      minors: programs.minors || [],
+      certificates: programs.certificates || [],
+    };
+    const plan = data.plan || {};
+    const planYears = data.years || years;
+    const planRefinements = data.refinements || {};
+    setDegreePlan(plan);
+    setYears(planYears);
+    setSelectedPrograms(normalizedPrograms);
+    setRefinements(planRefinements);
+    lastSavedSnapshotRef.current = planSnapshot(plan, planYears, normalizedPrograms, planRefinements);
+  };
+
+  // Reconcile the local cache with the student's server copy
+  const syncWithServer = async (local) => {
+    setSyncStatus(loadAuthSession() ? "syncing" : null);
+    const snapshotBefore = lastSavedSnapshotRef.current;
+    const { data, status } = await reconcileDegreePlan(local);
+    syncReadyRef.current = true;
+    if (status === "signed-out") {
+      setAccount(null);
+      setSyncStatus(null);
+      return;
+    }
+    setSyncStatus(status);
+    // Don't clobber edits the student made while the request was in flight
+    if (data && data !== local && lastSavedSnapshotRef.current === snapshotBefore) {
+      applyPlanData(data);
+    }
+    if (status === "conflict") {
+      toast("This plan was also edited on another device. The newest copy was kept.");
+    }
+  };
+
   // Load degree plan including refinements
   useEffect(() => {
     const data = loadDegreePlan();
     if (data) {
-      setDegreePlan(data.plan || {});
-      setYears(data.years || years);
-      const programs = data.programs || {};
-      setSelectedPrograms({
-        majors: programs.majors || [],
-        minors: programs.minors || [],
-        certificates: programs.certificates || [],
-      });
-      setRefinements(data.refinements || {}); // Load refinements
-      setHydrated(true);
+      applyPlanData(data);
     } else {
       initializeEmptyPlan();
-      setHydrated(true);
     }
+    setHydrated(true);
+    syncWithServer(data);
   }, []);
 
-  // Save to persistent storage incl refinements
+  // Save to persistent storage incl refinements, then push to the server (debounced)
   useEffect(() => {
     try {
       if (!hydrated) {
         console.debug("[DegreePlanner] skipping save until hydrated");
         return;
       }
-      saveDegreePlan({ plan: degreePlan, years, programs: selectedPrograms, refinements });
+      const snapshot = planSnapshot(degreePlan, years, selectedPrograms, refinements);
+      if (snapshot === lastSavedSnapshotRef.current) return;
+      lastSavedSnapshotRef.current = snapshot;
+
+      const data = { plan: degreePlan, years, programs: selectedPrograms, refinements, updatedAt: Date.now() };
+      saveDegreePlan(data);
       console.debug(
         "[DegreePlanner] saved degree plan"
       );
+
+      if (!syncReadyRef.current || !loadAuthSession()) return;
+      clearTimeout(pushTimerRef.current);
+      pushTimerRef.current = setTimeout(async () => {
+        setSyncStatus("syncing");
+        const status = await pushDegreePlan(data);
+        if (status === "signed-out") {
+          setAccount(null);
+          setSyncStatus(null);
+          toast.error("Your session expired. Sign in again to keep syncing.");
+          return;
+        }
+        setSyncStatus(status);
+      }, 1500);
     } catch (e) {
       console.error("Failed saving degree plan:", e);
     }
   }, [degreePlan, years, selectedPrograms, refinements]);
 
+  useEffect(() => () => clearTimeout(pushTimerRef.current), []);
+
+  const handleSignIn = async (email, password) => {
+    const session = await loginAccount(email, password);
+    saveAuthSession(session);
+    setAccount(session.user);
+    setShowAccountModal(false);
+    toast.success("Signed in");
+    await syncWithServer(loadDegreePlan());
+  };
+
+  const handleRegister = async (email, password, displayName) => {
+    const session = await registerAccount(email, password, displayName || undefined);
+    saveAuthSession(session);
+    setAccount(session.user);
+    setShowAccountModal(false);
+    toast.success("Account created. Your plan will sync automatically.");
+    await syncWithServer(loadDegreePlan());
+  };
+
+  const handleSignOut = async () => {
+    clearTimeout(pushTimerRef.current);
+    try {
+      await logoutAccount();
+    } catch (e) {
+      console.warn("Logout request failed:", e.message);
+    }
+    clearAuthSession();
+    // The cached plan is the signed-out student's; don't leave it on a shared
+    // browser, where the next sign-in would push it into that account
+    clearDegreePlan();
+    initializeEmptyPlan();
+    setSelectedPrograms({ majors: [], minors: [], certificates: [] });
+    setRefinements({});
+    setAccount(null);
+    setSyncStatus(null);
+    setShowAccountModal(false);
+    toast.success("Signed out");
+  };
+
 
   // Load degrees on mount and when year changes
   useEffect(() => {
@@ -287,6 +393,26 @@ function DegreePlanner() {
       return analyzeDegreeProgress(flatUserCourses, allRequiredCourses, refinements, degreeMinGrade);
   }, [flatUserCourses, allRequiredCourses, refinements, degreeMinGrade]);
 
+  // Double-counting audit across all selected programs (only meaningful with 2+)
+  const [sharingRules, setSharingRules] = useState(() => loadSharingRules() || DEFAULT_SHARING_RULES);
+  const handleSharingRulesChange = (rules) => {
+    setSharingRules(rules);
+    saveSharingRules(rules);
+  };
+  const programAudit = React.useMemo(() => {
+    const majorNames = new Set((selectedPrograms.majors || []).map(m => m.name || m));
+    const programCount =
+      (selectedPrograms.majors?.length || 0) +
+      (selectedPrograms.minors?.length || 0) +
+      (selectedPrograms.certificates?.length || 0);
+    if (programCount < 2) return null;
+    return auditPrograms(selectedPrograms, flatUserCourses, {
+      rules: sharingRules,
+      refinements,
+      minGradeFor: (name) => (majorNames.has(name) ? getMinGradeForDegree(name) : null),
+    });
+  }, [selectedPrograms, flatUserCourses, sharingRules, refinements]);
+
 
   const gpa = calculateGPA(degreePlan);
   // Credits Achieved: Only count what is MATCHED (met) by passed courses?
@@ -791,7 +917,9 @@ function DegreePlanner() {
         years,
         optimizeSpeed,
         includeSummer,
-        ensureFullTime
+        ensureFullTime,
+        minCredits: creditRange.min,
+        maxCredits: creditRange.max,
       });
       
       // Handle legacy return (just the plan) or new return ({ degreePlan, years })
@@ -802,12 +930,19 @@ function DegreePlanner() {
           setYears(newYears);
       }
       setDegreePlan(newPlan);
-      
-      setShowOptimizeModal(false);
-      toast.success("Schedule optimized!");
+
+      // Keep the modal open on the results so the student can see why
+      // courses landed where they did
+      setOptimizeReport(result.report || null);
+      toast.success(
+        result.report?.graduation
+          ? `Schedule optimized! Finishes ${result.report.graduation}`
+          : "Schedule optimized!"
+      );
     } catch (e) {
       console.error("Optimize failed", e);
-      toast.error("Optimization failed");
+      // A credit range that can't be met at all is the student's to fix
+      toast.error(e instanceof RangeError ? e.message : "Optimization failed");
     }
   };
 
@@ -879,6 +1014,66 @@ function DegreePlanner() {
     });
   };
 
+  // ── Shared plan links (advisor review) ──────────────────────────────────
+  const [planComments, setPlanComments] = useState([]);
+
+  // Pull advisor comments from every share link this student has created
+  useEffect(() => {
+    const links = loadSharedPlanLinks();
+    if (links.length === 0) return;
+    Promise.all(links.map(async (link) => {
+      try {
+        const shared = await fetchSharedPlan(link.token);
+        return (shared.comments || []).map(c => ({ ...c, shareToken: link.token }));
+      } catch (e) {
+        if (e.status === 404) removeSharedPlanLink(link.token);
+        return [];
+      }
+    })).then(results => setPlanComments(results.flat()));
+  }, []);
+
+  const handleSharePlan = async () => {
+    try {
+      const majorName = selectedPrograms.majors[0]?.name || selectedPrograms.majors[0];
+      const share = await createSharedPlan(
+        { plan: degreePlan, years, programs: selectedPrograms, refinements },
+        {
+          title: typeof majorName === "string" ? `${majorName} Plan` : undefined,
+          studentName: account?.displayName || undefined,
+        }
+      );
+      saveSharedPlanLink({
+        token: share.token,
+        ownerKey: share.ownerKey,
+        createdAt: Date.now(),
+        expiresAt: share.expiresAt,
+      });
+      const url = `${window.location.origin}${window.location.pathname}?share=${share.token}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        toast.success("Read-only link copied. Send it to your advisor.");
+      } catch (e) {
+        window.prompt("Copy this read-only link for your advisor:", url);
+      }
+    } catch (e) {
+      console.error("Failed to share plan:", e);
+      toast.error(`Could not create share link: ${e.message}`);
+    }
+  };
+
+  const handleResolveComment = async (comment) => {
+    const link = loadSharedPlanLinks().find(l => l.token === comment.shareToken);
+    if (!link) return;
+    try {
+      const { comment: updated } = await resolveSharedPlanComment(
+        link.token, comment.id, link.ownerKey, !comment.resolvedAt
+      );
+      setPlanComments(prev => prev.map(c => (c.id === updated.id ? { ...updated, shareToken: link.token } : c)));
+    } catch (e) {
+      toast.error(`Could not update comment: ${e.message}`);
+    }
+  };
+
   // Import from Excel (prefer hidden JSON backup for perfect round-trip)
   const handleImport = async (e) => {
     const file = e.target.files[0];
@@ -1192,14 +1387,21 @@ function DegreePlanner() {
         redo={redo}
         canUndo={canUndo}
         canRedo={canRedo}
-        onOptimize={() => setShowOptimizeModal(true)}
+        onOptimize={() => {
+          setOptimizeReport(null);
+          setShowOptimizeModal(true);
+        }}
         onExport={handleExport}
         onPrintPDF={handlePrintPDF}
         onExportICS={handleExportICS}
+        onShare={handleSharePlan}
         onImport={handleImport}
         onImportTranscript={handleImportTranscript}
         onReset={handleResetPlan}
         onWhatIf={() => setShowWhatIfModal(true)}
+        account={account}
+        syncStatus={syncStatus}
+        onAccountClick={() => setShowAccountModal(true)}
       />
 
       {/* Statistics */}
@@ -1340,6 +1542,17 @@ function DegreePlanner() {
         </div>
       )}
 
+      {/* Account / Sync Modal */}
+      <AccountModal
+        show={showAccountModal}
+        onClose={() => setShowAccountModal(false)}
+        user={account}
+        syncStatus={syncStatus}
+        onSignIn={handleSignIn}
+        onRegister={handleRegister}
+        onSignOut={handleSignOut}
+      />
+
       {/* Grade Scale Modal */}
       <GradeScaleModal
         show={showGradeScale}
@@ -1400,6 +1613,10 @@ function DegreePlanner() {
         handleRemoveProgram={handleRemoveProgram}
       />
 
+      {programAudit && (
+        <ProgramAudit audit={programAudit} rules={sharingRules} onRulesChange={handleSharingRulesChange} />
+      )}
+
       {/* Year Tabs */}
       <div className="bg-white rounded-lg shadow">
         {/* Tab Headers */}
@@ -1488,6 +1705,8 @@ function DegreePlanner() {
                 setActiveTermTab={setActiveTermTab}
                 allCompletedCourses={allCompletedCourses}
                 duplicateCourses={duplicateCourses}
+                comments={planComments}
+                onResolveComment={handleResolveComment}
               />
             ))}
         </div>
@@ -1503,6 +1722,9 @@ function DegreePlanner() {
         setIncludeSummer={setIncludeSummer}
         ensureFullTime={ensureFullTime}
         setEnsureFullTime={setEnsureFullTime}
+        creditRange={creditRange}
+        setCreditRange={setCreditRange}
+        report={optimizeReport}
         onOptimize={handleOptimize}
       />
 
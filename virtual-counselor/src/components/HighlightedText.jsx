@@ -0,0 +1,28 @@
+import React from 'react';
+
+const MARKED = /<mark>(.*?)<\/mark>/g;
+
+/**
+ * Search-result text with the API's `<mark>` highlights (see `highlights` on
+ * course search results). The markup is split into React elements rather
+ * than injected, so course text can never render as HTML.
+ * @param {string} [highlighted] - Text containing <mark>…</mark> spans
+ * @param {string} [text] - Plain text used when there is no highlight
+ */
+export default function HighlightedText({ highlighted, text }) {
+  if (!highlighted) return text ?? null;
+
+  const parts = [];
+  let last = 0;
+  for (const match of highlighted.matchAll(MARKED)) {
+    if (match.index > last) parts.push(highlighted.slice(last, match.index));
+    parts.push(
+      <mark key={match.index} className="bg-yellow-200 dark:bg-yellow-700 dark:text-white rounded-sm px-0.5">
+        {match[1]}
+      </mark>
+    );
+    last = match.index + match[0].length;
+  }
+  if (last < highlighted.length) parts.push(highlighted.slice(last));
+  return <>{parts}</>;
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import HighlightedText from './HighlightedText';
+
+describe('HighlightedText', () => {
+  it('wraps each marked span in a <mark> element', () => {
+    const { container } = render(
+      <p><HighlightedText highlighted="Program <mark>Design</mark> and <mark>Dev</mark>elopment" text="unused" /></p>
+    );
+    expect(container.textContent).toBe('Program Design and Development');
+    expect([...container.querySelectorAll('mark')].map(m => m.textContent)).toEqual(['Design', 'Dev']);
+  });
+
+  it('renders any other markup as text', () => {
+    const { container } = render(
+      <p><HighlightedText highlighted="<b>C/C++</b> <mark>design</mark>" /></p>
+    );
+    expect(container.querySelector('b')).toBeNull();
+    expect(container.textContent).toBe('<b>C/C++</b> design');
+  });
+
+  it('falls back to the plain text without a highlight', () => {
+    const { container } = render(<p><HighlightedText text="Calculus I" /></p>);
+    expect(container.textContent).toBe('Calculus I');
+    expect(container.querySelector('mark')).toBeNull();
+  });
+});
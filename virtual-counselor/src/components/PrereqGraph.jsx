@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Tree from 'react-d3-tree';
+import { fetchPrereqGraph } from '../utils/api';
+import { loadDegreePlan } from '../utils/storage';
+import { getCompletedCourses } from '../utils/degreeCalculations';
+import { evaluatePrereqTree, prereqTreeFromCodes } from '../shared/prereqParser.mjs';
+
+const STATUS_STYLES = {
+  taken: { fill: '#16a34a', label: 'Completed' },
+  ready: { fill: '#2563eb', label: 'Prerequisites met' },
+  blocked: { fill: '#9ca3af', label: 'Prerequisites missing' },
+};
+
+function prereqTreeOf(node) {
+  return node.prerequisiteTree || prereqTreeFromCodes(node.prerequisites);
+}
+
+function nodeStatus(node, completed) {
+  if (completed.includes(node.code)) return 'taken';
+  return evaluatePrereqTree(prereqTreeOf(node), { completed }).met ? 'ready' : 'blocked';
+}
+
+// Turn the graph into the nested shape react-d3-tree wants. A course reachable
+// by several paths is expanded only the first time it appears.
+function buildHierarchy(code, childrenOf, nodesByCode, statusByCode, expanded) {
+  const node = nodesByCode.get(code);
+  const datum = {
+    name: code,
+    attributes: node?.title ? { title: node.title } : undefined,
+    status: statusByCode.get(code),
+    repeated: expanded.has(code),
+  };
+  if (datum.repeated) return datum;
+  expanded.add(code);
+  const children = childrenOf(code).filter(c => nodesByCode.has(c));
+  if (children.length > 0) {
+    datum.children = children.map(c => buildHierarchy(c, childrenOf, nodesByCode, statusByCode, expanded));
+  }
+  return datum;
+}
+
+function GraphNode({ nodeDatum, onSelect, isRoot }) {
+  const style = STATUS_STYLES[nodeDatum.status] || STATUS_STYLES.blocked;
+  return (
+    <g onClick={() => onSelect(nodeDatum.name)} style={{ cursor: 'pointer' }}>
+      <circle r={isRoot ? 11 : 8} fill={style.fill} stroke={isRoot ? '#981e32' : 'none'} strokeWidth={3} />
+      <text x={16} y={4} className="text-xs fill-gray-900 dark:fill-gray-100" strokeWidth={0}>
+        {nodeDatum.name}{nodeDatum.repeated ? ' ↺' : ''}
+      </text>
+      {nodeDatum.attributes?.title && (
+        <text x={16} y={18} className="fill-gray-500 dark:fill-gray-400" fontSize={10} strokeWidth={0}>
+          {nodeDatum.attributes.title.length > 24 ? `${nodeDatum.attributes.title.slice(0, 24)}…` : nodeDatum.attributes.title}
+        </text>
+      )}
+    </g>
+  );
+}
+
+/**
+ * Interactive prerequisite / "unlocks" graph for a catalog course.
+ * Nodes are colored by what the student's plan already satisfies; clicking a
+ * node re-centers the graph on that course.
+ * @param {string} code - Course code, e.g. "CPT S 322"
+ * @param {string} [year] - Catalog year (server picks the latest when omitted)
+ * @param {string[]} [completedCourses] - Defaults to taken courses in the saved plan
+ */
+function PrereqGraph({ code, year, completedCourses }) {
+  const [root, setRoot] = useState(code);
+  const [direction, setDirection] = useState('prerequisites'); // 'prerequisites' | 'unlocks'
+  const [graph, setGraph] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => { setRoot(code); }, [code]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchPrereqGraph(root, year)
+      .then(data => { if (!cancelled) setGraph(data); })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [root, year]);
+
+  const completed = useMemo(() => {
+    if (completedCourses) return completedCourses;
+    return getCompletedCourses(loadDegreePlan()?.plan || {});
+  }, [completedCourses]);
+
+  const view = useMemo(() => {
+    if (!graph) return null;
+    const nodesByCode = new Map(graph.nodes.map(n => [n.code, n]));
+    const statusByCode = new Map(graph.nodes.map(n => [n.code, nodeStatus(n, completed)]));
+    const childrenOf = direction === 'prerequisites'
+      ? (c) => graph.edges.filter(e => e.to === c).map(e => e.from)
+      : (c) => graph.edges.filter(e => e.from === c).map(e => e.to);
+    const rootNode = nodesByCode.get(graph.root);
+    return {
+      data: buildHierarchy(graph.root, childrenOf, nodesByCode, statusByCode, new Set()),
+      rootStatus: rootNode ? evaluatePrereqTree(prereqTreeOf(rootNode), { completed }) : null,
+      empty: childrenOf(graph.root).length === 0,
+    };
+  }, [graph, completed, direction]);
+
+  const tabClass = (active) => `px-2 py-1 text-xs rounded ${active
+    ? 'bg-wsu-crimson text-white'
+    : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600'}`;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex gap-1">
+          <button type="button" className={tabClass(direction === 'prerequisites')} onClick={() => setDirection('prerequisites')}>
+            Requires
+          </button>
+          <button type="button" className={tabClass(direction === 'unlocks')} onClick={() => setDirection('unlocks')}>
+            Unlocks
+          </button>
+        </div>
+        {root !== code && (
+          <button type="button" onClick={() => setRoot(code)} className="text-xs text-wsu-crimson hover:underline">
+            Back to {code}
+          </button>
+        )}
+      </div>
+
+      {view?.rootStatus && !view.rootStatus.met && (
+        <div className="text-xs text-amber-700 dark:text-amber-300">
+          <strong>Still needed for {graph.root}:</strong> {view.rootStatus.missing.join(', ')}
+        </div>
+      )}
+
+      <div className="h-72 border border-gray-200 dark:border-gray-700 rounded bg-gray-50 dark:bg-gray-900/40">
+        {loading ? (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500 dark:text-gray-400">Loading graph…</div>
+        ) : error ? (
+          <div className="h-full flex items-center justify-center text-sm text-red-600 dark:text-red-400">{error}</div>
+        ) : view?.empty ? (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500 dark:text-gray-400">
+            {direction === 'prerequisites' ? 'No prerequisites listed in the catalog.' : 'No catalog courses list this as a prerequisite.'}
+          </div>
+        ) : view ? (
+          <Tree
+            data={view.data}
+            orientation="horizontal"
+            translate={{ x: 40, y: 144 }}
+            nodeSize={{ x: 190, y: 44 }}
+            separation={{ siblings: 1, nonSiblings: 1.2 }}
+            pathFunc="step"
+            collapsible={false}
+            zoom={0.9}
+            renderCustomNodeElement={(props) => (
+              <GraphNode {...props} isRoot={props.nodeDatum.name === graph.root} onSelect={setRoot} />
+            )}
+          />
+        ) : null}
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600 dark:text-gray-400">
+        {Object.entries(STATUS_STYLES).map(([key, s]) => (
+          <span key={key} className="flex items-center gap-1">
+            <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: s.fill }} />
+            {s.label}
+          </span>
+        ))}
+        {graph?.truncated && <span>Graph trimmed to the nearest courses.</span>}
+      </div>
+    </div>
+  );
+}
+
+export default PrereqGraph;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import YearSection from './degree-planner/YearSection';
+import { fetchSharedPlan, addSharedPlanComment } from '../utils/api';
+import { calculateGPA, calculateCreditsPlanned, calculateCreditsAchieved } from '../utils/degreeCalculations';
+
+// Read-only view of a degree plan shared via /?share=<token>.
+// Advisors can leave comments on terms and courses; the plan itself can't be edited.
+function SharedPlanViewer({ token }) {
+  const [shared, setShared] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [authorName, setAuthorName] = useState(() => localStorage.getItem('vc_advisor_name') || '');
+  const [activeTermTab, setActiveTermTab] = useState('fall');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchSharedPlan(token)
+      .then(data => {
+        if (cancelled) return;
+        setShared(data);
+        setComments(data.comments || []);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.status === 404 ? 'This shared plan link is invalid or has expired.' : err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const handleAddComment = async ({ yearId, term, courseId, courseName, body }) => {
+    // Failures surface in PlanComments, which keeps the draft
+    const { comment } = await addSharedPlanComment(token, {
+      yearId,
+      term,
+      courseId,
+      courseName,
+      body,
+      authorName: authorName.trim() || undefined,
+    });
+    setComments(prev => [...prev, comment]);
+    toast.success('Comment added');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px] text-gray-500 dark:text-gray-400 text-sm">
+        Loading shared plan…
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-lg mx-auto mt-12 p-6 bg-white dark:bg-gray-800 rounded-lg shadow text-center">
+        <h2 className="text-lg font-semibold dark:text-white mb-2">Plan unavailable</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300">{error}</p>
+      </div>
+    );
+  }
+
+  const data = shared.data || {};
+  const plan = data.plan || {};
+  const years = data.years && data.years.length > 0
+    ? data.years
+    : Object.keys(plan).map(id => ({ id, name: `Year ${id}` }));
+  const programs = data.programs || {};
+  const programNames = [
+    ...(programs.majors || []),
+    ...(programs.minors || []),
+    ...(programs.certificates || []),
+  ].map(p => (typeof p === 'string' ? p : p?.name)).filter(Boolean);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+              {shared.title || 'Shared Degree Plan'}
+            </h2>
+            {shared.studentName && (
+              <div className="text-sm text-gray-600 dark:text-gray-300">Student: {shared.studentName}</div>
+            )}
+            {programNames.length > 0 && (
+              <div className="text-sm text-gray-600 dark:text-gray-300 mt-1">{programNames.join(' · ')}</div>
+            )}
+            <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Read-only snapshot shared {new Date(shared.createdAt).toLocaleDateString()}
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-4 text-center text-sm">
+            <div>
+              <div className="text-gray-500 dark:text-gray-400 text-xs">GPA</div>
+              <div className="font-semibold dark:text-white">{calculateGPA(plan)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500 dark:text-gray-400 text-xs">Earned</div>
+              <div className="font-semibold dark:text-white">{calculateCreditsAchieved(plan)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500 dark:text-gray-400 text-xs">Planned</div>
+              <div className="font-semibold dark:text-white">{calculateCreditsPlanned(plan)}</div>
+            </div>
+          </div>
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+          <label htmlFor="advisor-name" className="text-gray-600 dark:text-gray-300">Commenting as</label>
+          <input
+            id="advisor-name"
+            type="text"
+            value={authorName}
+            onChange={(e) => {
+              setAuthorName(e.target.value);
+              localStorage.setItem('vc_advisor_name', e.target.value);
+            }}
+            placeholder="Advisor"
+            maxLength={100}
+            className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-white"
+          />
+        </div>
+      </div>
+
+      {years.map(year => (
+        <YearSection
+          key={year.id}
+          year={year}
+          degreePlan={plan}
+          setDegreePlan={() => {}}
+          canDelete={false}
+          activeTermTab={activeTermTab}
+          setActiveTermTab={setActiveTermTab}
+          allCompletedCourses={[]}
+          duplicateCourses={new Set()}
+          readOnly
+          comments={comments}
+          onAddComment={handleAddComment}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default SharedPlanViewer;
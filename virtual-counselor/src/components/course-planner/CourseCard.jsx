@@ -1,8 +1,9 @@
 import React from 'react';
-import { stripHtml, parseInstructors, formatDayTime } from './utils';
+import { stripHtml, formatDayTime } from './utils';
+import InstructorNames from './InstructorNames';
 
 // Course Card Component
-function CourseCard({ courseKey, course, sections, isExpanded, onToggle, onAdd, onShowDetails, selectedCourses }) {
+function CourseCard({ courseKey, course, sections, isExpanded, onToggle, onAdd, onShowDetails, onShowInstructor, selectedCourses }) {
   const isAdded = (section) => selectedCourses.some(c => c.uniqueId === section.uniqueId);
 
   return (
@@ -69,7 +70,7 @@ function CourseCard({ courseKey, course, sections, isExpanded, onToggle, onAdd,
                       </span>
                     )}
                   </div>
-                  <div className="text-sm text-gray-600">{parseInstructors(section)}</div>
+                  <InstructorNames section={section} onShowInstructor={onShowInstructor} className="text-sm text-gray-600" />
                   <div className="text-sm text-gray-500">
                     {formatDayTime(section.dayTime)}
                   </div>
@@ -1,7 +1,10 @@
-import React from 'react';
+import React, { useState, Suspense, lazy } from 'react';
 import ProfessorRating from '../ProfessorRating';
 import { stripHtml, parseInstructors, formatDayTime, getCourseDateRange } from './utils';
 
+// d3 is only needed once a student opens the graph
+const PrereqGraph = lazy(() => import('../PrereqGraph'));
+
 // Helper component for info rows
 function InfoRow({ label, value }) {
   if (!value) return null;
@@ -15,6 +18,9 @@ function InfoRow({ label, value }) {
 
 // Course Details Modal
 function CourseDetailsModal({ course, onClose }) {
+  const [showGraph, setShowGraph] = useState(false);
+  const courseCode = `${course.prefix || course.coursePrefix} ${course.courseNumber}`;
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
       <div
@@ -89,6 +95,23 @@ function CourseDetailsModal({ course, onClose }) {
               </div>
             )}
 
+            <div>
+              <button
+                type="button"
+                onClick={() => setShowGraph(v => !v)}
+                className="text-sm font-medium text-wsu-crimson hover:underline"
+              >
+                {showGraph ? 'Hide prerequisite graph' : 'Show prerequisite graph'}
+              </button>
+              {showGraph && (
+                <div className="mt-2">
+                  <Suspense fallback={<div className="text-sm text-gray-500">Loading graph…</div>}>
+                    <PrereqGraph code={courseCode} />
+                  </Suspense>
+                </div>
+              )}
+            </div>
+
             {course.ucore && (
               <div>
                 <h4 className="font-semibold text-gray-700 mb-1">UCORE</h4>
@@ -0,0 +1,72 @@
+import React from 'react';
+
+const FORECAST_STYLES = {
+  full: { label: 'Full', className: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300' },
+  'likely-full': { label: 'Likely full by your date', className: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300' },
+  'at-risk': { label: 'May fill near your date', className: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300' },
+  'likely-open': { label: 'Likely open', className: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300' },
+};
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : null;
+}
+
+function formatRate(value, unit) {
+  if (value == null || value === 0) return null;
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)} ${unit}/day`;
+}
+
+export function EnrollmentSparkline({ values, capacity, width = 72, height = 20 }) {
+  if (!values || values.length < 2) return null;
+  const max = Math.max(capacity || 0, ...values, 1);
+  const step = width / (values.length - 1);
+  const points = values
+    .map((v, i) => `${(i * step).toFixed(1)},${(height - (v / max) * (height - 2) - 1).toFixed(1)}`)
+    .join(' ');
+  return (
+    <svg width={width} height={height} className="text-wsu-crimson dark:text-red-400" aria-hidden="true">
+      {capacity > 0 && (
+        <line x1={0} x2={width} y1={1} y2={1} stroke="currentColor" strokeOpacity={0.25} strokeDasharray="2 2" />
+      )}
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth={1.5} strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+export function ForecastBadge({ forecast }) {
+  const style = FORECAST_STYLES[forecast?.status];
+  if (!style) return null;
+  const projected = formatDate(forecast.projectedFillDate);
+  const title = forecast.status === 'full'
+    ? 'Section is full'
+    : `Projected to fill ${projected} (${forecast.basis === 'pace' ? 'current enrollment pace' : 'past terms'}, ${forecast.confidence} confidence)`;
+  return (
+    <span className={`text-xs font-medium px-2 py-0.5 rounded ${style.className}`} title={title}>
+      {style.label}
+    </span>
+  );
+}
+
+// Sparkline of enrollment over time with the fill forecast and rates for one section
+function EnrollmentTrend({ analytics }) {
+  if (!analytics) return null;
+  const details = [
+    analytics.fillRate != null && `${Math.round(analytics.fillRate * 100)}% filled`,
+    formatRate(analytics.enrollmentVelocity, 'seats'),
+    formatRate(analytics.waitlistVelocity, 'waitlist'),
+    analytics.typicalDaysToFill != null && `usually fills ${Math.round(analytics.typicalDaysToFill)}d after registration opens`,
+  ].filter(Boolean);
+  if (!analytics.forecast?.basis && analytics.sparkline.length < 2 && details.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1">
+      <EnrollmentSparkline values={analytics.sparkline} capacity={analytics.capacity} />
+      <ForecastBadge forecast={analytics.forecast} />
+      {details.length > 0 && (
+        <span className="text-xs text-gray-500 dark:text-gray-400">{details.join(' · ')}</span>
+      )}
+    </div>
+  );
+}
+
+export default EnrollmentTrend;
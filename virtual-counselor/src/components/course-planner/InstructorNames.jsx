@@ -0,0 +1,35 @@
+import React from 'react';
+import { parseInstructors } from './utils';
+
+// A section's instructors, each opening their profile when the API linked
+// one and showing their stored RMP rating; otherwise the plain names (or "Staff")
+function InstructorNames({ section, onShowInstructor, className = '' }) {
+  const profiles = section.instructorProfiles || [];
+  if (!profiles.length || !onShowInstructor) {
+    return <div className={className}>{parseInstructors(section)}</div>;
+  }
+  return (
+    <div className={className}>
+      {profiles.map((p, i) => (
+        <React.Fragment key={p.id}>
+          {i > 0 && ', '}
+          <button
+            type="button"
+            onClick={() => onShowInstructor(p.id)}
+            className="hover:text-wsu-crimson dark:hover:text-red-400 hover:underline"
+            title={`View ${p.name}'s teaching history`}
+          >
+            {p.name}
+          </button>
+          {p.avgRating != null && (
+            <span className="ml-1 text-xs text-yellow-600 dark:text-yellow-400" title={`${p.numRatings || 0} RateMyProfessors ratings`}>
+              ★{Number(p.avgRating).toFixed(1)}
+            </span>
+          )}
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+export default InstructorNames;
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { fetchInstructor } from '../../utils/api';
+import ProfessorRating from '../ProfessorRating';
+import { stripHtml, formatDayTime } from './utils';
+
+function Stat({ label, value }) {
+  return (
+    <div className="bg-gray-50 rounded-lg px-3 py-2">
+      <div className="text-lg font-semibold text-gray-900">{value}</div>
+      <div className="text-xs text-gray-500">{label}</div>
+    </div>
+  );
+}
+
+function enrollment(section) {
+  if (section.currentEnrollment == null) return null;
+  return section.maxEnrollment ? `${section.currentEnrollment}/${section.maxEnrollment}` : String(section.currentEnrollment);
+}
+
+// Instructor profile: cached rating plus every course and section they have
+// taught, newest term first
+function InstructorProfileModal({ instructorId, onClose }) {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setProfile(null);
+    setError(null);
+    fetchInstructor(instructorId)
+      .then(data => { if (!cancelled) setProfile(data); })
+      .catch(err => { if (!cancelled) setError(err.message || 'Could not load this instructor'); });
+    return () => { cancelled = true; };
+  }, [instructorId]);
+
+  const rating = profile?.rating;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[80vh] overflow-y-auto"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="p-6">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h2 className="text-xl font-bold text-wsu-crimson">{profile ? profile.name : 'Instructor'}</h2>
+              {profile && (
+                <p className="text-gray-600 text-sm">
+                  {profile.courses.length} course{profile.courses.length === 1 ? '' : 's'} across {profile.terms.length} term{profile.terms.length === 1 ? '' : 's'}
+                </p>
+              )}
+            </div>
+            <button onClick={onClose} aria-label="Close" className="text-gray-400 hover:text-gray-600 p-1">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          {!profile && !error && <div className="text-sm text-gray-500">Loading…</div>}
+
+          {profile && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-3 gap-2 text-center">
+                <Stat label="Sections" value={profile.sectionCount} />
+                <Stat label="Students" value={profile.totalEnrolled} />
+                <Stat label="Rating" value={rating?.avgRating != null ? `${rating.avgRating}/5` : '—'} />
+              </div>
+
+              {rating ? (
+                <div className="text-sm text-gray-600">
+                  {rating.avgDifficulty != null && <span>Difficulty {rating.avgDifficulty}. </span>}
+                  {rating.wouldTakeAgainPercent != null && rating.wouldTakeAgainPercent >= 0 && (
+                    <span>{Math.round(rating.wouldTakeAgainPercent)}% would take again. </span>
+                  )}
+                  {rating.profileUrl && (
+                    <a className="text-blue-600 hover:underline" target="_blank" rel="noreferrer" href={rating.profileUrl}>
+                      View on RateMyProfessors
+                    </a>
+                  )}
+                </div>
+              ) : (
+                <ProfessorRating name={profile.name} />
+              )}
+
+              {profile.courses.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-1">Courses taught</h3>
+                  <ul className="text-sm text-gray-700 space-y-0.5">
+                    {profile.courses.map(c => (
+                      <li key={`${c.prefix} ${c.courseNumber}`}>
+                        <span className="font-medium">{c.prefix} {c.courseNumber}</span> {stripHtml(c.title)}
+                        <span className="text-gray-500"> · {c.terms.join(', ')}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {profile.terms.map(t => (
+                <div key={`${t.term}-${t.year}`}>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-1">
+                    {t.term} {t.year}
+                    <span className="ml-2 text-xs font-normal text-gray-500">{t.enrolled} enrolled</span>
+                  </h3>
+                  <div className="space-y-1">
+                    {t.sections.map(s => (
+                      <div key={s.uniqueId} className="flex justify-between gap-2 text-sm border border-gray-100 rounded-lg px-3 py-1.5">
+                        <div>
+                          <div className="font-medium text-gray-800">
+                            {s.prefix} {s.courseNumber}-{s.sectionNumber}
+                            {s.campus && <span className="ml-1 text-xs font-normal text-gray-500">{s.campus}</span>}
+                          </div>
+                          <div className="text-xs text-gray-500">{formatDayTime(s.dayTime)}</div>
+                        </div>
+                        {enrollment(s) && (
+                          <div className="text-xs text-gray-600 whitespace-nowrap" title="Enrolled / capacity">{enrollment(s)}</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default InstructorProfileModal;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import InstructorProfileModal from './InstructorProfileModal';
+import InstructorNames from './InstructorNames';
+import { fetchInstructor } from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  fetchInstructor: vi.fn(),
+}));
+
+const section = (overrides) => ({
+  uniqueId: 'u', campus: 'Pullman', prefix: 'CPT S', courseNumber: '121', sectionNumber: '01',
+  dayTime: 'MWF 9:10-10:00', currentEnrollment: 100, maxEnrollment: 120, ...overrides,
+});
+
+const PROFILE = {
+  id: 3,
+  name: 'Jane Doe',
+  rating: null,
+  sectionCount: 3,
+  totalEnrolled: 250,
+  courses: [{ prefix: 'CPT S', courseNumber: '121', title: 'Program Design', sectionCount: 3, terms: ['Spring 2026', 'Fall 2025'] }],
+  terms: [
+    { term: 'Spring', year: 2026, enrolled: 110, sections: [section({ uniqueId: 'a', currentEnrollment: 110 })] },
+    { term: 'Fall', year: 2025, enrolled: 140, sections: [section({ uniqueId: 'b', currentEnrollment: 100 }), section({ uniqueId: 'c', sectionNumber: '02', currentEnrollment: 40, maxEnrollment: null })] },
+  ],
+};
+
+describe('InstructorProfileModal', () => {
+  it('lists sections by term with enrollment', async () => {
+    fetchInstructor.mockResolvedValueOnce(PROFILE);
+    render(<InstructorProfileModal instructorId={3} onClose={() => {}} />);
+
+    expect(await screen.findByText('Jane Doe')).toBeInTheDocument();
+    expect(fetchInstructor).toHaveBeenCalledWith(3);
+    expect(screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent)).toEqual([
+      'Courses taught', 'Spring 2026110 enrolled', 'Fall 2025140 enrolled',
+    ]);
+    expect(screen.getByText('110/120')).toBeInTheDocument();
+    expect(screen.getByText('40')).toBeInTheDocument();
+    // No cached rating: offer the on-demand lookup instead
+    expect(screen.getByText('View rating')).toBeInTheDocument();
+  });
+
+  it('shows a cached rating', async () => {
+    fetchInstructor.mockResolvedValueOnce({
+      ...PROFILE,
+      rating: { avgRating: 4.3, avgDifficulty: 2.9, wouldTakeAgainPercent: 88, profileUrl: 'https://www.ratemyprofessors.com/professor/7' },
+    });
+    render(<InstructorProfileModal instructorId={3} onClose={() => {}} />);
+    expect(await screen.findByText('4.3/5')).toBeInTheDocument();
+    expect(screen.getByText(/88% would take again/)).toBeInTheDocument();
+    expect(screen.queryByText('View rating')).not.toBeInTheDocument();
+  });
+
+  it('reports a failed load', async () => {
+    fetchInstructor.mockRejectedValueOnce(new Error('Instructor not found'));
+    render(<InstructorProfileModal instructorId={99} onClose={() => {}} />);
+    expect(await screen.findByText('Instructor not found')).toBeInTheDocument();
+  });
+});
+
+describe('InstructorNames', () => {
+  it('links each instructor to their profile', async () => {
+    const onShowInstructor = vi.fn();
+    const profiles = [{ id: 3, name: 'Jane Doe' }, { id: 4, name: 'Sam Lee' }];
+    render(<InstructorNames section={{ instructor: 'Jane Doe, Sam Lee', instructorProfiles: profiles }} onShowInstructor={onShowInstructor} />);
+    await userEvent.setup().click(screen.getByText('Sam Lee'));
+    expect(onShowInstructor).toHaveBeenCalledWith(4);
+  });
+
+  it('shows stored ratings next to rated instructors', () => {
+    const profiles = [{ id: 3, name: 'Jane Doe', avgRating: 4.25, numRatings: 12 }, { id: 4, name: 'Sam Lee', avgRating: null }];
+    const { container } = render(<InstructorNames section={{ instructorProfiles: profiles }} onShowInstructor={() => {}} />);
+    expect(screen.getByText('★4.3')).toHaveAttribute('title', '12 RateMyProfessors ratings');
+    expect(container.textContent).toBe('Jane Doe★4.3, Sam Lee');
+  });
+
+  it('falls back to plain names without profiles', () => {
+    render(<InstructorNames section={{ instructor: 'Staff' }} onShowInstructor={() => {}} />);
+    expect(screen.getByText('Staff').tagName).toBe('DIV');
+  });
+});
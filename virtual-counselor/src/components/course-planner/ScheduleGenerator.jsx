@@ -0,0 +1,272 @@
+import React, { useState, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { fetchCourses, searchProfessorRatings } from '../../utils/api';
+import { normalizeCourseCode } from '../../shared/prereqParser.mjs';
+import {
+  generateSchedules,
+  sectionCourseKey,
+  instructorNames,
+  DEFAULT_PREFERENCES,
+  MAX_SCHEDULES,
+} from './sectionCombinations';
+
+const START_OPTIONS = [
+  { value: '', label: 'Any time' },
+  { value: '480', label: '8:00 AM' },
+  { value: '540', label: '9:00 AM' },
+  { value: '600', label: '10:00 AM' },
+  { value: '660', label: '11:00 AM' },
+];
+const DAY_OPTIONS = [
+  { value: 'M', label: 'Mon' },
+  { value: 'T', label: 'Tue' },
+  { value: 'W', label: 'Wed' },
+  { value: 'R', label: 'Thu' },
+  { value: 'F', label: 'Fri' },
+];
+// Ratings go through the rate-limited RMP proxy, so only look up this many
+const MAX_RATING_LOOKUPS = 15;
+
+function formatMinutes(min) {
+  if (min == null) return '—';
+  const h = Math.floor(min / 60);
+  const m = min % 60;
+  const displayHour = h % 12 === 0 ? 12 : h % 12;
+  return `${displayHour}:${String(m).padStart(2, '0')} ${h >= 12 ? 'PM' : 'AM'}`;
+}
+
+// Build a ranked list of conflict-free section combinations for a wish list of
+// courses and let the student preview them on the weekly calendar.
+function ScheduleGenerator({ filters, wishList, setWishList, selectedCourses, previewId, onPreview, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [codeInput, setCodeInput] = useState('');
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [generating, setGenerating] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const ratingsCache = useRef({});
+
+  const addCode = () => {
+    const key = normalizeCourseCode(codeInput);
+    if (!key) {
+      toast.error('Enter a course code like CPT S 360');
+      return;
+    }
+    if (!wishList.some(w => w.key === key)) setWishList(prev => [...prev, { key }]);
+    setCodeInput('');
+  };
+
+  const loadSections = async (key) => {
+    const [prefix, number] = key.split(' ');
+    const data = await fetchCourses({
+      term: filters.term,
+      year: filters.year,
+      campus: filters.campus,
+      prefix,
+      search: number,
+      limit: 200,
+    });
+    return (data.courses || []).filter(s => sectionCourseKey(s) === key);
+  };
+
+  const loadRatings = async (sections) => {
+    const names = [...new Set(sections.flatMap(instructorNames))]
+      .filter(n => !(n in ratingsCache.current))
+      .slice(0, MAX_RATING_LOOKUPS);
+    for (const name of names) {
+      try {
+        const json = await searchProfessorRatings(name);
+        const lastName = name.split(/\s+/).pop();
+        const candidates = json?.data || [];
+        const match = candidates.find(c => c.lastName && c.lastName.toLowerCase() === lastName) || candidates[0];
+        ratingsCache.current[name] = match?.avgRating ?? null;
+      } catch (e) {
+        ratingsCache.current[name] = null;
+      }
+    }
+    return ratingsCache.current;
+  };
+
+  const generate = async () => {
+    if (wishList.length === 0) return;
+    setGenerating(true);
+    onPreview(null);
+    try {
+      const withSections = await Promise.all(
+        wishList.map(async w => ({ key: w.key, sections: await loadSections(w.key) }))
+      );
+      const wishKeys = new Set(wishList.map(w => w.key));
+      const fixed = selectedCourses.filter(c => !wishKeys.has(sectionCourseKey(c)));
+      const ratings = preferences.ratings
+        ? await loadRatings(withSections.flatMap(w => w.sections))
+        : {};
+      setOutcome(generateSchedules(withSections, { fixed, preferences, ratings }));
+    } catch (error) {
+      console.error('Error generating schedules:', error);
+      toast.error('Could not load sections for the wish list');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const toggleDayOff = (day) => {
+    setPreferences(prev => ({
+      ...prev,
+      daysOff: prev.daysOff.includes(day) ? prev.daysOff.filter(d => d !== day) : [...prev.daysOff, day],
+    }));
+  };
+
+  const chipClass = (active) => `px-2 py-0.5 rounded text-xs font-medium transition ${active
+    ? 'bg-wsu-crimson text-white'
+    : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex justify-between items-center">
+        <h3 className="font-bold text-wsu-crimson text-lg">Schedule Generator</h3>
+        <svg
+          className={`w-5 h-5 text-gray-400 transition-transform ${open ? 'rotate-180' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={codeInput}
+              onChange={(e) => setCodeInput(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') addCode(); }}
+              placeholder="Add a course, e.g. CPT S 360"
+              className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-wsu-crimson focus:border-transparent"
+            />
+            <button onClick={addCode} className="px-3 py-2 text-xs bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">
+              Add
+            </button>
+          </div>
+
+          {wishList.length > 0 ? (
+            <div className="flex flex-wrap gap-1.5">
+              {wishList.map(w => (
+                <span key={w.key} className="flex items-center gap-1 px-2 py-0.5 rounded bg-gray-100 text-xs text-gray-700">
+                  {w.key}
+                  <button
+                    onClick={() => setWishList(prev => prev.filter(x => x.key !== w.key))}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove from wish list"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500">Add courses here or with "Add to generator" on a search result.</p>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+            <label className="flex items-center gap-2 text-gray-700">
+              No classes before
+              <select
+                value={preferences.earliestStart ?? ''}
+                onChange={(e) => setPreferences(prev => ({ ...prev, earliestStart: e.target.value ? Number(e.target.value) : null }))}
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+              >
+                {START_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </label>
+            <div className="flex items-center gap-1 flex-wrap">
+              <span className="text-gray-700 mr-1">Days off</span>
+              {DAY_OPTIONS.map(d => (
+                <button key={d.value} onClick={() => toggleDayOff(d.value)} className={chipClass(preferences.daysOff.includes(d.value))}>
+                  {d.label}
+                </button>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+              <input type="checkbox" checked={preferences.compact} onChange={(e) => setPreferences(prev => ({ ...prev, compact: e.target.checked }))} />
+              Compact days (fewer gaps)
+            </label>
+            <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+              <input type="checkbox" checked={preferences.openSeats} onChange={(e) => setPreferences(prev => ({ ...prev, openSeats: e.target.checked }))} />
+              Prefer sections with open seats
+            </label>
+            <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+              <input type="checkbox" checked={preferences.ratings} onChange={(e) => setPreferences(prev => ({ ...prev, ratings: e.target.checked }))} />
+              Prefer highly rated instructors
+            </label>
+          </div>
+
+          <button
+            onClick={generate}
+            disabled={wishList.length === 0 || generating}
+            className={`w-full px-3 py-2 text-sm bg-wsu-crimson text-white rounded-lg hover:bg-red-800 transition ${wishList.length === 0 || generating ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {generating ? 'Generating…' : 'Generate schedules'}
+          </button>
+
+          {outcome && (
+            <div className="space-y-2">
+              {outcome.missing.length > 0 ? (
+                <p className="text-sm text-red-600">
+                  No {filters.term} {filters.year} sections found for {outcome.missing.join(', ')}.
+                </p>
+              ) : outcome.total === 0 ? (
+                <p className="text-sm text-red-600">Every combination has a time conflict.</p>
+              ) : (
+                <p className="text-xs text-gray-500">
+                  {outcome.truncated ? `First ${MAX_SCHEDULES}` : outcome.total} conflict-free schedule{outcome.total === 1 ? '' : 's'}
+                  {outcome.results.length < outcome.total ? `, showing the top ${outcome.results.length}` : ''}
+                </p>
+              )}
+              <div className="max-h-64 overflow-y-auto space-y-1.5">
+                {outcome.results.map((result, idx) => (
+                  <div
+                    key={result.id}
+                    className={`border rounded-lg p-2 text-xs ${result.id === previewId ? 'border-wsu-crimson bg-red-50' : 'border-gray-200'}`}
+                  >
+                    <div className="flex justify-between items-center gap-2">
+                      <div className="font-medium text-gray-800">
+                        Option {idx + 1}
+                        <span className="ml-2 font-normal text-gray-500">score {result.score}</span>
+                      </div>
+                      <div className="flex gap-1">
+                        <button
+                          onClick={() => onPreview(result.id === previewId ? null : result)}
+                          className="px-2 py-1 rounded border border-gray-300 hover:bg-gray-100"
+                        >
+                          {result.id === previewId ? 'Hide' : 'Preview'}
+                        </button>
+                        <button
+                          onClick={() => onApply(result, wishList.map(w => w.key))}
+                          className="px-2 py-1 rounded bg-wsu-crimson text-white hover:bg-red-800"
+                        >
+                          Use
+                        </button>
+                      </div>
+                    </div>
+                    <div className="text-gray-600 mt-1">
+                      {result.sections.map(s => `${sectionCourseKey(s)} §${s.sectionNumber}`).join(' · ')}
+                    </div>
+                    <div className="text-gray-500 mt-0.5">
+                      {result.stats.classDays.join('') || 'No meetings'} · {formatMinutes(result.stats.earliest)}–{formatMinutes(result.stats.latest)}
+                      {result.stats.gapMinutes > 0 && ` · ${result.stats.gapMinutes} min gaps`}
+                      {result.stats.fullSections > 0 && ` · ${result.stats.fullSections} full`}
+                      {result.stats.avgRating != null && ` · ★ ${result.stats.avgRating.toFixed(1)}`}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScheduleGenerator;
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+
+const LEVEL_OPTIONS = [
+  { value: '', label: 'Any level' },
+  { value: '100-200', label: 'Lower-division (100–299)' },
+  { value: '300-400', label: 'Upper-division (300–499)' },
+  { value: '100-100', label: '100-level' },
+  { value: '200-200', label: '200-level' },
+  { value: '300-300', label: '300-level' },
+  { value: '400-400', label: '400-level' },
+  { value: '500-', label: 'Graduate (500+)' },
+];
+const DAY_OPTIONS = [
+  { value: 'M', label: 'Mon' },
+  { value: 'T', label: 'Tue' },
+  { value: 'W', label: 'Wed' },
+  { value: 'R', label: 'Thu' },
+  { value: 'F', label: 'Fri' },
+];
+const UCORE_OPTIONS = ['ARTS', 'BSCI', 'CAPS', 'COMM', 'DIVR', 'EQJS', 'HUM', 'INTG', 'PSCI', 'QUAN', 'ROOT', 'SSCI', 'WRTG'];
+
+// Every /api/courses parameter this panel sets, cleared by "Reset"
+export const SECTION_FILTER_KEYS = [
+  'minLevel', 'maxLevel', 'days', 'startAfter', 'endBefore', 'ucore', 'minCredits', 'maxCredits',
+  'instructionMode', 'session', 'courseFee', 'openWaitlist', 'seatsAvailable',
+];
+
+const inputClass = 'w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-wsu-crimson focus:border-transparent dark:bg-gray-700 dark:text-white';
+const labelClass = 'block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+// Collapsible level / days / time / credits / mode filters for the section
+// search, plus the result order (`sort`, not a filter: never counted or
+// reset). Values are /api/courses query parameters kept in the planner's
+// `filters`; `facets` lists the instruction modes and sessions on offer.
+function SectionFilters({ filters, setFilters, facets }) {
+  const [open, setOpen] = useState(false);
+
+  const update = (patch) => setFilters(prev => ({ ...prev, ...patch }));
+  // A min/max pair counts as one filter
+  const activeCount = new Set(
+    SECTION_FILTER_KEYS.filter(key => filters[key]).map(key => key.replace(/^(min|max)(?=[A-Z])/, ''))
+  ).size;
+
+  const level = filters.minLevel || filters.maxLevel ? `${filters.minLevel || ''}-${filters.maxLevel || ''}` : '';
+  const setLevel = (value) => {
+    const [min, max] = value ? value.split('-') : ['', ''];
+    update({ minLevel: min, maxLevel: max });
+  };
+
+  const days = filters.days || '';
+  const toggleDay = (day) => {
+    const next = days.includes(day) ? days.replace(day, '') : days + day;
+    update({ days: DAY_OPTIONS.map(d => d.value).filter(d => next.includes(d)).join('') });
+  };
+
+  const reset = () => update(Object.fromEntries(SECTION_FILTER_KEYS.map(key => [key, ''])));
+
+  const chipClass = (active) => `px-2 py-0.5 rounded text-xs font-medium transition ${active
+    ? 'bg-wsu-crimson text-white'
+    : 'bg-gray-100 text-gray-600 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600'}`;
+
+  return (
+    <div className="border-t border-gray-100 dark:border-gray-700 pt-3">
+      <div className="flex items-center justify-between">
+        <button onClick={() => setOpen(o => !o)} className="flex items-center gap-1 text-xs font-medium text-gray-700 dark:text-gray-300">
+          {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          More filters{activeCount > 0 && ` (${activeCount})`}
+        </button>
+        {activeCount > 0 && (
+          <button onClick={reset} className="text-xs text-wsu-crimson dark:text-red-400 hover:underline">Reset</button>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label htmlFor="section-filter-level" className={labelClass}>Level</label>
+              <select id="section-filter-level" value={level} onChange={(e) => setLevel(e.target.value)} className={inputClass}>
+                {LEVEL_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="section-filter-ucore" className={labelClass}>UCORE</label>
+              <select id="section-filter-ucore" value={filters.ucore || ''} onChange={(e) => update({ ucore: e.target.value })} className={inputClass}>
+                <option value="">Any</option>
+                {UCORE_OPTIONS.map(code => <option key={code} value={code}>{code}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <span className={labelClass}>Meets only on</span>
+            <div className="flex flex-wrap gap-1">
+              {DAY_OPTIONS.map(d => (
+                <button key={d.value} onClick={() => toggleDay(d.value)} className={chipClass(days.includes(d.value))}>
+                  {d.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label htmlFor="section-filter-start-after" className={labelClass}>Starts after</label>
+              <input id="section-filter-start-after" type="time" value={filters.startAfter || ''} onChange={(e) => update({ startAfter: e.target.value })} className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="section-filter-end-before" className={labelClass}>Ends by</label>
+              <input id="section-filter-end-before" type="time" value={filters.endBefore || ''} onChange={(e) => update({ endBefore: e.target.value })} className={inputClass} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label htmlFor="section-filter-min-credits" className={labelClass}>Min credits</label>
+              <input id="section-filter-min-credits" type="number" min="0" max="18" value={filters.minCredits || ''} onChange={(e) => update({ minCredits: e.target.value })} className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="section-filter-max-credits" className={labelClass}>Max credits</label>
+              <input id="section-filter-max-credits" type="number" min="0" max="18" value={filters.maxCredits || ''} onChange={(e) => update({ maxCredits: e.target.value })} className={inputClass} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label htmlFor="section-filter-instruction-mode" className={labelClass}>Instruction mode</label>
+              <select id="section-filter-instruction-mode" value={filters.instructionMode || ''} onChange={(e) => update({ instructionMode: e.target.value })} className={inputClass}>
+                <option value="">Any</option>
+                {(facets.instructionModes || []).map(mode => <option key={mode} value={mode}>{mode}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="section-filter-session" className={labelClass}>Session</label>
+              <select id="section-filter-session" value={filters.session || ''} onChange={(e) => update({ session: e.target.value })} className={inputClass}>
+                <option value="">Any</option>
+                {(facets.sessions || []).map(session => <option key={session} value={session}>{session}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label htmlFor="section-filter-course-fee" className={labelClass}>Course fee</label>
+              <select id="section-filter-course-fee" value={filters.courseFee || ''} onChange={(e) => update({ courseFee: e.target.value })} className={inputClass}>
+                <option value="">Any</option>
+                <option value="false">No fee</option>
+                <option value="true">Has a fee</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="section-filter-sort" className={labelClass}>Sort by</label>
+              <select id="section-filter-sort" value={filters.sort || ''} onChange={(e) => update({ sort: e.target.value })} className={inputClass}>
+                <option value="">{filters.search ? 'Relevance' : 'Course number'}</option>
+                <option value="rating">Instructor rating</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-700 dark:text-gray-300">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={!!filters.seatsAvailable} onChange={(e) => update({ seatsAvailable: e.target.checked ? '1' : '' })} />
+              Open seats
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={filters.openWaitlist === 'true'} onChange={(e) => update({ openWaitlist: e.target.checked ? 'true' : '' })} />
+              Open waitlist
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SectionFilters;
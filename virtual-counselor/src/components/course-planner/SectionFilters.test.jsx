@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SectionFilters from './SectionFilters';
+
+const FACETS = { instructionModes: ['Hybrid', 'In Person', 'Online'], sessions: [] };
+
+// Holds filters the way CoursePlanner does and exposes the latest value
+function Harness({ initial = {}, onChange }) {
+  const [filters, setFilters] = useState({ term: 'Fall', year: '2025', ...initial });
+  const set = (update) => setFilters(prev => {
+    const next = typeof update === 'function' ? update(prev) : update;
+    onChange(next);
+    return next;
+  });
+  return <SectionFilters filters={filters} setFilters={set} facets={FACETS} />;
+}
+
+function setup(initial) {
+  let latest = null;
+  render(<Harness initial={initial} onChange={f => { latest = f; }} />);
+  return { latest: () => latest, user: userEvent.setup() };
+}
+
+describe('SectionFilters', () => {
+  it('maps the level choice onto minLevel/maxLevel', async () => {
+    const { latest, user } = setup();
+    await user.click(screen.getByText(/More filters/));
+    await user.selectOptions(screen.getByLabelText('Level'), 'Upper-division (300–499)');
+    expect(latest()).toMatchObject({ minLevel: '300', maxLevel: '400' });
+    await user.selectOptions(screen.getByLabelText('Level'), 'Graduate (500+)');
+    expect(latest()).toMatchObject({ minLevel: '500', maxLevel: '' });
+  });
+
+  it('keeps selected days in week order', async () => {
+    const { latest, user } = setup();
+    await user.click(screen.getByText(/More filters/));
+    await user.click(screen.getByText('Thu'));
+    await user.click(screen.getByText('Tue'));
+    expect(latest().days).toBe('TR');
+    await user.click(screen.getByText('Thu'));
+    expect(latest().days).toBe('T');
+  });
+
+  it('offers the instruction modes from the facets', async () => {
+    const { latest, user } = setup();
+    await user.click(screen.getByText(/More filters/));
+    await user.selectOptions(screen.getByLabelText('Instruction mode'), 'Online');
+    expect(latest().instructionMode).toBe('Online');
+  });
+
+  it('sorts by instructor rating', async () => {
+    const { latest, user } = setup();
+    await user.click(screen.getByText(/More filters/));
+    expect(screen.getByLabelText('Sort by')).toHaveDisplayValue('Course number');
+    await user.selectOptions(screen.getByLabelText('Sort by'), 'Instructor rating');
+    expect(latest().sort).toBe('rating');
+    expect(screen.getByText('More filters')).toBeInTheDocument();
+  });
+
+  it('counts active filters and resets only its own', async () => {
+    const { latest, user } = setup({ days: 'MWF', openWaitlist: 'true', sort: 'rating' });
+    expect(screen.getByText('More filters (2)')).toBeInTheDocument();
+    await user.click(screen.getByText('Reset'));
+    expect(latest()).toMatchObject({ term: 'Fall', year: '2025', days: '', openWaitlist: '', sort: 'rating' });
+    expect(screen.getByText('More filters')).toBeInTheDocument();
+  });
+});
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { parseTimeRange, formatTimeRange, getContrastingTextColor } from './utils';
+import { courseMeetingBlocks, formatTimeRange, getContrastingTextColor } from './utils';
 
 // Backwards compatibility map for previously stored Tailwind bg classes -> hex
 const TAILWIND_TO_HEX = {
@@ -14,8 +14,11 @@ const TAILWIND_TO_HEX = {
   'bg-wsu-crimson': '#8b0000'
 };
 
+// Dashed outline for sections shown from a generated schedule preview
+const PREVIEW_STYLE = { outline: '2px dashed rgba(0, 0, 0, 0.55)', outlineOffset: '-2px' };
+
 // Enhanced Weekly Calendar Component - 6am to 9pm, 15-minute blocks
-function WeeklyCalendar({ courses, courseColors, onCourseClick }) {
+function WeeklyCalendar({ courses, courseColors, onCourseClick, previewIds }) {
   const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
   const dayLetters = ['M', 'T', 'W', 'R', 'F'];
 
@@ -30,20 +33,20 @@ function WeeklyCalendar({ courses, courseColors, onCourseClick }) {
     const events = [];
 
     courses.forEach(course => {
-      const timeInfo = parseTimeRange(course.dayTime);
-      if (!timeInfo) return;
+      const blocks = courseMeetingBlocks(course);
+      if (!blocks.length) return;
 
       // Resolve stored color value (hex or gradient). Support legacy tailwind class mapping.
       const rawColor = courseColors[course.uniqueId] || 'bg-wsu-crimson';
       const colorValue = TAILWIND_TO_HEX[rawColor] || rawColor;
       const textColor = getContrastingTextColor(colorValue);
 
-      timeInfo.days.forEach(dayLetter => {
-        const dayIndex = dayLetters.indexOf(dayLetter);
+      blocks.forEach(block => {
+        const dayIndex = dayLetters.indexOf(block.day);
         if (dayIndex === -1) return;
         // Round start down and end up to nearest 15-minute block so blocks align to grid
-        const roundedStart = Math.floor(timeInfo.startMin / 15) * 15;
-        const roundedEnd = Math.ceil(timeInfo.endMin / 15) * 15;
+        const roundedStart = Math.floor(block.startMin / 15) * 15;
+        const roundedEnd = Math.ceil(block.endMin / 15) * 15;
 
         // Calculate position and height
         // Each hour = 48px, 15 min = 12px
@@ -60,7 +63,8 @@ function WeeklyCalendar({ courses, courseColors, onCourseClick }) {
           height,
           colorValue,
           textColor,
-          timeDisplay: formatTimeRange(timeInfo.startMin, timeInfo.endMin)
+          location: block.location,
+          timeDisplay: formatTimeRange(block.startMin, block.endMin)
         });
       });
     });
@@ -147,16 +151,17 @@ function WeeklyCalendar({ courses, courseColors, onCourseClick }) {
                               height: `${Math.max(scaledHeight, 52)}px`,
                               background: event.colorValue,
                               color: event.textColor,
-                              padding: '6px'
+                              padding: '6px',
+                              ...(previewIds?.has(event.course.uniqueId) ? PREVIEW_STYLE : {})
                             }}
                             onClick={() => onCourseClick(event.course)}
-                            title={`${subject} ${number} - ${event.timeDisplay}${event.course.location ? ' - ' + event.course.location : ''}`}
+                            title={`${subject} ${number} - ${event.timeDisplay}${event.location ? ' - ' + event.location : ''}`}
                           >
                             <div className="flex flex-col h-full">
                               <div className="text-[11px] font-semibold leading-snug whitespace-normal" style={{ color: event.textColor }}>{subject} {number}</div>
                               <div className="text-[11px] leading-tight whitespace-normal" style={{ color: secondaryColor }}>{event.timeDisplay}</div>
-                              {event.course.location && event.course.location !== 'ARR ARR' && (
-                                <div className="text-[11px]" style={{ color: secondaryColor }}>{event.course.location}</div>
+                              {event.location && (
+                                <div className="text-[11px]" style={{ color: secondaryColor }}>{event.location}</div>
                               )}
                             </div>
                           </div>
@@ -219,7 +224,8 @@ function WeeklyCalendar({ courses, courseColors, onCourseClick }) {
                         top: `${event.topOffset}px`,
                         height: `${Math.max(event.height, 24)}px`,
                         background: event.colorValue,
-                        color: event.textColor
+                        color: event.textColor,
+                        ...(previewIds?.has(event.course.uniqueId) ? PREVIEW_STYLE : {})
                       }}
                       onClick={() => onCourseClick(event.course)}
                     >
@@ -232,9 +238,9 @@ function WeeklyCalendar({ courses, courseColors, onCourseClick }) {
                             {event.timeDisplay}
                           </div>
                         )}
-                        {event.height >= 48 && event.course.location && event.course.location !== 'ARR ARR' && (
+                        {event.height >= 48 && event.location && (
                           <div className="text-xs opacity-75 truncate">
-                            {event.course.location}
+                            {event.location}
                           </div>
                         )}
                       </div>
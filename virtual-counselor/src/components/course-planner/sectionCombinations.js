@@ -0,0 +1,237 @@
+// Section-level schedule generator: every conflict-free combination of
+// lecture and lab sections for a wish list of courses, ranked by preferences.
+import { parseTimeRange, parseInstructors, stripHtml } from './utils';
+import { normalizeCourseCode } from '../../shared/prereqParser.mjs';
+
+// Stop enumerating after this many valid schedules; large wish lists with many
+// sections would otherwise run into the millions. generateSchedules only keeps
+// its top results while walking them, so this bounds time, not memory.
+export const MAX_SCHEDULES = 50000;
+
+const WEEKDAYS = ['M', 'T', 'W', 'R', 'F'];
+
+export const DEFAULT_PREFERENCES = {
+  earliestStart: null, // minutes after midnight, e.g. 540 for 9:00 AM
+  daysOff: [], // day letters from WEEKDAYS
+  compact: false,
+  openSeats: true,
+  ratings: false,
+};
+
+// 'CPTS 360' style key shared by wish-list entries and their sections
+export function sectionCourseKey(section) {
+  const raw = `${section.prefix || section.coursePrefix || ''} ${section.courseNumber || ''}`;
+  return normalizeCourseCode(raw) || raw.trim().toUpperCase();
+}
+
+// Same lab detection CourseCard uses for its Lecture/Lab badge
+export function isLabSection(section) {
+  const title = (stripHtml(section.sectionTitle || '') || '').toLowerCase();
+  return Boolean(section.isLab) || title.includes('lab');
+}
+
+function meetingsOf(section) {
+  const time = parseTimeRange(section.dayTime);
+  if (!time) return []; // arranged / online sections never conflict
+  return time.days.map(day => ({ day, startMin: time.startMin, endMin: time.endMin }));
+}
+
+function overlaps(a, b) {
+  return a.some(x => b.some(y => x.day === y.day && x.startMin < y.endMin && x.endMin > y.startMin));
+}
+
+// Split a course's sections into the components a student must enroll in:
+// one lecture, plus one lab when the course has lab sections
+export function componentsOf(courseKey, sections) {
+  const lectures = sections.filter(s => !isLabSection(s));
+  const labs = sections.filter(isLabSection);
+  const components = [];
+  if (lectures.length) components.push({ courseKey, kind: 'lecture', sections: lectures });
+  if (labs.length) components.push({ courseKey, kind: 'lab', sections: labs });
+  return components;
+}
+
+// Walk conflict-free combinations, handing each to `visit` (which must copy
+// it to keep it) until `max` have been seen
+function forEachSchedule(wishList, fixed, max, visit) {
+  const missing = wishList.filter(c => !c.sections || c.sections.length === 0).map(c => c.key);
+  if (missing.length) return { count: 0, truncated: false, missing };
+
+  // Fewest options first so conflicts prune the search early
+  const components = wishList
+    .flatMap(c => componentsOf(c.key, c.sections))
+    .map(comp => ({
+      ...comp,
+      options: comp.sections.map(section => ({ section, meetings: meetingsOf(section) })),
+    }))
+    .sort((a, b) => a.options.length - b.options.length || a.courseKey.localeCompare(b.courseKey));
+
+  const fixedMeetings = fixed.flatMap(meetingsOf);
+  let count = 0;
+  let truncated = false;
+
+  const walk = (idx, chosen, busy) => {
+    if (truncated) return;
+    if (idx === components.length) {
+      if (count >= max) {
+        truncated = true;
+        return;
+      }
+      count++;
+      visit(chosen);
+      return;
+    }
+    for (const option of components[idx].options) {
+      if (overlaps(option.meetings, busy)) continue;
+      chosen.push(option.section);
+      walk(idx + 1, chosen, busy.concat(option.meetings));
+      chosen.pop();
+    }
+  };
+  walk(0, [], fixedMeetings);
+
+  return { count, truncated, missing };
+}
+
+/**
+ * Enumerate conflict-free section combinations.
+ * @param {Array<{key: string, sections: Object[]}>} wishList - Courses and their sections
+ * @param {Object[]} [fixed] - Sections already on the schedule that must not be overlapped
+ * @returns {{schedules: Object[][], truncated: boolean, missing: string[]}}
+ *   `missing` lists wish-list courses with no sections this term
+ */
+export function enumerateSchedules(wishList, fixed = []) {
+  const schedules = [];
+  const { truncated, missing } = forEachSchedule(wishList, fixed, MAX_SCHEDULES, chosen => {
+    schedules.push(chosen.slice());
+  });
+  return { schedules, truncated, missing };
+}
+
+// Lower-cased instructor names for a section, for rating lookups
+export function instructorNames(section) {
+  const names = parseInstructors(section);
+  if (!names || names === 'Staff') return [];
+  return names.split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Score one schedule against the student's preferences. Higher is better.
+ * @param {Object[]} sections - Generated sections plus any fixed ones
+ * @param {Object} preferences - See DEFAULT_PREFERENCES
+ * @param {Object<string, number>} [ratings] - Average rating by lower-cased instructor name
+ * @returns {{score: number, stats: Object}}
+ */
+export function scoreSchedule(sections, preferences = DEFAULT_PREFERENCES, ratings = {}) {
+  const prefs = { ...DEFAULT_PREFERENCES, ...preferences };
+  const byDay = {};
+  WEEKDAYS.forEach(d => { byDay[d] = []; });
+  sections.flatMap(meetingsOf).forEach(m => {
+    if (byDay[m.day]) byDay[m.day].push(m);
+  });
+
+  let earlyMeetings = 0;
+  let gapMinutes = 0;
+  let earliest = null;
+  let latest = null;
+  WEEKDAYS.forEach(d => {
+    const day = byDay[d].sort((a, b) => a.startMin - b.startMin);
+    day.forEach((m, i) => {
+      if (prefs.earliestStart != null && m.startMin < prefs.earliestStart) earlyMeetings++;
+      if (i > 0) gapMinutes += Math.max(0, m.startMin - day[i - 1].endMin);
+      earliest = earliest == null ? m.startMin : Math.min(earliest, m.startMin);
+      latest = latest == null ? m.endMin : Math.max(latest, m.endMin);
+    });
+  });
+
+  const classDays = WEEKDAYS.filter(d => byDay[d].length > 0);
+  const daysOffMissed = (prefs.daysOff || []).filter(d => byDay[d]?.length > 0).length;
+  const fullSections = sections.filter(s => s.seatsAvailable != null && Number(s.seatsAvailable) <= 0).length;
+
+  const rated = sections
+    .map(s => instructorNames(s).map(n => ratings[n]).filter(r => typeof r === 'number' && r > 0))
+    .filter(r => r.length > 0)
+    .map(r => r.reduce((a, b) => a + b, 0) / r.length);
+  const avgRating = rated.length ? rated.reduce((a, b) => a + b, 0) / rated.length : null;
+
+  let score = 100;
+  score -= earlyMeetings * 10;
+  score -= daysOffMissed * 15;
+  if (prefs.compact) score -= gapMinutes / 30;
+  if (prefs.openSeats) score -= fullSections * 20;
+  if (prefs.ratings && avgRating != null) score += (avgRating - 3) * 8;
+
+  return {
+    score: Math.round(score * 10) / 10,
+    stats: {
+      earliest,
+      latest,
+      classDays,
+      freeDays: WEEKDAYS.length - classDays.length,
+      gapMinutes,
+      earlyMeetings,
+      daysOffMissed,
+      fullSections,
+      avgRating,
+    },
+  };
+}
+
+// Ranking order: higher score first, ties by section ids so the order is
+// stable between runs. Negative when `a` ranks above `b`.
+const compareRanked = (a, b) => b.score - a.score || a.id.localeCompare(b.id);
+
+// Binary heap holding the `limit` best entries seen, worst at the root
+function keepBest(heap, entry, limit) {
+  const worse = (i, j) => compareRanked(heap[i], heap[j]) > 0;
+  const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+  if (limit <= 0) return;
+  if (heap.length < limit) {
+    heap.push(entry);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (!worse(i, parent)) break;
+      swap(i, parent);
+      i = parent;
+    }
+    return;
+  }
+  if (compareRanked(entry, heap[0]) >= 0) return;
+  heap[0] = entry;
+  for (let i = 0; ;) {
+    const left = 2 * i + 1;
+    const right = left + 1;
+    let worst = i;
+    if (left < heap.length && worse(left, worst)) worst = left;
+    if (right < heap.length && worse(right, worst)) worst = right;
+    if (worst === i) break;
+    swap(i, worst);
+    i = worst;
+  }
+}
+
+/**
+ * Generate and rank schedules for a wish list. Schedules are scored as they
+ * are enumerated and only the best `limit` are kept.
+ * @param {Array<{key: string, sections: Object[]}>} wishList
+ * @param {Object} [options]
+ * @param {Object[]} [options.fixed] - Sections already on the schedule
+ * @param {Object} [options.preferences]
+ * @param {Object<string, number>} [options.ratings]
+ * @param {number} [options.limit] - How many ranked schedules to return
+ * @param {number} [options.maxSchedules] - How many schedules to score before giving up
+ * @returns {{results: Array<{id: string, sections: Object[], score: number, stats: Object}>,
+ *   total: number, truncated: boolean, missing: string[]}}
+ */
+export function generateSchedules(wishList, {
+  fixed = [], preferences, ratings, limit = 25, maxSchedules = MAX_SCHEDULES,
+} = {}) {
+  const best = [];
+  const { count, truncated, missing } = forEachSchedule(wishList, fixed, maxSchedules, chosen => {
+    const { score, stats } = scoreSchedule([...fixed, ...chosen], preferences, ratings);
+    const id = chosen.map(s => s.uniqueId).sort().join('|');
+    keepBest(best, { id, sections: chosen.slice(), score, stats }, limit);
+  });
+
+  return { results: best.sort(compareRanked), total: count, truncated, missing };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { enumerateSchedules, generateSchedules, scoreSchedule } from './sectionCombinations';
+
+const section = (prefix, courseNumber, sectionNumber, dayTime, extra = {}) => ({
+  uniqueId: `${prefix}-${courseNumber}-${sectionNumber}`,
+  prefix,
+  courseNumber,
+  sectionNumber,
+  sectionTitle: 'Lecture',
+  dayTime,
+  seatsAvailable: 10,
+  ...extra,
+});
+
+const TIMES = ['MWF 8:10-9:00', 'MWF 9:10-10:00', 'MWF 10:10-11:00', 'TR 9:00-10:15', 'TR 13:30-14:45'];
+const course = (prefix, courseNumber) => ({
+  key: `${prefix} ${courseNumber}`,
+  sections: TIMES.map((dayTime, i) => section(prefix, courseNumber, String(i + 1).padStart(2, '0'), dayTime)),
+});
+const WISH_LIST = [course('MATH', '171'), course('CPTS', '121'), course('ENGLISH', '101')];
+const PREFERENCES = { earliestStart: 540, daysOff: ['F'], compact: true };
+
+const ids = (schedules) => schedules.map((s) => s.id);
+
+// Score everything and sort, the way ranking worked before it was bounded
+const rankAll = (wishList, preferences) => enumerateSchedules(wishList).schedules
+  .map((sections) => ({ id: sections.map((s) => s.uniqueId).sort().join('|'), ...scoreSchedule(sections, preferences) }))
+  .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+describe('generateSchedules', () => {
+  it.each([1, 5, 25, 100])('keeps the same top %i as ranking every schedule', (limit) => {
+    const { results, total, truncated } = generateSchedules(WISH_LIST, { preferences: PREFERENCES, limit });
+    const all = rankAll(WISH_LIST, PREFERENCES);
+    expect(total).toBe(all.length);
+    expect(truncated).toBe(false);
+    expect(ids(results)).toEqual(ids(all.slice(0, limit)));
+    expect(results.map((r) => r.score)).toEqual(all.slice(0, limit).map((r) => r.score));
+  });
+
+  it('leaves out sections that overlap each other or the fixed schedule', () => {
+    const fixed = [section('HIST', '105', '01', 'TR 9:00-10:15')];
+    const { results } = generateSchedules(WISH_LIST, { fixed, limit: 1000 });
+    expect(results.length).toBeGreaterThan(0);
+    results.forEach(({ sections }) => {
+      const times = sections.map((s) => s.dayTime);
+      expect(new Set(times).size).toBe(times.length);
+      expect(times).not.toContain('TR 9:00-10:15');
+    });
+  });
+
+  it('stops after maxSchedules and still ranks what it saw', () => {
+    const { results, total, truncated } = generateSchedules(WISH_LIST, { preferences: PREFERENCES, limit: 3, maxSchedules: 10 });
+    expect(total).toBe(10);
+    expect(truncated).toBe(true);
+    expect(results).toHaveLength(3);
+    expect(results.map((r) => r.score)).toEqual([...results.map((r) => r.score)].sort((a, b) => b - a));
+  });
+
+  it('reports wish-list courses with no sections', () => {
+    const outcome = generateSchedules([...WISH_LIST, { key: 'PHIL 101', sections: [] }]);
+    expect(outcome).toEqual({ results: [], total: 0, truncated: false, missing: ['PHIL 101'] });
+  });
+});
@@ -159,6 +159,24 @@ export function parseTimeRange(dayTime) {
   return { days, startMin, endMin };
 }
 
+// Calendar blocks for a section, one per day it meets. Sections from the
+// API carry normalized `meetingTimes` rows with their room; ones saved
+// before that only have `dayTime`, parsed here instead.
+export function courseMeetingBlocks(course) {
+  const sectionLocation = course.location && course.location !== 'ARR ARR' ? course.location : null;
+  if (Array.isArray(course.meetingTimes) && course.meetingTimes.length) {
+    return course.meetingTimes.map(m => ({
+      day: m.day,
+      startMin: m.startMinute,
+      endMin: m.endMinute,
+      location: m.building ? [m.building, m.room].filter(Boolean).join(' ') : sectionLocation,
+    }));
+  }
+  const parsed = parseTimeRange(course.dayTime);
+  if (!parsed) return [];
+  return parsed.days.map(day => ({ day, startMin: parsed.startMin, endMin: parsed.endMin, location: sectionLocation }));
+}
+
 // Format day time for display
 export function formatDayTime(dayTime) {
   if (!dayTime) return 'TBD';
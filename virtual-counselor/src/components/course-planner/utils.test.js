@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { parseTimeRange, courseMeetingBlocks, formatDayTime, formatTimeRange, parseInstructors, stripHtml } from './utils';
+
+describe('parseTimeRange', () => {
+  it.each([
+    ['MWF 10:10-11:00', ['M', 'W', 'F'], 610, 660],
+    ['TR 9:00-10:15', ['T', 'R'], 540, 615],
+    ['MTWRF 8:10-9:00', ['M', 'T', 'W', 'R', 'F'], 490, 540],
+    // Comma/space separated day names and 24-hour "." separators
+    ['TU,TH 12.05-14.45', ['T', 'R'], 725, 885],
+    ['M,W,F 8-9', ['M', 'W', 'F'], 480, 540],
+    ['Mon Wed 13:10-14:00', ['M', 'W'], 790, 840],
+    // Bare hours
+    ['M 9-10', ['M'], 540, 600],
+    // Surrounding whitespace and repeated days
+    ['  F 1:10-4:00  ', ['F'], 70, 240],
+    ['MMW 9-10', ['M', 'W'], 540, 600],
+  ])('%j', (dayTime, days, startMin, endMin) => {
+    expect(parseTimeRange(dayTime)).toEqual({ days, startMin, endMin });
+  });
+
+  it.each([
+    [null],
+    [''],
+    ['ARR'],
+    ['ARRGT 9-10'],
+    ['AARGT'],
+    ['TBA'],
+    ['MWF'],
+  ])('%j has no meeting time', (dayTime) => {
+    expect(parseTimeRange(dayTime)).toBeNull();
+  });
+});
+
+describe('courseMeetingBlocks', () => {
+  it('uses the normalized meeting rows and their rooms', () => {
+    const course = {
+      dayTime: 'MWF 10:10-11:00',
+      location: 'SLOAN 175',
+      meetingTimes: [
+        { day: 'M', startMinute: 610, endMinute: 660, building: 'SLOAN', room: '175' },
+        { day: 'R', startMinute: 850, endMinute: 1020, building: 'EME', room: '128' },
+        { day: 'F', startMinute: 610, endMinute: 660, building: null, room: null },
+      ],
+    };
+    expect(courseMeetingBlocks(course)).toEqual([
+      { day: 'M', startMin: 610, endMin: 660, location: 'SLOAN 175' },
+      { day: 'R', startMin: 850, endMin: 1020, location: 'EME 128' },
+      { day: 'F', startMin: 610, endMin: 660, location: 'SLOAN 175' },
+    ]);
+  });
+
+  it('falls back to dayTime for sections saved without meeting rows', () => {
+    expect(courseMeetingBlocks({ dayTime: 'TR 9:00-10:15', location: 'ARR ARR' })).toEqual([
+      { day: 'T', startMin: 540, endMin: 615, location: null },
+      { day: 'R', startMin: 540, endMin: 615, location: null },
+    ]);
+    expect(courseMeetingBlocks({ dayTime: 'ARRGT', meetingTimes: [] })).toEqual([]);
+  });
+});
+
+describe('formatDayTime', () => {
+  it.each([
+    ['MWF 10:10-11:00', 'Mon/Wed/Fri 10:10 AM - 11:00 AM'],
+    ['TR 12:00-13:15', 'Tue/Thu 12:00 PM - 1:15 PM'],
+    [null, 'TBD'],
+    ['ARR', 'Async / Arranged'],
+    ['AARGT', 'Async / Arranged'],
+    ['See department', 'See department'],
+  ])('%j -> %j', (dayTime, expected) => {
+    expect(formatDayTime(dayTime)).toBe(expected);
+  });
+});
+
+describe('formatTimeRange', () => {
+  it('formats minutes past midnight on a 12-hour clock', () => {
+    expect(formatTimeRange(0, 30)).toBe('12:00 AM - 12:30 AM');
+    expect(formatTimeRange(725, 885)).toBe('12:05 PM - 2:45 PM');
+  });
+});
+
+describe('parseInstructors', () => {
+  it.each([
+    [null, 'Staff'],
+    ['', 'Staff'],
+    ['Jane Doe', 'Jane Doe'],
+    ['<b>Jane Doe</b>', 'Jane Doe'],
+    ['[{"firstName":"Jane","lastName":"Doe"},{"first":"Sam","last":"Lee"}]', 'Jane Doe, Sam Lee'],
+    ['{"firstName":"Jane","lastInitial":"D"}', 'Jane D'],
+    ['[]', 'Staff'],
+    [[{ firstName: 'Jane', lastName: 'Doe' }, 'Sam Lee'], 'Jane Doe, Sam Lee'],
+    [{ instructors: [{ firstName: 'Ana', lastName: 'Ruiz' }], instructor: 'ignored' }, 'Ana Ruiz'],
+    [{ instructor: 'Jane Doe' }, 'Jane Doe'],
+  ])('%j -> %j', (raw, expected) => {
+    expect(parseInstructors(raw)).toBe(expected);
+  });
+});
+
+describe('stripHtml', () => {
+  it('removes nested tags and trims', () => {
+    expect(stripHtml(' <p>Intro <i>to</i> C</p> ')).toBe('Intro to C');
+    expect(stripHtml('<div><span>Staff</span></div>')).toBe('Staff');
+    expect(stripHtml(undefined)).toBeUndefined();
+  });
+});
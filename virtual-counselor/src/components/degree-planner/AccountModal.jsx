@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+
+const SYNC_STATUS_TEXT = {
+  synced: 'Your plan is synced.',
+  pulled: 'Loaded the latest plan from your account.',
+  pushed: 'Your plan is synced.',
+  conflict: 'Plan was edited on two devices; the newest copy was kept.',
+  offline: 'Offline: changes are saved on this device and will sync next time.',
+  syncing: 'Syncing…',
+};
+
+function AccountModal({ show, onClose, user, syncStatus, onSignIn, onRegister, onSignOut }) {
+  const [mode, setMode] = useState('signin'); // 'signin' | 'register'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!show) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      if (mode === 'register') {
+        await onRegister(email, password, displayName);
+      } else {
+        await onSignIn(email, password);
+      }
+      setPassword('');
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 dark:text-white focus:outline-none focus:ring-2 focus:ring-wsu-crimson';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Account"
+      onClick={onClose}
+    >
+      <div className="absolute inset-0 bg-black bg-opacity-40 dark:bg-opacity-70" />
+      <div
+        className="relative z-10 w-full max-w-sm mx-4 bg-white dark:bg-gray-800 rounded-lg shadow-lg overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b dark:border-gray-700">
+          <h3 className="font-semibold text-lg dark:text-white">
+            {user ? 'Your Account' : mode === 'register' ? 'Create Account' : 'Sign In'}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 rounded p-1"
+            aria-label="Close account dialog"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {user ? (
+          <div className="p-4 space-y-3">
+            <div className="text-sm text-gray-700 dark:text-gray-300">
+              Signed in as <span className="font-medium">{user.displayName || user.email}</span>
+            </div>
+            {syncStatus && SYNC_STATUS_TEXT[syncStatus] && (
+              <div className="text-xs text-gray-500 dark:text-gray-400">{SYNC_STATUS_TEXT[syncStatus]}</div>
+            )}
+            <button
+              onClick={onSignOut}
+              className="w-full px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-md hover:bg-gray-300 dark:hover:bg-gray-600 transition text-sm"
+            >
+              Sign out
+            </button>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Signing out keeps a copy of your plan on this device.
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-4 space-y-3">
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Sign in to keep your degree plan in sync across devices.
+            </p>
+            {mode === 'register' && (
+              <input
+                type="text"
+                value={displayName}
+                onChange={(e) => setDisplayName(e.target.value)}
+                placeholder="Name (optional)"
+                className={inputClass}
+                autoComplete="name"
+              />
+            )}
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email"
+              className={inputClass}
+              autoComplete="email"
+              required
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password (8+ characters)"
+              className={inputClass}
+              autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+              minLength={8}
+              required
+            />
+            {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full px-4 py-2 bg-wsu-crimson text-white rounded-md hover:bg-red-800 transition text-sm disabled:opacity-50"
+            >
+              {submitting ? 'Please wait…' : mode === 'register' ? 'Create account' : 'Sign in'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setMode(mode === 'register' ? 'signin' : 'register'); setError(''); }}
+              className="w-full text-xs text-gray-600 dark:text-gray-400 hover:underline"
+            >
+              {mode === 'register' ? 'Already have an account? Sign in' : 'New here? Create an account'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AccountModal;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { fetchCatalogDiff } from '../../utils/api';
+
+const STATUS_STYLES = {
+  added: 'bg-green-50 border-green-200 text-green-900 dark:bg-green-900/20 dark:border-green-800 dark:text-green-200',
+  removed: 'bg-red-50 border-red-200 text-red-900 line-through dark:bg-red-900/20 dark:border-red-800 dark:text-red-200',
+  changed: 'bg-amber-50 border-amber-200 text-amber-900 dark:bg-amber-900/20 dark:border-amber-800 dark:text-amber-200',
+  same: 'border-transparent text-gray-700 dark:text-gray-300',
+};
+
+function describeChange(change) {
+  const parts = [];
+  if (change.credits) parts.push(`${change.credits.from ?? '?'} → ${change.credits.to ?? '?'} cr`);
+  if (change.ucore) {
+    change.ucore.added.forEach(u => parts.push(`+${u}`));
+    change.ucore.removed.forEach(u => parts.push(`−${u}`));
+  }
+  if (change.footnotes) parts.push('footnote changed');
+  if (change.moved) parts.push(`moved to ${change.moved.to}`);
+  return parts.join(' · ');
+}
+
+function RequirementColumn({ side, statusOf, changesByKey, showChanges }) {
+  const groups = useMemo(() => {
+    const byGroup = new Map();
+    side.requirements.forEach(r => {
+      if (!byGroup.has(r.group)) byGroup.set(r.group, []);
+      byGroup.get(r.group).push(r);
+    });
+    return [...byGroup.entries()];
+  }, [side]);
+
+  return (
+    <div className="min-w-0">
+      <div className="text-sm font-semibold text-gray-800 dark:text-gray-100 mb-1">
+        {side.catalogYear} catalog
+        <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+          {side.totalCredits ? `${side.totalCredits} credits` : `${side.requirementCredits} listed credits`}
+        </span>
+      </div>
+      {groups.length === 0 && (
+        <div className="text-xs text-gray-500 dark:text-gray-400">No requirements recorded for this year.</div>
+      )}
+      {groups.map(([group, items]) => (
+        <div key={group} className="mb-2">
+          <div className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">{group}</div>
+          {items.map(item => {
+            const status = statusOf(item.key);
+            const change = changesByKey.get(item.key);
+            return (
+              <div key={item.key} className={`flex justify-between gap-2 px-2 py-0.5 my-0.5 rounded border text-xs ${STATUS_STYLES[status]}`}>
+                <span className="truncate" title={item.footnotes.join('\n') || undefined}>{item.label}</span>
+                <span className="shrink-0">
+                  {showChanges && change ? describeChange(change) : item.credits && `${item.credits} cr`}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Side-by-side comparison of a program's requirements in two catalog years,
+ * to help a student decide whether switching catalog years is worth it.
+ * @param {string} name - Program name as listed in the catalog
+ * @param {'degree'|'minor'|'certificate'} type
+ * @param {string} [initialFrom] - Catalog year to compare from (e.g. the one the student is on)
+ */
+function CatalogDiff({ name, type, initialFrom }) {
+  // Requested years; empty lets the server pick the program's two latest
+  const [range, setRange] = useState({ from: initialFrom || '', to: '' });
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchCatalogDiff({ name, type, ...range })
+      .then(data => { if (!cancelled) setDiff(data); })
+      .catch(err => {
+        if (cancelled) return;
+        // Fall back to the program's latest years when a requested one isn't available
+        if (err.body?.availableYears && (range.from || range.to)) {
+          setRange({ from: '', to: '' });
+          return;
+        }
+        setError(err.message);
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [name, type, range]);
+
+  const view = useMemo(() => {
+    if (!diff) return null;
+    const added = new Set(diff.added.map(r => r.key));
+    const removed = new Set(diff.removed.map(r => r.key));
+    const changesByKey = new Map();
+    [...diff.creditChanges, ...diff.ucoreChanges, ...diff.footnoteChanges, ...diff.moved]
+      .forEach(c => changesByKey.set(c.key, c));
+    const statusOf = key => (added.has(key) ? 'added' : removed.has(key) ? 'removed' : changesByKey.has(key) ? 'changed' : 'same');
+    return { statusOf, changesByKey };
+  }, [diff]);
+
+  const yearSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+    >
+      {diff.availableYears.map(y => <option key={y} value={y}>{y}</option>)}
+    </select>
+  );
+
+  if (error) return <div className="text-sm text-red-600 dark:text-red-400">{error}</div>;
+  if (!diff) return <div className="text-sm text-gray-500 dark:text-gray-400">{loading ? 'Comparing catalog years…' : null}</div>;
+
+  const { summary } = diff;
+  return (
+    <div className={`space-y-3 ${loading ? 'opacity-60' : ''}`}>
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        Compare {yearSelect(diff.from.catalogYear, y => setRange({ from: y, to: diff.to.catalogYear }))}
+        with {yearSelect(diff.to.catalogYear, y => setRange({ from: diff.from.catalogYear, to: y }))}
+        {diff.availableYears.length < 2 && (
+          <span className="text-xs text-gray-500 dark:text-gray-400">Only one catalog year is available for this program.</span>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-xs">
+        <span className="px-2 py-0.5 rounded bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300">{summary.added} added</span>
+        <span className="px-2 py-0.5 rounded bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">{summary.removed} removed</span>
+        <span className="px-2 py-0.5 rounded bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300">{summary.changed} changed</span>
+        {summary.creditDelta !== 0 && (
+          <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200">
+            {summary.creditDelta > 0 ? '+' : ''}{summary.creditDelta} listed credits
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-h-96 overflow-y-auto">
+        <RequirementColumn side={diff.from} statusOf={view.statusOf} changesByKey={view.changesByKey} showChanges={false} />
+        <RequirementColumn side={diff.to} statusOf={view.statusOf} changesByKey={view.changesByKey} showChanges />
+      </div>
+
+      {(diff.footnotes.added.length > 0 || diff.footnotes.removed.length > 0) && (
+        <div className="text-xs space-y-1">
+          <div className="font-semibold text-gray-700 dark:text-gray-300">Footnote changes</div>
+          {diff.footnotes.removed.map(f => (
+            <div key={`r-${f}`} className="text-red-700 dark:text-red-300">− {f}</div>
+          ))}
+          {diff.footnotes.added.map(f => (
+            <div key={`a-${f}`} className="text-green-700 dark:text-green-300">+ {f}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CatalogDiff;
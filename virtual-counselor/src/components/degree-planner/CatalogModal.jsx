@@ -1,4 +1,7 @@
-import React from 'react';
+import React, { useState, Suspense, lazy } from 'react';
+import HighlightedText from '../HighlightedText';
+
+const PrereqGraph = lazy(() => import('../PrereqGraph'));
 
 function CatalogModal({
   show,
@@ -35,10 +38,31 @@ function CatalogModal({
   autoFillUcore,
   // Plan data
   years,
-  activeYearTab
+  activeYearTab,
+  completedCourses
 }) {
+  // Course whose prerequisite graph is expanded
+  const [graphCode, setGraphCode] = useState(null);
+
   if (!show) return null;
 
+  const courseCode = (c) => c.code || (c.prefix + ' ' + c.number);
+  const graphToggle = (c) => (
+    <button
+      onClick={() => setGraphCode(code => code === courseCode(c) ? null : courseCode(c))}
+      className="px-3 py-1 rounded border dark:border-gray-600 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600"
+    >
+      {graphCode === courseCode(c) ? 'Hide prerequisites' : 'Prerequisites'}
+    </button>
+  );
+  const graphPanel = (c) => graphCode === courseCode(c) && (
+    <div className="mt-3">
+      <Suspense fallback={<div className="text-sm text-gray-500 dark:text-gray-400">Loading graph…</div>}>
+        <PrereqGraph code={courseCode(c)} year={catalogModalYear} completedCourses={completedCourses} />
+      </Suspense>
+    </div>
+  );
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[70]">
       <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-3xl w-full max-h-[80vh] overflow-y-auto shadow-xl">
@@ -167,7 +191,7 @@ function CatalogModal({
                     <div key={`${c.id || 'noid'}-${catalogIndex}`} className="border dark:border-gray-700 rounded p-3 bg-white dark:bg-gray-700/50">
                       <div className="flex justify-between items-start">
                         <div>
-                          <div className="text-sm font-semibold dark:text-white">{c.code || (c.prefix + ' ' + c.number)} — {c.title}</div>
+                          <div className="text-sm font-semibold dark:text-white">{c.code || (c.prefix + ' ' + c.number)} — <HighlightedText highlighted={c.highlights?.title} text={c.title} /></div>
                           <div className="text-xs text-gray-600 dark:text-gray-400">Credits: {c.credits || c.credits_phrase || '—'}</div>
                           {c._satisfiesUcore && (
                             <div className="mt-1 text-xs text-green-700 dark:text-green-400 font-medium">Satisfies required UCORE</div>
@@ -178,8 +202,9 @@ function CatalogModal({
                           <div className="text-sm dark:text-gray-200">{(c.availability && c.availability.length) ? c.availability.slice(0,3).map(a=>`${a.campus || ''} ${a.term || ''} ${a.year || ''}`).join(', ') : 'Not listed in live schedule'}</div>
                         </div>
                       </div>
-                      <div className="mt-2 text-sm text-gray-700 dark:text-gray-300">{c.description ? (c.description.length > 400 ? c.description.slice(0,400)+'…' : c.description) : 'No description available'}</div>
+                      <div className="mt-2 text-sm text-gray-700 dark:text-gray-300">{c.highlights?.description ? <HighlightedText highlighted={c.highlights.description} /> : c.description ? (c.description.length > 400 ? c.description.slice(0,400)+'…' : c.description) : 'No description available'}</div>
                       <div className="mt-3 flex items-center justify-end space-x-2">
+                        {graphToggle(c)}
                         <button
                           onClick={() => addCatalogCourseToPlan(c, activeYearTab, catalogModalTerm)}
                           className={`px-3 py-1 rounded ${c._disabledForFootnote ? 'bg-gray-300 text-gray-600 cursor-not-allowed dark:bg-gray-600 dark:text-gray-400' : 'bg-blue-600 text-white hover:bg-blue-700'}`}
@@ -189,6 +214,7 @@ function CatalogModal({
                           Add to {years.find(y=>y.id===activeYearTab)?.name} {catalogModalTerm}
                         </button>
                       </div>
+                      {graphPanel(c)}
                     </div>
                   );
                 })()
@@ -198,7 +224,7 @@ function CatalogModal({
                 <div key={`${c.id || 'noid'}-${idx}`} className="border dark:border-gray-700 rounded p-3 bg-white dark:bg-gray-700/50">
                   <div className="flex justify-between items-start">
                     <div>
-                      <div className="text-sm font-semibold dark:text-white">{c.code || (c.prefix + ' ' + c.number)} — {c.title}</div>
+                      <div className="text-sm font-semibold dark:text-white">{c.code || (c.prefix + ' ' + c.number)} — <HighlightedText highlighted={c.highlights?.title} text={c.title} /></div>
                       <div className="text-xs text-gray-600 dark:text-gray-400">Credits: {c.credits || c.credits_phrase || '—'}</div>
                       {c._satisfiesUcore && (
                         <div className="mt-1 text-xs text-green-700 dark:text-green-400 font-medium">Satisfies required UCORE</div>
@@ -209,8 +235,9 @@ function CatalogModal({
                       <div className="text-sm dark:text-gray-200">{(c.availability && c.availability.length) ? c.availability.slice(0,3).map(a=>`${a.campus || ''} ${a.term || ''} ${a.year || ''}`).join(', ') : 'Not listed in live schedule'}</div>
                     </div>
                   </div>
-                  <div className="mt-2 text-sm text-gray-700 dark:text-gray-300">{c.description ? (c.description.length > 400 ? c.description.slice(0,400)+'…' : c.description) : 'No description available'}</div>
+                  <div className="mt-2 text-sm text-gray-700 dark:text-gray-300">{c.highlights?.description ? <HighlightedText highlighted={c.highlights.description} /> : c.description ? (c.description.length > 400 ? c.description.slice(0,400)+'…' : c.description) : 'No description available'}</div>
                   <div className="mt-3 flex items-center justify-end space-x-2">
+                    {graphToggle(c)}
                     <button
                       onClick={() => addCatalogCourseToPlan(c, activeYearTab, catalogModalTerm)}
                       className={`px-3 py-1 rounded ${c._disabledForFootnote ? 'bg-gray-300 text-gray-600 cursor-not-allowed dark:bg-gray-600 dark:text-gray-400' : 'bg-blue-600 text-white hover:bg-blue-700'}`}
@@ -220,6 +247,7 @@ function CatalogModal({
                       Add to {years.find(y=>y.id===activeYearTab)?.name} {catalogModalTerm}
                     </button>
                   </div>
+                  {graphPanel(c)}
                 </div>
               ))
             )}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from "react";
 import CatalogModal from "./CatalogModal";
 import { isUcoreInquiry, extractAllowedUcoreCategories } from "../../utils/degreeHelpers";
+import { getCompletedCourses } from "../../utils/degreeCalculations";
 import { 
   detectElectiveKinds, 
   buildElectiveFilter, 
@@ -401,6 +402,7 @@ export default function CatalogPicker({
         // Context
         years={years}
         activeYearTab={activeYearTab}
+        completedCourses={getCompletedCourses(degreePlan || {})}
     />
   );
 }
@@ -2,6 +2,8 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { X } from 'lucide-react';
 import { searchCatalogCourses } from '../../utils/api';
 import { loadRecentCourses, saveRecentCourse } from '../../utils/storage';
+import PlanComments from './PlanComments';
+import { parsePrerequisites, prereqTreeFromCodes, evaluatePrereqTree } from '../../shared/prereqParser.mjs';
 
 // Grade points for GPA calculation
 export const GRADE_POINTS = {
@@ -28,6 +30,13 @@ export const GRADE_OPTIONS = [
   { value: 'U',  label: 'U (Unsat.)' },
 ];
 
+const STATUS_LABELS = {
+  'not-taken': 'Not Taken',
+  'planned': 'Planned',
+  'in-progress': 'In Progress',
+  'taken': 'Taken',
+};
+
 // Debounce hook
 function useDebounce(callback, delay) {
   const timeoutRef = useRef(null);
@@ -91,7 +100,7 @@ function CourseNotes({ notes }) {
 }
 
 // Course Row Component with autocomplete
-function CourseRow({ course, onUpdate, onRemove, onMoveClick, yearId, term, openCatalog, openClassCalc, completedCourses = [], duplicateCourses = new Set() }) {
+function CourseRow({ course, onUpdate, onRemove, onMoveClick, yearId, term, openCatalog, openClassCalc, completedCourses = [], completedGrades = {}, termCourses = [], duplicateCourses = new Set(), readOnly = false, comments = [], onAddComment, onResolveComment }) {
   const textareaRef = useRef(null);
   const [courseSuggestions, setCourseSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
@@ -105,24 +114,23 @@ function CourseRow({ course, onUpdate, onRemove, onMoveClick, yearId, term, open
     // Override: User manually marked as met
     if (course.prereqsMetOverride) return { met: true, missing: [] };
 
-    // If course has no prerequisites info, assume met
-    if (!course.prerequisites || course.prerequisites.length === 0) return { met: true, missing: [] };
-
-    const completedSet = new Set(completedCourses.map(c => c.toUpperCase()));
-    const missing = [];
+    // Prefer the parsed AND/OR tree; rows saved before it existed only have
+    // the raw text or a flat array of course codes
+    const tree = course.prerequisiteTree
+      || parsePrerequisites(course.prerequisiteRaw)
+      || prereqTreeFromCodes(course.prerequisites);
 
-    // Prerequisites can be a flat array of course codes
-    const prereqCodes = Array.isArray(course.prerequisites)
-      ? course.prerequisites.map(p => String(p).toUpperCase())
-      : [];
-
-    prereqCodes.forEach(prereq => {
-      if (!completedSet.has(prereq)) {
-        missing.push(prereq);
-      }
+    // If course has no prerequisites info, assume met
+    if (!tree) return { met: true, missing: [] };
+
+    // Same evaluation optimizeSchedule uses. Class standing is left unknown
+    // here since it depends on the term the course ends up in.
+    const { met, missing } = evaluatePrereqTree(tree, {
+      completed: completedCourses,
+      concurrent: termCourses,
+      grades: completedGrades,
     });
-
-    return { met: missing.length === 0, missing };
+    return { met, missing };
   };
 
   const prereqStatus = checkPrereqsMet();
@@ -199,6 +207,8 @@ function CourseRow({ course, onUpdate, onRemove, onMoveClick, yearId, term, open
       const prereqs = courseData.prerequisite_codes || courseData.prerequisiteCodes;
       onUpdate(course.id, 'prerequisites', Array.isArray(prereqs) ? prereqs : []);
     }
+    const prereqTree = courseData.prerequisite_tree || parsePrerequisites(courseData.prerequisite_raw);
+    onUpdate(course.id, 'prerequisiteTree', prereqTree || null);
 
     // Save to recent courses
     saveRecentCourse(courseData);
@@ -231,6 +241,26 @@ function CourseRow({ course, onUpdate, onRemove, onMoveClick, yearId, term, open
     return false;
   };
 
+  // Read-only rendering used by the shared plan viewer
+  if (readOnly) {
+    return (
+      <div className="border border-gray-200 dark:border-gray-700 rounded px-2 py-1.5">
+        <div className="flex justify-between items-start gap-2">
+          <span className="text-sm font-medium text-gray-900 dark:text-white break-words">{course.name || '—'}</span>
+          <span className="text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">{course.credits || 0} cr</span>
+        </div>
+        <div className="text-xs text-gray-500 dark:text-gray-400">
+          {STATUS_LABELS[course.status] || 'Not Taken'}
+          {course.grade ? ` · ${course.grade}` : ''}
+        </div>
+        {((Array.isArray(course.footnotes) && course.footnotes.length > 0) || (course.footnotes && !Array.isArray(course.footnotes))) && (
+          <CourseNotes notes={course.footnotes} />
+        )}
+        <PlanComments comments={comments} onAdd={onAddComment} onResolve={onResolveComment} compact />
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-2 group relative">
       {/* Duplicate Course Warning Banner */}
@@ -644,6 +674,9 @@ function CourseRow({ course, onUpdate, onRemove, onMoveClick, yearId, term, open
           <CourseNotes notes={course.footnotes} />
         );
       })()}
+
+      {/* Advisor comments from shared plan links */}
+      <PlanComments comments={comments} onResolve={onResolveComment} />
     </div>
   );
 }
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CourseRow from './CourseRow';
+
+vi.mock('../../utils/api', () => ({
+  searchCatalogCourses: vi.fn(async () => ({ courses: [] })),
+}));
+
+// Applies onUpdate the same way TermCard does, so the row re-renders with
+// each change like it would in the planner
+function StatefulRow({ initial, onChange, ...props }) {
+  const [course, setCourse] = useState(initial);
+  const onUpdate = (id, field, value) => {
+    setCourse((prev) => {
+      const next = prev.id === id ? { ...prev, [field]: value } : prev;
+      onChange?.(next);
+      return next;
+    });
+  };
+  return <CourseRow course={course} onUpdate={onUpdate} onRemove={() => {}} {...props} />;
+}
+
+const renderRow = (course, props = {}) => {
+  const onChange = vi.fn();
+  render(<StatefulRow initial={{ id: 1, credits: 3, ...course }} onChange={onChange} {...props} />);
+  return { onChange, latest: () => onChange.mock.calls.at(-1)[0] };
+};
+
+const statusSelect = () => screen.getAllByRole('combobox')[0];
+const gradeSelect = () => screen.getAllByRole('combobox')[1];
+
+describe('CourseRow status and grade', () => {
+  it.each([
+    ['not-taken', true],
+    ['planned', true],
+    ['in-progress', false],
+    ['taken', false],
+  ])('grade select disabled for %s: %s', (status, disabled) => {
+    renderRow({ name: 'CPT S 121', status });
+    expect(statusSelect()).toHaveValue(status);
+    if (disabled) expect(gradeSelect()).toBeDisabled();
+    else expect(gradeSelect()).toBeEnabled();
+  });
+
+  it('defaults a row without a status to Not Taken', () => {
+    renderRow({ name: 'CPT S 121' });
+    expect(statusSelect()).toHaveValue('not-taken');
+  });
+
+  it('enables grading once a course is marked taken and shows its grade points', async () => {
+    const user = userEvent.setup();
+    const { latest } = renderRow({ name: 'CPT S 121', status: 'planned', credits: 4 });
+
+    await user.selectOptions(statusSelect(), 'taken');
+    expect(latest().status).toBe('taken');
+    expect(gradeSelect()).toBeEnabled();
+
+    await user.selectOptions(gradeSelect(), 'B+');
+    expect(latest().grade).toBe('B+');
+    expect(screen.getByText('13.2')).toBeInTheDocument();
+  });
+
+  it('shows no grade points for pass/fail grades', () => {
+    renderRow({ name: 'UNIV 104', status: 'taken', grade: 'P', credits: 1 });
+    expect(gradeSelect()).toHaveValue('P');
+    expect(screen.queryByText(/^\d+\.\d$/)).not.toBeInTheDocument();
+  });
+
+  it('moving a taken course back to planned keeps its grade but locks the select', async () => {
+    const user = userEvent.setup();
+    const { latest } = renderRow({ name: 'CPT S 121', status: 'taken', grade: 'A' });
+
+    await user.selectOptions(statusSelect(), 'planned');
+    expect(latest()).toMatchObject({ status: 'planned', grade: 'A' });
+    expect(gradeSelect()).toBeDisabled();
+  });
+});
+
+describe('CourseRow prerequisite warning', () => {
+  const course = { name: 'CPT S 122', status: 'planned', prerequisiteRaw: 'CPT S 121 with a C or better' };
+
+  it('lists missing prerequisites until they are met', () => {
+    renderRow(course);
+    expect(screen.getByText('Missing prerequisites:').parentElement).toHaveTextContent('CPTS 121 (C or better)');
+  });
+
+  it.each([
+    ['a passing grade in the prerequisite', { completedCourses: ['CPTS 121'], completedGrades: { 'CPTS 121': 'B' } }, false],
+    ['a grade below the minimum', { completedCourses: ['CPTS 121'], completedGrades: { 'CPTS 121': 'D' } }, true],
+    ['the prerequisite only in the same term', { termCourses: ['CPTS 121'] }, true],
+  ])('with %s the warning shows: %s', (_label, props, shown) => {
+    renderRow(course, props);
+    expect(screen.queryByText('Missing prerequisites:') !== null).toBe(shown);
+  });
+
+  it('is hidden once the course itself is taken', () => {
+    renderRow({ ...course, status: 'taken', grade: 'A' });
+    expect(screen.queryByText('Missing prerequisites:')).not.toBeInTheDocument();
+  });
+
+  it('Mark as Met records an override and dismisses the warning', async () => {
+    const user = userEvent.setup();
+    const { latest } = renderRow(course);
+
+    await user.click(screen.getByRole('button', { name: 'Mark as Met' }));
+    expect(latest().prereqsMetOverride).toBe(true);
+    expect(screen.queryByText('Missing prerequisites:')).not.toBeInTheDocument();
+  });
+});
@@ -1,4 +1,5 @@
 import React from "react";
+import { Cloud, CloudOff, User } from "lucide-react";
 
 export default function DegreePlannerHeader({
   undo,
@@ -9,13 +10,31 @@ export default function DegreePlannerHeader({
   onExport,
   onPrintPDF,
   onExportICS,
+  onShare,
   onImport,
   onImportTranscript,
   onReset,
   onWhatIf,
+  account,
+  syncStatus,
+  onAccountClick,
 }) {
+  const SyncIcon = !account ? User : syncStatus === "offline" ? CloudOff : Cloud;
   return (
     <div className="flex flex-wrap justify-end gap-2">
+      {/* Account / sync status */}
+      <button
+        onClick={onAccountClick}
+        className="w-auto px-3 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-md hover:bg-gray-300 dark:hover:bg-gray-600 transition touch-manipulation text-sm flex items-center gap-1"
+        aria-label={account ? "Account and sync status" : "Sign in to sync your plan"}
+        title={account ? `Signed in as ${account.email}` : "Sign in to sync your plan"}
+      >
+        <SyncIcon className="w-4 h-4" />
+        <span className="hidden sm:inline max-w-[10rem] truncate">
+          {account ? account.displayName || account.email : "Sign in"}
+        </span>
+      </button>
+
       {/* Undo/Redo Buttons */}
       <button
         onClick={undo}
@@ -111,6 +130,12 @@ export default function DegreePlannerHeader({
                 >
                    Export to Calendar (.ics)
                 </button>
+                <button
+                    onClick={onShare}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border-t border-gray-100"
+                >
+                   Share Link for Advisor
+                </button>
             </div>
         </div>
       </div>
@@ -1,4 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
+import CatalogDiff from './CatalogDiff';
+
+const DIFF_TYPES = { majors: 'degree', minors: 'minor', certificates: 'certificate' };
 
 function DegreeSelector({
   // Catalog state
@@ -23,6 +26,28 @@ function DegreeSelector({
   handleAddProgram,
   handleRemoveProgram
 }) {
+  // "<programType>:<name>" of the program whose catalog-year comparison is open
+  const [comparing, setComparing] = useState(null);
+
+  const compareButton = (programType, name) => {
+    const key = `${programType}:${name}`;
+    return (
+      <button
+        onClick={() => setComparing(comparing === key ? null : key)}
+        className="text-xs text-white/90 hover:text-white hover:bg-white/20 px-2 py-0.5 rounded"
+        title="See what changed between catalog years"
+      >
+        {comparing === key ? 'Hide comparison' : 'Compare years'}
+      </button>
+    );
+  };
+
+  const comparePanel = (programType, name) => comparing === `${programType}:${name}` && (
+    <div className="px-3 py-3 border-b border-gray-200 dark:border-gray-700">
+      <CatalogDiff name={name} type={DIFF_TYPES[programType]} initialFrom={selectedYear} />
+    </div>
+  );
+
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
       <h3 className="text-lg font-semibold mb-4 dark:text-white">Select Degree Program</h3>
@@ -147,6 +172,7 @@ function DegreeSelector({
                 <div className="px-3 py-2 bg-wsu-crimson text-white rounded-t-lg font-medium text-sm flex items-center justify-between">
                   <span>{prog.name}</span>
                   <div className="flex items-center gap-2">
+                    {compareButton('majors', prog.name)}
                     <span className="text-xs bg-white/20 px-2 py-0.5 rounded">Major</span>
                     <button
                       onClick={() => handleRemoveProgram('majors', prog.name)}
@@ -159,6 +185,7 @@ function DegreeSelector({
                     </button>
                   </div>
                 </div>
+                {comparePanel('majors', prog.name)}
                 {prog.data?.degree?.narrative && (
                   <details className="px-3 py-2 bg-gray-50">
                     <summary className="cursor-pointer text-sm font-medium text-gray-700 hover:text-wsu-crimson">
@@ -178,6 +205,7 @@ function DegreeSelector({
                 <div className="px-3 py-2 bg-green-700 text-white rounded-t-lg font-medium text-sm flex items-center justify-between">
                   <span>{prog.name}</span>
                   <div className="flex items-center gap-2">
+                    {compareButton('minors', prog.name)}
                     <span className="text-xs bg-white/20 px-2 py-0.5 rounded">Minor</span>
                     <button
                       onClick={() => handleRemoveProgram('minors', prog.name)}
@@ -190,6 +218,7 @@ function DegreeSelector({
                     </button>
                   </div>
                 </div>
+                {comparePanel('minors', prog.name)}
                 {prog.data?.degree?.narrative && (
                   <details className="px-3 py-2 bg-gray-50">
                     <summary className="cursor-pointer text-sm font-medium text-gray-700 hover:text-wsu-crimson">
@@ -237,6 +266,7 @@ function DegreeSelector({
                 <div className="px-3 py-2 bg-purple-700 text-white rounded-t-lg font-medium text-sm flex items-center justify-between">
                   <span>{prog.name}</span>
                   <div className="flex items-center gap-2">
+                    {compareButton('certificates', prog.name)}
                     <span className="text-xs bg-white/20 px-2 py-0.5 rounded">Certificate</span>
                     <button
                       onClick={() => handleRemoveProgram('certificates', prog.name)}
@@ -249,6 +279,7 @@ function DegreeSelector({
                     </button>
                   </div>
                 </div>
+                {comparePanel('certificates', prog.name)}
                 {prog.data?.degree?.narrative && (
                   <details className="px-3 py-2 bg-gray-50">
                     <summary className="cursor-pointer text-sm font-medium text-gray-700 hover:text-wsu-crimson">
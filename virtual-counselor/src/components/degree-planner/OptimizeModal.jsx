@@ -1,8 +1,94 @@
 import React from 'react';
 
-function OptimizeModal({ show, onClose, optimizeSpeed, setOptimizeSpeed, includeSummer, setIncludeSummer, ensureFullTime, setEnsureFullTime, onOptimize }) {
+// Results of the last optimize run: graduation term, plus why courses
+// couldn't move earlier and which ones couldn't be placed at all
+function OptimizeReport({ report }) {
+  const delayed = report.explanations.filter(e => e.blockers.some(b => b.reason !== 'not-offered' && b.reason !== 'summer-excluded'));
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="p-3 rounded bg-green-50 dark:bg-green-900/30 text-green-800 dark:text-green-200">
+        {report.graduation
+          ? <>Finishes in <strong>{report.graduation}</strong> ({report.termsUsed} term{report.termsUsed === 1 ? '' : 's'} from now).</>
+          : 'No courses left to schedule.'}
+        {!report.exhaustive && (
+          <div className="text-xs mt-1">Search stopped early; this is the best schedule found.</div>
+        )}
+      </div>
+
+      {report.underloadedTerms.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-red-700 dark:text-red-300 mb-1">Can't keep {report.minCredits}+ credits every term</h4>
+          <ul className="space-y-1">
+            {report.underloadedTerms.map(u => (
+              <li key={u.term} className="dark:text-gray-200">
+                <span className="font-medium">{u.term}</span>
+                <span className="text-gray-600 dark:text-gray-400"> — only {u.credits} credits can be taken</span>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Not enough courses are open to these terms; add electives or lower the minimum.</p>
+        </div>
+      )}
+
+      {report.unplaced.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-red-700 dark:text-red-300 mb-1">Couldn't be scheduled</h4>
+          <ul className="space-y-1">
+            {report.unplaced.map(u => (
+              <li key={u.key} className="dark:text-gray-200">
+                <span className="font-medium">{u.name}</span>
+                <span className="text-gray-600 dark:text-gray-400"> — {u.detail}</span>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">These were left in the term after graduation.</p>
+        </div>
+      )}
+
+      {delayed.length > 0 && (
+        <div>
+          <h4 className="font-semibold dark:text-white mb-1">Why courses aren't earlier</h4>
+          <ul className="space-y-1 max-h-60 overflow-y-auto">
+            {delayed.map(e => (
+              <li key={`${e.key}-${e.placedIn}`} className="dark:text-gray-200">
+                <span className="font-medium">{e.name}</span>
+                <span className="text-gray-500 dark:text-gray-400"> in {e.placedIn}</span>
+                <div className="text-xs text-gray-600 dark:text-gray-400">{e.summary}</div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function OptimizeModal({ show, onClose, optimizeSpeed, setOptimizeSpeed, includeSummer, setIncludeSummer, ensureFullTime, setEnsureFullTime, creditRange, setCreditRange, report, onOptimize }) {
   if (!show) return null;
 
+  const rangeError = creditRange.min !== '' && creditRange.max !== '' && Number(creditRange.min) > Number(creditRange.max)
+    ? 'Minimum credits can\'t be more than the maximum.'
+    : null;
+
+  if (report) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center z-50">
+        <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-lg w-full">
+          <h3 className="text-xl font-bold mb-4 dark:text-white">Schedule Optimized</h3>
+          <OptimizeReport report={report} />
+          <div className="flex mt-6">
+            <button
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-wsu-crimson text-white rounded-lg hover:bg-red-800"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center z-50">
       <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full">
@@ -65,11 +151,38 @@ function OptimizeModal({ show, onClose, optimizeSpeed, setOptimizeSpeed, include
                 <span className="text-xs text-gray-500 dark:text-gray-400">Allows exceeding relaxed limit (up to 14) to reach 12 credits.</span>
             </div>
           </label>
+          <div>
+            <span className="dark:text-gray-200 font-medium text-sm">Custom credit range (optional)</span>
+            <div className="flex items-center gap-2 mt-1">
+              <input
+                type="number"
+                min="0"
+                max="30"
+                placeholder="Min"
+                value={creditRange.min}
+                onChange={(e) => setCreditRange(prev => ({ ...prev, min: e.target.value }))}
+                className="w-20 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-white"
+              />
+              <span className="text-gray-500 dark:text-gray-400">to</span>
+              <input
+                type="number"
+                min="1"
+                max="30"
+                placeholder="Max"
+                value={creditRange.max}
+                onChange={(e) => setCreditRange(prev => ({ ...prev, max: e.target.value }))}
+                className="w-20 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm dark:bg-gray-700 dark:text-white"
+              />
+              <span className="text-xs text-gray-500 dark:text-gray-400">credits/term</span>
+            </div>
+            {rangeError && <p className="text-xs text-red-600 dark:text-red-400 mt-1">{rangeError}</p>}
+          </div>
         </div>
         <div className="flex space-x-3 mt-6">
           <button
             onClick={onOptimize}
-            className="flex-1 px-4 py-2 bg-wsu-crimson text-white rounded-lg hover:bg-red-800"
+            disabled={!!rangeError}
+            className="flex-1 px-4 py-2 bg-wsu-crimson text-white rounded-lg hover:bg-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             Optimize
           </button>
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { MessageSquare, Check } from 'lucide-react';
+
+// Advisor comments attached to a term or a course of a shared plan.
+// `onAdd(body)` enables the compose box (advisor view); `onResolve(comment)`
+// enables the resolve toggle (student view). A rejected onAdd keeps the
+// draft open so nothing typed is lost.
+function PlanComments({ comments = [], onAdd, onResolve, compact = false }) {
+  const [composing, setComposing] = useState(false);
+  const [text, setText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  if (comments.length === 0 && !onAdd) return null;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setSaving(true);
+    try {
+      await onAdd(text.trim());
+      setText('');
+      setComposing(false);
+    } catch (err) {
+      toast.error(`Could not add comment: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={compact ? 'mt-1 space-y-1' : 'mt-2 space-y-1'}>
+      {comments.map(c => (
+        <div
+          key={c.id}
+          className={`flex items-start gap-2 px-2 py-1 rounded text-xs border ${c.resolvedAt
+            ? 'bg-gray-50 border-gray-200 text-gray-500 dark:bg-gray-800 dark:border-gray-700'
+            : 'bg-blue-50 border-blue-200 text-blue-900 dark:bg-blue-900/30 dark:border-blue-800 dark:text-blue-100'}`}
+        >
+          <MessageSquare className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <span className="font-semibold">{c.authorName || 'Advisor'}:</span>{' '}
+            <span className={c.resolvedAt ? 'line-through' : ''}>{c.body}</span>
+          </div>
+          {onResolve && (
+            <button
+              type="button"
+              onClick={() => onResolve(c)}
+              className="flex-shrink-0 p-0.5 rounded hover:bg-blue-100 dark:hover:bg-blue-800"
+              title={c.resolvedAt ? 'Mark as unresolved' : 'Mark as resolved'}
+              aria-label={c.resolvedAt ? 'Mark comment as unresolved' : 'Mark comment as resolved'}
+            >
+              <Check className={`w-3.5 h-3.5 ${c.resolvedAt ? 'text-green-600' : ''}`} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {onAdd && (composing ? (
+        <form onSubmit={submit} className="space-y-1">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={2}
+            maxLength={2000}
+            autoFocus
+            placeholder="Add a comment for the student…"
+            className="w-full px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded resize-y dark:bg-gray-700 dark:text-white focus:ring-2 focus:ring-wsu-crimson focus:border-transparent"
+          />
+          <div className="flex gap-2 justify-end">
+            <button
+              type="button"
+              onClick={() => { setComposing(false); setText(''); }}
+              className="text-xs px-2 py-1 text-gray-600 dark:text-gray-300 hover:underline"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !text.trim()}
+              className="text-xs px-2 py-1 bg-wsu-crimson text-white rounded hover:bg-red-800 disabled:opacity-50"
+            >
+              {saving ? 'Saving…' : 'Comment'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setComposing(true)}
+          className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400 hover:text-wsu-crimson"
+        >
+          <MessageSquare className="w-3.5 h-3.5" />
+          Comment
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default PlanComments;
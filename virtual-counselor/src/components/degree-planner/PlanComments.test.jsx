@@ -0,0 +1,33 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import toast from 'react-hot-toast';
+import PlanComments from './PlanComments';
+
+vi.mock('react-hot-toast', () => ({ default: { error: vi.fn(), success: vi.fn() } }));
+
+const compose = async (onAdd) => {
+  const user = userEvent.setup();
+  render(<PlanComments onAdd={onAdd} />);
+  await user.click(screen.getByRole('button', { name: 'Comment' }));
+  await user.type(screen.getByRole('textbox'), 'Take MATH 171 first');
+  await user.click(screen.getByRole('button', { name: 'Comment' }));
+};
+
+describe('PlanComments compose', () => {
+  it('closes the draft once the comment is saved', async () => {
+    const onAdd = vi.fn(async () => {});
+    await compose(onAdd);
+    expect(onAdd).toHaveBeenCalledWith('Take MATH 171 first');
+    expect(screen.queryByRole('textbox')).toBeNull();
+  });
+
+  it('keeps the draft and reports the error when saving fails', async () => {
+    const onAdd = vi.fn(async () => { throw new Error('Share link expired'); });
+    await compose(onAdd);
+    expect(toast.error).toHaveBeenCalledWith('Could not add comment: Share link expired');
+    expect(screen.getByRole('textbox')).toHaveValue('Take MATH 171 first');
+    expect(screen.getByRole('button', { name: 'Comment' })).toBeEnabled();
+  });
+});
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { DEFAULT_SHARING_RULES } from '../../utils/programAudit';
+
+const PAIR_LABELS = {
+  'major+major': 'Major + major',
+  'major+minor': 'Major + minor',
+  'certificate+major': 'Major + certificate',
+  'minor+minor': 'Minor + minor',
+  'certificate+minor': 'Minor + certificate',
+  'certificate+certificate': 'Certificate + certificate',
+};
+
+const limitLabel = (limit) => (limit === null ? 'no limit' : `${limit} cr max`);
+
+function RuleInput({ value, onChange, allowUnlimited }) {
+  return (
+    <input
+      type="number"
+      min={0}
+      value={value ?? ''}
+      placeholder={allowUnlimited ? '∞' : '0'}
+      onChange={(e) => onChange(e.target.value === '' ? (allowUnlimited ? null : 0) : Math.max(0, Number(e.target.value)))}
+      className="w-16 px-2 py-0.5 text-sm border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+    />
+  );
+}
+
+/**
+ * Where each course counts when several programs are selected, and whether
+ * the double-counting rules hold. Shown by DegreePlanner once a second
+ * program is added.
+ * @param {Object} audit - Result of auditPrograms()
+ * @param {Object} rules - Current sharing rules (see DEFAULT_SHARING_RULES)
+ * @param {Function} onRulesChange
+ */
+function ProgramAudit({ audit, rules, onRulesChange }) {
+  const [showRules, setShowRules] = useState(false);
+  const [showCourses, setShowCourses] = useState(false);
+
+  const setPairLimit = (key, value) => onRulesChange({
+    ...rules,
+    maxSharedCredits: { ...rules.maxSharedCredits, [key]: value },
+  });
+  const setUniqueMinimum = (type, value) => onRulesChange({
+    ...rules,
+    minUniqueCredits: { ...rules.minUniqueCredits, [type]: value },
+  });
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold dark:text-white">Multi-Program Audit</h3>
+        <div className="flex gap-3 text-sm">
+          <button onClick={() => setShowCourses(s => !s)} className="text-wsu-crimson dark:text-red-400 hover:underline">
+            {showCourses ? 'Hide course allocation' : 'Show course allocation'}
+          </button>
+          <button onClick={() => setShowRules(s => !s)} className="text-wsu-crimson dark:text-red-400 hover:underline">
+            {showRules ? 'Hide sharing rules' : 'Sharing rules'}
+          </button>
+        </div>
+      </div>
+
+      {audit.violations.length > 0 ? (
+        <ul className="mb-3 space-y-1">
+          {audit.violations.map((v, i) => (
+            <li key={i} className="text-sm text-amber-800 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded px-3 py-1.5">
+              {v.message}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mb-3 text-sm text-green-700 dark:text-green-400">All double-counting rules are met.</p>
+      )}
+
+      {audit.notices.length > 0 && (
+        <ul className="mb-3 space-y-1">
+          {audit.notices.map((n, i) => (
+            <li key={i} className="text-sm text-blue-800 dark:text-blue-200 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded px-3 py-1.5">
+              {n.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3 mb-3">
+        {audit.programs.map(p => (
+          <div key={`${p.type}-${p.name}`} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3 text-sm">
+            <div className="font-medium text-gray-900 dark:text-white">{p.name}</div>
+            <div className="text-xs text-gray-500 dark:text-gray-400 capitalize mb-1">{p.type}</div>
+            <div className="text-gray-700 dark:text-gray-300">
+              {p.appliedCredits} cr applied · {p.sharedCredits} shared · {p.uniqueCredits} unique
+            </div>
+            {p.minUniqueCredits > 0 && (
+              <div className={`text-xs ${p.meetsUniqueMinimum ? 'text-gray-500 dark:text-gray-400' : 'text-amber-700 dark:text-amber-300'}`}>
+                Needs {p.minUniqueCredits} unique credits
+              </div>
+            )}
+            {p.missing.length > 0 && (
+              <div className="text-xs text-gray-500 dark:text-gray-400">{p.missing.length} requirement{p.missing.length === 1 ? '' : 's'} still open</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {audit.limits.length > 0 && (
+        <div className="mb-3 text-sm">
+          {audit.limits.map(l => (
+            <div key={l.programs.join('|')} className="flex flex-wrap justify-between gap-2 py-1 border-b border-gray-100 dark:border-gray-700 last:border-0">
+              <span className="text-gray-700 dark:text-gray-300">{l.programs[0]} ↔ {l.programs[1]}</span>
+              <span className={l.exceeded ? 'text-amber-700 dark:text-amber-300 font-medium' : 'text-gray-500 dark:text-gray-400'}>
+                {l.sharedCredits} cr shared ({limitLabel(l.limit)})
+                {l.released.length > 0 && ` — ${l.requestedCredits} cr overlapped`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showCourses && (
+        <table className="w-full text-sm mb-3">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+              <th className="py-1 pr-2">Course</th>
+              <th className="py-1 pr-2">Credits</th>
+              <th className="py-1">Counts toward</th>
+            </tr>
+          </thead>
+          <tbody>
+            {audit.courses.map(c => (
+              <tr key={c.id} className="border-b border-gray-100 dark:border-gray-700 align-top">
+                <td className="py-1 pr-2 font-medium text-gray-900 dark:text-white whitespace-nowrap">{c.code}</td>
+                <td className="py-1 pr-2 text-gray-600 dark:text-gray-300">{c.credits}</td>
+                <td className="py-1 text-gray-700 dark:text-gray-300">
+                  {c.appliedTo.map(a => `${a.program} (${a.requirement})`).join('; ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {showRules && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm border-t border-gray-200 dark:border-gray-700 pt-3">
+          <div>
+            <div className="font-medium text-gray-700 dark:text-gray-300 mb-1">Credits that may count toward both</div>
+            {Object.keys(DEFAULT_SHARING_RULES.maxSharedCredits).map(key => (
+              <label key={key} className="flex items-center justify-between py-0.5 text-gray-600 dark:text-gray-400">
+                {PAIR_LABELS[key] || key}
+                <RuleInput value={rules.maxSharedCredits[key]} onChange={v => setPairLimit(key, v)} allowUnlimited />
+              </label>
+            ))}
+          </div>
+          <div>
+            <div className="font-medium text-gray-700 dark:text-gray-300 mb-1">Credits that must be unique to the program</div>
+            {Object.keys(DEFAULT_SHARING_RULES.minUniqueCredits).map(type => (
+              <label key={type} className="flex items-center justify-between py-0.5 text-gray-600 dark:text-gray-400 capitalize">
+                {type}
+                <RuleInput value={rules.minUniqueCredits[type]} onChange={v => setUniqueMinimum(type, v)} />
+              </label>
+            ))}
+            <button onClick={() => onRulesChange(DEFAULT_SHARING_RULES)} className="mt-2 text-xs text-wsu-crimson dark:text-red-400 hover:underline">
+              Reset to defaults
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProgramAudit;
@@ -1,11 +1,23 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { AlertTriangle } from 'lucide-react';
 import CourseRow, { GRADE_POINTS } from './CourseRow';
+import PlanComments from './PlanComments';
+import { getCompletedCourseGrades } from '../../utils/degreeCalculations';
+import { normalizeCourseCode } from '../../shared/prereqParser.mjs';
 
 // Term Card Component
-function TermCard({ title, term, yearId, courses, degreePlan, setDegreePlan, openCatalogForCourse, openClassCalc, onMoveClick, allCompletedCourses, duplicateCourses }) {
+function TermCard({ title, term, yearId, courses, degreePlan, setDegreePlan, openCatalogForCourse, openClassCalc, onMoveClick, allCompletedCourses, duplicateCourses, readOnly = false, comments = [], onAddComment, onResolveComment }) {
   const totalCredits = courses.reduce((sum, c) => sum + (c.credits || 0), 0);
 
+  // Advisor comments for this term; courseId null = comment on the term itself
+  const termComments = comments.filter(c => String(c.yearId) === String(yearId) && c.term === term);
+  const commentsForCourse = (courseId) => termComments.filter(c => c.courseId === String(courseId));
+
+  // Prerequisite context for CourseRow: grades earned so far, and this term's
+  // courses for "or concurrent enrollment" prereqs
+  const completedGrades = useMemo(() => getCompletedCourseGrades(degreePlan || {}), [degreePlan]);
+  const termCourseCodes = courses.map(c => normalizeCourseCode(c.name)).filter(Boolean);
+
   // Calculate official GPA (only finalized grades)
   const calculateTermGPA = () => {
     let points = 0;
@@ -111,6 +123,11 @@ function TermCard({ title, term, yearId, courses, degreePlan, setDegreePlan, ope
         {totalCredits > 18 && (
           <div className="text-xs text-orange-600 mt-1 flex items-center gap-1"><AlertTriangle className="w-3 h-3" /> Advisor approval required (overload &gt;18 cr)</div>
         )}
+        <PlanComments
+          comments={termComments.filter(c => !c.courseId)}
+          onAdd={onAddComment ? (body) => onAddComment({ yearId, term, body }) : undefined}
+          onResolve={onResolveComment}
+        />
       </div>
 
       <div className="space-y-2">
@@ -126,17 +143,27 @@ function TermCard({ title, term, yearId, courses, degreePlan, setDegreePlan, ope
             openCatalog={openCatalogForCourse}
             openClassCalc={openClassCalc}
             completedCourses={allCompletedCourses || []}
+            completedGrades={completedGrades}
+            termCourses={termCourseCodes}
             duplicateCourses={duplicateCourses}
+            readOnly={readOnly}
+            comments={commentsForCourse(course.id)}
+            onAddComment={onAddComment
+              ? (body) => onAddComment({ yearId, term, courseId: course.id, courseName: course.name, body })
+              : undefined}
+            onResolveComment={onResolveComment}
           />
         ))}
       </div>
 
-      <button
-        onClick={addCourse}
-        className="w-full mt-3 py-2 text-sm border-2 border-dashed border-gray-300 rounded text-gray-600 hover:border-wsu-crimson hover:text-wsu-crimson transition"
-      >
-        + Add Course
-      </button>
+      {!readOnly && (
+        <button
+          onClick={addCourse}
+          className="w-full mt-3 py-2 text-sm border-2 border-dashed border-gray-300 rounded text-gray-600 hover:border-wsu-crimson hover:text-wsu-crimson transition"
+        >
+          + Add Course
+        </button>
+      )}
 
 
     </div>
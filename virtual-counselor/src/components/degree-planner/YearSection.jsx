@@ -2,9 +2,12 @@ import React, { useState } from 'react';
 import TermCard from './TermCard';
 
 // Year Section Component
-function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete, hideHeader, openCatalogForCourse, openClassCalc, onMoveClick, activeTermTab, setActiveTermTab, allCompletedCourses, duplicateCourses }) {
+function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete, hideHeader, openCatalogForCourse, openClassCalc, onMoveClick, activeTermTab, setActiveTermTab, allCompletedCourses, duplicateCourses, readOnly = false, comments, onAddComment, onResolveComment }) {
   const [expanded, setExpanded] = useState(true);
 
+  // Shared-plan viewer / advisor comment props forwarded to every TermCard
+  const reviewProps = { readOnly, comments, onAddComment, onResolveComment };
+
   const yearData = degreePlan[year.id] || { fall: { courses: [] }, spring: { courses: [] }, summer: { courses: [] } };
 
   const termNames = [
@@ -14,7 +17,7 @@ function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete,
   ];
 
       {/* Bulk Status Menu Component */}
-      const TermOptionsMenu = ({ termKey }) => (
+      const TermOptionsMenu = ({ termKey }) => readOnly ? null : (
         <div className="relative group inline-block ml-2">
             <button 
                 className="p-1 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
@@ -99,7 +102,7 @@ function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete,
                 </svg>
                 <span>{year.name}</span>
               </button>
-              {canDelete && (
+              {canDelete && !readOnly && (
                 <button
                   onClick={onDeleteYear}
                   className="px-3 py-1 text-sm text-red-600 hover:bg-red-50 rounded transition"
@@ -165,6 +168,7 @@ function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete,
               onMoveClick={onMoveClick}
               allCompletedCourses={allCompletedCourses}
               duplicateCourses={duplicateCourses}
+              {...reviewProps}
             />
             <TermCard
               title="Spring"
@@ -178,6 +182,7 @@ function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete,
               onMoveClick={onMoveClick}
               allCompletedCourses={allCompletedCourses}
               duplicateCourses={duplicateCourses}
+              {...reviewProps}
             />
             <TermCard
               title="Summer"
@@ -191,6 +196,7 @@ function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete,
               onMoveClick={onMoveClick}
               allCompletedCourses={allCompletedCourses}
               duplicateCourses={duplicateCourses}
+              {...reviewProps}
             />
           </div>
 
@@ -209,6 +215,7 @@ function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete,
                 onMoveClick={onMoveClick}
                 allCompletedCourses={allCompletedCourses}
                 duplicateCourses={duplicateCourses}
+                {...reviewProps}
               />
             )}
             {activeTermTab === 'spring' && (
@@ -224,6 +231,7 @@ function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete,
                 onMoveClick={onMoveClick}
                 allCompletedCourses={allCompletedCourses}
                 duplicateCourses={duplicateCourses}
+                {...reviewProps}
               />
             )}
             {activeTermTab === 'summer' && (
@@ -239,6 +247,7 @@ function YearSection({ year, degreePlan, setDegreePlan, onDeleteYear, canDelete,
                 onMoveClick={onMoveClick}
                 allCompletedCourses={allCompletedCourses}
                 duplicateCourses={duplicateCourses}
+                {...reviewProps}
               />
             )}
           </div>
@@ -7,80 +7,57 @@ import { useState, useCallback, useRef } from 'react';
  * @returns {object} - { state, setState, undo, redo, canUndo, canRedo, clearHistory }
  */
 export function useHistory(initialState, limit = 50) {
-  // Current state
-  const [state, setInternalState] = useState(initialState);
-
-  // History stacks
-  const [history, setHistory] = useState([initialState]);
-  const [currentIndex, setCurrentIndex] = useState(0);
-
-  // Track if we're in the middle of an undo/redo to prevent adding to history
-  const isUndoRedoRef = useRef(false);
-
-  // Set state and add to history
-  const setState = useCallback((newState) => {
-    // If this is an undo/redo operation, don't add to history
-    if (isUndoRedoRef.current) {
-      isUndoRedoRef.current = false;
-      setInternalState(newState);
-      return;
-    }
-
-    setInternalState(newState);
-
-    setHistory((prevHistory) => {
-      // Remove any future history (if we're not at the end)
-      const newHistory = prevHistory.slice(0, currentIndex + 1);
-
-      // Add new state
-      newHistory.push(newState);
-
-      // Limit history size
-      if (newHistory.length > limit) {
-        return newHistory.slice(newHistory.length - limit);
-      }
-
-      return newHistory;
-    });
-
-    setCurrentIndex((prevIndex) => {
-      const newIndex = prevIndex + 1;
-      return newIndex >= limit ? limit - 1 : newIndex;
-    });
-  }, [currentIndex, limit]);
+  // History stack and the position of the current state in it
+  const [timeline, setTimeline] = useState({ history: [initialState], index: 0 });
+
+  // Latest timeline, so edits and undos made before a re-render (several
+  // setState calls in one event, say) each build on the one before
+  const timelineRef = useRef(timeline);
+  const commit = useCallback((next) => {
+    timelineRef.current = next;
+    setTimeline(next);
+  }, []);
+
+  // Set state and add to history. Undo/redo move the index instead, so
+  // everything that comes through here is a new edit.
+  const setState = useCallback((update) => {
+    const { history, index } = timelineRef.current;
+    const newState = typeof update === 'function' ? update(history[index]) : update;
+
+    // Remove any future history (if we're not at the end), then add the new state
+    const newHistory = [...history.slice(0, index + 1), newState];
+
+    // Limit history size
+    const kept = newHistory.length > limit ? newHistory.slice(newHistory.length - limit) : newHistory;
+    commit({ history: kept, index: kept.length - 1 });
+  }, [commit, limit]);
 
   // Undo
   const undo = useCallback(() => {
-    if (currentIndex > 0) {
-      const newIndex = currentIndex - 1;
-      setCurrentIndex(newIndex);
-      isUndoRedoRef.current = true;
-      setInternalState(history[newIndex]);
-    }
-  }, [currentIndex, history]);
+    const { history, index } = timelineRef.current;
+    if (index > 0) commit({ history, index: index - 1 });
+  }, [commit]);
 
   // Redo
   const redo = useCallback(() => {
-    if (currentIndex < history.length - 1) {
-      const newIndex = currentIndex + 1;
-      setCurrentIndex(newIndex);
-      isUndoRedoRef.current = true;
-      setInternalState(history[newIndex]);
-    }
-  }, [currentIndex, history]);
+    const { history, index } = timelineRef.current;
+    if (index < history.length - 1) commit({ history, index: index + 1 });
+  }, [commit]);
+
+  const { history, index } = timeline;
 
   // Check if undo/redo is available
-  const canUndo = currentIndex > 0;
-  const canRedo = currentIndex < history.length - 1;
+  const canUndo = index > 0;
+  const canRedo = index < history.length - 1;
 
   // Clear history
   const clearHistory = useCallback(() => {
-    setHistory([state]);
-    setCurrentIndex(0);
-  }, [state]);
+    const { history: current, index: at } = timelineRef.current;
+    commit({ history: [current[at]], index: 0 });
+  }, [commit]);
 
   return {
-    state,
+    state: history[index],
     setState,
     undo,
     redo,
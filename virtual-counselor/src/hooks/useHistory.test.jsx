@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useHistory } from './useHistory';
+
+const setup = (initial = 0, limit) => renderHook(() => useHistory(initial, limit));
+
+describe('useHistory', () => {
+  it('starts with nothing to undo or redo', () => {
+    const { result } = setup('a');
+    expect(result.current).toMatchObject({ state: 'a', canUndo: false, canRedo: false });
+  });
+
+  it('undoes and redoes through recorded states', () => {
+    const { result } = setup();
+    act(() => result.current.setState(1));
+    act(() => result.current.setState(2));
+
+    act(() => result.current.undo());
+    expect(result.current).toMatchObject({ state: 1, canUndo: true, canRedo: true });
+    act(() => result.current.undo());
+    expect(result.current).toMatchObject({ state: 0, canUndo: false, canRedo: true });
+
+    act(() => result.current.redo());
+    act(() => result.current.redo());
+    expect(result.current).toMatchObject({ state: 2, canUndo: true, canRedo: false });
+  });
+
+  it('ignores undo and redo at the ends of the history', () => {
+    const { result } = setup();
+    act(() => result.current.undo());
+    act(() => result.current.redo());
+    expect(result.current.state).toBe(0);
+  });
+
+  it('records an edit made right after an undo and drops the redo branch', () => {
+    const { result } = setup();
+    act(() => result.current.setState(1));
+    act(() => result.current.setState(2));
+    act(() => result.current.undo());
+
+    act(() => result.current.setState(3));
+    expect(result.current).toMatchObject({ state: 3, canRedo: false });
+
+    act(() => result.current.undo());
+    expect(result.current.state).toBe(1);
+  });
+
+  it('records functional updates as values', () => {
+    const { result } = setup({ courses: [] });
+    act(() => result.current.setState((prev) => ({ courses: [...prev.courses, 'CPTS 121'] })));
+    act(() => result.current.setState((prev) => ({ courses: [...prev.courses, 'MATH 171'] })));
+    expect(result.current.state.courses).toEqual(['CPTS 121', 'MATH 171']);
+
+    act(() => result.current.undo());
+    expect(result.current.state.courses).toEqual(['CPTS 121']);
+    act(() => result.current.redo());
+    expect(result.current.state.courses).toEqual(['CPTS 121', 'MATH 171']);
+  });
+
+  it('records every edit made before a re-render', () => {
+    const { result } = setup();
+    act(() => {
+      result.current.setState(1);
+      result.current.setState(2);
+    });
+    expect(result.current).toMatchObject({ state: 2, canUndo: true, canRedo: false });
+
+    act(() => result.current.undo());
+    expect(result.current.state).toBe(1);
+    act(() => result.current.undo());
+    expect(result.current).toMatchObject({ state: 0, canUndo: false });
+  });
+
+  it('chains functional updates made before a re-render', () => {
+    const { result } = setup(0);
+    act(() => {
+      result.current.setState((n) => n + 1);
+      result.current.setState((n) => n + 1);
+      result.current.undo();
+    });
+    expect(result.current).toMatchObject({ state: 1, canUndo: true, canRedo: true });
+  });
+
+  it('keeps at most `limit` states', () => {
+    const { result } = setup(0, 3);
+    [1, 2, 3, 4].forEach((n) => act(() => result.current.setState(n)));
+
+    act(() => result.current.undo());
+    act(() => result.current.undo());
+    expect(result.current).toMatchObject({ state: 2, canUndo: false });
+  });
+
+  it('clearHistory keeps the current state as the new starting point', () => {
+    const { result } = setup();
+    act(() => result.current.setState(1));
+    act(() => result.current.setState(2));
+    act(() => result.current.clearHistory());
+
+    expect(result.current).toMatchObject({ state: 2, canUndo: false, canRedo: false });
+  });
+});
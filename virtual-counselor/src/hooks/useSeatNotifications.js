@@ -0,0 +1,73 @@
+import { useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { fetchNotifications, acknowledgeNotifications } from '../utils/api';
+import { loadAuthSession, clearAuthSession, AUTH_SESSION_EVENT } from '../utils/storage';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Poll for seat-watch notifications while a student is signed in and show
+ * each one as a toast. Notifications are acknowledged once shown so other
+ * tabs/devices don't repeat them. Polling stops when the session ends or the
+ * server rejects it, and starts again on the next sign-in.
+ */
+export function useSeatNotifications() {
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const stop = () => {
+      clearInterval(timer);
+      timer = null;
+    };
+
+    const poll = async () => {
+      if (!loadAuthSession()) {
+        stop();
+        return;
+      }
+      // Skip hidden tabs; the next visible poll picks up anything missed
+      if (document.hidden) return;
+      try {
+        const { notifications = [] } = await fetchNotifications();
+        if (cancelled || notifications.length === 0) return;
+        notifications.forEach(n => {
+          toast.success(n.message, { id: `seat-watch-${n.id}`, duration: 10000 });
+        });
+        await acknowledgeNotifications(notifications.map(n => n.id));
+      } catch (e) {
+        if (e.status === 401) {
+          // Expired or revoked on the server: sign out here too
+          clearAuthSession();
+          stop();
+          return;
+        }
+        console.debug('[useSeatNotifications] poll failed', e);
+      }
+    };
+
+    const start = () => {
+      if (!loadAuthSession()) {
+        stop();
+        return;
+      }
+      if (timer) return;
+      timer = setInterval(poll, POLL_INTERVAL_MS);
+      poll();
+    };
+
+    start();
+    window.addEventListener(AUTH_SESSION_EVENT, start);
+    window.addEventListener('storage', start);
+    document.addEventListener('visibilitychange', poll);
+    return () => {
+      cancelled = true;
+      stop();
+      window.removeEventListener(AUTH_SESSION_EVENT, start);
+      window.removeEventListener('storage', start);
+      document.removeEventListener('visibilitychange', poll);
+    };
+  }, []);
+}
+
+export default useSeatNotifications;
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { fetchNotifications } from '../utils/api';
+import { saveAuthSession, loadAuthSession, clearAuthSession } from '../utils/storage';
+import { useSeatNotifications } from './useSeatNotifications';
+
+vi.mock('react-hot-toast', () => ({ default: { success: vi.fn() } }));
+vi.mock('../utils/api', () => ({
+  fetchNotifications: vi.fn(),
+  acknowledgeNotifications: vi.fn(async () => ({})),
+}));
+
+const MINUTE = 60 * 1000;
+const unauthorized = () => Object.assign(new Error('Session expired'), { status: 401 });
+const signIn = () => saveAuthSession({ token: 't', expiresAt: new Date(Date.now() + 60 * MINUTE).toISOString() });
+
+// Let the poll's awaited requests settle
+const flush = () => act(async () => { await vi.advanceTimersByTimeAsync(0); });
+
+describe('useSeatNotifications', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    fetchNotifications.mockReset();
+    fetchNotifications.mockResolvedValue({ notifications: [] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('polls every minute while signed in', async () => {
+    signIn();
+    renderHook(() => useSeatNotifications());
+    await flush();
+    await act(async () => { await vi.advanceTimersByTimeAsync(2 * MINUTE); });
+    expect(fetchNotifications).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops polling and signs out when the server rejects the session', async () => {
+    signIn();
+    fetchNotifications.mockRejectedValue(unauthorized());
+    renderHook(() => useSeatNotifications());
+    await flush();
+    expect(loadAuthSession()).toBeNull();
+
+    await act(async () => { await vi.advanceTimersByTimeAsync(5 * MINUTE); });
+    expect(fetchNotifications).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops on sign-out and starts again on the next sign-in', async () => {
+    signIn();
+    renderHook(() => useSeatNotifications());
+    await flush();
+    act(() => { clearAuthSession(); });
+    await act(async () => { await vi.advanceTimersByTimeAsync(5 * MINUTE); });
+    expect(fetchNotifications).toHaveBeenCalledTimes(1);
+
+    act(() => { signIn(); });
+    await flush();
+    await act(async () => { await vi.advanceTimersByTimeAsync(MINUTE); });
+    expect(fetchNotifications).toHaveBeenCalledTimes(3);
+  });
+
+  it('does nothing while signed out', async () => {
+    renderHook(() => useSeatNotifications());
+    await act(async () => { await vi.advanceTimersByTimeAsync(5 * MINUTE); });
+    expect(fetchNotifications).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,9 @@
+// Vitest setup (see `test.setupFiles` in vite.config.js)
+import '@testing-library/jest-dom/vitest';
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
@@ -0,0 +1,481 @@
+// Prerequisite parser shared by the API server (server-sqlite.js) and the client.
+// Keep this file dependency-free ESM: the server loads it with require(),
+// which needs Node 20.19+ or 22.12+ (see "engines" in the root package.json).
+//
+// parsePrerequisites() turns catalog text such as
+//   "CPT S 223 or 233, with a C or better; CPT S 322 with a C or better or
+//    concurrent enrollment; junior standing."
+// into an AND/OR tree:
+//   { type: 'and', children: [
+//     { type: 'or', children: [
+//       { type: 'course', code: 'CPTS 223', minGrade: 'C', concurrent: false },
+//       { type: 'course', code: 'CPTS 233', minGrade: 'C', concurrent: false } ] },
+//     { type: 'course', code: 'CPTS 322', minGrade: 'C', concurrent: true },
+//     { type: 'standing', level: 'junior' } ] }
+//
+// Leaf types: 'course', 'standing', 'permission' and 'other' (text we can't
+// check, e.g. "admitted to the major"). evaluatePrereqTree() treats the last
+// two as unknown rather than unmet so they never block a plan on their own.
+
+export const STANDING_LEVELS = ['freshman', 'sophomore', 'junior', 'senior', 'graduate'];
+
+// Lowest to highest; P/S always pass
+const GRADE_SCALE = ['F', 'D-', 'D', 'D+', 'C-', 'C', 'C+', 'B-', 'B', 'B+', 'A-', 'A'];
+
+// Words that can precede a course number but are never part of a prefix
+const PREFIX_STOPWORDS = new Set([
+  'OR', 'AND', 'IN', 'OF', 'BY', 'WITH', 'THE', 'ONE', 'TO', 'FOR', 'EITHER',
+  'BOTH', 'PLUS', 'A', 'AN', 'ANY', 'ALL', 'INCLUDING', 'PREREQUISITE',
+  'PREREQUISITES', 'COURSE', 'COURSES', 'TAKE', 'COMPLETE',
+]);
+
+// Word runs made only of these are connective noise, not requirements
+const FILLER_WORDS = new Set([
+  'in', 'of', 'a', 'an', 'the', 'both', 'either', 'each', 'all', 'with', 'also', 'one', 'including',
+  'must', 'be', 'have', 'completed', 'taken', 'prior', 'to', 'previous', 'previously',
+  'grade', 'grades', 'course', 'courses', 'prerequisite', 'prerequisites', 'is', 'are',
+]);
+
+// Sentences that name courses but aren't requirements
+const NON_REQUIREMENT_RE = /^(?:enrollment not allowed|credit not granted|not open to|recommended|cannot be taken|may not be taken|cross-listed|typically offered)/i;
+
+const TOKEN_PATTERNS = [
+  ['grade', /(?:with\s+)?(?:an?\s+)?(?:(?:minimum\s+)?(?:letter\s+)?grade\s+(?:of\s+)?)?([A-D][+-]?)\s+or\s+(?:better|higher)/y],
+  ['concurrent', /(?:or\s+)?(?:(?:concurrent(?:ly)?|simultaneous)\s+(?:enrollment|registration)|(?:may\s+be\s+taken\s+)?concurrently)/iy],
+  ['standing', /(freshman|sophomore|junior|senior|graduate)(?:\s+(?:or|and)\s+(?:sophomore|junior|senior|graduate))?\s+standing(?:\s+or\s+(?:higher|above))?/iy],
+  ['permission', /(?:by\s+)?(?:(?:the\s+)?(?:instructor|department(?:al)?|program|advisor|faculty|chair)(?:'s)?\s+)?(?:permission|consent|approval)(?:\s+(?:of|from)\s+(?:the\s+)?(?:instructor|department|program|advisor|chair))?(?:\s+only)?/iy],
+  ['course', /((?:[A-Z][A-Za-z&]{0,7}\s+){0,2}[A-Z][A-Za-z&]{0,7})\s*[_-]?\s*(\d{3})(?![\d-])/y],
+  ['number', /(\d{3})(?![\d-])(?!\s*level)/y],
+  ['or', /(?:or|\/)(?![A-Za-z])/iy],
+  ['and', /(?:and|&)(?![A-Za-z])/iy],
+  ['comma', /,/y],
+  ['word', /[^\s,/&]+/y],
+];
+
+/**
+ * Canonical course code: prefix with spaces removed, one space, number.
+ * "CPT S 121", "Cpt S 121 [QUAN]" and "CPT_S-121" all become "CPTS 121".
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function normalizeCourseCode(text) {
+  if (!text) return null;
+  const m = String(text).match(/^\s*([A-Za-z&]{1,8}(?:[\s_]+[A-Za-z&]{1,8}){0,2})\s*[_-]?\s*(\d{3})(?!\d)/);
+  if (!m) return null;
+  const prefix = m[1].toUpperCase().replace(/[^A-Z&]/g, '');
+  return prefix.length >= 2 ? `${prefix} ${m[2]}` : null;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    const ws = /\s+/y;
+    ws.lastIndex = pos;
+    if (ws.exec(text)) {
+      pos = ws.lastIndex;
+      continue;
+    }
+    const start = pos;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      if (!m) continue;
+      const token = { type, text: m[0] };
+      if (type === 'grade') token.grade = m[1].toUpperCase();
+      if (type === 'standing') token.level = m[1].toLowerCase();
+      if (type === 'number') token.number = m[1];
+      if (type === 'course') {
+        const words = m[1].split(/\s+/);
+        while (words.length && PREFIX_STOPWORDS.has(words[0].toUpperCase())) {
+          words.shift();
+        }
+        const prefix = words.join('').toUpperCase();
+        if (prefix.length < 2) continue; // let "or 215" fall through to number
+        token.prefix = prefix;
+        token.number = m[2];
+      }
+      tokens.push(token);
+      pos = pattern.lastIndex;
+      break;
+    }
+    if (pos === start) pos++; // stray "/" or "&" glued to a word
+  }
+  return tokens;
+}
+
+// Attach "with a C or better" / "or concurrent enrollment" to the courses they
+// describe. A marker directly before a course applies forward ("C or better in
+// X and Y"); otherwise it applies back to the courses since the previous
+// marker of the same kind ("X or Y, with a C or better").
+function applyModifiers(tokens) {
+  const isLead = (t) => t.type === 'word' && /^(?:in|of|for)$/i.test(t.text);
+  const lastMarker = { grade: -1, concurrent: -1 };
+
+  tokens.forEach((token, i) => {
+    if (token.type !== 'grade' && token.type !== 'concurrent') return;
+    const apply = (course) => {
+      if (token.type === 'grade' && !course.minGrade) course.minGrade = token.grade;
+      if (token.type === 'concurrent') course.concurrent = true;
+    };
+
+    let j = i + 1;
+    while (j < tokens.length && isLead(tokens[j])) j++;
+    if (tokens[j] && tokens[j].type === 'course') {
+      for (; j < tokens.length; j++) {
+        const t = tokens[j];
+        if (t.type === 'grade' || t.type === 'concurrent') break;
+        if (t.type === 'course') apply(t);
+      }
+    } else {
+      for (let k = i - 1; k > lastMarker[token.type]; k--) {
+        if (tokens[k].type === 'course') apply(tokens[k]);
+      }
+    }
+    lastMarker[token.type] = i;
+  });
+}
+
+function courseNode(token) {
+  return {
+    type: 'course',
+    code: `${token.prefix} ${token.number}`,
+    minGrade: token.minGrade || null,
+    concurrent: !!token.concurrent,
+  };
+}
+
+function group(type, children) {
+  const flat = [];
+  children.forEach(child => {
+    if (child.type === type) flat.push(...child.children);
+    else flat.push(child);
+  });
+  if (flat.length === 1) return flat[0];
+  return { type, children: flat };
+}
+
+function parseClause(clause, state) {
+  if (NON_REQUIREMENT_RE.test(clause)) return null;
+
+  const tokens = tokenize(clause.replace(/[()[\]]/g, ' '));
+
+  // Bare numbers continue the previous course's prefix ("CPT S 121 or 131",
+  // "PHARMACY 557; 561")
+  tokens.forEach(t => {
+    if (t.type === 'course') state.lastPrefix = t.prefix;
+    else if (t.type === 'number') {
+      if (state.lastPrefix) {
+        t.type = 'course';
+        t.prefix = state.lastPrefix;
+      } else {
+        t.type = 'word';
+      }
+    }
+  });
+
+  applyModifiers(tokens);
+
+  // Reduce to operands and connectors
+  const seq = [];
+  let words = [];
+  const flushWords = () => {
+    if (words.length && !words.every(w => FILLER_WORDS.has(w.toLowerCase().replace(/[^a-z]/g, '')))) {
+      seq.push({ kind: 'operand', node: { type: 'other', text: words.join(' ') } });
+    }
+    words = [];
+  };
+  tokens.forEach(t => {
+    if (t.type === 'word') {
+      words.push(t.text);
+      return;
+    }
+    if (t.type === 'grade' || t.type === 'concurrent') return;
+    flushWords();
+    if (t.type === 'course') seq.push({ kind: 'operand', node: courseNode(t) });
+    else if (t.type === 'standing') seq.push({ kind: 'operand', node: { type: 'standing', level: t.level } });
+    else if (t.type === 'permission') seq.push({ kind: 'operand', node: { type: 'permission', text: t.text } });
+    else seq.push({ kind: t.type });
+  });
+  flushWords();
+
+  if (!seq.some(s => s.kind === 'operand')) return null;
+  if (!seq.some(s => s.kind === 'operand' && s.node.type !== 'other')) {
+    return { type: 'other', text: clause.trim() };
+  }
+
+  return buildExpression(seq);
+}
+
+// Split a connector sequence at ", or" / ", and" (a comma directly before the
+// conjunction), e.g. "BIOLOGY 106 and 107, or MBIOS 101". Only done when the
+// clause mixes both conjunctions; otherwise ", or" just ends a plain list.
+function splitAtListBreak(seq, kind) {
+  const other = kind === 'or' ? 'and' : 'or';
+  if (!seq.some(s => s.kind === other)) return null;
+  const parts = [[]];
+  seq.forEach((s, i) => {
+    if (s.kind === 'comma' && seq[i + 1] && seq[i + 1].kind === kind) {
+      parts.push([]);
+    } else if (!(s.kind === kind && seq[i - 1] && seq[i - 1].kind === 'comma')) {
+      parts[parts.length - 1].push(s);
+    }
+  });
+  return parts.length > 1 ? parts.filter(p => p.length) : null;
+}
+
+function buildExpression(seq) {
+  for (const kind of ['or', 'and']) {
+    const parts = splitAtListBreak(seq, kind);
+    if (parts) {
+      const children = parts.map(buildExpression).filter(Boolean);
+      return children.length ? group(kind, children) : null;
+    }
+  }
+
+  // A comma takes the meaning of the conjunction that ends its list
+  // ("A, B, or C"); ", or" / ", and" just drop the comma. No conjunction: AND.
+  const resolved = seq.map((s, i) => {
+    if (s.kind !== 'comma') return s;
+    const next = seq[i + 1];
+    if (next && (next.kind === 'or' || next.kind === 'and')) return { kind: 'skip' };
+    const closing = seq.slice(i + 1).find(t => t.kind === 'or' || t.kind === 'and');
+    return { kind: closing ? closing.kind : 'and' };
+  });
+
+  // AND binds looser than OR: "X and Y or Z" is X and (Y or Z)
+  const andGroups = [[]];
+  let pendingOr = false;
+  resolved.forEach(s => {
+    if (s.kind === 'skip') return;
+    if (s.kind === 'and') {
+      if (andGroups[andGroups.length - 1].length) andGroups.push([]);
+      pendingOr = false;
+    } else if (s.kind === 'or') {
+      pendingOr = true;
+    } else {
+      const current = andGroups[andGroups.length - 1];
+      if (current.length && !pendingOr) andGroups.push([s.node]);
+      else current.push(s.node);
+      pendingOr = false;
+    }
+  });
+
+  const children = andGroups.filter(g => g.length).map(g => group('or', g));
+  return children.length ? group('and', children) : null;
+}
+
+/**
+ * Parse catalog prerequisite text into an AND/OR tree.
+ * Semicolons and sentences are AND-ed; a clause starting with "or" is an
+ * alternative to the clause before it.
+ * @param {string} raw - prerequisite_raw as stored in catalog_courses
+ * @returns {Object|null} Tree, or null when the text names no requirement
+ */
+export function parsePrerequisites(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+
+  const text = raw
+    .replace(/\s+/g, ' ')
+    .replace(/_/g, ' ')
+    .replace(/\([^)]*recommended[^)]*\)/gi, ' ')
+    .replace(/^\s*(?:course\s+)?prereq(?:uisite)?s?\s*:\s*/i, '')
+    .trim();
+  if (!text) return null;
+
+  const groups = [];
+  const state = { lastPrefix: null };
+  text.split(/;|\.\s+(?=[A-Z])|\.\s*$/).forEach(part => {
+    let clause = part.trim();
+    if (!clause) return;
+    const isAlternative = /^or\b/i.test(clause);
+    clause = clause.replace(/^(?:or|and)\b\s*/i, '');
+    const node = parseClause(clause, state);
+    if (!node) return;
+    if (isAlternative && groups.length) groups[groups.length - 1].push(node);
+    else groups.push([node]);
+  });
+
+  if (groups.length === 0) return null;
+  return group('and', groups.map(g => group('or', g)));
+}
+
+/**
+ * Tree equivalent of a legacy flat prerequisite_codes array (all required).
+ * @param {string[]} codes
+ * @returns {Object|null}
+ */
+export function prereqTreeFromCodes(codes) {
+  if (!Array.isArray(codes)) return null;
+  const children = [...new Set(codes.map(normalizeCourseCode).filter(Boolean))]
+    .map(code => ({ type: 'course', code, minGrade: null, concurrent: false }));
+  return children.length ? group('and', children) : null;
+}
+
+/**
+ * Every course code mentioned in a tree, in order, without duplicates.
+ * @param {Object|null} tree
+ * @returns {string[]}
+ */
+export function collectCourseCodes(tree) {
+  const codes = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'course') codes.push(node.code);
+    (node.children || []).forEach(walk);
+  };
+  walk(tree);
+  return [...new Set(codes)];
+}
+
+/**
+ * Human-readable form of a tree or subtree, e.g.
+ * "CPTS 223 or CPTS 233 (C or better)".
+ * @param {Object|null} node
+ * @returns {string}
+ */
+export function describePrereqTree(node) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'course': {
+      const notes = [];
+      if (node.minGrade) notes.push(`${node.minGrade} or better`);
+      if (node.concurrent) notes.push('or concurrent');
+      return notes.length ? `${node.code} (${notes.join(', ')})` : node.code;
+    }
+    case 'standing':
+      return `${node.level} standing`;
+    case 'permission':
+      return 'permission';
+    case 'other':
+      return node.text;
+    case 'and':
+    case 'or': {
+      const joiner = node.type === 'and' ? ' and ' : ' or ';
+      return node.children
+        .map(child => (child.children ? `(${describePrereqTree(child)})` : describePrereqTree(child)))
+        .join(joiner);
+    }
+    default:
+      return '';
+  }
+}
+
+function gradeMeets(grade, minGrade) {
+  if (!grade || !minGrade) return true; // planned course or no minimum
+  if (grade === 'P' || grade === 'S') return true;
+  const have = GRADE_SCALE.indexOf(grade);
+  const need = GRADE_SCALE.indexOf(minGrade);
+  if (have === -1 || need === -1) return true;
+  return have >= need;
+}
+
+// Sets are taken as already holding canonical codes, so hot loops (the
+// optimizer) can skip re-normalizing on every evaluation.
+function toCodeSet(list) {
+  if (list instanceof Set) return list;
+  const set = new Set();
+  for (const item of list || []) {
+    const code = normalizeCourseCode(item);
+    if (code) set.add(code);
+  }
+  return set;
+}
+
+/**
+ * Evaluate a prerequisite tree against what the student has done.
+ * Used by both CourseRow's warnings and optimizeSchedule so they agree.
+ *
+ * Each node is 'met', 'unmet' or 'unknown' (permission, free text, or standing
+ * when none is given). AND is unmet if any child is; OR is met if any child is.
+ *
+ * @param {Object|null} tree - From parsePrerequisites()
+ * @param {Object} context
+ * @param {Iterable<string>} [context.completed] - Codes finished (or scheduled) before this term
+ *   (a Set must already hold normalized codes)
+ * @param {Iterable<string>} [context.concurrent] - Codes taken in the same term
+ * @param {Object<string,string>} [context.grades] - Letter grade by course code, when known
+ * @param {string} [context.standing] - One of STANDING_LEVELS
+ * @returns {{status: string, met: boolean, missing: string[], unverified: string[]}}
+ *   `met` is false only when something is definitely missing
+ */
+export function evaluatePrereqTree(tree, context = {}) {
+  const completed = toCodeSet(context.completed);
+  const concurrent = toCodeSet(context.concurrent);
+  const grades = {};
+  Object.entries(context.grades || {}).forEach(([code, grade]) => {
+    const key = normalizeCourseCode(code);
+    if (key && grade) grades[key] = String(grade).toUpperCase();
+  });
+  const standingIdx = context.standing ? STANDING_LEVELS.indexOf(context.standing) : -1;
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'course': {
+        if (completed.has(node.code) && gradeMeets(grades[node.code], node.minGrade)) {
+          return { status: 'met', missing: [], unverified: [] };
+        }
+        if (node.concurrent && concurrent.has(node.code)) {
+          return { status: 'met', missing: [], unverified: [] };
+        }
+        return { status: 'unmet', missing: [describePrereqTree(node)], unverified: [] };
+      }
+      case 'standing': {
+        if (standingIdx === -1) return { status: 'unknown', missing: [], unverified: [describePrereqTree(node)] };
+        return standingIdx >= STANDING_LEVELS.indexOf(node.level)
+          ? { status: 'met', missing: [], unverified: [] }
+          : { status: 'unmet', missing: [describePrereqTree(node)], unverified: [] };
+      }
+      case 'permission':
+      case 'other':
+        return { status: 'unknown', missing: [], unverified: [describePrereqTree(node)] };
+      case 'and': {
+        const results = node.children.map(evaluate);
+        const status = results.some(r => r.status === 'unmet') ? 'unmet'
+          : results.some(r => r.status === 'unknown') ? 'unknown' : 'met';
+        return {
+          status,
+          missing: results.flatMap(r => r.missing),
+          unverified: results.flatMap(r => r.unverified),
+        };
+      }
+      case 'or': {
+        const results = node.children.map(evaluate);
+        if (results.some(r => r.status === 'met')) return { status: 'met', missing: [], unverified: [] };
+        if (results.some(r => r.status === 'unknown')) {
+          return { status: 'unknown', missing: [], unverified: [describePrereqTree(node)] };
+        }
+        return { status: 'unmet', missing: [describePrereqTree(node)], unverified: [] };
+      }
+      default:
+        return { status: 'unknown', missing: [], unverified: [] };
+    }
+  };
+
+  if (!tree) return { status: 'met', met: true, missing: [], unverified: [] };
+  const result = evaluate(tree);
+  return { ...result, met: result.status !== 'unmet' };
+}
+
+/**
+ * Class standing implied by earned credits (WSU thresholds).
+ * @param {number} credits
+ * @returns {string}
+ */
+export function standingFromCredits(credits) {
+  if (credits >= 90) return 'senior';
+  if (credits >= 60) return 'junior';
+  if (credits >= 30) return 'sophomore';
+  return 'freshman';
+}
+
+export default {
+  STANDING_LEVELS,
+  normalizeCourseCode,
+  parsePrerequisites,
+  prereqTreeFromCodes,
+  collectCourseCodes,
+  describePrereqTree,
+  evaluatePrereqTree,
+  standingFromCredits,
+};
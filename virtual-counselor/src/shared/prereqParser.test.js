@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeCourseCode, parsePrerequisites, evaluatePrereqTree } from './prereqParser.mjs';
+
+const course = (code, { minGrade = null, concurrent = false } = {}) => ({ type: 'course', code, minGrade, concurrent });
+const and = (...children) => ({ type: 'and', children });
+const or = (...children) => ({ type: 'or', children });
+
+describe('normalizeCourseCode', () => {
+  it.each([
+    ['CPT S 121', 'CPTS 121'],
+    ['Cpt S 121 [QUAN]', 'CPTS 121'],
+    ['CPT_S-121', 'CPTS 121'],
+    ['  math 171  ', 'MATH 171'],
+    ['E E 214', 'EE 214'],
+    ['A&S 101', 'A&S 101'],
+    ['X 101', null],
+    ['MATH 1710', null],
+    ['MATH', null],
+    ['', null],
+    [null, null],
+  ])('%j -> %j', (text, code) => {
+    expect(normalizeCourseCode(text)).toBe(code);
+  });
+});
+
+describe('parsePrerequisites', () => {
+  it.each([
+    ['CPT S 121', course('CPTS 121')],
+    ['CPT S 121 or 131', or(course('CPTS 121'), course('CPTS 131'))],
+    ['MATH 171 and 172', and(course('MATH 171'), course('MATH 172'))],
+    ['MATH 171, 172, or 182', or(course('MATH 171'), course('MATH 172'), course('MATH 182'))],
+    ['CPT S 121; MATH 171.', and(course('CPTS 121'), course('MATH 171'))],
+    ['Prerequisite: PHARMACY 557; 561', and(course('PHARMACY 557'), course('PHARMACY 561'))],
+    // AND binds looser than OR
+    ['CHEM 105 and MATH 106 or 108', and(course('CHEM 105'), or(course('MATH 106'), course('MATH 108')))],
+    // ", or" between mixed conjunctions splits the list
+    ['BIOLOGY 106 and 107, or MBIOS 101', or(and(course('BIOLOGY 106'), course('BIOLOGY 107')), course('MBIOS 101'))],
+    // A clause starting with "or" is an alternative to the one before it
+    ['MATH 171. Or MATH 182.', or(course('MATH 171'), course('MATH 182'))],
+    ['CPT S 223 or 233, with a C or better',
+      or(course('CPTS 223', { minGrade: 'C' }), course('CPTS 233', { minGrade: 'C' }))],
+    ['C or better in MATH 171 and STAT 212',
+      and(course('MATH 171', { minGrade: 'C' }), course('STAT 212', { minGrade: 'C' }))],
+    ['CPT S 322 with a C or better or concurrent enrollment',
+      course('CPTS 322', { minGrade: 'C', concurrent: true })],
+    ['Junior standing', { type: 'standing', level: 'junior' }],
+    ['ENGLISH 101 or by instructor permission',
+      or(course('ENGLISH 101'), { type: 'permission', text: 'by instructor permission' })],
+    ['Admission to the major', { type: 'other', text: 'Admission to the major' }],
+    ['MATH 171 (MATH 172 recommended)', course('MATH 171')],
+    ['Recommended: MATH 171.', null],
+    ['Credit not granted for both CPT S 121 and 131.', null],
+    ['', null],
+    [undefined, null],
+  ])('%j', (raw, tree) => {
+    expect(parsePrerequisites(raw)).toEqual(tree);
+  });
+
+  it('parses the full example from the module comment', () => {
+    expect(parsePrerequisites(
+      'CPT S 223 or 233, with a C or better; CPT S 322 with a C or better or concurrent enrollment; junior standing.'
+    )).toEqual(and(
+      or(course('CPTS 223', { minGrade: 'C' }), course('CPTS 233', { minGrade: 'C' })),
+      course('CPTS 322', { minGrade: 'C', concurrent: true }),
+      { type: 'standing', level: 'junior' },
+    ));
+  });
+});
+
+describe('evaluatePrereqTree', () => {
+  const tree = parsePrerequisites(
+    'CPT S 223 or 233, with a C or better; CPT S 322 with a C or better or concurrent enrollment; junior standing.'
+  );
+
+  it.each([
+    ['everything done', { completed: ['CPT S 223', 'CPT S 322'], standing: 'senior' }, 'met', []],
+    ['the concurrent course taken alongside', { completed: ['CPTS 233'], concurrent: ['CPTS 322'], standing: 'junior' }, 'met', []],
+    ['grade below the minimum', { completed: ['CPTS 223', 'CPTS 322'], grades: { 'CPT S 223': 'C-' }, standing: 'junior' },
+      'unmet', ['CPTS 223 (C or better) or CPTS 233 (C or better)']],
+    ['pass/fail grades always count', { completed: ['CPTS 223', 'CPTS 322'], grades: { 'CPTS 223': 'P' }, standing: 'junior' }, 'met', []],
+    ['standing too low', { completed: ['CPTS 223', 'CPTS 322'], standing: 'sophomore' }, 'unmet', ['junior standing']],
+    ['nothing done', { standing: 'freshman' }, 'unmet',
+      ['CPTS 223 (C or better) or CPTS 233 (C or better)', 'CPTS 322 (C or better, or concurrent)', 'junior standing']],
+  ])('%s', (_, context, status, missing) => {
+    const result = evaluatePrereqTree(tree, context);
+    expect(result.status).toBe(status);
+    expect(result.met).toBe(status !== 'unmet');
+    expect(result.missing).toEqual(missing);
+  });
+
+  it.each([
+    ['no standing given', parsePrerequisites('Junior standing'), {}, 'unknown', ['junior standing']],
+    ['permission', parsePrerequisites('Instructor permission'), {}, 'unknown', ['permission']],
+    ['free text', parsePrerequisites('Admission to the major'), {}, 'unknown', ['Admission to the major']],
+    ['an unknown alternative', parsePrerequisites('ENGLISH 101 or instructor permission'), {}, 'unknown',
+      ['ENGLISH 101 or permission']],
+    ['a met alternative hides the unknown one', parsePrerequisites('ENGLISH 101 or instructor permission'),
+      { completed: ['ENGLISH 101'] }, 'met', []],
+  ])('%s', (_, node, context, status, unverified) => {
+    const result = evaluatePrereqTree(node, context);
+    expect(result.status).toBe(status);
+    expect(result.met).toBe(true);
+    expect(result.unverified).toEqual(unverified);
+  });
+
+  it('a missing tree is met', () => {
+    expect(evaluatePrereqTree(null)).toEqual({ status: 'met', met: true, missing: [], unverified: [] });
+  });
+});
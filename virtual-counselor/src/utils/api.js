@@ -1,24 +1,41 @@
 // API client for backend communication
+import { loadAuthSession } from './storage';
+
 const API_URL = import.meta.env.VITE_API_URL ?? '';
 
 // Helper function for fetch requests
 async function fetchJSON(endpoint, options = {}) {
   const response = await fetch(`${API_URL}${endpoint}`, {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
       ...options.headers,
     },
-    ...options,
   });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: response.statusText }));
-    throw new Error(error.error || 'API request failed');
+    const err = new Error(error.error || error.message || 'API request failed');
+    err.status = response.status;
+    err.body = error;
+    throw err;
   }
 
   return response.json();
 }
 
+// Same as fetchJSON but sends the signed-in student's session token
+function fetchWithAuth(endpoint, options = {}) {
+  const session = loadAuthSession();
+  return fetchJSON(endpoint, {
+    ...options,
+    headers: {
+      ...(session?.token ? { Authorization: `Bearer ${session.token}` } : {}),
+      ...options.headers,
+    },
+  });
+}
+
 // Course APIs
 export async function fetchCourses(filters = {}) {
   const params = new URLSearchParams();
@@ -31,6 +48,13 @@ export async function fetchCourses(filters = {}) {
   return fetchJSON(`/api/courses?${params}`);
 }
 
+// Fill rate, waitlist velocity and fill forecast for a batch of sections
+export async function fetchEnrollmentAnalytics(uniqueIds, registrationDate) {
+  const params = new URLSearchParams({ ids: uniqueIds.join(',') });
+  if (registrationDate) params.append('registrationDate', registrationDate);
+  return fetchJSON(`/api/enrollment/analytics?${params}`);
+}
+
 export async function searchCourses(query, limit = 100) {
   return fetchJSON(`/api/courses/search?q=${encodeURIComponent(query)}&limit=${limit}`);
 }
@@ -40,6 +64,34 @@ export async function searchCatalogCourses(query, limit = 5) {
   return fetchJSON(`/api/catalog/courses?search=${encodeURIComponent(query)}&limit=${limit}`);
 }
 
+// Transitive prerequisite + "unlocks" graph for a catalog course
+export async function fetchPrereqGraph(root, year) {
+  const params = new URLSearchParams({ root });
+  if (year) params.append('year', year);
+  return fetchJSON(`/api/catalog/prereq-graph?${params}`);
+}
+
+// What changed in a program's requirements between two catalog years
+export async function fetchCatalogDiff({ name, type = 'degree', from, to }) {
+  const params = new URLSearchParams({ name, type });
+  if (from) params.append('from', from);
+  if (to) params.append('to', to);
+  return fetchJSON(`/api/catalog/diff?${params}`);
+}
+
+// Rate My Professors search through the server proxy (same call ProfessorRating makes)
+export async function searchProfessorRatings(name) {
+  return fetchJSON('/api/rmp-proxy', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'searchTeacher', name }),
+  });
+}
+
+// Instructor profile: every section taught, by term, with any cached rating
+export async function fetchInstructor(instructorId) {
+  return fetchJSON(`/api/instructors/${encodeURIComponent(instructorId)}`);
+}
+
 export async function fetchCourseDescription(prefix, number) {
   try {
     return await fetchJSON(`/api/courses/${prefix}/${number}/description`);
@@ -80,21 +132,170 @@ export async function fetchPrefixes(filters = {}) {
   return fetchJSON(`/api/prefixes?${params}`);
 }
 
+// Instruction modes and sessions offered, for the section filter dropdowns
+export async function fetchCourseFacets(filters = {}) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  return fetchJSON(`/api/courses/facets?${params}`);
+}
+
 // Terms/Semesters APIs
 export async function fetchTerms() {
   return fetchJSON('/api/terms');
 }
 
+// Student account APIs
+export async function registerAccount(email, password, displayName) {
+  return fetchJSON('/api/auth/register', {
+    method: 'POST',
+    body: JSON.stringify({ email, password, displayName }),
+  });
+}
+
+export async function loginAccount(email, password) {
+  return fetchJSON('/api/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+}
+
+export async function logoutAccount() {
+  return fetchWithAuth('/api/auth/logout', { method: 'POST' });
+}
+
+export async function fetchCurrentUser() {
+  return fetchWithAuth('/api/auth/me');
+}
+
+// Synced degree plan APIs
+export async function fetchPlans() {
+  return fetchWithAuth('/api/plans');
+}
+
+export async function fetchPlan(planId) {
+  return fetchWithAuth(`/api/plans/${planId}`);
+}
+
+export async function createPlan(data, clientUpdatedAt, name) {
+  return fetchWithAuth('/api/plans', {
+    method: 'POST',
+    body: JSON.stringify({ data, clientUpdatedAt, name }),
+  });
+}
+
+export async function updatePlan(planId, data, { clientUpdatedAt, baseVersion, force = false } = {}) {
+  return fetchWithAuth(`/api/plans/${planId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ data, clientUpdatedAt, baseVersion, force }),
+  });
+}
+
+export async function deletePlan(planId) {
+  return fetchWithAuth(`/api/plans/${planId}`, { method: 'DELETE' });
+}
+
+export async function fetchPlanVersions(planId) {
+  return fetchWithAuth(`/api/plans/${planId}/versions`);
+}
+
+// Shared (read-only) plan link APIs
+export async function createSharedPlan(data, { title, studentName } = {}) {
+  return fetchWithAuth('/api/shared-plans', {
+    method: 'POST',
+    body: JSON.stringify({ data, title, studentName }),
+  });
+}
+
+export async function fetchSharedPlan(token) {
+  return fetchJSON(`/api/shared-plans/${encodeURIComponent(token)}`);
+}
+
+export async function addSharedPlanComment(token, comment) {
+  return fetchJSON(`/api/shared-plans/${encodeURIComponent(token)}/comments`, {
+    method: 'POST',
+    body: JSON.stringify(comment),
+  });
+}
+
+export async function resolveSharedPlanComment(token, commentId, ownerKey, resolved = true) {
+  return fetchJSON(`/api/shared-plans/${encodeURIComponent(token)}/comments/${commentId}/resolve`, {
+    method: 'POST',
+    body: JSON.stringify({ ownerKey, resolved }),
+  });
+}
+
+export async function revokeSharedPlan(token, ownerKey) {
+  return fetchJSON(`/api/shared-plans/${encodeURIComponent(token)}/revoke`, {
+    method: 'POST',
+    body: JSON.stringify({ ownerKey }),
+  });
+}
+
+// Seat watches: notify the signed-in student when a section opens up
+export async function fetchWatches() {
+  return fetchWithAuth('/api/watches');
+}
+
+export async function createWatch({ uniqueId, field = 'seatsAvailable', direction = 'above', threshold = 1 }) {
+  return fetchWithAuth('/api/watches', {
+    method: 'POST',
+    body: JSON.stringify({ uniqueId, field, direction, threshold }),
+  });
+}
+
+export async function deleteWatch(watchId) {
+  return fetchWithAuth(`/api/watches/${watchId}`, { method: 'DELETE' });
+}
+
+export async function fetchNotifications() {
+  return fetchWithAuth('/api/notifications');
+}
+
+export async function acknowledgeNotifications(ids) {
+  return fetchWithAuth('/api/notifications/ack', {
+    method: 'POST',
+    body: JSON.stringify({ ids }),
+  });
+}
+
 export default {
   fetchCourses,
+  fetchEnrollmentAnalytics,
   searchCourses,
   fetchCourseDescription,
+  fetchPrereqGraph,
+  fetchCatalogDiff,
+  searchProfessorRatings,
+  fetchInstructor,
   fetchDegrees,
   fetchDegreeRequirements,
   fetchMinors,
   fetchCertificates,
   fetchPrefixes,
+  fetchCourseFacets,
   fetchTerms,
+  registerAccount,
+  loginAccount,
+  logoutAccount,
+  fetchCurrentUser,
+  fetchPlans,
+  fetchPlan,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  fetchPlanVersions,
+  createSharedPlan,
+  fetchSharedPlan,
+  addSharedPlanComment,
+  resolveSharedPlanComment,
+  revokeSharedPlan,
+  fetchWatches,
+  createWatch,
+  deleteWatch,
+  fetchNotifications,
+  acknowledgeNotifications,
 };
 
 export const getLLMAdvice = async (question, studentContext) => {
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isActualCourse,
+  isPlaceholder,
+  extractUCORECategories,
+  extractAllowedCoursesFromText,
+  parseElectiveRequirements,
+  parseCourseName,
+  buildElectiveFilter,
+  computeUcoreSatisfaction,
+} from './courseHelpers';
+
+describe('course name helpers', () => {
+  it.each([
+    ['CPTS 121', true, false],
+    ['math171', true, false],
+    ['UCORE Inquiry', false, true],
+    ['Technical Elective', false, true],
+    ['CPTS 421 Elective', true, false],
+    ['Internship', false, false],
+    ['', false, false],
+  ])('%j: actual course %s, placeholder %s', (name, actual, placeholder) => {
+    expect(isActualCourse(name)).toBe(actual);
+    expect(isPlaceholder(name)).toBe(placeholder);
+  });
+
+  it.each([
+    ['CPTS 121', { prefix: 'CPTS', number: '121' }],
+    ['math171 [QUAN]', { prefix: 'MATH', number: '171' }],
+    ['Electives', { prefix: '', number: '' }],
+  ])('parseCourseName(%j)', (name, expected) => {
+    expect(parseCourseName(name)).toEqual(expected);
+  });
+
+  it('collects UCORE categories from brackets and the ucore field without duplicates', () => {
+    expect(extractUCORECategories({ name: 'HISTORY 105 [ROOT] [XYZ]', ucore: 'root, hum' })).toEqual(['ROOT', 'HUM']);
+    expect(extractUCORECategories({ name: 'ENGLISH 101', ucore: ['WRTG'] })).toEqual(['WRTG']);
+  });
+});
+
+describe('extractAllowedCoursesFromText', () => {
+  it('expands number lists after a shared prefix', () => {
+    expect(extractAllowedCoursesFromText('Choose from CPT S 321, 323 or 422.').map((c) => c.code))
+      .toEqual(['CPT S 321', 'CPT S 323', 'CPT S 422']);
+  });
+
+  it('records level ranges', () => {
+    const [range] = extractAllowedCoursesFromText('Any 300-400-level CPT S courses')
+      .filter((c) => c.levelRange);
+    expect(range).toEqual({ prefix: 'CPT S', levelRange: { min: 300, max: 400 }, code: 'CPT S 300-400 level' });
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(extractAllowedCoursesFromText('')).toEqual([]);
+  });
+});
+
+describe('elective requirements', () => {
+  it.each([
+    ['UCORE [ARTS] elective', ['UCORE']],
+    ['Computer Science elective: CPT S 321, 322', ['CS']],
+    ['Technical elective from E E 311', ['Technical']],
+    ['Free elective', ['General']],
+    ['MATH 315 or 401', ['CourseList']],
+    ['See advisor', []],
+  ])('%j -> %j', (text, types) => {
+    expect(parseElectiveRequirements(text).map((r) => r.type)).toEqual(types);
+  });
+
+  it.each([
+    [{ type: 'UCORE', category: 'HUM' }, { kind: 'UCORE', ucoreCategory: 'HUM' }],
+    [{ type: 'CS' }, { kind: 'PREFIX', prefixes: ['CPT S', 'CPTS'] }],
+    [{ type: 'Technical' }, { kind: 'TECHNICAL' }],
+    [{ type: 'CS', allowedCourses: [{ code: 'CPT S 321' }] }, { kind: 'COURSELIST', allowedCourses: [{ code: 'CPT S 321' }] }],
+    [{ type: 'General' }, { kind: 'GENERAL' }],
+  ])('buildElectiveFilter(%j)', (requirement, expected) => {
+    const plan = [{ name: 'cpts 121' }, { name: 'Electives' }];
+    expect(buildElectiveFilter(requirement, plan)).toEqual({ ...expected, excludeCodes: ['CPTS 121'] });
+  });
+
+  it('reports satisfied and remaining UCORE categories', () => {
+    const history = { name: 'HISTORY 105', ucore: 'ROOT' };
+    const result = computeUcoreSatisfaction(['root', 'WRTG'], [history, { name: 'MATH 171' }]);
+    expect(result).toEqual({
+      required: ['ROOT', 'WRTG'],
+      satisfied: ['ROOT'],
+      remaining: ['WRTG'],
+      satisfiedMap: { ROOT: [history], WRTG: [] },
+    });
+  });
+});
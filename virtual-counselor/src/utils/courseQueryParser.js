@@ -0,0 +1,239 @@
+// Turns phrases like "upper-division CPT S with seats on TR afternoons at
+// Pullman" into /api/courses filters. Each recognized phrase becomes a chip
+// ({ id, label, params }) and is removed from the text; whatever is left is
+// sent as the free-text `search`.
+
+const CAMPUSES = [
+  { pattern: 'pullman', value: 'Pullman', label: 'Pullman' },
+  { pattern: 'spokane', value: 'Spokane', label: 'Spokane' },
+  { pattern: 'tri[-\\s]?cities', value: 'TriCities', label: 'Tri-Cities' },
+  { pattern: 'vancouver', value: 'Vancouver', label: 'Vancouver' },
+  { pattern: 'everett', value: 'Everett', label: 'Everett' },
+  { pattern: 'online|global campus', value: 'Online', label: 'Online' },
+];
+
+const UCORE_CODES = ['WRTG', 'QUAN', 'COMM', 'BSCI', 'PSCI', 'SSCI', 'HUM', 'ARTS', 'CAPS', 'DIVR', 'ROOT', 'EQJS'];
+
+// Category names people use instead of the codes ("ucore humanities")
+const UCORE_NAMES = {
+  writing: 'WRTG', quantitative: 'QUAN', communication: 'COMM', biological: 'BSCI',
+  physical: 'PSCI', social: 'SSCI', humanities: 'HUM', arts: 'ARTS', capstone: 'CAPS',
+  diversity: 'DIVR', roots: 'ROOT', equity: 'EQJS',
+};
+
+const DAY_LABELS = { M: 'Mon', T: 'Tue', W: 'Wed', R: 'Thu', F: 'Fri' };
+const DAY_ORDER = 'MTWRF';
+
+const DAY_WORD = '(?:mondays?|tuesdays?|wednesdays?|thursdays?|fridays?|mon|tues?|wed|thu(?:rs?)?|fri)';
+
+// Words that only join the recognized phrases together
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'with', 'on', 'at', 'in', 'for', 'that', 'which', 'is', 'are',
+  'has', 'have', 'any', 'only', 'show', 'me', 'find', 'class', 'classes', 'course',
+  'courses', 'section', 'sections', 'meet', 'meets', 'meeting', 'during', 'or',
+]);
+
+const TIME = '(noon|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?)';
+
+// "10", "10:30am", "2 pm", "noon" -> "HH:MM" (24-hour). Bare hours from 1
+// to 7 are read as afternoon, since nothing is scheduled at 3 AM.
+function toClock(text) {
+  const t = text.toLowerCase().replace(/\./g, '').trim();
+  if (t === 'noon') return '12:00';
+  const m = t.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!m) return null;
+  let hours = parseInt(m[1], 10);
+  const minutes = m[2] || '00';
+  if (hours > 23 || parseInt(minutes, 10) > 59) return null;
+  if (m[3] === 'pm' && hours < 12) hours += 12;
+  else if (m[3] === 'am' && hours === 12) hours = 0;
+  else if (!m[3] && hours >= 1 && hours <= 7) hours += 12;
+  return `${String(hours).padStart(2, '0')}:${minutes}`;
+}
+
+function formatClock(clock) {
+  const [h, m] = clock.split(':').map(Number);
+  const suffix = h >= 12 ? 'PM' : 'AM';
+  return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${suffix}`;
+}
+
+function daysFromWords(text) {
+  const days = new Set();
+  for (const word of text.toLowerCase().match(/[a-z]+/g) || []) {
+    if (word.startsWith('mon')) days.add('M');
+    else if (word.startsWith('tu')) days.add('T');
+    else if (word.startsWith('wed')) days.add('W');
+    else if (word.startsWith('th')) days.add('R');
+    else if (word.startsWith('fri')) days.add('F');
+  }
+  return [...DAY_ORDER].filter(d => days.has(d));
+}
+
+// "MWF", "TR", "TTh", "TuTh" -> day letters
+function daysFromCode(code) {
+  const days = new Set();
+  for (const part of code.match(/Tu|Th|TH|[MTWRF]/g) || []) {
+    if (part === 'Th' || part === 'TH' || part === 'R') days.add('R');
+    else if (part === 'Tu') days.add('T');
+    else days.add(part);
+  }
+  return [...DAY_ORDER].filter(d => days.has(d));
+}
+
+function daysChip(days) {
+  return {
+    id: 'days',
+    label: days.map(d => DAY_LABELS[d]).join('/'),
+    params: { days: days.join('') },
+  };
+}
+
+function levelChip(min, max) {
+  if (min === max) return { id: 'level', label: `${min}-level`, params: { minLevel: min, maxLevel: max } };
+  return { id: 'level', label: `${min}–${max} level`, params: { minLevel: min, maxLevel: max } };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Each rule finds phrases in the remaining text and returns a chip for
+ * each match. Rules run in order, and a matched phrase is blanked out so
+ * later rules can't see it.
+ */
+function buildRules(prefixes) {
+  const prefixPatterns = prefixes
+    .map(p => (typeof p === 'string' ? p : p.prefix))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .flatMap(prefix => {
+      // A following course number leaves it to the text search ("CPT S 121")
+      const pattern = spacing => `\\b${escapeRegExp(prefix).replace(/\s+/g, spacing)}\\b(?!\\s*\\d)`;
+      // Capitals as typed ("CPT S", "CPTS", "MATH"), or any case for
+      // multi-word prefixes written with the space ("cpt s")
+      const rules = [{ prefix, regex: new RegExp(pattern('\\s*'), 'g') }];
+      if (/\s/.test(prefix) && prefix.replace(/\s/g, '').length >= 4) {
+        rules.push({ prefix, regex: new RegExp(pattern('\\s+'), 'gi') });
+      }
+      return rules;
+    });
+
+  return [
+    [/\bupper[-\s]?(?:division|level)\b/gi, () => ({ id: 'level', label: 'Upper-division', params: { minLevel: 300, maxLevel: 400 } })],
+    [/\blower[-\s]?(?:division|level)\b/gi, () => ({ id: 'level', label: 'Lower-division', params: { minLevel: 100, maxLevel: 200 } })],
+    [/\bgrad(?:uate)?[-\s]level\b/gi, () => ({ id: 'level', label: 'Graduate', params: { minLevel: 500 } })],
+    [/\b([1-8])00s?\s*(?:-|–|or|to|through|and)\s*([1-8])00s?[-\s]?level\b/gi,
+      m => levelChip(Math.min(m[1], m[2]) * 100, Math.max(m[1], m[2]) * 100)],
+    [/\b([1-8])00[-\s]?level\b|\b([1-8])00s\b/gi, m => levelChip((m[1] || m[2]) * 100, (m[1] || m[2]) * 100)],
+
+    [/\b(\d{1,2})\s*(?:-|–|to)\s*(\d{1,2})[-\s]?(?:credits?|cr|credit[-\s]hours?)\b/gi,
+      m => ({ id: 'credits', label: `${m[1]}–${m[2]} credits`, params: { minCredits: Number(m[1]), maxCredits: Number(m[2]) } })],
+    [/\b(?:at least|min(?:imum)?)\s+(\d{1,2})\s*(?:credits?|cr)\b|\b(\d{1,2})\+\s*(?:credits?|cr)\b/gi,
+      m => ({ id: 'credits', label: `${m[1] || m[2]}+ credits`, params: { minCredits: Number(m[1] || m[2]) } })],
+    [/\b(\d{1,2})[-\s]?(?:credits?|cr|credit[-\s]hours?)\b/gi,
+      m => ({ id: 'credits', label: `${m[1]} credits`, params: { minCredits: Number(m[1]), maxCredits: Number(m[1]) } })],
+
+    [/\b(?:at least\s+)?(\d{1,3})\+?\s*(?:open\s+|available\s+)?seats?\b/gi,
+      m => ({ id: 'seats', label: `${m[1]}+ seats`, params: { minSeats: Number(m[1]) } })],
+    [/\b(?:open|available)\s+seats?\b|\bseats?\s+(?:open|available|left)\b|\bwith\s+seats\b|\bnot\s+full\b/gi,
+      () => ({ id: 'seats', label: 'Open seats', params: { minSeats: 1 } })],
+
+    [/\bmornings?\b/gi, () => ({ id: 'time', label: 'Mornings', params: { endBefore: '12:00' } })],
+    [/\bafternoons?\b/gi, () => ({ id: 'time', label: 'Afternoons', params: { startAfter: '12:00', endBefore: '17:00' } })],
+    [/\b(?:evenings?|nights?)\b/gi, () => ({ id: 'time', label: 'Evenings', params: { startAfter: '17:00' } })],
+    [new RegExp(`\\b(?:starting\\s+|starts?\\s+)?after\\s+${TIME}`, 'gi'), m => {
+      const clock = toClock(m[1]);
+      return clock && { id: 'startAfter', label: `After ${formatClock(clock)}`, params: { startAfter: clock } };
+    }],
+    [new RegExp(`\\b(?:before|ends?\\s+by|done\\s+by|out\\s+by)\\s+${TIME}`, 'gi'), m => {
+      const clock = toClock(m[1]);
+      return clock && { id: 'endBefore', label: `Before ${formatClock(clock)}`, params: { endBefore: clock } };
+    }],
+
+    [new RegExp(`\\bucore\\s+(${[...UCORE_CODES, ...Object.keys(UCORE_NAMES)].join('|')})\\b`, 'gi'),
+      m => ucoreChip(UCORE_NAMES[m[1].toLowerCase()] || m[1].toUpperCase())],
+    [new RegExp(`\\b(${[...UCORE_CODES, ...Object.keys(UCORE_NAMES)].join('|')})\\s+ucore\\b`, 'gi'),
+      m => ucoreChip(UCORE_NAMES[m[1].toLowerCase()] || m[1].toUpperCase())],
+
+    // Bare codes only in capitals, so "arts" or "roots" in a title stay text
+    [new RegExp(`\\[(${UCORE_CODES.join('|')})\\]|\\b(${UCORE_CODES.join('|')})\\b`, 'g'), m => ucoreChip(m[1] || m[2])],
+
+    ...prefixPatterns.map(({ prefix, regex }) => [regex, () => ({ id: 'prefix', label: prefix, params: { prefix } })]),
+
+    ...CAMPUSES.map(({ pattern, value, label }) => [
+      new RegExp(`\\b(?:(?:at|in|on)\\s+)?(?:${pattern})(?:\\s+campus)?\\b`, 'gi'),
+      () => ({ id: 'campus', label, params: { campus: value } }),
+    ]),
+
+    [new RegExp(`\\b${DAY_WORD}(?:\\s*(?:,|/|&|and|\\s)\\s*${DAY_WORD})*\\b`, 'gi'), m => {
+      const days = daysFromWords(m[0]);
+      return days.length ? daysChip(days) : null;
+    }],
+    // Compact codes only as typed in capitals, so "tr" or "mw" in a title stay text
+    [/\b(?:MTWThF|MTWRF|MWF|MW|WF|MF|TTh|TuTh|TTH|TR|MTWR|TWR)\b/g, m => daysChip(daysFromCode(m[0]))],
+  ];
+}
+
+function ucoreChip(code) {
+  return { id: 'ucore', label: `UCORE ${code}`, params: { ucore: code } };
+}
+
+/**
+ * Parse a free-text course query.
+ * @param {string} input
+ * @param {{ prefixes?: Array<string|{prefix: string}> }} [options] - Known
+ *   subject prefixes, e.g. from /api/prefixes
+ * @returns {{ chips: Array<{id: string, label: string, params: Object}>, text: string }}
+ */
+export function parseCourseQuery(input, { prefixes = [] } = {}) {
+  let rest = ` ${input || ''} `;
+  const chips = [];
+
+  for (const [regex, toChip] of buildRules(prefixes)) {
+    rest = rest.replace(regex, (...args) => {
+      const match = args.slice(0, -2);
+      const chip = toChip(match);
+      if (!chip) return match[0];
+      chips.push(chip);
+      return ' ';
+    });
+  }
+
+  let text = rest.replace(/\s+/g, ' ').trim();
+  if (chips.length) {
+    text = text
+      .split(' ')
+      .filter(word => !FILLER_WORDS.has(word.toLowerCase().replace(/[^a-z]/g, '')) && /\w/.test(word))
+      .join(' ');
+  }
+  return { chips: mergeChips([], chips), text };
+}
+
+/**
+ * Add chips to a list. A new chip replaces any earlier chip of the same kind
+ * or that sets one of the same filters; UCORE categories accumulate into a
+ * single chip.
+ */
+export function mergeChips(existing, incoming) {
+  let chips = [...existing];
+  for (const chip of incoming) {
+    let next = chip;
+    if (chip.id === 'ucore') {
+      const previous = chips.find(c => c.id === 'ucore');
+      if (previous) {
+        const codes = [...new Set([...previous.params.ucore.split(','), chip.params.ucore])];
+        next = { id: 'ucore', label: `UCORE ${codes.join(', ')}`, params: { ucore: codes.join(',') } };
+      }
+    }
+    const keys = Object.keys(next.params);
+    chips = chips.filter(c => c.id !== next.id && !Object.keys(c.params).some(k => keys.includes(k)));
+    chips.push(next);
+  }
+  return chips;
+}
+
+// The /api/courses query parameters for a list of chips
+export function chipFilters(chips) {
+  return Object.assign({}, ...chips.map(c => c.params));
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { parseCourseQuery, mergeChips, chipFilters } from './courseQueryParser';
+
+const PREFIXES = [{ prefix: 'CPT S' }, { prefix: 'MATH' }, { prefix: 'E E' }, { prefix: 'HISTORY' }];
+
+const parse = (text) => {
+  const { chips, text: rest } = parseCourseQuery(text, { prefixes: PREFIXES });
+  return { filters: chipFilters(chips), labels: chips.map(c => c.label), text: rest };
+};
+
+describe('parseCourseQuery', () => {
+  it('parses the full example phrase', () => {
+    expect(parse('upper-division CPT S with seats on TR afternoons at Pullman')).toEqual({
+      filters: {
+        minLevel: 300, maxLevel: 400, prefix: 'CPT S', minSeats: 1, days: 'TR',
+        startAfter: '12:00', endBefore: '17:00', campus: 'Pullman',
+      },
+      labels: ['Upper-division', 'Open seats', 'Afternoons', 'CPT S', 'Pullman', 'Tue/Thu'],
+      text: '',
+    });
+  });
+
+  it('leaves unrecognized words as search text', () => {
+    expect(parse('machine learning 300-level')).toMatchObject({
+      filters: { minLevel: 300, maxLevel: 300 },
+      text: 'machine learning',
+    });
+    // Nothing recognized: the text is untouched, filler words included
+    expect(parse('intro to the cosmos')).toEqual({ filters: {}, labels: [], text: 'intro to the cosmos' });
+  });
+
+  it.each([
+    ['lower division', { minLevel: 100, maxLevel: 200 }],
+    ['300-400 level', { minLevel: 300, maxLevel: 400 }],
+    ['400s', { minLevel: 400, maxLevel: 400 }],
+    ['graduate-level', { minLevel: 500 }],
+  ])('level: %j', (text, filters) => {
+    expect(parse(text).filters).toEqual(filters);
+  });
+
+  it.each([
+    ['MWF', 'MWF'],
+    ['TTh', 'TR'],
+    ['TuTh', 'TR'],
+    ['tuesdays and thursdays', 'TR'],
+    ['Mon/Wed', 'MW'],
+    ['monday, wednesday, friday', 'MWF'],
+  ])('days: %j', (text, days) => {
+    expect(parse(text).filters).toEqual({ days });
+  });
+
+  it('only reads compact day codes typed in capitals', () => {
+    expect(parse('mw tr').filters).toEqual({});
+  });
+
+  it.each([
+    ['mornings', { endBefore: '12:00' }],
+    ['evening', { startAfter: '17:00' }],
+    ['after 10am', { startAfter: '10:00' }],
+    ['after 1:30', { startAfter: '13:30' }],
+    ['before 2 pm', { endBefore: '14:00' }],
+    ['before noon', { endBefore: '12:00' }],
+    ['after 9 before 3', { startAfter: '09:00', endBefore: '15:00' }],
+  ])('time: %j', (text, filters) => {
+    expect(parse(text).filters).toEqual(filters);
+  });
+
+  it.each([
+    ['3 credits', { minCredits: 3, maxCredits: 3 }],
+    ['4-credit', { minCredits: 4, maxCredits: 4 }],
+    ['1-3 credits', { minCredits: 1, maxCredits: 3 }],
+    ['at least 3 credits', { minCredits: 3 }],
+    ['5+ seats', { minSeats: 5 }],
+    ['at least 10 seats', { minSeats: 10 }],
+    ['not full', { minSeats: 1 }],
+  ])('credits and seats: %j', (text, filters) => {
+    expect(parse(text).filters).toEqual(filters);
+  });
+
+  it.each([
+    ['[HUM]', 'HUM'],
+    ['ARTS', 'ARTS'],
+    ['ucore humanities', 'HUM'],
+    ['capstone ucore', 'CAPS'],
+    ['DIVR or WRTG', 'DIVR,WRTG'],
+  ])('ucore: %j', (text, ucore) => {
+    expect(parse(text).filters.ucore).toBe(ucore);
+  });
+
+  it('keeps lowercase category names as text without "ucore"', () => {
+    expect(parse('roots of contemporary issues')).toMatchObject({ filters: {}, text: 'roots of contemporary issues' });
+  });
+
+  it.each([
+    ['Tri-Cities campus', 'TriCities'],
+    ['in vancouver', 'Vancouver'],
+    ['global campus', 'Online'],
+  ])('campus: %j', (text, campus) => {
+    expect(parse(text).filters).toEqual({ campus });
+  });
+
+  it('matches known prefixes but leaves course codes to the text search', () => {
+    expect(parse('MATH proofs')).toMatchObject({ filters: { prefix: 'MATH' }, text: 'proofs' });
+    expect(parse('cpt s')).toMatchObject({ filters: { prefix: 'CPT S' } });
+    expect(parse('CPTS')).toMatchObject({ filters: { prefix: 'CPT S' } });
+    expect(parse('CPT S 121')).toEqual({ filters: {}, labels: [], text: 'CPT S 121' });
+    // Lowercase single-word prefixes and short spaced ones are ordinary words
+    expect(parse('history of math').filters).toEqual({});
+    expect(parse('e e cummings').filters).toEqual({});
+  });
+});
+
+describe('mergeChips', () => {
+  it('replaces chips that set the same filters and accumulates UCORE', () => {
+    const first = parseCourseQuery('afternoons HUM 3 credits').chips;
+    const second = parseCourseQuery('after 1 ARTS').chips;
+    const merged = mergeChips(first, second);
+    expect(chipFilters(merged)).toEqual({ minCredits: 3, maxCredits: 3, startAfter: '13:00', ucore: 'HUM,ARTS' });
+    expect(merged.map(c => c.label)).toEqual(['3 credits', 'After 1:00 PM', 'UCORE HUM, ARTS']);
+  });
+});
@@ -1,4 +1,5 @@
 import { GRADE_POINTS } from "../components/degree-planner/CourseRow";
+import { normalizeCourseCode } from "../shared/prereqParser.mjs";
 
 export const PASSING_GRADES = new Set(["A", "A-", "B+", "B", "B-", "C+", "C", "C-", "P", "S"]);
 
@@ -165,10 +166,10 @@ export const getCompletedCourses = (degreePlan) => {
     ["fall", "spring", "summer"].forEach((term) => {
       year[term]?.courses.forEach((course) => {
         if (course.status === "taken" && course.name) {
-          // Extract course code from name (e.g., "CPTS 121" or "CPTS 121 [QUAN]")
-          const match = course.name.match(/^([A-Z]{2,6}\s*\d{3})/i);
-          if (match) {
-            completed.push(match[1].toUpperCase().replace(/\s+/g, " "));
+          // Extract course code from name (e.g., "CPT S 121" or "CPTS 121 [QUAN]" -> "CPTS 121")
+          const code = normalizeCourseCode(course.name);
+          if (code) {
+            completed.push(code);
           }
         }
       });
@@ -177,6 +178,27 @@ export const getCompletedCourses = (degreePlan) => {
   return completed;
 };
 
+/**
+ * Grades earned in completed courses, keyed like getCompletedCourses().
+ * Used for "C or better" style prerequisite checks.
+ * @param {Object} degreePlan
+ * @returns {Object<string, string>} Course code -> letter grade
+ */
+export const getCompletedCourseGrades = (degreePlan) => {
+  const grades = {};
+  Object.values(degreePlan).forEach((year) => {
+    ["fall", "spring", "summer"].forEach((term) => {
+      year[term]?.courses.forEach((course) => {
+        if (course.status === "taken" && course.grade) {
+          const code = normalizeCourseCode(course.name);
+          if (code) grades[code] = course.grade;
+        }
+      });
+    });
+  });
+  return grades;
+};
+
 /**
  * Detect duplicate courses across the degree plan.
  * @param {Object} degreePlan 
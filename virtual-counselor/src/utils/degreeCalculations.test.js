@@ -0,0 +1,243 @@
+import { describe, it, expect } from 'vitest';
+import {
+  analyzeDegreeProgress,
+  analyzeWhatIf,
+  calculateGPA,
+  calculateCreditsAchieved,
+  calculateCreditsPlanned,
+  calculateCreditsRequired,
+  getCompletedCourses,
+  getCompletedCourseGrades,
+  getDuplicateCourses,
+  getMinGradeForDegree,
+  gradeMetMinimum,
+} from './degreeCalculations';
+
+const taken = (id, code, grade = 'A', extra = {}) => ({ id, code, status: 'taken', grade, credits: 3, ...extra });
+const planned = (id, code, extra = {}) => ({ id, code, status: 'planned', credits: 3, ...extra });
+const inProgress = (id, code, extra = {}) => ({ id, code, status: 'in-progress', credits: 3, ...extra });
+const req = (name, code = name, extra = {}) => ({ name, code, credits: 3, ...extra });
+
+const term = (...courses) => ({ courses });
+const plan = (years) => years;
+
+describe('analyzeDegreeProgress priority matching', () => {
+  it.each([
+    {
+      rule: 'exact code match',
+      userCourses: [taken('a', 'MATH 171')],
+      requirement: req('MATH 171'),
+      expected: 'a',
+    },
+    {
+      rule: 'refinement to a specific course beats an exact match',
+      userCourses: [taken('a', 'CPTS 121'), taken('b', 'CPTS 131')],
+      requirement: req('CPT S 121', 'CPTS 121'),
+      refinements: { 'CPT S 121': 'CPTS 131' },
+      expected: 'b',
+    },
+    {
+      rule: 'refinement of true marks the requirement met',
+      userCourses: [],
+      requirement: req('Writing Portfolio'),
+      refinements: { 'Writing Portfolio': true },
+      expected: 'manual-Writing Portfolio',
+    },
+    {
+      rule: 'user course code appearing in the label',
+      userCourses: [taken('a', 'CHEM 105')],
+      requirement: req('CHEM 101 [PSCI] or CHEM 105 [PSCI]', 'CHEM 101'),
+      expected: 'a',
+    },
+    {
+      rule: 'footnote lists eligible courses',
+      userCourses: [taken('a', 'BIOLOGY 106')],
+      requirement: req('Lab Science Requirement', 'Lab Science Requirement', {
+        footnotes: ['PHYSICS 201, CHEM 105, BIOLOGY 106'],
+      }),
+      expected: 'a',
+    },
+    {
+      rule: 'prefixed elective bucket takes an upper-division course in that prefix',
+      userCourses: [taken('low', 'CPTS 223'), taken('other', 'MATH 360'), taken('a', 'CPTS 360')],
+      requirement: req('CPTS Technical Elective', 'CPTS Technical Elective', { requirementType: 'elective-bucket' }),
+      expected: 'a',
+    },
+    {
+      rule: 'unprefixed elective takes any upper-division course',
+      userCourses: [taken('low', 'CPTS 223'), taken('a', 'MATH 360')],
+      requirement: req('Computer Science Electives', 'Computer Science Electives', { requirementType: 'named-elective' }),
+      expected: 'a',
+    },
+    {
+      rule: 'elective buckets ignore lower-division courses',
+      userCourses: [taken('low', 'CPTS 223')],
+      requirement: req('Electives', 'Electives', { requirementType: 'elective-bucket' }),
+      expected: null,
+    },
+    {
+      rule: 'UCORE slot matches a course carrying the attribute',
+      userCourses: [taken('other', 'ENGLISH 101', 'A', { attributes: ['WRTG'] }), taken('a', 'HISTORY 105', 'A', { ucore: 'HUM' })],
+      requirement: req('UCORE Inquiry [HUM]', 'UCORE Inquiry [HUM]', { requirementType: 'ucore-slot' }),
+      expected: 'a',
+    },
+    {
+      rule: 'no candidate leaves the requirement missing',
+      userCourses: [taken('a', 'MATH 171')],
+      requirement: req('STAT 212'),
+      expected: null,
+    },
+  ])('$rule', ({ userCourses, requirement, refinements, expected }) => {
+    const { matched, missing } = analyzeDegreeProgress(userCourses, [requirement], refinements);
+    if (expected === null) {
+      expect(matched).toEqual([]);
+      expect(missing).toEqual([requirement]);
+    } else {
+      expect(missing).toEqual([]);
+      expect(matched[0].matchedCourse.id).toBe(expected);
+    }
+  });
+
+  it.each([
+    ['taken and passing over in-progress', [inProgress('ip', 'CPTS 121'), taken('t', 'CPTS 121')], 't'],
+    ['in-progress over planned', [planned('p', 'CPTS 121'), inProgress('ip', 'CPTS 121')], 'ip'],
+    ['a planned retake over a failed attempt', [taken('f', 'CPTS 121', 'F'), planned('p', 'CPTS 121')], 'p'],
+    ['a failed attempt when nothing else exists', [taken('f', 'CPTS 121', 'F')], 'f'],
+  ])('prefers %s', (_label, userCourses, expected) => {
+    const { matched } = analyzeDegreeProgress(userCourses, [req('CPTS 121')]);
+    expect(matched[0].matchedCourse.id).toBe(expected);
+  });
+
+  it('uses each user course for at most one requirement', () => {
+    const result = analyzeDegreeProgress(
+      [taken('a', 'MATH 171')],
+      [req('MATH 171'), req('MATH 171 or 182', 'MATH 171')]
+    );
+    expect(result.matched).toHaveLength(1);
+    expect(result.missing).toHaveLength(1);
+    expect([...result.usedUserCourseIds]).toEqual(['a']);
+  });
+
+  it('resolves refined requirements before the rest', () => {
+    // Without the refinement ordering, the exact match would grab CPTS 131 first
+    const result = analyzeDegreeProgress(
+      [taken('a', 'CPTS 131')],
+      [req('CPTS 131'), req('Programming Elective', 'Programming Elective')],
+      { 'Programming Elective': 'CPTS 131' }
+    );
+    expect(result.matched.map(m => m.name)).toEqual(['Programming Elective']);
+    expect(result.missing.map(m => m.name)).toEqual(['CPTS 131']);
+  });
+
+  it('a manual override does not consume a course', () => {
+    const result = analyzeDegreeProgress(
+      [taken('a', 'MATH 171')],
+      [req('MATH 171'), req('Placement')],
+      { Placement: true }
+    );
+    expect(result.matched).toHaveLength(2);
+    expect([...result.usedUserCourseIds]).toEqual(['a']);
+  });
+
+  it('flags matches below the degree minimum grade and totals credits', () => {
+    const result = analyzeDegreeProgress(
+      [taken('a', 'CPTS 121', 'C'), taken('b', 'CPTS 122', 'B')],
+      [req('CPTS 121'), req('CPTS 122'), { ...req('CPTS 223'), credits: 4 }],
+      {},
+      'C+'
+    );
+    expect(result.matched.map(m => [m.code, m.belowMinGrade])).toEqual([['CPTS 121', true], ['CPTS 122', false]]);
+    expect(result.belowMinGradeCount).toBe(1);
+    expect(result.missingCredits).toBe(4);
+    expect(result.totalRequiredCredits).toBe(10);
+  });
+});
+
+describe('analyzeWhatIf', () => {
+  it('matches plan courses against another program schedule', () => {
+    const degreePlan = plan({
+      1: { fall: term({ id: 1, name: 'MATH 171 [QUAN]', credits: 4, status: 'taken', grade: 'B' }), spring: term() },
+    });
+    const newMajor = {
+      schedule: [{ courses: [{ raw: 'MATH 171', credits: 4 }, { raw: 'Electives', credits: 3 }] }],
+    };
+    const result = analyzeWhatIf(degreePlan, newMajor);
+    expect(result.matched.map(m => m.code)).toEqual(['MATH 171']);
+    expect(result.missing).toEqual([expect.objectContaining({ name: 'Electives', isPlaceholder: true })]);
+    expect(result.totalNewMajorCredits).toBe(7);
+  });
+});
+
+describe('grade minimums', () => {
+  it.each([
+    ['Computer Science', 'C+'],
+    ['Bachelor of Science in Mechanical Engineering', 'C'],
+    ['History', 'C-'],
+    [null, 'C-'],
+  ])('%s requires %s', (degree, grade) => {
+    expect(getMinGradeForDegree(degree)).toBe(grade);
+  });
+
+  it.each([
+    ['B', 'C+', true],
+    ['C+', 'C+', true],
+    ['C', 'C+', false],
+    ['P', 'A', true],
+    ['D', 'C-', true], // D is not on the scale, so it isn't flagged
+    [null, 'C', true],
+  ])('%s against %s -> %s', (grade, min, expected) => {
+    expect(gradeMetMinimum(grade, min)).toBe(expected);
+  });
+});
+
+describe('plan totals', () => {
+  const degreePlan = plan({
+    1: {
+      fall: term(
+        { id: 1, name: 'CPT S 121', credits: 4, status: 'taken', grade: 'A' },
+        { id: 2, name: 'MATH 171', credits: 4, status: 'taken', grade: 'C-' },
+        { id: 3, name: 'ENGLISH 101', credits: 3, status: 'taken', grade: 'F' }
+      ),
+      spring: term(
+        { id: 4, name: 'CPT S 122', credits: 4, status: 'in-progress' },
+        { id: 5, name: 'UNIV 104', credits: 1, status: 'taken', grade: 'P' }
+      ),
+      summer: term({ id: 6, name: '', credits: 3 }),
+    },
+    2: {
+      fall: term({ id: 7, name: 'CPT S 121', credits: 4, status: 'planned' }),
+      spring: term(),
+    },
+  });
+
+  it('computes GPA from letter grades only', () => {
+    // (4*4.0 + 4*1.7 + 3*0.0) / 11
+    expect(calculateGPA(degreePlan)).toBe('2.07');
+    expect(calculateGPA({})).toBe('0.00');
+  });
+
+  it('counts passed credits and planned credits', () => {
+    expect(calculateCreditsAchieved(degreePlan)).toBe(9);
+    expect(calculateCreditsPlanned(degreePlan)).toBe(20);
+  });
+
+  it('lists completed courses and their grades by normalized code', () => {
+    expect(getCompletedCourses(degreePlan)).toEqual(['CPTS 121', 'MATH 171', 'ENGLISH 101', 'UNIV 104']);
+    expect(getCompletedCourseGrades(degreePlan)).toEqual({
+      'CPTS 121': 'A', 'MATH 171': 'C-', 'ENGLISH 101': 'F', 'UNIV 104': 'P',
+    });
+  });
+
+  it('finds courses that appear more than once', () => {
+    expect([...getDuplicateCourses(degreePlan)]).toEqual(['CPT S 121']);
+  });
+
+  it.each([
+    [{}, 0],
+    [{ majors: [{ name: 'CS', data: { totalHours: 120 } }] }, 120],
+    [{ majors: [{ name: 'CS' }], minors: [{ name: 'Math' }], certificates: [{ name: 'Cyber' }] }, 153],
+    [{ majors: [{ name: 'CS', data: { credits: 120 } }, { name: 'Math', data: { credits: 120 } }] }, 200],
+  ])('required credits for %j is %i', (programs, expected) => {
+    expect(calculateCreditsRequired(programs)).toBe(expected);
+  });
+});
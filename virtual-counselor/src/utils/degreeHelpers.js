@@ -41,22 +41,3 @@ export const prefetchUcoreCourses = async (year, ucoreCourseCache) => {
   // Let's postpone moving `prefetchUcoreCourses` until we see its complexity. 
   return ucoreCourseCache;
 };
-
-// Helper to parse prerequisites
-export const parsePrereqs = (prereqStr) => {
-  if (!prereqStr) return [];
-  // Basic parser: looks for "Cpt S 121" or "MATH 171" patterns
-  // Regex: ([A-Z][A-Za-z&\s]*)\s+(\d+)([A-Z]?)
-  // This is a simplified regex.
-  const regex = /([A-Z][A-Za-z&\s]{1,5})\s*(\d{3,4})([A-Z]?)/g;
-  const matches = [];
-  let match;
-  while ((match = regex.exec(prereqStr)) !== null) {
-      matches.push({
-          prefix: match[1].trim().toUpperCase(),
-          number: parseInt(match[2]),
-          suffix: match[3] || ""
-      });
-  }
-  return matches;
-};
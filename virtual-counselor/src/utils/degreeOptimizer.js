@@ -1,5 +1,330 @@
 import { calculateCreditsAchieved } from "./degreeCalculations";
+import {
+  normalizeCourseCode,
+  parsePrerequisites,
+  prereqTreeFromCodes,
+  collectCourseCodes,
+  evaluatePrereqTree,
+  standingFromCredits,
+} from "../shared/prereqParser.mjs";
+
+const TERMS = ["fall", "spring", "summer"];
+const TERM_LABELS = { fall: "Fall", spring: "Spring", summer: "Summer" };
+
+// Per-term credit caps for the speeds offered in OptimizeModal
+export const SPEED_CREDIT_LIMITS = { accelerated: 23, normal: 18, relaxed: 12 };
+
+// Fall/spring load a student needs to count as full time
+const FULL_TIME_CREDITS = 12;
+// Relaxed + "ensure full time" may stretch a term to this to reach full time
+const FULL_TIME_STRETCH_CREDITS = 14;
+
+// Search limits. The first branch explored is the plain greedy schedule, so
+// running out of budget still returns a complete (if less tight) plan.
+const SEARCH_NODE_LIMIT = 4000;
+const BRANCHES_PER_TERM = 3;
+// A full year with nothing placeable means nothing else will ever fit
+const MAX_IDLE_TERMS = 3;
+
+// Terms a course is offered in: explicit offeredTerms first, then the
+// "summer only" / "not offered summer" notes in attributes and footnotes
+const offeredTermsOf = (course) => {
+  if (Array.isArray(course.offeredTerms) && course.offeredTerms.length) {
+    const offered = course.offeredTerms.map((t) => String(t).toLowerCase());
+    const terms = TERMS.filter((t) => offered.includes(t));
+    if (terms.length) return terms;
+  }
+  const attrs = (course.attributes || []).join(" ").toLowerCase();
+  const foot = (
+    Array.isArray(course.footnotes)
+      ? course.footnotes.join(" ")
+      : course.footnotes || ""
+  ).toLowerCase();
+
+  const isSummerOnly =
+    attrs.includes("summer only") || foot.includes("summer only");
+  const isNotSummer =
+    attrs.includes("not summer") ||
+    foot.includes("not offered summer") ||
+    attrs.includes("fall/spring");
+
+  if (isNotSummer) return ["fall", "spring"];
+  if (isSummerOnly) return ["summer"];
+  return TERMS;
+};
+
+// Normalized 'PREFIX ###' key for a plan row, falling back to its name
+const courseKeyOf = (course) => {
+  const normPrefix = course.prefix
+    ? String(course.prefix).toUpperCase().replace(/\s+/g, "")
+    : "";
+  const normNumber = course.number ? String(course.number) : "";
+  return (
+    normalizeCourseCode(
+      normPrefix && normNumber ? `${normPrefix} ${normNumber}` : course.name
+    ) || String(course.name || "").toUpperCase()
+  );
+};
+
+// Drop prerequisite leaves the plan can't influence: courses that are neither
+// taken nor on the plan (transfer credit, placement, or simply not listed).
+// Under AND they are assumed satisfied; under OR only the alternatives on the
+// plan are kept, and an OR with none left is assumed satisfied.
+const pruneExternalPrereqs = (node, known) => {
+  if (!node) return null;
+  if (node.type === "course") return known.has(node.code) ? node : null;
+  if (node.type !== "and" && node.type !== "or") return node;
+  const children = node.children
+    .map((child) => pruneExternalPrereqs(child, known))
+    .filter(Boolean);
+  if (children.length === 0) return null;
+  if (children.length === 1) return children[0];
+  return { ...node, children };
+};
 
+const sameMembers = (a, b) =>
+  a.length === b.length && a.every((item) => b.includes(item));
+
+// Lexicographic comparison of schedule scores; negative when `a` is better
+const compareScores = (a, b) => {
+  for (let k = 0; k < a.length; k++) {
+    if (a[k] !== b[k]) return a[k] - b[k];
+  }
+  return 0;
+};
+
+/**
+ * Place courses into terms so the last occupied term is as early as possible.
+ *
+ * Pure and deterministic: the same input always yields the same schedule.
+ * Branch-and-bound over terms in order; each term tries the greedy fill by
+ * priority (longest prerequisite chain, fewest offered terms, original plan
+ * order) plus a few variants that leave one of those picks for later.
+ * Schedules compare by unplaced courses, then fall/spring terms before
+ * graduation that fall below `minCredits`, then last term used, then how
+ * early credits land. So the minimum load wins over finishing sooner, and
+ * `underloaded` lists the terms where it couldn't be met at all.
+ *
+ * @param {Object} input
+ * @param {Array} input.courses - [{ key, credits, prereqTree, terms }], `terms`
+ *   being the terms the course is offered in
+ * @param {Array} input.slots - [{ term }] open terms in chronological order
+ * @param {Iterable<string>} [input.completed] - Codes done before the first slot
+ * @param {Object<string,string>} [input.grades] - Grades for completed codes
+ * @param {number} [input.initialCredits] - Credits earned before the first slot
+ * @param {number} [input.maxCredits] - Per-term credit cap
+ * @param {number} [input.minCredits] - Minimum fall/spring load before graduation
+ * @param {number} [input.stretchCredits] - Cap allowed while a term is under full time
+ * @param {boolean} [input.includeSummer] - When false, summer only takes summer-only courses
+ * @param {number} [input.nodeLimit] - Search budget
+ * @returns {{slotOf: number[], loads: number[], lastSlot: number, unplaced: number[],
+ *   underloaded: number[], exhaustive: boolean}}
+ *   `slotOf[i]` is the slot index for courses[i], or -1 when it can't be placed;
+ *   `underloaded` holds the slot indexes below the minimum load
+ */
+export const solveSchedule = ({
+  courses,
+  slots,
+  completed = [],
+  grades = {},
+  initialCredits = 0,
+  maxCredits = SPEED_CREDIT_LIMITS.normal,
+  minCredits = 0,
+  stretchCredits = maxCredits,
+  includeSummer = true,
+  nodeLimit = SEARCH_NODE_LIMIT,
+}) => {
+  const n = courses.length;
+  const keys = courses.map((c) => c.key);
+  const credits = courses.map((c) => Number(c.credits) || 0);
+  const doneBase = new Set(
+    [...completed].map((code) => normalizeCourseCode(code) || code)
+  );
+  const known = new Set([...doneBase, ...keys]);
+  const trees = courses.map((c) => pruneExternalPrereqs(c.prereqTree, known));
+
+  const usable = courses.map((c) => {
+    const terms = c.terms && c.terms.length ? c.terms : TERMS;
+    const summerOnly = terms.length === 1 && terms[0] === "summer";
+    return slots.map(
+      (slot) =>
+        terms.includes(slot.term) &&
+        (slot.term !== "summer" || includeSummer || summerOnly)
+    );
+  });
+
+  // Courses on the plan that list each course as a prerequisite
+  const firstIndexOf = new Map();
+  keys.forEach((k, i) => {
+    if (!firstIndexOf.has(k)) firstIndexOf.set(k, i);
+  });
+  const dependents = courses.map(() => []);
+  trees.forEach((tree, i) => {
+    collectCourseCodes(tree).forEach((code) => {
+      const j = firstIndexOf.get(code);
+      if (j !== undefined && j !== i) dependents[j].push(i);
+    });
+  });
+
+  // Length of the longest chain of plan courses waiting on each course
+  const chain = new Array(n).fill(-1);
+  const chainLength = (i, visiting = new Set()) => {
+    if (chain[i] !== -1) return chain[i];
+    if (visiting.has(i)) return 0; // cycle in the catalog data
+    visiting.add(i);
+    const longest = dependents[i].reduce(
+      (max, j) => Math.max(max, chainLength(j, visiting)),
+      0
+    );
+    visiting.delete(i);
+    chain[i] = 1 + longest;
+    return chain[i];
+  };
+
+  const usableCount = usable.map((row) => row.filter(Boolean).length);
+  const priority = courses
+    .map((_, i) => i)
+    .sort(
+      (a, b) =>
+        chainLength(b) - chainLength(a) ||
+        usableCount[a] - usableCount[b] ||
+        a - b
+    );
+
+  const fits = (load, add) =>
+    load === 0 ||
+    load + add <= maxCredits ||
+    (load < FULL_TIME_CREDITS && load + add <= stretchCredits);
+  const perTermCapacity = Math.max(maxCredits, stretchCredits, ...credits, 1);
+
+  const slotOf = new Array(n).fill(-1);
+  const loads = new Array(slots.length).fill(0);
+  const done = new Set(doneBase);
+
+  const eligible = (i, s, sameTerm, creditsBefore) =>
+    usable[i][s] &&
+    evaluatePrereqTree(trees[i], {
+      completed: done,
+      concurrent: sameTerm,
+      grades,
+      standing: standingFromCredits(creditsBefore),
+    }).met;
+
+  // Greedy fill of one term. Repeats until nothing else fits, since placing a
+  // course can satisfy another's concurrent-enrollment prerequisite.
+  const fillTerm = (s, creditsBefore, skip) => {
+    const picks = [];
+    const sameTerm = new Set();
+    let load = 0;
+    let added = true;
+    while (added) {
+      added = false;
+      for (const i of priority) {
+        if (slotOf[i] !== -1 || skip === i || picks.includes(i)) continue;
+        if (!fits(load, credits[i])) continue;
+        if (!eligible(i, s, sameTerm, creditsBefore)) continue;
+        picks.push(i);
+        sameTerm.add(keys[i]);
+        load += credits[i];
+        added = true;
+      }
+    }
+    return picks;
+  };
+
+  let best = null;
+  let nodes = 0;
+
+  const record = (lastSlot) => {
+    const unplaced = [];
+    let weighted = 0;
+    for (let i = 0; i < n; i++) {
+      if (slotOf[i] === -1) unplaced.push(i);
+      else weighted += slotOf[i] * credits[i];
+    }
+    const underloaded = [];
+    for (let s = 0; s < lastSlot; s++) {
+      if (slots[s].term !== "summer" && loads[s] < minCredits) underloaded.push(s);
+    }
+    const score = [unplaced.length, underloaded.length, lastSlot, weighted];
+    if (!best || compareScores(score, best.score) < 0) {
+      best = {
+        score,
+        slotOf: [...slotOf],
+        loads: [...loads],
+        lastSlot,
+        unplaced,
+        underloaded,
+      };
+    }
+  };
+
+  const search = (s, creditsBefore, remaining, remainingCredits, idle, lastSlot) => {
+    nodes++;
+    if (remaining === 0 || s >= slots.length || idle >= MAX_IDLE_TERMS) {
+      record(lastSlot);
+      return;
+    }
+    if (best && best.unplaced.length === 0 && best.underloaded.length === 0) {
+      const bound = s - 1 + Math.ceil(remainingCredits / perTermCapacity);
+      if (Math.max(bound, s) > best.lastSlot) return;
+    }
+
+    const branches = [fillTerm(s, creditsBefore, -1)];
+    for (let k = branches[0].length - 1; k >= 0; k--) {
+      if (branches.length >= BRANCHES_PER_TERM) break;
+      const variant = fillTerm(s, creditsBefore, branches[0][k]);
+      if (!branches.some((b) => sameMembers(b, variant))) branches.push(variant);
+    }
+
+    for (const picks of branches) {
+      if (best && nodes >= nodeLimit) return;
+      const load = picks.reduce((sum, i) => sum + credits[i], 0);
+      const added = [];
+      picks.forEach((i) => {
+        slotOf[i] = s;
+        if (!done.has(keys[i])) {
+          done.add(keys[i]);
+          added.push(keys[i]);
+        }
+      });
+      loads[s] = load;
+
+      search(
+        s + 1,
+        creditsBefore + load,
+        remaining - picks.length,
+        remainingCredits - load,
+        picks.length ? 0 : idle + 1,
+        picks.length ? s : lastSlot
+      );
+
+      picks.forEach((i) => {
+        slotOf[i] = -1;
+      });
+      added.forEach((k) => done.delete(k));
+      loads[s] = 0;
+    }
+  };
+
+  search(
+    0,
+    initialCredits,
+    n,
+    credits.reduce((sum, c) => sum + c, 0),
+    0,
+    -1
+  );
+
+  return {
+    slotOf: best.slotOf,
+    loads: best.loads,
+    lastSlot: best.lastSlot,
+    unplaced: best.unplaced,
+    underloaded: best.underloaded,
+    exhaustive: nodes < nodeLimit,
+  };
+};
 
 export const optimizeSchedule = async ({
   degreePlan,
@@ -8,39 +333,60 @@ export const optimizeSchedule = async ({
   optimizeSpeed,
   includeSummer = true,
   ensureFullTime = true,
+  minCredits,
+  maxCredits,
 }) => {
-  // Build list of unscheduled courses
-  const unscheduled = [];
-  const taken = new Set();
-  
-  const initialCreditsAchieved = calculateCreditsAchieved(degreePlan);
+  // Chronological list of every term in the current plan
+  const termSequence = [];
+  years.forEach((y) => {
+    TERMS.forEach((term) => termSequence.push({ yearId: y.id, term }));
+  });
+  const slotIndexOf = (yearId, term) =>
+    termSequence.findIndex(
+      (s) => String(s.yearId) === String(yearId) && s.term === term
+    );
+
+  // Taken and in-progress courses stay where they are; everything else is
+  // rescheduled into the terms after the last one holding them.
+  const pinned = [];
+  const pending = [];
+  const completed = new Set();
+  const takenGrades = {};
+  let lastPinnedSlot = -1;
+  let inProgressCredits = 0;
 
   Object.entries(degreePlan).forEach(([yearId, year]) => {
-    ["fall", "spring", "summer"].forEach((term) => {
-      year[term].courses.forEach((course) => {
-        if (course.name) {
-          // normalize key to 'PREFIX ###' when possible
-          const normPrefix = course.prefix
-            ? String(course.prefix).toUpperCase().replace(/\s+/g, "")
-            : "";
-          const normNumber = course.number ? String(course.number) : "";
-          const key =
-            normPrefix && normNumber
-              ? `${normPrefix} ${normNumber}`
-              : String(course.name || "").toUpperCase();
-          if (course.status === "taken") taken.add(key);
-          else
-            unscheduled.push({
-              ...course,
-              key,
-              originalYear: parseInt(yearId, 10),
-              originalTerm: term,
-            });
+    TERMS.forEach((term) => {
+      (year[term]?.courses || []).forEach((course) => {
+        if (!course.name) return;
+        const key = courseKeyOf(course);
+        if (course.status === "taken" || course.status === "in-progress") {
+          const idx = slotIndexOf(yearId, term);
+          if (idx > lastPinnedSlot) lastPinnedSlot = idx;
+          pinned.push({ course, yearId, term });
+          completed.add(key);
+          if (course.status === "taken" && course.grade) takenGrades[key] = course.grade;
+          if (course.status === "in-progress") inProgressCredits += Number(course.credits) || 0;
+        } else {
+          pending.push({
+            ...course,
+            key,
+            originalYear: parseInt(yearId, 10),
+            originalTerm: term,
+          });
         }
       });
     });
   });
 
+  // Keep the original plan order as the final tie-breaker
+  const termOrder = { fall: 1, spring: 2, summer: 3 };
+  pending.sort(
+    (a, b) =>
+      a.originalYear - b.originalYear ||
+      termOrder[a.originalTerm] - termOrder[b.originalTerm]
+  );
+
   // Load catalog prereqs for selected catalog year (if available)
   const catalogMap = {};
   try {
@@ -51,7 +397,10 @@ export const optimizeSchedule = async ({
       if (resp.ok) {
         const j = await resp.json();
         (j.courses || []).forEach((r) => {
-          if (r.code) catalogMap[String(r.code).toUpperCase()] = r;
+          if (r.code)
+            catalogMap[
+              normalizeCourseCode(r.code) || String(r.code).toUpperCase()
+            ] = r;
         });
       }
     }
@@ -59,507 +408,287 @@ export const optimizeSchedule = async ({
     console.warn("Could not load catalog courses for optimizer", e);
   }
 
-  // Helper: parse prerequisite course codes from strings (footnotes, attributes, raw)
-  // Returns array of groups; each group is an array of alternative codes (OR semantics).
-  const parsePrereqs = (course) => {
-    const sources = [];
-    if (course.footnotes)
-      sources.push(
-        Array.isArray(course.footnotes)
-          ? course.footnotes.join(" ")
-          : String(course.footnotes)
-      );
-    if (course.attributes)
-      sources.push(
-        Array.isArray(course.attributes)
-          ? course.attributes.join(" ")
-          : String(course.attributes)
-      );
-    if (course.raw) sources.push(String(course.raw));
-    if (course.name) sources.push(String(course.name));
-
-    const text = sources.join(" ");
-    if (!text) return [];
-
-    // Match either PREFIX NUMBER or standalone NUMBER; capture positions for grouping
-    const tokenRe = /([A-Za-z]{2,6})\s*\.?\s*(\d{3})|\b(\d{3})\b/g;
-    const matches = [];
-    let mm;
-    while ((mm = tokenRe.exec(text)) !== null) {
-      if (mm[1] && mm[2]) {
-        const pref = mm[1].toUpperCase().replace(/\s+/g, "");
-        const num = mm[2];
-        matches.push({
-          code: `${pref} ${num}`,
-          start: mm.index,
-          end: tokenRe.lastIndex,
-          pref,
-          num,
-        });
-      } else if (mm[3]) {
-        const num = mm[3];
-        matches.push({
-          code: `${num}`,
-          start: mm.index,
-          end: tokenRe.lastIndex,
-          pref: null,
-          num,
-        });
-      }
-    }
-
-    if (matches.length === 0) return [];
-
-    // Inherit prefix for standalone numbers from nearest previous match when appropriate
-    for (let i = 0; i < matches.length; i++) {
-      if (!matches[i].pref) {
-        for (let j = i - 1; j >= 0; j--) {
-          const between = text
-            .substring(matches[j].end, matches[i].start)
-            .toLowerCase();
-          if (between.length > 80) break;
-          if (/\bor\b|[,;/]|\band\b/.test(between)) {
-            matches[i].pref = matches[j].pref;
-            matches[i].code = `${matches[i].pref} ${matches[i].num}`;
-            break;
-          }
-        }
-      }
-    }
-
-    // Group adjacent matches into OR-groups when the connector contains 'or' or '/'
-    const groups = [];
-    let current = [matches[0].code.replace(/\s+/g, " ").toUpperCase()];
-    for (let i = 1; i < matches.length; i++) {
-      const between = text
-        .substring(matches[i - 1].end, matches[i].start)
-        .toLowerCase();
-      const hasOr = /\bor\b|\//.test(between);
-      if (hasOr) {
-        current.push(matches[i].code.replace(/\s+/g, " ").toUpperCase());
-      } else {
-        groups.push(Array.from(new Set(current)));
-        current = [matches[i].code.replace(/\s+/g, " ").toUpperCase()];
-      }
-    }
-    if (current.length) groups.push(Array.from(new Set(current)));
-    return groups;
-  };
-
-  // Helper: detect offered terms (if provided) or heuristic (prefer fall/spring)
-  const allowedInTerm = (course, termName) => {
-    // If explicit offeredTerms provided (['fall','spring','summer']), respect it
-    if (course.offeredTerms && Array.isArray(course.offeredTerms)) {
-      return course.offeredTerms.includes(termName);
-    }
-    // If course has an attribute/footnote indicating Summer only or not offered in summer
-    const attrs = (course.attributes || []).join(" ").toLowerCase();
-    const foot = (
-      Array.isArray(course.footnotes)
-        ? course.footnotes.join(" ")
-        : course.footnotes || ""
-    ).toLowerCase();
-    
-    // Check strict constraints
-    const isSummerOnly = attrs.includes("summer only") || foot.includes("summer only");
-    const isNotSummer = attrs.includes("not summer") || 
-                        foot.includes("not offered summer") || 
-                        attrs.includes("fall/spring");
-
-    if (isNotSummer) return termName !== "summer";
-    if (isSummerOnly) return termName === "summer";
-
-    // User preference check: if includeSummer is false, disallow summer unless strictly required (handled above)
-    // Since we returned above for strict summer only, if we are here, it's NOT strict summer only.
-    if (!includeSummer && termName === "summer") {
-        return false;
-    }
-
-    // Default: allow term but prefer non-summer. We'll deprioritize summer by scheduling others first.
-    return true;
+  // Helper: prerequisite tree for a course (see shared/prereqParser).
+  // Prefer the tree stored on the plan row, then the catalog's; older rows and
+  // catalogs only carry raw text or a flat list of codes.
+  const prereqTreeFor = (course, meta) => {
+    if (course.prerequisiteTree) return course.prerequisiteTree;
+    if (meta && meta.prerequisite_tree) return meta.prerequisite_tree;
+    const fromText = parsePrerequisites(
+      (meta && meta.prerequisite_raw) || course.prerequisiteRaw || course.raw
+    );
+    if (fromText) return fromText;
+    if (course.prerequisites && course.prerequisites.length)
+      return prereqTreeFromCodes(course.prerequisites);
+    if (meta && meta.prerequisite_codes && meta.prerequisite_codes.length)
+      return prereqTreeFromCodes(meta.prerequisite_codes);
+    return null;
   };
 
-  // Build lookup map for quick access
-  const courseMap = {};
-  unscheduled.forEach((c) => {
-    courseMap[c.key] = c;
+  const solverCourses = pending.map((c) => {
+    const meta = catalogMap[c.key];
+    const withTerms =
+      meta &&
+      (!c.offeredTerms || !c.offeredTerms.length) &&
+      meta.offered_terms &&
+      meta.offered_terms.length
+        ? { ...c, offeredTerms: meta.offered_terms }
+        : c;
+    return {
+      key: c.key,
+      credits: Number(c.credits) || 0,
+      prereqTree: prereqTreeFor(c, meta),
+      terms: offeredTermsOf(withTerms),
+    };
   });
 
-  // Build prereq graph and prerequisites list for each course
-  // Each entry is an array of groups; each group is an array of alternative codes (OR semantics)
-  const prereqs = {};
-  unscheduled.forEach((c) => {
-    let groups = parsePrereqs(c) || [];
-    const normKey = String(c.key || "").toUpperCase();
-    // If catalog has metadata for this course, apply offered terms and use its prereqs as fallback
-    if (catalogMap[normKey]) {
-      const meta = catalogMap[normKey];
-      // apply offered terms if missing on the course object
-      if (
-        (!c.offeredTerms || !c.offeredTerms.length) &&
-        meta.offered_terms &&
-        meta.offered_terms.length
-      ) {
-        c.offeredTerms = meta.offered_terms;
-      }
-      // if parser didn't find anything, use catalog prereqs
-      if (
-        (groups.length === 0 || groups.every((g) => g.length === 0)) &&
-        meta.prerequisite_codes &&
-        meta.prerequisite_codes.length
-      ) {
-        groups = meta.prerequisite_codes.map((pc) => [
-          String(pc).toUpperCase(),
-        ]);
-      }
-    }
+  // Scheduling parameters
+  const cap =
+    Number(maxCredits) > 0
+      ? Number(maxCredits)
+      : SPEED_CREDIT_LIMITS[optimizeSpeed] || SPEED_CREDIT_LIMITS.normal;
+  const floor =
+    Number(minCredits) > 0
+      ? Number(minCredits)
+      : ensureFullTime
+      ? FULL_TIME_CREDITS
+      : 0;
+  const stretch =
+    ensureFullTime && cap < FULL_TIME_STRETCH_CREDITS
+      ? FULL_TIME_STRETCH_CREDITS
+      : cap;
+  if (floor > Math.max(cap, stretch)) {
+    throw new RangeError(
+      `A ${floor}-credit minimum can't fit under the ${cap}-credit cap`
+    );
+  }
 
-    // Canonicalize groups: uppercase, single-spaced, remove empties
-    const cleanedGroups = groups
-      .map((g) =>
-        (Array.isArray(g) ? g : [g])
-          .map((code) =>
-            String(code || "")
-              .replace(/\s+/g, " ")
-              .toUpperCase()
-          )
-          .filter(Boolean)
-      )
-      .filter((g) => g.length > 0);
-    prereqs[c.key] = cleanedGroups;
+  // Open terms: the rest of the plan, plus room for extra years if needed
+  const finalYears = [...years];
+  const allSlots = [...termSequence];
+  const openStart = lastPinnedSlot + 1;
+  while (allSlots.length - openStart < TERMS.length * (pending.length + 1)) {
+    const lastYear = finalYears[finalYears.length - 1];
+    const newId = lastYear ? Number(lastYear.id) + 1 : 1;
+    finalYears.push({ id: newId, name: `Year ${newId}` });
+    TERMS.forEach((term) => allSlots.push({ yearId: newId, term }));
+  }
+  const openSlots = allSlots.slice(openStart);
+
+  const solverInput = {
+    courses: solverCourses,
+    slots: openSlots,
+    completed,
+    grades: takenGrades,
+    initialCredits: calculateCreditsAchieved(degreePlan) + inProgressCredits,
+    maxCredits: cap,
+    minCredits: floor,
+    stretchCredits: stretch,
+    includeSummer,
+  };
+  const result = solveSchedule(solverInput);
+
+  // Courses that can't be satisfied go in the first term after graduation
+  // the student takes classes in, so nothing is lost from the plan; the
+  // report says why.
+  const slotOf = [...result.slotOf];
+  let overflow = result.lastSlot + 1;
+  while (
+    overflow < openSlots.length - 1 &&
+    !includeSummer &&
+    openSlots[overflow].term === "summer"
+  ) {
+    overflow++;
+  }
+  result.unplaced.forEach((i) => {
+    slotOf[i] = overflow;
   });
+  const lastUsed = result.unplaced.length ? overflow : result.lastSlot;
+
+  // Only keep the added years the schedule actually reaches
+  const lastUsedYear =
+    lastUsed >= 0 ? openSlots[lastUsed].yearId : null;
+  const keepYears =
+    lastUsedYear === null
+      ? years.length
+      : Math.max(
+          years.length,
+          finalYears.findIndex((y) => y.id === lastUsedYear) + 1
+        );
+  const newYears = finalYears.slice(0, keepYears);
 
-  // Scheduling parameters
-  const creditLimits = { accelerated: 23, normal: 18, relaxed: 12 };
-  const maxCredits = creditLimits[optimizeSpeed] || 18;
-
-  // Prepare empty newPlan
   const newPlan = {};
-  years.forEach((y) => {
+  newYears.forEach((y) => {
     newPlan[y.id] = {
       fall: { courses: [] },
       spring: { courses: [] },
       summer: { courses: [] },
     };
   });
-  
-  // Flatten terms in chronological order
-  const termSequence = [];
-  years.forEach((y) => {
-    termSequence.push({ yearId: y.id, term: "fall" });
-    termSequence.push({ yearId: y.id, term: "spring" });
-    termSequence.push({ yearId: y.id, term: "summer" });
+  pinned.forEach(({ course, yearId, term }) => {
+    if (!newPlan[yearId]) {
+      newPlan[yearId] = {
+        fall: { courses: [] },
+        spring: { courses: [] },
+        summer: { courses: [] },
+      };
+    }
+    newPlan[yearId][term].courses.push(course);
+  });
+  pending.forEach((c, i) => {
+    const slot = openSlots[slotOf[i]];
+    newPlan[slot.yearId][slot.term].courses.push(c);
   });
 
-  // Helper: compute credits scheduled before a given slot (yearId, term)
-  const creditsBeforeSlot = (slot) => {
-    // start with already achieved credits
-    let credits = initialCreditsAchieved || 0;
-    for (const s of termSequence) {
-      if (s.yearId === slot.yearId && s.term === slot.term) break;
-      const termCourses = newPlan[s.yearId][s.term].courses || [];
-      credits += termCourses.reduce((sum, cc) => sum + (cc.credits || 0), 0);
-    }
-    return credits;
+  const yearNames = {};
+  finalYears.forEach((y) => {
+    yearNames[y.id] = y.name;
+  });
+  const slotLabel = (slot) =>
+    `${TERM_LABELS[slot.term]} ${yearNames[slot.yearId] || `Year ${slot.yearId}`}`;
+
+  return {
+    degreePlan: newPlan,
+    newYears,
+    report: explainSchedule({
+      ...solverInput,
+      courses: solverCourses.map((c, i) => ({ ...c, name: pending[i].name })),
+      slots: openSlots.map((s) => ({ ...s, label: slotLabel(s) })),
+      result,
+    }),
   };
+};
 
-  // Helper: derive student level from credits
-  const studentLevelFromCredits = (credits) => {
-    if (credits >= 90) return "senior";
-    if (credits >= 60) return "junior";
-    if (credits >= 30) return "sophomore";
-    return "freshman";
-  };
+/**
+ * Explain a solved schedule: for each course, what kept it out of every
+ * earlier open term, and why unplaced courses couldn't go anywhere.
+ * Takes the solveSchedule() input plus its result; slots carry a `label`.
+ */
+export const explainSchedule = ({
+  courses,
+  slots,
+  completed = [],
+  grades = {},
+  initialCredits = 0,
+  maxCredits = SPEED_CREDIT_LIMITS.normal,
+  minCredits = 0,
+  stretchCredits = maxCredits,
+  includeSummer = true,
+  result,
+}) => {
+  const { slotOf, loads } = result;
+  const doneBase = new Set(
+    [...completed].map((code) => normalizeCourseCode(code) || code)
+  );
+  const known = new Set([...doneBase, ...courses.map((c) => c.key)]);
+
+  // State of each slot in the final schedule
+  const doneBefore = [];
+  const sameTerm = [];
+  const creditsBefore = [];
+  let running = initialCredits;
+  const done = new Set(doneBase);
+  slots.forEach((_, s) => {
+    doneBefore.push(new Set(done));
+    creditsBefore.push(running);
+    const here = courses.filter((_, i) => slotOf[i] === s).map((c) => c.key);
+    sameTerm.push(new Set(here));
+    here.forEach((k) => done.add(k));
+    running += loads[s] || 0;
+  });
 
-  // Maintain set of scheduled courses
-  const scheduled = new Set([...taken]);
-
-  // Function to check if prereqs satisfied (all prereq groups are satisfied) for a given slot
-  const prereqsSatisfied = (course, slot) => {
-    const groups = prereqs[course.key] || [];
-    // Special handling for alternative course groups: if the course has `alternatives` defined,
-    // be conservative: only allow moving earlier if NONE of the alternatives have explicit prereqs.
-    if (
-      course.alternatives &&
-      Array.isArray(course.alternatives) &&
-      course.alternatives.length > 0
-    ) {
-      for (const alt of course.alternatives) {
-        const altKey = String(alt).trim();
-        const altPrereqs = prereqs[altKey] || [];
-        if (altPrereqs.length > 0) return false;
-      }
-      return true;
+  const blockerAt = (course, s) => {
+    const slot = slots[s];
+    const terms = course.terms && course.terms.length ? course.terms : TERMS;
+    if (!terms.includes(slot.term)) {
+      return { reason: "not-offered", detail: `Not offered in ${TERM_LABELS[slot.term]}` };
     }
-
-    // If no prereqs groups, allow
-    if (groups.length === 0) return true;
-
-    // Detect level requirement (junior/senior) from course meta/text
-    const detectLevelRequirement = (courseObj) => {
-      try {
-        const meta =
-          catalogMap[String(courseObj.key || "").toUpperCase()] || {};
-        const combined = [];
-        if (courseObj.footnotes)
-          combined.push(
-            Array.isArray(courseObj.footnotes)
-              ? courseObj.footnotes.join(" ")
-              : String(courseObj.footnotes)
-          );
-        if (courseObj.attributes)
-          combined.push(
-            Array.isArray(courseObj.attributes)
-              ? courseObj.attributes.join(" ")
-              : String(courseObj.attributes)
-          );
-        if (courseObj.raw) combined.push(String(courseObj.raw));
-        if (meta && meta.notes) combined.push(String(meta.notes));
-        const txt = combined.join(" ").toLowerCase();
-        if (/\bjunior\b/.test(txt)) return "junior";
-        if (/\bsenior\b/.test(txt)) return "senior";
-        return null;
-      } catch (e) {
-        return null;
-      }
-    };
-
-    // credits the student would have before this slot
-    const creditsBefore = slot
-      ? creditsBeforeSlot(slot)
-      : initialCreditsAchieved || 0;
-    const levelBefore = studentLevelFromCredits(creditsBefore);
-
-    const allowsConcurrent = (courseObj) => {
-      try {
-        if (
-          courseObj.concurrent === true ||
-          courseObj.allowConcurrent === true
-        )
-          return true;
-        const meta = catalogMap[String(courseObj.key || "").toUpperCase()];
-        if (
-          meta &&
-          (meta.concurrent === true || meta.allow_concurrent === true)
-        )
-          return true;
-        const combined = [];
-        if (courseObj.footnotes)
-          combined.push(
-            Array.isArray(courseObj.footnotes)
-              ? courseObj.footnotes.join(" ")
-              : String(courseObj.footnotes)
-          );
-        if (courseObj.attributes)
-          combined.push(
-            Array.isArray(courseObj.attributes)
-              ? courseObj.attributes.join(" ")
-              : String(courseObj.attributes)
-          );
-        if (courseObj.raw) combined.push(String(courseObj.raw));
-        const txt = combined.join(" ").toLowerCase();
-        if (
-          /concurrent|may be taken concurrently|concurrent enrollment/.test(
-            txt
-          )
-        )
-          return true;
-      } catch (e) {}
-      return false;
-    };
-
-    // Check level requirement
-    const levelReq = detectLevelRequirement(course);
-    if (levelReq) {
-      const order = { freshman: 0, sophomore: 1, junior: 2, senior: 3 };
-      if (order[levelBefore] < order[levelReq]) return false;
+    if (slot.term === "summer" && !includeSummer && terms.length > 1) {
+      return { reason: "summer-excluded", detail: "Summer terms are excluded" };
     }
-
-    // For every prereq group, at least one member must be scheduled/taken or allowed concurrent
-    for (const group of groups) {
-      let satisfied = false;
-      for (const code of group) {
-        if (scheduled.has(code)) {
-          satisfied = true;
-          break;
-        }
-      }
-      if (satisfied) continue;
-      // not scheduled — allow only if concurrent allowed for this course
-      if (allowsConcurrent(course)) {
-        // If concurrent allowed, mark this group satisfied
-        continue;
+    const prereqs = evaluatePrereqTree(
+      pruneExternalPrereqs(course.prereqTree, known),
+      {
+        completed: doneBefore[s],
+        concurrent: sameTerm[s],
+        grades,
+        standing: standingFromCredits(creditsBefore[s]),
       }
-      return false;
+    );
+    if (!prereqs.met) {
+      return {
+        reason: "prerequisites",
+        detail: `Needs ${prereqs.missing.join(", ")} first`,
+      };
     }
-
-    return true;
+    const load = loads[s] || 0;
+    const credits = Number(course.credits) || 0;
+    const fits =
+      load === 0 ||
+      load + credits <= maxCredits ||
+      (load < FULL_TIME_CREDITS && load + credits <= stretchCredits);
+    if (!fits) {
+      return {
+        reason: "credit-limit",
+        detail: `Already has ${load} credits scheduled`,
+      };
+    }
+    return {
+      reason: "balance",
+      detail: "Moved later so other courses on the critical path fit earlier",
+    };
   };
 
-  // Greedy placement: iterate through terms and try to place courses whose prereqs are satisfied and allowed in that term.
-  // We will prefer non-summer terms first by ordering candidates.
-  const remaining = new Set(unscheduled.map((c) => c.key));
-
-  termSequence.forEach((slot) => {
-    if (remaining.size === 0) return;
-    const termCourses = newPlan[slot.yearId][slot.term].courses;
-    let currentCredits = termCourses.reduce(
-      (s, c) => s + (c.credits || 0),
-      0
-    );
-
-    // Build candidate list: unscheduled courses allowed in this term and prereqs satisfied
-    const candidates = Array.from(remaining)
-      .map((k) => courseMap[k])
-      .filter((c) => {
-        if (!c) return false;
-        if (!allowedInTerm(c, slot.term)) return false;
-        if (!prereqsSatisfied(c, slot)) return false;
-        return true;
-      });
-
-    // Sort candidates: prefer lower originalYear/originalTerm first, and prefer non-summer offerings
-    candidates.sort((a, b) => {
-      if (a.originalYear !== b.originalYear)
-        return a.originalYear - b.originalYear;
-      const order = { fall: 1, spring: 2, summer: 3 };
-      if (order[a.originalTerm] !== order[b.originalTerm])
-        return order[a.originalTerm] - order[b.originalTerm];
-      // deprioritize courses that appear to be summer-only when we're not in summer
-      const aSummerOnly =
-        a.offeredTerms &&
-        a.offeredTerms.length === 1 &&
-        a.offeredTerms[0] === "summer"
-          ? 1
-          : 0;
-      const bSummerOnly =
-        b.offeredTerms &&
-        b.offeredTerms.length === 1 &&
-        b.offeredTerms[0] === "summer"
-          ? 1
-          : 0;
-      return aSummerOnly - bSummerOnly;
-    });
-
-    for (const c of candidates) {
-      let hasCapacity = false;
-      const newTotal = currentCredits + (c.credits || 0);
-
-      if (newTotal <= maxCredits) {
-          hasCapacity = true;
-      } else if (ensureFullTime && optimizeSpeed === 'relaxed') {
-            // Relaxed mode (12 limit): allow up to 14 if currently under 12
-            if (currentCredits < 12 && newTotal <= 14) {
-                 hasCapacity = true;
-            }
-      }
-
-      if (hasCapacity) {
-        termCourses.push(c);
-        scheduled.add(c.key);
-        remaining.delete(c.key);
-        currentCredits += c.credits || 0;
-      }
+  const explanations = [];
+  courses.forEach((course, i) => {
+    const placed = slotOf[i];
+    if (placed <= 0) return;
+    const blockers = [];
+    for (let s = 0; s < placed; s++) {
+      blockers.push({ slot: slots[s].label, ...blockerAt(course, s) });
     }
+    // Summarize with the closest earlier term it could have been offered in
+    const telling = [...blockers]
+      .reverse()
+      .find((b) => b.reason !== "not-offered" && b.reason !== "summer-excluded");
+    explanations.push({
+      key: course.key,
+      name: course.name || course.key,
+      placedIn: slots[placed].label,
+      summary: telling
+        ? `${telling.slot}: ${telling.detail}`
+        : blockers[blockers.length - 1].detail,
+      blockers,
+    });
   });
 
-  // If anything remains (due to prereqs cycles or term restrictions), append them as fallback
-  // We will dynamically add years if needed instead of jamming into the last term.
-  
-  // Track all years (initial + dynamically added)
-  const finalYears = [...years];
-
-  if (remaining.size > 0) {
-    const fallback = unscheduled.filter((c) => remaining.has(c.key));
-    // Sort logic...
-    fallback.sort(
-      (a, b) =>
-        a.originalYear - b.originalYear ||
-        a.originalTerm.localeCompare(b.originalTerm)
-    );
-    
-    // We iterate through fallback courses and try to place them
-    // We treat termSequence (slots) as a growable list
-    const slots = termSequence; 
-    
-    for (const c of fallback) {
-      // Find next slot with capacity
-      let placed = false;
-      let idx = 0;
-      
-      while (!placed) {
-        // Dynamic Expansion: If we run out of slots, create a new year
-        if (idx >= slots.length) {
-          const lastYear = finalYears[finalYears.length - 1];
-          const newId = lastYear ? lastYear.id + 1 : 1;
-          const newYearObj = { id: newId, name: `Year ${newId}` };
-          
-          finalYears.push(newYearObj);
-          newPlan[newId] = {
-            fall: { courses: [] },
-            spring: { courses: [] },
-            summer: { courses: [] },
-          };
-          
-          // Append new terms to slots
-          slots.push({ yearId: newId, term: "fall" });
-          slots.push({ yearId: newId, term: "spring" });
-          slots.push({ yearId: newId, term: "summer" });
-          
-          // Loop continues immediately to check these new slots
-        }
-
-        const slot = slots[idx];
-        const termCourses = newPlan[slot.yearId][slot.term].courses;
-        const currentCredits = termCourses.reduce(
-          (s, cc) => s + (cc.credits || 0),
-          0
-        );
-        
-        // Check capacity
-        let hasCapacity = false;
-        const newTotal = currentCredits + (c.credits || 0);
-
-        // Standard check
-        if (newTotal <= maxCredits) {
-            hasCapacity = true;
-        } 
-        // Ensure Full Time Logic (Relaxed Boost)
-        else if (ensureFullTime && optimizeSpeed === 'relaxed') {
-            // If currently under 12 credits, allow going up to 14 to reach full time
-            // Basically, if we are currently < 12, we can add a course even if it pushes us over 12,
-            // as long as the new total is <= 14.
-            if (currentCredits < 12 && newTotal <= 14) {
-                 hasCapacity = true;
-            }
-        }
-        else if (ensureFullTime && optimizeSpeed === 'normal') {
-             // Normal mode (18 limit) rarely needs this, but theoretically if a student had 11 credits 
-             // and needed a 4 credit course (total 15), it fits in standard limit anyway.
-             // This logic is mostly for "relaxed" (12) limit.
-        }
-
-
-        if (
-          allowedInTerm(c, slot.term) &&
-          hasCapacity
-        ) {
-          termCourses.push(c);
-          remaining.delete(c.key);
-          placed = true;
-        }
-        idx++;
-        
-        // Safety break for infinite loops (e.g. course not allowed in ANY term?)
-        if (idx > 500) { // arbitrary high limit (approx 160 years)
-            console.warn("Optimizer panic: could not place course", c);
-            const last = slots[slots.length-1];
-            newPlan[last.yearId][last.term].courses.push(c);
-            placed = true;
-        }
+  const unplaced = result.unplaced.map((i) => {
+    const course = courses[i];
+    const prereqs = evaluatePrereqTree(
+      pruneExternalPrereqs(course.prereqTree, known),
+      {
+        completed: done,
+        grades,
+        standing: standingFromCredits(running),
       }
-    }
-  }
+    );
+    const detail = prereqs.met
+      ? "Could not fit within the credit limits"
+      : `Prerequisites can't be met by this plan: ${prereqs.missing.join(", ")}`;
+    return { key: course.key, name: course.name || course.key, detail };
+  });
 
-  return { degreePlan: newPlan, newYears: finalYears };
+  const last = result.lastSlot;
+  return {
+    graduation: last >= 0 ? slots[last].label : null,
+    termsUsed: last + 1,
+    minCredits,
+    underloadedTerms: result.underloaded.map((s) => ({
+      term: slots[s].label,
+      credits: result.loads[s],
+    })),
+    exhaustive: result.exhaustive,
+    explanations,
+    unplaced,
+  };
 };
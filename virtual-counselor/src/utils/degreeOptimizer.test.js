@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { optimizeSchedule, solveSchedule } from './degreeOptimizer';
+
+const YEARS = [{ id: 1, name: 'Year 1' }, { id: 2, name: 'Year 2' }];
+
+const emptyYear = () => ({ fall: { courses: [] }, spring: { courses: [] }, summer: { courses: [] } });
+const planWith = (placements) => {
+  const plan = { 1: emptyYear(), 2: emptyYear() };
+  placements.forEach(([yearId, term, course]) => plan[yearId][term].courses.push(course));
+  return plan;
+};
+
+// "1-fall" style location of every course name in the optimized plan
+const locations = (degreePlan) => {
+  const where = {};
+  Object.entries(degreePlan).forEach(([yearId, year]) => {
+    Object.entries(year).forEach(([term, { courses }]) => {
+      courses.forEach((c) => { where[c.name] = `${yearId}-${term}`; });
+    });
+  });
+  return where;
+};
+
+const catalogResponse = (courses) => ({ ok: true, json: async () => ({ courses }) });
+
+describe('optimizeSchedule', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const run = (degreePlan, options = {}) =>
+    optimizeSchedule({ degreePlan, selectedYear: 2024, years: YEARS, optimizeSpeed: 'normal', ...options });
+
+  it('orders courses by catalog prerequisites and offered terms', async () => {
+    fetchMock.mockResolvedValue(catalogResponse([
+      { code: 'CPT S 122', prerequisite_raw: 'CPT S 121 with a C or better' },
+      { code: 'MATH 172', offered_terms: ['Spring'] },
+    ]));
+    const degreePlan = planWith([
+      [1, 'fall', { id: 'a', name: 'CPT S 122', credits: 4, status: 'planned' }],
+      [1, 'fall', { id: 'm', name: 'MATH 172', credits: 4, status: 'planned' }],
+      [1, 'spring', { id: 'b', name: 'CPT S 121', credits: 4, status: 'planned' }],
+    ]);
+
+    const { degreePlan: optimized, report } = await run(degreePlan);
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/catalog/courses?year=2024');
+    expect(locations(optimized)).toEqual({
+      'CPT S 121': '1-fall',
+      'CPT S 122': '1-spring',
+      'MATH 172': '1-spring',
+    });
+    expect(report.graduation).toBe('Spring Year 1');
+    expect(report.unplaced).toEqual([]);
+    expect(Object.fromEntries(report.explanations.map((e) => [e.name, e.summary]))).toEqual({
+      'CPT S 122': 'Fall Year 1: Needs CPTS 121 (C or better) first',
+      'MATH 172': 'Not offered in Fall',
+    });
+  });
+
+  it('keeps taken courses in place and schedules the rest after them', async () => {
+    fetchMock.mockResolvedValue(catalogResponse([
+      { code: 'CPT S 122', prerequisite_raw: 'CPT S 121 with a C or better' },
+    ]));
+    const degreePlan = planWith([
+      [1, 'spring', { id: 'b', name: 'CPT S 121', credits: 4, status: 'taken', grade: 'B' }],
+      [1, 'fall', { id: 'e', name: 'ENGLISH 101', credits: 3, status: 'planned' }],
+      [2, 'spring', { id: 'a', name: 'CPT S 122', credits: 4, status: 'planned' }],
+    ]);
+
+    const { degreePlan: optimized, report } = await run(degreePlan);
+
+    expect(locations(optimized)).toEqual({
+      'CPT S 121': '1-spring',
+      'ENGLISH 101': '1-summer',
+      'CPT S 122': '1-summer',
+    });
+    expect(report.graduation).toBe('Summer Year 1');
+  });
+
+  it('leaves summer to summer-only courses when summer is excluded', async () => {
+    fetchMock.mockResolvedValue(catalogResponse([]));
+    const degreePlan = planWith([
+      [1, 'fall', { id: 'b', name: 'CPT S 121', credits: 4, status: 'taken', grade: 'A' }],
+      [1, 'spring', { id: 'a', name: 'CPT S 122', credits: 4, status: 'taken', grade: 'A' }],
+      [2, 'fall', { id: 'e', name: 'ENGLISH 101', credits: 3, status: 'planned' }],
+    ]);
+
+    const { degreePlan: optimized } = await run(degreePlan, { includeSummer: false });
+
+    expect(locations(optimized)['ENGLISH 101']).toBe('2-fall');
+  });
+
+  it('leaves unschedulable courses in the next term after graduation that the student takes', async () => {
+    fetchMock.mockResolvedValue(catalogResponse([]));
+    const degreePlan = planWith([
+      [1, 'fall', { id: 'e', name: 'ENGLISH 101', credits: 3, status: 'planned' }],
+      [1, 'fall', { id: 'f', name: 'ENGLISH 102', credits: 3, status: 'planned', prerequisites: ['ENGLISH 101'] }],
+      [1, 'fall', { id: 'x', name: 'CHEM 345', credits: 3, status: 'planned', prerequisites: ['CHEM 346'] }],
+      [1, 'fall', { id: 'y', name: 'CHEM 346', credits: 3, status: 'planned', prerequisites: ['CHEM 345'] }],
+    ]);
+
+    const { degreePlan: optimized, report } = await run(degreePlan, { includeSummer: false });
+
+    expect(report.graduation).toBe('Spring Year 1');
+    expect(report.unplaced.map((u) => u.name)).toEqual(['CHEM 345', 'CHEM 346']);
+    expect(locations(optimized)['CHEM 345']).toBe('2-fall');
+    expect(locations(optimized)['CHEM 346']).toBe('2-fall');
+  });
+
+  it('reports the terms that fall below the minimum load', async () => {
+    fetchMock.mockResolvedValue(catalogResponse([]));
+    const degreePlan = planWith([
+      [1, 'fall', { id: 'e', name: 'ENGLISH 101', credits: 3, status: 'planned' }],
+      [1, 'fall', { id: 'f', name: 'ENGLISH 102', credits: 3, status: 'planned', prerequisites: ['ENGLISH 101'] }],
+    ]);
+
+    const { report } = await run(degreePlan, { ensureFullTime: true });
+
+    expect(report.minCredits).toBe(12);
+    expect(report.underloadedTerms).toEqual([{ term: 'Fall Year 1', credits: 3 }]);
+  });
+
+  it.each([
+    ['a custom minimum above the custom maximum', { minCredits: '15', maxCredits: '12' }],
+    ['a custom minimum above the speed cap', { minCredits: '20', optimizeSpeed: 'normal' }],
+  ])('rejects %s', async (_label, options) => {
+    fetchMock.mockResolvedValue(catalogResponse([]));
+    const degreePlan = planWith([[1, 'fall', { id: 'e', name: 'ENGLISH 101', credits: 3, status: 'planned' }]]);
+    await expect(run(degreePlan, options)).rejects.toThrow(RangeError);
+  });
+
+  it.each([
+    ['the request fails', () => fetchMock.mockRejectedValue(new Error('offline'))],
+    ['the API returns an error', () => fetchMock.mockResolvedValue({ ok: false })],
+  ])('falls back to prerequisites on the plan rows when %s', async (_label, arrange) => {
+    arrange();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const degreePlan = planWith([
+      [1, 'fall', { id: 'a', name: 'CPT S 122', credits: 4, status: 'planned', prerequisites: ['CPT S 121'] }],
+      [1, 'fall', { id: 'b', name: 'CPT S 121', credits: 4, status: 'planned' }],
+    ]);
+
+    const { degreePlan: optimized } = await run(degreePlan);
+
+    expect(locations(optimized)).toEqual({ 'CPT S 121': '1-fall', 'CPT S 122': '1-spring' });
+  });
+
+  it('skips the catalog lookup without a catalog year', async () => {
+    const degreePlan = planWith([[1, 'fall', { id: 'e', name: 'ENGLISH 101', credits: 3, status: 'planned' }]]);
+    await run(degreePlan, { selectedYear: null });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('solveSchedule', () => {
+  const slots = [{ term: 'fall' }, { term: 'spring' }, { term: 'summer' }, { term: 'fall' }];
+  const course = (key, credits, extra = {}) => ({ key, credits, prereqTree: null, terms: ['fall', 'spring', 'summer'], ...extra });
+
+  it.each([
+    {
+      rule: 'fills the first term up to the credit cap',
+      courses: [course('A 101', 6), course('B 101', 6), course('C 101', 6)],
+      maxCredits: 12,
+      slotOf: [0, 0, 1],
+    },
+    {
+      rule: 'waits for a term the course is offered in',
+      courses: [course('A 101', 3, { terms: ['spring'] })],
+      slotOf: [1],
+    },
+    {
+      rule: 'waits for the prerequisite, then for the next offering',
+      courses: [course('A 201', 3, { prereqTree: { type: 'course', code: 'A 101' }, terms: ['fall'] }), course('A 101', 3, { terms: ['spring'] })],
+      slotOf: [3, 1],
+    },
+  ])('$rule', ({ courses, maxCredits, slotOf }) => {
+    const result = solveSchedule({ courses, slots, maxCredits });
+    expect(result.slotOf).toEqual(slotOf);
+    expect(result.exhaustive).toBe(true);
+  });
+
+  it('lists the fall/spring terms before graduation it could not fill to the minimum', () => {
+    const chain = [
+      course('A 101', 6),
+      course('A 201', 6, { prereqTree: { type: 'course', code: 'A 101' } }),
+      course('A 301', 6, { prereqTree: { type: 'course', code: 'A 201' } }),
+    ];
+    const result = solveSchedule({ courses: chain, slots, maxCredits: 12, minCredits: 12 });
+    expect(result.slotOf).toEqual([0, 1, 2]);
+    expect(result.underloaded).toEqual([0, 1]);
+  });
+
+  it('counts completed courses toward prerequisites', () => {
+    const result = solveSchedule({
+      courses: [course('A 201', 3, { prereqTree: { type: 'course', code: 'A 101' } })],
+      slots,
+      completed: ['A 101'],
+    });
+    expect(result.slotOf).toEqual([0]);
+    expect(result.unplaced).toEqual([]);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  gradeToGPA,
+  calculateGPA,
+  calculateCreditsAchieved,
+  calculateCreditsPlanned,
+  calculateTotalRequiredCredits,
+  calculateRemainingCredits,
+  percentageToGrade,
+  gradeToPercentage,
+} from './gpaCalculator';
+
+const courses = [
+  { credits: 4, status: 'completed', grade: 'A' },
+  { credits: 3, grade: 'C' }, // no status but graded counts as completed
+  { credits: 3, status: 'in-progress', grade: 'B' },
+  { credits: 2, status: 'planned' },
+  { credits: 0, status: 'completed', grade: 'A' },
+];
+
+describe('gpaCalculator', () => {
+  it.each([
+    ['A', 4.0],
+    ['B-', 2.7],
+    ['D-', 0.7],
+    ['F', 0],
+    ['P', 0],
+  ])('%s is worth %d points', (grade, points) => {
+    expect(gradeToGPA(grade)).toBe(points);
+  });
+
+  it('averages completed, graded courses by credit', () => {
+    // (4*4.0 + 3*2.0) / 7
+    expect(calculateGPA(courses)).toBeCloseTo(22 / 7);
+    expect(calculateGPA([])).toBe(0);
+    expect(calculateGPA([{ credits: 3, status: 'planned' }])).toBe(0);
+  });
+
+  it('splits credits into achieved and planned', () => {
+    expect(calculateCreditsAchieved(courses)).toBe(7);
+    expect(calculateCreditsPlanned(courses)).toBe(5);
+  });
+
+  it.each([
+    [{}, 120],
+    [{ additionalMajors: ['Math'] }, 160],
+    [{ minors: ['Spanish', 'History'], certificates: ['Cyber'] }, 175],
+  ])('%j requires %i credits', (degreePlan, expected) => {
+    expect(calculateTotalRequiredCredits(degreePlan)).toBe(expected);
+  });
+
+  it('never reports negative remaining credits', () => {
+    expect(calculateRemainingCredits(courses)).toBe(113);
+    expect(calculateRemainingCredits(courses, 5)).toBe(0);
+  });
+
+  it.each([
+    [93, 'A'],
+    [92.9, 'A-'],
+    [80, 'B-'],
+    [60, 'D-'],
+    [59.9, 'F'],
+  ])('%d%% is %s', (percentage, grade) => {
+    expect(percentageToGrade(percentage)).toBe(grade);
+  });
+
+  it('maps each letter back to a percentage inside its own band', () => {
+    ['A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F'].forEach((grade) => {
+      expect(percentageToGrade(gradeToPercentage(grade))).toBe(grade);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// Server sync for the degree plan.
+// localStorage (saveDegreePlan/loadDegreePlan) stays the source of truth while
+// offline; these helpers reconcile it with the signed-in student's server copy.
+
+import { fetchPlans, fetchPlan, createPlan, updatePlan } from './api';
+import {
+  saveDegreePlan,
+  loadAuthSession,
+  clearAuthSession,
+  savePlanSyncState,
+  loadPlanSyncState,
+} from './storage';
+
+// Fields the server stores; `updatedAt` travels separately as clientUpdatedAt
+function toServerData(local) {
+  const { plan = {}, years = [], programs = {}, refinements = {} } = local || {};
+  return { plan, years, programs, refinements };
+}
+
+function fromServerPlan(remote) {
+  return { ...toServerData(remote.data), updatedAt: remote.clientUpdatedAt || Date.now() };
+}
+
+function markSynced(remotePlan, syncedAt) {
+  savePlanSyncState({ planId: remotePlan.id, version: remotePlan.version, syncedAt });
+}
+
+// True when the plan has anything worth keeping (a named course or a selected program)
+export function hasPlanContent(data) {
+  if (!data) return false;
+  const programs = data.programs || {};
+  if ((programs.majors?.length || 0) + (programs.minors?.length || 0) + (programs.certificates?.length || 0) > 0) {
+    return true;
+  }
+  return Object.values(data.plan || {}).some(year =>
+    ['fall', 'spring', 'summer'].some(term => year?.[term]?.courses?.some(c => c?.name))
+  );
+}
+
+// Local copy has edits the server hasn't seen
+function hasUnsyncedChanges(local, sync, remotePlanId) {
+  if (!local) return false;
+  if (!sync || sync.planId !== remotePlanId) return hasPlanContent(local);
+  return (local.updatedAt || 0) > (sync.syncedAt || 0);
+}
+
+function classifyError(error) {
+  if (error?.status === 401) {
+    clearAuthSession();
+    return 'signed-out';
+  }
+  return 'offline';
+}
+
+async function findRemotePlan(sync) {
+  if (sync?.planId) {
+    try {
+      return (await fetchPlan(sync.planId)).plan;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+  const { plans } = await fetchPlans();
+  if (!plans || plans.length === 0) return null;
+  return (await fetchPlan(plans[0].id)).plan;
+}
+
+/**
+ * Reconcile the cached plan with the server on load.
+ * Newer side wins when both changed; the losing copy is still saved as a
+ * server revision so nothing is silently dropped.
+ * @param {Object|null} local - Result of loadDegreePlan()
+ * @returns {Promise<{data: Object|null, status: string}>} status is one of
+ *   'signed-out' | 'offline' | 'synced' | 'pulled' | 'pushed' | 'conflict'
+ */
+export async function reconcileDegreePlan(local) {
+  if (!loadAuthSession()) return { data: local, status: 'signed-out' };
+
+  try {
+    const sync = loadPlanSyncState();
+    const remote = await findRemotePlan(sync);
+
+    if (!remote) {
+      if (!local) return { data: null, status: 'synced' };
+      const updatedAt = local.updatedAt || Date.now();
+      const { plan } = await createPlan(toServerData(local), updatedAt);
+      markSynced(plan, updatedAt);
+      return { data: local, status: 'pushed' };
+    }
+
+    const localChanged = hasUnsyncedChanges(local, sync, remote.id);
+    const remoteChanged = !sync || sync.planId !== remote.id || sync.version !== remote.version;
+
+    if (!localChanged) {
+      const data = fromServerPlan(remote);
+      saveDegreePlan(data);
+      markSynced(remote, data.updatedAt);
+      return { data, status: remoteChanged ? 'pulled' : 'synced' };
+    }
+
+    const updatedAt = local.updatedAt || Date.now();
+    if (!remoteChanged) {
+      const { plan } = await updatePlan(remote.id, toServerData(local), {
+        clientUpdatedAt: updatedAt,
+        baseVersion: remote.version,
+      });
+      markSynced(plan, updatedAt);
+      return { data: local, status: 'pushed' };
+    }
+
+    // Both sides changed since the last sync
+    const { plan: saved } = await updatePlan(remote.id, toServerData(local), {
+      clientUpdatedAt: updatedAt,
+      force: true,
+    });
+    if (updatedAt >= (remote.clientUpdatedAt || 0)) {
+      markSynced(saved, updatedAt);
+      return { data: local, status: 'conflict' };
+    }
+    const { plan: restored } = await updatePlan(remote.id, remote.data, {
+      clientUpdatedAt: remote.clientUpdatedAt,
+      force: true,
+    });
+    const data = fromServerPlan(restored);
+    saveDegreePlan(data);
+    markSynced(restored, data.updatedAt);
+    return { data, status: 'conflict' };
+  } catch (error) {
+    console.warn('[planSync] reconcile failed, using local copy:', error.message);
+    return { data: local, status: classifyError(error) };
+  }
+}
+
+/**
+ * Push the current plan to the server after a local save.
+ * @param {Object} local - The object just written with saveDegreePlan()
+ * @returns {Promise<string>} 'signed-out' | 'offline' | 'pushed' | 'conflict'
+ */
+export async function pushDegreePlan(local) {
+  if (!loadAuthSession()) return 'signed-out';
+
+  const updatedAt = local.updatedAt || Date.now();
+  const sync = loadPlanSyncState();
+  try {
+    if (!sync?.planId) {
+      const { plan } = await createPlan(toServerData(local), updatedAt);
+      markSynced(plan, updatedAt);
+      return 'pushed';
+    }
+
+    try {
+      const { plan } = await updatePlan(sync.planId, toServerData(local), {
+        clientUpdatedAt: updatedAt,
+        baseVersion: sync.version,
+      });
+      markSynced(plan, updatedAt);
+      return 'pushed';
+    } catch (error) {
+      if (error.status === 404) {
+        const { plan } = await createPlan(toServerData(local), updatedAt);
+        markSynced(plan, updatedAt);
+        return 'pushed';
+      }
+      if (error.status !== 409) throw error;
+      // Edited elsewhere in the meantime: these edits are newer, keep them
+      const { plan } = await updatePlan(sync.planId, toServerData(local), {
+        clientUpdatedAt: updatedAt,
+        force: true,
+      });
+      markSynced(plan, updatedAt);
+      return 'conflict';
+    }
+  } catch (error) {
+    console.warn('[planSync] push failed, will retry on next load:', error.message);
+    return classifyError(error);
+  }
+}
+
+export default {
+  hasPlanContent,
+  reconcileDegreePlan,
+  pushDegreePlan,
+};
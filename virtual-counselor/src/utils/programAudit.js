@@ -0,0 +1,265 @@
+// Multi-program audit: allocates the student's courses across every selected
+// major, minor and certificate while enforcing double-counting rules.
+import { analyzeDegreeProgress } from "./degreeCalculations";
+
+export const PROGRAM_TYPES = {
+  majors: "major",
+  minors: "minor",
+  certificates: "certificate",
+};
+
+/**
+ * Default double-counting rules.
+ * - maxSharedCredits: credits that may count toward both programs of a pair,
+ *   keyed by the two program types joined with "+" in sorted order.
+ *   `null` means no limit.
+ * - minUniqueCredits: credits each program must fill with courses that are
+ *   not applied to any other selected program.
+ * - programs: per-program overrides keyed by program name, e.g.
+ *   `{ "Mathematics": { minUniqueCredits: 12 } }`
+ */
+export const DEFAULT_SHARING_RULES = {
+  maxSharedCredits: {
+    "major+major": null,
+    "major+minor": 9,
+    "certificate+major": 6,
+    "minor+minor": 0,
+    "certificate+minor": 3,
+    "certificate+certificate": 0,
+  },
+  minUniqueCredits: {
+    major: 0,
+    minor: 9,
+    certificate: 6,
+  },
+  programs: {},
+};
+
+const COURSE_CODE = /^([A-Z\s&/]{2,15})\s*(\d{3})/i;
+
+// Same code shape DegreePlanner uses for requirements and plan courses
+const codeOf = (name) => {
+  const match = String(name || "").match(COURSE_CODE);
+  return match ? `${match[1].trim().toUpperCase()} ${match[2]}` : String(name || "").toUpperCase();
+};
+
+export const pairKey = (typeA, typeB) => [typeA, typeB].sort().join("+");
+
+/**
+ * Requirement list for one selected program. Degrees come from their term
+ * schedule; minors and certificates only carry extracted course lists, so
+ * their required courses become one requirement each (elective pools are not
+ * audited because the catalog does not say how many are needed).
+ */
+export const programRequirements = (program) => {
+  const data = program?.data || {};
+  const reqs = [];
+  (data.schedule || []).forEach((sem) => {
+    (sem.courses || []).forEach((c) => {
+      const rawName = c.raw || c.courseCode || c.name;
+      if (rawName && !c.isNonCredit) {
+        reqs.push({ ...c, name: rawName, code: codeOf(rawName), credits: c.credits || 0 });
+      }
+    });
+  });
+  if (reqs.length === 0) {
+    (data.requiredCourses || []).forEach((name) => {
+      reqs.push({ name, code: codeOf(name), credits: 3, requirementType: "fixed" });
+    });
+  }
+  return reqs;
+};
+
+// Resolve the rules that apply to one pair of audited programs
+const sharedLimitFor = (rules, a, b) => {
+  const overrides = [rules.programs?.[a.name], rules.programs?.[b.name]]
+    .map((o) => o?.maxSharedCredits)
+    .filter((v) => v !== undefined);
+  if (overrides.length) {
+    const finite = overrides.filter((v) => v !== null);
+    return finite.length ? Math.min(...finite) : null;
+  }
+  const limit = rules.maxSharedCredits?.[pairKey(a.type, b.type)];
+  return limit === undefined ? null : limit;
+};
+
+const uniqueMinimumFor = (rules, program) => {
+  const override = rules.programs?.[program.name]?.minUniqueCredits;
+  if (override !== undefined) return override;
+  return rules.minUniqueCredits?.[program.type] || 0;
+};
+
+const isRealCourse = (course) => course && course.id != null && !String(course.id).startsWith("manual-");
+
+/**
+ * Allocate courses across all selected programs.
+ *
+ * Each program is matched with analyzeDegreeProgress. Where two programs
+ * claim the same course beyond their shared-credit limit, the program added
+ * later gives the course up and is re-matched without it, so majors keep
+ * priority over minors and certificates. Repeats until no pair is over its
+ * limit. Courses released that way are reported in `notices`; `violations`
+ * only lists rules the allocation still breaks.
+ *
+ * @param {Object} selectedPrograms - { majors, minors, certificates } as kept by DegreePlanner
+ * @param {Array} userCourses - Flattened plan courses ({ id, code, credits, status, grade, ... })
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - Merged over DEFAULT_SHARING_RULES
+ * @param {Object} [options.refinements] - Manual requirement links, as for analyzeDegreeProgress
+ * @param {Function} [options.minGradeFor] - Program name -> minimum grade (or null)
+ * @returns {Object} { programs, courses, limits, notices, violations }
+ */
+export const auditPrograms = (selectedPrograms, userCourses, options = {}) => {
+  const rules = {
+    ...DEFAULT_SHARING_RULES,
+    ...options.rules,
+    maxSharedCredits: { ...DEFAULT_SHARING_RULES.maxSharedCredits, ...options.rules?.maxSharedCredits },
+    minUniqueCredits: { ...DEFAULT_SHARING_RULES.minUniqueCredits, ...options.rules?.minUniqueCredits },
+  };
+  const refinements = options.refinements || {};
+  const minGradeFor = options.minGradeFor || (() => null);
+
+  const programs = [];
+  Object.entries(PROGRAM_TYPES).forEach(([key, type]) => {
+    (selectedPrograms?.[key] || []).forEach((p) => {
+      const name = p.name || p;
+      programs.push({ name, type, requirements: programRequirements(p) });
+    });
+  });
+
+  const courses = userCourses.map((c, i) => ({ ...c, id: c.id ?? `${c.code}-${i}` }));
+  const courseById = new Map(courses.map((c) => [c.id, c]));
+  const excluded = programs.map(() => new Set());
+  // Courses each pair wanted to share, recorded before any were released
+  const requested = new Map();
+
+  const matchAll = () => programs.map((p, i) => {
+    const available = courses.filter((c) => !excluded[i].has(c.id));
+    return analyzeDegreeProgress(available, p.requirements, refinements, minGradeFor(p.name));
+  });
+
+  const appliedIds = (result) => new Set(
+    result.matched.map((m) => m.matchedCourse).filter(isRealCourse).map((c) => c.id)
+  );
+
+  let results = matchAll();
+  for (let pass = 0; pass <= courses.length * programs.length; pass++) {
+    let released = false;
+    const applied = results.map(appliedIds);
+
+    for (let i = 0; i < programs.length; i++) {
+      for (let j = i + 1; j < programs.length; j++) {
+        const limit = sharedLimitFor(rules, programs[i], programs[j]);
+        const shared = [...applied[j]].filter((id) => applied[i].has(id));
+        const key = `${i}|${j}`;
+        if (!requested.has(key)) requested.set(key, new Set());
+        shared.forEach((id) => requested.get(key).add(id));
+        if (limit === null) continue;
+
+        // Keep sharing courses in the order program j matched them until the limit is hit
+        let used = 0;
+        shared.forEach((id) => {
+          const credits = Number(courseById.get(id)?.credits) || 0;
+          if (used + credits <= limit) {
+            used += credits;
+          } else {
+            excluded[j].add(id);
+            released = true;
+          }
+        });
+      }
+    }
+
+    if (!released) break;
+    results = matchAll();
+  }
+
+  const applied = results.map(appliedIds);
+  const appliedTo = new Map();
+  results.forEach((result, i) => {
+    result.matched.forEach((m) => {
+      if (!isRealCourse(m.matchedCourse)) return;
+      const id = m.matchedCourse.id;
+      if (!appliedTo.has(id)) appliedTo.set(id, []);
+      appliedTo.get(id).push({ program: programs[i].name, type: programs[i].type, requirement: m.name });
+    });
+  });
+
+  const creditsOf = (ids) => [...ids].reduce((sum, id) => sum + (Number(courseById.get(id)?.credits) || 0), 0);
+  const violations = [];
+  const notices = [];
+
+  const limits = [];
+  for (let i = 0; i < programs.length; i++) {
+    for (let j = i + 1; j < programs.length; j++) {
+      const limit = sharedLimitFor(rules, programs[i], programs[j]);
+      const shared = [...applied[j]].filter((id) => applied[i].has(id));
+      const wanted = requested.get(`${i}|${j}`) || new Set();
+      const releasedIds = [...wanted].filter((id) => !shared.includes(id));
+      const entry = {
+        programs: [programs[i].name, programs[j].name],
+        limit,
+        sharedCredits: creditsOf(shared),
+        requestedCredits: creditsOf(wanted),
+        exceeded: limit !== null && creditsOf(shared) > limit,
+        released: releasedIds.map((id) => courseById.get(id)?.code),
+      };
+      if (wanted.size === 0 && limit === null) continue;
+      limits.push(entry);
+      if (entry.exceeded) {
+        violations.push({
+          kind: "shared-limit",
+          programs: entry.programs,
+          message: `${entry.programs[0]} and ${entry.programs[1]} can share at most ${limit} credits; ` +
+            `${entry.sharedCredits} still count toward both.`,
+        });
+      } else if (entry.released.length) {
+        notices.push({
+          kind: "shared-limit",
+          programs: entry.programs,
+          message: `${entry.programs[0]} and ${entry.programs[1]} can share at most ${limit} credits; ` +
+            `${entry.requestedCredits} overlapped, so ${entry.released.join(", ")} only counted toward ${entry.programs[0]}.`,
+        });
+      }
+    }
+  }
+
+  const programReports = programs.map((p, i) => {
+    const others = applied.filter((_, k) => k !== i);
+    const unique = [...applied[i]].filter((id) => !others.some((set) => set.has(id)));
+    // A program can't be asked for more unique credits than it requires
+    const minUniqueCredits = Math.min(uniqueMinimumFor(rules, p), results[i].totalRequiredCredits);
+    const uniqueCredits = creditsOf(unique);
+    const report = {
+      name: p.name,
+      type: p.type,
+      matched: results[i].matched,
+      missing: results[i].missing,
+      missingCredits: results[i].missingCredits,
+      totalRequiredCredits: results[i].totalRequiredCredits,
+      appliedCredits: creditsOf(applied[i]),
+      uniqueCredits,
+      sharedCredits: creditsOf(applied[i]) - uniqueCredits,
+      minUniqueCredits,
+      meetsUniqueMinimum: programs.length < 2 || uniqueCredits >= minUniqueCredits,
+    };
+    if (!report.meetsUniqueMinimum) {
+      violations.push({
+        kind: "unique-minimum",
+        programs: [p.name],
+        message: `${p.name} needs ${minUniqueCredits} credits not used by another program; it has ${uniqueCredits}.`,
+      });
+    }
+    return report;
+  });
+
+  return {
+    programs: programReports,
+    courses: courses
+      .filter((c) => appliedTo.has(c.id))
+      .map((c) => ({ id: c.id, code: c.code, name: c.name, credits: c.credits, status: c.status, appliedTo: appliedTo.get(c.id) })),
+    limits,
+    notices,
+    violations,
+  };
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { auditPrograms } from './programAudit';
+
+const program = (name, requiredCourses) => ({ name, data: { requiredCourses } });
+const taken = (code, credits = 3) => ({ id: code, code, name: code, credits, status: 'taken', grade: 'A' });
+
+const MATH_MAJOR = program('Mathematics', ['MATH 171', 'MATH 172', 'MATH 216', 'STAT 360']);
+const STATS_MINOR = program('Statistics', ['MATH 171', 'STAT 360', 'STAT 412']);
+const DATA_MINOR = program('Data Analytics', ['STAT 360', 'CPT S 121', 'DATA 115']);
+const COURSES = ['MATH 171', 'MATH 172', 'MATH 216', 'STAT 360', 'STAT 412', 'CPT S 121', 'DATA 115'].map((c) => taken(c));
+
+const kinds = (list) => list.map((v) => `${v.kind}: ${v.programs.join(' + ')}`);
+
+describe('auditPrograms', () => {
+  it.each([
+    {
+      rule: 'sharing within the limit needs no note',
+      selected: { majors: [MATH_MAJOR], minors: [STATS_MINOR] },
+      rules: { minUniqueCredits: { minor: 0 } },
+      limits: [{ programs: ['Mathematics', 'Statistics'], sharedCredits: 6, exceeded: false, released: [] }],
+      notices: [],
+      violations: [],
+    },
+    {
+      rule: 'a course released to stay under the limit is a notice, not a violation',
+      selected: { majors: [MATH_MAJOR], minors: [STATS_MINOR] },
+      rules: { maxSharedCredits: { 'major+minor': 3 }, minUniqueCredits: { minor: 0 } },
+      limits: [{ programs: ['Mathematics', 'Statistics'], sharedCredits: 3, exceeded: false, released: ['STAT 360'] }],
+      notices: ['shared-limit: Mathematics + Statistics'],
+      violations: [],
+    },
+    {
+      rule: 'two minors may not share by default',
+      selected: { minors: [STATS_MINOR, DATA_MINOR] },
+      rules: { minUniqueCredits: { minor: 0 } },
+      limits: [{ programs: ['Statistics', 'Data Analytics'], sharedCredits: 0, exceeded: false, released: ['STAT 360'] }],
+      notices: ['shared-limit: Statistics + Data Analytics'],
+      violations: [],
+    },
+    {
+      rule: 'a unique minimum left unmet stays a violation',
+      selected: { majors: [MATH_MAJOR], minors: [STATS_MINOR] },
+      rules: {},
+      limits: [{ programs: ['Mathematics', 'Statistics'], sharedCredits: 6, exceeded: false, released: [] }],
+      notices: [],
+      violations: ['unique-minimum: Statistics'],
+    },
+  ])('$rule', ({ selected, rules, limits, notices, violations }) => {
+    const audit = auditPrograms(selected, COURSES, { rules });
+    expect(audit.limits).toMatchObject(limits);
+    expect(kinds(audit.notices)).toEqual(notices);
+    expect(kinds(audit.violations)).toEqual(violations);
+  });
+
+  it('explains which course was released', () => {
+    const audit = auditPrograms({ minors: [STATS_MINOR, DATA_MINOR] }, COURSES, { rules: { minUniqueCredits: { minor: 0 } } });
+    expect(audit.notices[0].message).toBe(
+      'Statistics and Data Analytics can share at most 0 credits; 3 overlapped, so STAT 360 only counted toward Statistics.'
+    );
+    const stat360 = audit.courses.find((c) => c.code === 'STAT 360');
+    expect(stat360.appliedTo.map((a) => a.program)).toEqual(['Statistics']);
+  });
+});
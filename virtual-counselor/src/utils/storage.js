@@ -9,11 +9,18 @@ const STORAGE_KEYS = {
   GRADE_CALCULATOR: 'wsu_vc_grade_calculator',
   RECENT_COURSES: 'wsu_vc_recent_courses',
   THEME: 'wsu_vc_theme',
+  AUTH_SESSION: 'wsu_vc_auth_session',
+  PLAN_SYNC: 'wsu_vc_plan_sync',
+  SHARED_PLANS: 'wsu_vc_shared_plans',
+  REGISTRATION_DATE: 'wsu_vc_registration_date',
+  SHARING_RULES: 'wsu_vc_sharing_rules',
 };
 
+// `plan.updatedAt` (ms) is used to reconcile the local cache with the server copy;
+// callers that don't set it get the current time.
 export function saveDegreePlan(plan) {
   try {
-    const str = JSON.stringify(plan);
+    const str = JSON.stringify({ ...plan, updatedAt: plan.updatedAt ?? Date.now() });
     console.debug('[storage] saveDegreePlan -> writing', STORAGE_KEYS.DEGREE_PLAN);
     // Academic planning data only (no credentials/tokens) — safe for browser localStorage
     // lgtm[js/clear-text-storage-of-sensitive-data]
@@ -43,6 +50,127 @@ export function loadDegreePlan() {
   }
 }
 
+// Drop the cached plan (and the legacy copy), e.g. when its owner signs out
+export function clearDegreePlan() {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.DEGREE_PLAN);
+    localStorage.removeItem('vc-degree-plan');
+    return true;
+  } catch (error) {
+    console.error('Error clearing degree plan:', error);
+    return false;
+  }
+}
+
+// Fired on window when this tab signs in or out; other tabs get a 'storage' event
+export const AUTH_SESSION_EVENT = 'vc-auth-session';
+
+const announceAuthChange = () => {
+  if (typeof window !== 'undefined') window.dispatchEvent(new Event(AUTH_SESSION_EVENT));
+};
+
+// Signed-in student session ({ token, expiresAt, user }) returned by /api/auth/login
+export function saveAuthSession(session) {
+  try {
+    // Session token is scoped to plan sync only and is revoked on sign-out
+    // lgtm[js/clear-text-storage-of-sensitive-data]
+    localStorage.setItem(STORAGE_KEYS.AUTH_SESSION, JSON.stringify(session));
+    announceAuthChange();
+    return true;
+  } catch (error) {
+    console.error('Error saving auth session:', error);
+    return false;
+  }
+}
+
+export function loadAuthSession() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.AUTH_SESSION);
+    if (!stored) return null;
+
+    const session = JSON.parse(stored);
+    if (session.expiresAt && new Date(session.expiresAt) <= new Date()) {
+      localStorage.removeItem(STORAGE_KEYS.AUTH_SESSION);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.error('Error loading auth session:', error);
+    return null;
+  }
+}
+
+export function clearAuthSession() {
+  try {
+    localStorage.removeItem(STORAGE_KEYS.AUTH_SESSION);
+    localStorage.removeItem(STORAGE_KEYS.PLAN_SYNC);
+    announceAuthChange();
+    return true;
+  } catch (error) {
+    console.error('Error clearing auth session:', error);
+    return false;
+  }
+}
+
+// Last successful server sync: { planId, version, syncedAt }
+export function savePlanSyncState(state) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.PLAN_SYNC, JSON.stringify(state));
+    return true;
+  } catch (error) {
+    console.error('Error saving plan sync state:', error);
+    return false;
+  }
+}
+
+export function loadPlanSyncState() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.PLAN_SYNC);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading plan sync state:', error);
+    return null;
+  }
+}
+
+// Share links the student has created: [{ token, ownerKey, createdAt, expiresAt }]
+export function saveSharedPlanLink(link) {
+  try {
+    const links = loadSharedPlanLinks().filter(l => l.token !== link.token);
+    links.unshift(link);
+    // Owner keys only allow revoking the student's own share links
+    // lgtm[js/clear-text-storage-of-sensitive-data]
+    localStorage.setItem(STORAGE_KEYS.SHARED_PLANS, JSON.stringify(links.slice(0, 20)));
+    return true;
+  } catch (error) {
+    console.error('Error saving shared plan link:', error);
+    return false;
+  }
+}
+
+export function loadSharedPlanLinks() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.SHARED_PLANS);
+    const links = stored ? JSON.parse(stored) : [];
+    const now = new Date();
+    return links.filter(l => !l.expiresAt || new Date(l.expiresAt) > now);
+  } catch (error) {
+    console.error('Error loading shared plan links:', error);
+    return [];
+  }
+}
+
+export function removeSharedPlanLink(token) {
+  try {
+    const links = loadSharedPlanLinks().filter(l => l.token !== token);
+    localStorage.setItem(STORAGE_KEYS.SHARED_PLANS, JSON.stringify(links));
+    return true;
+  } catch (error) {
+    console.error('Error removing shared plan link:', error);
+    return false;
+  }
+}
+
 export function saveSelectedDegree(degree) {
   try {
     localStorage.setItem(STORAGE_KEYS.SELECTED_DEGREE, JSON.stringify(degree));
@@ -287,6 +415,48 @@ export function loadTheme() {
   }
 }
 
+// Student's registration date (YYYY-MM-DD), used for seat fill forecasts
+export function saveRegistrationDate(date) {
+  try {
+    if (date) localStorage.setItem(STORAGE_KEYS.REGISTRATION_DATE, date);
+    else localStorage.removeItem(STORAGE_KEYS.REGISTRATION_DATE);
+    return true;
+  } catch (error) {
+    console.error('Error saving registration date:', error);
+    return false;
+  }
+}
+
+export function loadRegistrationDate() {
+  try {
+    return localStorage.getItem(STORAGE_KEYS.REGISTRATION_DATE) || '';
+  } catch (error) {
+    console.error('Error loading registration date:', error);
+    return '';
+  }
+}
+
+// Double-counting rules for the multi-program audit (null = use defaults)
+export function saveSharingRules(rules) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.SHARING_RULES, JSON.stringify(rules));
+    return true;
+  } catch (error) {
+    console.error('Error saving sharing rules:', error);
+    return false;
+  }
+}
+
+export function loadSharingRules() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.SHARING_RULES);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('Error loading sharing rules:', error);
+    return null;
+  }
+}
+
 // Helper functions for degree planner
 export function createEmptyCourses(count = 1) {
   const courses = [];
@@ -344,6 +514,15 @@ export function createEmptyDegreePlan() {
 export default {
   saveDegreePlan,
   loadDegreePlan,
+  clearDegreePlan,
+  saveAuthSession,
+  loadAuthSession,
+  clearAuthSession,
+  savePlanSyncState,
+  loadPlanSyncState,
+  saveSharedPlanLink,
+  loadSharedPlanLinks,
+  removeSharedPlanLink,
   saveSelectedDegree,
   loadSelectedDegree,
   saveUserCourses,
@@ -360,6 +539,10 @@ export default {
   clearRecentCourses,
   saveTheme,
   loadTheme,
+  saveRegistrationDate,
+  loadRegistrationDate,
+  saveSharingRules,
+  loadSharingRules,
   createEmptyCourses,
   createEmptyDegreePlan,
 };